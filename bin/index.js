@@ -2,12 +2,17 @@
 
 "use strict";
 
-const { getDefaultSettings, parseSettings } = require("../src/settings-parse");
-const fs = require("fs-extra");
-const { cwd } = require("node:process");
-var nunjucks = require("nunjucks");
-const path = require("path");
-var slugify = require("slugify");
+import { createLogicGraph, logicGraphToMermaid } from "../src/logic-graph.js";
+import { getDefaultSettings, parseSettings } from "../src/settings-parse.js";
+import fs from "fs-extra";
+import { cwd } from "node:process";
+import nunjucks from "nunjucks";
+import path from "path";
+import slugify from "slugify";
+import { fileURLToPath } from "url";
+import yargs from "yargs/yargs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const fetch = (...args) =>
 	import("node-fetch").then(({ default: fetch }) => fetch(...args));
 
@@ -44,7 +49,7 @@ async function fetchSurveyData(surveyId, apiBaseUrl) {
 }
 
 // Set up the command line arguments
-const argv = require("yargs/yargs")(process.argv.slice(2)).options({
+const argv = yargs(process.argv.slice(2)).options({
 	"input": {
 		alias: "i",
 		default: "src",
@@ -77,8 +82,58 @@ const argv = require("yargs/yargs")(process.argv.slice(2)).options({
 		describe: "API base URL",
 		type: "string",
 	},
+	"logic-graph": {
+		alias: "g",
+		choices: ["mermaid", "json"],
+		describe:
+			"Export the logic graph of each template to the logic directory (and report unreachable slides, dead ends and undefined names)",
+		type: "string",
+	},
 }).argv;
 
+/**
+ * Export the logic graph of a template and report the issues found.
+ *
+ * @param {string} file - the name of the template file
+ * @param {string} route
+ * @param {string} template - the template without the settings
+ * @param {Object} settings
+ */
+function exportLogicGraph(file, route, template, settings) {
+	const graph = createLogicGraph(template, settings["slide-delimiter"]);
+
+	// Report the issues
+	for (const slide of graph.unreachableSlides) {
+		console.warn(`[SLIDES] ${file}: slide ${slide} is unreachable`);
+	}
+	for (const slide of graph.deadEnds) {
+		console.warn(
+			`[SLIDES] ${file}: slide ${slide} is a dead end (no "-> END" slide)`,
+		);
+	}
+	for (const undefinedName of graph.undefinedNames) {
+		console.warn(
+			`[SLIDES] ${file}: "${undefinedName.name}" used in the jump condition of slide ${undefinedName.slide} is ${undefinedName.forward ? "only defined on the same or a later slide" : "never defined"}`,
+		);
+	}
+
+	// Create the file in the logic directory of the output directory
+	if (!fs.existsSync(`${outputDir}/logic`)) {
+		fs.mkdirSync(`${outputDir}/logic`);
+	}
+	if (argv["logic-graph"] === "mermaid") {
+		fs.writeFileSync(
+			`${outputDir}/logic/${route}.mmd`,
+			logicGraphToMermaid(graph),
+		);
+	} else {
+		fs.writeFileSync(
+			`${outputDir}/logic/${route}.json`,
+			JSON.stringify(graph, null, 2),
+		);
+	}
+}
+
 // Set up the directories
 // Make sure to remove any and all leading and trailing forward slashes
 const inputDir = `${cwd()}/${argv.input.replace(/^\/+|\/+$/g, "")}`;
@@ -182,6 +237,16 @@ instance.initWithConfig({
 								...parsedTemplateAndSettings.settings,
 							};
 
+							// Export the logic graph (if needed)
+							if (argv["logic-graph"]) {
+								exportLogicGraph(
+									file,
+									route,
+									parsedTemplateAndSettings.template,
+									settings,
+								);
+							}
+
 							// Use Nunjucks to create the HTML
 							const htmlContent = nunjucks.renderString(base, {
 								route: route,
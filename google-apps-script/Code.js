@@ -48,25 +48,34 @@ function doPost(e) {
 		}
 
 		// Handle file uploads
+		// Multiple file fields send one data, filename and type entry per file
 		if (e.parameter._fileFields) {
 			const fileFields = e.parameter._fileFields.split(",");
+			const folder = DriveApp.getFolderById(
+				scriptProp.getProperty("uploadFolderId") ||
+					DriveApp.getRootFolder().getId(),
+			);
 			fileFields.forEach((field) => {
-				const base64Data = data[field].replace(/^data:.*,/, "");
-				const blob = Utilities.newBlob(
-					Utilities.base64Decode(base64Data),
-					data[`${field}Type`],
-					data[`${field}Filename`],
-				);
-				const folder = DriveApp.getFolderById(
-					scriptProp.getProperty("uploadFolderId") ||
-						DriveApp.getRootFolder().getId(),
-				);
-				const uploadedFile = folder.createFile(blob);
-				uploadedFile.setSharing(
-					DriveApp.Access.PRIVATE,
-					DriveApp.Permission.EDIT,
-				);
-				data[field] = uploadedFile.getUrl();
+				const files = e.parameters[field] || [];
+				const types = e.parameters[`${field}Type`] || [];
+				const filenames = e.parameters[`${field}Filename`] || [];
+				const urls = files.map((file, index) => {
+					const base64Data = file.replace(/^data:.*,/, "");
+					const blob = Utilities.newBlob(
+						Utilities.base64Decode(base64Data),
+						types[index],
+						filenames[index],
+					);
+					const uploadedFile = folder.createFile(blob);
+					uploadedFile.setSharing(
+						DriveApp.Access.PRIVATE,
+						DriveApp.Permission.EDIT,
+					);
+					return uploadedFile.getUrl();
+				});
+				data[field] = urls.join("\n");
+				data[`${field}Type`] = types.join("\n");
+				data[`${field}Filename`] = filenames.join("\n");
 			});
 		}
 
@@ -0,0 +1,142 @@
+/**
+ * Create the analytics of a form response: the visits of the slides (with
+ * their enter and exit timestamps) and the validation failures.
+ *
+ * @param {string} rid - the response id
+ * @returns {Object}
+ */
+function createAnalytics(rid) {
+	return {
+		rid: rid,
+		startedAt: Date.now(),
+		completedAt: null,
+		visits: [],
+		validationErrors: [],
+	};
+}
+
+/**
+ * Get the visit of the slide that is currently open (if any).
+ *
+ * @param {Object} analytics
+ * @returns {{index: number, enteredAt: number, exitedAt: number|null}|null}
+ */
+function getOpenVisit(analytics) {
+	const lastVisit = analytics.visits[analytics.visits.length - 1];
+	return lastVisit && lastVisit.exitedAt === null ? lastVisit : null;
+}
+
+/**
+ * Record that a slide is entered, exiting the open one first.
+ *
+ * @param {Object} analytics
+ * @param {number} index
+ */
+function recordSlideEnter(analytics, index) {
+	recordSlideExit(analytics);
+	analytics.visits.push({
+		index: index,
+		enteredAt: Date.now(),
+		exitedAt: null,
+	});
+}
+
+/**
+ * Record that the open slide (if any) is exited.
+ *
+ * @param {Object} analytics
+ * @returns {boolean} whether a slide was open
+ */
+function recordSlideExit(analytics) {
+	const openVisit = getOpenVisit(analytics);
+	if (!openVisit) {
+		return false;
+	}
+	openVisit.exitedAt = Date.now();
+	return true;
+}
+
+/**
+ * Record that the response is completed, exiting the open slide.
+ *
+ * @param {Object} analytics
+ */
+function recordCompletion(analytics) {
+	recordSlideExit(analytics);
+	analytics.completedAt = Date.now();
+}
+
+/**
+ * Record a validation failure of a form field.
+ *
+ * @param {Object} analytics
+ * @param {string} name
+ * @param {number} index - the index of the slide
+ */
+function recordValidationError(analytics, name, index) {
+	analytics.validationErrors.push({
+		name: name,
+		index: index,
+		at: Date.now(),
+	});
+}
+
+/**
+ * Get the timings of the response: the total time, and the time spent on
+ * each slide (the visits of the same slide are added up), in milliseconds.
+ * The open slide counts until now.
+ *
+ * @param {Object} analytics
+ * @returns {{total: number, slides: Object.<string, number>}}
+ */
+function getTimings(analytics) {
+	const now = Date.now();
+	const slides = {};
+	let total = 0;
+	for (const visit of analytics.visits) {
+		const duration = (visit.exitedAt || now) - visit.enteredAt;
+		slides[visit.index] = (slides[visit.index] || 0) + duration;
+		total += duration;
+	}
+	return { total: total, slides: slides };
+}
+
+/**
+ * Create the payload sent to the analytics endpoint (or callback).
+ *
+ * @param {Object} analytics
+ * @param {"abandon"|"complete"} type
+ * @returns {Object}
+ */
+function createAnalyticsPayload(analytics, type) {
+	const lastVisit = analytics.visits[analytics.visits.length - 1];
+	const validationErrorCounts = {};
+	for (const error of analytics.validationErrors) {
+		validationErrorCounts[error.name] =
+			(validationErrorCounts[error.name] || 0) + 1;
+	}
+	return {
+		type: type,
+		rid: analytics.rid,
+		startedAt: new Date(analytics.startedAt).toISOString(),
+		sentAt: new Date().toISOString(),
+		completed: analytics.completedAt !== null,
+		lastSlide: lastVisit ? lastVisit.index : null,
+		timings: getTimings(analytics),
+		visits: analytics.visits.map((visit) => ({ ...visit })),
+		validationErrors: analytics.validationErrors.map((error) => ({
+			...error,
+		})),
+		validationErrorCounts: validationErrorCounts,
+	};
+}
+
+export {
+	createAnalytics,
+	recordSlideEnter,
+	recordSlideExit,
+	recordCompletion,
+	recordValidationError,
+	getTimings,
+	createAnalyticsPayload,
+};
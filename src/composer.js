@@ -2,6 +2,33 @@ import { placeholdersAndCallingCodes } from "./phone-numbers.js";
 import { getDefaultSettings } from "./settings-parse.js";
 import { translations } from "./translations.js";
 
+/**
+ * Get the quiz params of a form field.
+ *
+ * @param {Object} params
+ * @param {string} formDelimiter
+ * @returns {Array.<string>}
+ */
+function composeQuizParams(params, formDelimiter) {
+	const templateChunks = [];
+	if (params.correct !== undefined) {
+		templateChunks.push(
+			`\t${formDelimiter}correct = ${Array.isArray(params.correct) ? params.correct.join(", ") : params.correct}`,
+		);
+	}
+	if (params.points !== undefined) {
+		templateChunks.push(
+			`\t${formDelimiter}points = ${Array.isArray(params.points) ? params.points.join(", ") : params.points}`,
+		);
+	}
+	if (params.explanation !== undefined) {
+		templateChunks.push(
+			`\t${formDelimiter}explanation = ${params.explanation}`,
+		);
+	}
+	return templateChunks;
+}
+
 /**
  * Get the shared form field params.
  *
@@ -142,11 +169,16 @@ class Composer {
 	 * @property {string} [metaUrl] Sets the Open Graph URL.
 	 * @property {"form-slides"|"slides"|"single"} [page] Determines the layout of the page. Default is `"form-slides"`.
 	 * @property {"hide"|"show"|"decorative"} [pageProgress] Controls visibility and function of the page progress.
+	 * @property {"slide"|"change"} [partialSubmissions] If set, the partial responses are sent in the background (with the `_lastSlide` metadata): on every next slide, and with `"change"`, on field changes too.
 	 * @property {"hide"|"show"} [placeholders] Controls visibility of input placeholders.
+	 * @property {"form-data"|"json"} [postFormat] The format used to send form responses. If set to `"json"`, responses are sent as JSON with typed values, and the metadata under the `meta` key. Default is `"form-data"`.
 	 * @property {string} [postSheetName] When sending responses directly to Google Sheets, this specifies which sheet to save responses to.
 	 * @property {string} [postUrl] URL to send form responses to using POST request.
+	 * @property {boolean} [quiz] If set to `true`, the form is a quiz: the answers to the form fields with the `correct` param are scored, and the score is available as `_score` (out of `_max_score`), e.g., for `{% if _score >= 3 %}` blocks in the end slide (only the last end slide is used). Default is `false`.
+	 * @property {"instant"} [quizFeedback] If set to `"instant"`, whether the answers are right or wrong is shown before going to the next slide.
 	 * @property {"show"} [restartButton] If set to `"show"`, the restart button will be visible.
 	 * @property {"none"|"pill"} [rounded] Controls rounding of buttons and UI elements.
+	 * @property {"show"} [saveLink] If set to `"show"`, the footer has a button to get a link (and QR code) that continues the form later, on any device. The link has the form data in an unsigned token, i.e., anyone with the link can read and edit it.
 	 * @property {"hide"|"show"} [slideControls] Controls visibility of next and previous buttons.
 	 * @property {string} [slideDelimiter] Specifies where new slides are created. Default is `"---"`.
 	 * @property {string} [submitButtonText] Custom text for submit buttons.
@@ -593,6 +625,9 @@ class Composer {
 	 * @property {string} [unit] Text to display before the input as a unit (e.g., `"$"`, `"€"`).
 	 * @property {string} [unitEnd] Text to display after the input as a unit (e.g., `"kg"`, `"%"`).
 	 * @property {number} [value] If set, this becomes the default value of the input.
+	 * @property {number} [correct] The correct answer (when the `quiz` setting is used).
+	 * @property {number} [points] Points for the correct answer. Default is `1`.
+	 * @property {string} [explanation] Shown along with the instant feedback of the quiz.
 	 */
 
 	/**
@@ -638,6 +673,7 @@ class Composer {
 		if (params.value !== undefined) {
 			templateChunks.push(`\t${formDelimiter}value = ${params.value}`);
 		}
+		templateChunks.push(...composeQuizParams(params, formDelimiter));
 
 		// Close the input and add the attributes (if applicable)
 		templateChunks.push(")");
@@ -670,13 +706,107 @@ class Composer {
 	 * @property {string} [value] The value for the option. If not provided, label is used as value.
 	 */
 
+	/**
+	 * Slider input params.
+	 *
+	 * @typedef {Object} SliderInputParamsType
+	 * @property {number} [min] Sets the minimum value. Defaults to `0`.
+	 * @property {number} [max] Sets the maximum value. Defaults to `100`.
+	 * @property {number} [step] Sets the stepping interval. Defaults to `1`.
+	 * @property {string} [unit] Text to display before the values as a unit (e.g., `"$"`, `"€"`).
+	 * @property {string} [unitEnd] Text to display after the values as a unit (e.g., `"h"`, `"%"`).
+	 * @property {true} [range] When set, the slider has two handles and the value is `[low, high]`.
+	 * @property {number|Array<number>} [value] The default value, or `[low, high]` in range mode.
+	 * @property {Array<number>} [ticks] Values to show tick labels for. Defaults to the minimum and maximum.
+	 */
+
+	/**
+	 * Create a slider input field.
+	 *
+	 * @param {string} name
+	 * @param {FormFieldSharedParamsType & SliderInputParamsType} params
+	 * @returns {string}
+	 */
+	sliderInput = (name, params) => {
+		const instance = this;
+
+		// Set up the template chunks using the shared params
+		const formDelimiter =
+			instance.settings.formDelimiter !== "\n"
+				? `${instance.settings.formDelimiter} `
+				: "";
+		const templateChunks = [
+			`${name}${params.required ? "*" : ""} = SliderInput(`,
+		].concat(composeSharedFieldParams(params, formDelimiter));
+
+		// Add the other params
+		if (params.min !== undefined) {
+			templateChunks.push(`\t${formDelimiter}min = ${params.min}`);
+		}
+		if (params.max !== undefined) {
+			templateChunks.push(`\t${formDelimiter}max = ${params.max}`);
+		}
+		if (params.step !== undefined) {
+			templateChunks.push(`\t${formDelimiter}step = ${params.step}`);
+		}
+		if (params.unit !== undefined) {
+			templateChunks.push(`\t${formDelimiter}unit = ${params.unit}`);
+		}
+		if (params.unitEnd !== undefined) {
+			templateChunks.push(`\t${formDelimiter}unitend = ${params.unitEnd}`);
+		}
+		if (params.range !== undefined) {
+			templateChunks.push(`\t${formDelimiter}range`);
+		}
+		if (params.value !== undefined) {
+			templateChunks.push(
+				`\t${formDelimiter}value = ${[].concat(params.value).join(", ")}`,
+			);
+		}
+		if (params.ticks !== undefined) {
+			templateChunks.push(
+				`\t${formDelimiter}ticks = ${params.ticks.join(", ")}`,
+			);
+		}
+
+		// Close the input and add the attributes (if applicable)
+		templateChunks.push(")");
+		const attrs = composeAttrs(params);
+		if (attrs.length > 0) {
+			templateChunks.unshift(`[${attrs.join(" ")}]`);
+		}
+
+		// Create a wrapping <div> with the display condition (if applicable)
+		if (params.displayCondition !== undefined) {
+			templateChunks.unshift(`{% if ${params.displayCondition.condition} %}`);
+			templateChunks.unshift(
+				`::: [{$ ${params.displayCondition.dependencies.join(" ")} $}]`,
+			);
+			templateChunks.push("{% endif %}");
+			templateChunks.push(":::");
+		}
+
+		// Create the result, add it to the template and return
+		const result = `\n${templateChunks.join("\n")}\n`;
+		instance.template += result;
+		return result;
+	};
+
 	/**
 	 * Select box params.
 	 *
 	 * @typedef {Object} SelectBoxParamsType
 	 * @property {string} [placeholder] Sets the placeholder option of the select.
-	 * @property {Array<string|SelectOptionType>} options Array of options as strings or SelectOptionType objects.
-	 * @property {string} [selected] Pre-selected option value.
+	 * @property {Array<string|SelectOptionType>} [options] Array of options as strings or SelectOptionType objects.
+	 * @property {string|Array<string>} [selected] Pre-selected option value (or values, when `multiple` is set).
+	 * @property {true} [combobox] When set, a searchable combobox is created instead of a native select.
+	 * @property {true} [multiple] When set, multiple options can be selected (shown as chips). Implies `combobox`.
+	 * @property {string} [optionsData] Key of the data block (or remote data) with the array of options. Implies `combobox`.
+	 * @property {string} [optionsUrl] URL that returns a JSON array of options, fetched with the GET headers. If the URL contains `{query}`, it is replaced by the search query. Implies `combobox`.
+	 * @property {string} [dependsOn] Name of the form field whose value the options depend on. Used with `optionsMap`.
+	 * @property {string} [optionsMap] Key of the data block with the mapping of the values of the `dependsOn` field to arrays of options.
+	 * @property {true} [shuffle] Show the options in a random order (stable for the same response).
+	 * @property {Array<string>} [pin] Values of the options that keep their positions when shuffled, e.g., `["Other"]`.
 	 */
 
 	/**
@@ -705,21 +835,55 @@ class Composer {
 			);
 		}
 
-		const optionsString = params.options
-			.map((option) => {
-				if (typeof option === "string") {
-					return option;
-				}
-				if (option.value !== undefined) {
-					return `"${option.value}" ${option.label}`;
-				}
-				return option.label;
-			})
-			.join(", ");
-		templateChunks.push(`\t${formDelimiter}options = ${optionsString}`);
+		if (params.options !== undefined) {
+			const optionsString = params.options
+				.map((option) => {
+					if (typeof option === "string") {
+						return option;
+					}
+					if (option.value !== undefined) {
+						return `"${option.value}" ${option.label}`;
+					}
+					return option.label;
+				})
+				.join(", ");
+			templateChunks.push(`\t${formDelimiter}options = ${optionsString}`);
+		}
+		if (params.optionsData !== undefined) {
+			templateChunks.push(
+				`\t${formDelimiter}optionsdata = ${params.optionsData}`,
+			);
+		}
+		if (params.optionsUrl !== undefined) {
+			templateChunks.push(
+				`\t${formDelimiter}optionsurl = ${params.optionsUrl}`,
+			);
+		}
+		if (params.dependsOn !== undefined) {
+			templateChunks.push(`\t${formDelimiter}dependson = ${params.dependsOn}`);
+		}
+		if (params.optionsMap !== undefined) {
+			templateChunks.push(
+				`\t${formDelimiter}optionsmap = ${params.optionsMap}`,
+			);
+		}
+		if (params.combobox !== undefined) {
+			templateChunks.push(`\t${formDelimiter}combobox`);
+		}
+		if (params.multiple !== undefined) {
+			templateChunks.push(`\t${formDelimiter}multiple`);
+		}
+		if (params.shuffle !== undefined) {
+			templateChunks.push(`\t${formDelimiter}shuffle`);
+		}
+		if (params.pin !== undefined) {
+			templateChunks.push(`\t${formDelimiter}pin = ${params.pin.join(", ")}`);
+		}
 
 		if (params.selected !== undefined) {
-			templateChunks.push(`\t${formDelimiter}selected = ${params.selected}`);
+			templateChunks.push(
+				`\t${formDelimiter}selected = ${[].concat(params.selected).join(", ")}`,
+			);
 		}
 
 		// Close the input and add the attributes (if applicable)
@@ -757,11 +921,18 @@ class Composer {
 	 * Choice input params.
 	 *
 	 * @typedef {Object} ChoiceInputParamsType
-	 * @property {Array<string|ChoiceOptionType>} choices Array of choices as strings or ChoiceOptionType objects.
+	 * @property {Array<string|ChoiceOptionType>} [choices] Array of choices as strings or ChoiceOptionType objects.
 	 * @property {true} [multiple] Allow multiple selections.
 	 * @property {true} [horizontal] Display choices horizontally.
 	 * @property {true} [hideFormText] Hide the form text.
 	 * @property {Array<string>} [checked] Array of pre-checked choice values.
+	 * @property {string} [dependsOn] Name of the form field whose value the choices depend on. Used with `choicesMap`.
+	 * @property {string} [choicesMap] Key of the data block with the mapping of the values of the `dependsOn` field to arrays of choices.
+	 * @property {true} [shuffle] Show the choices in a random order (stable for the same response).
+	 * @property {Array<string>} [pin] Values of the choices that keep their positions when shuffled, e.g., `["Other", "None"]`.
+	 * @property {Array<string>} [correct] Values of the correct choices (when the `quiz` setting is used). With `multiple`, all of them must be checked.
+	 * @property {number|Array<number>} [points] Points for the correct answer, or one number per choice, in which case the points of the checked choices are added up. Default is `1`.
+	 * @property {string} [explanation] Shown along with the instant feedback of the quiz.
 	 */
 
 	/**
@@ -784,18 +955,28 @@ class Composer {
 		].concat(composeSharedFieldParams(params, formDelimiter));
 
 		// Add the other params
-		const choicesString = params.choices
-			.map((choice) => {
-				if (typeof choice === "string") {
-					return choice;
-				}
-				if (choice.value !== undefined) {
-					return `"${choice.value}" ${choice.label}`;
-				}
-				return choice.label;
-			})
-			.join(", ");
-		templateChunks.push(`\t${formDelimiter}choices = ${choicesString}`);
+		if (params.choices !== undefined) {
+			const choicesString = params.choices
+				.map((choice) => {
+					if (typeof choice === "string") {
+						return choice;
+					}
+					if (choice.value !== undefined) {
+						return `"${choice.value}" ${choice.label}`;
+					}
+					return choice.label;
+				})
+				.join(", ");
+			templateChunks.push(`\t${formDelimiter}choices = ${choicesString}`);
+		}
+		if (params.dependsOn !== undefined) {
+			templateChunks.push(`\t${formDelimiter}dependson = ${params.dependsOn}`);
+		}
+		if (params.choicesMap !== undefined) {
+			templateChunks.push(
+				`\t${formDelimiter}choicesmap = ${params.choicesMap}`,
+			);
+		}
 
 		if (params.multiple !== undefined) {
 			templateChunks.push(`\t${formDelimiter}multiple`);
@@ -806,11 +987,18 @@ class Composer {
 		if (params.hideFormText !== undefined) {
 			templateChunks.push(`\t${formDelimiter}hideformtext`);
 		}
+		if (params.shuffle !== undefined) {
+			templateChunks.push(`\t${formDelimiter}shuffle`);
+		}
+		if (params.pin !== undefined) {
+			templateChunks.push(`\t${formDelimiter}pin = ${params.pin.join(", ")}`);
+		}
 		if (params.checked !== undefined) {
 			templateChunks.push(
 				`\t${formDelimiter}checked = ${params.checked.join(", ")}`,
 			);
 		}
+		templateChunks.push(...composeQuizParams(params, formDelimiter));
 
 		// Close the input and add the attributes (if applicable)
 		templateChunks.push(")");
@@ -854,6 +1042,11 @@ class Composer {
 	 * @property {true} [hideLabels] Hide the text labels.
 	 * @property {true} [hideFormText] Hide the form text.
 	 * @property {Array<string>} [checked] Array of pre-checked choice values.
+	 * @property {true} [shuffle] Show the choices in a random order (stable for the same response).
+	 * @property {Array<string>} [pin] Values of the choices that keep their positions when shuffled.
+	 * @property {Array<string>} [correct] Values of the correct choices (when the `quiz` setting is used). With `multiple`, all of them must be checked.
+	 * @property {number|Array<number>} [points] Points for the correct answer, or one number per choice, in which case the points of the checked choices are added up. Default is `1`.
+	 * @property {string} [explanation] Shown along with the instant feedback of the quiz.
 	 */
 
 	/**
@@ -899,11 +1092,18 @@ class Composer {
 		if (params.hideFormText !== undefined) {
 			templateChunks.push(`\t${formDelimiter}hideformtext`);
 		}
+		if (params.shuffle !== undefined) {
+			templateChunks.push(`\t${formDelimiter}shuffle`);
+		}
+		if (params.pin !== undefined) {
+			templateChunks.push(`\t${formDelimiter}pin = ${params.pin.join(", ")}`);
+		}
 		if (params.checked !== undefined) {
 			templateChunks.push(
 				`\t${formDelimiter}checked = ${params.checked.join(", ")}`,
 			);
 		}
+		templateChunks.push(...composeQuizParams(params, formDelimiter));
 
 		// Close the input and add the attributes (if applicable)
 		templateChunks.push(")");
@@ -1074,6 +1274,154 @@ class Composer {
 		return result;
 	};
 
+	/**
+	 * Matrix input params.
+	 *
+	 * @typedef {Object} MatrixInputParamsType
+	 * @property {Array<string|ChoiceOptionType>} rows Array of rows (statements to answer) as strings or ChoiceOptionType objects.
+	 * @property {Array<string|ChoiceOptionType>} columns Array of columns (the shared scale) as strings or ChoiceOptionType objects.
+	 * @property {true} [multiple] Allow multiple selections per row.
+	 * @property {true} [hideFormText] Hide the form text.
+	 */
+
+	/**
+	 * Create a matrix (Likert grid) input field.
+	 *
+	 * @param {string} name
+	 * @param {FormFieldSharedParamsType & MatrixInputParamsType} params
+	 * @returns {string}
+	 */
+	matrixInput = (name, params) => {
+		const instance = this;
+
+		// Set up the template chunks using the shared params
+		const formDelimiter =
+			instance.settings.formDelimiter !== "\n"
+				? `${instance.settings.formDelimiter} `
+				: "";
+		const templateChunks = [
+			`${name}${params.required ? "*" : ""} = MatrixInput(`,
+		].concat(composeSharedFieldParams(params, formDelimiter));
+
+		// Add the other params
+		const composeItems = (items) => {
+			return items
+				.map((item) => {
+					if (typeof item === "string") {
+						return item;
+					}
+					if (item.value !== undefined) {
+						return `"${item.value}" ${item.label}`;
+					}
+					return item.label;
+				})
+				.join(", ");
+		};
+		templateChunks.push(
+			`\t${formDelimiter}rows = ${composeItems(params.rows)}`,
+		);
+		templateChunks.push(
+			`\t${formDelimiter}columns = ${composeItems(params.columns)}`,
+		);
+
+		if (params.multiple !== undefined) {
+			templateChunks.push(`\t${formDelimiter}multiple`);
+		}
+		if (params.hideFormText !== undefined) {
+			templateChunks.push(`\t${formDelimiter}hideformtext`);
+		}
+
+		// Close the input and add the attributes (if applicable)
+		templateChunks.push(")");
+		const attrs = composeAttrs(params);
+		if (attrs.length > 0) {
+			templateChunks.unshift(`[${attrs.join(" ")}]`);
+		}
+
+		// Create a wrapping <div> with the display condition (if applicable)
+		if (params.displayCondition !== undefined) {
+			templateChunks.unshift(`{% if ${params.displayCondition.condition} %}`);
+			templateChunks.unshift(
+				`::: [{$ ${params.displayCondition.dependencies.join(" ")} $}]`,
+			);
+			templateChunks.push("{% endif %}");
+			templateChunks.push(":::");
+		}
+
+		// Create the result, add it to the template and return
+		const result = `\n${templateChunks.join("\n")}\n`;
+		instance.template += result;
+		return result;
+	};
+
+	/**
+	 * Ranking input params.
+	 *
+	 * @typedef {Object} RankingInputParamsType
+	 * @property {Array<string|ChoiceOptionType>} choices Array of choices (in their initial order) as strings or ChoiceOptionType objects.
+	 * @property {true} [hideFormText] Hide the form text (the keyboard instructions remain available to screen readers).
+	 */
+
+	/**
+	 * Create a ranking input field.
+	 *
+	 * @param {string} name
+	 * @param {FormFieldSharedParamsType & RankingInputParamsType} params
+	 * @returns {string}
+	 */
+	rankingInput = (name, params) => {
+		const instance = this;
+
+		// Set up the template chunks using the shared params
+		const formDelimiter =
+			instance.settings.formDelimiter !== "\n"
+				? `${instance.settings.formDelimiter} `
+				: "";
+		const templateChunks = [
+			`${name}${params.required ? "*" : ""} = RankingInput(`,
+		].concat(composeSharedFieldParams(params, formDelimiter));
+
+		// Add the other params
+		const choicesString = params.choices
+			.map((choice) => {
+				if (typeof choice === "string") {
+					return choice;
+				}
+				if (choice.value !== undefined) {
+					return `"${choice.value}" ${choice.label}`;
+				}
+				return choice.label;
+			})
+			.join(", ");
+		templateChunks.push(`\t${formDelimiter}choices = ${choicesString}`);
+
+		if (params.hideFormText !== undefined) {
+			templateChunks.push(`\t${formDelimiter}hideformtext`);
+		}
+
+		// Close the input and add the attributes (if applicable)
+		templateChunks.push(")");
+		const attrs = composeAttrs(params);
+		if (attrs.length > 0) {
+			templateChunks.unshift(`[${attrs.join(" ")}]`);
+		}
+
+		// Create a wrapping <div> with the display condition (if applicable)
+		if (params.displayCondition !== undefined) {
+			templateChunks.unshift(`{% if ${params.displayCondition.condition} %}`);
+			templateChunks.unshift(
+				`::: [{$ ${params.displayCondition.dependencies.join(" ")} $}]`,
+			);
+			templateChunks.push("{% endif %}");
+			templateChunks.push(":::");
+		}
+
+		// Create the result, add it to the template and return
+		const result = `\n${templateChunks.join("\n")}\n`;
+		instance.template += result;
+		return result;
+	};
+
 	/**
 	 * Datetime input params.
 	 *
@@ -1296,6 +1644,14 @@ class Composer {
 	 * @typedef {Object} FileInputParamsType
 	 * @property {number} [sizeLimit] Maximum file size in MB. Defaults to `10`.
 	 * @property {true} [imageOnly] When set, only image files are accepted.
+	 * @property {string} [accept] Comma-separated list of accepted file extensions or MIME types, for example, ".pdf, image/*".
+	 * @property {true} [multiple] When set, multiple files can be chosen.
+	 * @property {number} [maxFiles] Maximum number of files, when `multiple` is set.
+	 * @property {number} [totalSizeLimit] Maximum total size of the files in MB, when `multiple` is set.
+	 * @property {number} [maxWidth] Maximum width of images in pixels. Larger images are downscaled before upload.
+	 * @property {number} [maxHeight] Maximum height of images in pixels. Larger images are downscaled before upload.
+	 * @property {number} [quality] Quality of the resized images, between `0` and `1`.
+	 * @property {"webp"|"jpeg"} [format] Format to convert the images to before upload.
 	 * @property {string} [currentFile] The current file that exists in the database. Use a URL for best results, for example, https://example.s3.com/image.png.
 	 */
 
@@ -1325,6 +1681,32 @@ class Composer {
 		if (params.imageOnly !== undefined) {
 			templateChunks.push(`\t${formDelimiter}imageonly`);
 		}
+		if (params.accept !== undefined) {
+			templateChunks.push(`\t${formDelimiter}accept = ${params.accept}`);
+		}
+		if (params.multiple !== undefined) {
+			templateChunks.push(`\t${formDelimiter}multiple`);
+		}
+		if (params.maxFiles !== undefined) {
+			templateChunks.push(`\t${formDelimiter}maxfiles = ${params.maxFiles}`);
+		}
+		if (params.totalSizeLimit !== undefined) {
+			templateChunks.push(
+				`\t${formDelimiter}totalsizelimit = ${params.totalSizeLimit}`,
+			);
+		}
+		if (params.maxWidth !== undefined) {
+			templateChunks.push(`\t${formDelimiter}maxwidth = ${params.maxWidth}`);
+		}
+		if (params.maxHeight !== undefined) {
+			templateChunks.push(`\t${formDelimiter}maxheight = ${params.maxHeight}`);
+		}
+		if (params.quality !== undefined) {
+			templateChunks.push(`\t${formDelimiter}quality = ${params.quality}`);
+		}
+		if (params.format !== undefined) {
+			templateChunks.push(`\t${formDelimiter}format = ${params.format}`);
+		}
 		if (params.currentFile !== undefined) {
 			templateChunks.push(
 				`\t${formDelimiter}currentfile = ${params.currentFile}`,
@@ -1354,15 +1736,180 @@ class Composer {
 		return result;
 	};
 
+	/**
+	 * Create a signature input field, i.e., a canvas to draw a signature on,
+	 * which is submitted as a PNG file.
+	 *
+	 * @param {string} name
+	 * @param {FormFieldSharedParamsType} params
+	 * @returns {string}
+	 */
+	signatureInput = (name, params) => {
+		const instance = this;
+
+		// Set up the template chunks using the shared params
+		const formDelimiter =
+			instance.settings.formDelimiter !== "\n"
+				? `${instance.settings.formDelimiter} `
+				: "";
+		const templateChunks = [
+			`${name}${params.required ? "*" : ""} = SignatureInput(`,
+		].concat(composeSharedFieldParams(params, formDelimiter));
+
+		// Close the input and add the attributes (if applicable)
+		templateChunks.push(")");
+		const attrs = composeAttrs(params);
+		if (attrs.length > 0) {
+			templateChunks.unshift(`[${attrs.join(" ")}]`);
+		}
+
+		// Create a wrapping <div> with the display condition (if applicable)
+		if (params.displayCondition !== undefined) {
+			templateChunks.unshift(`{% if ${params.displayCondition.condition} %}`);
+			templateChunks.unshift(
+				`::: [{$ ${params.displayCondition.dependencies.join(" ")} $}]`,
+			);
+			templateChunks.push("{% endif %}");
+			templateChunks.push(":::");
+		}
+
+		// Create the result, add it to the template and return
+		const result = `\n${templateChunks.join("\n")}\n`;
+		instance.template += result;
+		return result;
+	};
+
+	/**
+	 * Calculated field params.
+	 *
+	 * @typedef {Object} CalculatedParamsType
+	 * @property {string} expression The expression to evaluate, using the names of the form fields and data, for example, `quantity * price`. Supports arithmetic, comparisons, `and`, `or`, `not`, the ternary operator, and the functions `abs`, `ceil`, `floor`, `round`, `min`, `max`, `sum`, `count`, and `number`. Since the form delimiter separates the params, use `or` instead of `||`.
+	 * @property {number} [decimals] Round the result to this many decimal places.
+	 * @property {true} [hidden] When set, the field is not shown, but the result can still be bound, used in logic jumps, and is sent with the form data.
+	 */
+
+	/**
+	 * Create a calculated field.
+	 *
+	 * @param {string} name
+	 * @param {FormFieldSharedParamsType & CalculatedParamsType} params
+	 * @returns {string}
+	 */
+	calculated = (name, params) => {
+		const instance = this;
+
+		// Set up the template chunks using the shared params
+		// Calculated fields are never required
+		const formDelimiter =
+			instance.settings.formDelimiter !== "\n"
+				? `${instance.settings.formDelimiter} `
+				: "";
+		const templateChunks = [`${name} = Calculated(`].concat(
+			composeSharedFieldParams(params, formDelimiter),
+		);
+
+		// Add the other params
+		templateChunks.push(`\t${formDelimiter}expression = ${params.expression}`);
+		if (params.decimals !== undefined) {
+			templateChunks.push(`\t${formDelimiter}decimals = ${params.decimals}`);
+		}
+		if (params.hidden !== undefined) {
+			templateChunks.push(`\t${formDelimiter}hidden`);
+		}
+
+		// Close the input and add the attributes (if applicable)
+		templateChunks.push(")");
+		const attrs = composeAttrs(params);
+		if (attrs.length > 0) {
+			templateChunks.unshift(`[${attrs.join(" ")}]`);
+		}
+
+		// Create a wrapping <div> with the display condition (if applicable)
+		if (params.displayCondition !== undefined) {
+			templateChunks.unshift(`{% if ${params.displayCondition.condition} %}`);
+			templateChunks.unshift(
+				`::: [{$ ${params.displayCondition.dependencies.join(" ")} $}]`,
+			);
+			templateChunks.push("{% endif %}");
+			templateChunks.push(":::");
+		}
+
+		// Create the result, add it to the template and return
+		const result = `\n${templateChunks.join("\n")}\n`;
+		instance.template += result;
+		return result;
+	};
+
+	/**
+	 * Hidden input params.
+	 *
+	 * @typedef {Object} HiddenInputParamsType
+	 * @property {"url"|"data"|"postdata"|"cookie"|"script"|Array<"url"|"data"|"postdata"|"cookie"|"script">} [source] Where the value is taken from: URL parameters, data, POST data (from the options), cookies, or the `getHiddenFieldValue` option. When multiple sources are given, the first one with a value is used. Default is `"url"`.
+	 * @property {string} [key] The name of the URL parameter, data key, POST data key, or cookie. Default is the name of the field.
+	 * @property {string} [value] The default value, used when none of the sources has a value.
+	 * @property {string} [id] The id attribute of the form field.
+	 * @property {Array.<string>} [classNames] The CSS class names of the form field.
+	 * @property {Array.<HTMLAttributeType>} [attrs] Other HTML attributes of the form field.
+	 */
+
+	/**
+	 * Create a hidden input field.
+	 *
+	 * @param {string} name
+	 * @param {HiddenInputParamsType} [params]
+	 * @returns {string}
+	 */
+	hiddenInput = (name, params) => {
+		const instance = this;
+
+		// Set up the template chunks
+		// Hidden fields are never shown or required, so the shared params are
+		// not used
+		if (!params) {
+			params = {};
+		}
+		const formDelimiter =
+			instance.settings.formDelimiter !== "\n"
+				? `${instance.settings.formDelimiter} `
+				: "";
+		const templateChunks = [`${name} = HiddenInput(`];
+
+		// Add the params
+		if (params.source !== undefined) {
+			templateChunks.push(
+				`\t${formDelimiter}source = ${[].concat(params.source).join(", ")}`,
+			);
+		}
+		if (params.key !== undefined) {
+			templateChunks.push(`\t${formDelimiter}key = ${params.key}`);
+		}
+		if (params.value !== undefined) {
+			templateChunks.push(`\t${formDelimiter}value = ${params.value}`);
+		}
+
+		// Close the input and add the attributes (if applicable)
+		templateChunks.push(")");
+		const attrs = composeAttrs(params);
+		if (attrs.length > 0) {
+			templateChunks.unshift(`[${attrs.join(" ")}]`);
+		}
+
+		// Create the result, add it to the template and return
+		const result = `\n${templateChunks.join("\n")}\n`;
+		instance.template += result;
+		return result;
+	};
+
 	/**
 	 * Slide params.
 	 *
 	 * @typedef {Object} SlideParamsType
-	 * @property {string} [jumpCondition] Logic jump condition that must be `true` for slide to be shown.
+	 * @property {string} [jumpCondition] Logic jump condition that must be `true` for slide to be shown, for example, `age between 18 and 65 and hobbies contains "Chess"`. Supports comparisons, `contains`, `in`, `not in`, `between`, `is empty`, `is answered`, `and`, `or`, and `not`.
 	 * @property {string} [pageProgress] Progress indicator shown on top (e.g. `"50%"` or `"1/2"`).
 	 * @property {"start"|"center"|"end"|"stretch"} [buttonAlignment] Set the alignment of this slide's CTA button.
 	 * @property {true} [post] If set, posts form data up to this slide when going to the next one.
 	 * @property {true} [disablePrevious] If set, disables the previous button.
+	 * @property {true} [shuffle] If set, shows this slide in a random order along with the shuffled slides right next to it.
 	 */
 
 	/**
@@ -1404,6 +1951,9 @@ class Composer {
 		if (params.disablePrevious !== undefined) {
 			templateChunks.push("<< disable");
 		}
+		if (params.shuffle !== undefined) {
+			templateChunks.push("~ shuffle");
+		}
 
 		// Create the result, add it to the template and return
 		const result = `\n${templateChunks.join("\n")}\n`;
@@ -1943,6 +2493,57 @@ class Composer {
 		instance.template += result;
 		return result;
 	};
+
+	/**
+	 * Repeatable group params.
+	 *
+	 * @typedef {Object} RepeatParamsType
+	 * @property {number} [min] The minimum number of items. Defaults to `1`.
+	 * @property {number} [max] The maximum number of items. No limit by default.
+	 */
+
+	/**
+	 * Create a repeatable group start tag. The form fields between the start
+	 * and end tags are repeated, i.e., the user can add and remove items, and
+	 * the value is saved as an array of objects under the given name.
+	 *
+	 * @param {string} name
+	 * @param {BlockElemParamsType & RepeatParamsType} [params]
+	 * @returns {string}
+	 */
+	repeatStart = (name, params) => {
+		const instance = this;
+
+		if (!params) {
+			params = {};
+		}
+
+		const attrs = composeAttrs(params);
+		attrs.push(`repeat=${name}`);
+		if (params.min !== undefined) {
+			attrs.push(`min=${params.min}`);
+		}
+		if (params.max !== undefined) {
+			attrs.push(`max=${params.max}`);
+		}
+
+		const result = `\n::: [${attrs.join(" ")}]\n`;
+		instance.template += result;
+		return result;
+	};
+
+	/**
+	 * Create a repeatable group end tag.
+	 *
+	 * @returns {string}
+	 */
+	repeatEnd = () => {
+		const instance = this;
+
+		const result = "\n:::\n";
+		instance.template += result;
+		return result;
+	};
 }
 
 export { composeSharedFieldParams, composeAttrs, translate, Composer };
@@ -1,23 +1,64 @@
 import { parseElemAttrs, addReservedClass  } from "./attrs-parse.js";
+import { escape$1  } from "./helpers.js";
+import { getTranslation  } from "./translations.js";
+
+const bindSpanPattern =
+	/<span data-fmd-bind-([a-zA-Z_$][a-zA-Z0-9_$]*)(?:="")?>(.*?)<\/span>/gs;
+
+/**
+ * Create a single item of a repeatable group. The names of the form fields
+ * inside the content are indexed, e.g., "name" becomes "dependents_2_name"
+ * for the second item of the "dependents" group, including the form fields
+ * with attributes on the same line, e.g., `[.col-6] name = TextInput(...)`.
+ *
+ * @param {string} content
+ * @param {string} name - the name of the repeatable group
+ * @param {number} index
+ * @param {string} localization
+ * @returns {string} item as a template string
+ */
+function createRepeatItem(content, name, index, localization) {
+	content = content.replace(
+		/^(\s*(?:\[[^\]\n]*\]\s*)?)([a-zA-Z_$][a-zA-Z0-9_$]*)(\s*\*?\s*=\s*[a-zA-Z]+\()/gm,
+		`$1${name}_${index}_$2$3`,
+	);
+	const footer = [
+		`<div class="fmd-repeat-item-footer">`,
+		`	<button type="button" class="fmd-repeat-remove-btn fmd-btn fmd-btn-control">${getTranslation(localization, "repeat-remove-btn")}</button>`,
+		`</div>`,
+	].join("\n");
+	return [
+		`<div class="fmd-repeat-item fmd-grid" data-fmd-repeat-index="${index}">`,
+		content,
+		footer,
+		`</div>\n`,
+	].join("\n\n");
+}
 
 /**
  * Given a template string, parse the <div> elements, and return the template.
  * The opening and closing tags of the <div> elements are identified by pairs
- * of triple colons ":::". Nesting is not supported.
+ * of triple colons ":::". Nesting is not supported. A <div> element with a
+ * "repeat" attribute becomes a repeatable group, e.g.,
+ * `::: [repeat=dependents min=1 max=5]`.
  *
  * @param {string} template
  * @param {string} cssPrefix
- * @returns {{template: string, bindDivTemplates: Object}} template with
- * parsed <div> elements, bind <div> templates
+ * @param {string} [localization]
+ * @returns {{template: string, bindDivTemplates: Object, repeatTemplates: Object}}
+ * template with parsed <div> elements, bind <div> templates, repeatable group
+ * templates
  */
-function parseDivs(template, cssPrefix) {
+function parseDivs(template, cssPrefix, localization) {
 	const bindDivTemplates = {};
+	const repeatTemplates = {};
 	let bindDivCount = 0;
 	template = template.replace(/:::\s*(.*?)\s*:::/gs, function (match, content) {
 		content = content.trim();
 
 		// Parse and add attributes to the element (if they are provided)
 		let startTag = "<div>";
+		let repeatName = "";
 		const containsAttrs = content.match(/^\[(.*?)\](.*)/s);
 		if (containsAttrs) {
 			let [, attrs, rest] = containsAttrs;
@@ -52,8 +93,54 @@ function parseDivs(template, cssPrefix) {
 					attrs.substring(endBindIndex + 2);
 			}
 
+			// Parse the repeatable group attributes (if provided)
+			// The "min" and "max" attributes are only used alongside "repeat"
+			let repeatMin = 1;
+			let repeatMax = 0;
+			const containsRepeat = attrs.match(
+				/(^|\s)repeat\s*=\s*["']?([a-zA-Z_$][a-zA-Z0-9_$]*)["']?(?=\s|$)/,
+			);
+			if (containsRepeat) {
+				repeatName = containsRepeat[2];
+				attrs = attrs.replace(
+					/(^|\s)(repeat|min|max)\s*=\s*["']?([a-zA-Z0-9_$]+)["']?(?=\s|$)/g,
+					function (match, space, key, value) {
+						if (key === "min" && value.match(/^\d+$/)) {
+							repeatMin = Math.max(parseInt(value), 1);
+						} else if (key === "max" && value.match(/^\d+$/)) {
+							repeatMax = parseInt(value);
+						} else if (key !== "repeat") {
+							return match;
+						}
+						return space;
+					},
+				);
+			}
+
 			content = `\n\n${rest.trim()}\n\n`;
 
+			// Create the repeatable group with the minimum number of items
+			// Also save the content (of a single item) and reference
+			if (repeatName) {
+				if (repeatMax > 0 && repeatMax < repeatMin) {
+					repeatMax = repeatMin;
+				}
+				repeatTemplates[repeatName] = rest.trim();
+				const items = [];
+				for (let index = 1; index <= repeatMin; index++) {
+					items.push(
+						createRepeatItem(rest.trim(), repeatName, index, localization),
+					);
+				}
+				const footer = [
+					`<div class="fmd-repeat-footer">`,
+					`	<button type="button" class="fmd-repeat-add-btn fmd-btn fmd-btn-accent fmd-btn-control">${getTranslation(localization, "repeat-add-btn")}</button>`,
+					`</div>\n\n`,
+				].join("\n");
+				content = ["", ...items, footer].join("\n\n");
+				attrs += ` data-fmd-repeat="${repeatName}" data-fmd-repeat-min="${repeatMin}" data-fmd-repeat-max="${repeatMax}"`;
+			}
+
 			// If data-binding attributes are present, add those attributes
 			// Also save the content and reference
 			if (bindAttrs.length > 0) {
@@ -71,6 +158,9 @@ function parseDivs(template, cssPrefix) {
 
 		// Add the reserved class name to the start tag
 		startTag = addReservedClass(startTag, "fmd-grid");
+		if (repeatName) {
+			startTag = addReservedClass(startTag, "fmd-repeat");
+		}
 
 		return `\n${startTag}${content}</div>\n`;
 	});
@@ -78,6 +168,7 @@ function parseDivs(template, cssPrefix) {
 	return {
 		template: template,
 		bindDivTemplates: bindDivTemplates,
+		repeatTemplates: repeatTemplates,
 	};
 }
 
@@ -96,4 +187,53 @@ function parseBindSpans(template) {
 	);
 }
 
-export { parseDivs, parseBindSpans };
\ No newline at end of file
+/**
+ * Given a template string with parsed bind <span> elements, get the names
+ * bound to those elements (without duplicates).
+ *
+ * @param {string} template
+ * @returns {Array.<string>} names
+ */
+function getBindSpanNames(template) {
+	const names = [];
+	for (const match of template.matchAll(bindSpanPattern)) {
+		if (!names.includes(match[1])) {
+			names.push(match[1]);
+		}
+	}
+	return names;
+}
+
+/**
+ * Given a template string with parsed bind <span> elements, fill those
+ * elements with the values of the bound names, and return the template.
+ * Arrays are separated by commas, and the elements of the names without
+ * values are left empty. When the form delimiter is given, it is encoded in
+ * the values as HTML entities, so that a piped value never splits the params
+ * of a form field.
+ *
+ * @param {string} template
+ * @param {Object} values
+ * @param {string} [formDelimiter]
+ * @returns {string} template with filled bind <span> elements
+ */
+function fillBindSpans(template, values, formDelimiter) {
+	const encodedDelimiter = formDelimiter
+		? formDelimiter
+				.split("")
+				.map((char) => `&#${char.charCodeAt(0)};`)
+				.join("")
+		: "";
+	return template.replace(bindSpanPattern, (match, name) => {
+		const value = values[name];
+		let text =
+			value === undefined || value === null ? "" : [].concat(value).join(", ");
+		text = escape$1(text, true);
+		if (formDelimiter) {
+			text = text.split(formDelimiter).join(encodedDelimiter);
+		}
+		return `<span data-fmd-bind-${name}>${text}</span>`;
+	});
+}
+
+export { createRepeatItem, parseDivs, parseBindSpans, getBindSpanNames, fillBindSpans };
\ No newline at end of file
@@ -0,0 +1,639 @@
+/**
+ * Functions that can be called inside expressions. Only these functions are
+ * available, which (along with the absence of any JavaScript evaluation)
+ * keeps the expressions sandboxed.
+ */
+const expressionFunctions = {
+	abs: (value) => Math.abs(value),
+	ceil: (value) => Math.ceil(value),
+	floor: (value) => Math.floor(value),
+	round: (value, decimals) => {
+		const factor = Math.pow(10, decimals || 0);
+		return Math.round(value * factor) / factor;
+	},
+	min: (...values) => Math.min(...[].concat(...values)),
+	max: (...values) => Math.max(...[].concat(...values)),
+	sum: (...values) => {
+		return [].concat(...values).reduce((total, value) => {
+			return total + (Number(value) || 0);
+		}, 0);
+	},
+	count: (value) => {
+		if (Array.isArray(value) || typeof value === "string") {
+			return value.length;
+		}
+		return value === null || value === undefined ? 0 : 1;
+	},
+	number: (value) => (isNaN(Number(value)) ? 0 : Number(value)),
+	answered: (value) => !isEmptyValue(value),
+};
+
+const expressionKeywords = [
+	"and",
+	"or",
+	"not",
+	"in",
+	"is",
+	"true",
+	"false",
+	"null",
+];
+
+/**
+ * Check if a value is empty, i.e., the form field has not been answered. Zero
+ * and `false` are not empty.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+	if (value === null || value === undefined) {
+		return true;
+	}
+	if (typeof value === "string") {
+		return value.trim() === "";
+	}
+	if (Array.isArray(value)) {
+		return value.length === 0;
+	}
+	if (typeof value === "object") {
+		return Object.values(value).every(isEmptyValue);
+	}
+	return false;
+}
+
+/**
+ * Check if a value (string, array or object) contains another value.
+ *
+ * @param {*} value
+ * @param {*} search
+ * @returns {boolean}
+ */
+function containsValue(value, search) {
+	if (typeof value === "string") {
+		return value.includes(String(search));
+	}
+	if (Array.isArray(value)) {
+		return value.some((item) => item == search);
+	}
+	if (value !== null && typeof value === "object") {
+		return Object.prototype.hasOwnProperty.call(value, search);
+	}
+	return false;
+}
+
+/**
+ * Split an expression into tokens.
+ *
+ * @param {string} expression
+ * @returns {Array.<{type: string, value: *, position: number}>}
+ */
+function tokenizeExpression(expression) {
+	const tokens = [];
+	let position = 0;
+	while (position < expression.length) {
+		const rest = expression.slice(position);
+
+		// Skip white-space
+		const matchesSpace = rest.match(/^\s+/);
+		if (matchesSpace) {
+			position += matchesSpace[0].length;
+			continue;
+		}
+
+		// Numbers
+		const matchesNumber = rest.match(/^\d+(\.\d+)?/);
+		if (matchesNumber) {
+			tokens.push({
+				type: "number",
+				value: Number(matchesNumber[0]),
+				position: position,
+			});
+			position += matchesNumber[0].length;
+			continue;
+		}
+
+		// Strings, in single or double quotes
+		const matchesString = rest.match(
+			/^("((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)')/,
+		);
+		if (matchesString) {
+			const content =
+				matchesString[2] !== undefined ? matchesString[2] : matchesString[3];
+			tokens.push({
+				type: "string",
+				value: content.replace(/\\(.)/g, "$1"),
+				position: position,
+			});
+			position += matchesString[0].length;
+			continue;
+		}
+
+		// Names and keywords
+		const matchesName = rest.match(/^[a-zA-Z_$][a-zA-Z0-9_$]*/);
+		if (matchesName) {
+			tokens.push({
+				type: expressionKeywords.includes(matchesName[0]) ? "keyword" : "name",
+				value: matchesName[0],
+				position: position,
+			});
+			position += matchesName[0].length;
+			continue;
+		}
+
+		// Operators and punctuation
+		const matchesOperator = rest.match(
+			/^(===|!==|==|!=|<=|>=|&&|\|\||[<>+\-*/%()[\],.?:!])/,
+		);
+		if (matchesOperator) {
+			tokens.push({
+				type: "operator",
+				value: matchesOperator[0],
+				position: position,
+			});
+			position += matchesOperator[0].length;
+			continue;
+		}
+
+		throw new Error(
+			`Unexpected character "${rest[0]}" at position ${position + 1}`,
+		);
+	}
+	tokens.push({ type: "end", value: "", position: expression.length });
+	return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree. Supported are numbers, strings,
+ * `true`, `false`, `null`, names (form fields and data), member access
+ * (`a.b`, `a[0]`), arithmetic (`+ - * / %`), comparisons (`== != === !== < <=
+ * > >=`), `contains`, `in`, `not in`, `between ... and ...`, `is empty`, `is
+ * not empty`, `is answered`, `is not answered`, logical operators (`and or
+ * not`, `&& || !`), the ternary operator, and calls to a small set of
+ * functions (`abs ceil floor round min max sum count number answered`).
+ * Throws an error if the expression is not valid. Note that `||` cannot be
+ * used in the params of form fields (e.g., calculated fields) when `|` is the
+ * form delimiter, so `or` is the form to use there.
+ *
+ * @param {string} expression
+ * @returns {Object} syntax tree
+ */
+function parseExpression(expression) {
+	const tokens = tokenizeExpression(expression);
+	let index = 0;
+
+	const peek = () => tokens[index];
+	const isToken = (type, value) => {
+		return peek().type === type && peek().value === value;
+	};
+	const expect = (type, value) => {
+		const token = peek();
+		if (token.type !== type || (value !== undefined && token.value !== value)) {
+			throw new Error(
+				token.type === "end"
+					? "Unexpected end of expression"
+					: `Unexpected "${token.value}" at position ${token.position + 1}`,
+			);
+		}
+		index += 1;
+		return token;
+	};
+
+	const parseConditional = () => {
+		const test = parseOr();
+		if (isToken("operator", "?")) {
+			index += 1;
+			const consequent = parseConditional();
+			expect("operator", ":");
+			const alternate = parseConditional();
+			return {
+				type: "conditional",
+				test: test,
+				consequent: consequent,
+				alternate: alternate,
+			};
+		}
+		return test;
+	};
+
+	const parseOr = () => {
+		let left = parseAnd();
+		while (isToken("keyword", "or") || isToken("operator", "||")) {
+			index += 1;
+			left = { type: "logical", operator: "or", left: left, right: parseAnd() };
+		}
+		return left;
+	};
+
+	const parseAnd = () => {
+		let left = parseNot();
+		while (isToken("keyword", "and") || isToken("operator", "&&")) {
+			index += 1;
+			left = {
+				type: "logical",
+				operator: "and",
+				left: left,
+				right: parseNot(),
+			};
+		}
+		return left;
+	};
+
+	const parseNot = () => {
+		if (isToken("keyword", "not") || isToken("operator", "!")) {
+			index += 1;
+			return { type: "unary", operator: "not", argument: parseNot() };
+		}
+		return parseComparison();
+	};
+
+	const parseComparison = () => {
+		let left = parseAdditive();
+		while (true) {
+			const token = peek();
+			if (
+				token.type === "operator" &&
+				["==", "!=", "===", "!==", "<", "<=", ">", ">="].includes(token.value)
+			) {
+				index += 1;
+				left = {
+					type: "binary",
+					operator: token.value,
+					left: left,
+					right: parseAdditive(),
+				};
+			}
+			// "a contains b"
+			else if (token.type === "name" && token.value === "contains") {
+				index += 1;
+				left = {
+					type: "binary",
+					operator: "contains",
+					left: left,
+					right: parseAdditive(),
+				};
+			}
+			// "a in b" and "a not in b"
+			else if (
+				isToken("keyword", "in") ||
+				(isToken("keyword", "not") &&
+					tokens[index + 1].type === "keyword" &&
+					tokens[index + 1].value === "in")
+			) {
+				const operator = token.value === "not" ? "not in" : "in";
+				index += operator === "not in" ? 2 : 1;
+				left = {
+					type: "binary",
+					operator: operator,
+					left: left,
+					right: parseAdditive(),
+				};
+			}
+			// "a between b and c"
+			else if (token.type === "name" && token.value === "between") {
+				index += 1;
+				const lower = parseAdditive();
+				expect("keyword", "and");
+				left = {
+					type: "between",
+					argument: left,
+					lower: lower,
+					upper: parseAdditive(),
+				};
+			}
+			// "a is empty", "a is not empty", "a is answered", "a is not answered"
+			else if (isToken("keyword", "is")) {
+				index += 1;
+				let negated = false;
+				if (isToken("keyword", "not")) {
+					index += 1;
+					negated = true;
+				}
+				const test = peek();
+				if (
+					test.type !== "name" ||
+					(test.value !== "empty" && test.value !== "answered")
+				) {
+					throw new Error(
+						test.type === "end"
+							? "Unexpected end of expression"
+							: `Expected "empty" or "answered" at position ${test.position + 1}`,
+					);
+				}
+				index += 1;
+				left = {
+					type: "is",
+					argument: left,
+					test: test.value,
+					negated: negated,
+				};
+			} else {
+				return left;
+			}
+		}
+	};
+
+	const parseAdditive = () => {
+		let left = parseMultiplicative();
+		while (isToken("operator", "+") || isToken("operator", "-")) {
+			const operator = expect("operator").value;
+			left = {
+				type: "binary",
+				operator: operator,
+				left: left,
+				right: parseMultiplicative(),
+			};
+		}
+		return left;
+	};
+
+	const parseMultiplicative = () => {
+		let left = parseUnary();
+		while (
+			isToken("operator", "*") ||
+			isToken("operator", "/") ||
+			isToken("operator", "%")
+		) {
+			const operator = expect("operator").value;
+			left = {
+				type: "binary",
+				operator: operator,
+				left: left,
+				right: parseUnary(),
+			};
+		}
+		return left;
+	};
+
+	const parseUnary = () => {
+		if (isToken("operator", "-") || isToken("operator", "+")) {
+			const operator = expect("operator").value;
+			return { type: "unary", operator: operator, argument: parseUnary() };
+		}
+		return parseMember();
+	};
+
+	const parseMember = () => {
+		let object = parsePrimary();
+		while (isToken("operator", ".") || isToken("operator", "[")) {
+			if (expect("operator").value === ".") {
+				const property = expect("name");
+				object = {
+					type: "member",
+					object: object,
+					property: { type: "literal", value: property.value },
+				};
+			} else {
+				const property = parseConditional();
+				expect("operator", "]");
+				object = { type: "member", object: object, property: property };
+			}
+		}
+		return object;
+	};
+
+	const parsePrimary = () => {
+		const token = peek();
+		if (token.type === "number" || token.type === "string") {
+			index += 1;
+			return { type: "literal", value: token.value };
+		}
+		if (token.type === "keyword" && token.value === "true") {
+			index += 1;
+			return { type: "literal", value: true };
+		}
+		if (token.type === "keyword" && token.value === "false") {
+			index += 1;
+			return { type: "literal", value: false };
+		}
+		if (token.type === "keyword" && token.value === "null") {
+			index += 1;
+			return { type: "literal", value: null };
+		}
+		if (token.type === "name") {
+			index += 1;
+
+			// Function call
+			if (isToken("operator", "(")) {
+				if (
+					!Object.prototype.hasOwnProperty.call(
+						expressionFunctions,
+						token.value,
+					)
+				) {
+					throw new Error(
+						`Unknown function "${token.value}" at position ${token.position + 1}`,
+					);
+				}
+				index += 1;
+				const args = [];
+				if (!isToken("operator", ")")) {
+					args.push(parseConditional());
+					while (isToken("operator", ",")) {
+						index += 1;
+						args.push(parseConditional());
+					}
+				}
+				expect("operator", ")");
+				return { type: "call", callee: token.value, args: args };
+			}
+
+			return { type: "name", name: token.value };
+		}
+		if (isToken("operator", "(")) {
+			index += 1;
+			const node = parseConditional();
+			expect("operator", ")");
+			return node;
+		}
+		return expect("name");
+	};
+
+	const tree = parseConditional();
+	expect("end");
+	return tree;
+}
+
+/**
+ * Get the names (form fields and data) used in a syntax tree.
+ *
+ * @param {Object} tree
+ * @returns {Array.<string>}
+ */
+function getExpressionNames(tree) {
+	const names = [];
+	const walk = (node) => {
+		if (!node || typeof node !== "object") {
+			return;
+		}
+		if (node.type === "name") {
+			if (!names.includes(node.name)) {
+				names.push(node.name);
+			}
+			return;
+		}
+		for (const value of Object.values(node)) {
+			if (Array.isArray(value)) {
+				value.forEach(walk);
+			} else {
+				walk(value);
+			}
+		}
+	};
+	walk(tree);
+	return names;
+}
+
+/**
+ * Get a property of a value, but only if it is an own property (or the length
+ * of an array or string). This way, nothing can be reached through the
+ * prototype chain.
+ *
+ * @param {*} value
+ * @param {*} property
+ * @returns {*}
+ */
+function getOwnProperty(value, property) {
+	if (value === null || value === undefined) {
+		return undefined;
+	}
+	if (
+		property === "length" &&
+		(Array.isArray(value) || typeof value === "string")
+	) {
+		return value.length;
+	}
+	if (
+		typeof value === "object" &&
+		Object.prototype.hasOwnProperty.call(value, property)
+	) {
+		return value[property];
+	}
+	if (typeof value === "string" && /^\d+$/.test(String(property))) {
+		return value[property];
+	}
+	return undefined;
+}
+
+/**
+ * Evaluate a syntax tree (see `parseExpression`) using the given context,
+ * i.e., the form data and data.
+ *
+ * @param {Object} tree
+ * @param {Object} context
+ * @returns {*}
+ */
+function evaluateExpression(tree, context) {
+	switch (tree.type) {
+		case "literal":
+			return tree.value;
+		case "name":
+			return getOwnProperty(context, tree.name);
+		case "member":
+			return getOwnProperty(
+				evaluateExpression(tree.object, context),
+				evaluateExpression(tree.property, context),
+			);
+		case "call":
+			return expressionFunctions[tree.callee](
+				...tree.args.map((arg) => evaluateExpression(arg, context)),
+			);
+		case "conditional":
+			return evaluateExpression(tree.test, context)
+				? evaluateExpression(tree.consequent, context)
+				: evaluateExpression(tree.alternate, context);
+		case "logical":
+			if (tree.operator === "and") {
+				return (
+					evaluateExpression(tree.left, context) &&
+					evaluateExpression(tree.right, context)
+				);
+			}
+			return (
+				evaluateExpression(tree.left, context) ||
+				evaluateExpression(tree.right, context)
+			);
+		case "unary": {
+			const argument = evaluateExpression(tree.argument, context);
+			if (tree.operator === "not") {
+				return !argument;
+			}
+			return tree.operator === "-" ? -argument : +argument;
+		}
+		case "between": {
+			const argument = evaluateExpression(tree.argument, context);
+			if (isEmptyValue(argument)) {
+				return false;
+			}
+			return (
+				argument >= evaluateExpression(tree.lower, context) &&
+				argument <= evaluateExpression(tree.upper, context)
+			);
+		}
+		case "is": {
+			const empty = isEmptyValue(evaluateExpression(tree.argument, context));
+			const result = tree.test === "empty" ? empty : !empty;
+			return tree.negated ? !result : result;
+		}
+		case "binary": {
+			const left = evaluateExpression(tree.left, context);
+			const right = evaluateExpression(tree.right, context);
+			switch (tree.operator) {
+				case "+":
+					return left + right;
+				case "-":
+					return left - right;
+				case "*":
+					return left * right;
+				case "/":
+					return left / right;
+				case "%":
+					return left % right;
+				case "==":
+					return left == right;
+				case "!=":
+					return left != right;
+				case "===":
+					return left === right;
+				case "!==":
+					return left !== right;
+				case "contains":
+					return containsValue(left, right);
+				case "in":
+					return containsValue(right, left);
+				case "not in":
+					return !containsValue(right, left);
+				case "<":
+					return left < right;
+				case "<=":
+					return left <= right;
+				case ">":
+					return left > right;
+				case ">=":
+					return left >= right;
+			}
+		}
+	}
+	throw new Error(`Unknown expression node "${tree.type}"`);
+}
+
+/**
+ * Evaluate a condition, for example, a logic jump condition, using the given
+ * context. Throws an error if the condition is not valid.
+ *
+ * @param {string} condition
+ * @param {Object} context
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, context) {
+	return evaluateExpression(parseExpression(condition), context) ? true : false;
+}
+
+export {
+	expressionFunctions,
+	isEmptyValue,
+	parseExpression,
+	getExpressionNames,
+	evaluateExpression,
+	evaluateCondition,
+};
@@ -1,5 +1,6 @@
 import { addReservedClass  } from "./attrs-parse.js";
-import { isNumeric, unescape  } from "./helpers.js";
+import { parseExpression  } from "./expression-parse.js";
+import { isNumeric, unescape, escape$1  } from "./helpers.js";
 import { getPhoneNumberPlaceholder,
 	createCountryCallingCodeOptions,
  } from "./phone-numbers.js";
@@ -7,7 +8,7 @@ import { getTranslation  } from "./translations.js";
 import nunjucks from "nunjucks";
 
 const formFieldPattern = new RegExp(
-	/\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(\*)?\s*=\s*(textinput|emailinput|urlinput|telinput|passwordinput|numberinput|selectbox|choiceinput|picturechoice|ratinginput|opinionscale|datetimeinput|dateinput|timeinput|fileinput)\((.*)\)/,
+	/\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(\*)?\s*=\s*(textinput|emailinput|urlinput|telinput|passwordinput|numberinput|sliderinput|selectbox|choiceinput|picturechoice|ratinginput|opinionscale|matrixinput|rankinginput|datetimeinput|dateinput|timeinput|fileinput|signatureinput|calculated|hiddeninput)\((.*)\)/,
 	"is",
 );
 
@@ -389,11 +390,49 @@ const numberFieldTemplate = `
 		<span id="{{ inputId }}-unit-end" class="fmd-input-group-text">{{ validParams.unitend }}</span>
 		{% endif %}
 	</div>
+	{% if validParams.correct %}
+	<div class="fmd-quiz-feedback" aria-live="polite" hidden>
+		<p class="fmd-quiz-feedback-title"></p>
+		{% if validParams.explanation %}
+		<p class="fmd-quiz-feedback-explanation">{{ validParams.explanation }}</p>
+		{% endif %}
+	</div>
+	{% endif %}
 </div>
 `;
 
 /**
- * Create a number form field.
+ * Create the attributes of a quiz question (if applicable), i.e., the correct
+ * answer (or answers) and the points for answering correctly (default is 1),
+ * or the points of each choice.
+ *
+ * @param {string} name
+ * @param {Object} validParams
+ * @returns {string} attributes, or an empty string
+ */
+function createQuizAttrs(name, validParams) {
+	if (!validParams.correct) {
+		for (const key of ["points", "explanation"]) {
+			if (validParams[key] !== undefined) {
+				console.warn(
+					`[FORM-FIELDS] "${name}": "${key}" will only work along with "correct"`,
+				);
+			}
+		}
+		return "";
+	}
+	const points =
+		validParams.points === undefined
+			? 1
+			: typeof validParams.points === "object"
+				? validParams.points
+				: Number(validParams.points);
+	return `data-fmd-correct="${escape$1(JSON.stringify(validParams.correct), true)}" data-fmd-points="${escape$1(JSON.stringify(points), true)}"`;
+}
+
+/**
+ * Create a number form field. With the `correct` param, the form field is a
+ * quiz question (when the `quiz` setting is used).
  *
  * @param {string} name
  * @param {boolean} required
@@ -452,6 +491,12 @@ function createNumberField(
 			validParams[key] = value;
 		} else if (key === "value" && isNumeric(value)) {
 			validParams[key] = value;
+		} else if (key === "correct" && isNumeric(value)) {
+			validParams[key] = [Number(value)];
+		} else if (key === "points" && isNumeric(value)) {
+			validParams[key] = value;
+		} else if (key === "explanation" && value && typeof value === "string") {
+			validParams[key] = value;
 		} else {
 			console.warn(
 				`[FORM-FIELDS] "${name}": "${key} = ${value}" is not a valid parameter`,
@@ -459,14 +504,203 @@ function createNumberField(
 		}
 	}
 
+	// Add the quiz attributes (if applicable)
+	const quizAttrs = createQuizAttrs(name, validParams);
+
 	// Use Nunjucks to create the form field
 	nunjucks.configure({ autoescape: false });
 	return nunjucks.renderString(numberFieldTemplate, {
+		startTag: quizAttrs
+			? `${startTag.slice(0, 4)} data-fmd-name="${name}" ${quizAttrs} ${startTag.slice(4)}`
+			: startTag,
+		name: name,
+		inputId: id !== "" ? `${id}:id_${name}` : `id_${name}`,
+		required: required,
+		validParams: validParams,
+		translations: translations,
+	});
+}
+
+/* Slider field */
+
+const sliderFieldTemplate = `
+{{ startTag }}
+	<label class="fmd-form-question" for="{{ inputId }}" id="{{ inputId }}-label">
+		{{ validParams.question | safe }}
+	</label>
+	{% if validParams.description %}
+	<p class="fmd-form-description">
+		{{ validParams.description }}
+	</p>
+	{% endif %}
+	<div class="fmd-slider" style="--fmd-slider-low: {% if validParams.range %}{{ handles[0].percent }}{% else %}0{% endif %}%; --fmd-slider-high: {{ handles[handles.length - 1].percent }}%">
+		<div class="fmd-slider-track">
+			{% for handle in handles %}
+			<input
+				name="{{ name }}"
+				id="{{ inputId }}{% if not loop.first %}-{{ handle.key }}{% endif %}"
+				type="range"
+				class="fmd-form-slider-input"
+				min="{{ validParams.min }}"
+				max="{{ validParams.max }}"
+				step="{{ validParams.step }}"
+				value="{{ handle.value }}"
+				data-fmd-slider-handle="{{ handle.key }}"
+				{% if validParams.range %}aria-labelledby="{{ inputId }}-label {{ inputId }}-{{ handle.key }}-label"{% endif %}
+				{% if validParams.disabled %}disabled{% endif %}
+				{% if validParams.autofocus and loop.first %}data-fmd-autofocus{% endif %}
+			>
+			{% if validParams.range %}
+			<span id="{{ inputId }}-{{ handle.key }}-label" class="fmd-visually-hidden">{{ handle.label }}</span>
+			{% endif %}
+			<output class="fmd-slider-bubble" for="{{ inputId }}{% if not loop.first %}-{{ handle.key }}{% endif %}" data-fmd-slider-bubble="{{ handle.key }}" style="--fmd-slider-percent: {{ handle.percent }}%">{{ validParams.unit }}{{ handle.value }}{{ validParams.unitend }}</output>
+			{% endfor %}
+		</div>
+		<div class="fmd-slider-ticks" aria-hidden="true">
+			{% for tick in ticks %}
+			<span class="fmd-slider-tick" style="--fmd-slider-percent: {{ tick.percent }}%">{{ validParams.unit }}{{ tick.value }}{{ validParams.unitend }}</span>
+			{% endfor %}
+		</div>
+	</div>
+</div>
+`;
+
+/**
+ * Create a slider form field. In range mode, there are two handles and the
+ * value is `[low, high]`.
+ *
+ * @param {string} name
+ * @param {boolean} required
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} slider input form field as HTML string
+ */
+function createSliderField(
+	name,
+	required,
+	parsedAttrs,
+	params,
+	formDelimiter,
+	id,
+	localization,
+) {
+	// Set up the start tag, valid params, the rest, and translations
+	const {
 		startTag: startTag,
+		validParams: validParams,
+		restParams: restParams,
+	} = formFieldSetup(
+		required,
+		parsedAttrs,
+		params,
+		formDelimiter,
+		localization,
+		false,
+	);
+	const translations = {
+		sliderMinLabel: getTranslation(localization, "slider-min-label"),
+		sliderMaxLabel: getTranslation(localization, "slider-max-label"),
+	};
+
+	// Go through the rest of the params and validate
+	for (let [key, value] of Object.entries(restParams)) {
+		if (key === "disabled" && value) {
+			validParams[key] = value;
+		} else if (key === "max" && isNumeric(value)) {
+			validParams[key] = Number(value);
+		} else if (key === "min" && isNumeric(value)) {
+			validParams[key] = Number(value);
+		} else if (key === "step" && isNumeric(value) && Number(value) > 0) {
+			validParams[key] = Number(value);
+		} else if (key === "unit" && value && typeof value === "string") {
+			validParams[key] = value;
+		} else if (key === "unitend" && value && typeof value === "string") {
+			validParams[key] = value;
+		} else if (key === "range" && value) {
+			validParams[key] = value;
+		} else if (
+			(key === "value" || key === "ticks") &&
+			typeof value === "string" &&
+			value.split(",").every((item) => isNumeric(item.trim()))
+		) {
+			validParams[key] = value.split(",").map((item) => Number(item.trim()));
+		} else {
+			console.warn(
+				`[FORM-FIELDS] "${name}": "${key} = ${value}" is not a valid parameter`,
+			);
+		}
+	}
+
+	// Set default params
+	validParams.min = validParams.min !== undefined ? validParams.min : 0;
+	validParams.max = validParams.max !== undefined ? validParams.max : 100;
+	validParams.step = validParams.step || 1;
+	if (validParams.max <= validParams.min) {
+		console.warn(
+			`[FORM-FIELDS] "${name}": "max" must be greater than "min", using ${validParams.min + 100} instead`,
+		);
+		validParams.max = validParams.min + 100;
+	}
+
+	// Get the position (percentage) of a value on the slider
+	const getPercent = (value) => {
+		const percent =
+			((value - validParams.min) / (validParams.max - validParams.min)) * 100;
+		return Math.min(100, Math.max(0, percent));
+	};
+
+	// Set up the handles, i.e., one or two depending on the mode
+	const values = validParams.value || [];
+	const handles = [
+		{
+			key: "low",
+			label: translations.sliderMinLabel,
+			value: values[0] !== undefined ? values[0] : validParams.min,
+		},
+	];
+	if (validParams.range) {
+		handles.push({
+			key: "high",
+			label: translations.sliderMaxLabel,
+			value: values[1] !== undefined ? values[1] : validParams.max,
+		});
+	}
+	handles.forEach((handle) => {
+		handle.percent = getPercent(handle.value);
+	});
+
+	// Set up the tick labels (by default, the minimum and maximum)
+	const ticks = (validParams.ticks || [validParams.min, validParams.max]).map(
+		(value) => {
+			return { value: value, percent: getPercent(value) };
+		},
+	);
+
+	// Create the validation attributes (to be added to the start tag)
+	let validationAttrs = `data-fmd-name="${name}" data-fmd-type="slider"`;
+	if (validParams.range) {
+		validationAttrs += " data-fmd-range";
+	}
+	if (validParams.unit) {
+		validationAttrs += ` data-fmd-unit="${validParams.unit}"`;
+	}
+	if (validParams.unitend) {
+		validationAttrs += ` data-fmd-unit-end="${validParams.unitend}"`;
+	}
+
+	// Use Nunjucks to create the form field
+	nunjucks.configure({ autoescape: false });
+	return nunjucks.renderString(sliderFieldTemplate, {
+		startTag: `${startTag.slice(0, 4)} ${validationAttrs} ${startTag.slice(4)}`,
 		name: name,
 		inputId: id !== "" ? `${id}:id_${name}` : `id_${name}`,
 		required: required,
 		validParams: validParams,
+		handles: handles,
+		ticks: ticks,
 		translations: translations,
 	});
 }
@@ -510,8 +744,90 @@ const selectFieldTemplate = `
 </div>
 `;
 
+const comboboxFieldTemplate = `
+{{ startTag }}
+	<label class="fmd-form-question" id="{{ inputId }}-label" for="{{ inputId }}">
+		{{ validParams.question | safe }}
+	</label>
+	{% if validParams.description %}
+	<p class="fmd-form-description">
+		{{ validParams.description }}
+	</p>
+	{% endif %}
+	<div class="fmd-combobox{% if validParams.disabled %} fmd-disabled{% endif %}">
+		{% if validParams.multiple %}
+		<ul class="fmd-combobox-chips" aria-label="{{ translations.comboboxSelected }}"></ul>
+		{% endif %}
+		<input
+			type="text"
+			id="{{ inputId }}"
+			class="fmd-form-combobox-input fmd-form-control"
+			role="combobox"
+			aria-autocomplete="list"
+			aria-expanded="false"
+			aria-controls="{{ inputId }}-listbox"
+			autocomplete="off"
+			placeholder="{{ validParams.placeholder }}"
+			{% if validParams.disabled %}disabled{% endif %}
+			{% if validParams.autofocus %}data-fmd-autofocus{% endif %}
+		>
+		<div
+			class="fmd-combobox-listbox"
+			id="{{ inputId }}-listbox"
+			role="listbox"
+			aria-labelledby="{{ inputId }}-label"
+			{% if validParams.multiple %}aria-multiselectable="true"{% endif %}
+			hidden
+		></div>
+		<div class="fmd-visually-hidden" aria-live="polite" data-fmd-combobox-live></div>
+	</div>
+	{% if validParams.options %}
+	<template class="fmd-combobox-options">
+		{% for option in validParams.options %}
+		<option value="{{ option.value }}">{{ option.label }}</option>
+		{% endfor %}
+	</template>
+	{% endif %}
+</div>
+`;
+
+/**
+ * Create the attributes for shuffling the options or choices (if applicable).
+ * The options are shuffled when the form is used, and the pinned ones (given
+ * by value) keep their positions.
+ *
+ * @param {string} name
+ * @param {Object} validParams
+ * @returns {string} attributes, or an empty string
+ */
+function createShuffleAttrs(name, validParams) {
+	if (!validParams.shuffle) {
+		if (validParams.pin) {
+			console.warn(
+				`[FORM-FIELDS] "${name}": "pin" will only work along with "shuffle"`,
+			);
+		}
+		return "";
+	}
+	let shuffleAttrs = "data-fmd-shuffle";
+	if (validParams.pin) {
+		const pinned = validParams.pin
+			.split(",")
+			.map((item) => unescape(item.trim()))
+			.filter((item) => item);
+		shuffleAttrs += ` data-fmd-pin="${escape$1(JSON.stringify(pinned), true)}"`;
+	}
+	return shuffleAttrs;
+}
+
 /**
- * Create a select form field.
+ * Create a select form field. With the `combobox` param (implied by the
+ * `multiple`, `optionsdata` and `optionsurl` params), a searchable combobox is
+ * created instead of a native <select>. With the `dependson` and `optionsmap`
+ * params, the options are set when the form is used, from the data block
+ * mapping of the value of another form field to its options. With the
+ * `shuffle` param, the options are shown in a random order, except the ones
+ * given using the `pin` param.
  *
  * @param {string} name
  * @param {boolean} required
@@ -544,7 +860,9 @@ function createSelectField(
 		localization,
 		false,
 	);
-	const translations = {};
+	const translations = {
+		comboboxSelected: getTranslation(localization, "combobox-selected"),
+	};
 
 	// Add the default placeholder
 	validParams.placeholder = getTranslation(
@@ -586,6 +904,21 @@ function createSelectField(
 			validParams[key] = options;
 		} else if (key === "selected" && value && typeof value === "string") {
 			validParams[key] = value;
+		} else if (
+			(key === "combobox" || key === "multiple" || key === "shuffle") &&
+			value
+		) {
+			validParams[key] = value;
+		} else if (
+			(key === "optionsdata" ||
+				key === "optionsurl" ||
+				key === "dependson" ||
+				key === "optionsmap" ||
+				key === "pin") &&
+			value &&
+			typeof value === "string"
+		) {
+			validParams[key] = value.trim();
 		} else {
 			console.warn(
 				`[FORM-FIELDS] "${name}": "${key} = ${value}" is not a valid parameter`,
@@ -593,10 +926,80 @@ function createSelectField(
 		}
 	}
 
+	// Create the attributes of the dependent options (if applicable), i.e.,
+	// the options are taken from the data block mapping using the value of
+	// another form field
+	let dependentAttrs = "";
+	if (validParams.dependson && validParams.optionsmap) {
+		dependentAttrs = `data-fmd-depends-on="${escape$1(validParams.dependson, true)}" data-fmd-options-map="${escape$1(validParams.optionsmap, true)}"`;
+	} else if (validParams.dependson || validParams.optionsmap) {
+		console.warn(
+			`[FORM-FIELDS] "${name}": "dependson" and "optionsmap" must be used together`,
+		);
+	}
+
+	// Create the shuffle attributes (if applicable)
+	const shuffleAttrs = createShuffleAttrs(name, validParams);
+
+	// Create the combobox variant (if applicable)
+	if (
+		validParams.combobox ||
+		validParams.multiple ||
+		validParams.optionsdata ||
+		validParams.optionsurl
+	) {
+		// Get the selected values
+		let selected = [];
+		if (validParams.selected) {
+			selected = validParams.multiple
+				? validParams.selected
+						.split(",")
+						.map((item) => unescape(item.trim()))
+						.filter((item) => item)
+				: [unescape(validParams.selected.trim())];
+		}
+
+		// Create the validation attributes (to be added to the start tag)
+		let validationAttrs = `data-fmd-name="${name}" data-fmd-type="combobox" data-fmd-selected="${escape$1(JSON.stringify(selected), true)}"`;
+		if (validParams.multiple) {
+			validationAttrs += " data-fmd-multiple";
+		}
+		if (required) {
+			validationAttrs += " data-fmd-required";
+		}
+		if (validParams.optionsdata) {
+			validationAttrs += ` data-fmd-options-data="${escape$1(validParams.optionsdata, true)}"`;
+		}
+		if (validParams.optionsurl) {
+			validationAttrs += ` data-fmd-options-url="${escape$1(validParams.optionsurl, true)}"`;
+		}
+		if (dependentAttrs) {
+			validationAttrs += ` ${dependentAttrs}`;
+		}
+		if (shuffleAttrs) {
+			validationAttrs += ` ${shuffleAttrs}`;
+		}
+
+		// Use Nunjucks to create the form field
+		nunjucks.configure({ autoescape: false });
+		return nunjucks.renderString(comboboxFieldTemplate, {
+			startTag: `${startTag.slice(0, 4)} ${validationAttrs} ${startTag.slice(4)}`,
+			name: name,
+			inputId: id !== "" ? `${id}:id_${name}` : `id_${name}`,
+			required: required,
+			validParams: validParams,
+			translations: translations,
+		});
+	}
+
 	// Use Nunjucks to create the form field
+	const selectAttrs = [dependentAttrs, shuffleAttrs].filter((attrs) => attrs);
 	nunjucks.configure({ autoescape: false });
 	return nunjucks.renderString(selectFieldTemplate, {
-		startTag: startTag,
+		startTag:
+			selectAttrs.length > 0
+				? `${startTag.slice(0, 4)} data-fmd-name="${name}" ${selectAttrs.join(" ")} ${startTag.slice(4)}`
+				: startTag,
 		name: name,
 		inputId: id !== "" ? `${id}:id_${name}` : `id_${name}`,
 		required: required,
@@ -653,11 +1056,43 @@ const choiceFieldTemplate = `
 			{% endfor %}
 		</div>
 	</div>
+	{% if validParams.correct %}
+	<div class="fmd-quiz-feedback" aria-live="polite" hidden>
+		<p class="fmd-quiz-feedback-title"></p>
+		{% if validParams.explanation %}
+		<p class="fmd-quiz-feedback-explanation">{{ validParams.explanation }}</p>
+		{% endif %}
+	</div>
+	{% endif %}
+	{% if validParams.choicesmap %}
+	<template class="fmd-form-check-template">
+		<div class="fmd-form-check">
+			<input
+				name="{{ name }}"
+				type="{% if validParams.multiple %}checkbox{% else %}radio{% endif %}"
+				class="fmd-form-str-check-input fmd-form-check-input"
+				{% if validParams.disabled %}disabled{% endif %}
+			>
+			<label class="fmd-form-check-label">
+				<span class="fmd-form-check-mark">
+					<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M441 103c9.4 9.4 9.4 24.6 0 33.9L177 401c-9.4 9.4-24.6 9.4-33.9 0L7 265c-9.4-9.4-9.4-24.6 0-33.9s24.6-9.4 33.9 0l119 119L407 103c9.4-9.4 24.6-9.4 33.9 0z"/></svg>
+				</span>
+			</label>
+		</div>
+	</template>
+	{% endif %}
 </fieldset>
 `;
 
 /**
- * Create a choice form field.
+ * Create a choice form field. With the `dependson` and `choicesmap` params,
+ * the choices are set when the form is used, from the data block mapping of
+ * the value of another form field to its choices. With the `shuffle` param,
+ * the choices are shown in a random order, except the ones given using the
+ * `pin` param. With the `correct` param, the form field is a quiz question
+ * (when the `quiz` setting is used), and the `points` param is either the
+ * points for answering correctly, or one number per choice, e.g., for partial
+ * credit.
  *
  * @param {string} name
  * @param {boolean} isPictureChoice
@@ -707,6 +1142,25 @@ function createChoiceField(
 			validParams[key] = value;
 		} else if (key === "supersize" && value) {
 			validParams[key] = value;
+		} else if (key === "shuffle" && value) {
+			validParams[key] = value;
+		} else if (key === "pin" && value && typeof value === "string") {
+			validParams[key] = value;
+		} else if (key === "correct" && value && typeof value === "string") {
+			validParams[key] = value
+				.split(",")
+				.map((item) => unescape(item.trim()))
+				.filter((item) => item);
+		} else if (key === "points" && isNumeric(value)) {
+			validParams[key] = value;
+		} else if (
+			key === "points" &&
+			typeof value === "string" &&
+			value.split(",").every((item) => isNumeric(item.trim()))
+		) {
+			validParams[key] = value.split(",").map((item) => Number(item.trim()));
+		} else if (key === "explanation" && value && typeof value === "string") {
+			validParams[key] = value;
 		} else if (key === "choices" && value && typeof value === "string") {
 			const choices = [];
 			for (let choice of value.split(",")) {
@@ -748,6 +1202,13 @@ function createChoiceField(
 			validParams[key] = value;
 		} else if (key === "hideformtext" && value) {
 			validParams[key] = value;
+		} else if (
+			(key === "dependson" || key === "choicesmap") &&
+			!isPictureChoice &&
+			value &&
+			typeof value === "string"
+		) {
+			validParams[key] = value.trim();
 		} else {
 			console.warn(
 				`[FORM-FIELDS] "${name}": "${key} = ${value}" is not a valid parameter`,
@@ -766,6 +1227,57 @@ function createChoiceField(
 		validationAttrs += " data-fmd-required";
 	}
 
+	// The choices are taken from the data block mapping using the value of
+	// another form field (if applicable)
+	if (validParams.dependson && validParams.choicesmap) {
+		validationAttrs += ` data-fmd-depends-on="${escape$1(validParams.dependson, true)}" data-fmd-options-map="${escape$1(validParams.choicesmap, true)}"`;
+	} else if (validParams.dependson || validParams.choicesmap) {
+		console.warn(
+			`[FORM-FIELDS] "${name}": "dependson" and "choicesmap" must be used together`,
+		);
+		delete validParams.choicesmap;
+	}
+
+	// The choices are shown in a random order (if applicable)
+	const shuffleAttrs = createShuffleAttrs(name, validParams);
+	if (shuffleAttrs) {
+		validationAttrs += ` ${shuffleAttrs}`;
+	}
+
+	// Add the quiz attributes (if applicable)
+	// The correct answers must be among the choices
+	if (validParams.correct && validParams.choices) {
+		for (const correct of validParams.correct) {
+			if (!validParams.choices.some((choice) => choice.value === correct)) {
+				console.warn(
+					`[FORM-FIELDS] "${name}": "${correct}" is not one of the choices`,
+				);
+			}
+		}
+	}
+	// A list of points is one per choice, and is set as points by choice value
+	if (Array.isArray(validParams.points)) {
+		if (
+			validParams.choices &&
+			validParams.points.length === validParams.choices.length
+		) {
+			const choicePoints = {};
+			validParams.choices.forEach((choice, index) => {
+				choicePoints[choice.value] = validParams.points[index];
+			});
+			validParams.points = choicePoints;
+		} else {
+			console.warn(
+				`[FORM-FIELDS] "${name}": "points" must be one number, or one number per choice`,
+			);
+			delete validParams.points;
+		}
+	}
+	const quizAttrs = createQuizAttrs(name, validParams);
+	if (quizAttrs) {
+		validationAttrs += ` ${quizAttrs}`;
+	}
+
 	// Only keep one checked value in case of radio buttons
 	if (!validParams.multiple && Array.isArray(validParams.checked)) {
 		validParams.checked.splice(1);
@@ -1062,51 +1574,330 @@ function createOpinionScaleField(
 	});
 }
 
-/* Datetime field */
+/* Matrix field */
 
-const datetimeFieldTemplate = `
+const matrixFieldTemplate = `
 {{ startTag }}
-	<label class="fmd-form-question" for="{{ inputId }}">
+	<legend class="fmd-form-question">
 		{{ validParams.question | safe }}
-	</label>
+	</legend>
 	{% if validParams.description %}
 	<p class="fmd-form-description">
 		{{ validParams.description }}
 	</p>
 	{% endif %}
-	<input
-		name="{{ name }}"
-		id="{{ inputId }}"
-		type="{{ inputType }}"
-		class="fmd-form-datetime-input fmd-form-control"
-		placeholder="{{ validParams.placeholder }}"
-		{% if required %}required{% endif %}
-		{% if validParams.value %}value="{{ validParams.value }}"{% endif %}
-		{% if validParams.min %}min="{{ validParams.min }}"{% endif %}
-		{% if validParams.max %}max="{{ validParams.max }}"{% endif %}
-		{% if validParams.step %}step="{{ validParams.step }}"{% endif %}
-		{% if validParams.disabled %}disabled{% endif %}
-		{% if validParams.autofocus %}data-fmd-autofocus{% endif %}
-	>
-</div>
-`;
-
-/**
- * Create a datetime, date, or time form field.
- *
- * @param {string} name
- * @param {"datetime"|"date"|"time"} inputType
- * @param {boolean} required
- * @param {string} parsedAttrs
- * @param {string} params
- * @param {string} formDelimiter
- * @param {string} id - the id of the page/form
- * @param {string} localization
- * @returns {string} datetime, date, or time input form field as HTML string
- */
-function createDatetimeField(
-	name,
-	inputType,
+	{% if validParams.multiple and not validParams.hideformtext %}
+	<div class="fmd-form-text">
+		{{ translations.chooseManyText }}
+	</div>
+	{% endif %}
+	<div class="fmd-matrix">
+		<div class="fmd-matrix-head" aria-hidden="true">
+			<div class="fmd-matrix-cell"></div>
+			{% for column in validParams.columns %}
+			<div class="fmd-matrix-cell">{{ column.label }}</div>
+			{% endfor %}
+		</div>
+		{% for row in validParams.rows %}
+		{% set rowIndex = loop.index %}
+		<div
+			class="fmd-matrix-row"
+			role="{% if validParams.multiple %}group{% else %}radiogroup{% endif %}"
+			aria-labelledby="{{ inputId }}-{{ rowIndex }}-label"
+			data-fmd-matrix-row="{{ row.value }}"
+		>
+			<div class="fmd-matrix-cell fmd-matrix-row-label" id="{{ inputId }}-{{ rowIndex }}-label">{{ row.label }}</div>
+			{% for column in validParams.columns %}
+			<div class="fmd-matrix-cell">
+				<input
+					name="{{ name }}-{{ rowIndex }}"
+					id="{{ inputId }}-{{ rowIndex }}-{{ loop.index }}"
+					type="{% if validParams.multiple %}checkbox{% else %}radio{% endif %}"
+					class="fmd-form-matrix-input"
+					value="{{ column.value }}"
+					{% if validParams.disabled %}disabled{% endif %}
+					{% if validParams.autofocus %}data-fmd-autofocus{% endif %}
+				>
+				<label class="fmd-form-matrix-label" for="{{ inputId }}-{{ rowIndex }}-{{ loop.index }}">{{ column.label }}</label>
+			</div>
+			{% endfor %}
+		</div>
+		{% endfor %}
+	</div>
+</fieldset>
+`;
+
+/**
+ * Parse the comma-separated rows or columns of a matrix form field. Like
+ * choices, the value can be specified by placing text inside double-quotes.
+ *
+ * @param {string} value
+ * @returns {Array.<{value: string, label: string}>}
+ */
+function parseMatrixItems(value) {
+	const items = [];
+	for (let item of value.split(",")) {
+		// Skip empty items
+		item = unescape(item.trim());
+		if (!item) {
+			continue;
+		}
+
+		let itemValue = item;
+		const itemLabel = item.replace(/"\s*(.*?)\s*"/s, function (match, content) {
+			itemValue = content;
+			return "";
+		});
+
+		// Make sure to trim
+		items.push({
+			value: itemValue.trim(),
+			label: itemLabel.trim(),
+		});
+	}
+	return items;
+}
+
+/**
+ * Create a matrix form field, i.e., a grid of rows by columns where each row
+ * is answered using the same set of radio buttons or checkboxes.
+ *
+ * @param {string} name
+ * @param {boolean} required
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} matrix input form field as HTML string
+ */
+function createMatrixField(
+	name,
+	required,
+	parsedAttrs,
+	params,
+	formDelimiter,
+	id,
+	localization,
+) {
+	// Set up the start tag, valid params, the rest, and translations
+	// Make sure to use <fieldset> for the start tag during setup
+	const {
+		startTag: startTag,
+		validParams: validParams,
+		restParams: restParams,
+	} = formFieldSetup(
+		required,
+		parsedAttrs,
+		params,
+		formDelimiter,
+		localization,
+		true,
+	);
+	const translations = {
+		chooseManyText: getTranslation(localization, "choose-many-text"),
+	};
+
+	// Set default params
+	validParams.rows = [];
+	validParams.columns = [];
+
+	// Go through the rest of the params and validate
+	for (let [key, value] of Object.entries(restParams)) {
+		if (key === "disabled" && value) {
+			validParams[key] = value;
+		} else if (key === "multiple" && value) {
+			validParams[key] = value;
+		} else if (key === "rows" && value && typeof value === "string") {
+			validParams[key] = parseMatrixItems(value);
+		} else if (key === "columns" && value && typeof value === "string") {
+			validParams[key] = parseMatrixItems(value);
+		} else if (key === "hideformtext" && value) {
+			validParams[key] = value;
+		} else {
+			console.warn(
+				`[FORM-FIELDS] "${name}": "${key} = ${value}" is not a valid parameter`,
+			);
+		}
+	}
+
+	// Create the validation attributes (to be added to the start tag)
+	let validationAttrs = `data-fmd-name="${name}" data-fmd-type="matrix"`;
+	if (required) {
+		validationAttrs += " data-fmd-required";
+	}
+
+	// Use Nunjucks to create the form field
+	nunjucks.configure({ autoescape: false });
+	return nunjucks.renderString(matrixFieldTemplate, {
+		startTag: `${startTag.slice(0, 9)} ${validationAttrs} ${startTag.slice(9)}`,
+		name: name,
+		inputId: id !== "" ? `${id}:id_${name}` : `id_${name}`,
+		required: required,
+		validParams: validParams,
+		translations: translations,
+	});
+}
+
+/* Ranking field */
+
+const rankingFieldTemplate = `
+{{ startTag }}
+	<legend class="fmd-form-question" id="{{ inputId }}-label">
+		{{ validParams.question | safe }}
+	</legend>
+	{% if validParams.description %}
+	<p class="fmd-form-description">
+		{{ validParams.description }}
+	</p>
+	{% endif %}
+	<div class="fmd-form-text{% if validParams.hideformtext %} fmd-visually-hidden{% endif %}" id="{{ inputId }}-instructions">
+		{{ translations.rankingInstructions }}
+	</div>
+	<ol class="fmd-ranking-list" aria-labelledby="{{ inputId }}-label">
+		{% for choice in validParams.choices %}
+		<li class="fmd-ranking-item" data-fmd-value="{{ choice.value }}">
+			<button
+				type="button"
+				id="{{ inputId }}-{{ loop.index }}"
+				class="fmd-ranking-handle"
+				aria-pressed="false"
+				aria-describedby="{{ inputId }}-instructions"
+				{% if validParams.disabled %}disabled{% endif %}
+				{% if validParams.autofocus and loop.first %}data-fmd-autofocus{% endif %}
+			>
+				<span class="fmd-ranking-position" aria-hidden="true">{{ loop.index }}</span>
+				<span class="fmd-ranking-label">{{ choice.label }}</span>
+			</button>
+		</li>
+		{% endfor %}
+	</ol>
+	<div class="fmd-visually-hidden" aria-live="assertive" aria-atomic="true" data-fmd-ranking-live></div>
+</fieldset>
+`;
+
+/**
+ * Create a ranking form field, i.e., a list of choices that can be reordered
+ * by dragging (mouse or touch) or using the keyboard. The value is the ordered
+ * array of choice values.
+ *
+ * @param {string} name
+ * @param {boolean} required
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} ranking input form field as HTML string
+ */
+function createRankingField(
+	name,
+	required,
+	parsedAttrs,
+	params,
+	formDelimiter,
+	id,
+	localization,
+) {
+	// Set up the start tag, valid params, the rest, and translations
+	// Make sure to use <fieldset> for the start tag during setup
+	const {
+		startTag: startTag,
+		validParams: validParams,
+		restParams: restParams,
+	} = formFieldSetup(
+		required,
+		parsedAttrs,
+		params,
+		formDelimiter,
+		localization,
+		true,
+	);
+	const translations = {
+		rankingInstructions: getTranslation(localization, "ranking-instructions"),
+	};
+
+	// Set default params
+	validParams.choices = [];
+
+	// Go through the rest of the params and validate
+	for (let [key, value] of Object.entries(restParams)) {
+		if (key === "disabled" && value) {
+			validParams[key] = value;
+		} else if (key === "choices" && value && typeof value === "string") {
+			validParams[key] = parseMatrixItems(value);
+		} else if (key === "hideformtext" && value) {
+			validParams[key] = value;
+		} else {
+			console.warn(
+				`[FORM-FIELDS] "${name}": "${key} = ${value}" is not a valid parameter`,
+			);
+		}
+	}
+
+	// Create the validation attributes (to be added to the start tag)
+	let validationAttrs = `data-fmd-name="${name}" data-fmd-type="ranking"`;
+	if (required) {
+		validationAttrs += " data-fmd-required";
+	}
+
+	// Use Nunjucks to create the form field
+	nunjucks.configure({ autoescape: false });
+	return nunjucks.renderString(rankingFieldTemplate, {
+		startTag: `${startTag.slice(0, 9)} ${validationAttrs} ${startTag.slice(9)}`,
+		name: name,
+		inputId: id !== "" ? `${id}:id_${name}` : `id_${name}`,
+		required: required,
+		validParams: validParams,
+		translations: translations,
+	});
+}
+
+/* Datetime field */
+
+const datetimeFieldTemplate = `
+{{ startTag }}
+	<label class="fmd-form-question" for="{{ inputId }}">
+		{{ validParams.question | safe }}
+	</label>
+	{% if validParams.description %}
+	<p class="fmd-form-description">
+		{{ validParams.description }}
+	</p>
+	{% endif %}
+	<input
+		name="{{ name }}"
+		id="{{ inputId }}"
+		type="{{ inputType }}"
+		class="fmd-form-datetime-input fmd-form-control"
+		placeholder="{{ validParams.placeholder }}"
+		{% if required %}required{% endif %}
+		{% if validParams.value %}value="{{ validParams.value }}"{% endif %}
+		{% if validParams.min %}min="{{ validParams.min }}"{% endif %}
+		{% if validParams.max %}max="{{ validParams.max }}"{% endif %}
+		{% if validParams.step %}step="{{ validParams.step }}"{% endif %}
+		{% if validParams.disabled %}disabled{% endif %}
+		{% if validParams.autofocus %}data-fmd-autofocus{% endif %}
+	>
+</div>
+`;
+
+/**
+ * Create a datetime, date, or time form field.
+ *
+ * @param {string} name
+ * @param {"datetime"|"date"|"time"} inputType
+ * @param {boolean} required
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} datetime, date, or time input form field as HTML string
+ */
+function createDatetimeField(
+	name,
+	inputType,
 	required,
 	parsedAttrs,
 	params,
@@ -1229,8 +2020,9 @@ const fileFieldTemplate = `
 				id="{{ inputId }}"
 				type="file"
 				class="fmd-form-file-input"
-				{% if required and not validParams.currentfile %}required{% endif %}
-				{% if validParams.imageonly %}accept="image/*"{% endif %}
+				{% if required and not validParams.currentfile and not validParams.multiple %}required{% endif %}
+				{% if validParams.multiple %}multiple{% endif %}
+				{% if validParams.accept %}accept="{{ validParams.accept }}"{% endif %}
 				{% if validParams.disabled %}disabled{% endif %}
 				{% if validParams.autofocus %}data-fmd-autofocus{% endif %}
 			>
@@ -1243,24 +2035,44 @@ const fileFieldTemplate = `
 						<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 640 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M389.8 125.2C363.7 88.1 320.7 64 272 64c-77.4 0-140.5 61-143.9 137.5c-.6 13-9 24.4-21.3 28.8C63.2 245.7 32 287.2 32 336c0 61.9 50.1 112 112 112l368 0c53 0 96-43 96-96c0-36.8-20.7-68.8-51.2-84.9c-13.4-7.1-20-22.5-15.8-37.1c2-6.9 3-14.3 3-22c0-44.2-35.8-80-80-80c-12.3 0-23.9 2.8-34.3 7.7c-14.1 6.7-30.9 2.3-39.9-10.5zM272 32c59.5 0 112.1 29.5 144 74.8C430.5 99.9 446.8 96 464 96c61.9 0 112 50.1 112 112c0 10.7-1.5 21-4.3 30.8C612.3 260.2 640 302.9 640 352c0 70.7-57.3 128-128 128l-368 0C64.5 480 0 415.5 0 336c0-62.8 40.2-116.1 96.2-135.9C100.3 106.6 177.4 32 272 32zM228.7 244.7l80-80c6.2-6.2 16.4-6.2 22.6 0l80 80c6.2 6.2 6.2 16.4 0 22.6s-16.4 6.2-22.6 0L336 214.6 336 368c0 8.8-7.2 16-16 16s-16-7.2-16-16l0-153.4-52.7 52.7c-6.2 6.2-16.4 6.2-22.6 0s-6.2-16.4 0-22.6z"/></svg>
 					</span>
 					<span class="fmd-d-block fmd-mt-3 fmd-first-letter-uppercase">
-						{% if validParams.currentfile %}{{ translations.fileInputChange }}: {% endif %}{{ translations.fileInputChoose | safe }}
+						{% if validParams.currentfile %}{{ translations.fileInputChange }}: {% endif %}{% if validParams.multiple %}{{ translations.fileInputChooseMultiple | safe }}{% else %}{{ translations.fileInputChoose | safe }}{% endif %}
 					</span>
 				</span>
 				<span class="fmd-file-exists-section"></span>
 				<span class="fmd-form-file-size-limit fmd-mt-1">
-					{{ translations.fileInputSizeLimit }}: {{ validParams.sizelimit }}MB
+					{{ translations.fileInputSizeLimit }}: {{ validParams.sizelimit }}MB{% if validParams.multiple and validParams.totalsizelimit %} ({{ translations.fileInputTotal }}: {{ validParams.totalsizelimit }}MB){% endif %}{% if validParams.multiple and validParams.maxfiles %} · {{ translations.fileInputMaxFiles }}: {{ validParams.maxfiles }}{% endif %}
 				</span>
 			</span>
 		</label>
+		{% if validParams.multiple %}
+		<ul class="fmd-form-file-list"></ul>
+		{% else %}
 		<div class="fmd-form-file-reset-btn-container">
 			<button type="button" class="fmd-form-file-reset-btn" aria-label="{{ translations.fileInputResetBtn }}">
 				<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M345 137c9.4-9.4 9.4-24.6 0-33.9s-24.6-9.4-33.9 0l-119 119L73 103c-9.4-9.4-24.6-9.4-33.9 0s-9.4 24.6 0 33.9l119 119L39 375c-9.4 9.4-9.4 24.6 0 33.9s24.6 9.4 33.9 0l119-119L311 409c9.4 9.4 24.6 9.4 33.9 0s9.4-24.6 0-33.9l-119-119L345 137z"/></svg>
 			</button>
 		</div>
+		{% endif %}
 	</div>
 </div>
 `;
 
+/**
+ * Check if a comma-separated list of file extensions (for example, ".pdf")
+ * and MIME types (for example, "image/*" or "application/pdf") is valid.
+ *
+ * @param {string} accept
+ * @returns {boolean}
+ */
+function isValidFileAccept(accept) {
+	const items = accept.split(",").map((item) => item.trim());
+	return items.every(
+		(item) =>
+			/^\.[a-zA-Z0-9_-]+$/.test(item) ||
+			/^[a-zA-Z0-9_-]+\/(\*|[a-zA-Z0-9.+_-]+)$/.test(item),
+	);
+}
+
 /**
  * Create a file form field.
  *
@@ -1298,10 +2110,16 @@ function createFileField(
 	const translations = {
 		fileInputChange: getTranslation(localization, "file-input-change"),
 		fileInputChoose: getTranslation(localization, "file-input-choose"),
+		fileInputChooseMultiple: getTranslation(
+			localization,
+			"file-input-choose-multiple",
+		),
 		fileInputClearCheck: getTranslation(localization, "file-input-clear-check"),
 		fileInputCurrently: getTranslation(localization, "file-input-currently"),
+		fileInputMaxFiles: getTranslation(localization, "file-input-max-files"),
 		fileInputResetBtn: getTranslation(localization, "file-input-reset-btn"),
 		fileInputSizeLimit: getTranslation(localization, "file-input-size-limit"),
+		fileInputTotal: getTranslation(localization, "file-input-total"),
 	};
 
 	// Go through the rest of the params and validate
@@ -1312,6 +2130,36 @@ function createFileField(
 			validParams[key] = Math.ceil(Math.abs(Number(value)));
 		} else if (key === "imageonly" && value) {
 			validParams[key] = value;
+		} else if (key === "multiple" && value) {
+			validParams[key] = value;
+		} else if (key === "maxfiles" && isNumeric(value) && Number(value) > 0) {
+			validParams[key] = Math.ceil(Number(value));
+		} else if (key === "totalsizelimit" && isNumeric(value)) {
+			validParams[key] = Math.ceil(Math.abs(Number(value)));
+		} else if (
+			key === "accept" &&
+			typeof value === "string" &&
+			isValidFileAccept(value)
+		) {
+			validParams[key] = value
+				.split(",")
+				.map((item) => item.trim())
+				.join(",");
+		} else if (
+			(key === "maxwidth" || key === "maxheight") &&
+			isNumeric(value) &&
+			Number(value) > 0
+		) {
+			validParams[key] = Math.ceil(Number(value));
+		} else if (
+			key === "quality" &&
+			isNumeric(value) &&
+			Number(value) > 0 &&
+			Number(value) <= 1
+		) {
+			validParams[key] = Number(value);
+		} else if (key === "format" && (value === "webp" || value === "jpeg")) {
+			validParams[key] = value;
 		} else if (key === "currentfile" && value && typeof value === "string") {
 			validParams[key] = value;
 			validParams.currentfilename =
@@ -1323,11 +2171,40 @@ function createFileField(
 		}
 	}
 
-	// Set default size limit
+	// Set default size limit and accepted file types
 	validParams.sizelimit = validParams.sizelimit || 10;
+	if (validParams.imageonly && !validParams.accept) {
+		validParams.accept = "image/*";
+	}
 
 	// Create the validation attributes (to be added to the start tag)
 	let validationAttrs = `data-fmd-name="${name}" data-fmd-type="file" data-fmd-size-limit="${validParams.sizelimit}"`;
+	if (validParams.multiple) {
+		validationAttrs += " data-fmd-multiple";
+		if (validParams.maxfiles) {
+			validationAttrs += ` data-fmd-max-files="${validParams.maxfiles}"`;
+		}
+		if (validParams.totalsizelimit) {
+			validationAttrs += ` data-fmd-total-size-limit="${validParams.totalsizelimit}"`;
+		}
+		if (required && !validParams.currentfile) {
+			validationAttrs += " data-fmd-required";
+		}
+	}
+
+	// Add the image resizing attributes (images are resized before upload)
+	if (validParams.maxwidth) {
+		validationAttrs += ` data-fmd-max-width="${validParams.maxwidth}"`;
+	}
+	if (validParams.maxheight) {
+		validationAttrs += ` data-fmd-max-height="${validParams.maxheight}"`;
+	}
+	if (validParams.quality) {
+		validationAttrs += ` data-fmd-quality="${validParams.quality}"`;
+	}
+	if (validParams.format) {
+		validationAttrs += ` data-fmd-format="${validParams.format}"`;
+	}
 
 	// Use Nunjucks to create the form field
 	nunjucks.configure({ autoescape: false });
@@ -1341,4 +2218,321 @@ function createFileField(
 	});
 }
 
-export { formFieldPattern, formFieldSetup, createTextField, createNumberField, createSelectField, createChoiceField, createRatingField, createOpinionScaleField, createDatetimeField, createFileField };
\ No newline at end of file
+/* Signature field */
+
+const signatureFieldTemplate = `
+{{ startTag }}
+	<legend class="fmd-form-question" id="{{ inputId }}-label">
+		{{ validParams.question | safe }}
+	</legend>
+	{% if validParams.description %}
+	<p class="fmd-form-description">
+		{{ validParams.description }}
+	</p>
+	{% endif %}
+	<div class="fmd-signature{% if validParams.disabled %} fmd-disabled{% endif %}">
+		<canvas
+			id="{{ inputId }}"
+			class="fmd-signature-canvas"
+			role="img"
+			aria-labelledby="{{ inputId }}-label"
+			{% if validParams.disabled %}aria-disabled="true"{% endif %}
+		></canvas>
+		<div class="fmd-signature-btns">
+			<button type="button" class="fmd-signature-undo-btn" disabled>
+				{{ translations.signatureUndoBtn }}
+			</button>
+			<button type="button" class="fmd-signature-clear-btn" disabled>
+				{{ translations.signatureClearBtn }}
+			</button>
+		</div>
+	</div>
+</fieldset>
+`;
+
+/**
+ * Create a signature form field, i.e., a canvas to draw on using a pointer
+ * (mouse, pen, or touch). The signature is submitted as a PNG file.
+ *
+ * @param {string} name
+ * @param {boolean} required
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} signature input form field as HTML string
+ */
+function createSignatureField(
+	name,
+	required,
+	parsedAttrs,
+	params,
+	formDelimiter,
+	id,
+	localization,
+) {
+	// Set up the start tag, valid params, the rest, and translations
+	// Make sure to use <fieldset> for the start tag during setup
+	const {
+		startTag: startTag,
+		validParams: validParams,
+		restParams: restParams,
+	} = formFieldSetup(
+		required,
+		parsedAttrs,
+		params,
+		formDelimiter,
+		localization,
+		true,
+	);
+	const translations = {
+		signatureClearBtn: getTranslation(localization, "signature-clear-btn"),
+		signatureUndoBtn: getTranslation(localization, "signature-undo-btn"),
+	};
+
+	// Go through the rest of the params and validate
+	for (let [key, value] of Object.entries(restParams)) {
+		if (key === "disabled" && value) {
+			validParams[key] = value;
+		} else {
+			console.warn(
+				`[FORM-FIELDS] "${name}": "${key} = ${value}" is not a valid parameter`,
+			);
+		}
+	}
+
+	// Create the validation attributes (to be added to the start tag)
+	let validationAttrs = `data-fmd-name="${name}" data-fmd-type="signature"`;
+	if (required) {
+		validationAttrs += " data-fmd-required";
+	}
+
+	// Use Nunjucks to create the form field
+	nunjucks.configure({ autoescape: false });
+	return nunjucks.renderString(signatureFieldTemplate, {
+		startTag: `${startTag.slice(0, 9)} ${validationAttrs} ${startTag.slice(9)}`,
+		name: name,
+		inputId: id !== "" ? `${id}:id_${name}` : `id_${name}`,
+		required: required,
+		validParams: validParams,
+		translations: translations,
+	});
+}
+
+/* Calculated field */
+
+const calculatedFieldTemplate = `
+{{ startTag }}
+	<label class="fmd-form-question" for="{{ inputId }}">
+		{{ validParams.question | safe }}
+	</label>
+	{% if validParams.description %}
+	<p class="fmd-form-description">
+		{{ validParams.description }}
+	</p>
+	{% endif %}
+	<output
+		name="{{ name }}"
+		id="{{ inputId }}"
+		class="fmd-form-calculated-output"
+		aria-live="polite"
+	></output>
+</div>
+`;
+
+/**
+ * Create a calculated form field, i.e., a read-only field whose value is the
+ * result of an expression evaluated over the form data and data. The
+ * expression is parsed (and never evaluated as JavaScript) to make sure that
+ * it is valid.
+ *
+ * @param {string} name
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} calculated form field as HTML string
+ */
+function createCalculatedField(
+	name,
+	parsedAttrs,
+	params,
+	formDelimiter,
+	id,
+	localization,
+) {
+	// Set up the start tag, valid params, the rest, and translations
+	// Calculated fields are never required
+	const {
+		startTag: startTag,
+		validParams: validParams,
+		restParams: restParams,
+	} = formFieldSetup(
+		false,
+		parsedAttrs,
+		params,
+		formDelimiter,
+		localization,
+		false,
+	);
+	const translations = {};
+
+	// Set default params
+	validParams.expression = "";
+
+	// Go through the rest of the params and validate
+	for (let [key, value] of Object.entries(restParams)) {
+		if (key === "expression" && value && typeof value === "string") {
+			const expression = unescape(value);
+			try {
+				parseExpression(expression);
+				validParams[key] = expression;
+			} catch (error) {
+				console.warn(
+					`[FORM-FIELDS] "${name}": "${key} = ${expression}" is not a valid expression (${error.message})`,
+				);
+			}
+		} else if (key === "decimals" && value && isNumeric(value)) {
+			validParams[key] = Math.max(0, parseInt(value, 10));
+		} else if (key === "hidden" && value) {
+			validParams[key] = value;
+		} else {
+			console.warn(
+				`[FORM-FIELDS] "${name}": "${key} = ${value}" is not a valid parameter`,
+			);
+		}
+	}
+
+	// When "|" is the form delimiter, it splits the params, so an expression
+	// using "||" is cut short ("or" must be used instead)
+	if (formDelimiter === "|" && /expression\s*=[^|]*\|\|/i.test(params)) {
+		console.warn(
+			`[FORM-FIELDS] "${name}": "||" cannot be used in the expression since "|" is the form delimiter (use "or" instead)`,
+		);
+		validParams.expression = "";
+	}
+
+	// Create the validation attributes (to be added to the start tag)
+	let validationAttrs = `data-fmd-name="${name}" data-fmd-type="calculated" data-fmd-expression="${escape$1(validParams.expression, true)}"`;
+	if (validParams.decimals !== undefined) {
+		validationAttrs += ` data-fmd-decimals="${validParams.decimals}"`;
+	}
+	if (validParams.hidden) {
+		validationAttrs += " hidden";
+	}
+
+	// Use Nunjucks to create the form field
+	nunjucks.configure({ autoescape: false });
+	return nunjucks.renderString(calculatedFieldTemplate, {
+		startTag: `${startTag.slice(0, 4)} ${validationAttrs} ${startTag.slice(4)}`,
+		name: name,
+		inputId: id !== "" ? `${id}:id_${name}` : `id_${name}`,
+		validParams: validParams,
+		translations: translations,
+	});
+}
+
+/* Hidden field */
+
+const hiddenFieldTemplate = `
+{{ startTag }}
+	<input
+		type="hidden"
+		name="{{ name }}"
+		id="{{ inputId }}"
+		class="fmd-form-hidden-input"
+		value="{{ validParams.value }}"
+	>
+</div>
+`;
+
+/**
+ * Create a hidden form field, i.e., a named value that is not shown, but is
+ * set to state, can be bound and used in logic jumps, and is sent with the
+ * form data. The value is taken from the first source that has it (URL
+ * parameters, data, POST data, cookies, or a script), or else the default
+ * value is used.
+ *
+ * @param {string} name
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} hidden form field as HTML string
+ */
+function createHiddenField(
+	name,
+	parsedAttrs,
+	params,
+	formDelimiter,
+	id,
+	localization,
+) {
+	// Set up the start tag, valid params, the rest, and translations
+	// Hidden fields are never required
+	const {
+		startTag: startTag,
+		validParams: validParams,
+		restParams: restParams,
+	} = formFieldSetup(
+		false,
+		parsedAttrs,
+		params,
+		formDelimiter,
+		localization,
+		false,
+	);
+	const translations = {};
+
+	// Set default params
+	validParams.source = ["url"];
+	validParams.key = name;
+	validParams.value = "";
+
+	// Go through the rest of the params and validate
+	const validSources = ["url", "data", "postdata", "cookie", "script"];
+	for (let [key, value] of Object.entries(restParams)) {
+		if (key === "source" && value && typeof value === "string") {
+			const sources = value
+				.split(",")
+				.map((source) => source.trim().toLowerCase())
+				.filter((source) => source);
+			if (
+				sources.length > 0 &&
+				sources.every((source) => validSources.includes(source))
+			) {
+				validParams[key] = sources;
+			} else {
+				console.warn(
+					`[FORM-FIELDS] "${name}": "${key} = ${value}" is not a valid parameter`,
+				);
+			}
+		} else if (key === "key" && value && typeof value === "string") {
+			validParams[key] = value;
+		} else if (key === "value" && typeof value === "string") {
+			validParams[key] = escape$1(unescape(value), true);
+		} else {
+			console.warn(
+				`[FORM-FIELDS] "${name}": "${key} = ${value}" is not a valid parameter`,
+			);
+		}
+	}
+
+	// Create the validation attributes (to be added to the start tag)
+	const validationAttrs = `data-fmd-name="${name}" data-fmd-type="hidden" data-fmd-source="${validParams.source.join(",")}" data-fmd-key="${escape$1(validParams.key, true)}" hidden`;
+
+	// Use Nunjucks to create the form field
+	nunjucks.configure({ autoescape: false });
+	return nunjucks.renderString(hiddenFieldTemplate, {
+		startTag: `${startTag.slice(0, 4)} ${validationAttrs} ${startTag.slice(4)}`,
+		name: name,
+		inputId: id !== "" ? `${id}:id_${name}` : `id_${name}`,
+		validParams: validParams,
+		translations: translations,
+	});
+}
+
+export { formFieldPattern, formFieldSetup, createTextField, createNumberField, createSliderField, createSelectField, createChoiceField, createRatingField, createOpinionScaleField, createMatrixField, createRankingField, createDatetimeField, createFileField, createSignatureField, createCalculatedField, createHiddenField };
\ No newline at end of file
@@ -14,6 +14,55 @@ function isNumeric(str) {
 	);
 }
 
+/**
+ * Given a string, create a 32-bit hash (unsigned integer). The same string
+ * always gives the same hash.
+ *
+ * @param {string} str
+ * @returns {number}
+ */
+function hashString(str) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < str.length; i++) {
+		hash = Math.imul(hash ^ str.charCodeAt(i), 0x01000193);
+	}
+	// Mix the bits so that similar strings give very different hashes
+	hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+	hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+	return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Shuffle the items using a seed. Each item is ranked by the hash of the seed
+ * and its key, so the order only depends on the seed and the keys (shuffling
+ * again gives the same order). Pinned items keep their positions.
+ *
+ * @param {Array} items
+ * @param {string} seed
+ * @param {(item: *) => string} getKey
+ * @param {(item: *) => boolean} [isPinned]
+ * @returns {Array} shuffled copy of the items
+ */
+function shuffleWithSeed(items, seed, getKey, isPinned) {
+	const shuffled = items.slice();
+	const positions = [];
+	const unpinned = [];
+	items.forEach((item, index) => {
+		if (!isPinned || !isPinned(item)) {
+			positions.push(index);
+			unpinned.push({
+				item: item,
+				rank: hashString(`${seed}:${getKey(item)}`),
+			});
+		}
+	});
+	unpinned.sort((a, b) => a.rank - b.rank);
+	positions.forEach((position, index) => {
+		shuffled[position] = unpinned[index].item;
+	});
+	return shuffled;
+}
+
 // The following is copied from Marked
 // https://github.com/markedjs/marked/
 
@@ -52,7 +101,96 @@ function cleanUrl(href) {
 	return href;
 }
 
-exports.escape$1 = escape$1;
+/**
+ * Given a string, get its UTF-8 bytes.
+ *
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function stringToBytes(str) {
+	const binary = encodeURIComponent(str).replace(
+		/%([0-9A-F]{2})/g,
+		(match, hex) => String.fromCharCode(parseInt(hex, 16)),
+	);
+	return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Given UTF-8 bytes, get the string. Throws if the bytes are not valid UTF-8.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToString(bytes) {
+	let percentEncoded = "";
+	for (const byte of bytes) {
+		percentEncoded += `%${byte.toString(16).padStart(2, "0")}`;
+	}
+	return decodeURIComponent(percentEncoded);
+}
+
+/**
+ * Given bytes, encode them as base64url (URL-safe, without padding).
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+	let binary = "";
+	for (const byte of bytes) {
+		binary += String.fromCharCode(byte);
+	}
+	return btoa(binary)
+		.replace(/\+/g, "-")
+		.replace(/\//g, "_")
+		.replace(/=+$/, "");
+}
+
+/**
+ * Given a base64url string, decode the bytes. Throws if the string is not
+ * valid base64url.
+ *
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(str) {
+	const binary = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+	return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Pass bytes through a transform stream, e.g., `CompressionStream`, and get
+ * the resulting bytes.
+ *
+ * @param {Uint8Array} bytes
+ * @param {{writable: WritableStream, readable: ReadableStream}} transformStream
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(bytes, transformStream) {
+	// The errors are thrown when reading (e.g., invalid compressed data)
+	const writer = transformStream.writable.getWriter();
+	writer.write(bytes).catch(() => {});
+	writer.close().catch(() => {});
+
+	const reader = transformStream.readable.getReader();
+	const chunks = [];
+	let length = 0;
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) {
+			break;
+		}
+		chunks.push(value);
+		length += value.length;
+	}
+	const result = new Uint8Array(length);
+	let offset = 0;
+	for (const chunk of chunks) {
+		result.set(chunk, offset);
+		offset += chunk.length;
+	}
+	return result;
+}
 
 // The following is copied from Lodash
 // https://github.com/lodash/lodash/
@@ -73,4 +211,4 @@ function unescape(string) {
 		: string || "";
 }
 
-export { isNumeric, cleanUrl, unescape, escape$1 };
\ No newline at end of file
+export { isNumeric, hashString, shuffleWithSeed, cleanUrl, unescape, escape$1, stringToBytes, bytesToString, bytesToBase64Url, base64UrlToBytes, transformBytes };
\ No newline at end of file
@@ -0,0 +1,295 @@
+import { parseDataBlocks } from "./data-blocks-parse.js";
+import {
+	parseExpression,
+	getExpressionNames,
+	evaluateCondition,
+} from "./expression-parse.js";
+import { formFieldPattern } from "./form-field-create.js";
+import { getSlideLogic } from "./slides-parse.js";
+
+/**
+ * Get the names of the form fields (and repeatable groups) defined in a slide.
+ *
+ * @param {string} template
+ * @returns {Array.<string>}
+ */
+function getSlideFieldNames(template) {
+	const names = [];
+	for (const match of template.matchAll(
+		/([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\*?\s*=\s*[a-zA-Z]+\(/g,
+	)) {
+		// Make sure it is an actual form field, e.g., "name = TextInput("
+		if (`${match[0]})`.match(formFieldPattern) && !names.includes(match[1])) {
+			names.push(match[1]);
+		}
+	}
+	for (const match of template.matchAll(
+		/(^|\s)repeat\s*=\s*["']?([a-zA-Z_$][a-zA-Z0-9_$]*)["']?(?=\s|\]|$)/g,
+	)) {
+		if (!names.includes(match[2])) {
+			names.push(match[2]);
+		}
+	}
+	return names;
+}
+
+/**
+ * Get the title of a slide, i.e., the text of the first heading.
+ *
+ * @param {string} template
+ * @returns {string}
+ */
+function getSlideTitle(template) {
+	const containsHeading = template.match(/^\s*#{1,6}\s+(.*)$/m);
+	if (!containsHeading) {
+		return "";
+	}
+	return containsHeading[1]
+		.replace(/^\[.*?\]/, "")
+		.replace(/[*_`{}$]/g, "")
+		.trim();
+}
+
+/**
+ * Check whether a jump condition can be met, knowing only the data (the form
+ * fields are not answered yet). Conditions that use form fields may or may
+ * not be met, while the other ones are either always or never met. Same as
+ * in the form, not valid conditions are never met.
+ *
+ * @param {string} jump
+ * @param {Object} data
+ * @param {Array.<string>} fieldNames - the names of all the form fields
+ * @returns {"always"|"never"|"maybe"}
+ */
+function getJumpOutcome(jump, data, fieldNames) {
+	if (!jump) {
+		return "always";
+	}
+	try {
+		const names = getExpressionNames(parseExpression(jump));
+		if (names.some((name) => fieldNames.includes(name))) {
+			return "maybe";
+		}
+		return evaluateCondition(jump, data) ? "always" : "never";
+	} catch (error) {
+		return "never";
+	}
+}
+
+/**
+ * Given a template string (without the settings), create the directed graph of
+ * the slides and the jump conditions between them. The slides are ordered the
+ * same way as `parseSlides` does: start slides first, then the body slides,
+ * and finally the end slide (only the last one is used, otherwise a default
+ * one is added). From each slide, the next one is the first slide after it
+ * whose jump condition is met, or that does not have a jump condition. Jump
+ * conditions that only use data are checked right away: the slides whose
+ * condition is never met are skipped, and the ones whose condition is always
+ * met end the fall through.
+ *
+ * The graph also reports unreachable slides, dead ends (slides that lead to
+ * the default end slide because none is defined using "-> END"), and names
+ * used in jump conditions that are not defined before, i.e., neither data
+ * nor form fields of the previous slides. The latter includes the form
+ * fields of the same or a later slide (flagged as `forward`), which are not
+ * answered yet when the condition is checked.
+ *
+ * @param {string} template
+ * @param {string} slideDelimiter
+ * @returns {{
+ *   nodes: Array.<{id: string, slide: number|null, type: "start"|"body"|"end", title: string, jump: string, fields: Array.<string>}>,
+ *   edges: Array.<{from: string, to: string, condition: string}>,
+ *   unreachableSlides: Array.<number>,
+ *   deadEnds: Array.<number>,
+ *   undefinedNames: Array.<{slide: number, name: string, forward: boolean}>
+ * }} graph, where the slide numbers start from 1
+ */
+function createLogicGraph(template, slideDelimiter) {
+	const parsedTemplateAndData = parseDataBlocks(template);
+	const dataNames = Object.keys(parsedTemplateAndData.data);
+
+	// Create a node for each slide
+	const startNodes = [];
+	const bodyNodes = [];
+	const endNodes = [];
+	const templateSplit = parsedTemplateAndData.template.split(slideDelimiter);
+	for (let i = 0; i < templateSplit.length; i++) {
+		const { slideType, jump } = getSlideLogic(templateSplit[i]);
+		const node = {
+			id: `slide-${i + 1}`,
+			slide: i + 1,
+			type: slideType,
+			title: getSlideTitle(templateSplit[i]),
+			// The first slide and start slides ignore the jump condition
+			jump: i > 0 && slideType === "body" ? jump : "",
+			fields: getSlideFieldNames(templateSplit[i]),
+		};
+		if (slideType === "start") {
+			startNodes.push(node);
+		} else if (slideType === "body") {
+			bodyNodes.push(node);
+		} else {
+			endNodes.push(node);
+		}
+	}
+
+	// Only the last end slide is used, otherwise a default one is added
+	const containsEndSlide = endNodes.length > 0;
+	const endNode = containsEndSlide
+		? endNodes[endNodes.length - 1]
+		: {
+				id: "default-end",
+				slide: null,
+				type: "end",
+				title: "",
+				jump: "",
+				fields: [],
+			};
+	const slideNodes = startNodes.concat(bodyNodes);
+	const nodes = slideNodes.concat(endNodes);
+	if (!containsEndSlide) {
+		nodes.push(endNode);
+	}
+
+	// Create the edges: conditional ones until the first slide without a jump
+	// condition (or one that is always met), or the end slide
+	const fieldNames = [].concat(...nodes.map((node) => node.fields));
+	const outcomes = slideNodes.map((node) =>
+		getJumpOutcome(node.jump, parsedTemplateAndData.data, fieldNames),
+	);
+	const edges = [];
+	for (let i = 0; i < slideNodes.length; i++) {
+		let isUnconditional = false;
+		for (let j = i + 1; j < slideNodes.length; j++) {
+			if (outcomes[j] === "never") {
+				continue;
+			}
+			edges.push({
+				from: slideNodes[i].id,
+				to: slideNodes[j].id,
+				condition: slideNodes[j].jump,
+			});
+			if (outcomes[j] === "always") {
+				isUnconditional = true;
+				break;
+			}
+		}
+		if (!isUnconditional) {
+			edges.push({ from: slideNodes[i].id, to: endNode.id, condition: "" });
+		}
+	}
+
+	// Find the reachable nodes, starting from the first one
+	const reachable = [];
+	const queue = nodes.length > 0 ? [nodes[0].id] : [];
+	while (queue.length > 0) {
+		const id = queue.shift();
+		if (reachable.includes(id)) {
+			continue;
+		}
+		reachable.push(id);
+		for (const edge of edges) {
+			if (edge.from === id) {
+				queue.push(edge.to);
+			}
+		}
+	}
+	const unreachableSlides = nodes
+		.filter((node) => node.slide !== null && !reachable.includes(node.id))
+		.map((node) => node.slide);
+
+	// Dead ends are the reachable slides that lead to the default end slide
+	const deadEnds = edges
+		.filter(
+			(edge) =>
+				edge.to === endNode.id &&
+				endNode.slide === null &&
+				reachable.includes(edge.from),
+		)
+		.map((edge) => nodes.find((node) => node.id === edge.from).slide);
+
+	// Names used in the jump conditions must be data, or form fields of the
+	// previous slides
+	const undefinedNames = [];
+	for (let i = 0; i < slideNodes.length; i++) {
+		if (!slideNodes[i].jump) {
+			continue;
+		}
+		let names = [];
+		try {
+			names = getExpressionNames(parseExpression(slideNodes[i].jump));
+		} catch (error) {
+			continue;
+		}
+		const definedNames = dataNames.concat(
+			...slideNodes.slice(0, i).map((node) => node.fields),
+		);
+		for (const name of names) {
+			if (!definedNames.includes(name)) {
+				undefinedNames.push({
+					slide: slideNodes[i].slide,
+					name: name,
+					forward: fieldNames.includes(name),
+				});
+			}
+		}
+	}
+
+	return {
+		nodes: nodes,
+		edges: edges,
+		unreachableSlides: unreachableSlides,
+		deadEnds: deadEnds,
+		undefinedNames: undefinedNames,
+	};
+}
+
+/**
+ * Export a logic graph (see `createLogicGraph`) as a Mermaid flowchart.
+ * Unreachable slides and dead ends are highlighted.
+ *
+ * @param {ReturnType<typeof createLogicGraph>} graph
+ * @returns {string}
+ */
+function logicGraphToMermaid(graph) {
+	const escapeLabel = (label) => label.replace(/"/g, "#quot;");
+	const lines = ["flowchart TD"];
+	for (const node of graph.nodes) {
+		let label = node.slide !== null ? `${node.slide}` : "End";
+		if (node.title) {
+			label += `. ${node.title}`;
+		}
+		if (node.type === "start" || node.type === "end") {
+			lines.push(`\t${node.id}(["${escapeLabel(label)}"])`);
+		} else {
+			lines.push(`\t${node.id}["${escapeLabel(label)}"]`);
+		}
+	}
+	for (const edge of graph.edges) {
+		if (edge.condition) {
+			lines.push(
+				`\t${edge.from} -->|"${escapeLabel(edge.condition)}"| ${edge.to}`,
+			);
+		} else {
+			lines.push(`\t${edge.from} --> ${edge.to}`);
+		}
+	}
+	const getNodeIds = (slides) => {
+		return graph.nodes
+			.filter((node) => slides.includes(node.slide))
+			.map((node) => node.id);
+	};
+	const unreachableIds = getNodeIds(graph.unreachableSlides);
+	if (unreachableIds.length > 0) {
+		lines.push("\tclassDef unreachable stroke-dasharray: 4 4,opacity: 0.5");
+		lines.push(`\tclass ${unreachableIds.join(",")} unreachable`);
+	}
+	const deadEndIds = getNodeIds(graph.deadEnds);
+	if (deadEndIds.length > 0) {
+		lines.push("\tclassDef deadEnd stroke: #dc3545");
+		lines.push(`\tclass ${deadEndIds.join(",")} deadEnd`);
+	}
+	return lines.join("\n");
+}
+
+export { createLogicGraph, logicGraphToMermaid };
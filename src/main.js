@@ -5,11 +5,47 @@
  * Copyright (c) 2024 Tahmid Khan Nafee
  */
 
+import {
+	createAnalytics,
+	recordSlideEnter,
+	recordSlideExit,
+	recordCompletion,
+	recordValidationError,
+	getTimings,
+	createAnalyticsPayload,
+} from "./analytics.js";
 import { parseDataBlocks } from "./data-blocks-parse.js";
-import { isNumeric } from "./helpers.js";
+import { createRepeatItem, fillBindSpans } from "./div-span-parse.js";
+import {
+	parseExpression,
+	getExpressionNames,
+	evaluateExpression,
+	evaluateCondition,
+} from "./expression-parse.js";
+import { formFieldPattern } from "./form-field-create.js";
+import {
+	base64UrlToBytes,
+	bytesToBase64Url,
+	bytesToString,
+	escape$1,
+	isNumeric,
+	shuffleWithSeed,
+	stringToBytes,
+	transformBytes,
+} from "./helpers.js";
+import { createLogicGraph, logicGraphToMermaid } from "./logic-graph.js";
 import { renderer } from "./marked-renderer.js";
 import { getDefaultSettings, parseSettings } from "./settings-parse.js";
 import { parseSpreadsheetData } from "./spreadsheet-data-parse.js";
+import {
+	getRetryDelay,
+	formDataToEntries,
+	entriesToFormData,
+	addQueuedSubmission,
+	getQueuedSubmissions,
+	updateQueuedSubmission,
+	removeQueuedSubmission,
+} from "./submission-queue.js";
 import {
 	createStyles,
 	madeInLoaderTemplate,
@@ -17,7 +53,10 @@ import {
 	createContentTemplate,
 } from "./templates-create.js";
 import { getTranslation } from "./translations.js";
-import { renderSlideFromDefinition } from "./slides-parse.js";
+import {
+	validateSlidesLogic,
+	renderSlideFromDefinition,
+} from "./slides-parse.js";
 import { createWelcomeScreen } from "./welcome-screen-template.js";
 import createDOMPurify from "dompurify";
 import hljs from "highlight.js/lib/common";
@@ -26,18 +65,28 @@ import nunjucks from "nunjucks";
 
 class Formsmd {
 	options = {
+		analytics: {
+			url: "",
+			callback: null,
+			attachTimings: false,
+		},
 		colorScheme: "light",
 		errorFieldKey: "field",
 		errorMessageKey: "message",
 		footer: "",
 		formsmdBranding: "",
 		getHeaders: {},
+		getHiddenFieldValue: null,
+		getSaveLinkQRCode: null,
 		isFullPage: false,
+		keyboardShortcuts: true,
+		offlineQueue: false,
 		paddingInlineBottom: 20,
 		paddingInlineHorizontal: 0,
 		paddingInlineTop: 20,
 		pageProgress: "",
 		postData: {},
+		postFormat: "",
 		postHeaders: {},
 		prioritizeURLFormData: false,
 		recaptcha: {
@@ -64,8 +113,110 @@ class Formsmd {
 			backgroundColor: "rgb(255, 255, 255)",
 			color: "rgb(0, 0, 0)",
 		},
+		transports: [],
 	};
 
+	/**
+	 * Controller used to remove all the DOM event listeners added by the
+	 * instance (see `destroy`).
+	 *
+	 * @type {AbortController}
+	 */
+	listenersController = new AbortController();
+
+	/**
+	 * Listeners of the lifecycle events, e.g., `{slidechange: [listener]}`.
+	 *
+	 * @type {Object.<string, Array.<function(CustomEvent): void>>}
+	 */
+	eventListeners = {};
+
+	/**
+	 * Timeout of the next retry of the queued submissions (if any).
+	 *
+	 * @type {ReturnType<typeof setTimeout>|null}
+	 */
+	submissionQueueTimeout = null;
+
+	/**
+	 * Timeout of the next partial submission after a field change (if any).
+	 *
+	 * @type {ReturnType<typeof setTimeout>|null}
+	 */
+	partialSubmissionTimeout = null;
+
+	/**
+	 * Controller used to abort the partial submission in flight (if any), so
+	 * that it never reaches the backend after a newer submission.
+	 *
+	 * @type {AbortController|null}
+	 */
+	partialSubmissionController = null;
+
+	/**
+	 * Images that are being resized after they are chosen, so that the
+	 * submissions can wait for them (see `waitForFileResizes()`).
+	 *
+	 * @type {Set<Promise<void>>}
+	 */
+	fileResizes = new Set();
+
+	/**
+	 * Analytics of the current response (if enabled), see `getAnalytics()`.
+	 *
+	 * @type {Object|null}
+	 */
+	analytics = null;
+
+	/**
+	 * Whether the queued submissions are being retried.
+	 *
+	 * @type {boolean}
+	 */
+	isRetryingSubmissions = false;
+
+	/**
+	 * Ranking item being dragged using a pointer (mouse or touch), if any.
+	 *
+	 * @type {{handle: HTMLElement, pointerId: number, startIndex: number}|null}
+	 */
+	rankingDrag = null;
+
+	/**
+	 * Runtime data of the combobox form fields (options, filtered options,
+	 * active option, etc.), see `getComboboxData()`.
+	 *
+	 * @type {WeakMap<HTMLElement, Object>}
+	 */
+	comboboxes = new WeakMap();
+
+	/**
+	 * Names of the piped form fields being created again, so that form fields
+	 * piped into each other do not do so endlessly, see
+	 * `reRenderPipedFields()`.
+	 *
+	 * @type {Set<string>}
+	 */
+	pipedFieldNames = new Set();
+
+	/**
+	 * Height of the options of the combobox form fields in pixels (the list of
+	 * options is virtualized, so the height must be fixed).
+	 *
+	 * @type {number}
+	 */
+	comboboxOptionHeight = 40;
+
+	/**
+	 * Analytics of the response in the markdown-driven mode (time per slide,
+	 * abandonment, and validation failures).
+	 *
+	 * @typedef {Object} AnalyticsType
+	 * @property {string} [url] URL the analytics are sent to (using `navigator.sendBeacon`) when the form is abandoned or completed.
+	 * @property {function(Object): void} [callback] Function that receives the analytics when the form is abandoned or completed.
+	 * @property {boolean} [attachTimings] Whether to attach the timings to the final submission as `_timings` (or `meta.timings` in JSON). Default is `false`.
+	 */
+
 	/**
 	 * Google reCAPTCHA attributes.
 	 *
@@ -86,22 +237,38 @@ class Formsmd {
 	 * @property {string} [color] The `color` of the text on the page (must be HTML name, hex code, or RGB).
 	 */
 
+	/**
+	 * Transport that form responses are sent to, in addition to the `post-url`
+	 * setting, e.g., a webhook.
+	 *
+	 * @typedef {Object} TransportType
+	 * @property {string} url The URL to send form responses to using POST request.
+	 * @property {"form-data"|"json"} [format] The format used to send form responses. Default is the same as `post-url`.
+	 * @property {Object} [headers] Headers for the POST requests.
+	 */
+
 	/**
 	 * Options for the page or form.
 	 *
 	 * @typedef {Object} OptionsType
+	 * @property {AnalyticsType} [analytics] Where the analytics of the response are sent.
 	 * @property {"light"|"dark"} [colorScheme] The default or initial color scheme of the page. Default is `"light"`.
 	 * @property {string} [errorFieldKey] The key used to identify the field in error objects. Default is `"field"`.
 	 * @property {string} [errorMessageKey] The key used to identify the error message in error objects. Default is `"message"`.
 	 * @property {"hide"|"show"} [footer] Controls visibility of the footer.
 	 * @property {"hide"|"show"} [formsmdBranding] Controls visibility of the Forms.md branding.
 	 * @property {Object} [getHeaders] Headers for GET requests.
+	 * @property {function(string, string): *} [getHiddenFieldValue] Function that returns the value of a hidden field with the `script` source, given its name and key.
+	 * @property {function(string): string} [getSaveLinkQRCode] Function that returns the image source of a QR code, given the link to continue the form later.
 	 * @property {boolean} [isFullPage] Whether to render in full page mode. Default is `false`.
+	 * @property {boolean} [keyboardShortcuts] Whether to use the keyboard shortcuts on the active slide: letters for choices, digits for ratings and opinion scales, Enter (or Cmd/Ctrl + Enter) for the next slide, and Esc (when not typing) for the previous one. Default is `true`.
+	 * @property {boolean} [offlineQueue] Whether to queue failed or offline submissions in IndexedDB and retry them later. Default is `false`.
 	 * @property {number} [paddingInlineBottom] Padding bottom for inline pages or forms. Default is `20`.
 	 * @property {number} [paddingInlineHorizontal] Horizontal padding for inline pages or forms. Default is `0`.
 	 * @property {number} [paddingInlineTop] Padding top for inline pages or forms. Default is `20`.
 	 * @property {"hide"|"show"|"decorative"} [pageProgress] Controls visibility and function of the page progress.
 	 * @property {Object} [postData] Extra data sent with POST requests.
+	 * @property {"form-data"|"json"} [postFormat] The format used to send form responses, takes precedence over the `post-format` setting. Default is `"form-data"`.
 	 * @property {Object} [postHeaders] Headers for POST requests.
 	 * @property {boolean} [prioritizeURLFormData] Whether to prioritize URL form data. Default is `false`.
 	 * @property {RecaptchaType} [recaptcha] The Google reCAPTCHA attributes.
@@ -113,6 +280,7 @@ class Formsmd {
 	 * @property {number} [startSlide] The index of the first slide to make active. Default is `0`.
 	 * @property {ThemeType} [themeDark] Dark theme.
 	 * @property {ThemeType} [themeLight] Light theme.
+	 * @property {Array.<TransportType|function(Object): Promise<*>>} [transports] Extra transports that form responses are sent to: URLs, or async functions that receive the normalized payload (same as the JSON format).
 	 */
 
 	/**
@@ -127,6 +295,28 @@ class Formsmd {
 
 		// Set the options for use
 		if (options) {
+			// Analytics
+			if (
+				options.analytics !== undefined &&
+				typeof options.analytics === "object"
+			) {
+				if (
+					options.analytics.url !== undefined &&
+					typeof options.analytics.url === "string"
+				) {
+					this.options.analytics.url = options.analytics.url;
+				}
+				if (typeof options.analytics.callback === "function") {
+					this.options.analytics.callback = options.analytics.callback;
+				}
+				if (
+					options.analytics.attachTimings !== undefined &&
+					typeof options.analytics.attachTimings === "boolean"
+				) {
+					this.options.analytics.attachTimings =
+						options.analytics.attachTimings;
+				}
+			}
 			// Color Scheme
 			if (options.colorScheme === "light" || options.colorScheme === "dark") {
 				this.options.colorScheme = options.colorScheme;
@@ -166,6 +356,14 @@ class Formsmd {
 					...options.getHeaders,
 				};
 			}
+			// Get hidden field value
+			if (typeof options.getHiddenFieldValue === "function") {
+				this.options.getHiddenFieldValue = options.getHiddenFieldValue;
+			}
+			// Get save link QR code
+			if (typeof options.getSaveLinkQRCode === "function") {
+				this.options.getSaveLinkQRCode = options.getSaveLinkQRCode;
+			}
 			// Is full page
 			if (
 				options.isFullPage !== undefined &&
@@ -173,6 +371,20 @@ class Formsmd {
 			) {
 				this.options.isFullPage = options.isFullPage;
 			}
+			// Keyboard shortcuts
+			if (
+				options.keyboardShortcuts !== undefined &&
+				typeof options.keyboardShortcuts === "boolean"
+			) {
+				this.options.keyboardShortcuts = options.keyboardShortcuts;
+			}
+			// Offline submission queue
+			if (
+				options.offlineQueue !== undefined &&
+				typeof options.offlineQueue === "boolean"
+			) {
+				this.options.offlineQueue = options.offlineQueue;
+			}
 			// Padding inline bottom
 			if (
 				options.paddingInlineBottom !== undefined &&
@@ -212,6 +424,10 @@ class Formsmd {
 					...options.postData,
 				};
 			}
+			// POST format
+			if (options.postFormat === "form-data" || options.postFormat === "json") {
+				this.options.postFormat = options.postFormat;
+			}
 			// POST headers
 			if (
 				options.postHeaders !== undefined &&
@@ -369,6 +585,25 @@ class Formsmd {
 					this.options.themeLight.color = options.themeLight.color;
 				}
 			}
+			// Transports
+			if (
+				options.transports !== undefined &&
+				Array.isArray(options.transports)
+			) {
+				this.options.transports = options.transports.filter((transport) => {
+					return (
+						typeof transport === "function" ||
+						(transport &&
+							typeof transport === "object" &&
+							typeof transport.url === "string" &&
+							(transport.format === undefined ||
+								transport.format === "form-data" ||
+								transport.format === "json") &&
+							(transport.headers === undefined ||
+								typeof transport.headers === "object"))
+					);
+				});
+			}
 		}
 
 		// Set up the settings from the options
@@ -434,10 +669,14 @@ class Formsmd {
 
 		instance.state = {
 			bindDivTemplates: {},
+			repeatTemplates: {},
 			data: {},
 			fieldTypes: {},
 			formData: {},
 			settings: getDefaultSettings(),
+			files: {},
+			signatures: {},
+			quizFields: {},
 			slideData: {
 				currentIndex: 0,
 				slideDefinitions: [],
@@ -566,6 +805,13 @@ class Formsmd {
 			rootElem.setAttribute("data-fmd-color-scheme", "light");
 			localStorage.setItem(localStorageKey, "light");
 		}
+
+		// Redraw the signatures using the colors of the new scheme
+		instance.container
+			.querySelectorAll('.fmd-form-field[data-fmd-type="signature"]')
+			.forEach((formField) => {
+				instance.drawSignature(formField);
+			});
 	};
 
 	/**
@@ -648,11 +894,260 @@ class Formsmd {
 	};
 
 	/**
-	 * Re-render the bind <div> and <span> elements.
+	 * Get the name of the URL parameter that holds the resume token.
+	 *
+	 * @returns {string}
+	 */
+	getResumeParamName = () => {
+		const instance = this;
+
+		return `${instance.getIdPrefix()}fmd-resume`;
+	};
+
+	/**
+	 * Whether a form field is kept in the resume tokens. The hidden and
+	 * calculated fields are not, as their values are set again, and neither
+	 * are the reserved fields, e.g., "_score".
+	 *
+	 * @param {string} name
+	 * @returns {boolean}
+	 */
+	isResumableField = (name) => {
+		const instance = this;
+
+		const fieldType = instance.state.fieldTypes[name];
+		return (
+			!name.startsWith("_") &&
+			fieldType !== "hidden" &&
+			fieldType !== "calculated"
+		);
+	};
+
+	/**
+	 * Create the resume token of the current response: the response id, the
+	 * index of the current slide, and the form data as JSON, compressed (if
+	 * `CompressionStream` is supported) and encoded as base64url. The token
+	 * is not signed, i.e., anyone with the link can read and edit it, so the
+	 * restored form data is not trusted any more than what the user enters.
+	 *
+	 * @returns {Promise<string>}
+	 */
+	createResumeToken = async () => {
+		const instance = this;
+
+		const formData = {};
+		for (const [name, value] of Object.entries(instance.state.formData)) {
+			if (
+				instance.state.fieldTypes[name] !== undefined &&
+				instance.isResumableField(name)
+			) {
+				formData[name] = value;
+			}
+		}
+		let bytes = stringToBytes(
+			JSON.stringify({
+				rid: instance.getOrCreateResponseId(),
+				slide: instance.state.slideData.currentIndex,
+				formData: formData,
+			}),
+		);
+
+		// "z" for compressed, "j" for plain JSON
+		let format = "j";
+		if (typeof CompressionStream === "function") {
+			bytes = await transformBytes(bytes, new CompressionStream("deflate-raw"));
+			format = "z";
+		}
+		return `${format}.${bytesToBase64Url(bytes)}`;
+	};
+
+	/**
+	 * Parse a resume token created by `createResumeToken`.
+	 *
+	 * @param {string} token
+	 * @returns {Promise<{rid: string, slide: number, formData: Object}|null>}
+	 * null if the token is not valid
+	 */
+	parseResumeToken = async (token) => {
+		const [format, encoded] = String(token).split(".");
+		if (!encoded || (format !== "j" && format !== "z")) {
+			return null;
+		}
+		try {
+			let bytes = base64UrlToBytes(encoded);
+			if (format === "z") {
+				if (typeof DecompressionStream !== "function") {
+					return null;
+				}
+				bytes = await transformBytes(
+					bytes,
+					new DecompressionStream("deflate-raw"),
+				);
+			}
+			const data = JSON.parse(bytesToString(bytes));
+			if (
+				typeof data.rid !== "string" ||
+				!/^[A-Za-z0-9]{8}-[A-Za-z0-9]{4}-[A-Za-z0-9]{4}-[A-Za-z0-9]{4}-[A-Za-z0-9]{12}$/.test(
+					data.rid,
+				) ||
+				!Number.isInteger(data.slide) ||
+				data.formData === null ||
+				typeof data.formData !== "object" ||
+				Array.isArray(data.formData)
+			) {
+				return null;
+			}
+			return data;
+		} catch (error) {
+			return null;
+		}
+	};
+
+	/**
+	 * Get the link to continue the current response later, i.e., the current
+	 * URL with the resume token.
+	 *
+	 * @returns {Promise<string>}
+	 */
+	getSaveLink = () => {
+		const instance = this;
+
+		return instance.createResumeToken().then((token) => {
+			const url = new URL(window.location.href);
+			url.searchParams.set(instance.getResumeParamName(), token);
+			return url.toString();
+		});
+	};
+
+	/**
+	 * Get the data of the resume token in the URL (if any).
+	 *
+	 * @returns {Promise<{rid: string, slide: number, formData: Object}|null>}
+	 */
+	getResumeData = () => {
+		const instance = this;
+
+		const token = new URLSearchParams(window.location.search).get(
+			instance.getResumeParamName(),
+		);
+		if (!token) {
+			return Promise.resolve(null);
+		}
+		return instance.parseResumeToken(token).then((resumeData) => {
+			if (!resumeData) {
+				console.warn(
+					"[DATA] The link to continue the form is not valid, starting from the beginning instead.",
+				);
+			}
+			return resumeData;
+		});
+	};
+
+	/**
+	 * Continue the response of a resume token: set the form data (saving it in
+	 * the local storage too), set the slide to start from, and remove the token
+	 * from the URL. The hidden, calculated, and reserved fields of the token
+	 * are ignored.
+	 *
+	 * @param {{rid: string, slide: number, formData: Object}} resumeData
+	 */
+	setResumeData = (resumeData) => {
+		const instance = this;
+
+		const formData = {};
+		for (const [name, value] of Object.entries(resumeData.formData)) {
+			if (instance.isResumableField(name)) {
+				formData[name] = value;
+			}
+		}
+		instance.setSavedFormData(formData);
+		if (instance.options.saveState) {
+			for (const [name, value] of Object.entries(formData)) {
+				instance.saveFieldValue(name, value);
+			}
+		}
+		if (instance.container.querySelectorAll(".fmd-slide")[resumeData.slide]) {
+			instance.options.startSlide = resumeData.slide;
+		}
+		const url = new URL(window.location.href);
+		url.searchParams.delete(instance.getResumeParamName());
+		window.history.replaceState(window.history.state, "", url.toString());
+	};
+
+	/**
+	 * Show or hide the save link panel in the footer. The link is created
+	 * every time the panel is shown, so that it has the latest form data.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	toggleSaveLink = (e) => {
+		const instance = this;
+
+		e.preventDefault();
+		const btn = e.currentTarget;
+		const panel = instance.container.querySelector(".fmd-save-link");
+		if (!panel) {
+			return;
+		}
+		if (!panel.hidden) {
+			panel.hidden = true;
+			btn.setAttribute("aria-expanded", "false");
+			return;
+		}
+		instance
+			.getSaveLink()
+			.then((link) => {
+				panel.querySelector(".fmd-save-link-input").value = link;
+				const copyBtn = panel.querySelector(".fmd-save-link-copy-btn");
+				copyBtn.textContent = getTranslation(
+					instance.state.settings.localization,
+					"save-link-copy-btn",
+				);
+				const qrCode = panel.querySelector(".fmd-save-link-qr-code");
+				if (instance.options.getSaveLinkQRCode) {
+					qrCode.setAttribute("src", instance.options.getSaveLinkQRCode(link));
+					qrCode.hidden = false;
+				}
+				panel.hidden = false;
+				btn.setAttribute("aria-expanded", "true");
+			})
+			.catch((error) => {
+				console.error(error);
+			});
+	};
+
+	/**
+	 * Copy the save link to the clipboard.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	copySaveLink = (e) => {
+		const instance = this;
+
+		e.preventDefault();
+		const btn = e.currentTarget;
+		const input = instance.container.querySelector(".fmd-save-link-input");
+		input.select();
+		if (navigator.clipboard) {
+			navigator.clipboard.writeText(input.value).catch((error) => {
+				console.error(error);
+			});
+		}
+		btn.textContent = getTranslation(
+			instance.state.settings.localization,
+			"save-link-copied",
+		);
+	};
+
+	/**
+	 * Re-render the bind <div> and <span> elements. Also update the options of
+	 * the form fields that depend on the name, and the calculated fields that
+	 * depend on the name (re-rendering their bind elements too).
 	 *
 	 * @param {string} name
+	 * @param {boolean} [skipCalculatedFields]
 	 */
-	reRenderBindElems = (name) => {
+	reRenderBindElems = (name, skipCalculatedFields) => {
 		const instance = this;
 
 		// Re-render the bind <div> elements
@@ -699,1379 +1194,5331 @@ class Formsmd {
 			.forEach((span) => {
 				span.innerText = instance.state.formData[name];
 			});
-	};
 
-	/**
-	 * Get value of a set of radio buttons or checkboxes.
-	 *
-	 * @param {string} name
-	 * @param {string} inputClass
-	 * @param {"radio"|"checkbox"} type
-	 * @returns {string|Array.<string>}
-	 */
-	getRadioCheckboxValue = (name, inputClass, type) => {
-		const instance = this;
+		// Create the piped form fields again
+		instance.reRenderPipedFields(name);
 
-		// For radio buttons, the single checked value is returned
-		if (type === "radio") {
-			let value = "";
-			const input = instance.container.querySelector(
-				`.${inputClass}[type="radio"][name="${name}"]:checked`,
-			);
-			if (input) {
-				value = input.value;
-			}
-			return value;
+		// Update the options of the dependent form fields
+		instance.updateDependentFields(name);
+
+		// Update the quiz score (if the form field is a quiz question)
+		if (instance.state.quizFields[name]) {
+			instance.updateQuizScore();
 		}
-		// For checkboxes, an array of checked values is returned
-		else if (type === "checkbox") {
-			const value = [];
-			instance.container
-				.querySelectorAll(
-					`.${inputClass}[type="checkbox"][name="${name}"]:checked`,
-				)
-				.forEach((input) => {
-					value.push(input.value);
-				});
-			return value;
+
+		// Update the calculated fields
+		if (!skipCalculatedFields) {
+			for (const calculatedName of instance.updateCalculatedFields(name)) {
+				instance.reRenderBindElems(calculatedName, true);
+			}
 		}
 	};
 
 	/**
-	 * Set value of a set of radio buttons or checkboxes.
+	 * Create the form fields with the name piped into their params again, e.g.,
+	 * `question = Thanks {$ name $}, how old are you?`. This way, the questions,
+	 * descriptions, placeholders and choices are updated. The ids stay the
+	 * same, and the values are kept (the ones no longer valid are removed).
+	 * File and signature fields are not created again, so that the chosen
+	 * files and the signature are kept.
 	 *
 	 * @param {string} name
-	 * @param {string} inputClass
-	 * @param {"radio"|"checkbox"} type
-	 * @param {string|Array.<string>} value
 	 */
-	setRadioCheckboxValue = (name, inputClass, type, value) => {
+	reRenderPipedFields = (name) => {
 		const instance = this;
 
-		// For radio buttons, the value is a single string
-		if (type === "radio") {
-			if (typeof value === "string") {
-				value = value.trim();
-			}
-			const input = instance.container.querySelector(
-				`.${inputClass}[type="radio"][name="${name}"][value="${value}"]`,
-			);
-			if (input) {
-				input.checked = true;
+		instance.container
+			.querySelectorAll(`.fmd-form-field[data-fmd-pipe~="${name}"]`)
+			.forEach((formField) => {
+				const template = formField.getAttribute("data-fmd-pipe-template");
+				const fieldName = template.match(formFieldPattern)[1];
+				if (instance.pipedFieldNames.has(fieldName)) {
+					return;
+				}
+				instance.pipedFieldNames.add(fieldName);
+
+				// Create the form field using the current values
+				marked.use({
+					renderer: renderer,
+					markedSettings: {
+						"css-prefix": instance.state.settings["css-prefix"],
+						"form-delimiter": instance.state.settings["form-delimiter"],
+						"id": instance.state.settings.id,
+						"localization": instance.state.settings.localization,
+					},
+				});
+				let parsedTemplate = marked.parse(
+					fillBindSpans(
+						template,
+						{
+							...instance.state.data,
+							...instance.state.formData,
+						},
+						instance.state.settings["form-delimiter"],
+					),
+				);
+				if (instance.options.sanitize) {
+					const DOMPurify = createDOMPurify(window);
+					parsedTemplate = DOMPurify.sanitize(parsedTemplate);
+				}
+				const tempDiv = document.createElement("div");
+				tempDiv.innerHTML = parsedTemplate;
+				const newFormField = tempDiv.querySelector(".fmd-form-field");
+
+				// File and signature fields only get the question and description
+				// updated in place, so that the chosen files and the signature are
+				// kept
+				const type = formField.getAttribute("data-fmd-type");
+				if (type === "file" || type === "signature") {
+					for (const selector of [
+						".fmd-form-question",
+						".fmd-form-description",
+					]) {
+						const elem = formField.querySelector(selector);
+						const newElem = newFormField.querySelector(selector);
+						if (elem && newElem) {
+							elem.replaceWith(newElem);
+						} else if (elem) {
+							elem.remove();
+						} else if (newElem) {
+							formField.querySelector(".fmd-form-question").after(newElem);
+						}
+					}
+					instance.pipedFieldNames.delete(fieldName);
+					return;
+				}
+				formField.replaceWith(newFormField);
+				instance.addEventListeners(newFormField, false);
+
+				// Keep the value (if the form field is already set to state)
+				if (instance.state.fieldTypes[fieldName] !== undefined) {
+					const previousValue = instance.state.formData[fieldName];
+					instance.setFieldValue(fieldName, previousValue);
+					const value = instance.state.formData[fieldName];
+					if (JSON.stringify(value) !== JSON.stringify(previousValue)) {
+						if (instance.options.saveState) {
+							instance.saveFieldValue(fieldName, value);
+						}
+						instance.emit("fieldchange", { name: fieldName, value: value });
+					}
+				}
+				instance.pipedFieldNames.delete(fieldName);
+			});
+	};
+
+	/**
+	 * Get the options of a dependent form field, i.e., the options mapped to
+	 * the value (or values) of the form field it depends on, from the data
+	 * block mapping.
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {Array.<{value: string, label: string}>}
+	 */
+	getDependentOptions = (formField) => {
+		const instance = this;
+
+		const mapKey = formField.getAttribute("data-fmd-options-map");
+		const map = instance.state.data[mapKey];
+		if (map === null || typeof map !== "object" || Array.isArray(map)) {
+			console.warn(`[DATA] "${mapKey}" is not a mapping of values to options`);
+			return [];
+		}
+		const parentValue =
+			instance.state.formData[formField.getAttribute("data-fmd-depends-on")];
+		const options = [];
+		for (const value of [].concat(parentValue)) {
+			if (value === null || value === undefined || !Array.isArray(map[value])) {
+				continue;
 			}
-		}
-		// For checkboxes, the value is an array of strings
-		else if (type === "checkbox") {
-			const values = {};
-			for (const item of value) {
-				values[item.trim()] = true;
+			for (const item of map[value]) {
+				const option = instance.normalizeComboboxOption(item);
+				if (
+					option &&
+					!options.some((existing) => existing.value === option.value)
+				) {
+					options.push(option);
+				}
 			}
-			instance.container
-				.querySelectorAll(`.${inputClass}[type="checkbox"][name="${name}"]`)
-				.forEach((input) => {
-					input.checked = false;
-					if (values[input.value]) {
-						input.checked = true;
-					}
-				});
 		}
+		return options;
 	};
 
 	/**
-	 * Given a country calling code <select>, update placeholder of the
-	 * corresponding telephone input using the selected <option>.
+	 * Update the options of the form fields that depend on the name. The
+	 * values that are still valid are kept, and the stale ones are removed
+	 * from the state and local storage. The form fields whose values change
+	 * are re-rendered in turn, so that cascading form fields are updated too.
 	 *
-	 * @param {HTMLSelectElement} countryCodeSelect
+	 * @param {string} name
 	 */
-	setTelInputPlaceholder = (countryCodeSelect) => {
-		const telInput = countryCodeSelect
-			.closest(".fmd-form-field")
-			.querySelector('.fmd-form-str-input[type="tel"]');
-		const selected = countryCodeSelect.selectedOptions[0];
-		if (telInput && selected) {
-			telInput.setAttribute(
-				"placeholder",
-				selected.getAttribute("data-fmd-placeholder"),
+	updateDependentFields = (name) => {
+		const instance = this;
+
+		instance.container
+			.querySelectorAll(`.fmd-form-field[data-fmd-depends-on="${name}"]`)
+			.forEach((formField) => {
+				const fieldName = formField.getAttribute("data-fmd-name");
+				const type = formField.getAttribute("data-fmd-type");
+				let previousValue;
+				let value;
+
+				// Combobox field, the options are read again
+				if (type === "combobox") {
+					previousValue = instance.getComboboxValue(formField);
+					instance.comboboxes.delete(formField);
+					const options = instance.getComboboxData(formField).options;
+					instance.setComboboxValue(
+						formField,
+						[]
+							.concat(previousValue)
+							.filter((item) =>
+								options.some((option) => option.value === item),
+							),
+					);
+					value = instance.getComboboxValue(formField);
+					instance.state.fieldTypes[fieldName] = "combobox";
+				}
+				// Choice field, the choices are created from the template
+				else if (type === "radio" || type === "checkbox") {
+					previousValue = instance.getRadioCheckboxValue(
+						fieldName,
+						"fmd-form-str-check-input",
+						type,
+					);
+					const checkedValues = [].concat(previousValue);
+					const grid = formField.querySelector(".fmd-check-grid");
+					const template = formField.querySelector(
+						"template.fmd-form-check-template",
+					);
+					const inputId = `${instance.getIdPrefix()}id_${fieldName}`;
+					grid.innerHTML = "";
+					instance.getDependentOptions(formField).forEach((option, index) => {
+						const check = template.content.firstElementChild.cloneNode(true);
+						const input = check.querySelector(".fmd-form-str-check-input");
+						const label = check.querySelector(".fmd-form-check-label");
+						input.setAttribute("id", `${inputId}-${index + 1}`);
+						input.setAttribute("value", option.value);
+						input.checked = checkedValues.includes(option.value);
+						input.addEventListener("input", instance.choiceFieldOnInput, {
+							signal: instance.listenersController.signal,
+						});
+						label.setAttribute("for", `${inputId}-${index + 1}`);
+						label.insertBefore(
+							document.createTextNode(option.label),
+							label.firstChild,
+						);
+						grid.appendChild(check);
+					});
+					instance.shuffleOptions(formField);
+					instance.addChoiceKeyBadges(formField);
+					value = instance.getRadioCheckboxValue(
+						fieldName,
+						"fmd-form-str-check-input",
+						type,
+					);
+					instance.state.fieldTypes[fieldName] = "choice";
+				}
+				// Select field, the placeholder option is kept
+				else {
+					const select = formField.querySelector(".fmd-form-str-select");
+					previousValue = select.value;
+					select
+						.querySelectorAll("option:not(:first-child)")
+						.forEach((option) => {
+							option.remove();
+						});
+					for (const option of instance.getDependentOptions(formField)) {
+						const elem = document.createElement("option");
+						elem.setAttribute("value", option.value);
+						elem.textContent = option.label;
+						select.appendChild(elem);
+					}
+					instance.shuffleOptions(formField);
+					select.value = previousValue;
+					if (select.value !== previousValue) {
+						select.selectedIndex = 0;
+					}
+					value = select.value;
+					instance.state.fieldTypes[fieldName] = "select";
+				}
+
+				// Remove the stale values
+				instance.state.formData[fieldName] = value;
+				if (JSON.stringify(value) !== JSON.stringify(previousValue)) {
+					if (instance.options.saveState) {
+						instance.saveFieldValue(fieldName, value);
+					}
+					instance.reRenderBindElems(fieldName);
+					instance.emit("fieldchange", { name: fieldName, value: value });
+				}
+			});
+	};
+
+	/**
+	 * Check the answer to a quiz question. For checkboxes, all the correct
+	 * choices (and only those) must be checked. For radio buttons and numbers,
+	 * the answer must be one of the correct answers.
+	 *
+	 * @param {string} name
+	 * @returns {boolean}
+	 */
+	isQuizAnswerCorrect = (name) => {
+		const instance = this;
+
+		const correct = instance.state.quizFields[name].correct;
+		const value = instance.state.formData[name];
+		if (Array.isArray(value)) {
+			return (
+				value.length === correct.length &&
+				value.every((item) => correct.includes(item))
 			);
 		}
+		return value !== null && value !== "" && correct.includes(value);
 	};
 
 	/**
-	 * Set form data to state (value and type). Also re-render the bind <div>
-	 * and <span> elements.
+	 * Get the points of the answer to a quiz question, along with the maximum
+	 * points. With points per choice, the points of the checked choices are
+	 * added up, whether the answer is correct or not.
+	 *
+	 * @param {string} name
+	 * @returns {{points: number, maxPoints: number}}
 	 */
-	setFormDataToState = () => {
+	getQuizPoints = (name) => {
 		const instance = this;
 
-		// Text fields
-		instance.container
-			.querySelectorAll(
-				'input.fmd-form-str-input[type="text"], input.fmd-form-str-input[type="email"], input.fmd-form-str-input[type="url"], input.fmd-form-str-input[type="tel"], textarea.fmd-form-str-input',
-			)
-			.forEach((elem) => {
-				let name = elem.getAttribute("name");
-				const value = elem.value;
-				const type = elem.getAttribute("type") || "text";
-				instance.state.formData[name] = value;
-				instance.state.fieldTypes[name] = type;
-				instance.reRenderBindElems(name);
-			});
+		const points = instance.state.quizFields[name].points;
+		if (typeof points === "number") {
+			return {
+				points: instance.isQuizAnswerCorrect(name) ? points : 0,
+				maxPoints: points,
+			};
+		}
+		const value = instance.state.formData[name];
+		const choicePoints = Object.values(points);
+		const getChoicePoints = (choice) => {
+			return Object.prototype.hasOwnProperty.call(points, choice)
+				? points[choice]
+				: 0;
+		};
+		if (Array.isArray(value)) {
+			return {
+				points: value.reduce((sum, item) => sum + getChoicePoints(item), 0),
+				maxPoints: choicePoints
+					.filter((item) => item > 0)
+					.reduce((sum, item) => sum + item, 0),
+			};
+		}
+		return {
+			points: getChoicePoints(value),
+			maxPoints: Math.max(0, ...choicePoints),
+		};
+	};
 
-		// Number fields
-		instance.container
-			.querySelectorAll('input.fmd-form-num-input[type="number"]')
-			.forEach((elem) => {
-				const name = elem.getAttribute("name");
-				const value = isNumeric(elem.value) ? Number(elem.value) : null;
-				instance.state.formData[name] = value;
-				instance.state.fieldTypes[name] = "number";
-				instance.reRenderBindElems(name);
-			});
+	/**
+	 * Calculate the quiz score (if the `quiz` setting is used), and set it to
+	 * state as "_score", along with the maximum score as "_max_score". These
+	 * can be used like form fields, e.g., in bind <div> and <span> elements,
+	 * jump conditions, and end slides, and they are posted with the response.
+	 */
+	updateQuizScore = () => {
+		const instance = this;
 
-		// Select fields
-		instance.container
-			.querySelectorAll("select.fmd-form-str-select")
-			.forEach((elem) => {
-				const name = elem.getAttribute("name");
-				const value = elem.value;
+		if (instance.state.settings.quiz !== "true") {
+			return;
+		}
+		let score = 0;
+		let maxScore = 0;
+		for (const name of Object.keys(instance.state.quizFields)) {
+			const { points, maxPoints } = instance.getQuizPoints(name);
+			score += points;
+			maxScore += maxPoints;
+		}
+		const scores = { _score: score, _max_score: maxScore };
+		for (const [name, value] of Object.entries(scores)) {
+			if (instance.state.formData[name] !== value) {
 				instance.state.formData[name] = value;
-				instance.state.fieldTypes[name] = "select";
 				instance.reRenderBindElems(name);
-			});
+			}
+		}
+	};
 
-		// Choice fields
-		instance.container
-			.querySelectorAll(
-				".fmd-form-check:first-child input.fmd-form-str-check-input",
-			)
-			.forEach((elem) => {
-				const name = elem.getAttribute("name");
-				const type = elem.getAttribute("type");
-				const value = instance.getRadioCheckboxValue(
-					name,
-					"fmd-form-str-check-input",
-					type,
-				);
-				instance.state.formData[name] = value;
-				instance.state.fieldTypes[name] = "choice";
-				instance.reRenderBindElems(name);
-			});
+	/**
+	 * Show the instant feedback of the quiz questions on the slide (if the
+	 * `quiz-feedback` setting is used): whether each answer is right or wrong,
+	 * the correct choices, and the explanation. The answers cannot be changed
+	 * after that. The feedback is only shown once per slide.
+	 *
+	 * @param {HTMLElement} slide
+	 * @returns {boolean} whether the feedback is shown
+	 */
+	showQuizFeedback = (slide) => {
+		const instance = this;
 
-		// Number choice fields
-		instance.container
-			.querySelectorAll("input.fmd-form-num-check-input:first-child")
-			.forEach((elem) => {
-				const name = elem.getAttribute("name");
-				let value = instance.getRadioCheckboxValue(
-					name,
-					"fmd-form-num-check-input",
-					"radio",
-				);
-				value = value ? parseInt(value) : null;
-				instance.state.formData[name] = value;
-				instance.state.fieldTypes[name] = "num-choice";
-				instance.reRenderBindElems(name);
+		if (
+			instance.state.settings.quiz !== "true" ||
+			instance.state.settings["quiz-feedback"] !== "instant" ||
+			slide.hasAttribute("data-fmd-quiz-feedback-shown")
+		) {
+			return false;
+		}
+		const formFields = slide.querySelectorAll(
+			".fmd-form-field[data-fmd-correct]",
+		);
+		if (formFields.length === 0) {
+			return false;
+		}
+		formFields.forEach((formField) => {
+			const name = formField.getAttribute("data-fmd-name");
+			const isCorrect = instance.isQuizAnswerCorrect(name);
+			const correct = instance.state.quizFields[name].correct;
+
+			// Mark the correct choices, and disable the inputs
+			formField.querySelectorAll(".fmd-form-check").forEach((check) => {
+				const input = check.querySelector(".fmd-form-str-check-input");
+				if (correct.includes(input.value)) {
+					check.classList.add("fmd-form-check-correct");
+				}
 			});
-
-		// Datetime fields
-		instance.container
-			.querySelectorAll(
-				'input.fmd-form-datetime-input[type="datetime-local"], input.fmd-form-datetime-input[type="date"], input.fmd-form-datetime-input[type="time"]',
-			)
-			.forEach((elem) => {
-				let name = elem.getAttribute("name");
-				const value = elem.value;
-				const type = elem.getAttribute("type");
-				instance.state.formData[name] = value;
-				instance.state.fieldTypes[name] = type;
-				instance.reRenderBindElems(name);
+			formField.querySelectorAll("input").forEach((input) => {
+				input.disabled = true;
 			});
+
+			// Show right or wrong
+			const feedback = formField.querySelector(".fmd-quiz-feedback");
+			feedback.classList.add(
+				isCorrect ? "fmd-quiz-feedback-correct" : "fmd-quiz-feedback-incorrect",
+			);
+			feedback.querySelector(".fmd-quiz-feedback-title").textContent =
+				getTranslation(
+					instance.state.settings.localization,
+					isCorrect ? "quiz-correct" : "quiz-incorrect",
+				);
+			feedback.hidden = false;
+		});
+		slide.setAttribute("data-fmd-quiz-feedback-shown", "");
+		return true;
 	};
 
 	/**
-	 * Set form data from URL parameters: set value in the DOM, update state,
-	 * conditionally update local storage, and re-render the bind <div> and
-	 * <span> elements. The local storage is updated if this function is called
-	 * AFTER setting the saved form data (in local storage).
+	 * Evaluate the expressions of the calculated fields that depend on the
+	 * name (or all of them if the name is not given), and set the results to
+	 * state. Calculated fields that depend on other calculated fields are
+	 * updated in turn. The number of times a field is evaluated per call is
+	 * limited, so circular expressions cannot cause an infinite loop.
 	 *
-	 * @param {boolean} updateLocalStorage
+	 * @param {string} [name]
+	 * @returns {Array.<string>} names of the calculated fields whose values
+	 * changed
 	 */
-	setFormDataFromURL = (updateLocalStorage) => {
+	updateCalculatedFields = (name) => {
 		const instance = this;
 
-		const urlParams = new URLSearchParams(window.location.search);
-		for (const urlParam of urlParams) {
-			let name = urlParam[0];
-			let value = urlParam[1];
+		const formFields = instance.container.querySelectorAll(
+			'.fmd-form-field[data-fmd-type="calculated"]',
+		);
+		if (formFields.length === 0) {
+			return [];
+		}
+
+		const queue = [name];
+		const evaluationCounts = {};
+		const changed = [];
+		while (queue.length > 0) {
+			const dependency = queue.shift();
+			formFields.forEach((formField) => {
+				const calculatedName = formField.getAttribute("data-fmd-name");
+				if (evaluationCounts[calculatedName] > formFields.length) {
+					return;
+				}
 
-			// Make sure URL parameters are id-scoped
-			if (instance.state.settings.id !== "") {
-				if (name.startsWith(`${instance.state.settings.id}:`)) {
-					name = name.replace(`${instance.state.settings.id}:`, "");
-				} else {
-					continue;
+				// Parse the expression, making sure it depends on the name
+				let tree;
+				try {
+					tree = parseExpression(
+						formField.getAttribute("data-fmd-expression") || "null",
+					);
+				} catch (error) {
+					return;
 				}
-			}
+				if (
+					dependency !== undefined &&
+					!getExpressionNames(tree).includes(dependency)
+				) {
+					return;
+				}
+				evaluationCounts[calculatedName] =
+					(evaluationCounts[calculatedName] || 0) + 1;
 
-			// Text field
-			if (
-				instance.state.fieldTypes[name] === "text" ||
-				instance.state.fieldTypes[name] === "email" ||
-				instance.state.fieldTypes[name] === "url" ||
-				instance.state.fieldTypes[name] === "tel"
-			) {
-				const input = instance.container.querySelector(
-					`.fmd-form-str-input[name="${name}"]`,
-				);
-				if (input) {
-					input.value = value;
-					instance.state.formData[name] = value;
-					if (updateLocalStorage && instance.options.saveState) {
-						instance.saveFieldValue(name, value);
+				// Evaluate the expression and round numbers (if needed)
+				let value = null;
+				try {
+					value = evaluateExpression(tree, {
+						...instance.state.data,
+						...instance.state.formData,
+					});
+				} catch (error) {
+					console.warn(`[FORM-FIELDS] "${calculatedName}": ${error.message}`);
+				}
+				if (typeof value === "number") {
+					const decimals = formField.getAttribute("data-fmd-decimals");
+					if (!isFinite(value)) {
+						value = null;
+					} else if (decimals !== null) {
+						value = Number(value.toFixed(Number(decimals)));
 					}
-					instance.reRenderBindElems(name);
+				} else if (value === undefined) {
+					value = null;
 				}
-			}
 
-			// Number field
-			if (instance.state.fieldTypes[name] === "number") {
-				const input = instance.container.querySelector(
-					`.fmd-form-num-input[name="${name}"]`,
-				);
-				if (input && isNumeric(value)) {
-					value = Number(value);
-					input.value = value;
-					instance.state.formData[name] = value;
-					if (updateLocalStorage && instance.options.saveState) {
-						instance.saveFieldValue(name, value);
-					}
-					instance.reRenderBindElems(name);
+				// Show the value
+				const output = formField.querySelector(".fmd-form-calculated-output");
+				if (output) {
+					output.value = value === null ? "" : String(value);
 				}
-			}
 
-			// Select field
-			if (instance.state.fieldTypes[name] === "select") {
-				const select = instance.container.querySelector(
-					`.fmd-form-str-select[name="${name}"]`,
-				);
-				if (select) {
-					const options = select.querySelectorAll("option");
-					for (const option of options) {
-						if (option.getAttribute("value") === value) {
-							select.value = value;
-							instance.state.formData[name] = value;
-							if (updateLocalStorage && instance.options.saveState) {
-								instance.saveFieldValue(name, value);
-							}
-							instance.reRenderBindElems(name);
-							break;
-						}
-					}
-					if (select.classList.contains("fmd-form-countrycode-select")) {
-						instance.setTelInputPlaceholder(select);
+				// Set to state, and update the dependents if the value changed
+				instance.state.fieldTypes[calculatedName] = "calculated";
+				if (
+					JSON.stringify(value) !==
+					JSON.stringify(instance.state.formData[calculatedName])
+				) {
+					instance.state.formData[calculatedName] = value;
+					if (!changed.includes(calculatedName)) {
+						changed.push(calculatedName);
 					}
+					queue.push(calculatedName);
 				}
-			}
+			});
+		}
 
-			// Choice field
-			if (instance.state.fieldTypes[name] === "choice") {
-				const input = instance.container.querySelector(
-					`.fmd-form-str-check-input[name="${name}"]`,
-				);
-				if (input) {
-					const type = input.getAttribute("type");
+		return changed;
+	};
 
-					// Set value, for checkbox, convert to array first
-					if (type === "checkbox") {
-						value = value.split(",");
-					}
-					instance.setRadioCheckboxValue(
-						name,
-						"fmd-form-str-check-input",
-						type,
-						value,
-					);
+	/**
+	 * Get value of a set of radio buttons or checkboxes.
+	 *
+	 * @param {string} name
+	 * @param {string} inputClass
+	 * @param {"radio"|"checkbox"} type
+	 * @returns {string|Array.<string>}
+	 */
+	getRadioCheckboxValue = (name, inputClass, type) => {
+		const instance = this;
 
-					// Get value again, set to state, etc.
-					value = instance.getRadioCheckboxValue(
-						name,
-						"fmd-form-str-check-input",
-						type,
-					);
-					instance.state.formData[name] = value;
-					if (updateLocalStorage && instance.options.saveState) {
-						instance.saveFieldValue(name, value);
-					}
-					instance.reRenderBindElems(name);
-				}
+		// For radio buttons, the single checked value is returned
+		if (type === "radio") {
+			let value = "";
+			const input = instance.container.querySelector(
+				`.${inputClass}[type="radio"][name="${name}"]:checked`,
+			);
+			if (input) {
+				value = input.value;
 			}
+			return value;
+		}
+		// For checkboxes, an array of checked values is returned
+		else if (type === "checkbox") {
+			const value = [];
+			instance.container
+				.querySelectorAll(
+					`.${inputClass}[type="checkbox"][name="${name}"]:checked`,
+				)
+				.forEach((input) => {
+					value.push(input.value);
+				});
+			return value;
+		}
+	};
 
-			// Number choice field
-			if (instance.state.fieldTypes[name] === "num-choice") {
-				const input = instance.container.querySelector(
-					`.fmd-form-num-check-input[name="${name}"]`,
-				);
-				if (input) {
-					instance.setRadioCheckboxValue(
-						name,
-						"fmd-form-num-check-input",
-						"radio",
-						value,
-					);
-					value = instance.getRadioCheckboxValue(
-						name,
-						"fmd-form-num-check-input",
-						"radio",
-					);
-					value = value ? parseInt(value) : null;
-					instance.state.formData[name] = value;
-					if (updateLocalStorage && instance.options.saveState) {
-						instance.saveFieldValue(name, value);
-					}
-					instance.reRenderBindElems(name);
-				}
+	/**
+	 * Set value of a set of radio buttons or checkboxes.
+	 *
+	 * @param {string} name
+	 * @param {string} inputClass
+	 * @param {"radio"|"checkbox"} type
+	 * @param {string|Array.<string>} value
+	 */
+	setRadioCheckboxValue = (name, inputClass, type, value) => {
+		const instance = this;
+
+		// For radio buttons, the value is a single string
+		if (type === "radio") {
+			if (typeof value === "string") {
+				value = value.trim();
+			}
+			const input = instance.container.querySelector(
+				`.${inputClass}[type="radio"][name="${name}"][value="${value}"]`,
+			);
+			if (input) {
+				input.checked = true;
+			}
+		}
+		// For checkboxes, the value is an array of strings
+		else if (type === "checkbox") {
+			const values = {};
+			for (const item of value) {
+				values[item.trim()] = true;
 			}
+			instance.container
+				.querySelectorAll(`.${inputClass}[type="checkbox"][name="${name}"]`)
+				.forEach((input) => {
+					input.checked = false;
+					if (values[input.value]) {
+						input.checked = true;
+					}
+				});
+		}
+	};
 
-			// Datetime field
-			if (
-				instance.state.fieldTypes[name] === "datetime-local" ||
-				instance.state.fieldTypes[name] === "date" ||
-				instance.state.fieldTypes[name] === "time"
-			) {
-				const input = instance.container.querySelector(
-					`.fmd-form-datetime-input[name="${name}"]`,
-				);
-				if (input) {
-					input.value = value;
-					instance.state.formData[name] = value;
-					if (updateLocalStorage && instance.options.saveState) {
-						instance.saveFieldValue(name, value);
+	/**
+	 * Get value of a matrix form field. The value is an object with one entry
+	 * per row, where each entry is the checked value (radio buttons) or an
+	 * array of checked values (checkboxes).
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {Object.<string, string|Array.<string>>}
+	 */
+	getMatrixValue = (formField) => {
+		const value = {};
+		formField.querySelectorAll(".fmd-matrix-row").forEach((row) => {
+			const rowName = row.getAttribute("data-fmd-matrix-row");
+			const inputs = row.querySelectorAll(".fmd-form-matrix-input");
+			if (inputs.length > 0 && inputs[0].getAttribute("type") === "checkbox") {
+				value[rowName] = [];
+				inputs.forEach((input) => {
+					if (input.checked) {
+						value[rowName].push(input.value);
 					}
-					instance.reRenderBindElems(name);
-				}
+				});
+			} else {
+				value[rowName] = "";
+				inputs.forEach((input) => {
+					if (input.checked) {
+						value[rowName] = input.value;
+					}
+				});
 			}
+		});
+		return value;
+	};
+
+	/**
+	 * Set value of a matrix form field. Rows that are not present in the given
+	 * value are left untouched.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {Object.<string, string|Array.<string>>} value
+	 */
+	setMatrixValue = (formField, value) => {
+		if (!value || typeof value !== "object") {
+			return;
 		}
+		formField.querySelectorAll(".fmd-matrix-row").forEach((row) => {
+			const rowName = row.getAttribute("data-fmd-matrix-row");
+			if (value[rowName] === undefined) {
+				return;
+			}
+			const rowValues = [].concat(value[rowName]).map((item) => {
+				return String(item).trim();
+			});
+			row.querySelectorAll(".fmd-form-matrix-input").forEach((input) => {
+				input.checked = rowValues.includes(input.value);
+			});
+		});
+	};
+
+	/**
+	 * Get value of a ranking form field, i.e., the choice values in the order
+	 * they are currently displayed.
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {Array.<string>}
+	 */
+	getRankingValue = (formField) => {
+		const value = [];
+		formField.querySelectorAll(".fmd-ranking-item").forEach((item) => {
+			value.push(item.getAttribute("data-fmd-value"));
+		});
+		return value;
 	};
 
 	/**
-	 * Set form data saved in local storage: set value in the DOM, update state,
-	 * and re-render the bind <div> and <span> elements.
+	 * Set value of a ranking form field by reordering the items. Items that are
+	 * not present in the given value keep their relative order at the end.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {Array.<string>} value
 	 */
-	setSavedFormData = () => {
+	setRankingValue = (formField, value) => {
 		const instance = this;
 
-		const localStorageKey = `formsmd:${instance.getIdPrefix()}${
-			window.location.hostname
-		}${window.location.pathname}form-data`;
-		const savedFormData = localStorage.getItem(localStorageKey);
-		if (!savedFormData) {
+		if (!Array.isArray(value)) {
 			return;
 		}
-		for (const [name, value] of Object.entries(JSON.parse(savedFormData))) {
-			// Text field
-			if (
-				instance.state.fieldTypes[name] === "text" ||
-				instance.state.fieldTypes[name] === "email" ||
-				instance.state.fieldTypes[name] === "url" ||
-				instance.state.fieldTypes[name] === "tel"
-			) {
-				const input = instance.container.querySelector(
-					`.fmd-form-str-input[name="${name}"]`,
-				);
-				if (input) {
-					input.value = value;
-					instance.state.formData[name] = value;
-					instance.reRenderBindElems(name);
-				}
-			}
+		const list = formField.querySelector(".fmd-ranking-list");
+		const items = Array.from(list.querySelectorAll(".fmd-ranking-item"));
+		const getRank = (item) => {
+			const rank = value.indexOf(item.getAttribute("data-fmd-value"));
+			return rank !== -1 ? rank : value.length;
+		};
+		items
+			.map((item, index) => {
+				return { item: item, rank: getRank(item), index: index };
+			})
+			.sort((a, b) => {
+				return a.rank - b.rank || a.index - b.index;
+			})
+			.forEach((entry) => {
+				list.appendChild(entry.item);
+			});
+		instance.updateRankingPositions(formField);
+	};
 
-			// Number field
-			if (instance.state.fieldTypes[name] === "number") {
-				const input = instance.container.querySelector(
+	/**
+	 * Update the displayed positions of the items of a ranking form field.
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	updateRankingPositions = (formField) => {
+		formField
+			.querySelectorAll(".fmd-ranking-position")
+			.forEach((position, index) => {
+				position.textContent = `${index + 1}`;
+			});
+	};
+
+	/**
+	 * Get value of a slider form field: a number, or `[low, high]` in range
+	 * mode.
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {number|Array.<number>}
+	 */
+	getSliderValue = (formField) => {
+		const values = [];
+		formField.querySelectorAll(".fmd-form-slider-input").forEach((input) => {
+			values.push(parseFloat(input.value));
+		});
+		return formField.hasAttribute("data-fmd-range") ? values : values[0];
+	};
+
+	/**
+	 * Set value of a slider form field, i.e., a number, or `[low, high]` in
+	 * range mode. The values are clamped to the minimum and maximum by the
+	 * inputs themselves.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {number|string|Array.<number|string>} value
+	 */
+	setSliderValue = (formField, value) => {
+		const instance = this;
+
+		const values = [].concat(value);
+		formField
+			.querySelectorAll(".fmd-form-slider-input")
+			.forEach((input, index) => {
+				if (values[index] !== undefined && values[index] !== null) {
+					input.value = String(values[index]).trim();
+				}
+			});
+		instance.updateSliderDisplay(formField);
+	};
+
+	/**
+	 * Update the value bubbles and the filled part of the track of a slider
+	 * form field to match the values of its inputs.
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	updateSliderDisplay = (formField) => {
+		const unit = formField.getAttribute("data-fmd-unit") || "";
+		const unitEnd = formField.getAttribute("data-fmd-unit-end") || "";
+		const slider = formField.querySelector(".fmd-slider");
+		const percents = [];
+		formField.querySelectorAll(".fmd-form-slider-input").forEach((input) => {
+			const min = parseFloat(input.min);
+			const max = parseFloat(input.max);
+			const percent = Math.min(
+				100,
+				Math.max(0, ((parseFloat(input.value) - min) / (max - min)) * 100),
+			);
+			percents.push(percent);
+			const bubble = formField.querySelector(
+				`[data-fmd-slider-bubble="${input.getAttribute("data-fmd-slider-handle")}"]`,
+			);
+			if (bubble) {
+				bubble.textContent = `${unit}${input.value}${unitEnd}`;
+				bubble.style.setProperty("--fmd-slider-percent", `${percent}%`);
+			}
+		});
+		if (slider && percents.length > 0) {
+			slider.style.setProperty(
+				"--fmd-slider-low",
+				`${percents.length > 1 ? percents[0] : 0}%`,
+			);
+			slider.style.setProperty(
+				"--fmd-slider-high",
+				`${percents[percents.length - 1]}%`,
+			);
+		}
+	};
+
+	/**
+	 * Get value of a combobox form field: a string, or an array of strings in
+	 * multiple mode.
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {string|Array.<string>}
+	 */
+	getComboboxValue = (formField) => {
+		let values = [];
+		try {
+			values = JSON.parse(formField.getAttribute("data-fmd-selected") || "[]");
+		} catch (error) {
+			console.warn(error);
+		}
+		if (!Array.isArray(values)) {
+			values = [];
+		}
+		return formField.hasAttribute("data-fmd-multiple")
+			? values
+			: values[0] || "";
+	};
+
+	/**
+	 * Set value of a combobox form field, i.e., a string, or an array of
+	 * strings in multiple mode, and update the displayed labels.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {string|Array.<string>} value
+	 */
+	setComboboxValue = (formField, value) => {
+		const instance = this;
+
+		let values = []
+			.concat(value)
+			.filter((item) => item !== null && item !== undefined && item !== "")
+			.map((item) => String(item));
+		values = values.filter((item, index) => values.indexOf(item) === index);
+		if (!formField.hasAttribute("data-fmd-multiple")) {
+			values = values.slice(0, 1);
+		}
+		formField.setAttribute("data-fmd-selected", JSON.stringify(values));
+		instance.updateComboboxDisplay(formField);
+	};
+
+	/**
+	 * Get the runtime data of a combobox form field: the options (from the
+	 * params, the data block, and the options URL), the filtered options, the
+	 * active option, the search query, and the labels of the selected values.
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {Object}
+	 */
+	getComboboxData = (formField) => {
+		const instance = this;
+
+		let data = instance.comboboxes.get(formField);
+		if (!data) {
+			data = {
+				options: instance.getComboboxLocalOptions(formField),
+				remoteOptions: null,
+				filtered: [],
+				activeIndex: -1,
+				query: "",
+				labels: {},
+				loading: false,
+				requestUrl: "",
+				fetchTimeout: null,
+			};
+			instance.comboboxes.set(formField, data);
+		}
+		return data;
+	};
+
+	/**
+	 * Normalize an option of a combobox or dependent form field. Options can
+	 * be strings, numbers, or objects with `value` and/or `label` keys.
+	 *
+	 * @param {*} option
+	 * @returns {{value: string, label: string}|null}
+	 */
+	normalizeComboboxOption = (option) => {
+		let value = option;
+		let label = option;
+		if (option !== null && typeof option === "object") {
+			value = option.value !== undefined ? option.value : option.label;
+			label = option.label !== undefined ? option.label : value;
+		}
+		if (value === null || value === undefined || typeof value === "object") {
+			return null;
+		}
+		return { value: String(value), label: String(label) };
+	};
+
+	/**
+	 * Get the options of a combobox form field that are available without a
+	 * request, i.e., the options from the params, the data block, and the
+	 * data block mapping (for dependent form fields).
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {Array.<{value: string, label: string}>}
+	 */
+	getComboboxLocalOptions = (formField) => {
+		const instance = this;
+
+		const options = [];
+		const template = formField.querySelector("template.fmd-combobox-options");
+		if (template) {
+			template.content.querySelectorAll("option").forEach((option) => {
+				options.push({
+					value: option.getAttribute("value"),
+					label: option.textContent.trim(),
+				});
+			});
+		}
+		const dataKey = formField.getAttribute("data-fmd-options-data");
+		if (dataKey) {
+			const data = instance.state.data[dataKey];
+			if (Array.isArray(data)) {
+				data.forEach((item) => {
+					const option = instance.normalizeComboboxOption(item);
+					if (option) {
+						options.push(option);
+					}
+				});
+			} else {
+				console.warn(`[DATA] "${dataKey}" is not an array of options`);
+			}
+		}
+		if (formField.hasAttribute("data-fmd-options-map")) {
+			options.push(...instance.getDependentOptions(formField));
+		}
+		if (formField.hasAttribute("data-fmd-shuffle")) {
+			return instance.shuffleFieldItems(
+				formField,
+				options,
+				(option) => option.value,
+			);
+		}
+		return options;
+	};
+
+	/**
+	 * Get the label of a value of a combobox form field, or the value itself
+	 * if the option is not loaded.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {string} value
+	 * @returns {string}
+	 */
+	getComboboxLabel = (formField, value) => {
+		const instance = this;
+
+		const data = instance.getComboboxData(formField);
+		if (data.labels[value] !== undefined) {
+			return data.labels[value];
+		}
+		const option = data.options
+			.concat(data.remoteOptions || [])
+			.find((option) => option.value === value);
+		return option ? option.label : value;
+	};
+
+	/**
+	 * Update the displayed labels of a combobox form field: the text of the
+	 * input, or the chips in multiple mode.
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	updateComboboxDisplay = (formField) => {
+		const instance = this;
+
+		const localization = instance.state.settings.localization;
+		const values = [].concat(instance.getComboboxValue(formField));
+		const input = formField.querySelector(".fmd-form-combobox-input");
+		const chips = formField.querySelector(".fmd-combobox-chips");
+		if (chips) {
+			chips.innerHTML = values
+				.map((value) => {
+					const label = instance.getComboboxLabel(formField, value);
+					const removeLabel = getTranslation(
+						localization,
+						"combobox-chip-remove",
+					).replace("{label}", label);
+					return [
+						`<li class="fmd-combobox-chip">`,
+						`	<span class="fmd-combobox-chip-label">${escape$1(label)}</span>`,
+						`	<button type="button" class="fmd-combobox-chip-remove" data-fmd-value="${escape$1(value, true)}" aria-label="${escape$1(removeLabel, true)}"${input.disabled ? " disabled" : ""}>`,
+						`		<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M345 137c9.4-9.4 9.4-24.6 0-33.9s-24.6-9.4-33.9 0l-119 119L73 103c-9.4-9.4-24.6-9.4-33.9 0s-9.4 24.6 0 33.9l119 119L39 375c-9.4 9.4-9.4 24.6 0 33.9s24.6 9.4 33.9 0l119-119L311 409c9.4 9.4 24.6 9.4 33.9 0s9.4-24.6 0-33.9l-119-119L345 137z"/></svg>`,
+						`	</button>`,
+						`</li>`,
+					].join("\n");
+				})
+				.join("\n");
+		} else if (input) {
+			input.value =
+				values.length > 0
+					? instance.getComboboxLabel(formField, values[0])
+					: "";
+		}
+	};
+
+	/**
+	 * Given a country calling code <select>, update placeholder of the
+	 * corresponding telephone input using the selected <option>.
+	 *
+	 * @param {HTMLSelectElement} countryCodeSelect
+	 */
+	setTelInputPlaceholder = (countryCodeSelect) => {
+		const telInput = countryCodeSelect
+			.closest(".fmd-form-field")
+			.querySelector('.fmd-form-str-input[type="tel"]');
+		const selected = countryCodeSelect.selectedOptions[0];
+		if (telInput && selected) {
+			telInput.setAttribute(
+				"placeholder",
+				selected.getAttribute("data-fmd-placeholder"),
+			);
+		}
+	};
+
+	/**
+	 * Get the value of a hidden form field from its sources, in the order they
+	 * are given: URL parameters, data, POST data (from the options), cookies,
+	 * or the `getHiddenFieldValue` option. The first value that is found is
+	 * used, or else the default value.
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {string}
+	 */
+	getHiddenFieldSourceValue = (formField) => {
+		const instance = this;
+
+		const name = formField.getAttribute("data-fmd-name");
+		const key = formField.getAttribute("data-fmd-key") || name;
+		const sources = formField.getAttribute("data-fmd-source").split(",");
+		for (const source of sources) {
+			let value = null;
+			try {
+				if (source === "url") {
+					value = new URLSearchParams(window.location.search).get(key);
+				} else if (source === "data") {
+					value = instance.state.data[key];
+				} else if (source === "postdata") {
+					value = instance.options.postData[key];
+				} else if (source === "cookie") {
+					const cookie = document.cookie
+						.split(";")
+						.map((item) => item.trim())
+						.find((item) => item.startsWith(`${key}=`));
+					if (cookie) {
+						value = decodeURIComponent(cookie.slice(key.length + 1));
+					}
+				} else if (
+					source === "script" &&
+					instance.options.getHiddenFieldValue
+				) {
+					value = instance.options.getHiddenFieldValue(name, key);
+				}
+			} catch (error) {
+				console.error(error);
+			}
+			if (
+				value !== null &&
+				value !== undefined &&
+				value !== "" &&
+				typeof value !== "object"
+			) {
+				return String(value);
+			}
+		}
+		return formField
+			.querySelector(".fmd-form-hidden-input")
+			.getAttribute("value");
+	};
+
+	/**
+	 * Set form data to state (value and type). Also re-render the bind <div>
+	 * and <span> elements.
+	 */
+	setFormDataToState = () => {
+		const instance = this;
+
+		// Text fields
+		instance.container
+			.querySelectorAll(
+				'input.fmd-form-str-input[type="text"], input.fmd-form-str-input[type="email"], input.fmd-form-str-input[type="url"], input.fmd-form-str-input[type="tel"], textarea.fmd-form-str-input',
+			)
+			.forEach((elem) => {
+				let name = elem.getAttribute("name");
+				const value = elem.value;
+				const type = elem.getAttribute("type") || "text";
+				instance.state.formData[name] = value;
+				instance.state.fieldTypes[name] = type;
+				instance.reRenderBindElems(name);
+			});
+
+		// Number fields
+		instance.container
+			.querySelectorAll('input.fmd-form-num-input[type="number"]')
+			.forEach((elem) => {
+				const name = elem.getAttribute("name");
+				const value = isNumeric(elem.value) ? Number(elem.value) : null;
+				instance.state.formData[name] = value;
+				instance.state.fieldTypes[name] = "number";
+				instance.reRenderBindElems(name);
+			});
+
+		// Select fields
+		instance.container
+			.querySelectorAll("select.fmd-form-str-select")
+			.forEach((elem) => {
+				const name = elem.getAttribute("name");
+				const value = elem.value;
+				instance.state.formData[name] = value;
+				instance.state.fieldTypes[name] = "select";
+				instance.reRenderBindElems(name);
+			});
+
+		// Combobox fields
+		instance.container
+			.querySelectorAll('.fmd-form-field[data-fmd-type="combobox"]')
+			.forEach((formField) => {
+				const name = formField.getAttribute("data-fmd-name");
+				instance.state.formData[name] = instance.getComboboxValue(formField);
+				instance.state.fieldTypes[name] = "combobox";
+				instance.updateComboboxDisplay(formField);
+				instance.reRenderBindElems(name);
+			});
+
+		// Choice fields
+		instance.container
+			.querySelectorAll(
+				".fmd-form-check:first-child input.fmd-form-str-check-input",
+			)
+			.forEach((elem) => {
+				const name = elem.getAttribute("name");
+				const type = elem.getAttribute("type");
+				const value = instance.getRadioCheckboxValue(
+					name,
+					"fmd-form-str-check-input",
+					type,
+				);
+				instance.state.formData[name] = value;
+				instance.state.fieldTypes[name] = "choice";
+				instance.reRenderBindElems(name);
+			});
+
+		// Number choice fields
+		instance.container
+			.querySelectorAll("input.fmd-form-num-check-input:first-child")
+			.forEach((elem) => {
+				const name = elem.getAttribute("name");
+				let value = instance.getRadioCheckboxValue(
+					name,
+					"fmd-form-num-check-input",
+					"radio",
+				);
+				value = value ? parseInt(value) : null;
+				instance.state.formData[name] = value;
+				instance.state.fieldTypes[name] = "num-choice";
+				instance.reRenderBindElems(name);
+			});
+
+		// Matrix fields
+		instance.container
+			.querySelectorAll('.fmd-form-field[data-fmd-type="matrix"]')
+			.forEach((formField) => {
+				const name = formField.getAttribute("data-fmd-name");
+				instance.state.formData[name] = instance.getMatrixValue(formField);
+				instance.state.fieldTypes[name] = "matrix";
+				instance.reRenderBindElems(name);
+			});
+
+		// Slider fields
+		instance.container
+			.querySelectorAll('.fmd-form-field[data-fmd-type="slider"]')
+			.forEach((formField) => {
+				const name = formField.getAttribute("data-fmd-name");
+				instance.state.formData[name] = instance.getSliderValue(formField);
+				instance.state.fieldTypes[name] = "slider";
+				instance.reRenderBindElems(name);
+			});
+
+		// Ranking fields
+		instance.container
+			.querySelectorAll('.fmd-form-field[data-fmd-type="ranking"]')
+			.forEach((formField) => {
+				const name = formField.getAttribute("data-fmd-name");
+				instance.state.formData[name] = instance.getRankingValue(formField);
+				instance.state.fieldTypes[name] = "ranking";
+				instance.reRenderBindElems(name);
+			});
+
+		// Datetime fields
+		instance.container
+			.querySelectorAll(
+				'input.fmd-form-datetime-input[type="datetime-local"], input.fmd-form-datetime-input[type="date"], input.fmd-form-datetime-input[type="time"]',
+			)
+			.forEach((elem) => {
+				let name = elem.getAttribute("name");
+				const value = elem.value;
+				const type = elem.getAttribute("type");
+				instance.state.formData[name] = value;
+				instance.state.fieldTypes[name] = type;
+				instance.reRenderBindElems(name);
+			});
+
+		// Hidden fields
+		instance.container
+			.querySelectorAll('.fmd-form-field[data-fmd-type="hidden"]')
+			.forEach((formField) => {
+				const name = formField.getAttribute("data-fmd-name");
+				const value = instance.getHiddenFieldSourceValue(formField);
+				formField.querySelector(".fmd-form-hidden-input").value = value;
+				instance.state.formData[name] = value;
+				instance.state.fieldTypes[name] = "hidden";
+				instance.reRenderBindElems(name);
+			});
+
+		// Quiz questions (kept in state, so the score does not depend on the
+		// slides in the DOM)
+		instance.container
+			.querySelectorAll(".fmd-form-field[data-fmd-correct]")
+			.forEach((formField) => {
+				instance.state.quizFields[formField.getAttribute("data-fmd-name")] = {
+					correct: JSON.parse(formField.getAttribute("data-fmd-correct")),
+					points: JSON.parse(formField.getAttribute("data-fmd-points")),
+				};
+			});
+		instance.updateQuizScore();
+
+		// Repeatable groups (after the form fields they contain)
+		instance.container.querySelectorAll(".fmd-repeat").forEach((group) => {
+			instance.updateRepeatGroup(group, false);
+		});
+
+		// Calculated fields (after all the other form fields)
+		for (const name of instance.updateCalculatedFields()) {
+			instance.reRenderBindElems(name, true);
+		}
+	};
+
+	/**
+	 * Set form data from URL parameters: set value in the DOM, update state,
+	 * conditionally update local storage, and re-render the bind <div> and
+	 * <span> elements. The local storage is updated if this function is called
+	 * AFTER setting the saved form data (in local storage).
+	 *
+	 * @param {boolean} updateLocalStorage
+	 */
+	setFormDataFromURL = (updateLocalStorage) => {
+		const instance = this;
+
+		const urlParams = new URLSearchParams(window.location.search);
+		for (const urlParam of urlParams) {
+			let name = urlParam[0];
+			let value = urlParam[1];
+
+			// Make sure URL parameters are id-scoped
+			if (instance.state.settings.id !== "") {
+				if (name.startsWith(`${instance.state.settings.id}:`)) {
+					name = name.replace(`${instance.state.settings.id}:`, "");
+				} else {
+					continue;
+				}
+			}
+
+			// Text field
+			if (
+				instance.state.fieldTypes[name] === "text" ||
+				instance.state.fieldTypes[name] === "email" ||
+				instance.state.fieldTypes[name] === "url" ||
+				instance.state.fieldTypes[name] === "tel"
+			) {
+				const input = instance.container.querySelector(
+					`.fmd-form-str-input[name="${name}"]`,
+				);
+				if (input) {
+					input.value = value;
+					instance.state.formData[name] = value;
+					if (updateLocalStorage && instance.options.saveState) {
+						instance.saveFieldValue(name, value);
+					}
+					instance.reRenderBindElems(name);
+				}
+			}
+
+			// Number field
+			if (instance.state.fieldTypes[name] === "number") {
+				const input = instance.container.querySelector(
 					`.fmd-form-num-input[name="${name}"]`,
 				);
-				if (input) {
-					input.value = value;
-					instance.state.formData[name] = value;
-					instance.reRenderBindElems(name);
+				if (input && isNumeric(value)) {
+					value = Number(value);
+					input.value = value;
+					instance.state.formData[name] = value;
+					if (updateLocalStorage && instance.options.saveState) {
+						instance.saveFieldValue(name, value);
+					}
+					instance.reRenderBindElems(name);
+				}
+			}
+
+			// Select field
+			if (instance.state.fieldTypes[name] === "select") {
+				const select = instance.container.querySelector(
+					`.fmd-form-str-select[name="${name}"]`,
+				);
+				if (select) {
+					const options = select.querySelectorAll("option");
+					for (const option of options) {
+						if (option.getAttribute("value") === value) {
+							select.value = value;
+							instance.state.formData[name] = value;
+							if (updateLocalStorage && instance.options.saveState) {
+								instance.saveFieldValue(name, value);
+							}
+							instance.reRenderBindElems(name);
+							break;
+						}
+					}
+					if (select.classList.contains("fmd-form-countrycode-select")) {
+						instance.setTelInputPlaceholder(select);
+					}
+				}
+			}
+
+			// Choice field
+			if (instance.state.fieldTypes[name] === "choice") {
+				const input = instance.container.querySelector(
+					`.fmd-form-str-check-input[name="${name}"]`,
+				);
+				if (input) {
+					const type = input.getAttribute("type");
+
+					// Set value, for checkbox, convert to array first
+					if (type === "checkbox") {
+						value = value.split(",");
+					}
+					instance.setRadioCheckboxValue(
+						name,
+						"fmd-form-str-check-input",
+						type,
+						value,
+					);
+
+					// Get value again, set to state, etc.
+					value = instance.getRadioCheckboxValue(
+						name,
+						"fmd-form-str-check-input",
+						type,
+					);
+					instance.state.formData[name] = value;
+					if (updateLocalStorage && instance.options.saveState) {
+						instance.saveFieldValue(name, value);
+					}
+					instance.reRenderBindElems(name);
+				}
+			}
+
+			// Number choice field
+			if (instance.state.fieldTypes[name] === "num-choice") {
+				const input = instance.container.querySelector(
+					`.fmd-form-num-check-input[name="${name}"]`,
+				);
+				if (input) {
+					instance.setRadioCheckboxValue(
+						name,
+						"fmd-form-num-check-input",
+						"radio",
+						value,
+					);
+					value = instance.getRadioCheckboxValue(
+						name,
+						"fmd-form-num-check-input",
+						"radio",
+					);
+					value = value ? parseInt(value) : null;
+					instance.state.formData[name] = value;
+					if (updateLocalStorage && instance.options.saveState) {
+						instance.saveFieldValue(name, value);
+					}
+					instance.reRenderBindElems(name);
+				}
+			}
+
+			// Matrix field, the value is expected to be a JSON object
+			if (instance.state.fieldTypes[name] === "matrix") {
+				const formField = instance.container.querySelector(
+					`.fmd-form-field[data-fmd-type="matrix"][data-fmd-name="${name}"]`,
+				);
+				if (formField) {
+					try {
+						instance.setMatrixValue(formField, JSON.parse(value));
+					} catch (error) {
+						console.warn(error);
+					}
+					value = instance.getMatrixValue(formField);
+					instance.state.formData[name] = value;
+					if (updateLocalStorage && instance.options.saveState) {
+						instance.saveFieldValue(name, value);
+					}
+					instance.reRenderBindElems(name);
+				}
+			}
+
+			// Slider field, the value is expected to be a number, or a JSON array
+			// or comma-separated list of two numbers in range mode
+			if (instance.state.fieldTypes[name] === "slider") {
+				const formField = instance.container.querySelector(
+					`.fmd-form-field[data-fmd-type="slider"][data-fmd-name="${name}"]`,
+				);
+				if (formField) {
+					try {
+						instance.setSliderValue(
+							formField,
+							value.trim().startsWith("[")
+								? JSON.parse(value)
+								: value.split(","),
+						);
+					} catch (error) {
+						console.warn(error);
+					}
+					value = instance.getSliderValue(formField);
+					instance.state.formData[name] = value;
+					if (updateLocalStorage && instance.options.saveState) {
+						instance.saveFieldValue(name, value);
+					}
+					instance.reRenderBindElems(name);
+				}
+			}
+
+			// Combobox field, the value is expected to be a string, or a JSON
+			// array or comma-separated list in multiple mode
+			if (instance.state.fieldTypes[name] === "combobox") {
+				const formField = instance.container.querySelector(
+					`.fmd-form-field[data-fmd-type="combobox"][data-fmd-name="${name}"]`,
+				);
+				if (formField) {
+					if (formField.hasAttribute("data-fmd-multiple")) {
+						try {
+							instance.setComboboxValue(
+								formField,
+								value.trim().startsWith("[")
+									? JSON.parse(value)
+									: value.split(",").map((item) => item.trim()),
+							);
+						} catch (error) {
+							console.warn(error);
+						}
+					} else {
+						instance.setComboboxValue(formField, value);
+					}
+					value = instance.getComboboxValue(formField);
+					instance.state.formData[name] = value;
+					if (updateLocalStorage && instance.options.saveState) {
+						instance.saveFieldValue(name, value);
+					}
+					instance.reRenderBindElems(name);
+				}
+			}
+
+			// Ranking field, the value is expected to be a JSON array or a
+			// comma-separated list
+			if (instance.state.fieldTypes[name] === "ranking") {
+				const formField = instance.container.querySelector(
+					`.fmd-form-field[data-fmd-type="ranking"][data-fmd-name="${name}"]`,
+				);
+				if (formField) {
+					try {
+						instance.setRankingValue(
+							formField,
+							value.trim().startsWith("[")
+								? JSON.parse(value)
+								: value.split(",").map((item) => item.trim()),
+						);
+					} catch (error) {
+						console.warn(error);
+					}
+					value = instance.getRankingValue(formField);
+					instance.state.formData[name] = value;
+					if (updateLocalStorage && instance.options.saveState) {
+						instance.saveFieldValue(name, value);
+					}
+					instance.reRenderBindElems(name);
+				}
+			}
+
+			// Datetime field
+			if (
+				instance.state.fieldTypes[name] === "datetime-local" ||
+				instance.state.fieldTypes[name] === "date" ||
+				instance.state.fieldTypes[name] === "time"
+			) {
+				const input = instance.container.querySelector(
+					`.fmd-form-datetime-input[name="${name}"]`,
+				);
+				if (input) {
+					input.value = value;
+					instance.state.formData[name] = value;
+					if (updateLocalStorage && instance.options.saveState) {
+						instance.saveFieldValue(name, value);
+					}
+					instance.reRenderBindElems(name);
+				}
+			}
+		}
+	};
+
+	/**
+	 * Set form data saved in local storage (or the given form data): set value
+	 * in the DOM, update state, and re-render the bind <div> and <span>
+	 * elements.
+	 *
+	 * @param {Object} [savedFormData]
+	 */
+	setSavedFormData = (savedFormData) => {
+		const instance = this;
+
+		if (!savedFormData) {
+			const localStorageKey = `formsmd:${instance.getIdPrefix()}${
+				window.location.hostname
+			}${window.location.pathname}form-data`;
+			savedFormData = localStorage.getItem(localStorageKey);
+			if (!savedFormData) {
+				return;
+			}
+			savedFormData = JSON.parse(savedFormData);
+		}
+
+		// Recreate the items of the repeatable groups first, so that the values
+		// of the indexed form fields can be set
+		const repeatGroups = instance.container.querySelectorAll(".fmd-repeat");
+		repeatGroups.forEach((group) => {
+			const groupName = group.getAttribute("data-fmd-repeat");
+			if (!Array.isArray(savedFormData[groupName])) {
+				return;
+			}
+
+			// Get the indexes of the saved items
+			const indexes = [];
+			for (const key of Object.keys(savedFormData)) {
+				if (key.startsWith(`${groupName}_`)) {
+					const matchesIndex = key.slice(groupName.length + 1).match(/^(\d+)_/);
+					if (matchesIndex && !indexes.includes(Number(matchesIndex[1]))) {
+						indexes.push(Number(matchesIndex[1]));
+					}
+				}
+			}
+			indexes.sort((a, b) => a - b);
+
+			// Remove the items that were not saved, and add the missing ones
+			group.querySelectorAll(".fmd-repeat-item").forEach((item) => {
+				if (
+					!indexes.includes(Number(item.getAttribute("data-fmd-repeat-index")))
+				) {
+					instance.removeRepeatItem(item);
+				}
+			});
+			for (const index of indexes) {
+				if (
+					!group.querySelector(
+						`.fmd-repeat-item[data-fmd-repeat-index="${index}"]`,
+					)
+				) {
+					instance.addRepeatItem(group, index);
+				}
+			}
+			const min = Number(group.getAttribute("data-fmd-repeat-min"));
+			while (
+				group.querySelectorAll(".fmd-repeat-item").length <
+				Math.max(savedFormData[groupName].length, min)
+			) {
+				instance.addRepeatItem(group);
+			}
+		});
+
+		for (const [name, value] of Object.entries(savedFormData)) {
+			instance.setFieldValue(name, value);
+		}
+
+		// Update the values of the repeatable groups
+		repeatGroups.forEach((group) => {
+			instance.updateRepeatGroup(group, false);
+		});
+	};
+
+	/**
+	 * Set the value of a form field: set value in the DOM, update state, and
+	 * re-render the bind <div> and <span> elements. The value is expected to be
+	 * in the same format as the state, e.g., array of strings for checkboxes.
+	 *
+	 * @param {string} name
+	 * @param {*} value
+	 * @returns {boolean} whether the form field exists (and the value is set)
+	 */
+	setFieldValue = (name, value) => {
+		const instance = this;
+
+		// Text field
+		if (
+			instance.state.fieldTypes[name] === "text" ||
+			instance.state.fieldTypes[name] === "email" ||
+			instance.state.fieldTypes[name] === "url" ||
+			instance.state.fieldTypes[name] === "tel"
+		) {
+			const input = instance.container.querySelector(
+				`.fmd-form-str-input[name="${name}"]`,
+			);
+			if (input) {
+				input.value = value;
+				instance.state.formData[name] = input.value;
+				instance.reRenderBindElems(name);
+				return true;
+			}
+		}
+
+		// Number field
+		if (instance.state.fieldTypes[name] === "number") {
+			const input = instance.container.querySelector(
+				`.fmd-form-num-input[name="${name}"]`,
+			);
+			if (input) {
+				input.value = value;
+				instance.state.formData[name] = isNumeric(value) ? Number(value) : null;
+				instance.reRenderBindElems(name);
+				return true;
+			}
+		}
+
+		// Select field
+		if (instance.state.fieldTypes[name] === "select") {
+			const select = instance.container.querySelector(
+				`.fmd-form-str-select[name="${name}"]`,
+			);
+			if (select) {
+				const options = select.querySelectorAll("option");
+				for (const option of options) {
+					if (option.getAttribute("value") === value) {
+						select.value = value;
+						instance.state.formData[name] = value;
+						instance.reRenderBindElems(name);
+						break;
+					}
+				}
+				if (select.classList.contains("fmd-form-countrycode-select")) {
+					instance.setTelInputPlaceholder(select);
+				}
+				return select.value === value;
+			}
+		}
+
+		// Combobox field
+		if (instance.state.fieldTypes[name] === "combobox") {
+			const formField = instance.container.querySelector(
+				`.fmd-form-field[data-fmd-type="combobox"][data-fmd-name="${name}"]`,
+			);
+			if (formField) {
+				instance.setComboboxValue(formField, value);
+				instance.state.formData[name] = instance.getComboboxValue(formField);
+				instance.reRenderBindElems(name);
+				return true;
+			}
+		}
+
+		// Choice field
+		if (instance.state.fieldTypes[name] === "choice") {
+			const input = instance.container.querySelector(
+				`.fmd-form-str-check-input[name="${name}"]`,
+			);
+			if (input) {
+				const type = input.getAttribute("type");
+				instance.setRadioCheckboxValue(
+					name,
+					"fmd-form-str-check-input",
+					type,
+					type === "checkbox" ? [].concat(value) : value,
+				);
+				instance.state.formData[name] = instance.getRadioCheckboxValue(
+					name,
+					"fmd-form-str-check-input",
+					type,
+				);
+				instance.reRenderBindElems(name);
+				return true;
+			}
+		}
+
+		// Number choice field
+		if (instance.state.fieldTypes[name] === "num-choice") {
+			const input = instance.container.querySelector(
+				`.fmd-form-num-check-input[name="${name}"]`,
+			);
+			if (input) {
+				instance.setRadioCheckboxValue(
+					name,
+					"fmd-form-num-check-input",
+					"radio",
+					String(value),
+				);
+				instance.state.formData[name] = instance.getRadioCheckboxValue(
+					name,
+					"fmd-form-num-check-input",
+					"radio",
+				);
+				instance.reRenderBindElems(name);
+				return true;
+			}
+		}
+
+		// Matrix field
+		if (instance.state.fieldTypes[name] === "matrix") {
+			const formField = instance.container.querySelector(
+				`.fmd-form-field[data-fmd-type="matrix"][data-fmd-name="${name}"]`,
+			);
+			if (formField) {
+				instance.setMatrixValue(formField, value);
+				instance.state.formData[name] = instance.getMatrixValue(formField);
+				instance.reRenderBindElems(name);
+				return true;
+			}
+		}
+
+		// Slider field
+		if (instance.state.fieldTypes[name] === "slider") {
+			const formField = instance.container.querySelector(
+				`.fmd-form-field[data-fmd-type="slider"][data-fmd-name="${name}"]`,
+			);
+			if (formField) {
+				instance.setSliderValue(formField, value);
+				instance.state.formData[name] = instance.getSliderValue(formField);
+				instance.reRenderBindElems(name);
+				return true;
+			}
+		}
+
+		// Ranking field
+		if (instance.state.fieldTypes[name] === "ranking") {
+			const formField = instance.container.querySelector(
+				`.fmd-form-field[data-fmd-type="ranking"][data-fmd-name="${name}"]`,
+			);
+			if (formField) {
+				instance.setRankingValue(formField, value);
+				instance.state.formData[name] = instance.getRankingValue(formField);
+				instance.reRenderBindElems(name);
+				return true;
+			}
+		}
+
+		// Datetime field
+		if (
+			instance.state.fieldTypes[name] === "datetime-local" ||
+			instance.state.fieldTypes[name] === "date" ||
+			instance.state.fieldTypes[name] === "time"
+		) {
+			const input = instance.container.querySelector(
+				`.fmd-form-datetime-input[name="${name}"]`,
+			);
+			if (input) {
+				input.value = value;
+				instance.state.formData[name] = input.value;
+				instance.reRenderBindElems(name);
+				return true;
+			}
+		}
+
+		// Hidden field
+		if (instance.state.fieldTypes[name] === "hidden") {
+			const input = instance.container.querySelector(
+				`.fmd-form-hidden-input[name="${name}"]`,
+			);
+			if (input) {
+				input.value = value;
+				instance.state.formData[name] = input.value;
+				instance.reRenderBindElems(name);
+				return true;
+			}
+		}
+
+		return false;
+	};
+
+	/**
+	 * Given a form field element, remove all errors (and everything related).
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	removeFieldErrors = (formField) => {
+		const instance = this;
+
+		// Remove all errors
+		formField.querySelectorAll(".fmd-error").forEach((error) => {
+			error.remove();
+		});
+
+		// Form fields with errors will have a type attribute
+		const type = formField.getAttribute("data-fmd-type");
+
+		// Remove WAI-ARIA tags
+		// Choice field
+		if (type === "radio" || type === "checkbox") {
+			formField
+				.querySelectorAll(".fmd-form-str-check-input")
+				.forEach((input) => {
+					input.removeAttribute("aria-invalid");
+					input.removeAttribute("aria-describedby");
+				});
+		}
+		// Number choice field
+		else if (type === "num-radio") {
+			formField
+				.querySelectorAll(".fmd-form-num-check-input")
+				.forEach((input) => {
+					input.removeAttribute("aria-invalid");
+					const name = input.getAttribute("name");
+					instance.removeSingleAttribute(
+						input,
+						"aria-describedby",
+						`${instance.getIdPrefix()}id_${name}-error`,
+					);
+				});
+		}
+		// Matrix field
+		else if (type === "matrix") {
+			formField.querySelectorAll(".fmd-form-matrix-input").forEach((input) => {
+				input.removeAttribute("aria-invalid");
+				input.removeAttribute("aria-describedby");
+			});
+		}
+		// Datetime field
+		else if (type === "datetime-local" || type === "date" || type === "time") {
+			formField
+				.querySelectorAll(".fmd-form-datetime-input")
+				.forEach((input) => {
+					input.removeAttribute("aria-invalid");
+					input.removeAttribute("aria-describedby");
+				});
+		}
+		// File field
+		else if (type === "file") {
+			formField.querySelectorAll(".fmd-form-file-input").forEach((input) => {
+				input.removeAttribute("aria-invalid");
+				input.removeAttribute("aria-describedby");
+			});
+		}
+		// Slider field
+		else if (type === "slider") {
+			formField.querySelectorAll(".fmd-form-slider-input").forEach((input) => {
+				input.removeAttribute("aria-invalid");
+				input.removeAttribute("aria-describedby");
+			});
+		}
+		// Combobox field
+		else if (type === "combobox") {
+			formField
+				.querySelectorAll(".fmd-form-combobox-input")
+				.forEach((input) => {
+					input.removeAttribute("aria-invalid");
+					input.removeAttribute("aria-describedby");
+				});
+		}
+		// Signature field
+		else if (type === "signature") {
+			formField.querySelectorAll(".fmd-signature-canvas").forEach((canvas) => {
+				canvas.removeAttribute("aria-invalid");
+				canvas.removeAttribute("aria-describedby");
+			});
+		}
+	};
+
+	/**
+	 * Handle the inputs of text form fields: update value in the state, save
+	 * value in local storage, remove errors and re-render the bind <div> and
+	 * <span> elements.
+	 *
+	 * @param {InputEvent} e
+	 */
+	textFieldOnInput = (e) => {
+		const instance = this;
+
+		const name = e.target.getAttribute("name");
+		const value = e.target.value;
+		instance.state.formData[name] = value;
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
+		instance.reRenderBindElems(name);
+		instance.emit("fieldchange", { name: name, value: value });
+	};
+
+	/**
+	 * Handle the inputs of number form fields: update value in the state, save
+	 * value in local storage, remove errors and re-render the bind <div> and
+	 * <span> elements.
+	 *
+	 * @param {InputEvent} e
+	 */
+	numberFieldOnInput = (e) => {
+		const instance = this;
+
+		const name = e.target.getAttribute("name");
+		const value = isNumeric(e.target.value) ? Number(e.target.value) : null;
+		instance.state.formData[name] = value;
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
+		instance.reRenderBindElems(name);
+		instance.emit("fieldchange", { name: name, value: value });
+	};
+
+	/**
+	 * Handle the inputs of select form fields: update value in the state, save
+	 * value in local storage, remove errors and re-render the bind <div> and
+	 * <span> elements. If the select box is a country calling code select, then
+	 * also update the placeholder of the corresponding telephone input.
+	 *
+	 * @param {InputEvent} e
+	 */
+	selectFieldOnInput = (e) => {
+		const instance = this;
+
+		const name = e.target.getAttribute("name");
+		const value = e.target.value;
+		instance.state.formData[name] = value;
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
+		instance.reRenderBindElems(name);
+		instance.emit("fieldchange", { name: name, value: value });
+
+		// Update placeholder of telephone input if country calling code <select>
+		if (e.target.classList.contains("fmd-form-countrycode-select")) {
+			instance.setTelInputPlaceholder(e.target);
+		}
+	};
+
+	/**
+	 * Handle the inputs of choice form fields: update value in the state, save
+	 * value in local storage, remove errors and re-render the bind <div> and
+	 * <span> elements.
+	 *
+	 * @param {InputEvent} e
+	 */
+	choiceFieldOnInput = (e) => {
+		const instance = this;
+
+		const name = e.target.getAttribute("name");
+		const type = e.target.getAttribute("type");
+		const value = instance.getRadioCheckboxValue(
+			name,
+			"fmd-form-str-check-input",
+			type,
+		);
+		instance.state.formData[name] = value;
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
+		instance.reRenderBindElems(name);
+		instance.emit("fieldchange", { name: name, value: value });
+	};
+
+	/**
+	 * Handle the inputs of number choice form fields: update value in the
+	 * state, save value in local storage, remove errors and re-render the bind
+	 * <div> and <span> elements.
+	 *
+	 * @param {InputEvent} e
+	 */
+	numChoiceFieldOnInput = (e) => {
+		const instance = this;
+
+		const name = e.target.getAttribute("name");
+		const value = parseInt(
+			instance.getRadioCheckboxValue(name, "fmd-form-num-check-input", "radio"),
+		);
+		instance.state.formData[name] = value;
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
+		instance.reRenderBindElems(name);
+		instance.emit("fieldchange", { name: name, value: value });
+	};
+
+	/**
+	 * Handle the inputs of matrix form fields: update value in the state, save
+	 * value in local storage, remove errors and re-render the bind <div> and
+	 * <span> elements.
+	 *
+	 * @param {InputEvent} e
+	 */
+	matrixFieldOnInput = (e) => {
+		const instance = this;
+
+		const formField = e.target.closest(".fmd-form-field");
+		const name = formField.getAttribute("data-fmd-name");
+		const value = instance.getMatrixValue(formField);
+		instance.state.formData[name] = value;
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.removeFieldErrors(formField);
+		instance.reRenderBindElems(name);
+		instance.emit("fieldchange", { name: name, value: value });
+	};
+
+	/**
+	 * Handle the inputs of slider form fields: keep the handles of range
+	 * sliders from crossing, update the value bubbles and value in the state,
+	 * save value in local storage, remove errors and re-render the bind <div>
+	 * and <span> elements.
+	 *
+	 * @param {InputEvent} e
+	 */
+	sliderFieldOnInput = (e) => {
+		const instance = this;
+
+		const formField = e.target.closest(".fmd-form-field");
+		const name = formField.getAttribute("data-fmd-name");
+		if (formField.hasAttribute("data-fmd-range")) {
+			const [low, high] = instance.getSliderValue(formField);
+			if (low > high) {
+				const handle = e.target.getAttribute("data-fmd-slider-handle");
+				e.target.value = handle === "low" ? high : low;
+			}
+		}
+		instance.updateSliderDisplay(formField);
+		const value = instance.getSliderValue(formField);
+		instance.state.formData[name] = value;
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.removeFieldErrors(formField);
+		instance.reRenderBindElems(name);
+		instance.emit("fieldchange", { name: name, value: value });
+	};
+
+	/**
+	 * Handle the changes of combobox form fields: update value in the state,
+	 * save value in local storage, remove errors and re-render the bind <div>
+	 * and <span> elements.
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	comboboxFieldOnChange = (formField) => {
+		const instance = this;
+
+		const name = formField.getAttribute("data-fmd-name");
+		const value = instance.getComboboxValue(formField);
+		instance.state.formData[name] = value;
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.removeFieldErrors(formField);
+		instance.reRenderBindElems(name);
+		instance.emit("fieldchange", { name: name, value: value });
+	};
+
+	/**
+	 * Load the options of a combobox form field from its options URL, using
+	 * the GET headers. If the URL contains `{query}`, it is replaced by the
+	 * search query, and the options are loaded again for every query.
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {Promise<void>}
+	 */
+	loadComboboxOptions = (formField) => {
+		const instance = this;
+
+		const name = formField.getAttribute("data-fmd-name");
+		const data = instance.getComboboxData(formField);
+		const requestUrl = formField
+			.getAttribute("data-fmd-options-url")
+			.replace("{query}", encodeURIComponent(data.query));
+		data.loading = true;
+		data.requestUrl = requestUrl;
+		return fetch(requestUrl, {
+			method: "GET",
+			headers: instance.options.getHeaders,
+		})
+			.then((response) => {
+				if (!response.ok) {
+					throw new Error(`Options not loaded (status ${response.status}).`);
+				}
+				return response.json();
+			})
+			.then((json) => {
+				// Ignore the responses of older queries
+				if (data.requestUrl !== requestUrl) {
+					return;
+				}
+				if (Array.isArray(json)) {
+					data.remoteOptions = json
+						.map((item) => instance.normalizeComboboxOption(item))
+						.filter((option) => option);
+				} else {
+					console.warn(
+						`[FORM-FIELDS] "${name}": options URL did not return an array`,
+					);
+					data.remoteOptions = [];
+				}
+			})
+			.catch((error) => {
+				console.error(error);
+			})
+			.finally(() => {
+				if (data.requestUrl !== requestUrl) {
+					return;
+				}
+				data.loading = false;
+				if (!formField.querySelector(".fmd-combobox-listbox").hidden) {
+					instance.updateComboboxOptions(formField);
+				} else {
+					instance.updateComboboxDisplay(formField);
+				}
+			});
+	};
+
+	/**
+	 * Filter the options of a combobox form field using the search query,
+	 * render them, and announce the number of results. The options are loaded
+	 * from the options URL first (if applicable).
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	updateComboboxOptions = (formField) => {
+		const instance = this;
+
+		const localization = instance.state.settings.localization;
+		const data = instance.getComboboxData(formField);
+		const url = formField.getAttribute("data-fmd-options-url") || "";
+		const queryInUrl = url.includes("{query}");
+
+		// Load the remote options (debounced when loaded for every query)
+		if (url) {
+			const requestUrl = url.replace("{query}", encodeURIComponent(data.query));
+			if (queryInUrl && requestUrl !== data.requestUrl) {
+				clearTimeout(data.fetchTimeout);
+				data.loading = true;
+				data.requestUrl = requestUrl;
+				data.fetchTimeout = setTimeout(() => {
+					instance.loadComboboxOptions(formField);
+				}, 300);
+			} else if (!queryInUrl && data.remoteOptions === null && !data.loading) {
+				instance.loadComboboxOptions(formField);
+			}
+		}
+
+		// Filter without case and accents (the server filters when the query
+		// is in the URL)
+		const normalize = (text) =>
+			text
+				.toLowerCase()
+				.normalize("NFD")
+				.replace(/[\u0300-\u036f]/g, "");
+		const query = normalize(data.query.trim());
+		const options = data.options.concat(data.remoteOptions || []);
+		data.filtered =
+			query && !queryInUrl
+				? options.filter((option) => normalize(option.label).includes(query))
+				: options;
+		data.activeIndex = query && data.filtered.length > 0 ? 0 : -1;
+		instance.renderComboboxOptions(formField);
+
+		// Announce the number of results
+		const live = formField.querySelector("[data-fmd-combobox-live]");
+		if (live && !data.loading) {
+			live.textContent =
+				data.filtered.length > 0
+					? getTranslation(localization, "combobox-results").replace(
+							"{count}",
+							data.filtered.length,
+						)
+					: getTranslation(localization, "combobox-no-results");
+		}
+	};
+
+	/**
+	 * Render the filtered options of a combobox form field. Only the options
+	 * in view (and a few around them) are rendered, so that long lists stay
+	 * fast.
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	renderComboboxOptions = (formField) => {
+		const instance = this;
+
+		const localization = instance.state.settings.localization;
+		const data = instance.getComboboxData(formField);
+		const input = formField.querySelector(".fmd-form-combobox-input");
+		const listbox = formField.querySelector(".fmd-combobox-listbox");
+		const inputId = input.getAttribute("id");
+
+		// No options to show
+		if (data.filtered.length === 0) {
+			listbox.innerHTML = `<div class="fmd-combobox-message">${getTranslation(localization, data.loading ? "combobox-loading" : "combobox-no-results")}</div>`;
+			input.removeAttribute("aria-activedescendant");
+			return;
+		}
+
+		// Get the range of options to render
+		// The height of the options is also set in the styles
+		const optionHeight = instance.comboboxOptionHeight;
+		const overscan = 5;
+		const visibleCount = Math.ceil(
+			(listbox.clientHeight || optionHeight * 6) / optionHeight,
+		);
+		const start = Math.max(
+			0,
+			Math.floor(listbox.scrollTop / optionHeight) - overscan,
+		);
+		const end = Math.min(
+			data.filtered.length,
+			start + visibleCount + overscan * 2,
+		);
+
+		// Render the options
+		const selected = [].concat(instance.getComboboxValue(formField));
+		const optionsHTML = [];
+		for (let index = start; index < end; index++) {
+			const option = data.filtered[index];
+			optionsHTML.push(
+				`<div id="${inputId}-option-${index}" class="fmd-combobox-option${index === data.activeIndex ? " fmd-combobox-option-active" : ""}" role="option" aria-selected="${selected.includes(option.value)}" aria-setsize="${data.filtered.length}" aria-posinset="${index + 1}" data-fmd-index="${index}" style="top: ${index * optionHeight}px;">${escape$1(option.label)}</div>`,
+			);
+		}
+		listbox.innerHTML = `<div class="fmd-combobox-spacer" role="presentation" style="height: ${data.filtered.length * optionHeight}px;">${optionsHTML.join("")}</div>`;
+		if (data.activeIndex >= start && data.activeIndex < end) {
+			input.setAttribute(
+				"aria-activedescendant",
+				`${inputId}-option-${data.activeIndex}`,
+			);
+		} else {
+			input.removeAttribute("aria-activedescendant");
+		}
+	};
+
+	/**
+	 * Set the active option of a combobox form field, and scroll the list so
+	 * that it is in view.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {number} index
+	 */
+	setComboboxActiveIndex = (formField, index) => {
+		const instance = this;
+
+		const data = instance.getComboboxData(formField);
+		const listbox = formField.querySelector(".fmd-combobox-listbox");
+		if (data.filtered.length === 0) {
+			return;
+		}
+		data.activeIndex = Math.min(Math.max(index, 0), data.filtered.length - 1);
+		const optionHeight = instance.comboboxOptionHeight;
+		const listboxHeight = listbox.clientHeight || optionHeight * 6;
+		const optionTop = data.activeIndex * optionHeight;
+		if (optionTop < listbox.scrollTop) {
+			listbox.scrollTop = optionTop;
+		} else if (optionTop + optionHeight > listbox.scrollTop + listboxHeight) {
+			listbox.scrollTop = optionTop + optionHeight - listboxHeight;
+		}
+		instance.renderComboboxOptions(formField);
+	};
+
+	/**
+	 * Open the list of options of a combobox form field (or update it, if it
+	 * is already open).
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	openCombobox = (formField) => {
+		const instance = this;
+
+		const input = formField.querySelector(".fmd-form-combobox-input");
+		const listbox = formField.querySelector(".fmd-combobox-listbox");
+		if (input.disabled) {
+			return;
+		}
+		if (listbox.hidden) {
+			listbox.hidden = false;
+			listbox.scrollTop = 0;
+			input.setAttribute("aria-expanded", "true");
+		}
+		instance.updateComboboxOptions(formField);
+	};
+
+	/**
+	 * Close the list of options of a combobox form field, and reset the
+	 * search query.
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	closeCombobox = (formField) => {
+		const instance = this;
+
+		const data = instance.getComboboxData(formField);
+		const input = formField.querySelector(".fmd-form-combobox-input");
+		const listbox = formField.querySelector(".fmd-combobox-listbox");
+		listbox.hidden = true;
+		input.setAttribute("aria-expanded", "false");
+		input.removeAttribute("aria-activedescendant");
+		data.activeIndex = -1;
+		data.query = "";
+	};
+
+	/**
+	 * Select a filtered option of a combobox form field. In multiple mode,
+	 * the option is toggled and the list stays open.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {number} index
+	 */
+	selectComboboxOption = (formField, index) => {
+		const instance = this;
+
+		const data = instance.getComboboxData(formField);
+		const option = data.filtered[index];
+		if (!option) {
+			return;
+		}
+		data.labels[option.value] = option.label;
+		if (formField.hasAttribute("data-fmd-multiple")) {
+			const values = instance.getComboboxValue(formField);
+			instance.setComboboxValue(
+				formField,
+				values.includes(option.value)
+					? values.filter((value) => value !== option.value)
+					: values.concat(option.value),
+			);
+			formField.querySelector(".fmd-form-combobox-input").value = "";
+			data.query = "";
+			instance.updateComboboxOptions(formField);
+			instance.setComboboxActiveIndex(
+				formField,
+				data.filtered.findIndex((item) => item.value === option.value),
+			);
+		} else {
+			instance.closeCombobox(formField);
+			instance.setComboboxValue(formField, option.value);
+		}
+		instance.comboboxFieldOnChange(formField);
+	};
+
+	/**
+	 * Handle the inputs of combobox form fields: filter the options using the
+	 * text as the search query.
+	 *
+	 * @param {InputEvent} e
+	 */
+	comboboxInputOnInput = (e) => {
+		const instance = this;
+
+		const formField = e.target.closest(".fmd-form-field");
+		instance.getComboboxData(formField).query = e.target.value;
+		instance.openCombobox(formField);
+	};
+
+	/**
+	 * Handle the keyboard interactions of combobox form fields.
+	 *
+	 * @param {KeyboardEvent} e
+	 */
+	comboboxInputOnKeydown = (e) => {
+		const instance = this;
+
+		const formField = e.target.closest(".fmd-form-field");
+		const data = instance.getComboboxData(formField);
+		const isOpen = !formField.querySelector(".fmd-combobox-listbox").hidden;
+		const pageSize = 6;
+
+		if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+			e.preventDefault();
+			if (!isOpen) {
+				instance.openCombobox(formField);
+				const selected = [].concat(instance.getComboboxValue(formField));
+				const selectedIndex = data.filtered.findIndex(
+					(option) => option.value === selected[0],
+				);
+				if (!e.altKey) {
+					instance.setComboboxActiveIndex(
+						formField,
+						selectedIndex >= 0 ? selectedIndex : 0,
+					);
+				}
+			} else {
+				instance.setComboboxActiveIndex(
+					formField,
+					data.activeIndex + (e.key === "ArrowDown" ? 1 : -1),
+				);
+			}
+		} else if ((e.key === "PageDown" || e.key === "PageUp") && isOpen) {
+			e.preventDefault();
+			instance.setComboboxActiveIndex(
+				formField,
+				data.activeIndex + (e.key === "PageDown" ? pageSize : -pageSize),
+			);
+		} else if (e.key === "Enter" && isOpen && data.activeIndex >= 0) {
+			e.preventDefault();
+			instance.selectComboboxOption(formField, data.activeIndex);
+		} else if (e.key === "Escape" && isOpen) {
+			e.preventDefault();
+			instance.closeCombobox(formField);
+			instance.updateComboboxDisplay(formField);
+			if (formField.hasAttribute("data-fmd-multiple")) {
+				e.target.value = "";
+			}
+		} else if (
+			e.key === "Backspace" &&
+			e.target.value === "" &&
+			formField.hasAttribute("data-fmd-multiple")
+		) {
+			const values = instance.getComboboxValue(formField);
+			if (values.length > 0) {
+				instance.setComboboxValue(formField, values.slice(0, -1));
+				instance.comboboxFieldOnChange(formField);
+				if (isOpen) {
+					instance.renderComboboxOptions(formField);
+				}
+			}
+		}
+	};
+
+	/**
+	 * Open the list of options of a combobox form field when the input is
+	 * clicked.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	comboboxInputOnClick = (e) => {
+		const instance = this;
+
+		instance.openCombobox(e.target.closest(".fmd-form-field"));
+	};
+
+	/**
+	 * Close the list of options of a combobox form field when the input loses
+	 * focus. Clearing the text clears the value of a single combobox, or else
+	 * the text is reset to the label of the selected option.
+	 *
+	 * @param {FocusEvent} e
+	 */
+	comboboxInputOnFocusout = (e) => {
+		const instance = this;
+
+		const formField = e.target.closest(".fmd-form-field");
+		instance.closeCombobox(formField);
+		if (formField.hasAttribute("data-fmd-multiple")) {
+			e.target.value = "";
+		} else if (
+			e.target.value.trim() === "" &&
+			instance.getComboboxValue(formField) !== ""
+		) {
+			instance.setComboboxValue(formField, "");
+			instance.comboboxFieldOnChange(formField);
+		} else {
+			instance.updateComboboxDisplay(formField);
+		}
+	};
+
+	/**
+	 * Keep the focus on the input of a combobox form field when the list of
+	 * options is clicked.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	comboboxListboxOnMousedown = (e) => {
+		e.preventDefault();
+	};
+
+	/**
+	 * Select the option of a combobox form field that is clicked.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	comboboxListboxOnClick = (e) => {
+		const instance = this;
+
+		const option = e.target.closest(".fmd-combobox-option");
+		if (option) {
+			instance.selectComboboxOption(
+				option.closest(".fmd-form-field"),
+				Number(option.getAttribute("data-fmd-index")),
+			);
+		}
+	};
+
+	/**
+	 * Render the options in view when the list of options of a combobox form
+	 * field is scrolled.
+	 *
+	 * @param {Event} e
+	 */
+	comboboxListboxOnScroll = (e) => {
+		const instance = this;
+
+		instance.renderComboboxOptions(e.target.closest(".fmd-form-field"));
+	};
+
+	/**
+	 * Remove the value of a multiple combobox form field when the remove
+	 * button of the corresponding chip is clicked.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	comboboxChipsOnClick = (e) => {
+		const instance = this;
+
+		const btn = e.target.closest(".fmd-combobox-chip-remove");
+		if (!btn) {
+			return;
+		}
+		const formField = btn.closest(".fmd-form-field");
+		const value = btn.getAttribute("data-fmd-value");
+		instance.setComboboxValue(
+			formField,
+			instance.getComboboxValue(formField).filter((item) => item !== value),
+		);
+		instance.comboboxFieldOnChange(formField);
+		formField.querySelector(".fmd-form-combobox-input").focus();
+	};
+
+	/**
+	 * Handle the reordering of ranking form fields: update the displayed
+	 * positions and value in the state, save value in local storage, remove
+	 * errors and re-render the bind <div> and <span> elements.
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	rankingFieldOnChange = (formField) => {
+		const instance = this;
+
+		const name = formField.getAttribute("data-fmd-name");
+		instance.updateRankingPositions(formField);
+		const value = instance.getRankingValue(formField);
+		instance.state.formData[name] = value;
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.removeFieldErrors(formField);
+		instance.reRenderBindElems(name);
+		instance.emit("fieldchange", { name: name, value: value });
+	};
+
+	/**
+	 * Announce the position of a ranking item to screen readers using the
+	 * live region of the form field.
+	 *
+	 * @param {HTMLElement} item
+	 * @param {"ranking-grabbed"|"ranking-moved"|"ranking-dropped"|"ranking-cancelled"} key
+	 */
+	announceRankingItem = (item, key) => {
+		const instance = this;
+
+		const formField = item.closest(".fmd-form-field");
+		const items = Array.from(formField.querySelectorAll(".fmd-ranking-item"));
+		const liveRegion = formField.querySelector("[data-fmd-ranking-live]");
+		if (!liveRegion) {
+			return;
+		}
+		liveRegion.textContent = getTranslation(
+			instance.state.settings.localization,
+			key,
+		)
+			.replace("{item}", item.querySelector(".fmd-ranking-label").textContent)
+			.replace("{position}", `${items.indexOf(item) + 1}`)
+			.replace("{total}", `${items.length}`);
+	};
+
+	/**
+	 * Move a ranking item to the given index of its list. The siblings are
+	 * moved instead of the item itself whenever possible so that the item
+	 * keeps the focus.
+	 *
+	 * @param {HTMLElement} item
+	 * @param {number} index
+	 * @returns {boolean} whether the item was moved
+	 */
+	moveRankingItem = (item, index) => {
+		const list = item.parentElement;
+		const items = Array.from(list.children);
+		const currentIndex = items.indexOf(item);
+		if (index < 0 || index >= items.length || index === currentIndex) {
+			return false;
+		}
+		if (index < currentIndex) {
+			const nextSibling = item.nextElementSibling;
+			items.slice(index, currentIndex).forEach((sibling) => {
+				list.insertBefore(sibling, nextSibling);
+			});
+		} else {
+			items.slice(currentIndex + 1, index + 1).forEach((sibling) => {
+				list.insertBefore(sibling, item);
+			});
+		}
+		return true;
+	};
+
+	/**
+	 * Handle the keyboard interactions of ranking form fields. Space or Enter
+	 * picks up (or drops) an item, the arrow keys move the picked up item (or
+	 * the focus), and Escape cancels the move.
+	 *
+	 * @param {KeyboardEvent} e
+	 */
+	rankingHandleOnKeydown = (e) => {
+		const instance = this;
+
+		const handle = e.target.closest(".fmd-ranking-handle");
+		const item = handle.closest(".fmd-ranking-item");
+		const items = Array.from(item.parentElement.children);
+		const index = items.indexOf(item);
+		const grabbed = handle.getAttribute("aria-pressed") === "true";
+
+		if (e.key === " " || e.key === "Enter") {
+			e.preventDefault();
+			if (!grabbed) {
+				handle.setAttribute("aria-pressed", "true");
+				handle.setAttribute("data-fmd-ranking-start", index);
+				item.classList.add("fmd-ranking-item-grabbed");
+				instance.announceRankingItem(item, "ranking-grabbed");
+			} else {
+				instance.dropRankingItem(handle);
+			}
+		} else if (e.key === "Escape" && grabbed) {
+			e.preventDefault();
+			const startIndex = parseInt(
+				handle.getAttribute("data-fmd-ranking-start"),
+			);
+			handle.setAttribute("aria-pressed", "false");
+			handle.removeAttribute("data-fmd-ranking-start");
+			item.classList.remove("fmd-ranking-item-grabbed");
+			instance.moveRankingItem(item, startIndex);
+			handle.focus();
+			instance.updateRankingPositions(item.closest(".fmd-form-field"));
+			instance.announceRankingItem(item, "ranking-cancelled");
+		} else if (
+			e.key === "ArrowUp" ||
+			e.key === "ArrowLeft" ||
+			e.key === "ArrowDown" ||
+			e.key === "ArrowRight"
+		) {
+			e.preventDefault();
+			const newIndex =
+				e.key === "ArrowUp" || e.key === "ArrowLeft" ? index - 1 : index + 1;
+			if (grabbed) {
+				if (instance.moveRankingItem(item, newIndex)) {
+					instance.updateRankingPositions(item.closest(".fmd-form-field"));
+					instance.announceRankingItem(item, "ranking-moved");
+				}
+			} else if (items[newIndex]) {
+				items[newIndex].querySelector(".fmd-ranking-handle").focus();
+			}
+		}
+	};
+
+	/**
+	 * Drop the ranking item that was picked up using the keyboard.
+	 *
+	 * @param {HTMLElement} handle
+	 */
+	dropRankingItem = (handle) => {
+		const instance = this;
+
+		const item = handle.closest(".fmd-ranking-item");
+		handle.setAttribute("aria-pressed", "false");
+		handle.removeAttribute("data-fmd-ranking-start");
+		item.classList.remove("fmd-ranking-item-grabbed");
+		instance.announceRankingItem(item, "ranking-dropped");
+		instance.rankingFieldOnChange(item.closest(".fmd-form-field"));
+	};
+
+	/**
+	 * Drop the picked up ranking item when the focus leaves its handle.
+	 *
+	 * @param {FocusEvent} e
+	 */
+	rankingHandleOnFocusout = (e) => {
+		const instance = this;
+
+		const handle = e.target.closest(".fmd-ranking-handle");
+		if (handle.getAttribute("aria-pressed") === "true") {
+			instance.dropRankingItem(handle);
+		}
+	};
+
+	/**
+	 * Start dragging a ranking item using a pointer (mouse or touch).
+	 *
+	 * @param {PointerEvent} e
+	 */
+	rankingHandleOnPointerdown = (e) => {
+		const instance = this;
+
+		if (e.button !== 0 || instance.rankingDrag) {
+			return;
+		}
+		const handle = e.target.closest(".fmd-ranking-handle");
+		const item = handle.closest(".fmd-ranking-item");
+		if (handle.setPointerCapture) {
+			handle.setPointerCapture(e.pointerId);
+		}
+		instance.rankingDrag = {
+			handle: handle,
+			pointerId: e.pointerId,
+			startIndex: Array.from(item.parentElement.children).indexOf(item),
+		};
+		item.classList.add("fmd-ranking-item-dragging");
+	};
+
+	/**
+	 * Move the dragged ranking item based on the position of the pointer, i.e.,
+	 * place it after all the other items whose middle is above the pointer.
+	 *
+	 * @param {PointerEvent} e
+	 */
+	rankingHandleOnPointermove = (e) => {
+		const instance = this;
+
+		const drag = instance.rankingDrag;
+		if (!drag || drag.pointerId !== e.pointerId) {
+			return;
+		}
+		e.preventDefault();
+		const item = drag.handle.closest(".fmd-ranking-item");
+		let index = 0;
+		for (const sibling of item.parentElement.children) {
+			if (sibling === item) {
+				continue;
+			}
+			const rect = sibling.getBoundingClientRect();
+			if (e.clientY > rect.top + rect.height / 2) {
+				index++;
+			}
+		}
+		if (instance.moveRankingItem(item, index)) {
+			instance.updateRankingPositions(item.closest(".fmd-form-field"));
+		}
+	};
+
+	/**
+	 * Stop dragging a ranking item, and update the value if it was moved.
+	 *
+	 * @param {PointerEvent} e
+	 */
+	rankingHandleOnPointerup = (e) => {
+		const instance = this;
+
+		const drag = instance.rankingDrag;
+		if (!drag || drag.pointerId !== e.pointerId) {
+			return;
+		}
+		instance.rankingDrag = null;
+		const item = drag.handle.closest(".fmd-ranking-item");
+		item.classList.remove("fmd-ranking-item-dragging");
+		if (
+			Array.from(item.parentElement.children).indexOf(item) !== drag.startIndex
+		) {
+			instance.announceRankingItem(item, "ranking-dropped");
+			instance.rankingFieldOnChange(item.closest(".fmd-form-field"));
+		}
+	};
+
+	/**
+	 * Handle the inputs of datetime form fields: update value in the state,
+	 * save value in local storage, remove errors and re-render the bind <div>
+	 * and <span> elements.
+	 *
+	 * @param {InputEvent} e
+	 */
+	datetimeFieldOnInput = (e) => {
+		const instance = this;
+
+		const name = e.target.getAttribute("name");
+		const value = e.target.value;
+		instance.state.formData[name] = value;
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
+		instance.reRenderBindElems(name);
+		instance.emit("fieldchange", { name: name, value: value });
+	};
+
+	/**
+	 * Check if a file is an image that can be previewed using an <img>.
+	 *
+	 * @param {File} file
+	 * @returns {boolean}
+	 */
+	isPreviewableImage = (file) => {
+		const imageFileTypes = [
+			"image/apng",
+			"image/bmp",
+			"image/gif",
+			"image/jpeg",
+			"image/pjpeg",
+			"image/png",
+			"image/svg+xml",
+			"image/tiff",
+			"image/webp",
+			"image/x-icon",
+		];
+		return imageFileTypes.includes(file.type);
+	};
+
+	/**
+	 * Check if a file matches the "accept" attribute of a file input, i.e., a
+	 * comma-separated list of file extensions and MIME types. Images must also
+	 * be previewable to match "image/*".
+	 *
+	 * @param {File} file
+	 * @param {string|null} accept
+	 * @returns {boolean}
+	 */
+	fileMatchesAccept = (file, accept) => {
+		const instance = this;
+
+		if (!accept) {
+			return true;
+		}
+		const fileName = file.name.toLowerCase();
+		const fileType = (file.type || "").toLowerCase();
+		return accept.split(",").some((item) => {
+			item = item.trim().toLowerCase();
+			if (item.startsWith(".")) {
+				return fileName.endsWith(item);
+			} else if (item === "image/*") {
+				return instance.isPreviewableImage(file);
+			} else if (item.endsWith("/*")) {
+				return fileType.startsWith(item.slice(0, -1));
+			}
+			return fileType === item;
+		});
+	};
+
+	/**
+	 * Get the files chosen in a file form field. Multiple file fields keep
+	 * their files in the state, so that files can be added and removed one at
+	 * a time. The other file fields keep their file in the state once it is
+	 * resized (if applicable).
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {Array.<File>}
+	 */
+	getFileFieldFiles = (formField) => {
+		const instance = this;
+
+		const name = formField.getAttribute("data-fmd-name");
+		if (formField.hasAttribute("data-fmd-multiple")) {
+			return instance.state.files[name] || [];
+		}
+		const input = formField.querySelector(".fmd-form-file-input");
+		if (!input || !input.files || !input.files[0]) {
+			return [];
+		}
+		return instance.state.files[name] || [input.files[0]];
+	};
+
+	/**
+	 * Resize the images chosen in a file form field (see `resizeImageFile()`),
+	 * keeping track of it until it is done, so that the submissions can wait
+	 * for it.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {Array.<File>} files
+	 * @returns {Promise<Array.<File>>}
+	 */
+	resizeFieldFiles = (formField, files) => {
+		const instance = this;
+
+		const resizing = Promise.all(
+			files.map((file) => instance.resizeImageFile(formField, file)),
+		);
+		const tracked = resizing.then(
+			() => {},
+			() => {},
+		);
+		instance.fileResizes.add(tracked);
+		tracked.then(() => {
+			instance.fileResizes.delete(tracked);
+		});
+		return resizing;
+	};
+
+	/**
+	 * Wait for the images that are being resized (if any).
+	 *
+	 * @returns {Promise<void>}
+	 */
+	waitForFileResizes = () => {
+		const instance = this;
+
+		return Promise.all([...instance.fileResizes]).then(() => {});
+	};
+
+	/**
+	 * Get the error message for the files of a file form field, or an empty
+	 * string if the files are valid.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {Array.<File>} files
+	 * @returns {string}
+	 */
+	getFileFieldError = (formField, files) => {
+		const instance = this;
+
+		const localization = instance.state.settings.localization;
+		const sizeLimit = Number(formField.getAttribute("data-fmd-size-limit"));
+		const totalSizeLimit = Number(
+			formField.getAttribute("data-fmd-total-size-limit"),
+		);
+		const maxFiles = Number(formField.getAttribute("data-fmd-max-files"));
+		const toMegabytes = (size) => Number((size / 1024 / 1024).toFixed(4));
+
+		if (files.length === 0) {
+			return formField.hasAttribute("data-fmd-required")
+				? getTranslation(localization, "file-input-required-error")
+				: "";
+		} else if (maxFiles && files.length > maxFiles) {
+			return getTranslation(localization, "file-input-max-files-error").replace(
+				"{max}",
+				maxFiles,
+			);
+		} else if (files.some((file) => toMegabytes(file.size) > sizeLimit)) {
+			return getTranslation(localization, "file-input-size-error");
+		} else if (
+			totalSizeLimit &&
+			toMegabytes(files.reduce((total, file) => total + file.size, 0)) >
+				totalSizeLimit
+		) {
+			return getTranslation(localization, "file-input-total-size-error");
+		}
+		return "";
+	};
+
+	/**
+	 * Add an error to a file form field, along with the WAI-ARIA tags.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {string} message
+	 */
+	addFileFieldError = (formField, message) => {
+		const instance = this;
+
+		const name = formField.getAttribute("data-fmd-name");
+		const errorId = `${instance.getIdPrefix()}id_${name}-error`;
+		instance.addFieldError(formField, errorId, message);
+		formField.querySelectorAll(".fmd-form-file-input").forEach((input) => {
+			input.setAttribute("aria-invalid", "true");
+			input.setAttribute("aria-describedby", errorId);
+		});
+	};
+
+	/**
+	 * Revoke the object URLs of the image previews inside an element, so that
+	 * the files are released before the previews are replaced or removed.
+	 *
+	 * @param {HTMLElement} elem
+	 */
+	revokeFilePreviewUrls = (elem) => {
+		elem.querySelectorAll('img[src^="blob:"]').forEach((img) => {
+			URL.revokeObjectURL(img.getAttribute("src"));
+		});
+	};
+
+	/**
+	 * Render the list of files chosen in a multiple file form field, with a
+	 * thumbnail (for images) and a remove button for each file.
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	renderFileList = (formField) => {
+		const instance = this;
+
+		const list = formField.querySelector(".fmd-form-file-list");
+		if (!list) {
+			return;
+		}
+
+		const localization = instance.state.settings.localization;
+		instance.revokeFilePreviewUrls(list);
+		list.innerHTML = instance
+			.getFileFieldFiles(formField)
+			.map((file, index) => {
+				const fileName = escape$1(file.name);
+				const thumbnail = instance.isPreviewableImage(file)
+					? `<img src="${URL.createObjectURL(file)}" alt="">`
+					: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M352 448l0-256-112 0c-26.5 0-48-21.5-48-48l0-112L64 32C46.3 32 32 46.3 32 64l0 384c0 17.7 14.3 32 32 32l256 0c17.7 0 32-14.3 32-32zm-.5-288c-.7-2.8-2.1-5.4-4.2-7.4L231.4 36.7c-2.1-2.1-4.6-3.5-7.4-4.2L224 144c0 8.8 7.2 16 16 16l111.5 0zM0 64C0 28.7 28.7 0 64 0L220.1 0c12.7 0 24.9 5.1 33.9 14.1L369.9 129.9c9 9 14.1 21.2 14.1 33.9L384 448c0 35.3-28.7 64-64 64L64 512c-35.3 0-64-28.7-64-64L0 64z"/></svg>`;
+				return [
+					`<li class="fmd-form-file-item">`,
+					`	<span class="fmd-form-file-thumbnail">${thumbnail}</span>`,
+					`	<span class="fmd-form-file-name">${fileName}</span>`,
+					`	<button type="button" class="fmd-form-file-remove-btn" data-fmd-index="${index}" aria-label="${getTranslation(localization, "file-input-remove-btn").replace("{name}", fileName)}">`,
+					`		<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M345 137c9.4-9.4 9.4-24.6 0-33.9s-24.6-9.4-33.9 0l-119 119L73 103c-9.4-9.4-24.6-9.4-33.9 0s-9.4 24.6 0 33.9l119 119L39 375c-9.4 9.4-9.4 24.6 0 33.9s24.6 9.4 33.9 0l119-119L311 409c9.4 9.4 24.6 9.4 33.9 0s9.4-24.6 0-33.9l-119-119L345 137z"/></svg>`,
+					`	</button>`,
+					`</li>`,
+				].join("\n");
+			})
+			.join("\n");
+	};
+
+	/**
+	 * Handle the inputs of file form fields: reset and update the wrapping
+	 * <label> depending on the file chosen. For multiple file fields, the
+	 * chosen files are added to the list instead, skipping the ones that are
+	 * not accepted or go over the limits. The images are resized (if
+	 * applicable) once, when they are chosen, and kept in the state.
+	 *
+	 * @param {InputEvent} e
+	 */
+	fileFieldOnInput = (e) => {
+		const instance = this;
+
+		const formField = e.target.closest(".fmd-form-field");
+		const name = e.target.getAttribute("name");
+		const accept = e.target.getAttribute("accept");
+		const localization = instance.state.settings.localization;
+
+		// Multiple file fields
+		// The images are resized once, when they are chosen, so that the limits
+		// apply to the files that are sent
+		if (formField.hasAttribute("data-fmd-multiple")) {
+			instance.removeFieldErrors(formField);
+			let errorMessage = "";
+			const chosenFiles = Array.from(e.target.files).filter((file) => {
+				// Skip the files that are not accepted
+				if (!instance.fileMatchesAccept(file, accept)) {
+					errorMessage =
+						errorMessage ||
+						getTranslation(localization, "file-input-type-error").replace(
+							"{name}",
+							escape$1(file.name),
+						);
+					return false;
+				}
+				return true;
+			});
+
+			// Reset the input so that the same files can be chosen again
+			e.target.value = "";
+			instance
+				.resizeFieldFiles(formField, chosenFiles)
+				.then((resizedFiles) => {
+					const files = [...instance.getFileFieldFiles(formField)];
+					const sizeLimit = Number(
+						formField.getAttribute("data-fmd-size-limit"),
+					);
+					const maxFiles = Number(formField.getAttribute("data-fmd-max-files"));
+					const totalSizeLimit = Number(
+						formField.getAttribute("data-fmd-total-size-limit"),
+					);
+					let totalSize = files.reduce((total, file) => total + file.size, 0);
+					for (const file of resizedFiles) {
+						// Skip the files that are already in the list
+						if (
+							files.some(
+								(existingFile) =>
+									existingFile.name === file.name &&
+									existingFile.size === file.size &&
+									existingFile.lastModified === file.lastModified,
+							)
+						) {
+							continue;
+						}
+
+						// Skip the files that go over the limits
+						if (sizeLimit && file.size / 1024 / 1024 > sizeLimit) {
+							errorMessage =
+								errorMessage ||
+								getTranslation(localization, "file-input-size-error");
+							continue;
+						}
+						if (maxFiles && files.length >= maxFiles) {
+							errorMessage =
+								errorMessage ||
+								getTranslation(
+									localization,
+									"file-input-max-files-error",
+								).replace("{max}", maxFiles);
+							continue;
+						}
+						if (
+							totalSizeLimit &&
+							(totalSize + file.size) / 1024 / 1024 > totalSizeLimit
+						) {
+							errorMessage =
+								errorMessage ||
+								getTranslation(localization, "file-input-total-size-error");
+							continue;
+						}
+						totalSize += file.size;
+						files.push(file);
+					}
+					instance.state.files[name] = files;
+					instance.renderFileList(formField);
+					if (errorMessage) {
+						instance.addFileFieldError(formField, errorMessage);
+					}
+					instance.emit("fieldchange", { name: name, value: files });
+				})
+				.catch((error) => {
+					console.error(error);
+				});
+			return;
+		}
+
+		// Get the wrapper and inner section
+		const label = e.target.closest(".fmd-form-file-label");
+		const fileExistsSection = label.querySelector(".fmd-file-exists-section");
+
+		// Reset first
+		instance.removeFieldErrors(formField);
+		label.classList.remove("fmd-file-exists");
+		instance.revokeFilePreviewUrls(fileExistsSection);
+		fileExistsSection.innerHTML = "";
+		delete instance.state.files[name];
+
+		// Get the file and update wrapper depending on type
+		const file = e.target.files[0];
+		if (file) {
+			// Bug fix where you can drag in a file that is not accepted and have
+			// it be accepted
+			// This bug exists on Chrome for macOS (and maybe others)
+			let fileValid = true;
+			if (!instance.fileMatchesAccept(file, accept)) {
+				e.target.value = "";
+				fileValid = false;
+				instance.addFileFieldError(
+					formField,
+					getTranslation(localization, "file-input-type-error").replace(
+						"{name}",
+						escape$1(file.name),
+					),
+				);
+			}
+
+			if (fileValid) {
+				if (instance.isPreviewableImage(file)) {
+					fileExistsSection.innerHTML = [
+						`<span class="fmd-form-file-img-container">`,
+						`	<img src="${URL.createObjectURL(file)}" alt="${file.name}">`,
+						`</span>`,
+						`<span class="fmd-d-block fmd-mt-3">`,
+						`	<strong class="fmd-text-accent">${file.name}</strong>`,
+						`</span>\n`,
+					].join("\n");
+				} else {
+					fileExistsSection.innerHTML = [
+						`<span class="fmd-form-file-img-container">`,
+						`	<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M352 448l0-256-112 0c-26.5 0-48-21.5-48-48l0-112L64 32C46.3 32 32 46.3 32 64l0 384c0 17.7 14.3 32 32 32l256 0c17.7 0 32-14.3 32-32zm-.5-288c-.7-2.8-2.1-5.4-4.2-7.4L231.4 36.7c-2.1-2.1-4.6-3.5-7.4-4.2L224 144c0 8.8 7.2 16 16 16l111.5 0zM0 64C0 28.7 28.7 0 64 0L220.1 0c12.7 0 24.9 5.1 33.9 14.1L369.9 129.9c9 9 14.1 21.2 14.1 33.9L384 448c0 35.3-28.7 64-64 64L64 512c-35.3 0-64-28.7-64-64L0 64z"/></svg>`,
+						`</span>`,
+						`<span class="fmd-d-block fmd-mt-3">`,
+						`	<strong class="fmd-text-accent">${file.name}</strong>`,
+						`</span>\n`,
+					].join("\n");
+				}
+				label.classList.add("fmd-file-exists");
+
+				// The image is resized once, when it is chosen
+				instance
+					.resizeFieldFiles(formField, [file])
+					.then(([resizedFile]) => {
+						if (e.target.files[0] === file) {
+							instance.state.files[name] = [resizedFile];
+						}
+					})
+					.catch((error) => {
+						console.error(error);
+					});
+			}
+		}
+		instance.emit("fieldchange", {
+			name: e.target.getAttribute("name"),
+			value: e.target.files[0] || null,
+		});
+	};
+
+	/**
+	 * Set the height of a <textarea> element.
+	 *
+	 * @param {HTMLTextAreaElement} textarea
+	 */
+	setTextareaHeight = (textarea) => {
+		textarea.style.height = "";
+		const computedStyle = window.getComputedStyle(textarea);
+		const newHeight =
+			parseFloat(textarea.scrollHeight) +
+			parseFloat(computedStyle.borderTopWidth) +
+			parseFloat(computedStyle.borderBottomWidth);
+		textarea.style.height = String(newHeight) + "px";
+	};
+
+	/**
+	 * Set the height of a <textarea> element on input.
+	 *
+	 * @param {InputEvent} e
+	 */
+	setTextareaHeightOnInput = (e) => {
+		const instance = this;
+
+		instance.setTextareaHeight(e.target);
+	};
+
+	/**
+	 * Reset file input when the corresponding reset button is clicked.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	fileInputResetBtnOnClick = (e) => {
+		const instance = this;
+
+		// Get the input, wrapper and inner section
+		const fileInput = e.target
+			.closest(".fmd-form-field")
+			.querySelector('.fmd-form-file-input[type="file"]');
+		const label = e.target
+			.closest(".fmd-form-field")
+			.querySelector(".fmd-form-file-label");
+		const fileExistsSection = label.querySelector(".fmd-file-exists-section");
+
+		// Reset
+		if (fileInput && label && fileExistsSection) {
+			fileInput.value = "";
+			delete instance.state.files[fileInput.getAttribute("name")];
+			instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
+			label.classList.remove("fmd-file-exists");
+			instance.revokeFilePreviewUrls(fileExistsSection);
+			fileExistsSection.innerHTML = "";
+		}
+	};
+
+	/**
+	 * Remove a file from a multiple file form field when the corresponding
+	 * remove button in the list is clicked.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	fileListOnClick = (e) => {
+		const instance = this;
+
+		const btn = e.target.closest(".fmd-form-file-remove-btn");
+		if (!btn) {
+			return;
+		}
+
+		// Remove the file and re-render the list
+		const formField = btn.closest(".fmd-form-field");
+		const name = formField.getAttribute("data-fmd-name");
+		const index = Number(btn.getAttribute("data-fmd-index"));
+		const files = instance
+			.getFileFieldFiles(formField)
+			.filter((file, fileIndex) => fileIndex !== index);
+		instance.state.files[name] = files;
+		instance.removeFieldErrors(formField);
+		instance.renderFileList(formField);
+
+		// Keep the focus inside the field
+		const btns = formField.querySelectorAll(".fmd-form-file-remove-btn");
+		if (btns.length > 0) {
+			btns[Math.min(index, btns.length - 1)].focus();
+		} else {
+			formField.querySelector(".fmd-form-file-input").focus();
+		}
+		instance.emit("fieldchange", { name: name, value: files });
+	};
+
+	/**
+	 * Draw the strokes of a signature on a canvas. The points of the strokes
+	 * are relative to the size of the canvas (between 0 and 1).
+	 *
+	 * @param {HTMLCanvasElement} canvas
+	 * @param {Array.<Array.<{x: number, y: number}>>} strokes
+	 * @param {string} color
+	 */
+	strokeSignature = (canvas, strokes, color) => {
+		const context = canvas.getContext("2d");
+		if (!context) {
+			return;
+		}
+		context.clearRect(0, 0, canvas.width, canvas.height);
+		context.strokeStyle = color;
+		context.lineWidth = Math.max(2, canvas.height / 80);
+		context.lineCap = "round";
+		context.lineJoin = "round";
+		for (const stroke of strokes) {
+			context.beginPath();
+			stroke.forEach((point, index) => {
+				const x = point.x * canvas.width;
+				const y = point.y * canvas.height;
+				if (index === 0) {
+					context.moveTo(x, y);
+				}
+				context.lineTo(x, y);
+			});
+			context.stroke();
+		}
+	};
+
+	/**
+	 * Resize the canvas of a signature form field to its displayed size (taking
+	 * the pixel ratio into account), and redraw the strokes using the current
+	 * color of the canvas, i.e., the accent color of the color scheme.
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	drawSignature = (formField) => {
+		const instance = this;
+
+		const name = formField.getAttribute("data-fmd-name");
+		const canvas = formField.querySelector(".fmd-signature-canvas");
+		const rect = canvas.getBoundingClientRect();
+		const ratio = window.devicePixelRatio || 1;
+		const width = Math.round(rect.width * ratio);
+		const height = Math.round(rect.height * ratio);
+		if (
+			width > 0 &&
+			height > 0 &&
+			(canvas.width !== width || canvas.height !== height)
+		) {
+			canvas.width = width;
+			canvas.height = height;
+		}
+		instance.strokeSignature(
+			canvas,
+			instance.state.signatures[name] || [],
+			window.getComputedStyle(canvas).color,
+		);
+	};
+
+	/**
+	 * Handle the changes of signature form fields: redraw, update the undo and
+	 * clear buttons, and remove errors. The value of the "fieldchange" event is
+	 * whether the field is signed.
+	 *
+	 * @param {HTMLElement} formField
+	 */
+	signatureFieldOnChange = (formField) => {
+		const instance = this;
+
+		const name = formField.getAttribute("data-fmd-name");
+		const signed = (instance.state.signatures[name] || []).length > 0;
+		instance.drawSignature(formField);
+		formField
+			.querySelectorAll(".fmd-signature-undo-btn, .fmd-signature-clear-btn")
+			.forEach((btn) => {
+				btn.disabled = !signed;
+			});
+		instance.removeFieldErrors(formField);
+		instance.emit("fieldchange", { name: name, value: signed });
+	};
+
+	/**
+	 * Get the position of a pointer relative to the size of a canvas.
+	 *
+	 * @param {HTMLCanvasElement} canvas
+	 * @param {PointerEvent} e
+	 * @returns {{x: number, y: number}}
+	 */
+	getSignaturePoint = (canvas, e) => {
+		const rect = canvas.getBoundingClientRect();
+		return {
+			x: rect.width > 0 ? (e.clientX - rect.left) / rect.width : 0,
+			y: rect.height > 0 ? (e.clientY - rect.top) / rect.height : 0,
+		};
+	};
+
+	/**
+	 * Start a new stroke of a signature using a pointer (mouse, pen, or touch).
+	 *
+	 * @param {PointerEvent} e
+	 */
+	signatureCanvasOnPointerdown = (e) => {
+		const instance = this;
+
+		const canvas = e.target;
+		if (e.button !== 0 || canvas.getAttribute("aria-disabled") === "true") {
+			return;
+		}
+		e.preventDefault();
+		if (canvas.setPointerCapture) {
+			canvas.setPointerCapture(e.pointerId);
+		}
+		const name = canvas
+			.closest(".fmd-form-field")
+			.getAttribute("data-fmd-name");
+		if (!instance.state.signatures[name]) {
+			instance.state.signatures[name] = [];
+		}
+		instance.state.signatures[name].push([
+			instance.getSignaturePoint(canvas, e),
+		]);
+		canvas.setAttribute("data-fmd-drawing", e.pointerId);
+		instance.drawSignature(canvas.closest(".fmd-form-field"));
+	};
+
+	/**
+	 * Add the position of the pointer to the current stroke of a signature.
+	 *
+	 * @param {PointerEvent} e
+	 */
+	signatureCanvasOnPointermove = (e) => {
+		const instance = this;
+
+		const canvas = e.target;
+		if (canvas.getAttribute("data-fmd-drawing") !== String(e.pointerId)) {
+			return;
+		}
+		e.preventDefault();
+		const formField = canvas.closest(".fmd-form-field");
+		const strokes =
+			instance.state.signatures[formField.getAttribute("data-fmd-name")];
+		strokes[strokes.length - 1].push(instance.getSignaturePoint(canvas, e));
+		instance.drawSignature(formField);
+	};
+
+	/**
+	 * End the current stroke of a signature.
+	 *
+	 * @param {PointerEvent} e
+	 */
+	signatureCanvasOnPointerup = (e) => {
+		const instance = this;
+
+		const canvas = e.target;
+		if (canvas.getAttribute("data-fmd-drawing") !== String(e.pointerId)) {
+			return;
+		}
+		canvas.removeAttribute("data-fmd-drawing");
+		instance.signatureFieldOnChange(canvas.closest(".fmd-form-field"));
+	};
+
+	/**
+	 * Remove the last stroke of a signature when the undo button is clicked.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	signatureUndoBtnOnClick = (e) => {
+		const instance = this;
+
+		const formField = e.target.closest(".fmd-form-field");
+		const strokes =
+			instance.state.signatures[formField.getAttribute("data-fmd-name")];
+		if (strokes) {
+			strokes.pop();
+		}
+		instance.signatureFieldOnChange(formField);
+	};
+
+	/**
+	 * Remove all the strokes of a signature when the clear button is clicked.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	signatureClearBtnOnClick = (e) => {
+		const instance = this;
+
+		const formField = e.target.closest(".fmd-form-field");
+		instance.state.signatures[formField.getAttribute("data-fmd-name")] = [];
+		instance.signatureFieldOnChange(formField);
+	};
+
+	/**
+	 * Create a PNG file of a signature (or `null` if the signature is empty).
+	 * The strokes are drawn in black on a transparent background so that the
+	 * file is legible regardless of the color scheme.
+	 *
+	 * @param {HTMLElement} formField
+	 * @returns {Promise<File|null>}
+	 */
+	createSignatureFile = (formField) => {
+		const instance = this;
+
+		const name = formField.getAttribute("data-fmd-name");
+		const strokes = instance.state.signatures[name] || [];
+		const displayedCanvas = formField.querySelector(".fmd-signature-canvas");
+		if (strokes.length === 0 || !displayedCanvas) {
+			return Promise.resolve(null);
+		}
+		const canvas = document.createElement("canvas");
+		canvas.width = displayedCanvas.width;
+		canvas.height = displayedCanvas.height;
+		instance.strokeSignature(canvas, strokes, "#000000");
+		return new Promise((resolve) => {
+			canvas.toBlob((blob) => {
+				resolve(
+					blob ? new File([blob], `${name}.png`, { type: "image/png" }) : null,
+				);
+			}, "image/png");
+		});
+	};
+
+	/**
+	 * Get value of a repeatable group: an array with one object per item, where
+	 * each object contains the values of the item's form fields (without the
+	 * indexed prefix).
+	 *
+	 * @param {HTMLElement} group
+	 * @returns {Array.<Object>}
+	 */
+	getRepeatGroupValue = (group) => {
+		const instance = this;
+
+		const name = group.getAttribute("data-fmd-repeat");
+		const value = [];
+		group.querySelectorAll(".fmd-repeat-item").forEach((item) => {
+			const prefix = `${name}_${item.getAttribute("data-fmd-repeat-index")}_`;
+			const itemValue = {};
+			for (const [key, fieldValue] of Object.entries(instance.state.formData)) {
+				if (key.startsWith(prefix)) {
+					itemValue[key.slice(prefix.length)] = fieldValue;
 				}
 			}
+			value.push(itemValue);
+		});
+		return value;
+	};
 
-			// Select field
-			if (instance.state.fieldTypes[name] === "select") {
-				const select = instance.container.querySelector(
-					`.fmd-form-str-select[name="${name}"]`,
+	/**
+	 * Update a repeatable group: set the value in the state, save value in
+	 * local storage, re-render the bind <div> and <span> elements, and enable
+	 * or disable the buttons depending on the min and max counts.
+	 *
+	 * @param {HTMLElement} group
+	 * @param {boolean} saveValue
+	 */
+	updateRepeatGroup = (group, saveValue) => {
+		const instance = this;
+
+		const name = group.getAttribute("data-fmd-repeat");
+		const value = instance.getRepeatGroupValue(group);
+		instance.state.formData[name] = value;
+		instance.state.fieldTypes[name] = "repeat";
+		if (saveValue && instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		instance.reRenderBindElems(name);
+
+		// Enable or disable the buttons
+		const min = Number(group.getAttribute("data-fmd-repeat-min"));
+		const max = Number(group.getAttribute("data-fmd-repeat-max"));
+		group.querySelectorAll(".fmd-repeat-add-btn").forEach((btn) => {
+			btn.disabled = max > 0 && value.length >= max;
+		});
+		group.querySelectorAll(".fmd-repeat-remove-btn").forEach((btn) => {
+			btn.disabled = value.length <= min;
+		});
+	};
+
+	/**
+	 * Add an item to a repeatable group, i.e., render the group's template with
+	 * indexed form field names, and add it to the DOM before the group footer.
+	 *
+	 * @param {HTMLElement} group
+	 * @param {number} [index] If not provided, the next available index is used.
+	 * @returns {HTMLElement} the added item
+	 */
+	addRepeatItem = (group, index) => {
+		const instance = this;
+
+		const name = group.getAttribute("data-fmd-repeat");
+		if (index === undefined) {
+			index = 1;
+			group.querySelectorAll(".fmd-repeat-item").forEach((item) => {
+				index = Math.max(
+					index,
+					Number(item.getAttribute("data-fmd-repeat-index")) + 1,
 				);
-				if (select) {
-					const options = select.querySelectorAll("option");
-					for (const option of options) {
-						if (option.getAttribute("value") === value) {
-							select.value = value;
-							instance.state.formData[name] = value;
-							instance.reRenderBindElems(name);
-							break;
-						}
-					}
-					if (select.classList.contains("fmd-form-countrycode-select")) {
-						instance.setTelInputPlaceholder(select);
-					}
+			});
+		}
+
+		// Render the item the same way the bind <div> elements are rendered
+		marked.use({
+			renderer: renderer,
+			markedSettings: {
+				"css-prefix": instance.state.settings["css-prefix"],
+				"form-delimiter": instance.state.settings["form-delimiter"],
+				"id": instance.state.settings.id,
+				"localization": instance.state.settings.localization,
+			},
+		});
+		let parsedTemplate = marked.parse(
+			nunjucks.renderString(
+				createRepeatItem(
+					instance.state.repeatTemplates[name] || "",
+					name,
+					index,
+					instance.state.settings.localization,
+				),
+				{
+					...instance.state.data,
+					...instance.state.formData,
+				},
+			),
+		);
+		if (instance.options.sanitize) {
+			const DOMPurify = createDOMPurify(window);
+			parsedTemplate = DOMPurify.sanitize(parsedTemplate);
+		}
+		const footer = group.querySelector(".fmd-repeat-footer");
+		if (footer) {
+			footer.insertAdjacentHTML("beforebegin", parsedTemplate);
+		} else {
+			group.insertAdjacentHTML("beforeend", parsedTemplate);
+		}
+		const item = group.querySelector(
+			`.fmd-repeat-item[data-fmd-repeat-index="${index}"]`,
+		);
+
+		// Highlight code blocks, add event listeners and set the form data
+		item.querySelectorAll("pre code").forEach((codeBlock) => {
+			hljs.highlightElement(codeBlock);
+		});
+		instance.addEventListeners(item, false);
+		instance.setFormDataToState();
+
+		return item;
+	};
+
+	/**
+	 * Remove an item from a repeatable group, along with the values of its form
+	 * fields (from the state and local storage).
+	 *
+	 * @param {HTMLElement} item
+	 */
+	removeRepeatItem = (item) => {
+		const instance = this;
+
+		const group = item.closest(".fmd-repeat");
+		const name = group.getAttribute("data-fmd-repeat");
+		const prefix = `${name}_${item.getAttribute("data-fmd-repeat-index")}_`;
+		for (const key of Object.keys(instance.state.formData)) {
+			if (key.startsWith(prefix)) {
+				delete instance.state.formData[key];
+				delete instance.state.fieldTypes[key];
+				if (instance.options.saveState) {
+					instance.saveFieldValue(key, undefined);
 				}
 			}
+		}
+		item.remove();
+	};
+
+	/**
+	 * Handle the clicks of the "Add another" buttons of repeatable groups.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	repeatAddBtnOnClick = (e) => {
+		const instance = this;
+
+		const group = e.target.closest(".fmd-repeat");
+		const max = Number(group.getAttribute("data-fmd-repeat-max"));
+		if (max > 0 && group.querySelectorAll(".fmd-repeat-item").length >= max) {
+			return;
+		}
+		const item = instance.addRepeatItem(group);
+		instance.updateRepeatGroup(group, true);
+
+		// Focus on the first input of the new item
+		const input = item.querySelector("input, select, textarea");
+		if (input) {
+			input.focus();
+		}
+	};
+
+	/**
+	 * Handle the clicks of the "Remove" buttons of repeatable groups.
+	 *
+	 * @param {MouseEvent} e
+	 */
+	repeatRemoveBtnOnClick = (e) => {
+		const instance = this;
+
+		const group = e.target.closest(".fmd-repeat");
+		const min = Number(group.getAttribute("data-fmd-repeat-min"));
+		if (group.querySelectorAll(".fmd-repeat-item").length <= min) {
+			return;
+		}
+		instance.removeRepeatItem(e.target.closest(".fmd-repeat-item"));
+		instance.updateRepeatGroup(group, true);
+
+		// Move focus to the "Add another" button
+		const addBtn = group.querySelector(".fmd-repeat-add-btn");
+		if (addBtn) {
+			addBtn.focus();
+		}
+	};
+
+	/**
+	 * Handle the inputs inside repeatable groups: update the group value. The
+	 * form fields themselves are handled by their own listeners first.
+	 *
+	 * @param {InputEvent} e
+	 */
+	repeatGroupOnInput = (e) => {
+		const instance = this;
+
+		instance.updateRepeatGroup(e.currentTarget, true);
+	};
+
+	/**
+	 * Given a <button> element, set it to the processing state.
+	 *
+	 * @param {HTMLButtonElement} btn
+	 */
+	setBtnProcessing = (btn) => {
+		const instance = this;
+
+		btn.classList.add("fmd-btn-processing");
+		const localization = instance.state.settings.localization;
+		btn.setAttribute("aria-label", getTranslation(localization, "loading"));
+	};
+
+	/**
+	 * Given a <button> element, remove its processing state.
+	 *
+	 * @param {HTMLButtonElement} btn
+	 */
+	removeBtnProcessing = (btn) => {
+		const instance = this;
+
+		btn.classList.remove("fmd-btn-processing");
+		btn.removeAttribute("aria-label");
+		const localization = instance.state.settings.localization;
+		const footerPreviousBtn = instance.container.querySelector(
+			".fmd-footer .fmd-previous-btn",
+		);
+		const footerNextBtn = instance.container.querySelector(
+			".fmd-footer .fmd-next-btn",
+		);
+		if (btn === footerPreviousBtn) {
+			btn.setAttribute(
+				"aria-label",
+				getTranslation(localization, "previous-btn"),
+			);
+		} else if (btn === footerNextBtn) {
+			btn.setAttribute("aria-label", getTranslation(localization, "next-btn"));
+		}
+	};
+
+	/**
+	 * Given a slide element, remove all errors (and everything related).
+	 *
+	 * @param {HTMLElement} slide
+	 */
+	removeSlideErrors = (slide) => {
+		const instance = this;
+
+		// Remove all field errors
+		slide.querySelectorAll(".fmd-form-field").forEach((formField) => {
+			instance.removeFieldErrors(formField);
+		});
+
+		// Remove all slide errors
+		slide.querySelectorAll(".fmd-error").forEach((error) => {
+			error.remove();
+		});
+
+		// Remove WAI-ARIA tag from CTA button
+		const ctaBtn =
+			slide.querySelector(".fmd-submit-btn") ||
+			slide.querySelector(".fmd-next-btn");
+		ctaBtn.removeAttribute("aria-describedby");
+	};
+
+	/**
+	 * Add an error inside the given form field element.
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {string} errorId
+	 * @param {string} message
+	 */
+	addFieldError = (formField, errorId, message) => {
+		const instance = this;
+
+		const error = document.createElement("div");
+		error.setAttribute("id", errorId);
+		error.innerHTML = [
+			`<div class="fmd-error">`,
+			`	<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512" class="fmd-icon fmd-error-icon" aria-hidden="true" focusable="false"><path d="M256 32c14.2 0 27.3 7.5 34.5 19.8l216 368c7.3 12.4 7.3 27.7 .2 40.1S486.3 480 472 480H40c-14.3 0-27.6-7.7-34.7-20.1s-7-27.8 .2-40.1l216-368C228.7 39.5 241.8 32 256 32zm0 128c-13.3 0-24 10.7-24 24V296c0 13.3 10.7 24 24 24s24-10.7 24-24V184c0-13.3-10.7-24-24-24zm32 224a32 32 0 1 0 -64 0 32 32 0 1 0 64 0z"/></svg>`,
+			`	${message}`,
+			`</div>`,
+		].join("\n");
+		formField.insertAdjacentElement("beforeend", error);
+
+		// Record the validation failure in the analytics
+		if (instance.isAnalyticsEnabled()) {
+			const input = formField.querySelector("[name]");
+			recordValidationError(
+				instance.getAnalytics(),
+				formField.getAttribute("data-fmd-name") ||
+					(input ? input.getAttribute("name") : ""),
+				instance.state.slideData.currentIndex,
+			);
+		}
+	};
+
+	/**
+	 * Given a <form> element, validate and add errors if necessary. By default,
+	 * most form fields rely entirely on built-in client-side validation that is
+	 * found in browsers.
+	 *
+	 * @param {HTMLFormElement} form
+	 * @returns {boolean} form is valid or not
+	 */
+	formValid = (form) => {
+		const instance = this;
+
+		const localization = instance.state.settings.localization;
+
+		// Remove all form errors (reset)
+		instance.removeSlideErrors(form);
 
-			// Choice field
-			if (instance.state.fieldTypes[name] === "choice") {
-				const input = instance.container.querySelector(
-					`.fmd-form-str-check-input[name="${name}"]`,
-				);
-				if (input) {
-					const type = input.getAttribute("type");
-					instance.setRadioCheckboxValue(
-						name,
-						"fmd-form-str-check-input",
-						type,
-						value,
-					);
-					instance.state.formData[name] = instance.getRadioCheckboxValue(
+		// By default, form is valid
+		let isFormValid = true;
+		const formFieldsWithError = [];
+
+		// Go through form fields to validate
+		// These fields will have a type attribute
+		form
+			.querySelectorAll(
+				'.fmd-form-field[data-fmd-type="radio"][data-fmd-required], .fmd-form-field[data-fmd-type="checkbox"][data-fmd-required], .fmd-form-field[data-fmd-type="num-radio"][data-fmd-required], .fmd-form-field[data-fmd-type="matrix"][data-fmd-required], .fmd-form-field[data-fmd-type="combobox"][data-fmd-required], .fmd-form-field[data-fmd-type="datetime-local"], .fmd-form-field[data-fmd-type="date"], .fmd-form-field[data-fmd-type="time"], .fmd-form-field[data-fmd-type="file"], .fmd-form-field[data-fmd-type="slider"][data-fmd-range], .fmd-form-field[data-fmd-type="signature"][data-fmd-required]',
+			)
+			.forEach((formField) => {
+				const name = formField.getAttribute("data-fmd-name");
+				const type = formField.getAttribute("data-fmd-type");
+
+				// Required choice fields
+				if (type === "radio" || type === "checkbox") {
+					const value = instance.getRadioCheckboxValue(
 						name,
 						"fmd-form-str-check-input",
 						type,
 					);
-					instance.reRenderBindElems(name);
-				}
-			}
+					if (value.length === 0) {
+						isFormValid = false;
+						formFieldsWithError.push(formField);
 
-			// Number choice field
-			if (instance.state.fieldTypes[name] === "num-choice") {
-				const input = instance.container.querySelector(
-					`.fmd-form-num-check-input[name="${name}"]`,
-				);
-				if (input) {
-					instance.setRadioCheckboxValue(
+						// Add error
+						const errorId = `${instance.getIdPrefix()}id_${name}-error`;
+						instance.addFieldError(
+							formField,
+							errorId,
+							getTranslation(localization, "choice-field-required"),
+						);
+
+						// Add WAI-ARIA tags to the inputs
+						formField
+							.querySelectorAll(".fmd-form-str-check-input")
+							.forEach((input) => {
+								input.setAttribute("aria-invalid", "true");
+								input.setAttribute("aria-describedby", errorId);
+							});
+					}
+				}
+				// Required number choice fields
+				else if (type === "num-radio") {
+					const value = instance.getRadioCheckboxValue(
 						name,
 						"fmd-form-num-check-input",
 						"radio",
-						String(value),
 					);
-					instance.state.formData[name] = instance.getRadioCheckboxValue(
-						name,
-						"fmd-form-num-check-input",
-						"radio",
+					if (value.length === 0) {
+						isFormValid = false;
+						formFieldsWithError.push(formField);
+
+						// Add error
+						const errorId = `${instance.getIdPrefix()}id_${name}-error`;
+						instance.addFieldError(
+							formField,
+							errorId,
+							getTranslation(localization, "number-choice-field-required"),
+						);
+
+						// Add WAI-ARIA tags to the inputs
+						formField
+							.querySelectorAll(".fmd-form-num-check-input")
+							.forEach((input) => {
+								input.setAttribute("aria-invalid", "true");
+								instance.setSingleAttribute(input, "aria-describedby", errorId);
+							});
+					}
+				}
+				// Required matrix fields, every row must be answered
+				else if (type === "matrix") {
+					const value = instance.getMatrixValue(formField);
+					const rowsAnswered = Object.values(value).every((rowValue) => {
+						return rowValue.length > 0;
+					});
+					if (!rowsAnswered) {
+						isFormValid = false;
+						formFieldsWithError.push(formField);
+
+						// Add error
+						const errorId = `${instance.getIdPrefix()}id_${name}-error`;
+						instance.addFieldError(
+							formField,
+							errorId,
+							getTranslation(localization, "matrix-field-required"),
+						);
+
+						// Add WAI-ARIA tags to the inputs
+						formField
+							.querySelectorAll(".fmd-form-matrix-input")
+							.forEach((input) => {
+								input.setAttribute("aria-invalid", "true");
+								input.setAttribute("aria-describedby", errorId);
+							});
+					}
+				}
+				// Required combobox fields
+				else if (type === "combobox") {
+					if (instance.getComboboxValue(formField).length === 0) {
+						isFormValid = false;
+						formFieldsWithError.push(formField);
+
+						// Add error
+						const errorId = `${instance.getIdPrefix()}id_${name}-error`;
+						instance.addFieldError(
+							formField,
+							errorId,
+							getTranslation(localization, "choice-field-required"),
+						);
+
+						// Add WAI-ARIA tags to the input
+						formField
+							.querySelectorAll(".fmd-form-combobox-input")
+							.forEach((input) => {
+								input.setAttribute("aria-invalid", "true");
+								input.setAttribute("aria-describedby", errorId);
+							});
+					}
+				}
+				// Range sliders, the low value cannot be greater than the high
+				else if (type === "slider") {
+					const [low, high] = instance.getSliderValue(formField);
+					if (low > high) {
+						isFormValid = false;
+						formFieldsWithError.push(formField);
+
+						// Add error
+						const errorId = `${instance.getIdPrefix()}id_${name}-error`;
+						instance.addFieldError(
+							formField,
+							errorId,
+							getTranslation(localization, "slider-range-invalid"),
+						);
+
+						// Add WAI-ARIA tags to the inputs
+						formField
+							.querySelectorAll(".fmd-form-slider-input")
+							.forEach((input) => {
+								input.setAttribute("aria-invalid", "true");
+								input.setAttribute("aria-describedby", errorId);
+							});
+					}
+				}
+				// Required signature fields
+				else if (type === "signature") {
+					if ((instance.state.signatures[name] || []).length === 0) {
+						isFormValid = false;
+						formFieldsWithError.push(formField);
+
+						// Add error
+						const errorId = `${instance.getIdPrefix()}id_${name}-error`;
+						instance.addFieldError(
+							formField,
+							errorId,
+							getTranslation(localization, "signature-field-required"),
+						);
+
+						// Add WAI-ARIA tags to the canvas
+						formField
+							.querySelectorAll(".fmd-signature-canvas")
+							.forEach((canvas) => {
+								canvas.setAttribute("aria-invalid", "true");
+								canvas.setAttribute("aria-describedby", errorId);
+							});
+					}
+				}
+				// Datetime fields
+				else if (
+					type === "datetime-local" ||
+					type === "date" ||
+					type === "time"
+				) {
+					const value = formField.querySelector(
+						`.fmd-form-datetime-input[name="${name}"]`,
+					).value;
+
+					// Set up the pattern and error translation key
+					let pattern = /.*/;
+					let errorTranslationKey = "";
+					if (type === "datetime-local") {
+						pattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+						errorTranslationKey = "datetime-input-error";
+					} else if (type === "date") {
+						pattern = /^\d{4}-\d{2}-\d{2}$/;
+						errorTranslationKey = "date-input-error";
+					} else if (type === "time") {
+						pattern = /^\d{2}:\d{2}$/;
+						errorTranslationKey = "time-input-error";
+					}
+
+					if (value !== "" && !value.match(pattern)) {
+						isFormValid = false;
+						formFieldsWithError.push(formField);
+
+						// Add error
+						const errorId = `${instance.getIdPrefix()}id_${name}-error`;
+						instance.addFieldError(
+							formField,
+							errorId,
+							getTranslation(localization, errorTranslationKey),
+						);
+
+						// Add WAI-ARIA tags to the input
+						formField
+							.querySelectorAll(".fmd-form-datetime-input")
+							.forEach((input) => {
+								input.setAttribute("aria-invalid", "true");
+								input.setAttribute("aria-describedby", errorId);
+							});
+					}
+				}
+				// File fields
+				else if (type === "file") {
+					const errorMessage = instance.getFileFieldError(
+						formField,
+						instance.getFileFieldFiles(formField),
 					);
-					instance.reRenderBindElems(name);
+					if (errorMessage) {
+						isFormValid = false;
+						formFieldsWithError.push(formField);
+						instance.addFileFieldError(formField, errorMessage);
+					}
 				}
+			});
+
+		// Focus on the first form field with error
+		if (formFieldsWithError.length > 0) {
+			const inputToFocus = formFieldsWithError[0].querySelector(
+				".fmd-form-str-check-input, .fmd-form-num-check-input, .fmd-form-matrix-input, .fmd-form-combobox-input, .fmd-form-slider-input, .fmd-form-datetime-input, .fmd-form-file-input",
+			);
+			if (inputToFocus) {
+				inputToFocus.focus();
 			}
+		}
 
-			// Datetime field
-			if (
-				instance.state.fieldTypes[name] === "datetime-local" ||
-				instance.state.fieldTypes[name] === "date" ||
-				instance.state.fieldTypes[name] === "time"
-			) {
-				const input = instance.container.querySelector(
-					`.fmd-form-datetime-input[name="${name}"]`,
-				);
-				if (input) {
-					input.value = value;
-					instance.state.formData[name] = value;
-					instance.reRenderBindElems(name);
-				}
+		if (!isFormValid) {
+			instance.emit("validationerror", {
+				form: form,
+				fields: formFieldsWithError.map((formField) =>
+					formField.getAttribute("data-fmd-name"),
+				),
+			});
+		}
+
+		return isFormValid;
+	};
+
+	/**
+	 * When an error occurs during form submission or slide transition, add an
+	 * error inside the slide element that contains the messages (if any).
+	 *
+	 * @param {HTMLElement} slide
+	 * @param {HTMLButtonElement} ctaBtn
+	 * @param {Array.<string>} messages
+	 */
+	addSlideError = (slide, ctaBtn, messages) => {
+		const instance = this;
+
+		const localization = instance.state.settings.localization;
+		const error = document.createElement("div");
+		const errorId = `${instance.getIdPrefix()}id_slide-${
+			instance.state.slideData.currentIndex
+		}-error`;
+		error.setAttribute("id", errorId);
+		const messageList = [];
+		if (messages.length > 0) {
+			messageList.push('<ul class="fmd-error-list">');
+			for (const message of messages) {
+				messageList.push(`<li>${message}</li>`);
 			}
+			messageList.push("</ul>");
 		}
+		error.innerHTML = [
+			`<div class="fmd-error">`,
+			`	<div class="fmd-error-inner">`,
+			`		<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512" class="fmd-icon fmd-error-icon" aria-hidden="true" focusable="false"><path d="M256 32c14.2 0 27.3 7.5 34.5 19.8l216 368c7.3 12.4 7.3 27.7 .2 40.1S486.3 480 472 480H40c-14.3 0-27.6-7.7-34.7-20.1s-7-27.8 .2-40.1l216-368C228.7 39.5 241.8 32 256 32zm0 128c-13.3 0-24 10.7-24 24V296c0 13.3 10.7 24 24 24s24-10.7 24-24V184c0-13.3-10.7-24-24-24zm32 224a32 32 0 1 0 -64 0 32 32 0 1 0 64 0z"/></svg>`,
+			`		${getTranslation(localization, "slide-error")}`,
+			`	</div>`,
+			`	${messageList.join("\n")}`,
+			`</div>`,
+		].join("\n");
+		ctaBtn.setAttribute("aria-describedby", errorId);
+		slide.insertAdjacentElement("beforeend", error);
 	};
 
 	/**
-	 * Given a form field element, remove all errors (and everything related).
+	 * GET data from remote source. A remote source here is anything outside of
+	 * the actual template.
 	 *
-	 * @param {HTMLElement} formField
+	 * @returns {Promise<string>}
 	 */
-	removeFieldErrors = (formField) => {
+	getRemoteData = () => {
 		const instance = this;
 
-		// Remove all errors
-		formField.querySelectorAll(".fmd-error").forEach((error) => {
-			error.remove();
-		});
-
-		// Form fields with errors will have a type attribute
-		const type = formField.getAttribute("data-fmd-type");
-
-		// Remove WAI-ARIA tags
-		// Choice field
-		if (type === "radio" || type === "checkbox") {
-			formField
-				.querySelectorAll(".fmd-form-str-check-input")
-				.forEach((input) => {
-					input.removeAttribute("aria-invalid");
-					input.removeAttribute("aria-describedby");
-				});
-		}
-		// Number choice field
-		else if (type === "num-radio") {
-			formField
-				.querySelectorAll(".fmd-form-num-check-input")
-				.forEach((input) => {
-					input.removeAttribute("aria-invalid");
-					const name = input.getAttribute("name");
-					instance.removeSingleAttribute(
-						input,
-						"aria-describedby",
-						`${instance.getIdPrefix()}id_${name}-error`,
-					);
-				});
-		}
-		// Datetime field
-		else if (type === "datetime-local" || type === "date" || type === "time") {
-			formField
-				.querySelectorAll(".fmd-form-datetime-input")
-				.forEach((input) => {
-					input.removeAttribute("aria-invalid");
-					input.removeAttribute("aria-describedby");
-				});
+		// If the page is a file, return resolved promise
+		// This way, the page can load quickly (useful when drafting)
+		if (window.location.protocol === "file:") {
+			console.warn("Remote data not loaded: HTML page is a file (CORS issue).");
+			return Promise.resolve("").then((result) => {
+				return result;
+			});
 		}
-		// File field
-		else if (type === "file") {
-			formField.querySelectorAll(".fmd-form-file-input").forEach((input) => {
-				input.removeAttribute("aria-invalid");
-				input.removeAttribute("aria-describedby");
+
+		// GET url not provided in settings (return resolved promise)
+		if (instance.state.settings["get-url"] === undefined) {
+			return Promise.resolve("").then((result) => {
+				return result;
 			});
 		}
+
+		// Fetch data using GET url
+		return fetch(instance.state.settings["get-url"], {
+			method: "GET",
+			headers: instance.options.getHeaders,
+		})
+			.then((response) => {
+				if (response.ok) {
+					return response.text();
+				} else {
+					console.error("Network response not ok.");
+					return "";
+				}
+			})
+			.catch((error) => {
+				console.error(error);
+				return "";
+			});
 	};
 
 	/**
-	 * Handle the inputs of text form fields: update value in the state, save
-	 * value in local storage, remove errors and re-render the bind <div> and
-	 * <span> elements.
+	 * Convert timezone offset (in minutes) to the +HH:mm or -HH:mm format.
 	 *
-	 * @param {InputEvent} e
+	 * @param {number} minutes
+	 * @returns {String}
 	 */
-	textFieldOnInput = (e) => {
+	convertTimezoneOffset = (minutes) => {
+		const sign = minutes > 0 ? "-" : "+";
+		const absoluteMinutes = Math.abs(minutes);
+		const hours = Math.floor(absoluteMinutes / 60);
+		const mins = absoluteMinutes % 60;
+
+		// Pad hours and minutes with leading zeros if necessary
+		const HH = String(hours).padStart(2, "0");
+		const mm = String(mins).padStart(2, "0");
+
+		return `${sign}${HH}:${mm}`;
+	};
+
+	/**
+	 * Execute Google reCAPTCHA v3 validation.
+	 *
+	 * @returns {Promise<string>} The Google reCAPTCHA token
+	 */
+	executeRecaptcha = () => {
 		const instance = this;
 
-		const name = e.target.getAttribute("name");
-		const value = e.target.value;
-		instance.state.formData[name] = value;
-		if (instance.options.saveState) {
-			instance.saveFieldValue(name, value);
+		return new Promise((resolve) => {
+			if (!instance.options.recaptcha.siteKey) {
+				resolve("");
+				return;
+			}
+
+			if (!window.grecaptcha) {
+				console.error("CAPTCHA not loaded. Please try again.");
+				resolve("");
+				return;
+			}
+
+			window.grecaptcha.ready(() => {
+				window.grecaptcha
+					.execute(instance.options.recaptcha.siteKey, {
+						action: instance.options.recaptcha.action,
+					})
+					.then((token) => resolve(token))
+					.catch((error) => {
+						console.error("CAPTCHA execution error:", error);
+						resolve("");
+					});
+			});
+		});
+	};
+
+	/**
+	 * Decode an image file, so that it can be drawn on a canvas. The EXIF
+	 * orientation is applied to the decoded image.
+	 *
+	 * @param {File} file
+	 * @returns {Promise<ImageBitmap|HTMLImageElement>}
+	 */
+	decodeImageFile = (file) => {
+		if (typeof createImageBitmap === "function") {
+			return createImageBitmap(file, { imageOrientation: "from-image" });
 		}
-		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
-		instance.reRenderBindElems(name);
+		return new Promise((resolve, reject) => {
+			const url = URL.createObjectURL(file);
+			const image = new Image();
+			image.onload = () => {
+				URL.revokeObjectURL(url);
+				resolve(image);
+			};
+			image.onerror = (error) => {
+				URL.revokeObjectURL(url);
+				reject(error);
+			};
+			image.src = url;
+		});
 	};
 
 	/**
-	 * Handle the inputs of number form fields: update value in the state, save
-	 * value in local storage, remove errors and re-render the bind <div> and
-	 * <span> elements.
+	 * Resize and compress an image file when it is chosen (so, only once
+	 * before upload), using the max width, max height, quality and format set
+	 * on the file form field. Drawing on a canvas also fixes the EXIF
+	 * orientation, since the rotated pixels are saved without the metadata.
+	 * Other files, and images that do not need to change (or cannot be
+	 * decoded), are returned as is.
 	 *
-	 * @param {InputEvent} e
+	 * @param {HTMLElement} formField
+	 * @param {File} file
+	 * @returns {Promise<File>}
 	 */
-	numberFieldOnInput = (e) => {
+	resizeImageFile = async (formField, file) => {
 		const instance = this;
 
-		const name = e.target.getAttribute("name");
-		const value = isNumeric(e.target.value) ? Number(e.target.value) : null;
-		instance.state.formData[name] = value;
-		if (instance.options.saveState) {
-			instance.saveFieldValue(name, value);
+		const maxWidth =
+			Number(formField.getAttribute("data-fmd-max-width")) || Infinity;
+		const maxHeight =
+			Number(formField.getAttribute("data-fmd-max-height")) || Infinity;
+		const quality = formField.getAttribute("data-fmd-quality");
+		const format = formField.getAttribute("data-fmd-format");
+		const extensions = {
+			"image/jpeg": ".jpg",
+			"image/png": ".png",
+			"image/webp": ".webp",
+		};
+		const fileType = file.type === "image/pjpeg" ? "image/jpeg" : file.type;
+		if (
+			!extensions[fileType] ||
+			(maxWidth === Infinity && maxHeight === Infinity && !format && !quality)
+		) {
+			return file;
+		}
+
+		try {
+			const image = await instance.decodeImageFile(file);
+			const scale = Math.min(
+				1,
+				maxWidth / image.width,
+				maxHeight / image.height,
+			);
+			const type = format ? `image/${format}` : fileType;
+			if (scale === 1 && type === fileType && !quality) {
+				if (image.close) {
+					image.close();
+				}
+				return file;
+			}
+
+			// Draw the image (with a white background for JPEGs)
+			const canvas = document.createElement("canvas");
+			canvas.width = Math.max(1, Math.round(image.width * scale));
+			canvas.height = Math.max(1, Math.round(image.height * scale));
+			const ctx = canvas.getContext("2d");
+			if (type === "image/jpeg") {
+				ctx.fillStyle = "#ffffff";
+				ctx.fillRect(0, 0, canvas.width, canvas.height);
+			}
+			ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+			if (image.close) {
+				image.close();
+			}
+			const blob = await new Promise((resolve) => {
+				canvas.toBlob(resolve, type, quality ? Number(quality) : undefined);
+			});
+
+			// Keep the original if the browser cannot encode the type, or if the
+			// image was not downscaled and ended up larger
+			if (
+				!blob ||
+				blob.type !== type ||
+				(scale === 1 && blob.size >= file.size)
+			) {
+				return file;
+			}
+			const fileName =
+				type === fileType
+					? file.name
+					: `${file.name.replace(/\.[^.]+$/, "")}${extensions[type]}`;
+			return new File([blob], fileName, {
+				type: type,
+				lastModified: file.lastModified,
+			});
+		} catch (error) {
+			console.error(`Error resizing image: ${error}`);
+			return file;
 		}
-		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
-		instance.reRenderBindElems(name);
 	};
 
 	/**
-	 * Handle the inputs of select form fields: update value in the state, save
-	 * value in local storage, remove errors and re-render the bind <div> and
-	 * <span> elements. If the select box is a country calling code select, then
-	 * also update the placeholder of the corresponding telephone input.
+	 * Convert a file to base64
 	 *
-	 * @param {InputEvent} e
+	 * @param {File} file
+	 * @returns {Promise<string>}
 	 */
-	selectFieldOnInput = (e) => {
+	fileToBase64 = (file) => {
+		return new Promise((resolve, reject) => {
+			const reader = new FileReader();
+			reader.readAsDataURL(file);
+			reader.onload = () => resolve(reader.result.split(",")[1]);
+			reader.onerror = (error) => reject(error);
+		});
+	};
+
+	/**
+	 * POST form data.
+	 *
+	 * @param {boolean} postCondition
+	 * @param {boolean} end
+	 * @param {boolean} [partial] Whether it is a partial response (sent in the background), which does not emit the submit events
+	 * @param {AbortSignal} [signal] Signal to abort the requests to the URLs
+	 * @returns {Promise<{ok: boolean, json: Object}>}
+	 */
+	postFormData = (postCondition, end, partial, signal) => {
 		const instance = this;
 
-		const name = e.target.getAttribute("name");
-		const value = e.target.value;
-		instance.state.formData[name] = value;
-		if (instance.options.saveState) {
-			instance.saveFieldValue(name, value);
+		// If the post condition is false, return resolved promise
+		if (!postCondition) {
+			return Promise.resolve({ ok: true, json: {} }).then((result) => {
+				return result;
+			});
 		}
-		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
-		instance.reRenderBindElems(name);
 
-		// Update placeholder of telephone input if country calling code <select>
-		if (e.target.classList.contains("fmd-form-countrycode-select")) {
-			instance.setTelInputPlaceholder(e.target);
+		// If the page is a file, return resolved promise
+		// This way, the form can continue working (useful when drafting)
+		if (window.location.protocol === "file:") {
+			console.warn("Form data not sent: HTML page is a file (CORS issue).");
+			return Promise.resolve({ ok: true, json: {} }).then((result) => {
+				return result;
+			});
+		}
+
+		// Neither POST url provided in settings nor transports in options
+		// (return resolved promise)
+		// True is returned with a console warning
+		// Again, this way, the form can continue working (useful when drafting)
+		const transports = instance.getPostTransports();
+		if (transports.length === 0) {
+			console.warn('Form data not sent: "post-url" setting not found.');
+			return Promise.resolve({ ok: true, json: {} }).then((result) => {
+				return result;
+			});
 		}
+
+		// Create the payloads once for all the transports, then send to all of
+		// them and aggregate the results
+		return instance
+			.createPostPayloads(transports, end, partial)
+			.then((payloads) => {
+				if (
+					(signal && signal.aborted) ||
+					(!partial && !instance.emitBeforeSubmit(payloads, transports, end))
+				) {
+					return { ok: false, json: {}, cancelled: true };
+				}
+				return Promise.all(
+					transports.map((transport) =>
+						instance.sendToTransport(transport, payloads, end, partial, signal),
+					),
+				).then((results) => instance.aggregatePostResults(results));
+			})
+			.catch((error) => {
+				console.error(error);
+				return { ok: false, json: {} };
+			})
+			.then((result) => {
+				if (partial) {
+					return result;
+				}
+				instance.emit(result.ok ? "submitsuccess" : "submiterror", {
+					end: end ? true : false,
+					result: result,
+				});
+				return result;
+			});
 	};
 
 	/**
-	 * Handle the inputs of choice form fields: update value in the state, save
-	 * value in local storage, remove errors and re-render the bind <div> and
-	 * <span> elements.
+	 * POST the partial response in the background (when the
+	 * `partial-submissions` setting is used), without the files and
+	 * signatures. The navigation never waits for it, and the errors are only
+	 * logged. It is aborted by a newer submission (see
+	 * `cancelPartialSubmission`).
 	 *
-	 * @param {InputEvent} e
+	 * @returns {Promise<{ok: boolean, json: Object}>}
 	 */
-	choiceFieldOnInput = (e) => {
+	postPartialFormData = () => {
 		const instance = this;
 
-		const name = e.target.getAttribute("name");
-		const type = e.target.getAttribute("type");
-		const value = instance.getRadioCheckboxValue(
-			name,
-			"fmd-form-str-check-input",
-			type,
-		);
-		instance.state.formData[name] = value;
-		if (instance.options.saveState) {
-			instance.saveFieldValue(name, value);
+		instance.cancelPartialSubmission();
+		if (
+			instance.state.settings["partial-submissions"] === undefined ||
+			instance.state.settings.page !== "form-slides" ||
+			instance.options.isApiDriven
+		) {
+			return Promise.resolve({ ok: true, json: {} });
 		}
-		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
-		instance.reRenderBindElems(name);
+		const controller = new AbortController();
+		instance.partialSubmissionController = controller;
+		return instance
+			.postFormData(true, false, true, controller.signal)
+			.catch((error) => {
+				console.error(error);
+				return { ok: false, json: {} };
+			})
+			.then((result) => {
+				if (instance.partialSubmissionController === controller) {
+					instance.partialSubmissionController = null;
+				}
+				return result;
+			});
 	};
 
 	/**
-	 * Handle the inputs of number choice form fields: update value in the
-	 * state, save value in local storage, remove errors and re-render the bind
-	 * <div> and <span> elements.
-	 *
-	 * @param {InputEvent} e
+	 * Schedule a partial submission after a field change, replacing the one
+	 * that is already scheduled (if any), so that typing does not send a
+	 * request for every key.
 	 */
-	numChoiceFieldOnInput = (e) => {
+	schedulePartialSubmission = () => {
 		const instance = this;
 
-		const name = e.target.getAttribute("name");
-		const value = parseInt(
-			instance.getRadioCheckboxValue(name, "fmd-form-num-check-input", "radio"),
-		);
-		instance.state.formData[name] = value;
-		if (instance.options.saveState) {
-			instance.saveFieldValue(name, value);
-		}
-		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
-		instance.reRenderBindElems(name);
+		clearTimeout(instance.partialSubmissionTimeout);
+		instance.partialSubmissionTimeout = setTimeout(() => {
+			instance.postPartialFormData();
+		}, 1000);
 	};
 
 	/**
-	 * Handle the inputs of datetime form fields: update value in the state,
-	 * save value in local storage, remove errors and re-render the bind <div>
-	 * and <span> elements.
-	 *
-	 * @param {InputEvent} e
+	 * Cancel the partial submission that is scheduled, and abort the one in
+	 * flight (if any). This is called before the other submissions, so that a
+	 * partial response never reaches the backend after them, and overwrites
+	 * the complete response (the responses are upserted by "_rid").
 	 */
-	datetimeFieldOnInput = (e) => {
+	cancelPartialSubmission = () => {
 		const instance = this;
 
-		const name = e.target.getAttribute("name");
-		const value = e.target.value;
-		instance.state.formData[name] = value;
-		if (instance.options.saveState) {
-			instance.saveFieldValue(name, value);
+		clearTimeout(instance.partialSubmissionTimeout);
+		instance.partialSubmissionTimeout = null;
+		if (instance.partialSubmissionController) {
+			instance.partialSubmissionController.abort();
+			instance.partialSubmissionController = null;
 		}
-		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
-		instance.reRenderBindElems(name);
 	};
 
 	/**
-	 * Handle the inputs of file form fields: reset and update the wrapping
-	 * <label> depending on the file chosen.
+	 * Get the transports form responses are sent to: the `post-url` setting
+	 * (if provided) using the POST headers and format, followed by the ones
+	 * from the options.
 	 *
-	 * @param {InputEvent} e
+	 * @returns {Array.<{url: string, format: "form-data"|"json", headers: Object}|function(Object): Promise<*>>}
 	 */
-	fileFieldOnInput = (e) => {
+	getPostTransports = () => {
 		const instance = this;
 
-		// Get the wrapper and inner section
-		const label = e.target.closest(".fmd-form-file-label");
-		const fileExistsSection = label.querySelector(".fmd-file-exists-section");
-
-		// Reset first
-		instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
-		label.classList.remove("fmd-file-exists");
-		fileExistsSection.innerHTML = "";
-
-		// Get the file and update wrapper depending on type
-		const imageFileTypes = [
-			"image/apng",
-			"image/bmp",
-			"image/gif",
-			"image/jpeg",
-			"image/pjpeg",
-			"image/png",
-			"image/svg+xml",
-			"image/tiff",
-			"image/webp",
-			"image/x-icon",
-		];
-		const file = e.target.files[0];
-		if (file) {
-			// Bug fix where you can drag in a non-image file and have it be accepted
-			// This bug exists on Chrome for macOS (and maybe others)
-			let fileValid = true;
-			if (
-				e.target.getAttribute("accept") === "image/*" &&
-				!imageFileTypes.includes(file.type)
-			) {
-				e.target.value = "";
-				fileValid = false;
-			}
-
-			if (fileValid) {
-				if (imageFileTypes.includes(file.type)) {
-					fileExistsSection.innerHTML = [
-						`<span class="fmd-form-file-img-container">`,
-						`	<img src="${URL.createObjectURL(file)}" alt="${file.name}">`,
-						`</span>`,
-						`<span class="fmd-d-block fmd-mt-3">`,
-						`	<strong class="fmd-text-accent">${file.name}</strong>`,
-						`</span>\n`,
-					].join("\n");
-				} else {
-					fileExistsSection.innerHTML = [
-						`<span class="fmd-form-file-img-container">`,
-						`	<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M352 448l0-256-112 0c-26.5 0-48-21.5-48-48l0-112L64 32C46.3 32 32 46.3 32 64l0 384c0 17.7 14.3 32 32 32l256 0c17.7 0 32-14.3 32-32zm-.5-288c-.7-2.8-2.1-5.4-4.2-7.4L231.4 36.7c-2.1-2.1-4.6-3.5-7.4-4.2L224 144c0 8.8 7.2 16 16 16l111.5 0zM0 64C0 28.7 28.7 0 64 0L220.1 0c12.7 0 24.9 5.1 33.9 14.1L369.9 129.9c9 9 14.1 21.2 14.1 33.9L384 448c0 35.3-28.7 64-64 64L64 512c-35.3 0-64-28.7-64-64L0 64z"/></svg>`,
-						`</span>`,
-						`<span class="fmd-d-block fmd-mt-3">`,
-						`	<strong class="fmd-text-accent">${file.name}</strong>`,
-						`</span>\n`,
-					].join("\n");
-				}
-				label.classList.add("fmd-file-exists");
+		const transports = [];
+		if (instance.state.settings["post-url"] !== undefined) {
+			transports.push({
+				url: instance.state.settings["post-url"],
+				format: instance.getPostFormat(),
+				headers: instance.options.postHeaders,
+			});
+		}
+		for (const transport of instance.options.transports) {
+			if (typeof transport === "function") {
+				transports.push(transport);
+			} else {
+				transports.push({
+					url: transport.url,
+					format: transport.format || instance.getPostFormat(),
+					headers: transport.headers || {},
+				});
 			}
 		}
+		return transports;
 	};
 
 	/**
-	 * Set the height of a <textarea> element.
+	 * Get the format of the payload sent to a transport: functions receive the
+	 * normalized payload (the JSON format).
 	 *
-	 * @param {HTMLTextAreaElement} textarea
+	 * @param {{url: string, format: "form-data"|"json", headers: Object}|function(Object): Promise<*>} transport
+	 * @returns {"form-data"|"json"}
 	 */
-	setTextareaHeight = (textarea) => {
-		textarea.style.height = "";
-		const computedStyle = window.getComputedStyle(textarea);
-		const newHeight =
-			parseFloat(textarea.scrollHeight) +
-			parseFloat(computedStyle.borderTopWidth) +
-			parseFloat(computedStyle.borderBottomWidth);
-		textarea.style.height = String(newHeight) + "px";
+	getTransportFormat = (transport) => {
+		return typeof transport === "function" || transport.format === "json"
+			? "json"
+			: "form-data";
 	};
 
 	/**
-	 * Set the height of a <textarea> element on input.
+	 * Create the payloads of a submission, once for each format used by the
+	 * transports, so that the files are only encoded once. If a URL is among
+	 * the transports, a single reCAPTCHA token is added to all of them.
 	 *
-	 * @param {InputEvent} e
+	 * @param {Array.<{url: string, format: "form-data"|"json", headers: Object}|function(Object): Promise<*>>} transports
+	 * @param {boolean} end
+	 * @param {boolean} [partial]
+	 * @returns {Promise<{"form-data"?: FormData, json?: Object}>}
 	 */
-	setTextareaHeightOnInput = (e) => {
+	createPostPayloads = async (transports, end, partial) => {
 		const instance = this;
 
-		instance.setTextareaHeight(e.target);
+		const formats = transports.map(instance.getTransportFormat);
+		const payloads = {};
+		if (formats.includes("form-data")) {
+			payloads["form-data"] = await instance.createPostFormData(end, partial);
+		}
+		if (formats.includes("json")) {
+			payloads.json = await instance.createPostJSON(end, partial);
+		}
+		if (transports.some((transport) => typeof transport !== "function")) {
+			const token = instance.options.recaptcha.siteKey
+				? await instance.executeRecaptcha()
+				: "";
+			for (const [format, payload] of Object.entries(payloads)) {
+				payloads[format] = await instance.addRecaptchaToken(payload, token);
+			}
+		}
+		return payloads;
 	};
 
 	/**
-	 * Reset file input when the corresponding reset button is clicked.
+	 * Send the form response to a single transport, using the payload of its
+	 * format (see `createPostPayloads`). Functions receive the normalized
+	 * payload (the JSON format), and can either return the result (i.e.,
+	 * `{ok: boolean, json: Object}`), the JSON, or nothing. URLs receive a
+	 * POST request, which is queued to retry later if it fails (when the
+	 * offline queue is enabled). Partial responses are not queued.
 	 *
-	 * @param {MouseEvent} e
+	 * @param {{url: string, format: "form-data"|"json", headers: Object}|function(Object): Promise<*>} transport
+	 * @param {{"form-data"?: FormData, json?: Object}} payloads
+	 * @param {boolean} end
+	 * @param {boolean} [partial]
+	 * @param {AbortSignal} [signal] Signal to abort the request (URLs only)
+	 * @returns {Promise<{ok: boolean, json: Object, queued?: boolean}>}
 	 */
-	fileInputResetBtnOnClick = (e) => {
+	sendToTransport = (transport, payloads, end, partial, signal) => {
 		const instance = this;
 
-		// Get the input, wrapper and inner section
-		const fileInput = e.target
-			.closest(".fmd-form-field")
-			.querySelector('.fmd-form-file-input[type="file"]');
-		const label = e.target
-			.closest(".fmd-form-field")
-			.querySelector(".fmd-form-file-label");
-		const fileExistsSection = label.querySelector(".fmd-file-exists-section");
-
-		// Reset
-		if (fileInput && label && fileExistsSection) {
-			fileInput.value = "";
-			instance.removeFieldErrors(e.target.closest(".fmd-form-field"));
-			label.classList.remove("fmd-file-exists");
-			fileExistsSection.innerHTML = "";
+		const body = payloads[instance.getTransportFormat(transport)];
+
+		// Custom handler
+		if (typeof transport === "function") {
+			return Promise.resolve()
+				.then(() => transport(body))
+				.then((result) => {
+					if (
+						result &&
+						typeof result === "object" &&
+						typeof result.ok === "boolean"
+					) {
+						return { ok: result.ok, json: result.json || {} };
+					}
+					return {
+						ok: true,
+						json: result && typeof result === "object" ? result : {},
+					};
+				})
+				.catch((error) => {
+					console.error(error);
+					return { ok: false, json: {} };
+				});
 		}
+
+		// URL
+		// The newer submission supersedes the queued ones of the response
+		// (partial responses are not queued, so they do not)
+		const removeSuperseded = partial
+			? Promise.resolve()
+			: instance.removeSupersededSubmissions(
+					transport.url,
+					body instanceof FormData ? body.get("_rid") : body.meta.rid,
+				);
+		return removeSuperseded
+			.then(() =>
+				instance.sendFormData(transport.url, body, transport.headers, signal),
+			)
+			.then((result) => {
+				// Queue the submission to retry later if the request failed (e.g.,
+				// offline) or the server had an error
+				if (
+					instance.options.offlineQueue &&
+					!partial &&
+					(result.status === 0 || result.status >= 500)
+				) {
+					return instance.queueSubmission(
+						transport.url,
+						body,
+						end,
+						transport.headers,
+					);
+				}
+				return { ok: result.ok, json: result.json };
+			})
+			.catch((error) => {
+				console.error(error);
+				return { ok: false, json: {} };
+			});
 	};
 
 	/**
-	 * Given a <button> element, set it to the processing state.
+	 * Emit the "beforesubmit" event, once for all the transports. Listeners
+	 * can mutate the payloads, or cancel the submission using
+	 * `preventDefault()`. The payload and transport are the ones of the first
+	 * transport, and the payloads are the ones of each format used.
 	 *
-	 * @param {HTMLButtonElement} btn
+	 * @param {{"form-data"?: FormData, json?: Object}} payloads
+	 * @param {Array.<{url: string, format: "form-data"|"json", headers: Object}|function(Object): Promise<*>>} transports
+	 * @param {boolean} end
+	 * @returns {boolean} Whether to send the payloads
 	 */
-	setBtnProcessing = (btn) => {
+	emitBeforeSubmit = (payloads, transports, end) => {
 		const instance = this;
 
-		btn.classList.add("fmd-btn-processing");
-		const localization = instance.state.settings.localization;
-		btn.setAttribute("aria-label", getTranslation(localization, "loading"));
+		return instance.emit("beforesubmit", {
+			end: end ? true : false,
+			payload: payloads[instance.getTransportFormat(transports[0])],
+			transport: transports[0],
+			payloads: payloads,
+			transports: transports,
+		});
 	};
 
 	/**
-	 * Given a <button> element, remove its processing state.
+	 * Aggregate the results of sending the form response to the transports.
+	 * The response is successful only if all of them are successful. The JSON
+	 * of the results are merged, with the errors concatenated so that they are
+	 * all shown using `getSubmissionErrors`. The response is cancelled if the
+	 * ones that are not successful are all cancelled.
 	 *
-	 * @param {HTMLButtonElement} btn
+	 * @param {Array.<{ok: boolean, json: Object, queued?: boolean, cancelled?: boolean}>} results
+	 * @returns {{ok: boolean, json: Object, results?: Array.<{ok: boolean, json: Object, queued?: boolean, cancelled?: boolean}>, cancelled?: boolean}}
 	 */
-	removeBtnProcessing = (btn) => {
-		const instance = this;
+	aggregatePostResults = (results) => {
+		// Single transport, e.g., the POST url (same as before)
+		if (results.length === 1) {
+			return results[0];
+		}
 
-		btn.classList.remove("fmd-btn-processing");
-		btn.removeAttribute("aria-label");
-		const localization = instance.state.settings.localization;
-		const footerPreviousBtn = instance.container.querySelector(
-			".fmd-footer .fmd-previous-btn",
-		);
-		const footerNextBtn = instance.container.querySelector(
-			".fmd-footer .fmd-next-btn",
-		);
-		if (btn === footerPreviousBtn) {
-			btn.setAttribute(
-				"aria-label",
-				getTranslation(localization, "previous-btn"),
-			);
-		} else if (btn === footerNextBtn) {
-			btn.setAttribute("aria-label", getTranslation(localization, "next-btn"));
+		const json = {};
+		const errors = [];
+		for (const result of results) {
+			if (
+				result.json &&
+				typeof result.json === "object" &&
+				!Array.isArray(result.json)
+			) {
+				Object.assign(json, result.json);
+				if (Array.isArray(result.json.errors)) {
+					errors.push(...result.json.errors);
+				}
+			}
+		}
+		if (errors.length > 0) {
+			json.errors = errors;
+		}
+		const aggregated = {
+			ok: results.every((result) => result.ok),
+			json: json,
+			results: results,
+		};
+		if (
+			!aggregated.ok &&
+			results.every((result) => result.ok || result.cancelled)
+		) {
+			aggregated.cancelled = true;
 		}
+		return aggregated;
 	};
 
 	/**
-	 * Given a slide element, remove all errors (and everything related).
+	 * Get the format used to send form responses: the `postFormat` option
+	 * takes precedence over the `post-format` setting.
 	 *
-	 * @param {HTMLElement} slide
+	 * @returns {"form-data"|"json"}
 	 */
-	removeSlideErrors = (slide) => {
+	getPostFormat = () => {
 		const instance = this;
 
-		// Remove all field errors
-		slide.querySelectorAll(".fmd-form-field").forEach((formField) => {
-			instance.removeFieldErrors(formField);
-		});
-
-		// Remove all slide errors
-		slide.querySelectorAll(".fmd-error").forEach((error) => {
-			error.remove();
-		});
-
-		// Remove WAI-ARIA tag from CTA button
-		const ctaBtn =
-			slide.querySelector(".fmd-submit-btn") ||
-			slide.querySelector(".fmd-next-btn");
-		ctaBtn.removeAttribute("aria-describedby");
+		return (
+			instance.options.postFormat ||
+			instance.state.settings["post-format"] ||
+			"form-data"
+		);
 	};
 
 	/**
-	 * Add an error inside the given form field element.
+	 * Get the user timezone offset, e.g., "+06:00".
 	 *
-	 * @param {HTMLElement} formField
-	 * @param {string} errorId
-	 * @param {string} message
+	 * @returns {string}
 	 */
-	addFieldError = (formField, errorId, message) => {
-		const error = document.createElement("div");
-		error.setAttribute("id", errorId);
-		error.innerHTML = [
-			`<div class="fmd-error">`,
-			`	<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512" class="fmd-icon fmd-error-icon" aria-hidden="true" focusable="false"><path d="M256 32c14.2 0 27.3 7.5 34.5 19.8l216 368c7.3 12.4 7.3 27.7 .2 40.1S486.3 480 472 480H40c-14.3 0-27.6-7.7-34.7-20.1s-7-27.8 .2-40.1l216-368C228.7 39.5 241.8 32 256 32zm0 128c-13.3 0-24 10.7-24 24V296c0 13.3 10.7 24 24 24s24-10.7 24-24V184c0-13.3-10.7-24-24-24zm32 224a32 32 0 1 0 -64 0 32 32 0 1 0 64 0z"/></svg>`,
-			`	${message}`,
-			`</div>`,
-		].join("\n");
-		formField.insertAdjacentElement("beforeend", error);
+	getUserTimezoneOffset = () => {
+		const instance = this;
+
+		try {
+			return instance.convertTimezoneOffset(new Date().getTimezoneOffset());
+		} catch (error) {
+			console.error(error);
+			return "";
+		}
 	};
 
 	/**
-	 * Given a <form> element, validate and add errors if necessary. By default,
-	 * most form fields rely entirely on built-in client-side validation that is
-	 * found in browsers.
+	 * Create the form data to POST, with flattened keys for the values that
+	 * are not primitives and the metadata (e.g., "_rid", "_end"). Partial
+	 * responses are sent without the files and signatures, and with the
+	 * "_lastSlide" marker.
 	 *
-	 * @param {HTMLFormElement} form
-	 * @returns {boolean} form is valid or not
+	 * @param {boolean} end
+	 * @param {boolean} [partial]
+	 * @returns {Promise<FormData>}
 	 */
-	formValid = (form) => {
+	createPostFormData = (end, partial) => {
 		const instance = this;
 
-		const localization = instance.state.settings.localization;
-
-		// Remove all form errors (reset)
-		instance.removeSlideErrors(form);
-
-		// By default, form is valid
-		let isFormValid = true;
-		const formFieldsWithError = [];
-
-		// Go through form fields to validate
-		// These fields will have a type attribute
-		form
-			.querySelectorAll(
-				'.fmd-form-field[data-fmd-type="radio"][data-fmd-required], .fmd-form-field[data-fmd-type="checkbox"][data-fmd-required], .fmd-form-field[data-fmd-type="num-radio"][data-fmd-required], .fmd-form-field[data-fmd-type="datetime-local"], .fmd-form-field[data-fmd-type="date"], .fmd-form-field[data-fmd-type="time"], .fmd-form-field[data-fmd-type="file"]',
-			)
-			.forEach((formField) => {
-				const name = formField.getAttribute("data-fmd-name");
-				const type = formField.getAttribute("data-fmd-type");
-
-				// Required choice fields
-				if (type === "radio" || type === "checkbox") {
-					const value = instance.getRadioCheckboxValue(
-						name,
-						"fmd-form-str-check-input",
-						type,
-					);
-					if (value.length === 0) {
-						isFormValid = false;
-						formFieldsWithError.push(formField);
+		// Create the form data to send
+		const formData = new FormData();
 
-						// Add error
-						const errorId = `${instance.getIdPrefix()}id_${name}-error`;
-						instance.addFieldError(
-							formField,
-							errorId,
-							getTranslation(localization, "choice-field-required"),
-						);
+		// Set the POST data from the options
+		// The form data takes precedence, e.g., hidden fields with the same key
+		for (const [key, value] of Object.entries(instance.options.postData)) {
+			if (!(key in instance.state.formData)) {
+				formData.append(key, value);
+			}
+		}
 
-						// Add WAI-ARIA tags to the inputs
-						formField
-							.querySelectorAll(".fmd-form-str-check-input")
-							.forEach((input) => {
-								input.setAttribute("aria-invalid", "true");
-								input.setAttribute("aria-describedby", errorId);
-							});
-					}
+		// Set the form data from the state
+		// Make sure to add the user timezone offset to the local datetime inputs
+		const timezoneOffset = instance.getUserTimezoneOffset();
+		for (const [key, value] of Object.entries(instance.state.formData)) {
+			if (instance.state.fieldTypes[key] === "datetime-local") {
+				formData.append(key, `${value}${timezoneOffset}`);
+			} else if (instance.state.fieldTypes[key] === "matrix") {
+				// One entry per row, e.g., "satisfaction[Speed]"
+				for (const [row, rowValue] of Object.entries(value)) {
+					formData.append(`${key}[${row}]`, rowValue);
 				}
-				// Required number choice fields
-				else if (type === "num-radio") {
-					const value = instance.getRadioCheckboxValue(
-						name,
-						"fmd-form-num-check-input",
-						"radio",
-					);
-					if (value.length === 0) {
-						isFormValid = false;
-						formFieldsWithError.push(formField);
+			} else if (instance.state.fieldTypes[key] === "repeat") {
+				// The indexed form fields are sent as well, so the whole group is
+				// sent as JSON (array of objects)
+				formData.append(key, JSON.stringify(value));
+			} else if (instance.state.fieldTypes[key] === "calculated") {
+				// Results that are not primitives (arrays, objects) are sent as JSON
+				if (value === null) {
+					formData.append(key, "");
+				} else if (typeof value === "object") {
+					formData.append(key, JSON.stringify(value));
+				} else {
+					formData.append(key, value);
+				}
+			} else {
+				formData.append(key, value);
+			}
+		}
 
-						// Add error
-						const errorId = `${instance.getIdPrefix()}id_${name}-error`;
-						instance.addFieldError(
-							formField,
-							errorId,
-							getTranslation(localization, "number-choice-field-required"),
-						);
+		// Add the password inputs (these are not in the state)
+		instance.container
+			.querySelectorAll('.fmd-form-password-input[type="password"]')
+			.forEach((input) => {
+				formData.append(input.getAttribute("name"), input.value);
+			});
 
-						// Add WAI-ARIA tags to the inputs
-						formField
-							.querySelectorAll(".fmd-form-num-check-input")
-							.forEach((input) => {
-								input.setAttribute("aria-invalid", "true");
-								instance.setSingleAttribute(input, "aria-describedby", errorId);
-							});
+		// Process files - either append directly or convert to base64
+		const processFiles = async () => {
+			if (partial) {
+				return;
+			}
+			await instance.waitForFileResizes();
+			const _fileFields = [];
+			const appendFile = async (name, file) => {
+				if (instance.options.sendFilesAsBase64) {
+					try {
+						const base64String = await instance.fileToBase64(file);
+						formData.append(name, base64String);
+						formData.append(`${name}Filename`, file.name);
+						formData.append(`${name}Type`, file.type);
+					} catch (error) {
+						console.error(`Error converting file to base64: ${error}`);
+						formData.append(name, file);
 					}
+				} else {
+					formData.append(name, file);
 				}
-				// Datetime fields
-				else if (
-					type === "datetime-local" ||
-					type === "date" ||
-					type === "time"
-				) {
-					const value = formField.querySelector(
-						`.fmd-form-datetime-input[name="${name}"]`,
-					).value;
-
-					// Set up the pattern and error translation key
-					let pattern = /.*/;
-					let errorTranslationKey = "";
-					if (type === "datetime-local") {
-						pattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
-						errorTranslationKey = "datetime-input-error";
-					} else if (type === "date") {
-						pattern = /^\d{4}-\d{2}-\d{2}$/;
-						errorTranslationKey = "date-input-error";
-					} else if (type === "time") {
-						pattern = /^\d{2}:\d{2}$/;
-						errorTranslationKey = "time-input-error";
-					}
-
-					if (value !== "" && !value.match(pattern)) {
-						isFormValid = false;
-						formFieldsWithError.push(formField);
-
-						// Add error
-						const errorId = `${instance.getIdPrefix()}id_${name}-error`;
-						instance.addFieldError(
-							formField,
-							errorId,
-							getTranslation(localization, errorTranslationKey),
-						);
+				if (!_fileFields.includes(name)) {
+					_fileFields.push(name);
+				}
+			};
 
-						// Add WAI-ARIA tags to the input
-						formField
-							.querySelectorAll(".fmd-form-datetime-input")
-							.forEach((input) => {
-								input.setAttribute("aria-invalid", "true");
-								input.setAttribute("aria-describedby", errorId);
-							});
-					}
+			const fileInputs = instance.container.querySelectorAll(
+				'.fmd-form-file-input[type="file"]',
+			);
+			for (const input of fileInputs) {
+				const formField = input.closest(".fmd-form-field");
+				for (const file of instance.getFileFieldFiles(formField)) {
+					await appendFile(input.getAttribute("name"), file);
 				}
-				// File fields
-				else if (type === "file") {
-					const sizeLimit = Number(
-						formField.getAttribute("data-fmd-size-limit"),
-					);
-					const file = formField.querySelector(".fmd-form-file-input").files[0];
-					if (file) {
-						const fileSize = (file.size / 1024 / 1024).toFixed(4);
-						if (fileSize > sizeLimit) {
-							isFormValid = false;
-							formFieldsWithError.push(formField);
-
-							// Add error
-							const errorId = `${instance.getIdPrefix()}id_${name}-error`;
-							instance.addFieldError(
-								formField,
-								errorId,
-								getTranslation(localization, "file-input-size-error"),
-							);
+			}
 
-							// Add WAI-ARIA tags to the input
-							formField
-								.querySelectorAll(".fmd-form-file-input")
-								.forEach((input) => {
-									input.setAttribute("aria-invalid", "true");
-									input.setAttribute("aria-describedby", errorId);
-								});
-						}
-					}
+			// Signatures are sent as PNG files
+			const signatureFields = instance.container.querySelectorAll(
+				'.fmd-form-field[data-fmd-type="signature"]',
+			);
+			for (const formField of signatureFields) {
+				const file = await instance.createSignatureFile(formField);
+				if (file) {
+					await appendFile(formField.getAttribute("data-fmd-name"), file);
 				}
+			}
+
+			if (_fileFields.length > 0) {
+				formData.append("_fileFields", _fileFields.toString());
+			}
+		};
+
+		// Add the current file clear checks (these are not in the state)
+		instance.container
+			.querySelectorAll('.fmd-form-file-clear-check-input[type="checkbox"]')
+			.forEach((input) => {
+				const name = input.getAttribute("name");
+				formData.append(name, input.checked);
 			});
 
-		// Focus on the first form field with error
-		if (formFieldsWithError.length > 0) {
-			const inputToFocus = formFieldsWithError[0].querySelector(
-				".fmd-form-str-check-input, .fmd-form-num-check-input, .fmd-form-datetime-input, .fmd-form-file-input",
+		// Set the extra fields
+		formData.append("_end", end ? end : "");
+		if (
+			end &&
+			instance.options.analytics.attachTimings &&
+			instance.isAnalyticsEnabled()
+		) {
+			formData.append(
+				"_timings",
+				JSON.stringify(getTimings(instance.getAnalytics())),
 			);
-			if (inputToFocus) {
-				inputToFocus.focus();
-			}
 		}
+		if (partial) {
+			formData.append("_lastSlide", instance.state.slideData.currentIndex);
+		}
+		formData.append("_rid", instance.getOrCreateResponseId());
+		formData.append(
+			"_sheetName",
+			instance.state.settings["post-sheet-name"] || "",
+		);
+		formData.append("_submitted", new Date().toUTCString());
 
-		return isFormValid;
+		// Process all files first
+		return processFiles().then(() => formData);
 	};
 
 	/**
-	 * When an error occurs during form submission or slide transition, add an
-	 * error inside the slide element that contains the messages (if any).
+	 * Create the JSON to POST, with typed values: numbers as numbers,
+	 * checkbox values as arrays, local datetimes in ISO format with the user
+	 * timezone offset, and files as base64 objects. The metadata is set under
+	 * the `meta` key. Partial responses are sent without the files and
+	 * signatures, and with the `lastSlide` marker.
 	 *
-	 * @param {HTMLElement} slide
-	 * @param {HTMLButtonElement} ctaBtn
-	 * @param {Array.<string>} messages
+	 * @param {boolean} end
+	 * @param {boolean} [partial]
+	 * @returns {Promise<Object>}
 	 */
-	addSlideError = (slide, ctaBtn, messages) => {
+	createPostJSON = async (end, partial) => {
 		const instance = this;
 
-		const localization = instance.state.settings.localization;
-		const error = document.createElement("div");
-		const errorId = `${instance.getIdPrefix()}id_slide-${
-			instance.state.slideData.currentIndex
-		}-error`;
-		error.setAttribute("id", errorId);
-		const messageList = [];
-		if (messages.length > 0) {
-			messageList.push('<ul class="fmd-error-list">');
-			for (const message of messages) {
-				messageList.push(`<li>${message}</li>`);
+		// Set the POST data from the options
+		const json = { ...instance.options.postData };
+
+		// Set the form data from the state
+		const timezoneOffset = instance.getUserTimezoneOffset();
+		for (const [key, value] of Object.entries(instance.state.formData)) {
+			if (instance.state.fieldTypes[key] === "datetime-local") {
+				json[key] = value ? `${value}${timezoneOffset}` : null;
+			} else {
+				json[key] = value;
 			}
-			messageList.push("</ul>");
 		}
-		error.innerHTML = [
-			`<div class="fmd-error">`,
-			`	<div class="fmd-error-inner">`,
-			`		<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512" class="fmd-icon fmd-error-icon" aria-hidden="true" focusable="false"><path d="M256 32c14.2 0 27.3 7.5 34.5 19.8l216 368c7.3 12.4 7.3 27.7 .2 40.1S486.3 480 472 480H40c-14.3 0-27.6-7.7-34.7-20.1s-7-27.8 .2-40.1l216-368C228.7 39.5 241.8 32 256 32zm0 128c-13.3 0-24 10.7-24 24V296c0 13.3 10.7 24 24 24s24-10.7 24-24V184c0-13.3-10.7-24-24-24zm32 224a32 32 0 1 0 -64 0 32 32 0 1 0 64 0z"/></svg>`,
-			`		${getTranslation(localization, "slide-error")}`,
-			`	</div>`,
-			`	${messageList.join("\n")}`,
-			`</div>`,
-		].join("\n");
-		ctaBtn.setAttribute("aria-describedby", errorId);
-		slide.insertAdjacentElement("beforeend", error);
+
+		// Add the password inputs (these are not in the state)
+		instance.container
+			.querySelectorAll('.fmd-form-password-input[type="password"]')
+			.forEach((input) => {
+				json[input.getAttribute("name")] = input.value;
+			});
+
+		// Add the files as base64 objects
+		if (!partial) {
+			await instance.waitForFileResizes();
+		}
+		const fileInputs = partial
+			? []
+			: instance.container.querySelectorAll(
+					'.fmd-form-file-input[type="file"]',
+				);
+		for (const input of fileInputs) {
+			const formField = input.closest(".fmd-form-field");
+			const files = instance.getFileFieldFiles(formField);
+			try {
+				const fileObjects = [];
+				for (const file of files) {
+					fileObjects.push({
+						name: file.name,
+						type: file.type,
+						data: await instance.fileToBase64(file),
+					});
+				}
+				if (formField.hasAttribute("data-fmd-multiple")) {
+					json[input.getAttribute("name")] = fileObjects;
+				} else if (fileObjects.length > 0) {
+					json[input.getAttribute("name")] = fileObjects[0];
+				}
+			} catch (error) {
+				console.error(`Error converting file to base64: ${error}`);
+			}
+		}
+
+		// Add the signatures as base64 PNG objects
+		const signatureFields = partial
+			? []
+			: instance.container.querySelectorAll(
+					'.fmd-form-field[data-fmd-type="signature"]',
+				);
+		for (const formField of signatureFields) {
+			const file = await instance.createSignatureFile(formField);
+			if (file) {
+				try {
+					json[formField.getAttribute("data-fmd-name")] = {
+						name: file.name,
+						type: file.type,
+						data: await instance.fileToBase64(file),
+					};
+				} catch (error) {
+					console.error(`Error converting file to base64: ${error}`);
+				}
+			}
+		}
+
+		// Add the current file clear checks (these are not in the state)
+		instance.container
+			.querySelectorAll('.fmd-form-file-clear-check-input[type="checkbox"]')
+			.forEach((input) => {
+				json[input.getAttribute("name")] = input.checked;
+			});
+
+		// Set the metadata
+		if (json.meta !== undefined) {
+			console.warn(
+				'[DATA] "meta" is reserved for the metadata in JSON submissions and will be overwritten.',
+			);
+		}
+		json.meta = {
+			end: end ? true : false,
+			rid: instance.getOrCreateResponseId(),
+			sheetName: instance.state.settings["post-sheet-name"] || "",
+			submitted: new Date().toISOString(),
+		};
+		if (partial) {
+			json.meta.lastSlide = instance.state.slideData.currentIndex;
+		}
+		if (
+			end &&
+			instance.options.analytics.attachTimings &&
+			instance.isAnalyticsEnabled()
+		) {
+			json.meta.timings = getTimings(instance.getAnalytics());
+		}
+		return json;
 	};
 
 	/**
-	 * GET data from remote source. A remote source here is anything outside of
-	 * the actual template.
+	 * Add the Google reCAPTCHA token to the POST body if site key provided.
 	 *
-	 * @returns {Promise<string>}
+	 * @param {FormData|Object} body
+	 * @param {string} [token] Default is a new token
+	 * @returns {Promise<FormData|Object>}
 	 */
-	getRemoteData = () => {
+	addRecaptchaToken = (body, token) => {
 		const instance = this;
 
-		// If the page is a file, return resolved promise
-		// This way, the page can load quickly (useful when drafting)
-		if (window.location.protocol === "file:") {
-			console.warn("Remote data not loaded: HTML page is a file (CORS issue).");
-			return Promise.resolve("").then((result) => {
-				return result;
-			});
+		if (!instance.options.recaptcha.siteKey) {
+			return Promise.resolve(body);
 		}
+		const getToken =
+			token !== undefined
+				? Promise.resolve(token)
+				: instance.executeRecaptcha();
+		return getToken.then((recaptchaToken) => {
+			if (body instanceof FormData) {
+				body.append("_captcha", recaptchaToken);
+			} else {
+				body.meta.captcha = recaptchaToken;
+			}
+			return body;
+		});
+	};
 
-		// GET url not provided in settings (return resolved promise)
-		if (instance.state.settings["get-url"] === undefined) {
-			return Promise.resolve("").then((result) => {
-				return result;
-			});
-		}
+	/**
+	 * Send form data (or JSON) to a URL.
+	 *
+	 * @param {string} url
+	 * @param {FormData|Object} body
+	 * @param {Object} [headers] Default is the POST headers from the options
+	 * @param {AbortSignal} [signal] Signal to abort the request
+	 * @returns {Promise<{ok: boolean, json: Object, status: number}>} The status is `0` if the request itself failed, e.g., when offline or aborted
+	 */
+	sendFormData = (url, body, headers, signal) => {
+		const instance = this;
 
-		// Fetch data using GET url
-		return fetch(instance.state.settings["get-url"], {
-			method: "GET",
-			headers: instance.options.getHeaders,
+		headers = headers || instance.options.postHeaders;
+		const isFormData = body instanceof FormData;
+		return fetch(url, {
+			method: "POST",
+			headers: isFormData
+				? headers
+				: {
+						"Content-Type": "application/json",
+						...headers,
+					},
+			body: isFormData ? body : JSON.stringify(body),
+			signal: signal,
 		})
-			.then((response) => {
-				if (response.ok) {
-					return response.text();
-				} else {
-					console.error("Network response not ok.");
-					return "";
-				}
-			})
+			.then((response) =>
+				response
+					.json()
+					.then((json) => {
+						return { ok: response.ok, json: json, status: response.status };
+					})
+					.catch((error) => {
+						console.error(error);
+						return { ok: response.ok, json: {}, status: response.status };
+					}),
+			)
 			.catch((error) => {
-				console.error(error);
-				return "";
+				// Aborted on purpose (see `cancelPartialSubmission`)
+				if (!signal || !signal.aborted) {
+					console.error(error);
+				}
+				return { ok: false, json: {}, status: 0 };
 			});
 	};
 
 	/**
-	 * Convert timezone offset (in minutes) to the +HH:mm or -HH:mm format.
+	 * Get the key used to identify the queued submissions of the page/form.
 	 *
-	 * @param {number} minutes
-	 * @returns {String}
+	 * @returns {string}
 	 */
-	convertTimezoneOffset = (minutes) => {
-		const sign = minutes > 0 ? "-" : "+";
-		const absoluteMinutes = Math.abs(minutes);
-		const hours = Math.floor(absoluteMinutes / 60);
-		const mins = absoluteMinutes % 60;
-
-		// Pad hours and minutes with leading zeros if necessary
-		const HH = String(hours).padStart(2, "0");
-		const mm = String(mins).padStart(2, "0");
+	getSubmissionQueueKey = () => {
+		const instance = this;
 
-		return `${sign}${HH}:${mm}`;
+		return `formsmd:${instance.getIdPrefix()}${window.location.hostname}${window.location.pathname}`;
 	};
 
 	/**
-	 * Execute Google reCAPTCHA v3 validation.
+	 * Called when a submission is queued to be retried later. This function
+	 * can be overridden to do something when that happens, for example, let
+	 * the user know that their response will be sent once they are online.
 	 *
-	 * @returns {Promise<string>} The Google reCAPTCHA token
+	 * @param {Object} submission
 	 */
-	executeRecaptcha = () => {
-		const instance = this;
-
-		return new Promise((resolve) => {
-			if (!instance.options.recaptcha.siteKey) {
-				resolve("");
-				return;
-			}
+	onSubmissionQueued = (submission) => {};
 
-			if (!window.grecaptcha) {
-				console.error("CAPTCHA not loaded. Please try again.");
-				resolve("");
-				return;
-			}
+	/**
+	 * Persist a failed submission in the offline queue (IndexedDB), together
+	 * with its response id and files, and schedule a retry. If the submission
+	 * cannot be queued, the failed result is returned as is.
+	 *
+	 * @param {string} url
+	 * @param {FormData|Object} body
+	 * @param {boolean} end
+	 * @param {Object} [headers] Default is the POST headers from the options
+	 * @returns {Promise<{ok: boolean, json: Object, queued?: boolean}>}
+	 */
+	queueSubmission = (url, body, end, headers) => {
+		const instance = this;
 
-			window.grecaptcha.ready(() => {
-				window.grecaptcha
-					.execute(instance.options.recaptcha.siteKey, {
-						action: instance.options.recaptcha.action,
-					})
-					.then((token) => resolve(token))
-					.catch((error) => {
-						console.error("CAPTCHA execution error:", error);
-						resolve("");
-					});
+		const now = Date.now();
+		const submission = {
+			queueKey: instance.getSubmissionQueueKey(),
+			url: url,
+			headers: headers || instance.options.postHeaders,
+			rid: "",
+			end: end ? true : false,
+			queuedAt: now,
+			attempts: 0,
+			nextAttemptAt: now + getRetryDelay(0),
+		};
+		// The reCAPTCHA token expires, so a new one is added on retry
+		if (body instanceof FormData) {
+			submission.rid = body.get("_rid");
+			submission.entries = formDataToEntries(body, ["_captcha"]);
+		} else {
+			submission.rid = body.meta.rid;
+			submission.json = { ...body, meta: { ...body.meta } };
+			delete submission.json.meta.captcha;
+		}
+		return addQueuedSubmission(submission)
+			.then((id) => {
+				submission.id = id;
+				instance.onSubmissionQueued(submission);
+				instance.scheduleSubmissionsRetry(getRetryDelay(0));
+				return { ok: true, json: {}, queued: true };
+			})
+			.catch((error) => {
+				console.error(error);
+				return { ok: false, json: {} };
 			});
-		});
 	};
 
 	/**
-	 * Convert a file to base64
+	 * Get the queued submissions of the page/form, i.e., the ones that are
+	 * yet to be sent successfully.
 	 *
-	 * @param {File} file
-	 * @returns {Promise<string>}
+	 * @returns {Promise<Array.<Object>>}
 	 */
-	fileToBase64 = (file) => {
-		return new Promise((resolve, reject) => {
-			const reader = new FileReader();
-			reader.readAsDataURL(file);
-			reader.onload = () => resolve(reader.result.split(",")[1]);
-			reader.onerror = (error) => reject(error);
-		});
+	getPendingSubmissions = () => {
+		const instance = this;
+
+		return getQueuedSubmissions(instance.getSubmissionQueueKey()).catch(
+			(error) => {
+				console.error(error);
+				return [];
+			},
+		);
 	};
 
 	/**
-	 * POST form data.
+	 * Remove the queued submissions of a response that are superseded by a
+	 * newer one for the same URL, i.e., the one being sent (or queued) now.
+	 * Otherwise, a stale submission could be sent after the newer one once
+	 * back online, and overwrite it (the responses are upserted by "_rid").
 	 *
-	 * @param {boolean} postCondition
-	 * @param {boolean} end
-	 * @returns {Promise<{ok: boolean, json: Object}>}
+	 * @param {string} url
+	 * @param {string} rid
+	 * @returns {Promise<void>}
 	 */
-	postFormData = (postCondition, end) => {
+	removeSupersededSubmissions = (url, rid) => {
 		const instance = this;
 
-		// If the post condition is false, return resolved promise
-		if (!postCondition) {
-			return Promise.resolve({ ok: true, json: {} }).then((result) => {
-				return result;
-			});
+		if (!instance.options.offlineQueue) {
+			return Promise.resolve();
 		}
-
-		// If the page is a file, return resolved promise
-		// This way, the form can continue working (useful when drafting)
-		if (window.location.protocol === "file:") {
-			console.warn("Form data not sent: HTML page is a file (CORS issue).");
-			return Promise.resolve({ ok: true, json: {} }).then((result) => {
-				return result;
+		return instance
+			.getPendingSubmissions()
+			.then((submissions) =>
+				Promise.all(
+					submissions
+						.filter(
+							(submission) => submission.url === url && submission.rid === rid,
+						)
+						.map((submission) => removeQueuedSubmission(submission.id)),
+				),
+			)
+			.then(() => {})
+			.catch((error) => {
+				console.error(error);
 			});
-		}
+	};
 
-		// POST url not provided in settings (return resolved promise)
-		// True is returned with a console warning
-		// Again, this way, the form can continue working (useful when drafting)
-		if (instance.state.settings["post-url"] === undefined) {
-			console.warn('Form data not sent: "post-url" setting not found.');
-			return Promise.resolve({ ok: true, json: {} }).then((result) => {
-				return result;
-			});
-		}
+	/**
+	 * Schedule a retry of the queued submissions, replacing the one that is
+	 * already scheduled (if any).
+	 *
+	 * @param {number} delay
+	 */
+	scheduleSubmissionsRetry = (delay) => {
+		const instance = this;
 
-		// Create the form data to send
-		const formData = new FormData();
+		clearTimeout(instance.submissionQueueTimeout);
+		instance.submissionQueueTimeout = setTimeout(() => {
+			instance.submissionQueueTimeout = null;
+			instance.retryPendingSubmissions();
+		}, delay);
+	};
 
-		// Set the POST data from the options
-		for (const [key, value] of Object.entries(instance.options.postData)) {
-			formData.append(key, value);
-		}
+	/**
+	 * Retry the queued submissions that are due, oldest first. Submissions
+	 * that are sent, or rejected by the server (4xx), are removed from the
+	 * queue. The rest are retried later with exponential backoff.
+	 *
+	 * @param {boolean} [force] Whether to retry all queued submissions, including the ones that are not due yet, e.g., when back online
+	 * @returns {Promise<number>} The number of submissions still in the queue
+	 */
+	retryPendingSubmissions = (force) => {
+		const instance = this;
 
-		// Set the form data from the state
-		// Make sure to add the user timezone offset to the local datetime inputs
-		let timezoneOffset = "";
-		try {
-			timezoneOffset = instance.convertTimezoneOffset(
-				new Date().getTimezoneOffset(),
-			);
-		} catch (error) {
-			console.error(error);
-		}
-		for (const [key, value] of Object.entries(instance.state.formData)) {
-			if (instance.state.fieldTypes[key] === "datetime-local") {
-				formData.append(key, `${value}${timezoneOffset}`);
-			} else {
-				formData.append(key, value);
+		if (instance.isRetryingSubmissions) {
+			return Promise.resolve(-1);
+		}
+		instance.isRetryingSubmissions = true;
+
+		const retry = async () => {
+			const submissions = await instance.getPendingSubmissions();
+			let remaining = 0;
+			let nextAttemptAt = Infinity;
+			for (const [index, submission] of submissions.entries()) {
+				// Only the newest submission of a response is sent
+				const isSuperseded = submissions
+					.slice(index + 1)
+					.some(
+						(newerSubmission) =>
+							newerSubmission.url === submission.url &&
+							newerSubmission.rid === submission.rid,
+					);
+				if (isSuperseded) {
+					await removeQueuedSubmission(submission.id);
+					continue;
+				}
+				if (!force && submission.nextAttemptAt > Date.now()) {
+					remaining++;
+					nextAttemptAt = Math.min(nextAttemptAt, submission.nextAttemptAt);
+					continue;
+				}
+				const body = await instance.addRecaptchaToken(
+					submission.json
+						? { ...submission.json, meta: { ...submission.json.meta } }
+						: entriesToFormData(submission.entries),
+				);
+				const result = await instance.sendFormData(
+					submission.url,
+					body,
+					submission.headers,
+				);
+				if (result.status !== 0 && result.status < 500) {
+					if (!result.ok) {
+						console.warn(
+							`[DATA] Queued submission "${submission.rid}" was rejected (${result.status}) and removed from the queue.`,
+						);
+					}
+					await removeQueuedSubmission(submission.id);
+				} else {
+					submission.attempts++;
+					submission.nextAttemptAt =
+						Date.now() + getRetryDelay(submission.attempts);
+					await updateQueuedSubmission(submission);
+					remaining++;
+					nextAttemptAt = Math.min(nextAttemptAt, submission.nextAttemptAt);
+				}
 			}
-		}
+			if (remaining > 0) {
+				instance.scheduleSubmissionsRetry(
+					Math.max(nextAttemptAt - Date.now(), 0),
+				);
+			}
+			return remaining;
+		};
 
-		// Add the password inputs (these are not in the state)
-		instance.container
-			.querySelectorAll('.fmd-form-password-input[type="password"]')
-			.forEach((input) => {
-				formData.append(input.getAttribute("name"), input.value);
+		return retry()
+			.catch((error) => {
+				console.error(error);
+				return -1;
+			})
+			.finally(() => {
+				instance.isRetryingSubmissions = false;
 			});
+	};
 
-		// Process files - either append directly or convert to base64
-		const processFiles = async () => {
-			const _fileFields = [];
-			const fileInputs = instance.container.querySelectorAll(
-				'.fmd-form-file-input[type="file"]',
-			);
+	/**
+	 * Retry all queued submissions when the browser is back online.
+	 */
+	windowOnOnline = () => {
+		const instance = this;
 
-			for (const input of fileInputs) {
-				const name = input.getAttribute("name");
-				const file = input.files[0];
+		instance.retryPendingSubmissions(true);
+	};
 
-				if (file) {
-					if (instance.options.sendFilesAsBase64) {
-						try {
-							const base64String = await instance.fileToBase64(file);
-							formData.append(name, base64String);
-							formData.append(`${name}Filename`, file.name);
-							formData.append(`${name}Type`, file.type);
-						} catch (error) {
-							console.error(`Error converting file to base64: ${error}`);
-							formData.append(name, file);
-						}
-					} else {
-						formData.append(name, file);
-					}
-					_fileFields.push(name);
-				}
-			}
+	/**
+	 * Validate the logic of the template, i.e., parse the jump conditions of
+	 * the slides without evaluating them. Useful for checking a form's
+	 * branching before shipping it.
+	 *
+	 * @returns {{valid: boolean, errors: Array.<{slide: number, condition: string, message: string}>}}
+	 * whether the logic is valid, and the errors (slide numbers start from 1)
+	 */
+	validateLogic = () => {
+		const instance = this;
 
-			if (_fileFields.length > 0) {
-				formData.append("_fileFields", _fileFields.toString());
-			}
+		// Remove the data-blocks, so only the slides are left
+		const { template, slideDelimiter } = instance.getLogicTemplate();
+		const errors = validateSlidesLogic(
+			parseDataBlocks(template).template,
+			slideDelimiter,
+		);
+		return {
+			valid: errors.length === 0,
+			errors: errors,
 		};
+	};
 
-		// Add the current file clear checks (these are not in the state)
-		instance.container
-			.querySelectorAll('.fmd-form-file-clear-check-input[type="checkbox"]')
-			.forEach((input) => {
-				const name = input.getAttribute("name");
-				formData.append(name, input.checked);
-			});
+	/**
+	 * Get the directed graph of the slides and the jump conditions between
+	 * them, along with the unreachable slides, dead ends, and names used in
+	 * jump conditions that are not defined before (see `createLogicGraph`).
+	 * The graph can be exported as JSON as is, or as Mermaid using
+	 * `getLogicGraphMermaid`.
+	 *
+	 * @returns {ReturnType<typeof createLogicGraph>}
+	 */
+	getLogicGraph = () => {
+		const instance = this;
 
-		// Set the extra fields
-		formData.append("_end", end ? end : "");
-		formData.append("_rid", instance.getOrCreateResponseId());
-		formData.append(
-			"_sheetName",
-			instance.state.settings["post-sheet-name"] || "",
-		);
-		formData.append("_submitted", new Date().toUTCString());
+		const { template, slideDelimiter } = instance.getLogicTemplate();
+		return createLogicGraph(template, slideDelimiter);
+	};
 
-		// Process all files first
-		return processFiles().then(() => {
-			// Get and use reCAPTCHA token if site key provided
-			if (instance.options.recaptcha.siteKey) {
-				return instance.executeRecaptcha().then((token) => {
-					formData.append("_captcha", token);
-					return fetch(instance.state.settings["post-url"], {
-						method: "POST",
-						headers: instance.options.postHeaders,
-						body: formData,
-					})
-						.then((response) =>
-							response
-								.json()
-								.then((json) => {
-									return { ok: response.ok, json: json };
-								})
-								.catch((error) => {
-									console.error(error);
-									return { ok: response.ok, json: {} };
-								}),
-						)
-						.catch((error) => {
-							console.error(error);
-							return { ok: false, json: {} };
-						});
-				});
-			}
+	/**
+	 * Get the logic graph (see `getLogicGraph`) as a Mermaid flowchart.
+	 *
+	 * @returns {string}
+	 */
+	getLogicGraphMermaid = () => {
+		const instance = this;
 
-			// No reCAPTCHA needed, just send the form data
-			return fetch(instance.state.settings["post-url"], {
-				method: "POST",
-				headers: instance.options.postHeaders,
-				body: formData,
-			})
-				.then((response) =>
-					response
-						.json()
-						.then((json) => {
-							return { ok: response.ok, json: json };
-						})
-						.catch((error) => {
-							console.error(error);
-							return { ok: response.ok, json: {} };
-						}),
-				)
-				.catch((error) => {
-					console.error(error);
-					return { ok: false, json: {} };
-				});
-		});
+		return logicGraphToMermaid(instance.getLogicGraph());
+	};
+
+	/**
+	 * Get the template without the settings, and the slide delimiter. Used for
+	 * checking the logic of the template.
+	 *
+	 * @returns {{template: string, slideDelimiter: string}}
+	 */
+	getLogicTemplate = () => {
+		const instance = this;
+
+		const parsedTemplateAndSettings = parseSettings(instance._template);
+		const settings = {
+			...getDefaultSettings(),
+			...parsedTemplateAndSettings.settings,
+		};
+		return {
+			template: parsedTemplateAndSettings.template,
+			slideDelimiter: settings["slide-delimiter"],
+		};
 	};
 
 	/**
@@ -2100,16 +6547,19 @@ class Formsmd {
 				break;
 			}
 
-			// Use Nunjucks to check jump condition
-			nunjucks.configure({ autoescape: false });
-			const jumpCondition = nunjucks.renderString(
-				`{% if ${slide.getAttribute("data-fmd-jump")} %}true{% endif %}`,
-				{
+			// Check the jump condition (not valid conditions are never met)
+			let jumpCondition = false;
+			try {
+				jumpCondition = evaluateCondition(slide.getAttribute("data-fmd-jump"), {
 					...instance.state.data,
 					...instance.state.formData,
-				},
-			);
-			if (jumpCondition === "true") {
+				});
+			} catch (error) {
+				console.warn(
+					`[SLIDES] Slide ${i + 1}: "-> ${slide.getAttribute("data-fmd-jump")}" is not a valid jump condition (${error.message})`,
+				);
+			}
+			if (jumpCondition) {
 				prevSlide = slide;
 				prevSlideIndex = i;
 				break;
@@ -2519,7 +6969,9 @@ class Formsmd {
 			questionId = originalQuestion.questionId;
 		} else {
 			// Find the current question ID from the slide
-			const formField = activeSlide.querySelector("[data-fmd-name]");
+			const formField = activeSlide.querySelector(
+				'[data-fmd-name]:not([data-fmd-type="hidden"])',
+			);
 			if (!formField) {
 				console.log("🔍 DEBUG: No form field found with data-fmd-name");
 				return null;
@@ -2583,6 +7035,12 @@ class Formsmd {
 			if (fieldType === "num-radio") {
 				return "rating_input";
 			}
+			if (fieldType === "matrix") {
+				return "matrix_input";
+			}
+			if (fieldType === "ranking") {
+				return "ranking_input";
+			}
 		}
 
 		// Look for individual input elements
@@ -2611,6 +7069,9 @@ class Formsmd {
 			if (inputType === "number") {
 				return "number_input";
 			}
+			if (inputType === "range") {
+				return "slider_input";
+			}
 			if (inputType === "tel") {
 				return "text_input";
 			}
@@ -2690,6 +7151,12 @@ class Formsmd {
 				return this.extractDateTimeInputValue(activeSlide, questionId);
 			case "file_input":
 				return this.extractFileInputValue(activeSlide, questionId);
+			case "matrix_input":
+				return this.extractMatrixInputValue(activeSlide, questionId);
+			case "ranking_input":
+				return this.extractRankingInputValue(activeSlide, questionId);
+			case "slider_input":
+				return this.extractSliderInputValue(activeSlide, questionId);
 			default:
 				return this.extractTextInputValue(activeSlide, questionId);
 		}
@@ -2733,6 +7200,48 @@ class Formsmd {
 		}
 	};
 
+	/**
+	 * Extract value from matrix input
+	 *
+	 * @param {HTMLElement} activeSlide - The current active slide
+	 * @param {string} questionId - The question ID
+	 * @returns {Object} Extracted value (one entry per row)
+	 */
+	extractMatrixInputValue = (activeSlide, questionId) => {
+		const formField = activeSlide.querySelector(
+			`.fmd-form-field[data-fmd-type="matrix"][data-fmd-name="${questionId}"]`,
+		);
+		return formField ? this.getMatrixValue(formField) : {};
+	};
+
+	/**
+	 * Extract value from slider input
+	 *
+	 * @param {HTMLElement} activeSlide - The current active slide
+	 * @param {string} questionId - The question ID
+	 * @returns {number|Array|null} Extracted value (`[low, high]` in range mode)
+	 */
+	extractSliderInputValue = (activeSlide, questionId) => {
+		const formField = activeSlide.querySelector(
+			`.fmd-form-field[data-fmd-type="slider"][data-fmd-name="${questionId}"]`,
+		);
+		return formField ? this.getSliderValue(formField) : null;
+	};
+
+	/**
+	 * Extract value from ranking input
+	 *
+	 * @param {HTMLElement} activeSlide - The current active slide
+	 * @param {string} questionId - The question ID
+	 * @returns {Array} Extracted value (ordered choice values)
+	 */
+	extractRankingInputValue = (activeSlide, questionId) => {
+		const formField = activeSlide.querySelector(
+			`.fmd-form-field[data-fmd-type="ranking"][data-fmd-name="${questionId}"]`,
+		);
+		return formField ? this.getRankingValue(formField) : [];
+	};
+
 	/**
 	 * Extract value from text input
 	 *
@@ -2839,8 +7348,11 @@ class Formsmd {
 	 */
 	extractFileInputValue = (activeSlide, questionId) => {
 		const input = activeSlide.querySelector(`input[name="${questionId}"]`);
-		if (input && input.files && input.files.length > 0) {
-			return input.files[0].name; // Return filename for now
+		if (input) {
+			// Return filenames for now
+			return this.getFileFieldFiles(input.closest(".fmd-form-field"))
+				.map((file) => file.name)
+				.join(", ");
 		}
 		return "";
 	};
@@ -3433,6 +7945,13 @@ class Formsmd {
 		// var nunjucks = require("nunjucks");
 
 		// Extract settings from question data
+		// The title and content are rendered with the data and the form data, so
+		// that they can use the quiz score, e.g., `{{ _score }}`
+		nunjucks.configure({ autoescape: false });
+		const context = {
+			...instance.state.data,
+			...instance.state.formData,
+		};
 		const title = question?.question || question?.title;
 		const content = question?.content || question?.description;
 		const buttonText =
@@ -3508,18 +8027,18 @@ class Formsmd {
 		// Use Nunjucks to render the template
 		nunjucks.configure({ autoescape: false });
 		return nunjucks.renderString(endSlideTemplate, {
-			title:
-				title ||
-				getTranslation(
-					instance.state.settings.localization,
-					"form-submitted-title",
-				),
-			content:
-				content ||
-				getTranslation(
-					instance.state.settings.localization,
-					"form-submitted-subtitle",
-				),
+			title: title
+				? nunjucks.renderString(title, context)
+				: getTranslation(
+						instance.state.settings.localization,
+						"form-submitted-title",
+					),
+			content: content
+				? nunjucks.renderString(content, context)
+				: getTranslation(
+						instance.state.settings.localization,
+						"form-submitted-subtitle",
+					),
 			buttonText: finalButtonText,
 			alignment: alignment,
 			redirectUrl: finalRedirectUrl,
@@ -3606,8 +8125,17 @@ class Formsmd {
 		const instance = this;
 
 		// Process markdown content
+		// The bind <span> elements are filled with the current values first, so
+		// that the piped form fields are created using them
 		slideElement.querySelectorAll("markdown").forEach((markdownElement) => {
-			const content = markdownElement.innerHTML;
+			const content = fillBindSpans(
+				markdownElement.innerHTML,
+				{
+					...instance.state.data,
+					...instance.state.formData,
+				},
+				instance.state.settings["form-delimiter"],
+			);
 
 			// Parse markdown
 			marked.use({
@@ -3673,6 +8201,101 @@ class Formsmd {
 		}
 	};
 
+	/**
+	 * Whether the analytics of the response are recorded, i.e., the endpoint,
+	 * the callback, or the timings of the final submission are set. Only the
+	 * markdown-driven mode is supported.
+	 *
+	 * @returns {boolean}
+	 */
+	isAnalyticsEnabled = () => {
+		const instance = this;
+
+		const analytics = instance.options.analytics;
+		return (
+			!instance.options.isApiDriven &&
+			(analytics.url !== "" ||
+				analytics.callback !== null ||
+				analytics.attachTimings)
+		);
+	};
+
+	/**
+	 * Get the analytics of the current response, creating them if needed.
+	 *
+	 * @returns {Object}
+	 */
+	getAnalytics = () => {
+		const instance = this;
+
+		if (!instance.analytics) {
+			instance.analytics = createAnalytics(instance.getOrCreateResponseId());
+		}
+		return instance.analytics;
+	};
+
+	/**
+	 * Send the analytics of the response to the callback and the endpoint. The
+	 * endpoint receives them using `navigator.sendBeacon` (or a `keepalive`
+	 * request), so that they are sent even when the page is being closed.
+	 *
+	 * @param {"abandon"|"complete"} type
+	 */
+	sendAnalytics = (type) => {
+		const instance = this;
+
+		const { url, callback } = instance.options.analytics;
+		const payload = createAnalyticsPayload(instance.getAnalytics(), type);
+		if (callback) {
+			try {
+				callback(payload);
+			} catch (error) {
+				console.error(error);
+			}
+		}
+		if (url) {
+			const body = JSON.stringify(payload);
+			let sent = false;
+			if (typeof navigator.sendBeacon === "function") {
+				sent = navigator.sendBeacon(url, body);
+			}
+			if (!sent) {
+				fetch(url, { method: "POST", body: body, keepalive: true }).catch(
+					(error) => {
+						console.error(error);
+					},
+				);
+			}
+		}
+	};
+
+	/**
+	 * Send the analytics when the page is hidden or closed before the form is
+	 * completed, i.e., the form is (possibly) abandoned. The open slide is
+	 * exited, and entered again once the page is visible, so that the time the
+	 * page is hidden does not count.
+	 *
+	 * @param {Event} e
+	 */
+	handleAnalyticsVisibility = (e) => {
+		const instance = this;
+
+		if (!instance.analytics || instance.analytics.completedAt !== null) {
+			return;
+		}
+		if (
+			e.type === "visibilitychange" &&
+			document.visibilityState === "visible"
+		) {
+			recordSlideEnter(
+				instance.analytics,
+				instance.state.slideData.currentIndex,
+			);
+		} else if (recordSlideExit(instance.analytics)) {
+			instance.sendAnalytics("abandon");
+		}
+	};
+
 	/**
 	 * When a new slide becomes active, do the following: update state, handle
 	 * page progress (if applicable), handle the display and state of the footer
@@ -3688,6 +8311,22 @@ class Formsmd {
 		// Update state
 		instance.state.slideData.currentIndex = index;
 
+		// Record the analytics (the end slide completes the response)
+		if (instance.isAnalyticsEnabled()) {
+			const analytics = instance.getAnalytics();
+			if (!slide.classList.contains("fmd-end-slide")) {
+				recordSlideEnter(analytics, index);
+			} else if (analytics.completedAt === null) {
+				recordCompletion(analytics);
+				instance.sendAnalytics("complete");
+			}
+		}
+		instance.emit("slidechange", {
+			slide: slide,
+			index: index,
+			fromInit: fromInit,
+		});
+
 		// Handle page progress (if applicable)
 		const pageProgress = instance.container.querySelector(".fmd-page-progress");
 		let slidePageProgress;
@@ -3767,7 +8406,7 @@ class Formsmd {
 			if (!fromInit || (fromInit && instance.options.isFullPage)) {
 				if (instance.state.settings.autofocus === "all-slides") {
 					const elemToAutofocus = slide.querySelector(
-						"input.fmd-form-str-input, textarea.fmd-form-str-input, input.fmd-form-num-input, select.fmd-form-str-select, input.fmd-form-str-check-input, input.fmd-form-num-check-input, input.fmd-form-datetime-input, input.fmd-form-file-input",
+						"input.fmd-form-str-input, textarea.fmd-form-str-input, input.fmd-form-num-input, select.fmd-form-str-select, input.fmd-form-combobox-input, input.fmd-form-str-check-input, input.fmd-form-num-check-input, input.fmd-form-slider-input, input.fmd-form-datetime-input, input.fmd-form-file-input",
 					);
 					if (elemToAutofocus) {
 						elemToAutofocus.focus();
@@ -3843,24 +8482,305 @@ class Formsmd {
 				setTimeout(function () {
 					rootElem.classList.remove("fmd-during-slide-transition");
 
-					// RESET BUTTON PROCESSING STATE AFTER TRANSITION COMPLETES
-					// This ensures the restored slide starts with clean, enabled buttons
-					instance.resetButtonProcessingState();
-				}, instance.getSlideTransitionDuration());
-			}, instance.getSlideTransitionDuration());
-		}, instance.getSlideTransitionDuration());
+					// RESET BUTTON PROCESSING STATE AFTER TRANSITION COMPLETES
+					// This ensures the restored slide starts with clean, enabled buttons
+					instance.resetButtonProcessingState();
+				}, instance.getSlideTransitionDuration());
+			}, instance.getSlideTransitionDuration());
+		}, instance.getSlideTransitionDuration());
+	};
+
+	/**
+	 * Disable all clicks. This is added when the slide transition starts, and
+	 * removed after the slide transition has ended (or if there is an error).
+	 *
+	 * @param {MouseEvent} e
+	 */
+	disableAllClicks = (e) => {
+		e.stopPropagation();
+		e.preventDefault();
+		return false;
+	};
+
+	/**
+	 * Get the values of all the form fields (copy of the form data in the
+	 * state).
+	 *
+	 * @returns {Object}
+	 */
+	getValues = () => {
+		const instance = this;
+
+		const values = {};
+		for (const [name, value] of Object.entries(instance.state.formData)) {
+			values[name] =
+				value !== null && typeof value === "object"
+					? JSON.parse(JSON.stringify(value))
+					: value;
+		}
+		return values;
+	};
+
+	/**
+	 * Set the value of a form field, the same way the user would: set value in
+	 * the DOM, update state, save value in local storage, remove errors, and
+	 * re-render the bind <div> and <span> elements. The value is expected to
+	 * be in the same format as `getValues`, e.g., array of strings for
+	 * checkboxes.
+	 *
+	 * @param {string} name
+	 * @param {*} value
+	 * @returns {boolean} whether the form field exists (and the value is set)
+	 */
+	setValue = (name, value) => {
+		const instance = this;
+
+		if (!instance.setFieldValue(name, value)) {
+			if (instance.state.fieldTypes[name] === undefined) {
+				console.warn(`[FORM-FIELDS] "${name}" is not a form field`);
+			} else {
+				console.warn(
+					`[FORM-FIELDS] "${name}": "${value}" is not a valid value`,
+				);
+			}
+			return false;
+		}
+		value = instance.state.formData[name];
+		if (instance.options.saveState) {
+			instance.saveFieldValue(name, value);
+		}
+		const formField = instance.container.querySelector(
+			`.fmd-form-field[data-fmd-name="${name}"]`,
+		);
+		if (formField) {
+			instance.removeFieldErrors(formField);
+
+			// Update the repeatable group the form field is in (if any)
+			const group = formField.closest(".fmd-repeat");
+			if (group) {
+				instance.updateRepeatGroup(group, true);
+			}
+		}
+		instance.emit("fieldchange", { name: name, value: value });
+		return true;
+	};
+
+	/**
+	 * Go to a slide directly, without validation, jump conditions, or sending
+	 * the form data. In API-driven mode, only the questions already answered
+	 * can be navigated to.
+	 *
+	 * @param {number|string} indexOrId Index of the slide (or question), or the
+	 * id of the slide element (or question)
+	 * @returns {Promise<boolean>} whether the slide exists
+	 */
+	goToSlide = (indexOrId) => {
+		const instance = this;
+
+		// API-driven mode: navigate to a question in the question path
+		const { lifecycle } = instance.state;
+		if (lifecycle.questionPath.length > 0) {
+			const index =
+				typeof indexOrId === "number"
+					? indexOrId
+					: lifecycle.questionPath.indexOf(indexOrId);
+			if (index < 0 || index >= lifecycle.questionPath.length) {
+				console.warn(`[SLIDES] "${indexOrId}" is not a valid slide`);
+				return Promise.resolve(false);
+			}
+			return instance.navigateToQuestion(index).then(() => true);
+		}
+
+		// Slides in the DOM
+		const slides = Array.from(
+			instance.container.querySelectorAll(".fmd-slide"),
+		);
+		const slide =
+			typeof indexOrId === "number"
+				? slides[indexOrId]
+				: slides.find((item) => item.id === indexOrId);
+		if (!slide) {
+			console.warn(`[SLIDES] "${indexOrId}" is not a valid slide`);
+			return Promise.resolve(false);
+		}
+		const activeSlide = instance.getActiveSlide();
+		if (slide !== activeSlide) {
+			const index = slides.indexOf(slide);
+			if (!activeSlide) {
+				instance.showSlide(slide);
+			} else {
+				if (index < slides.indexOf(activeSlide)) {
+					instance.fadeInPrevSlide(activeSlide, slide);
+				} else {
+					instance.fadeInNextSlide(activeSlide, slide);
+				}
+				instance.hasNewActiveSlide(slide, index, false);
+			}
+		}
+		return Promise.resolve(true);
+	};
+
+	/**
+	 * Go to the next slide, the same way the user would using the CTA button,
+	 * i.e., with validation.
+	 *
+	 * @returns {boolean} whether going to the next slide has started
+	 */
+	next = () => {
+		const instance = this;
+
+		const activeSlide = instance.getActiveSlide();
+		if (
+			!activeSlide ||
+			activeSlide.querySelector(".fmd-btn-processing") ||
+			activeSlide.classList.contains("fmd-end-slide")
+		) {
+			return false;
+		}
+
+		// Submit the <form> to make sure the browser validation is used as well
+		const submitBtn =
+			activeSlide.tagName === "FORM"
+				? activeSlide.querySelector(".fmd-submit-btn")
+				: null;
+		if (submitBtn) {
+			submitBtn.click();
+		} else {
+			instance.nextSlide(activeSlide);
+		}
+		return true;
+	};
+
+	/**
+	 * Go to the previous slide, the same way the user would using the footer
+	 * previous button.
+	 *
+	 * @returns {boolean} whether going to the previous slide has started
+	 */
+	prev = () => {
+		const instance = this;
+
+		const activeSlide = instance.getActiveSlide();
+		if (
+			!activeSlide ||
+			activeSlide.querySelector(".fmd-btn-processing") ||
+			activeSlide.classList.contains("fmd-first-slide")
+		) {
+			return false;
+		}
+		instance.prevSlide(activeSlide);
+		return true;
+	};
+
+	/**
+	 * Reset the form: remove the form data and response id (from local
+	 * storage), and initialize again from the first slide.
+	 */
+	reset = () => {
+		const instance = this;
+
+		instance.emit("restart", {});
+		instance.cancelPartialSubmission();
+		instance.removeSavedFormData();
+		instance.removeResponseId();
+		instance.listenersController.abort();
+		instance.listenersController = new AbortController();
+		instance._init(false);
+	};
+
+	/**
+	 * Destroy the instance: remove all the event listeners (DOM and lifecycle)
+	 * and timers, and empty the container (unless full page).
+	 */
+	destroy = () => {
+		const instance = this;
+
+		instance.listenersController.abort();
+		instance.listenersController = new AbortController();
+		window.removeEventListener("online", instance.windowOnOnline);
+		clearTimeout(instance.submissionQueueTimeout);
+		instance.submissionQueueTimeout = null;
+		instance.cancelPartialSubmission();
+		instance.eventListeners = {};
+		if (!instance.options.isFullPage) {
+			instance.container.innerHTML = "";
+		}
+	};
+
+	/**
+	 * Add a listener to a lifecycle event. The listener receives a
+	 * `CustomEvent`, with the data of the event in `detail`. The same events
+	 * are also dispatched on the container, prefixed with "fmd:", e.g.,
+	 * "fmd:slidechange".
+	 *
+	 * - `slidechange`: `{slide, index, fromInit}`
+	 * - `fieldchange`: `{name, value}`
+	 * - `validationerror`: `{form, fields}`
+	 * - `beforesubmit`: `{end, payload, transport, payloads, transports}`,
+	 *   once per submission, cancellable, and the payloads can be mutated
+	 *   (the payload is the one of the first transport)
+	 * - `submitsuccess` and `submiterror`: `{end, result}`
+	 * - `restart`: `{}`
+	 *
+	 * @param {string} type
+	 * @param {function(CustomEvent): void} listener
+	 */
+	on = (type, listener) => {
+		const instance = this;
+
+		if (!instance.eventListeners[type]) {
+			instance.eventListeners[type] = [];
+		}
+		instance.eventListeners[type].push(listener);
+	};
+
+	/**
+	 * Remove a listener from a lifecycle event. If no listener is provided,
+	 * all the listeners of the event are removed.
+	 *
+	 * @param {string} type
+	 * @param {function(CustomEvent): void} [listener]
+	 */
+	off = (type, listener) => {
+		const instance = this;
+
+		if (!instance.eventListeners[type]) {
+			return;
+		}
+		if (listener === undefined) {
+			delete instance.eventListeners[type];
+		} else {
+			instance.eventListeners[type] = instance.eventListeners[type].filter(
+				(eventListener) => eventListener !== listener,
+			);
+		}
 	};
 
 	/**
-	 * Disable all clicks. This is added when the slide transition starts, and
-	 * removed after the slide transition has ended (or if there is an error).
+	 * Emit a lifecycle event: call the listeners, and dispatch the event on the
+	 * container. Only the "beforesubmit" event is cancellable.
 	 *
-	 * @param {MouseEvent} e
+	 * @param {string} type
+	 * @param {Object} detail
+	 * @returns {boolean} `false` if the event is cancelled, otherwise `true`
 	 */
-	disableAllClicks = (e) => {
-		e.stopPropagation();
-		e.preventDefault();
-		return false;
+	emit = (type, detail) => {
+		const instance = this;
+
+		const event = new CustomEvent(`fmd:${type}`, {
+			detail: detail,
+			bubbles: true,
+			cancelable: type === "beforesubmit",
+		});
+		for (const listener of instance.eventListeners[type] || []) {
+			try {
+				listener(event);
+			} catch (error) {
+				console.error(error);
+			}
+		}
+		instance.container.dispatchEvent(event);
+		return !event.defaultPrevented;
 	};
 
 	/**
@@ -3934,8 +8854,12 @@ class Formsmd {
 
 		// Validate form (if active slide is <form> element)
 		if (activeSlide.tagName === "FORM") {
-			// Form is not valid
-			if (!instance.formValid(activeSlide)) {
+			// Form is not valid, or the quiz feedback is shown first (the next
+			// click goes on to the next slide)
+			if (
+				!instance.formValid(activeSlide) ||
+				instance.showQuizFeedback(activeSlide)
+			) {
 				// Remove all buttons from their processing states
 				instance.container
 					.querySelectorAll(".fmd-btn-processing")
@@ -4159,11 +9083,26 @@ class Formsmd {
 		}
 
 		// Traditional mode - POST form data
+		// The partial response that is scheduled (or in flight) is not needed
+		// anymore (it is sent again after the next slide, unless the response
+		// is sent now)
+		instance.cancelPartialSubmission();
 		const postCondition =
 			instance.state.settings.page === "form-slides" &&
 			(activeSlide.hasAttribute("data-fmd-post") || nextSlideData.isEndSlide)
 				? true
 				: false;
+		const ctaBtn =
+			activeSlide.querySelector(".fmd-submit-btn") ||
+			activeSlide.querySelector(".fmd-next-btn");
+		const removeAllBtnProcessing = () => {
+			instance.container
+				.querySelectorAll(".fmd-btn-processing")
+				.forEach((btn) => {
+					instance.removeBtnProcessing(btn);
+				});
+			rootElem.removeEventListener("click", instance.disableAllClicks, true);
+		};
 		instance
 			.postFormData(postCondition, nextSlideData.isEndSlide)
 			.then((promiseResult) => {
@@ -4190,6 +9129,17 @@ class Formsmd {
 						nextSlideData.progress?.currentQuestion || 1,
 						false,
 					);
+
+					// Send the partial response in the background (unless it is
+					// already sent)
+					if (!postCondition) {
+						instance.postPartialFormData();
+					}
+				}
+				// Cancelled by a "beforesubmit" listener (no error is shown)
+				else if (promiseResult.cancelled) {
+					removeAllBtnProcessing();
+					return;
 				}
 				// Error
 				else {
@@ -4201,6 +9151,7 @@ class Formsmd {
 						console.error(error);
 					}
 					instance.addSlideError(activeSlide, ctaBtn, errorMessages);
+					removeAllBtnProcessing();
 				}
 
 				// Button processing state is now reset in fadeInNextSlide after transition completes
@@ -4210,6 +9161,11 @@ class Formsmd {
 						instance.onCompletion(promiseResult.json);
 					}, instance.getSlideTransitionDuration() * 3);
 				}
+			})
+			.catch((error) => {
+				console.error(error);
+				instance.addSlideError(activeSlide, ctaBtn, []);
+				removeAllBtnProcessing();
 			});
 	};
 
@@ -4304,6 +9260,230 @@ class Formsmd {
 		}, 2000);
 	};
 
+	/**
+	 * Shuffle the items (options or choices) of a form field, except the
+	 * pinned ones. The seed is the response id along with the name, so the
+	 * order stays the same on reload, and it can be reproduced using the
+	 * submitted "_rid".
+	 *
+	 * @param {HTMLElement} formField
+	 * @param {Array} items
+	 * @param {(item: *) => string} getValue
+	 * @returns {Array} shuffled copy of the items
+	 */
+	shuffleFieldItems = (formField, items, getValue) => {
+		const instance = this;
+
+		const pinned = JSON.parse(formField.getAttribute("data-fmd-pin") || "[]");
+		return shuffleWithSeed(
+			items,
+			`${instance.getOrCreateResponseId()}:${formField.getAttribute("data-fmd-name")}`,
+			getValue,
+			(item) => pinned.includes(getValue(item)),
+		);
+	};
+
+	/**
+	 * Shuffle the choices and the <select> options of the form fields (with
+	 * the `shuffle` param) inside the container. The order only depends on the
+	 * seed and the values, so shuffling again does not change it.
+	 *
+	 * @param {HTMLElement} container
+	 */
+	shuffleOptions = (container) => {
+		const instance = this;
+
+		const formFields = [
+			...container.querySelectorAll(".fmd-form-field[data-fmd-shuffle]"),
+		];
+		if (container.matches(".fmd-form-field[data-fmd-shuffle]")) {
+			formFields.push(container);
+		}
+		formFields.forEach((formField) => {
+			// Choices
+			const grid = formField.querySelector(".fmd-check-grid");
+			if (grid) {
+				instance
+					.shuffleFieldItems(
+						formField,
+						[...grid.querySelectorAll(":scope > .fmd-form-check")],
+						(check) => check.querySelector(".fmd-form-str-check-input").value,
+					)
+					.forEach((check) => {
+						grid.appendChild(check);
+					});
+			}
+
+			// Options (the placeholder option stays on top)
+			const select = formField.querySelector(".fmd-form-str-select");
+			if (select) {
+				instance
+					.shuffleFieldItems(
+						formField,
+						[...select.querySelectorAll("option:not(:first-child)")],
+						(option) => option.value,
+					)
+					.forEach((option) => {
+						select.appendChild(option);
+					});
+			}
+		});
+	};
+
+	/**
+	 * Add the letter badges of the keyboard shortcuts to the choices (if the
+	 * keyboard shortcuts are used). Only the first 26 choices get a letter.
+	 *
+	 * @param {HTMLElement} container
+	 */
+	addChoiceKeyBadges = (container) => {
+		const instance = this;
+
+		if (!instance.options.keyboardShortcuts) {
+			return;
+		}
+		container
+			.querySelectorAll(
+				'.fmd-form-field[data-fmd-type="radio"], .fmd-form-field[data-fmd-type="checkbox"]',
+			)
+			.forEach((formField) => {
+				formField
+					.querySelectorAll(".fmd-check-grid .fmd-form-check-label")
+					.forEach((label, index) => {
+						if (index >= 26 || label.querySelector(".fmd-form-check-key")) {
+							return;
+						}
+						const badge = document.createElement("kbd");
+						badge.className = "fmd-form-check-key";
+						badge.setAttribute("aria-hidden", "true");
+						badge.textContent = String.fromCharCode(65 + index);
+						const frame = label.querySelector(".fmd-form-check-frame");
+						label.insertBefore(
+							badge,
+							frame ? frame.nextSibling : label.firstChild,
+						);
+					});
+			});
+	};
+
+	/**
+	 * Get the form field (matching the selector) that the keyboard shortcuts
+	 * of the active slide apply to: the one with the focus, or else the only
+	 * one on the slide.
+	 *
+	 * @param {HTMLElement} activeSlide
+	 * @param {string} selector
+	 * @returns {HTMLElement|null}
+	 */
+	getShortcutFormField = (activeSlide, selector) => {
+		const focusedFormField = document.activeElement
+			? document.activeElement.closest(selector)
+			: null;
+		if (focusedFormField && activeSlide.contains(focusedFormField)) {
+			return focusedFormField;
+		}
+		const formFields = activeSlide.querySelectorAll(selector);
+		return formFields.length === 1 ? formFields[0] : null;
+	};
+
+	/**
+	 * Handle the keyboard shortcuts on the active slide: letters pick a choice,
+	 * digits pick a rating or opinion scale value, Enter (or Cmd/Ctrl + Enter
+	 * from anywhere) goes to the next slide, and Esc (when not typing) or
+	 * Shift + Tab (when nothing on the slide has the focus) goes to the
+	 * previous slide. Keys that are already handled, e.g., by a combobox, are
+	 * skipped.
+	 *
+	 * @param {KeyboardEvent} e
+	 */
+	shortcutsOnKeydown = (e) => {
+		const instance = this;
+
+		const activeSlide = instance.getActiveSlide();
+		if (e.defaultPrevented || e.isComposing || !activeSlide) {
+			return;
+		}
+		const target = e.target instanceof Element ? e.target : null;
+		const isCheckInput =
+			target !== null &&
+			target.matches('input[type="radio"], input[type="checkbox"]');
+		const isTyping =
+			target !== null &&
+			!isCheckInput &&
+			target.closest(
+				'input:not([type="range"]), textarea, select, [contenteditable]',
+			) !== null;
+
+		// Next slide
+		if (e.key === "Enter") {
+			if (
+				e.metaKey ||
+				e.ctrlKey ||
+				(!e.shiftKey &&
+					!e.altKey &&
+					(isCheckInput ||
+						target === null ||
+						!target.closest("input, textarea, select, button, a")))
+			) {
+				e.preventDefault();
+				instance.next();
+			}
+			return;
+		}
+
+		// Previous slide (Esc is left alone while typing)
+		if (e.key === "Escape") {
+			if (!isTyping) {
+				e.preventDefault();
+				instance.prev();
+			}
+			return;
+		}
+		if (
+			e.key === "Tab" &&
+			e.shiftKey &&
+			(document.activeElement === document.body ||
+				(document.activeElement.closest(".fmd-slide") !== null &&
+					!activeSlide.contains(document.activeElement)))
+		) {
+			e.preventDefault();
+			instance.prev();
+			return;
+		}
+
+		// Choices and ratings (not while typing)
+		if (isTyping || e.metaKey || e.ctrlKey || e.altKey) {
+			return;
+		}
+		let input = null;
+		if (/^[a-z]$/i.test(e.key)) {
+			const formField = instance.getShortcutFormField(
+				activeSlide,
+				'.fmd-form-field[data-fmd-type="radio"], .fmd-form-field[data-fmd-type="checkbox"]',
+			);
+			if (formField) {
+				input = formField.querySelectorAll(".fmd-form-str-check-input")[
+					e.key.toUpperCase().charCodeAt(0) - 65
+				];
+			}
+		} else if (/^[0-9]$/.test(e.key)) {
+			const formField = instance.getShortcutFormField(
+				activeSlide,
+				'.fmd-form-field[data-fmd-type="num-radio"]',
+			);
+			if (formField) {
+				input = formField.querySelector(
+					`.fmd-form-num-check-input[value="${e.key}"]`,
+				);
+			}
+		}
+		if (input && !input.disabled) {
+			e.preventDefault();
+			input.click();
+			input.focus();
+		}
+	};
+
 	/**
 	 * Add all the event listeners.
 	 *
@@ -4313,12 +9493,32 @@ class Formsmd {
 	addEventListeners = (container, fromInit) => {
 		const instance = this;
 
+		// All the listeners are removed when the instance is destroyed
+		const listenerOptions = { signal: instance.listenersController.signal };
+
 		console.log(
 			"🔘 DEBUG: addEventListeners called with container:",
 			container,
 		);
 
+		// Shuffled options, then the letter badges of the keyboard shortcuts
+		instance.shuffleOptions(container);
+		instance.addChoiceKeyBadges(container);
+
 		if (fromInit) {
+			// Keyboard shortcuts on the active slide
+			// The whole page is used for full page, or else only the container
+			if (instance.options.keyboardShortcuts) {
+				(instance.options.isFullPage
+					? document
+					: instance.container
+				).addEventListener(
+					"keydown",
+					instance.shortcutsOnKeydown,
+					listenerOptions,
+				);
+			}
+
 			// Blur header when scrolling over content
 			// This is done only for full page (header is always blurred inline)
 			const header = instance.container.querySelector(".fmd-header");
@@ -4336,7 +9536,7 @@ class Formsmd {
 							header.classList.remove("fmd-header-bg-blur");
 						}
 					},
-					false,
+					listenerOptions,
 				);
 			}
 
@@ -4344,48 +9544,104 @@ class Formsmd {
 			instance.container
 				.querySelectorAll(".fmd-toggle-color-scheme-btn")
 				.forEach((btn) => {
-					btn.addEventListener("click", instance.toggleColorScheme);
+					btn.addEventListener(
+						"click",
+						instance.toggleColorScheme,
+						listenerOptions,
+					);
+				});
+
+			// Analytics when the page is hidden or closed
+			if (instance.isAnalyticsEnabled()) {
+				document.addEventListener(
+					"visibilitychange",
+					instance.handleAnalyticsVisibility,
+					listenerOptions,
+				);
+				window.addEventListener(
+					"pagehide",
+					instance.handleAnalyticsVisibility,
+					listenerOptions,
+				);
+			}
+
+			// Partial submissions on field changes
+			if (instance.state.settings["partial-submissions"] === "change") {
+				instance.container.addEventListener(
+					"fmd:fieldchange",
+					instance.schedulePartialSubmission,
+					listenerOptions,
+				);
+			}
+
+			// Save link buttons
+			instance.container
+				.querySelectorAll(".fmd-save-link-btn")
+				.forEach((btn) => {
+					btn.addEventListener(
+						"click",
+						instance.toggleSaveLink,
+						listenerOptions,
+					);
+				});
+			instance.container
+				.querySelectorAll(".fmd-save-link-copy-btn")
+				.forEach((btn) => {
+					btn.addEventListener("click", instance.copySaveLink, listenerOptions);
 				});
 
 			// Footer previous button
 			instance.container
 				.querySelectorAll(".fmd-footer .fmd-previous-btn")
 				.forEach((btn) => {
-					btn.addEventListener("click", function (e) {
-						if (!btn.classList.contains("fmd-btn-processing")) {
-							const activeSlide =
-								instance.container.querySelector(".fmd-slide-active");
-							instance.prevSlide(activeSlide);
-						}
-					});
+					btn.addEventListener(
+						"click",
+						function (e) {
+							if (!btn.classList.contains("fmd-btn-processing")) {
+								const activeSlide =
+									instance.container.querySelector(".fmd-slide-active");
+								instance.prevSlide(activeSlide);
+							}
+						},
+						listenerOptions,
+					);
 				});
 
 			// Footer next button
 			instance.container
 				.querySelectorAll(".fmd-footer .fmd-next-btn")
 				.forEach((btn) => {
-					btn.addEventListener("click", function (e) {
-						if (!btn.classList.contains("fmd-btn-processing")) {
-							const activeSlide =
-								instance.container.querySelector(".fmd-slide-active");
-							if (activeSlide.tagName === "FORM") {
-								activeSlide.querySelector(".fmd-submit-btn").click();
-							} else {
-								instance.nextSlide(activeSlide);
+					btn.addEventListener(
+						"click",
+						function (e) {
+							if (!btn.classList.contains("fmd-btn-processing")) {
+								const activeSlide =
+									instance.container.querySelector(".fmd-slide-active");
+								if (activeSlide.tagName === "FORM") {
+									activeSlide.querySelector(".fmd-submit-btn").click();
+								} else {
+									instance.nextSlide(activeSlide);
+								}
 							}
-						}
-					});
+						},
+						listenerOptions,
+					);
 				});
 
 			// Restart buttons
 			instance.container.querySelectorAll(".fmd-restart-btn").forEach((btn) => {
-				btn.addEventListener("click", function (e) {
-					if (instance.options.isFullPage) {
-						window.location.reload();
-					} else {
-						instance._init(false);
-					}
-				});
+				btn.addEventListener(
+					"click",
+					function (e) {
+						instance.emit("restart", {});
+						if (instance.options.isFullPage) {
+							window.location.reload();
+						} else {
+							instance._init(false);
+						}
+					},
+					listenerOptions,
+				);
 			});
 		}
 
@@ -4397,11 +9653,15 @@ class Formsmd {
 		}
 
 		forms.forEach((form, index) => {
-			form.addEventListener("submit", function (e) {
-				e.preventDefault();
+			form.addEventListener(
+				"submit",
+				function (e) {
+					e.preventDefault();
 
-				instance.nextSlide(e.target);
-			});
+					instance.nextSlide(e.target);
+				},
+				listenerOptions,
+			);
 		});
 
 		// Slide next buttons - ALWAYS add these listeners (not just on init)
@@ -4415,12 +9675,16 @@ class Formsmd {
 				`🔘 DEBUG: Adding click listener to next button ${index}:`,
 				btn,
 			);
-			btn.addEventListener("click", function (e) {
-				if (!btn.classList.contains("fmd-btn-processing")) {
-					const parentSlide = btn.closest(".fmd-slide");
-					instance.nextSlide(parentSlide);
-				}
-			});
+			btn.addEventListener(
+				"click",
+				function (e) {
+					if (!btn.classList.contains("fmd-btn-processing")) {
+						const parentSlide = btn.closest(".fmd-slide");
+						instance.nextSlide(parentSlide);
+					}
+				},
+				listenerOptions,
+			);
 		});
 
 		// Welcome screen buttons - use direct API call
@@ -4434,33 +9698,37 @@ class Formsmd {
 				`🔘 DEBUG: Adding click listener to welcome button ${index}:`,
 				btn,
 			);
-			btn.addEventListener("click", async function (e) {
-				// Disable the button to prevent multiple clicks
-				btn.disabled = true;
-
-				// For welcome screens, send current question ID with "started" value
-				const welcomeData = {
-					value: "started",
-					questionId: instance.state.currentQuestion?.questionId,
-				};
+			btn.addEventListener(
+				"click",
+				async function (e) {
+					// Disable the button to prevent multiple clicks
+					btn.disabled = true;
+
+					// For welcome screens, send current question ID with "started" value
+					const welcomeData = {
+						value: "started",
+						questionId: instance.state.currentQuestion?.questionId,
+					};
 
-				try {
-					// Get next question from API
-					const nextQuestionData =
-						await instance.getNextQuestionFromAPI(welcomeData);
+					try {
+						// Get next question from API
+						const nextQuestionData =
+							await instance.getNextQuestionFromAPI(welcomeData);
 
-					// Process the response and create next slide
-					if (nextQuestionData.question && nextQuestionData.slideDefinition) {
-						instance.processQuestionResponse(nextQuestionData);
-					} else {
-						console.error("❌ No valid question data received from API");
+						// Process the response and create next slide
+						if (nextQuestionData.question && nextQuestionData.slideDefinition) {
+							instance.processQuestionResponse(nextQuestionData);
+						} else {
+							console.error("❌ No valid question data received from API");
+							btn.disabled = false; // Re-enable button on error
+						}
+					} catch (error) {
+						console.error("❌ Error getting next question:", error);
 						btn.disabled = false; // Re-enable button on error
 					}
-				} catch (error) {
-					console.error("❌ Error getting next question:", error);
-					btn.disabled = false; // Re-enable button on error
-				}
-			});
+				},
+				listenerOptions,
+			);
 		});
 
 		// End screen buttons - ALWAYS add these listeners
@@ -4474,20 +9742,24 @@ class Formsmd {
 				`🔘 DEBUG: Adding click listener to end button ${index}:`,
 				btn,
 			);
-			btn.addEventListener("click", function (e) {
-				instance.handleEndNavigation();
-			});
+			btn.addEventListener(
+				"click",
+				function (e) {
+					instance.handleEndNavigation();
+				},
+				listenerOptions,
+			);
 		});
 
 		// Copy buttons
 		container.querySelectorAll(".fmd-copy-btn").forEach((btn) => {
-			btn.addEventListener("click", instance.copyCode);
+			btn.addEventListener("click", instance.copyCode, listenerOptions);
 		});
 
 		// <input> elements
 		container
 			.querySelectorAll(
-				"input.fmd-form-str-input, input.fmd-form-num-input, input.fmd-form-str-check-input, input.fmd-form-num-check-input, input.fmd-form-datetime-input, input.fmd-form-file-input",
+				"input.fmd-form-str-input, input.fmd-form-num-input, input.fmd-form-str-check-input, input.fmd-form-num-check-input, input.fmd-form-matrix-input, input.fmd-form-slider-input, input.fmd-form-datetime-input, input.fmd-form-file-input",
 			)
 			.forEach((input) => {
 				if (
@@ -4496,47 +9768,247 @@ class Formsmd {
 					input.getAttribute("type") === "url" ||
 					input.getAttribute("type") === "tel"
 				) {
-					input.addEventListener("input", instance.textFieldOnInput);
+					input.addEventListener(
+						"input",
+						instance.textFieldOnInput,
+						listenerOptions,
+					);
 				} else if (input.getAttribute("type") === "number") {
-					input.addEventListener("input", instance.numberFieldOnInput);
+					input.addEventListener(
+						"input",
+						instance.numberFieldOnInput,
+						listenerOptions,
+					);
+				} else if (input.getAttribute("type") === "range") {
+					input.addEventListener(
+						"input",
+						instance.sliderFieldOnInput,
+						listenerOptions,
+					);
 				} else if (
 					input.getAttribute("type") === "radio" ||
 					input.getAttribute("type") === "checkbox"
 				) {
 					if (input.classList.contains("fmd-form-str-check-input")) {
-						input.addEventListener("input", instance.choiceFieldOnInput);
+						input.addEventListener(
+							"input",
+							instance.choiceFieldOnInput,
+							listenerOptions,
+						);
 					} else if (input.classList.contains("fmd-form-num-check-input")) {
-						input.addEventListener("input", instance.numChoiceFieldOnInput);
+						input.addEventListener(
+							"input",
+							instance.numChoiceFieldOnInput,
+							listenerOptions,
+						);
+					} else if (input.classList.contains("fmd-form-matrix-input")) {
+						input.addEventListener(
+							"input",
+							instance.matrixFieldOnInput,
+							listenerOptions,
+						);
 					}
 				} else if (
 					input.getAttribute("type") === "datetime-local" ||
 					input.getAttribute("type") === "date" ||
 					input.getAttribute("type") === "time"
 				) {
-					input.addEventListener("input", instance.datetimeFieldOnInput);
+					input.addEventListener(
+						"input",
+						instance.datetimeFieldOnInput,
+						listenerOptions,
+					);
 				} else if (input.getAttribute("type") === "file") {
-					input.addEventListener("change", instance.fileFieldOnInput);
+					input.addEventListener(
+						"change",
+						instance.fileFieldOnInput,
+						listenerOptions,
+					);
 				}
 			});
 
+		// Ranking handles
+		container.querySelectorAll(".fmd-ranking-handle").forEach((handle) => {
+			handle.addEventListener(
+				"keydown",
+				instance.rankingHandleOnKeydown,
+				listenerOptions,
+			);
+			handle.addEventListener(
+				"focusout",
+				instance.rankingHandleOnFocusout,
+				listenerOptions,
+			);
+			handle.addEventListener(
+				"pointerdown",
+				instance.rankingHandleOnPointerdown,
+				listenerOptions,
+			);
+			handle.addEventListener(
+				"pointermove",
+				instance.rankingHandleOnPointermove,
+				listenerOptions,
+			);
+			handle.addEventListener(
+				"pointerup",
+				instance.rankingHandleOnPointerup,
+				listenerOptions,
+			);
+			handle.addEventListener(
+				"pointercancel",
+				instance.rankingHandleOnPointerup,
+				listenerOptions,
+			);
+		});
+
 		// <textarea> elements
 		container
 			.querySelectorAll("textarea.fmd-form-str-input")
 			.forEach((textarea) => {
-				textarea.addEventListener("input", instance.textFieldOnInput);
-				textarea.addEventListener("input", instance.setTextareaHeightOnInput);
+				textarea.addEventListener(
+					"input",
+					instance.textFieldOnInput,
+					listenerOptions,
+				);
+				textarea.addEventListener(
+					"input",
+					instance.setTextareaHeightOnInput,
+					listenerOptions,
+				);
 			});
 
 		// <select> elements
 		container
 			.querySelectorAll("select.fmd-form-str-select")
 			.forEach((select) => {
-				select.addEventListener("input", instance.selectFieldOnInput);
+				select.addEventListener(
+					"input",
+					instance.selectFieldOnInput,
+					listenerOptions,
+				);
 			});
 
+		// Combobox inputs, lists of options and chips
+		container.querySelectorAll(".fmd-form-combobox-input").forEach((input) => {
+			input.addEventListener(
+				"input",
+				instance.comboboxInputOnInput,
+				listenerOptions,
+			);
+			input.addEventListener(
+				"keydown",
+				instance.comboboxInputOnKeydown,
+				listenerOptions,
+			);
+			input.addEventListener(
+				"click",
+				instance.comboboxInputOnClick,
+				listenerOptions,
+			);
+			input.addEventListener(
+				"focusout",
+				instance.comboboxInputOnFocusout,
+				listenerOptions,
+			);
+		});
+		container.querySelectorAll(".fmd-combobox-listbox").forEach((listbox) => {
+			listbox.addEventListener(
+				"mousedown",
+				instance.comboboxListboxOnMousedown,
+				listenerOptions,
+			);
+			listbox.addEventListener(
+				"click",
+				instance.comboboxListboxOnClick,
+				listenerOptions,
+			);
+			listbox.addEventListener(
+				"scroll",
+				instance.comboboxListboxOnScroll,
+				listenerOptions,
+			);
+		});
+		container.querySelectorAll(".fmd-combobox-chips").forEach((chips) => {
+			chips.addEventListener(
+				"click",
+				instance.comboboxChipsOnClick,
+				listenerOptions,
+			);
+		});
+
 		// File input reset buttons
 		container.querySelectorAll(".fmd-form-file-reset-btn").forEach((btn) => {
-			btn.addEventListener("click", instance.fileInputResetBtnOnClick);
+			btn.addEventListener(
+				"click",
+				instance.fileInputResetBtnOnClick,
+				listenerOptions,
+			);
+		});
+
+		// File lists (the remove buttons are rendered on input)
+		container.querySelectorAll(".fmd-form-file-list").forEach((list) => {
+			list.addEventListener("click", instance.fileListOnClick, listenerOptions);
+		});
+
+		// Signature canvases and buttons
+		container.querySelectorAll(".fmd-signature-canvas").forEach((canvas) => {
+			canvas.addEventListener(
+				"pointerdown",
+				instance.signatureCanvasOnPointerdown,
+				listenerOptions,
+			);
+			canvas.addEventListener(
+				"pointermove",
+				instance.signatureCanvasOnPointermove,
+				listenerOptions,
+			);
+			canvas.addEventListener(
+				"pointerup",
+				instance.signatureCanvasOnPointerup,
+				listenerOptions,
+			);
+			canvas.addEventListener(
+				"pointercancel",
+				instance.signatureCanvasOnPointerup,
+				listenerOptions,
+			);
+		});
+		container.querySelectorAll(".fmd-signature-undo-btn").forEach((btn) => {
+			btn.addEventListener(
+				"click",
+				instance.signatureUndoBtnOnClick,
+				listenerOptions,
+			);
+		});
+		container.querySelectorAll(".fmd-signature-clear-btn").forEach((btn) => {
+			btn.addEventListener(
+				"click",
+				instance.signatureClearBtnOnClick,
+				listenerOptions,
+			);
+		});
+
+		// Repeatable groups
+		container.querySelectorAll(".fmd-repeat").forEach((group) => {
+			group.addEventListener(
+				"input",
+				instance.repeatGroupOnInput,
+				listenerOptions,
+			);
+		});
+		container.querySelectorAll(".fmd-repeat-add-btn").forEach((btn) => {
+			btn.addEventListener(
+				"click",
+				instance.repeatAddBtnOnClick,
+				listenerOptions,
+			);
+		});
+		container.querySelectorAll(".fmd-repeat-remove-btn").forEach((btn) => {
+			btn.addEventListener(
+				"click",
+				instance.repeatRemoveBtnOnClick,
+				listenerOptions,
+			);
 		});
 	};
 
@@ -4587,6 +10059,12 @@ class Formsmd {
 		// Set the state to defaults
 		instance.setStateToDefaults();
 
+		// Retry the queued submissions now and whenever back online
+		if (isFirstInit && instance.options.offlineQueue) {
+			window.addEventListener("online", instance.windowOnOnline);
+			instance.retryPendingSubmissions();
+		}
+
 		// Check if we have API configuration
 		if (instance.options.isApiDriven && instance.options.surveyId) {
 			instance.initializeWithApiConfig({
@@ -4761,7 +10239,8 @@ class Formsmd {
 
 		// Fetch data from remote source
 		// Then set to state and create the templates
-		instance.getRemoteData().then((promiseResult) => {
+		const dataPromises = [instance.getRemoteData(), instance.getResumeData()];
+		Promise.all(dataPromises).then(([promiseResult, resumeData]) => {
 			// Set fetched data to state
 			if (promiseResult !== "") {
 				// Create variables for settings needed (for better readability)
@@ -4823,7 +10302,19 @@ class Formsmd {
 				rootElem.setAttribute("data-fmd-footer", "hide");
 			}
 
+			// Continue the response of the save link (if any), the response id is
+			// set first so that the shuffled order stays the same
+			if (resumeData) {
+				localStorage.setItem(
+					`formsmd:${instance.getIdPrefix()}${window.location.hostname}${
+						window.location.pathname
+					}response-id`,
+					resumeData.rid,
+				);
+			}
+
 			// Create the content template and add to the DOM
+			// The response id is the seed for the order of the shuffled slides
 			const contentTemplateAndBindDivs = createContentTemplate(
 				instance.template,
 				instance.state.settings,
@@ -4832,10 +10323,13 @@ class Formsmd {
 					...instance.state.formData,
 				},
 				instance.options.sanitize,
+				instance.getOrCreateResponseId(),
 			);
 			instance.template = contentTemplateAndBindDivs.template;
 			instance.state.bindDivTemplates =
 				contentTemplateAndBindDivs.bindDivTemplates;
+			instance.state.repeatTemplates =
+				contentTemplateAndBindDivs.repeatTemplates;
 			instance.container
 				.querySelector(".fmd-main-container")
 				.insertAdjacentHTML("beforeend", instance.template);
@@ -4878,11 +10372,22 @@ class Formsmd {
 				}
 			}
 
+			// Continue the response of the save link
+			if (resumeData) {
+				try {
+					instance.setResumeData(resumeData);
+				} catch (error) {
+					console.error(error);
+				}
+			}
+
 			// Hide loader and show content
 			instance.container
 				.querySelector(".fmd-loader-container")
 				.classList.add("fmd-d-none");
 			if (instance.state.settings.page !== "single") {
+				// The analytics start again from the first active slide
+				instance.analytics = null;
 				const firstSlide =
 					instance.container.querySelectorAll(".fmd-slide")[
 						instance.options.startSlide
@@ -1,13 +1,20 @@
 import { parseElemAttrs, addReservedClass  } from "./attrs-parse.js";
+import { getBindSpanNames, fillBindSpans  } from "./div-span-parse.js";
 import { formFieldPattern,
 	createTextField,
 	createNumberField,
+	createSliderField,
 	createSelectField,
 	createChoiceField,
 	createRatingField,
 	createOpinionScaleField,
+	createMatrixField,
+	createRankingField,
 	createDatetimeField,
 	createFileField,
+	createSignatureField,
+	createCalculatedField,
+	createHiddenField,
  } from "./form-field-create.js";
 import { escape$1, cleanUrl  } from "./helpers.js";
 import { getTranslation  } from "./translations.js";
@@ -217,6 +224,7 @@ renderer.list = function (body, ordered, start) {
 renderer.paragraph = function (text) {
 	const markedSettings = getMarkedSettings(this.options);
 	text = text.trim();
+	const template = text;
 
 	// Parse and add attributes to the element (if they are provided)
 	let startTag = "<p>";
@@ -237,6 +245,24 @@ renderer.paragraph = function (text) {
 		const fieldInputType = matchesFormField[3].toLowerCase();
 		const fieldRequired = matchesFormField[2] ? true : false;
 		const fieldParams = matchesFormField[4].replace(/(<([^>]+)>)/gi, ""); // Strip all HTML tags from the params
+
+		// Form fields with bind <span> elements in the params (answer piping)
+		// keep their template, so that they can be created again whenever the
+		// bound values change
+		const pipedNames = getBindSpanNames(matchesFormField[4]);
+		if (
+			pipedNames.length > 0 &&
+			fieldInputType !== "calculated" &&
+			fieldInputType !== "hiddeninput"
+		) {
+			parsedAttrs = [
+				parsedAttrs,
+				`data-fmd-pipe="${pipedNames.join(" ")}"`,
+				`data-fmd-pipe-template="${escape$1(fillBindSpans(template, {}), true)}"`,
+			]
+				.filter((attr) => attr)
+				.join(" ");
+		}
 		try {
 			if (
 				fieldInputType === "textinput" ||
@@ -265,6 +291,16 @@ renderer.paragraph = function (text) {
 					markedSettings.id,
 					markedSettings.localization,
 				);
+			} else if (fieldInputType === "sliderinput") {
+				return createSliderField(
+					fieldName,
+					fieldRequired,
+					parsedAttrs,
+					fieldParams,
+					markedSettings["form-delimiter"],
+					markedSettings.id,
+					markedSettings.localization,
+				);
 			} else if (fieldInputType === "selectbox") {
 				return createSelectField(
 					fieldName,
@@ -309,6 +345,26 @@ renderer.paragraph = function (text) {
 					markedSettings.id,
 					markedSettings.localization,
 				);
+			} else if (fieldInputType === "matrixinput") {
+				return createMatrixField(
+					fieldName,
+					fieldRequired,
+					parsedAttrs,
+					fieldParams,
+					markedSettings["form-delimiter"],
+					markedSettings.id,
+					markedSettings.localization,
+				);
+			} else if (fieldInputType === "rankinginput") {
+				return createRankingField(
+					fieldName,
+					fieldRequired,
+					parsedAttrs,
+					fieldParams,
+					markedSettings["form-delimiter"],
+					markedSettings.id,
+					markedSettings.localization,
+				);
 			} else if (
 				fieldInputType === "datetimeinput" ||
 				fieldInputType === "dateinput" ||
@@ -334,6 +390,34 @@ renderer.paragraph = function (text) {
 					markedSettings.id,
 					markedSettings.localization,
 				);
+			} else if (fieldInputType === "signatureinput") {
+				return createSignatureField(
+					fieldName,
+					fieldRequired,
+					parsedAttrs,
+					fieldParams,
+					markedSettings["form-delimiter"],
+					markedSettings.id,
+					markedSettings.localization,
+				);
+			} else if (fieldInputType === "calculated") {
+				return createCalculatedField(
+					fieldName,
+					parsedAttrs,
+					fieldParams,
+					markedSettings["form-delimiter"],
+					markedSettings.id,
+					markedSettings.localization,
+				);
+			} else if (fieldInputType === "hiddeninput") {
+				return createHiddenField(
+					fieldName,
+					parsedAttrs,
+					fieldParams,
+					markedSettings["form-delimiter"],
+					markedSettings.id,
+					markedSettings.localization,
+				);
 			}
 		} catch (error) {
 			console.warn(error);
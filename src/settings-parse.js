@@ -445,10 +445,18 @@ function parseSettings(template) {
 			pattern: /^(hide|show|decorative)$/,
 			accepted: "hide || show || decorative",
 		},
+		"partial-submissions": {
+			pattern: /^(slide|change)$/,
+			accepted: "slide || change",
+		},
 		"placeholders": {
 			pattern: /^(hide|show)$/,
 			accepted: "hide || show",
 		},
+		"post-format": {
+			pattern: /^(form-data|json)$/,
+			accepted: "form-data (default) || json",
+		},
 		"post-sheet-name": {
 			pattern: /^.*$/,
 			accepted: "valid string",
@@ -457,6 +465,14 @@ function parseSettings(template) {
 			pattern: /^.*$/,
 			accepted: "valid URL",
 		},
+		"quiz": {
+			pattern: /^(true|false)$/,
+			accepted: "true || false (default)",
+		},
+		"quiz-feedback": {
+			pattern: /^instant$/,
+			accepted: "instant",
+		},
 		"restart-button": {
 			pattern: /^show$/,
 			accepted: "show",
@@ -465,6 +481,10 @@ function parseSettings(template) {
 			pattern: /^(none|pill)$/,
 			accepted: "none || pill",
 		},
+		"save-link": {
+			pattern: /^show$/,
+			accepted: "show",
+		},
 		"slide-controls": {
 			pattern: /^(hide|show)$/,
 			accepted: "hide || show",
@@ -1,5 +1,6 @@
+import { parseExpression  } from "./expression-parse.js";
 import { formFieldPattern  } from "./form-field-create.js";
-import { unescape  } from "./helpers.js";
+import { escape$1, shuffleWithSeed, unescape  } from "./helpers.js";
 import { getTranslation  } from "./translations.js";
 import nunjucks from "nunjucks";
 
@@ -107,13 +108,16 @@ const endSlideTemplate = `
  * - The first slide cannot have a jump condition.
  * - A start slide may or may not be the first slide.
  *
+ * Body slides (except the first slide) marked using the line "~ SHUFFLE" are
+ * shown in a random order along with the marked slides right next to them.
+ *
  * @param {string} template
  * @param {boolean} isForm
  * @param {boolean} isFirstSlide
  * @param {{showRestartBtn: boolean, submitBtnText: string}} btnSettings
  * @param {string} localization
- * @returns {{template: string, slideType:"start"|"body"|"end"}} template with
- * parsed slides, type of the slide
+ * @returns {{template: string, slideType:"start"|"body"|"end", shuffle: boolean}}
+ * template with parsed slides, type of the slide, whether it is shuffled
  */
 function parseSlide(template, isForm, isFirstSlide, btnSettings, localization, isLastQuestion = false) {
 	const content = [];
@@ -126,6 +130,7 @@ function parseSlide(template, isForm, isFirstSlide, btnSettings, localization, i
 	let startBtn = "";
 	let redirect = "";
 	let slideType = "body";
+	let shuffle = false;
 
 	// Check if slide should be <form> or <div>
 	if (isForm) {
@@ -167,9 +172,9 @@ function parseSlide(template, isForm, isFirstSlide, btnSettings, localization, i
 				slideType = "end";
 			}
 			// Otherwise, set jump condition
-			// Replace all double-quotes with single-quotes (for use in templates)
+			// Escape it for use in the attribute (parsed when the slide is reached)
 			else if (line) {
-				jump = line.replace(/"/g, "'");
+				jump = escape$1(line, true);
 			}
 		}
 		// Get the page progress (if provided using the line "|> ...")
@@ -214,11 +219,21 @@ function parseSlide(template, isForm, isFirstSlide, btnSettings, localization, i
 				);
 			}
 		}
+		// Get the shuffle check (if provided using the line "~ SHUFFLE")
+		else if (line.match(/^\s*~\s*shuffle\s*$/i)) {
+			shuffle = true;
+		}
 		// Otherwise, add the raw line to the content
 		else {
 			content.push(rawLine);
 		}
 	}
+	if (shuffle && (isFirstSlide || slideType !== "body")) {
+		console.warn(
+			'[SLIDES] "~ SHUFFLE" will only work on body slides that are not the first slide.',
+		);
+		shuffle = false;
+	}
 
 	// Use Nunjucks to create the parsed template
 	let parsedTemplate = "";
@@ -280,9 +295,191 @@ function parseSlide(template, isForm, isFirstSlide, btnSettings, localization, i
 	return {
 		template: parsedTemplate,
 		slideType: slideType,
+		shuffle: shuffle,
+	};
+}
+
+/**
+ * Get the type, jump condition and shuffle check of a slide without parsing
+ * the whole slide.
+ *
+ * @param {string} template
+ * @returns {{slideType: "start"|"body"|"end", jump: string, shuffle: boolean}}
+ */
+function getSlideLogic(template) {
+	let slideType = "body";
+	let jump = "";
+	let shuffle = false;
+	for (const rawLine of template.split("\n")) {
+		const line = unescape(rawLine).trim();
+		if (line.match(/^~\s*shuffle$/i)) {
+			shuffle = true;
+		}
+		if (!line.startsWith("->")) {
+			continue;
+		}
+		const rest = line.slice(2).trim();
+		if (rest.match(/^start(\s*->.*)?$/i)) {
+			slideType = "start";
+		} else if (rest.match(/^end(\s*->.*)?$/i)) {
+			slideType = "end";
+		} else if (rest) {
+			jump = rest;
+		}
+	}
+	return {
+		slideType: slideType,
+		jump: jump,
+		shuffle: shuffle,
 	};
 }
 
+/**
+ * Shuffle each block of slides that are marked using the line "~ SHUFFLE" and
+ * right next to each other in the template. The other slides stay where they
+ * are. Since the jump conditions are part of the slides, they are kept as is.
+ *
+ * @param {Array.<{index: number, shuffle: boolean}>} slides - where the index
+ * is the position of the slide in the template
+ * @param {string} shuffleSeed - the same seed always gives the same order
+ * @returns {Array.<{index: number, shuffle: boolean}>} slides in the shuffled
+ * order
+ */
+function shuffleSlideBlocks(slides, shuffleSeed) {
+	const shuffledSlides = [];
+	let block = [];
+	const addBlock = () => {
+		shuffledSlides.push(
+			...shuffleWithSeed(block, `${shuffleSeed}:slides`, (slide) =>
+				String(slide.index),
+			),
+		);
+		block = [];
+	};
+	for (const slide of slides) {
+		if (
+			block.length > 0 &&
+			(!slide.shuffle || slide.index !== block[block.length - 1].index + 1)
+		) {
+			addBlock();
+		}
+		if (slide.shuffle) {
+			block.push(slide);
+		} else {
+			shuffledSlides.push(slide);
+		}
+	}
+	addBlock();
+	return shuffledSlides;
+}
+
+/**
+ * Validate the jump conditions of all the slides. The first slide and start
+ * slides are skipped because their jump conditions are ignored.
+ *
+ * @param {string} template
+ * @param {string} slideDelimiter
+ * @returns {Array.<{slide: number, condition: string, message: string}>}
+ * errors, where the slide number starts from 1
+ */
+function validateSlidesLogic(template, slideDelimiter) {
+	const errors = [];
+	const templateSplit = template.split(slideDelimiter);
+	for (let i = 1; i < templateSplit.length; i++) {
+		const { slideType, jump } = getSlideLogic(templateSplit[i]);
+		if (slideType !== "body" || !jump) {
+			continue;
+		}
+		try {
+			parseExpression(jump);
+		} catch (error) {
+			errors.push({
+				slide: i + 1,
+				condition: jump,
+				message: error.message,
+			});
+		}
+	}
+	return errors;
+}
+
+/**
+ * Show a console warning for each jump condition that is not valid, and for
+ * each end slide that is not used, since only the last end slide is.
+ *
+ * @param {string} template
+ * @param {string} slideDelimiter
+ */
+function warnSlidesLogicErrors(template, slideDelimiter) {
+	for (const error of validateSlidesLogic(template, slideDelimiter)) {
+		console.warn(
+			`[SLIDES] Slide ${error.slide}: "-> ${error.condition}" is not a valid jump condition (${error.message})`,
+		);
+	}
+	const endSlideNumbers = [];
+	template.split(slideDelimiter).forEach((slide, index) => {
+		if (getSlideLogic(slide).slideType === "end") {
+			endSlideNumbers.push(index + 1);
+		}
+	});
+	for (const slideNumber of endSlideNumbers.slice(0, -1)) {
+		console.warn(
+			`[SLIDES] Slide ${slideNumber}: only the last end slide is used, use {% if %} blocks in it to show different content, e.g., depending on _score`,
+		);
+	}
+}
+
+/**
+ * Wrap the content of the end slides in bind <div> elements, so that the
+ * Nunjucks parts of the content are rendered again whenever the given names
+ * change, e.g., the quiz score. Lines with slide logic are kept outside the
+ * <div> elements. End slides that already have <div> elements are left as is,
+ * since nesting is not supported.
+ *
+ * @param {string} template
+ * @param {string} slideDelimiter
+ * @param {Array.<string>} names
+ * @returns {string} template with bound end slides
+ */
+function bindEndSlides(template, slideDelimiter, names) {
+	const templateSplit = template.split(slideDelimiter);
+	for (let i = 1; i < templateSplit.length; i++) {
+		const slide = templateSplit[i];
+		if (getSlideLogic(slide).slideType !== "end") {
+			continue;
+		}
+		if (slide.includes(":::")) {
+			console.warn(
+				`[SLIDES] Slide ${i + 1}: end slides with <div> elements are not bound to ${names.join(", ")}, use bind <span> elements instead.`,
+			);
+			continue;
+		}
+		const logicLines = [];
+		const contentLines = [];
+		for (const rawLine of slide.split("\n")) {
+			if (
+				unescape(rawLine)
+					.trim()
+					.match(/^(->|\|>|=\||\|=|<<|>>|~)/)
+			) {
+				logicLines.push(rawLine);
+			} else {
+				contentLines.push(rawLine);
+			}
+		}
+		templateSplit[i] = [
+			"",
+			...logicLines,
+			"",
+			`::: [{$ ${names.join(" ")} $}]`,
+			contentLines.join("\n").trim(),
+			":::",
+			"",
+		].join("\n");
+	}
+	return templateSplit.join(slideDelimiter);
+}
+
 /**
  * Given a template string, parse the slides. Slides are created wherever the
  * slide delimiter is used. By default, this is set to "---" in the state.
@@ -292,6 +489,7 @@ function parseSlide(template, isForm, isFirstSlide, btnSettings, localization, i
  * @param {{showRestartBtn: boolean, submitBtnText: string}} btnSettings
  * @param {string} localization
  * @param {string} slideDelimiter
+ * @param {string} [shuffleSeed] - seed for the order of the shuffled slides
  * @returns {string} template with parsed slides
  */
 function parseSlides(
@@ -300,12 +498,16 @@ function parseSlides(
 	btnSettings,
 	localization,
 	slideDelimiter,
+	shuffleSeed = "",
 ) {
 	const startSlides = [];
 	const bodySlides = [];
 	let containsEndSlide = false;
 	let endSlide = "";
 
+	// Report the jump conditions that are not valid
+	warnSlidesLogicErrors(template, slideDelimiter);
+
 	// Go through each slide
 	const templateSplit = template.split(slideDelimiter);
 	for (let i = 0; i < templateSplit.length; i++) {
@@ -321,15 +523,19 @@ function parseSlides(
 		if (parsedSlide.slideType === "start") {
 			startSlides.push(parsedSlide.template);
 		} else if (parsedSlide.slideType === "body") {
-			bodySlides.push(parsedSlide.template);
+			bodySlides.push({ ...parsedSlide, index: i });
 		} else if (parsedSlide.slideType === "end") {
 			containsEndSlide = true;
 			endSlide = parsedSlide.template;
 		}
 	}
 
-	// Combine the start slides (if any) and body slides
-	const slides = startSlides.concat(bodySlides);
+	// Combine the start slides (if any) and body slides (shuffled if marked)
+	const slides = startSlides.concat(
+		shuffleSlideBlocks(bodySlides, shuffleSeed).map(
+			(parsedSlide) => parsedSlide.template,
+		),
+	);
 
 	// End slide will always be present (only the last one is used)
 	// If not overridden in the template, we use the default content
@@ -369,6 +575,7 @@ function parseSlides(
  * @param {{showRestartBtn: boolean, submitBtnText: string}} btnSettings
  * @param {string} localization
  * @param {string} slideDelimiter
+ * @param {string} [shuffleSeed] - seed for the order of the shuffled slides
  * @returns {{firstSlideHtml: string, slideDefinitions: Array, endSlideDefinition: string}} first slide HTML and slide definitions
  */
 function parseSlidesLazy(
@@ -377,11 +584,15 @@ function parseSlidesLazy(
 	btnSettings,
 	localization,
 	slideDelimiter,
+	shuffleSeed = "",
 ) {
 	const slideDefinitions = [];
 	let endSlideDefinition = "";
 	let firstSlideHtml = "";
 
+	// Report the jump conditions that are not valid
+	warnSlidesLogicErrors(template, slideDelimiter);
+
 	// Debug logging
 
 	// Go through each slide
@@ -430,9 +641,22 @@ function parseSlidesLazy(
 		}
 	}
 
+	// Shuffle the body slides (if marked)
+	const shuffledSlideDefinitions = shuffleSlideBlocks(
+		slideDefinitions.map((slideDefinition, index) => {
+			const { slideType, shuffle } = getSlideLogic(slideDefinition);
+			return {
+				definition: slideDefinition,
+				index: index + 1,
+				shuffle: slideType === "body" && shuffle,
+			};
+		}),
+		shuffleSeed,
+	).map((slide) => slide.definition);
+
 	return {
 		firstSlideHtml: firstSlideHtml,
-		slideDefinitions: slideDefinitions,
+		slideDefinitions: shuffledSlideDefinitions,
 		endSlideDefinition: endSlideDefinition,
 	};
 }
@@ -466,4 +690,4 @@ function renderSlideFromDefinition(
 	return parsedSlide.template;
 }
 
-export { parseSlide, parseSlides, parseSlidesLazy, renderSlideFromDefinition };
\ No newline at end of file
+export { parseSlide, getSlideLogic, validateSlidesLogic, bindEndSlides, parseSlides, parseSlidesLazy, renderSlideFromDefinition };
\ No newline at end of file
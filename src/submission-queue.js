@@ -0,0 +1,155 @@
+const submissionQueueDbName = "formsmd";
+const submissionQueueStoreName = "submissions";
+
+/**
+ * Get the delay before retrying a queued submission, using exponential
+ * backoff: 2 seconds, 4 seconds, 8 seconds, etc., up to 5 minutes.
+ *
+ * @param {number} attempts - the number of failed attempts so far
+ * @returns {number} delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+	return Math.min(2000 * Math.pow(2, attempts), 5 * 60 * 1000);
+}
+
+/**
+ * Convert form data to entries that can be stored in IndexedDB. Files (and
+ * other blobs) are kept as they are.
+ *
+ * @param {FormData} formData
+ * @param {Array.<string>} [excludeKeys]
+ * @returns {Array.<[string, string|Blob]>}
+ */
+function formDataToEntries(formData, excludeKeys) {
+	const entries = [];
+	for (const [key, value] of formData.entries()) {
+		if (!excludeKeys || !excludeKeys.includes(key)) {
+			entries.push([key, value]);
+		}
+	}
+	return entries;
+}
+
+/**
+ * Convert stored entries (see `formDataToEntries`) back to form data.
+ *
+ * @param {Array.<[string, string|Blob]>} entries
+ * @returns {FormData}
+ */
+function entriesToFormData(entries) {
+	const formData = new FormData();
+	for (const [key, value] of entries) {
+		formData.append(key, value);
+	}
+	return formData;
+}
+
+/**
+ * Open the IndexedDB database of the submission queue.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSubmissionQueue() {
+	return new Promise((resolve, reject) => {
+		if (typeof indexedDB === "undefined") {
+			reject(new Error("IndexedDB is not supported"));
+			return;
+		}
+		const request = indexedDB.open(submissionQueueDbName, 1);
+		request.onupgradeneeded = () => {
+			const store = request.result.createObjectStore(submissionQueueStoreName, {
+				keyPath: "id",
+				autoIncrement: true,
+			});
+			store.createIndex("queueKey", "queueKey", { unique: false });
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Run a request on the object store of the submission queue.
+ *
+ * @param {"readonly"|"readwrite"} mode
+ * @param {function(IDBObjectStore): IDBRequest} createRequest
+ * @returns {Promise<*>} result of the request
+ */
+function runSubmissionQueueRequest(mode, createRequest) {
+	return openSubmissionQueue().then((db) => {
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(submissionQueueStoreName, mode);
+			const request = createRequest(
+				transaction.objectStore(submissionQueueStoreName),
+			);
+			transaction.oncomplete = () => {
+				db.close();
+				resolve(request.result);
+			};
+			transaction.onerror = () => {
+				db.close();
+				reject(transaction.error);
+			};
+		});
+	});
+}
+
+/**
+ * Add a submission to the queue.
+ *
+ * @param {Object} submission
+ * @returns {Promise<number>} id of the queued submission
+ */
+function addQueuedSubmission(submission) {
+	return runSubmissionQueueRequest("readwrite", (store) => {
+		return store.add(submission);
+	});
+}
+
+/**
+ * Get the queued submissions of a form, oldest first.
+ *
+ * @param {string} queueKey - identifies the form (page and id)
+ * @returns {Promise<Array.<Object>>}
+ */
+function getQueuedSubmissions(queueKey) {
+	return runSubmissionQueueRequest("readonly", (store) => {
+		return store.index("queueKey").getAll(queueKey);
+	}).then((submissions) => {
+		return submissions.sort((a, b) => a.id - b.id);
+	});
+}
+
+/**
+ * Update a queued submission, e.g., after a failed retry.
+ *
+ * @param {Object} submission
+ * @returns {Promise<number>}
+ */
+function updateQueuedSubmission(submission) {
+	return runSubmissionQueueRequest("readwrite", (store) => {
+		return store.put(submission);
+	});
+}
+
+/**
+ * Remove a submission from the queue, e.g., after it is sent.
+ *
+ * @param {number} id
+ * @returns {Promise<undefined>}
+ */
+function removeQueuedSubmission(id) {
+	return runSubmissionQueueRequest("readwrite", (store) => {
+		return store.delete(id);
+	});
+}
+
+export {
+	getRetryDelay,
+	formDataToEntries,
+	entriesToFormData,
+	addQueuedSubmission,
+	getQueuedSubmissions,
+	updateQueuedSubmission,
+	removeQueuedSubmission,
+};
@@ -1,7 +1,8 @@
 import { addReservedClass  } from "./attrs-parse.js";
 import { parseDivs, parseBindSpans  } from "./div-span-parse.js";
 import { renderer  } from "./marked-renderer.js";
-import { parseSlides,
+import { bindEndSlides,
+	parseSlides,
 	parseSlidesLazy,
 	renderSlideFromDefinition,
  } from "./slides-parse.js";
@@ -233,6 +234,636 @@ function createStyles(settings) {
 		}
 	`);
 
+	// Add matrix field styles
+	styleBlocks.push(`
+		/* Matrix field: grid of rows by columns, stacked rows on mobile */
+		.fmd-matrix {
+			display: table;
+			width: 100%;
+			border-collapse: collapse;
+		}
+
+		.fmd-matrix-head,
+		.fmd-matrix-row {
+			display: table-row;
+		}
+
+		.fmd-matrix-row {
+			border-top: 1px solid var(--fmd-check-border-color);
+		}
+
+		.fmd-matrix-cell {
+			display: table-cell;
+			padding: 0.75rem 0.5rem;
+			text-align: center;
+			vertical-align: middle;
+		}
+
+		.fmd-matrix-head .fmd-matrix-cell {
+			font-size: var(--fmd-font-size-sm);
+			color: rgb(var(--fmd-accent-rgb));
+		}
+
+		.fmd-matrix-row-label {
+			text-align: start;
+		}
+
+		.fmd-form-matrix-input {
+			width: 1.25rem;
+			height: 1.25rem;
+			margin: 0;
+			cursor: pointer;
+			accent-color: rgb(var(--fmd-accent-rgb));
+		}
+
+		.fmd-form-matrix-input:disabled {
+			cursor: default;
+			opacity: 0.5;
+		}
+
+		.fmd-form-matrix-label {
+			position: absolute !important;
+			width: 1px !important;
+			height: 1px !important;
+			padding: 0 !important;
+			margin: -1px !important;
+			overflow: hidden !important;
+			clip: rect(0, 0, 0, 0) !important;
+			white-space: nowrap !important;
+			border: 0 !important;
+		}
+
+		@media (max-width: 575.98px) {
+			.fmd-matrix,
+			.fmd-matrix-row,
+			.fmd-matrix-cell {
+				display: block;
+			}
+
+			.fmd-matrix-head {
+				display: none;
+			}
+
+			.fmd-matrix-row {
+				padding: 0.75rem 0;
+			}
+
+			.fmd-matrix-cell {
+				display: flex;
+				align-items: center;
+				gap: 0.5rem;
+				padding: 0.25rem 0;
+				text-align: start;
+			}
+
+			.fmd-matrix-row-label {
+				display: block;
+				margin-bottom: 0.25rem;
+				font-weight: var(--fmd-font-weight-medium);
+			}
+
+			.fmd-form-matrix-label {
+				position: static !important;
+				width: auto !important;
+				height: auto !important;
+				margin: 0 !important;
+				overflow: visible !important;
+				clip: auto !important;
+				white-space: normal !important;
+				cursor: pointer;
+			}
+		}
+	`);
+
+	// Add slider field styles
+	styleBlocks.push(`
+		/* Slider field: one or two handles, value bubbles, and tick labels */
+		.fmd-slider {
+			padding-top: 2.25rem;
+		}
+
+		.fmd-slider-track {
+			position: relative;
+			height: 1.5rem;
+		}
+
+		.fmd-slider-track::before {
+			position: absolute;
+			top: 50%;
+			right: 0;
+			left: 0;
+			height: 0.375rem;
+			content: "";
+			background-color: var(--fmd-check-border-color);
+			border-radius: 0.25rem;
+			transform: translateY(-50%);
+		}
+
+		.fmd-slider-track::after {
+			position: absolute;
+			top: 50%;
+			height: 0.375rem;
+			content: "";
+			background-color: rgb(var(--fmd-accent-rgb));
+			border-radius: 0.25rem;
+			transform: translateY(-50%);
+			inset-inline-start: var(--fmd-slider-low);
+			inset-inline-end: calc(100% - var(--fmd-slider-high));
+		}
+
+		.fmd-form-slider-input {
+			position: absolute;
+			inset: 0;
+			z-index: 1;
+			width: 100%;
+			height: 100%;
+			margin: 0;
+			pointer-events: none;
+			appearance: none;
+			background: transparent;
+			accent-color: rgb(var(--fmd-accent-rgb));
+		}
+
+		.fmd-form-slider-input::-webkit-slider-thumb {
+			width: 1.25rem;
+			height: 1.25rem;
+			pointer-events: auto;
+			cursor: pointer;
+			appearance: none;
+			background-color: rgb(var(--fmd-accent-rgb));
+			border-radius: 50%;
+		}
+
+		.fmd-form-slider-input::-moz-range-thumb {
+			width: 1.25rem;
+			height: 1.25rem;
+			pointer-events: auto;
+			cursor: pointer;
+			background-color: rgb(var(--fmd-accent-rgb));
+			border: 0;
+			border-radius: 50%;
+		}
+
+		.fmd-form-slider-input:disabled {
+			opacity: 0.5;
+		}
+
+		.fmd-slider-bubble,
+		.fmd-slider-tick {
+			position: absolute;
+			white-space: nowrap;
+			inset-inline-start: var(--fmd-slider-percent);
+			transform: translateX(-50%);
+		}
+
+		[dir="rtl"] .fmd-slider-bubble,
+		[dir="rtl"] .fmd-slider-tick {
+			transform: translateX(50%);
+		}
+
+		.fmd-slider-bubble {
+			bottom: calc(100% + 0.375rem);
+			padding: 0.125rem 0.5rem;
+			font-size: var(--fmd-font-size-sm);
+			font-weight: var(--fmd-font-weight-medium);
+			color: rgb(var(--fmd-body-bg-rgb));
+			background-color: rgb(var(--fmd-accent-rgb));
+			border-radius: 0.375rem;
+		}
+
+		.fmd-slider-ticks {
+			position: relative;
+			height: 1.5rem;
+			margin-top: 0.5rem;
+			font-size: var(--fmd-font-size-sm);
+		}
+	`);
+
+	// Add ranking field styles
+	styleBlocks.push(`
+		/* Ranking field: reorderable list of choices */
+		.fmd-ranking-list {
+			padding: 0;
+			margin: 0;
+			list-style: none;
+		}
+
+		.fmd-ranking-item {
+			margin-bottom: 0.5rem;
+		}
+
+		.fmd-ranking-handle {
+			display: flex;
+			align-items: center;
+			gap: 0.75rem;
+			width: 100%;
+			padding: 0.75rem 1rem;
+			font: inherit;
+			color: var(--fmd-body-color);
+			text-align: start;
+			cursor: grab;
+			touch-action: none;
+			user-select: none;
+			background-color: transparent;
+			border: 1px solid var(--fmd-check-border-color);
+			border-radius: 0.5rem;
+		}
+
+		.fmd-ranking-handle:disabled {
+			cursor: default;
+			opacity: 0.5;
+		}
+
+		.fmd-ranking-position {
+			min-width: 1.5rem;
+			font-weight: var(--fmd-font-weight-medium);
+			color: rgb(var(--fmd-accent-rgb));
+		}
+
+		.fmd-ranking-item-grabbed .fmd-ranking-handle,
+		.fmd-ranking-item-dragging .fmd-ranking-handle {
+			cursor: grabbing;
+			border-color: rgb(var(--fmd-accent-rgb));
+			box-shadow: 0 0.25rem 0.75rem rgba(var(--fmd-accent-rgb), 0.25);
+		}
+	`);
+
+	// Add signature field styles
+	styleBlocks.push(`
+		/* Signature field: canvas drawn in the accent color of the scheme */
+		.fmd-signature-canvas {
+			display: block;
+			width: 100%;
+			height: 12rem;
+			color: rgb(var(--fmd-accent-rgb));
+			cursor: crosshair;
+			touch-action: none;
+			user-select: none;
+			background-color: rgba(var(--fmd-accent-rgb), 0.05);
+			border: 1px solid var(--fmd-check-border-color);
+			border-radius: 0.5rem;
+		}
+
+		.fmd-signature-canvas[aria-invalid="true"] {
+			border-color: rgb(var(--fmd-danger-rgb));
+		}
+
+		.fmd-signature.fmd-disabled .fmd-signature-canvas {
+			cursor: default;
+			opacity: 0.5;
+		}
+
+		.fmd-signature-btns {
+			display: flex;
+			justify-content: flex-end;
+			gap: 0.5rem;
+			margin-top: 0.5rem;
+		}
+
+		.fmd-signature-btns button {
+			padding: 0.25rem 0.75rem;
+			font: inherit;
+			font-size: var(--fmd-font-size-sm);
+			color: rgb(var(--fmd-accent-rgb));
+			cursor: pointer;
+			background-color: transparent;
+			border: 1px solid rgba(var(--fmd-accent-rgb), 0.5);
+			border-radius: 0.375rem;
+		}
+
+		.fmd-signature-btns button:disabled {
+			cursor: default;
+			opacity: 0.5;
+		}
+	`);
+
+	// Add save link styles
+	styleBlocks.push(`
+		/* Panel with the link to continue the form later (above the footer) */
+		.fmd-save-link {
+			position: absolute;
+			bottom: 100%;
+			right: 0;
+			width: 20rem;
+			max-width: calc(100vw - 2rem);
+			padding: 0.75rem;
+			margin-bottom: 0.5rem;
+			background-color: rgb(var(--fmd-body-bg-rgb));
+			border: 1px solid rgba(var(--fmd-accent-rgb), 0.25);
+			border-radius: 0.5rem;
+		}
+
+		.fmd-save-link[hidden] {
+			display: none;
+		}
+
+		.fmd-save-link-title {
+			display: block;
+			margin-bottom: 0.5rem;
+			font-size: 0.875rem;
+		}
+
+		.fmd-save-link-group {
+			display: flex;
+			gap: 0.5rem;
+		}
+
+		.fmd-save-link-input {
+			flex-grow: 1;
+			min-width: 0;
+		}
+
+		.fmd-save-link-qr-code {
+			display: block;
+			width: 8rem;
+			height: 8rem;
+			margin: 0.75rem auto 0;
+		}
+
+		.fmd-save-link-qr-code[hidden] {
+			display: none;
+		}
+	`);
+
+	// Add quiz styles
+	styleBlocks.push(`
+		/* Instant feedback of the quiz questions */
+		.fmd-quiz-feedback {
+			padding: 0.75rem 1rem;
+			margin-top: 1rem;
+			border-inline-start: 0.25rem solid rgb(var(--fmd-accent-rgb));
+			border-radius: 0.25rem;
+			background-color: rgba(var(--fmd-accent-rgb), 0.05);
+		}
+
+		.fmd-quiz-feedback.fmd-quiz-feedback-incorrect {
+			border-inline-start-color: rgb(var(--fmd-danger-rgb));
+			background-color: rgba(var(--fmd-danger-rgb), 0.05);
+		}
+
+		.fmd-quiz-feedback-title {
+			margin: 0;
+			font-weight: 600;
+		}
+
+		.fmd-quiz-feedback-explanation {
+			margin: 0.25rem 0 0;
+		}
+
+		.fmd-form-check.fmd-form-check-correct .fmd-form-check-label {
+			border-color: rgb(var(--fmd-accent-rgb));
+			box-shadow: 0 0 0 1px rgb(var(--fmd-accent-rgb));
+		}
+	`);
+
+	// Add keyboard shortcut styles
+	styleBlocks.push(`
+		/* Letter badges of the choices (keyboard shortcuts) */
+		.fmd-form-check-key {
+			display: inline-flex;
+			align-items: center;
+			justify-content: center;
+			flex-shrink: 0;
+			min-width: 1.375rem;
+			height: 1.375rem;
+			padding: 0 0.25rem;
+			margin-inline-end: 0.5rem;
+			font-size: 0.75rem;
+			font-weight: 600;
+			line-height: 1;
+			border: 1px solid rgba(var(--fmd-accent-rgb), 0.5);
+			border-radius: 0.25rem;
+		}
+
+		.fmd-form-str-check-input:checked + .fmd-form-check-label .fmd-form-check-key {
+			color: rgb(var(--fmd-accent-foreground-rgb));
+			background-color: rgb(var(--fmd-accent-rgb));
+		}
+	`);
+
+	// Add combobox field styles
+	styleBlocks.push(`
+		/* Combobox field: the options are virtualized, so their height is fixed */
+		.fmd-combobox {
+			position: relative;
+		}
+
+		.fmd-combobox-chips {
+			display: flex;
+			flex-wrap: wrap;
+			gap: 0.375rem;
+			padding: 0;
+			margin: 0 0 0.5rem;
+			list-style: none;
+		}
+
+		.fmd-combobox-chips:empty {
+			display: none;
+		}
+
+		.fmd-combobox-chip {
+			display: inline-flex;
+			align-items: center;
+			gap: 0.25rem;
+			max-width: 100%;
+			padding: 0.125rem 0.25rem 0.125rem 0.625rem;
+			font-size: var(--fmd-font-size-sm);
+			background-color: rgba(var(--fmd-accent-rgb), 0.1);
+			border: 1px solid rgba(var(--fmd-accent-rgb), 0.5);
+			border-radius: 1rem;
+		}
+
+		.fmd-combobox-chip-label {
+			overflow: hidden;
+			text-overflow: ellipsis;
+			white-space: nowrap;
+		}
+
+		.fmd-combobox-chip-remove {
+			padding: 0.25rem;
+			line-height: 1;
+			color: inherit;
+			cursor: pointer;
+			background-color: transparent;
+			border: 0;
+			border-radius: 50%;
+		}
+
+		.fmd-combobox-chip-remove .fmd-icon {
+			width: 0.75rem;
+			height: 0.75rem;
+		}
+
+		.fmd-combobox-chip-remove .fmd-icon path {
+			fill: currentColor;
+		}
+
+		.fmd-combobox-listbox {
+			position: absolute;
+			left: 0;
+			right: 0;
+			z-index: 2;
+			max-height: 240px;
+			margin-top: 0.25rem;
+			overflow-y: auto;
+			background-color: var(--fmd-input-bg);
+			border: var(--fmd-input-border-width) solid var(--fmd-input-border-color);
+			border-radius: var(--fmd-input-border-radius);
+			box-shadow: 0 0.5rem 1rem rgba(0, 0, 0, 0.15);
+		}
+
+		.fmd-combobox-listbox[hidden] {
+			display: none;
+		}
+
+		.fmd-combobox-spacer {
+			position: relative;
+		}
+
+		.fmd-combobox-option {
+			position: absolute;
+			left: 0;
+			right: 0;
+			height: 40px;
+			padding: 0 var(--fmd-input-padding-x);
+			overflow: hidden;
+			line-height: 40px;
+			text-overflow: ellipsis;
+			white-space: nowrap;
+			cursor: pointer;
+		}
+
+		.fmd-combobox-option[aria-selected="true"] {
+			font-weight: var(--fmd-font-weight-medium);
+			color: rgb(var(--fmd-accent-rgb));
+		}
+
+		.fmd-combobox-option-active,
+		.fmd-combobox-option:hover {
+			background-color: rgba(var(--fmd-accent-rgb), 0.1);
+		}
+
+		.fmd-combobox-message {
+			padding: 0.5rem var(--fmd-input-padding-x);
+			font-size: var(--fmd-font-size-sm);
+		}
+	`);
+
+	// Add multiple file field styles
+	styleBlocks.push(`
+		/* Multiple file field: list of chosen files with thumbnails */
+		.fmd-form-file-list {
+			padding: 0;
+			margin: 0.75rem 0 0;
+			list-style: none;
+		}
+
+		.fmd-form-file-item {
+			display: flex;
+			align-items: center;
+			gap: 0.75rem;
+			padding: 0.375rem 0.5rem;
+			border: 1px solid rgba(var(--fmd-accent-rgb), 0.25);
+			border-radius: 0.375rem;
+		}
+
+		.fmd-form-file-item + .fmd-form-file-item {
+			margin-top: 0.5rem;
+		}
+
+		.fmd-form-file-thumbnail {
+			display: flex;
+			flex-shrink: 0;
+			align-items: center;
+			justify-content: center;
+			width: 2.5rem;
+			height: 2.5rem;
+			overflow: hidden;
+			border-radius: 0.25rem;
+		}
+
+		.fmd-form-file-thumbnail img {
+			width: 100%;
+			height: 100%;
+			object-fit: cover;
+		}
+
+		.fmd-form-file-thumbnail .fmd-icon {
+			width: 1.5rem;
+			height: 1.5rem;
+		}
+
+		.fmd-form-file-thumbnail .fmd-icon path {
+			fill: rgb(var(--fmd-accent-rgb));
+		}
+
+		.fmd-form-file-name {
+			flex-grow: 1;
+			min-width: 0;
+			overflow: hidden;
+			text-overflow: ellipsis;
+			white-space: nowrap;
+		}
+
+		.fmd-form-file-remove-btn {
+			flex-shrink: 0;
+			padding: 0.375rem;
+			line-height: 1;
+			color: inherit;
+			cursor: pointer;
+			background-color: transparent;
+			border: 0;
+			border-radius: 0.25rem;
+		}
+
+		.fmd-form-file-remove-btn .fmd-icon {
+			width: 1rem;
+			height: 1rem;
+		}
+
+		.fmd-form-file-remove-btn .fmd-icon path {
+			fill: currentColor;
+		}
+	`);
+
+	// Add calculated field styles
+	styleBlocks.push(`
+		/* Calculated field: read-only result of an expression */
+		.fmd-form-calculated-output {
+			display: block;
+			min-height: 1.5em;
+			font-size: var(--fmd-font-size-lg);
+			font-weight: var(--fmd-font-weight-medium);
+			color: rgb(var(--fmd-accent-rgb));
+		}
+	`);
+
+	// Add repeatable group styles
+	styleBlocks.push(`
+		/* Repeatable groups: items with "Add another" and "Remove" buttons */
+		.fmd-repeat-item {
+			padding-bottom: 1rem;
+			margin-bottom: 1rem;
+			border-bottom: 1px solid var(--fmd-check-border-color);
+		}
+
+		.fmd-repeat-item-footer,
+		.fmd-repeat-footer {
+			display: flex;
+			width: 100%;
+		}
+
+		.fmd-repeat-item-footer {
+			justify-content: flex-end;
+		}
+
+		.fmd-repeat-add-btn:disabled,
+		.fmd-repeat-remove-btn:disabled {
+			pointer-events: none;
+			opacity: 0.5;
+		}
+	`);
+
 	// Add the font import URL
 	if (settings["font-import-url"] !== undefined) {
 		styleBlocks.push(`@import url("${settings["font-import-url"]}");`);
@@ -399,7 +1030,20 @@ const bodyTemplate = `
 
 {% if settings["footer-render"] %}
 <div class="fmd-footer">
+	{% if settings["save-link"] == "show" %}
+	<div class="fmd-save-link" role="region" aria-label="{{ translations.saveLinkBtn }}" hidden>
+		<label class="fmd-save-link-title" for="{% if settings.id %}{{ settings.id }}:{% endif %}id_save-link">{{ translations.saveLinkTitle }}</label>
+		<div class="fmd-save-link-group">
+			<input type="text" id="{% if settings.id %}{{ settings.id }}:{% endif %}id_save-link" class="fmd-save-link-input fmd-form-control" readonly>
+			<button type="button" class="fmd-save-link-copy-btn fmd-btn fmd-btn-accent fmd-btn-control">{{ translations.saveLinkCopyBtn }}</button>
+		</div>
+		<img class="fmd-save-link-qr-code" alt="{{ translations.saveLinkQRCode }}" hidden>
+	</div>
+	{% endif %}
 	<div class="fmd-footer-inner">
+		{% if settings["save-link"] == "show" %}
+		<button type="button" class="fmd-save-link-btn fmd-btn fmd-btn-accent fmd-btn-control" aria-expanded="false">{{ translations.saveLinkBtn }}</button>
+		{% endif %}
 		{% if settings["color-scheme-toggle"] == "show" %}
 		<button type="button" class="fmd-toggle-color-scheme-btn fmd-btn fmd-btn-accent fmd-btn-control fmd-btn-control-square fmd-d-flex fmd-align-items-center fmd-justify-content-center" aria-label="{{ translations.toggleColorSchemeBtn }}">
 			<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" class="fmd-icon" aria-hidden="true" focusable="false"><path fillRule="evenodd" d="M9.528 1.718a.75.75 0 0 1 .162.819A8.97 8.97 0 0 0 9 6a9 9 0 0 0 9 9 8.97 8.97 0 0 0 3.463-.69.75.75 0 0 1 .981.98 10.503 10.503 0 0 1-9.694 6.46c-5.799 0-10.5-4.7-10.5-10.5 0-4.368 2.667-8.112 6.46-9.694a.75.75 0 0 1 .818.162Z" clipRule="evenodd" /></svg>
@@ -489,6 +1133,7 @@ function createBodyTemplate(settings) {
 	settings["footer-render"] =
 		settings.footer !== "hide" &&
 		(settings["color-scheme-toggle"] === "show" ||
+			settings["save-link"] === "show" ||
 			(settings["slide-controls"] !== "hide" && settings.page !== "single") ||
 			settings["formsmd-branding"] !== "hide");
 
@@ -503,6 +1148,10 @@ function createBodyTemplate(settings) {
 			madeInLoader: getTranslation(localization, "made-in-loader"),
 			nextBtn: getTranslation(localization, "next-btn"),
 			previousBtn: getTranslation(localization, "previous-btn"),
+			saveLinkBtn: getTranslation(localization, "save-link-btn"),
+			saveLinkCopyBtn: getTranslation(localization, "save-link-copy-btn"),
+			saveLinkQRCode: getTranslation(localization, "save-link-qr-code"),
+			saveLinkTitle: getTranslation(localization, "save-link-title"),
 			toggleColorSchemeBtn: getTranslation(
 				localization,
 				"toggle-color-scheme-btn",
@@ -523,14 +1172,34 @@ function createBodyTemplate(settings) {
  * @param {Object} settings
  * @param {Object} data
  * @param {boolean} windowAndSanitize
- * @returns {{template: string, bindDivTemplates: Object}} template and bind
- * <div> templates
+ * @param {string} [shuffleSeed] - seed for the order of the shuffled slides
+ * @returns {{template: string, bindDivTemplates: Object, repeatTemplates: Object}}
+ * template, bind <div> templates and repeatable group templates
  */
-function createContentTemplate(template, settings, data, windowAndSanitize) {
+function createContentTemplate(
+	template,
+	settings,
+	data,
+	windowAndSanitize,
+	shuffleSeed = "",
+) {
+	// Bind the end slides to the quiz score (if the quiz setting is used)
+	if (settings.quiz === "true" && settings.page !== "single") {
+		template = bindEndSlides(template, settings["slide-delimiter"], [
+			"_score",
+			"_max_score",
+		]);
+	}
+
 	// Parse <div> elements
-	const parsedTemplateWithDivs = parseDivs(template, settings["css-prefix"]);
+	const parsedTemplateWithDivs = parseDivs(
+		template,
+		settings["css-prefix"],
+		settings.localization,
+	);
 	template = parsedTemplateWithDivs.template;
 	const bindDivTemplates = parsedTemplateWithDivs.bindDivTemplates;
+	const repeatTemplates = parsedTemplateWithDivs.repeatTemplates;
 
 	// Parse bind <span> elements
 	template = parseBindSpans(template);
@@ -550,6 +1219,7 @@ function createContentTemplate(template, settings, data, windowAndSanitize) {
 			},
 			settings.localization,
 			settings["slide-delimiter"],
+			shuffleSeed,
 		);
 
 		// Store slide definitions in settings for later use
@@ -599,6 +1269,7 @@ function createContentTemplate(template, settings, data, windowAndSanitize) {
 	return {
 		template: template,
 		bindDivTemplates: bindDivTemplates,
+		repeatTemplates: repeatTemplates,
 	};
 }
 
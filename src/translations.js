@@ -2,6 +2,11 @@ const translations = {
 	en: {
 		"choice-field-required": "Please select an item in the list.",
 		"choose-many-text": "Choose as many as you like",
+		"combobox-chip-remove": "Remove {label}",
+		"combobox-loading": "Loading options…",
+		"combobox-no-results": "No results found",
+		"combobox-results": "{count} results available",
+		"combobox-selected": "Selected options",
 		"copy-btn": "Copy",
 		"copy-btn-success": "Copied",
 		"country-calling-code-label": "Country calling code",
@@ -12,12 +17,21 @@ const translations = {
 		"file-input-change": "Change",
 		"file-input-choose":
 			'<strong class="fmd-text-accent">choose file</strong><span class="fmd-xs:d-none"> or drag here</span>',
+		"file-input-choose-multiple":
+			'<strong class="fmd-text-accent">choose files</strong><span class="fmd-xs:d-none"> or drag here</span>',
 		"file-input-clear-check":
 			'Clear<span class="fmd-visually-hidden"> current file</span>',
 		"file-input-currently": "Currently",
+		"file-input-max-files": "Max files",
+		"file-input-max-files-error": "You can choose up to {max} files.",
+		"file-input-remove-btn": "Remove {name}",
+		"file-input-required-error": "Please choose at least one file.",
 		"file-input-reset-btn": "Remove chosen file",
 		"file-input-size-error": "File exceeds the size limit.",
 		"file-input-size-limit": "Size limit",
+		"file-input-total": "total",
+		"file-input-total-size-error": "Files exceed the total size limit.",
+		"file-input-type-error": "{name} is not an accepted file type.",
 		"form-submit-btn": "OK",
 		"form-submitted-title": "Thank you",
 		"form-submitted-subtitle": "Your response has been recorded.",
@@ -27,6 +41,7 @@ const translations = {
 		"made-in-btn": 'Made in <strong class="fmd-antialiased">Forms.md</strong>',
 		"made-in-loader":
 			'<div class="fmd-specific-fs-14">Made in</div><div class="fmd-specific-fs-20 fmd-text-emphasis"><strong>Forms.md</strong></div>',
+		"matrix-field-required": "Please make a selection in every row.",
 		"next-btn": "Next",
 		"nps-label-end": "Extremely likely",
 		"nps-label-start": "Not likely at all",
@@ -35,10 +50,33 @@ const translations = {
 		"page-progress": "Page progress (%)",
 		"phone-number-label": "Phone number",
 		"previous-btn": "Previous",
+		"quiz-correct": "Correct!",
+		"quiz-incorrect": "Incorrect",
+		"ranking-cancelled":
+			"{item}, cancelled. Returned to position {position} of {total}.",
+		"ranking-dropped": "{item}, dropped at position {position} of {total}.",
+		"ranking-grabbed":
+			"{item}, picked up. Current position {position} of {total}.",
+		"ranking-instructions":
+			"Press space or enter to pick up an item, use the arrow keys to move it, then press space or enter again to drop it. Press escape to cancel.",
+		"ranking-moved": "{item}, moved to position {position} of {total}.",
+		"repeat-add-btn": "Add another",
+		"repeat-remove-btn": "Remove",
 		"required": "required",
 		"restart-btn": "Restart",
+		"save-link-btn": "Save and continue later",
+		"save-link-copied": "Link copied",
+		"save-link-copy-btn": "Copy link",
+		"save-link-qr-code": "QR code of the link",
+		"save-link-title": "Copy this link to continue on any device.",
 		"select-box-placeholder": "Select an option",
+		"signature-clear-btn": "Clear",
+		"signature-field-required": "Please add your signature.",
+		"signature-undo-btn": "Undo",
 		"slide-error": "Error!",
+		"slider-max-label": "Maximum",
+		"slider-min-label": "Minimum",
+		"slider-range-invalid": "The minimum cannot be greater than the maximum.",
 		"star-plural": "stars",
 		"star-singular": "star",
 		"start-btn": "Start",
@@ -54,6 +92,11 @@ const translations = {
 	ar: {
 		"choice-field-required": "الرجاء اختيار عنصر من القائمة.",
 		"choose-many-text": "اختر ما تريد",
+		"combobox-chip-remove": "إزالة {label}",
+		"combobox-loading": "جارٍ تحميل الخيارات…",
+		"combobox-no-results": "لم يتم العثور على نتائج",
+		"combobox-results": "{count} نتائج متاحة",
+		"combobox-selected": "الخيارات المحددة",
 		"copy-btn": "نسخ",
 		"copy-btn-success": "تم النسخ",
 		"country-calling-code-label": "رمز الاتصال الدولي",
@@ -64,12 +107,22 @@ const translations = {
 		"file-input-change": "تغيير",
 		"file-input-choose":
 			'<strong class="fmd-text-accent">اختر ملفاً</strong><span class="fmd-xs:d-none"> أو اسحب إلى هنا</span>',
+		"file-input-choose-multiple":
+			'<strong class="fmd-text-accent">اختر ملفات</strong><span class="fmd-xs:d-none"> أو اسحب إلى هنا</span>',
 		"file-input-clear-check":
 			'مسح<span class="fmd-visually-hidden"> الملف الحالي</span>',
 		"file-input-currently": "حالياً",
+		"file-input-max-files": "الحد الأقصى للملفات",
+		"file-input-max-files-error": "يمكنك اختيار {max} ملفات كحد أقصى.",
+		"file-input-remove-btn": "إزالة {name}",
+		"file-input-required-error": "الرجاء اختيار ملف واحد على الأقل.",
 		"file-input-reset-btn": "إزالة الملف المختار",
 		"file-input-size-error": "الملف يتجاوز الحد المسموح به للحجم.",
 		"file-input-size-limit": "حد الحجم",
+		"file-input-total": "الإجمالي",
+		"file-input-total-size-error":
+			"الملفات تتجاوز الحد الإجمالي المسموح به للحجم.",
+		"file-input-type-error": "{name} ليس من أنواع الملفات المقبولة.",
 		"form-submit-btn": "موافق",
 		"form-submitted-title": "شكراً",
 		"form-submitted-subtitle": "تم تسجيل إجابتك.",
@@ -79,6 +132,7 @@ const translations = {
 		"made-in-btn": 'صنع في <strong class="fmd-antialiased">Forms.md</strong>',
 		"made-in-loader":
 			'<div class="fmd-specific-fs-14">صنع في</div><div class="fmd-specific-fs-20 fmd-text-emphasis"><strong>Forms.md</strong></div>',
+		"matrix-field-required": "الرجاء الاختيار في كل صف.",
 		"next-btn": "التالي",
 		"nps-label-end": "محتمل جداً",
 		"nps-label-start": "غير محتمل إطلاقاً",
@@ -87,10 +141,33 @@ const translations = {
 		"page-progress": "تقدم الصفحة (%)",
 		"phone-number-label": "رقم الهاتف",
 		"previous-btn": "السابق",
+		"quiz-correct": "إجابة صحيحة!",
+		"quiz-incorrect": "إجابة خاطئة",
+		"ranking-cancelled":
+			"{item}، تم الإلغاء. أُعيد إلى الموضع {position} من {total}.",
+		"ranking-dropped": "{item}، تم الإفلات في الموضع {position} من {total}.",
+		"ranking-grabbed":
+			"{item}، تم الالتقاط. الموضع الحالي {position} من {total}.",
+		"ranking-instructions":
+			"اضغط على مفتاح المسافة أو الإدخال لالتقاط عنصر، واستخدم مفاتيح الأسهم لتحريكه، ثم اضغط على المسافة أو الإدخال مرة أخرى لإفلاته. اضغط على مفتاح الهروب للإلغاء.",
+		"ranking-moved": "{item}، تم النقل إلى الموضع {position} من {total}.",
+		"repeat-add-btn": "إضافة آخر",
+		"repeat-remove-btn": "إزالة",
 		"required": "مطلوب",
 		"restart-btn": "إعادة البدء",
+		"save-link-btn": "احفظ وتابع لاحقًا",
+		"save-link-copied": "تم نسخ الرابط",
+		"save-link-copy-btn": "نسخ الرابط",
+		"save-link-qr-code": "رمز QR للرابط",
+		"save-link-title": "انسخ هذا الرابط للمتابعة على أي جهاز.",
 		"select-box-placeholder": "اختر خياراً",
+		"signature-clear-btn": "مسح",
+		"signature-field-required": "الرجاء إضافة توقيعك.",
+		"signature-undo-btn": "تراجع",
 		"slide-error": "خطأ!",
+		"slider-max-label": "الحد الأقصى",
+		"slider-min-label": "الحد الأدنى",
+		"slider-range-invalid": "لا يمكن أن يكون الحد الأدنى أكبر من الحد الأقصى.",
 		"star-plural": "نجوم",
 		"star-singular": "نجمة",
 		"start-btn": "ابدأ",
@@ -104,6 +181,11 @@ const translations = {
 	bn: {
 		"choice-field-required": "অনুগ্রহ করে একটি আইটেম নির্বাচন করুন।",
 		"choose-many-text": "এক বা একাধিক নির্বাচন করুন",
+		"combobox-chip-remove": "{label} সরান",
+		"combobox-loading": "অপশনগুলো লোড হচ্ছে…",
+		"combobox-no-results": "কোনো ফলাফল পাওয়া যায়নি",
+		"combobox-results": "{count}টি ফলাফল পাওয়া গেছে",
+		"combobox-selected": "নির্বাচিত অপশনগুলো",
 		"copy-btn": "কপি",
 		"copy-btn-success": "সম্পন্ন",
 		"country-calling-code-label": "দেশের কলিং কোড",
@@ -115,12 +197,22 @@ const translations = {
 		"file-input-change": "পালটান",
 		"file-input-choose":
 			'<strong class="fmd-text-accent">ফাইল বেছে নিন</strong><span class="fmd-xs:d-none"> বা এখানে টেনে আনুন</span>',
+		"file-input-choose-multiple":
+			'<strong class="fmd-text-accent">ফাইলগুলো বেছে নিন</strong><span class="fmd-xs:d-none"> বা এখানে টেনে আনুন</span>',
 		"file-input-clear-check":
 			'সাফ<span class="fmd-visually-hidden"> করুন বর্তমান ফাইল</span>',
 		"file-input-currently": "বর্তমানে",
+		"file-input-max-files": "সর্বোচ্চ ফাইল",
+		"file-input-max-files-error":
+			"আপনি সর্বোচ্চ {max}টি ফাইল বেছে নিতে পারবেন।",
+		"file-input-remove-btn": "{name} সরান",
+		"file-input-required-error": "অনুগ্রহ করে অন্তত একটি ফাইল বেছে নিন।",
 		"file-input-reset-btn": "নির্বাচিত ফাইল সরান",
 		"file-input-size-error": "ফাইলের সাইজ সীমা ছাড়িয়ে গেছে।",
 		"file-input-size-limit": "সাইজ লিমিট",
+		"file-input-total": "মোট",
+		"file-input-total-size-error": "ফাইলগুলোর মোট সাইজ সীমা ছাড়িয়ে গেছে।",
+		"file-input-type-error": "{name} গ্রহণযোগ্য ফাইল টাইপ নয়।",
 		"form-submit-btn": "ওকে",
 		"form-submitted-title": "ধন্যবাদ",
 		"form-submitted-subtitle": "আপনার জবাব রেকর্ড করা হয়েছে।",
@@ -130,6 +222,7 @@ const translations = {
 		"made-in-btn": '<strong class="fmd-antialiased">Forms.md</strong> তে তৈরি',
 		"made-in-loader":
 			'<div class="fmd-specific-fs-20 fmd-text-emphasis"><strong>Forms.md</strong></div><div class="fmd-specific-fs-14">তে তৈরি</div>',
+		"matrix-field-required": "প্রতিটি সারিতে একটি নির্বাচন করুন।",
 		"next-btn": "পরবর্তী",
 		"nps-label-end": "অত্যন্ত সম্ভাবনাময়",
 		"nps-label-start": "কোনো সম্ভাবনা নেই",
@@ -138,10 +231,36 @@ const translations = {
 		"page-progress": "পৃষ্ঠার অগ্রগতি (%)",
 		"phone-number-label": "ফোন নম্বর",
 		"previous-btn": "পূর্ববর্তী",
+		"quiz-correct": "সঠিক উত্তর!",
+		"quiz-incorrect": "ভুল উত্তর",
+		"ranking-cancelled":
+			"{item}, বাতিল করা হয়েছে। {total}টির মধ্যে {position} নম্বর অবস্থানে ফেরত দেওয়া হয়েছে।",
+		"ranking-dropped":
+			"{item}, {total}টির মধ্যে {position} নম্বর অবস্থানে রাখা হয়েছে।",
+		"ranking-grabbed":
+			"{item}, তোলা হয়েছে। বর্তমান অবস্থান {total}টির মধ্যে {position}।",
+		"ranking-instructions":
+			"একটি আইটেম তুলতে স্পেস বা এন্টার চাপুন, সরাতে তীর কী ব্যবহার করুন, তারপর রাখতে আবার স্পেস বা এন্টার চাপুন। বাতিল করতে এস্কেপ চাপুন।",
+		"ranking-moved":
+			"{item}, {total}টির মধ্যে {position} নম্বর অবস্থানে সরানো হয়েছে।",
+		"repeat-add-btn": "আরেকটি যোগ করুন",
+		"repeat-remove-btn": "সরান",
 		"required": "প্রয়োজন",
 		"restart-btn": "আবার শুরু",
+		"save-link-btn": "সংরক্ষণ করুন এবং পরে চালিয়ে যান",
+		"save-link-copied": "লিঙ্ক কপি হয়েছে",
+		"save-link-copy-btn": "লিঙ্ক কপি করুন",
+		"save-link-qr-code": "লিঙ্কের QR কোড",
+		"save-link-title": "যেকোনো ডিভাইসে চালিয়ে যেতে এই লিঙ্কটি কপি করুন।",
 		"select-box-placeholder": "যেকোনো একটি নির্বাচন করুন",
+		"signature-clear-btn": "মুছুন",
+		"signature-field-required": "অনুগ্রহ করে আপনার স্বাক্ষর যোগ করুন।",
+		"signature-undo-btn": "পূর্বাবস্থায় ফেরান",
 		"slide-error": "ভুল হয়েছে!",
+		"slider-max-label": "সর্বোচ্চ",
+		"slider-min-label": "সর্বনিম্ন",
+		"slider-range-invalid":
+			"সর্বনিম্ন মান সর্বোচ্চ মানের চেয়ে বেশি হতে পারে না।",
 		"star-plural": "স্টার",
 		"star-singular": "স্টার",
 		"start-btn": "শুরু",
@@ -155,6 +274,11 @@ const translations = {
 	de: {
 		"choice-field-required": "Bitte wählen Sie einen Eintrag aus der Liste.",
 		"choose-many-text": "Wählen Sie so viele wie Sie möchten",
+		"combobox-chip-remove": "{label} entfernen",
+		"combobox-loading": "Optionen werden geladen…",
+		"combobox-no-results": "Keine Ergebnisse gefunden",
+		"combobox-results": "{count} Ergebnisse verfügbar",
+		"combobox-selected": "Ausgewählte Optionen",
 		"copy-btn": "Kopieren",
 		"copy-btn-success": "Kopiert",
 		"country-calling-code-label": "Ländervorwahl",
@@ -165,12 +289,22 @@ const translations = {
 		"file-input-change": "Ändern",
 		"file-input-choose":
 			'<strong class="fmd-text-accent">Datei auswählen</strong><span class="fmd-xs:d-none"> oder hierher ziehen</span>',
+		"file-input-choose-multiple":
+			'<strong class="fmd-text-accent">Dateien auswählen</strong><span class="fmd-xs:d-none"> oder hierher ziehen</span>',
 		"file-input-clear-check":
 			'Löschen<span class="fmd-visually-hidden"> aktuelle Datei</span>',
 		"file-input-currently": "Aktuell",
+		"file-input-max-files": "Max. Dateien",
+		"file-input-max-files-error": "Sie können bis zu {max} Dateien auswählen.",
+		"file-input-remove-btn": "{name} entfernen",
+		"file-input-required-error": "Bitte wählen Sie mindestens eine Datei aus.",
 		"file-input-reset-btn": "Ausgewählte Datei entfernen",
 		"file-input-size-error": "Datei überschreitet das Größenlimit.",
 		"file-input-size-limit": "Größenlimit",
+		"file-input-total": "gesamt",
+		"file-input-total-size-error":
+			"Dateien überschreiten das Gesamtgrößenlimit.",
+		"file-input-type-error": "{name} ist kein akzeptierter Dateityp.",
 		"form-submit-btn": "OK",
 		"form-submitted-title": "Vielen Dank",
 		"form-submitted-subtitle": "Ihre Antwort wurde gespeichert.",
@@ -181,6 +315,7 @@ const translations = {
 			'Erstellt mit <strong class="fmd-antialiased">Forms.md</strong>',
 		"made-in-loader":
 			'<div class="fmd-specific-fs-14">Erstellt mit</div><div class="fmd-specific-fs-20 fmd-text-emphasis"><strong>Forms.md</strong></div>',
+		"matrix-field-required": "Bitte treffen Sie in jeder Zeile eine Auswahl.",
 		"next-btn": "Weiter",
 		"nps-label-end": "Äußerst wahrscheinlich",
 		"nps-label-start": "Überhaupt nicht wahrscheinlich",
@@ -189,10 +324,35 @@ const translations = {
 		"page-progress": "Seitenfortschritt (%)",
 		"phone-number-label": "Telefonnummer",
 		"previous-btn": "Zurück",
+		"quiz-correct": "Richtig!",
+		"quiz-incorrect": "Falsch",
+		"ranking-cancelled":
+			"{item}, abgebrochen. Zurück auf Position {position} von {total}.",
+		"ranking-dropped": "{item}, abgelegt auf Position {position} von {total}.",
+		"ranking-grabbed":
+			"{item}, aufgenommen. Aktuelle Position {position} von {total}.",
+		"ranking-instructions":
+			"Drücken Sie die Leertaste oder Eingabetaste, um ein Element aufzunehmen, verschieben Sie es mit den Pfeiltasten und drücken Sie erneut die Leertaste oder Eingabetaste, um es abzulegen. Drücken Sie Escape, um abzubrechen.",
+		"ranking-moved": "{item}, verschoben auf Position {position} von {total}.",
+		"repeat-add-btn": "Weitere hinzufügen",
+		"repeat-remove-btn": "Entfernen",
 		"required": "erforderlich",
 		"restart-btn": "Neustart",
+		"save-link-btn": "Speichern und später fortfahren",
+		"save-link-copied": "Link kopiert",
+		"save-link-copy-btn": "Link kopieren",
+		"save-link-qr-code": "QR-Code des Links",
+		"save-link-title":
+			"Kopieren Sie diesen Link, um auf einem beliebigen Gerät fortzufahren.",
 		"select-box-placeholder": "Option auswählen",
+		"signature-clear-btn": "Löschen",
+		"signature-field-required": "Bitte fügen Sie Ihre Unterschrift hinzu.",
+		"signature-undo-btn": "Rückgängig",
 		"slide-error": "Fehler!",
+		"slider-max-label": "Maximum",
+		"slider-min-label": "Minimum",
+		"slider-range-invalid":
+			"Das Minimum darf nicht größer als das Maximum sein.",
 		"star-plural": "Sterne",
 		"star-singular": "Stern",
 		"start-btn": "Start",
@@ -206,6 +366,11 @@ const translations = {
 	es: {
 		"choice-field-required": "Por favor seleccione un artículo en la lista.",
 		"choose-many-text": "Elige tantos como quieras",
+		"combobox-chip-remove": "Eliminar {label}",
+		"combobox-loading": "Cargando opciones…",
+		"combobox-no-results": "No se encontraron resultados",
+		"combobox-results": "{count} resultados disponibles",
+		"combobox-selected": "Opciones seleccionadas",
 		"copy-btn": "Copiar",
 		"copy-btn-success": "Copiado",
 		"country-calling-code-label": "Código de llamada del país",
@@ -216,12 +381,22 @@ const translations = {
 		"file-input-change": "Cambiar",
 		"file-input-choose":
 			'<strong class="fmd-text-accent">elige el archivo</strong><span class="fmd-xs:d-none"> o arrastra aquí</span>',
+		"file-input-choose-multiple":
+			'<strong class="fmd-text-accent">elige los archivos</strong><span class="fmd-xs:d-none"> o arrastra aquí</span>',
 		"file-input-clear-check":
 			'Borrar<span class="fmd-visually-hidden"> el archivo actual</span>',
 		"file-input-currently": "Actualmente",
+		"file-input-max-files": "Máximo de archivos",
+		"file-input-max-files-error": "Puedes elegir hasta {max} archivos.",
+		"file-input-remove-btn": "Eliminar {name}",
+		"file-input-required-error": "Por favor elige al menos un archivo.",
 		"file-input-reset-btn": "Eliminar el archivo elegido",
 		"file-input-size-error": "El archivo excede el límite de tamaño.",
 		"file-input-size-limit": "Límite de tamaño",
+		"file-input-total": "total",
+		"file-input-total-size-error":
+			"Los archivos exceden el límite de tamaño total.",
+		"file-input-type-error": "{name} no es un tipo de archivo aceptado.",
 		"form-submit-btn": "OK",
 		"form-submitted-title": "Gracias",
 		"form-submitted-subtitle": "Su respuesta ha quedado registrada.",
@@ -232,6 +407,7 @@ const translations = {
 			'Fabricado en <strong class="fmd-antialiased">Forms.md</strong>',
 		"made-in-loader":
 			'<div class="fmd-specific-fs-14">Fabricado en</div><div class="fmd-specific-fs-20 fmd-text-emphasis"><strong>Forms.md</strong></div>',
+		"matrix-field-required": "Por favor, haga una selección en cada fila.",
 		"next-btn": "Siguiente",
 		"nps-label-end": "Extremadamente probable",
 		"nps-label-start": "Nada probable",
@@ -240,10 +416,34 @@ const translations = {
 		"page-progress": "Progreso de la página (%)",
 		"phone-number-label": "Número de teléfono",
 		"previous-btn": "Anterior",
+		"quiz-correct": "¡Correcto!",
+		"quiz-incorrect": "Incorrecto",
+		"ranking-cancelled":
+			"{item}, cancelado. Devuelto a la posición {position} de {total}.",
+		"ranking-dropped": "{item}, soltado en la posición {position} de {total}.",
+		"ranking-grabbed":
+			"{item}, seleccionado. Posición actual {position} de {total}.",
+		"ranking-instructions":
+			"Pulse espacio o intro para seleccionar un elemento, use las teclas de flecha para moverlo y vuelva a pulsar espacio o intro para soltarlo. Pulse escape para cancelar.",
+		"ranking-moved": "{item}, movido a la posición {position} de {total}.",
+		"repeat-add-btn": "Añadir otro",
+		"repeat-remove-btn": "Eliminar",
 		"required": "obligatorio",
 		"restart-btn": "Reinicie",
+		"save-link-btn": "Guardar y continuar más tarde",
+		"save-link-copied": "Enlace copiado",
+		"save-link-copy-btn": "Copiar enlace",
+		"save-link-qr-code": "Código QR del enlace",
+		"save-link-title":
+			"Copia este enlace para continuar en cualquier dispositivo.",
 		"select-box-placeholder": "Seleccione una opción",
+		"signature-clear-btn": "Borrar",
+		"signature-field-required": "Por favor, añada su firma.",
+		"signature-undo-btn": "Deshacer",
 		"slide-error": "¡Error!",
+		"slider-max-label": "Máximo",
+		"slider-min-label": "Mínimo",
+		"slider-range-invalid": "El mínimo no puede ser mayor que el máximo.",
 		"star-plural": "estrellas",
 		"star-singular": "estrella",
 		"start-btn": "Comenzar",
@@ -257,6 +457,11 @@ const translations = {
 	fr: {
 		"choice-field-required": "Veuillez sélectionner un élément dans la liste.",
 		"choose-many-text": "Choisissez autant que vous le souhaitez",
+		"combobox-chip-remove": "Supprimer {label}",
+		"combobox-loading": "Chargement des options…",
+		"combobox-no-results": "Aucun résultat trouvé",
+		"combobox-results": "{count} résultats disponibles",
+		"combobox-selected": "Options sélectionnées",
 		"copy-btn": "Copier",
 		"copy-btn-success": "Copié",
 		"country-calling-code-label": "Indicatif téléphonique du pays",
@@ -267,12 +472,22 @@ const translations = {
 		"file-input-change": "Modifier",
 		"file-input-choose":
 			'<strong class="fmd-text-accent">choisir un fichier</strong><span class="fmd-xs:d-none"> ou déposer ici</span>',
+		"file-input-choose-multiple":
+			'<strong class="fmd-text-accent">choisir des fichiers</strong><span class="fmd-xs:d-none"> ou déposer ici</span>',
 		"file-input-clear-check":
 			'Effacer<span class="fmd-visually-hidden"> le fichier actuel</span>',
 		"file-input-currently": "Actuellement",
+		"file-input-max-files": "Fichiers max.",
+		"file-input-max-files-error": "Vous pouvez choisir jusqu'à {max} fichiers.",
+		"file-input-remove-btn": "Supprimer {name}",
+		"file-input-required-error": "Veuillez choisir au moins un fichier.",
 		"file-input-reset-btn": "Supprimer le fichier choisi",
 		"file-input-size-error": "Le fichier dépasse la limite de taille.",
 		"file-input-size-limit": "Limite de taille",
+		"file-input-total": "total",
+		"file-input-total-size-error":
+			"Les fichiers dépassent la limite de taille totale.",
+		"file-input-type-error": "{name} n'est pas un type de fichier accepté.",
 		"form-submit-btn": "OK",
 		"form-submitted-title": "Merci",
 		"form-submitted-subtitle": "Votre réponse a été enregistrée.",
@@ -283,6 +498,7 @@ const translations = {
 			'Créé avec <strong class="fmd-antialiased">Forms.md</strong>',
 		"made-in-loader":
 			'<div class="fmd-specific-fs-14">Créé avec</div><div class="fmd-specific-fs-20 fmd-text-emphasis"><strong>Forms.md</strong></div>',
+		"matrix-field-required": "Veuillez faire une sélection dans chaque ligne.",
 		"next-btn": "Suivant",
 		"nps-label-end": "Extrêmement probable",
 		"nps-label-start": "Pas du tout probable",
@@ -291,10 +507,34 @@ const translations = {
 		"page-progress": "Progression de la page (%)",
 		"phone-number-label": "Numéro de téléphone",
 		"previous-btn": "Précédent",
+		"quiz-correct": "Correct !",
+		"quiz-incorrect": "Incorrect",
+		"ranking-cancelled":
+			"{item}, annulé. Remis à la position {position} sur {total}.",
+		"ranking-dropped": "{item}, déposé à la position {position} sur {total}.",
+		"ranking-grabbed":
+			"{item}, saisi. Position actuelle {position} sur {total}.",
+		"ranking-instructions":
+			"Appuyez sur espace ou entrée pour saisir un élément, utilisez les flèches pour le déplacer, puis appuyez à nouveau sur espace ou entrée pour le déposer. Appuyez sur échap pour annuler.",
+		"ranking-moved": "{item}, déplacé à la position {position} sur {total}.",
+		"repeat-add-btn": "Ajouter un autre",
+		"repeat-remove-btn": "Supprimer",
 		"required": "requis",
 		"restart-btn": "Recommencer",
+		"save-link-btn": "Enregistrer et continuer plus tard",
+		"save-link-copied": "Lien copié",
+		"save-link-copy-btn": "Copier le lien",
+		"save-link-qr-code": "Code QR du lien",
+		"save-link-title":
+			"Copiez ce lien pour continuer sur n'importe quel appareil.",
 		"select-box-placeholder": "Sélectionnez une option",
+		"signature-clear-btn": "Effacer",
+		"signature-field-required": "Veuillez ajouter votre signature.",
+		"signature-undo-btn": "Annuler",
 		"slide-error": "Erreur !",
+		"slider-max-label": "Maximum",
+		"slider-min-label": "Minimum",
+		"slider-range-invalid": "Le minimum ne peut pas être supérieur au maximum.",
 		"star-plural": "étoiles",
 		"star-singular": "étoile",
 		"start-btn": "Commencer",
@@ -308,6 +548,11 @@ const translations = {
 	ja: {
 		"choice-field-required": "リストからアイテムを選択してください。",
 		"choose-many-text": "好きなだけ選択してください",
+		"combobox-chip-remove": "{label}を削除",
+		"combobox-loading": "選択肢を読み込み中…",
+		"combobox-no-results": "結果が見つかりません",
+		"combobox-results": "{count}件の結果があります",
+		"combobox-selected": "選択したオプション",
 		"copy-btn": "コピー",
 		"copy-btn-success": "コピーしました",
 		"country-calling-code-label": "国番号",
@@ -318,12 +563,21 @@ const translations = {
 		"file-input-change": "変更",
 		"file-input-choose":
 			'<strong class="fmd-text-accent">ファイルを選択</strong><span class="fmd-xs:d-none"> またはここにドラッグ</span>',
+		"file-input-choose-multiple":
+			'<strong class="fmd-text-accent">ファイルを選択</strong><span class="fmd-xs:d-none"> またはここにドラッグ</span>',
 		"file-input-clear-check":
 			'クリア<span class="fmd-visually-hidden"> 現在のファイル</span>',
 		"file-input-currently": "現在",
+		"file-input-max-files": "最大ファイル数",
+		"file-input-max-files-error": "選択できるファイルは最大{max}個です。",
+		"file-input-remove-btn": "{name}を削除",
+		"file-input-required-error": "ファイルを1つ以上選択してください。",
 		"file-input-reset-btn": "選択したファイルを削除",
 		"file-input-size-error": "ファイルサイズが制限を超えています。",
 		"file-input-size-limit": "サイズ制限",
+		"file-input-total": "合計",
+		"file-input-total-size-error": "ファイルが合計サイズの上限を超えています。",
+		"file-input-type-error": "{name}は受け付けられないファイル形式です。",
 		"form-submit-btn": "オッケー",
 		"form-submitted-title": "ありがとうございます",
 		"form-submitted-subtitle": "回答を記録しました。",
@@ -333,6 +587,7 @@ const translations = {
 		"made-in-btn": '<strong class="fmd-antialiased">Forms.md</strong> で作成',
 		"made-in-loader":
 			'<div class="fmd-specific-fs-14">作成：</div><div class="fmd-specific-fs-20 fmd-text-emphasis"><strong>Forms.md</strong></div>',
+		"matrix-field-required": "各行で選択してください。",
 		"next-btn": "次へ",
 		"nps-label-end": "非常にそう思う",
 		"nps-label-start": "全くそう思わない",
@@ -341,10 +596,34 @@ const translations = {
 		"page-progress": "ページの進行状況 (%)",
 		"phone-number-label": "電話番号",
 		"previous-btn": "前へ",
+		"quiz-correct": "正解！",
+		"quiz-incorrect": "不正解",
+		"ranking-cancelled":
+			"{item}、キャンセルしました。{total}件中{position}番目に戻しました。",
+		"ranking-dropped": "{item}、{total}件中{position}番目にドロップしました。",
+		"ranking-grabbed":
+			"{item}、選択しました。現在{total}件中{position}番目です。",
+		"ranking-instructions":
+			"スペースキーまたはEnterキーで項目を選択し、矢印キーで移動してから、もう一度スペースキーまたはEnterキーでドロップします。Escキーでキャンセルします。",
+		"ranking-moved": "{item}、{total}件中{position}番目に移動しました。",
+		"repeat-add-btn": "さらに追加",
+		"repeat-remove-btn": "削除",
 		"required": "必須",
 		"restart-btn": "最初から",
+		"save-link-btn": "保存して後で続ける",
+		"save-link-copied": "リンクをコピーしました",
+		"save-link-copy-btn": "リンクをコピー",
+		"save-link-qr-code": "リンクのQRコード",
+		"save-link-title":
+			"このリンクをコピーすると、どのデバイスでも続きから回答できます。",
 		"select-box-placeholder": "オプションを選択",
+		"signature-clear-btn": "クリア",
+		"signature-field-required": "署名を追加してください。",
+		"signature-undo-btn": "元に戻す",
 		"slide-error": "エラー！",
+		"slider-max-label": "最大",
+		"slider-min-label": "最小",
+		"slider-range-invalid": "最小値は最大値より大きくできません。",
 		"star-plural": "星",
 		"star-singular": "星",
 		"start-btn": "開始",
@@ -358,6 +637,11 @@ const translations = {
 	pt: {
 		"choice-field-required": "Por favor selecione um item na lista.",
 		"choose-many-text": "Escolha quantos quiser",
+		"combobox-chip-remove": "Remover {label}",
+		"combobox-loading": "Carregando opções…",
+		"combobox-no-results": "Nenhum resultado encontrado",
+		"combobox-results": "{count} resultados disponíveis",
+		"combobox-selected": "Opções selecionadas",
 		"copy-btn": "Copiar",
 		"copy-btn-success": "Copiado",
 		"country-calling-code-label": "Código de chamada do país",
@@ -368,12 +652,22 @@ const translations = {
 		"file-input-change": "Alterar",
 		"file-input-choose":
 			'<strong class="fmd-text-accent">escolher arquivo</strong><span class="fmd-xs:d-none"> ou arraste aqui</span>',
+		"file-input-choose-multiple":
+			'<strong class="fmd-text-accent">escolha os arquivos</strong><span class="fmd-xs:d-none"> ou arraste aqui</span>',
 		"file-input-clear-check":
 			'Limpar<span class="fmd-visually-hidden"> arquivo atual</span>',
 		"file-input-currently": "Atualmente",
+		"file-input-max-files": "Máximo de arquivos",
+		"file-input-max-files-error": "Você pode escolher até {max} arquivos.",
+		"file-input-remove-btn": "Remover {name}",
+		"file-input-required-error": "Por favor, escolha pelo menos um arquivo.",
 		"file-input-reset-btn": "Remover arquivo escolhido",
 		"file-input-size-error": "O arquivo excede o limite de tamanho.",
 		"file-input-size-limit": "Limite de tamanho",
+		"file-input-total": "total",
+		"file-input-total-size-error":
+			"Os arquivos excedem o limite de tamanho total.",
+		"file-input-type-error": "{name} não é um tipo de arquivo aceito.",
 		"form-submit-btn": "OK",
 		"form-submitted-title": "Obrigado",
 		"form-submitted-subtitle": "Sua resposta foi registrada.",
@@ -383,6 +677,7 @@ const translations = {
 		"made-in-btn": 'Feito em <strong class="fmd-antialiased">Forms.md</strong>',
 		"made-in-loader":
 			'<div class="fmd-specific-fs-14">Feito em</div><div class="fmd-specific-fs-20 fmd-text-emphasis"><strong>Forms.md</strong></div>',
+		"matrix-field-required": "Por favor faça uma seleção em cada linha.",
 		"next-btn": "Próximo",
 		"nps-label-end": "Extremamente provável",
 		"nps-label-start": "Nada provável",
@@ -391,10 +686,34 @@ const translations = {
 		"page-progress": "Progresso da página (%)",
 		"phone-number-label": "Número de telefone",
 		"previous-btn": "Anterior",
+		"quiz-correct": "Correto!",
+		"quiz-incorrect": "Incorreto",
+		"ranking-cancelled":
+			"{item}, cancelado. Devolvido à posição {position} de {total}.",
+		"ranking-dropped": "{item}, solto na posição {position} de {total}.",
+		"ranking-grabbed":
+			"{item}, selecionado. Posição atual {position} de {total}.",
+		"ranking-instructions":
+			"Pressione espaço ou enter para selecionar um item, use as teclas de seta para movê-lo e pressione espaço ou enter novamente para soltá-lo. Pressione escape para cancelar.",
+		"ranking-moved": "{item}, movido para a posição {position} de {total}.",
+		"repeat-add-btn": "Adicionar outro",
+		"repeat-remove-btn": "Remover",
 		"required": "obrigatório",
 		"restart-btn": "Reiniciar",
+		"save-link-btn": "Salvar e continuar depois",
+		"save-link-copied": "Link copiado",
+		"save-link-copy-btn": "Copiar link",
+		"save-link-qr-code": "Código QR do link",
+		"save-link-title":
+			"Copie este link para continuar em qualquer dispositivo.",
 		"select-box-placeholder": "Selecione uma opção",
+		"signature-clear-btn": "Limpar",
+		"signature-field-required": "Por favor, adicione sua assinatura.",
+		"signature-undo-btn": "Desfazer",
 		"slide-error": "Erro!",
+		"slider-max-label": "Máximo",
+		"slider-min-label": "Mínimo",
+		"slider-range-invalid": "O mínimo não pode ser maior que o máximo.",
 		"star-plural": "estrelas",
 		"star-singular": "estrela",
 		"start-btn": "Começar",
@@ -408,6 +727,11 @@ const translations = {
 	zh: {
 		"choice-field-required": "请从列表中选择一项。",
 		"choose-many-text": "可以选择多项",
+		"combobox-chip-remove": "移除 {label}",
+		"combobox-loading": "正在加载选项…",
+		"combobox-no-results": "未找到结果",
+		"combobox-results": "有 {count} 个结果",
+		"combobox-selected": "已选择的选项",
 		"copy-btn": "复制",
 		"copy-btn-success": "已复制",
 		"country-calling-code-label": "国家区号",
@@ -418,12 +742,21 @@ const translations = {
 		"file-input-change": "更改",
 		"file-input-choose":
 			'<strong class="fmd-text-accent">选择文件</strong><span class="fmd-xs:d-none"> 或拖放至此</span>',
+		"file-input-choose-multiple":
+			'<strong class="fmd-text-accent">选择文件</strong><span class="fmd-xs:d-none"> 或拖到此处</span>',
 		"file-input-clear-check":
 			'清除<span class="fmd-visually-hidden"> 当前文件</span>',
 		"file-input-currently": "当前",
+		"file-input-max-files": "最多文件数",
+		"file-input-max-files-error": "最多可以选择 {max} 个文件。",
+		"file-input-remove-btn": "移除 {name}",
+		"file-input-required-error": "请至少选择一个文件。",
 		"file-input-reset-btn": "移除所选文件",
 		"file-input-size-error": "文件超出大小限制。",
 		"file-input-size-limit": "大小限制",
+		"file-input-total": "总计",
+		"file-input-total-size-error": "文件超出总大小限制。",
+		"file-input-type-error": "{name} 不是可接受的文件类型。",
 		"form-submit-btn": "确定",
 		"form-submitted-title": "感谢",
 		"form-submitted-subtitle": "您的回复已记录。",
@@ -433,6 +766,7 @@ const translations = {
 		"made-in-btn": '由 <strong class="fmd-antialiased">Forms.md</strong> 制作',
 		"made-in-loader":
 			'<div class="fmd-specific-fs-14">由</div><div class="fmd-specific-fs-20 fmd-text-emphasis"><strong>Forms.md</strong></div>',
+		"matrix-field-required": "请在每一行中做出选择。",
 		"next-btn": "下一步",
 		"nps-label-end": "非常可能",
 		"nps-label-start": "完全不可能",
@@ -441,10 +775,33 @@ const translations = {
 		"page-progress": "页面进度 (%)",
 		"phone-number-label": "电话号码",
 		"previous-btn": "上一步",
+		"quiz-correct": "回答正确！",
+		"quiz-incorrect": "回答错误",
+		"ranking-cancelled":
+			"{item}，已取消。已返回到第 {position} 位，共 {total} 位。",
+		"ranking-dropped": "{item}，已放置在第 {position} 位，共 {total} 位。",
+		"ranking-grabbed":
+			"{item}，已拿起。当前位置为第 {position} 位，共 {total} 位。",
+		"ranking-instructions":
+			"按空格键或回车键拿起项目，使用方向键移动，然后再次按空格键或回车键放下。按 Esc 键取消。",
+		"ranking-moved": "{item}，已移动到第 {position} 位，共 {total} 位。",
+		"repeat-add-btn": "再添加一个",
+		"repeat-remove-btn": "移除",
 		"required": "必填",
 		"restart-btn": "重新开始",
+		"save-link-btn": "保存并稍后继续",
+		"save-link-copied": "链接已复制",
+		"save-link-copy-btn": "复制链接",
+		"save-link-qr-code": "链接的二维码",
+		"save-link-title": "复制此链接，即可在任何设备上继续填写。",
 		"select-box-placeholder": "选择一个选项",
+		"signature-clear-btn": "清除",
+		"signature-field-required": "请添加您的签名。",
+		"signature-undo-btn": "撤销",
 		"slide-error": "错误！",
+		"slider-max-label": "最大值",
+		"slider-min-label": "最小值",
+		"slider-range-invalid": "最小值不能大于最大值。",
 		"star-plural": "星",
 		"star-singular": "星",
 		"start-btn": "开始",
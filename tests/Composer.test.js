@@ -396,6 +396,46 @@ test("Number input with all parameters", () => {
 	).toBe(expectedNumberTemplate);
 });
 
+// Slider input test
+
+const expectedSliderTemplate = `
+[#slider-field .col-6 aria-label="Slider input"]
+hours* = SliderInput(
+	| question = How many hours per week?
+	| description = Pick a range
+	| disabled
+	| min = 0
+	| max = 40
+	| step = 2
+	| unitend = h
+	| range
+	| value = 10, 20
+	| ticks = 0, 20, 40
+)
+`;
+
+test("Slider input with all parameters", () => {
+	const composer = new Composer();
+	expect(
+		composer.sliderInput("hours", {
+			question: "How many hours per week?",
+			required: true,
+			description: "Pick a range",
+			disabled: true,
+			id: "slider-field",
+			classNames: ["col-6"],
+			attrs: [{ name: "aria-label", value: "Slider input" }],
+			min: 0,
+			max: 40,
+			step: 2,
+			unitEnd: "h",
+			range: true,
+			value: [10, 20],
+			ticks: [0, 20, 40],
+		}),
+	).toBe(expectedSliderTemplate);
+});
+
 // Select box test
 
 const expectedSelectTemplate = `
@@ -469,6 +509,27 @@ test("Select box with simple string options", () => {
 	).toBe(expectedSelectSimpleTemplate);
 });
 
+const expectedComboboxTemplate = `
+cities = SelectBox(
+	| question = Cities
+	| optionsurl = https://example.com/cities?q={query}
+	| multiple
+	| selected = Dhaka, Tokyo
+)
+`;
+
+test("Select box as a multiple combobox with remote options", () => {
+	const composer = new Composer();
+	expect(
+		composer.selectBox("cities", {
+			question: "Cities",
+			optionsUrl: "https://example.com/cities?q={query}",
+			multiple: true,
+			selected: ["Dhaka", "Tokyo"],
+		}),
+	).toBe(expectedComboboxTemplate);
+});
+
 // Choice input test
 
 const expectedChoiceTemplate = `
@@ -546,6 +607,145 @@ test("Choice input with simple string choices", () => {
 	).toBe(expectedChoiceSimpleTemplate);
 });
 
+// Dependent select box and choice input
+
+const expectedDependentSelectTemplate = `
+state = SelectBox(
+	| question = State
+	| dependson = country
+	| optionsmap = statesByCountry
+)
+`;
+
+const expectedDependentChoiceTemplate = `
+city = ChoiceInput(
+	| question = City
+	| dependson = state
+	| choicesmap = citiesByState
+)
+`;
+
+test("Dependent select box and choice input", () => {
+	const composer = new Composer();
+	expect(
+		composer.selectBox("state", {
+			question: "State",
+			dependsOn: "country",
+			optionsMap: "statesByCountry",
+		}),
+	).toBe(expectedDependentSelectTemplate);
+	expect(
+		composer.choiceInput("city", {
+			question: "City",
+			dependsOn: "state",
+			choicesMap: "citiesByState",
+		}),
+	).toBe(expectedDependentChoiceTemplate);
+});
+
+// Shuffled select box and choice input
+
+const expectedShuffledSelectTemplate = `
+fruit = SelectBox(
+	| question = Fruit
+	| options = Apple, Banana, Cherry, None
+	| shuffle
+	| pin = None
+)
+`;
+
+const expectedShuffledChoiceTemplate = `
+reason = ChoiceInput(
+	| question = Reason
+	| choices = Price, Quality, Other
+	| shuffle
+	| pin = Other
+)
+`;
+
+test("Shuffled select box and choice input", () => {
+	const composer = new Composer();
+	expect(
+		composer.selectBox("fruit", {
+			question: "Fruit",
+			options: ["Apple", "Banana", "Cherry", "None"],
+			shuffle: true,
+			pin: ["None"],
+		}),
+	).toBe(expectedShuffledSelectTemplate);
+	expect(
+		composer.choiceInput("reason", {
+			question: "Reason",
+			choices: ["Price", "Quality", "Other"],
+			shuffle: true,
+			pin: ["Other"],
+		}),
+	).toBe(expectedShuffledChoiceTemplate);
+});
+
+// Quiz questions
+
+const expectedQuizSettingsTemplate = `
+#! quiz = true
+#! quiz-feedback = instant
+`;
+
+const expectedQuizChoiceTemplate = `
+planets = ChoiceInput(
+	| question = Which are gas giants?
+	| choices = Mars, Jupiter, Saturn
+	| multiple
+	| correct = Jupiter, Saturn
+	| points = 2
+	| explanation = Mars is rocky.
+)
+`;
+
+const expectedQuizChoicePointsTemplate = `
+planet = ChoiceInput(
+	| question = Which is the largest?
+	| choices = Mars, Jupiter, Saturn
+	| correct = Jupiter
+	| points = 0, 2, 1
+)
+`;
+
+const expectedQuizNumberTemplate = `
+answer = NumberInput(
+	| question = What is 6 x 7?
+	| correct = 42
+)
+`;
+
+test("Quiz settings and questions", () => {
+	const composer = new Composer({ quiz: true, quizFeedback: "instant" });
+	expect(composer.template).toBe(expectedQuizSettingsTemplate);
+	expect(
+		composer.choiceInput("planets", {
+			question: "Which are gas giants?",
+			choices: ["Mars", "Jupiter", "Saturn"],
+			multiple: true,
+			correct: ["Jupiter", "Saturn"],
+			points: 2,
+			explanation: "Mars is rocky.",
+		}),
+	).toBe(expectedQuizChoiceTemplate);
+	expect(
+		composer.choiceInput("planet", {
+			question: "Which is the largest?",
+			choices: ["Mars", "Jupiter", "Saturn"],
+			correct: ["Jupiter"],
+			points: [0, 2, 1],
+		}),
+	).toBe(expectedQuizChoicePointsTemplate);
+	expect(
+		composer.numberInput("answer", {
+			question: "What is 6 x 7?",
+			correct: 42,
+		}),
+	).toBe(expectedQuizNumberTemplate);
+});
+
 // Picture choice test
 
 const expectedPictureTemplate = `
@@ -715,6 +915,82 @@ test("Opinion scale with all parameters", () => {
 	).toBe(expectedOpinionTemplate);
 });
 
+// Matrix input test
+
+const expectedMatrixTemplate = `
+[#matrix-field .col-6 .xs:col-8 aria-label="Matrix input"]
+features* = MatrixInput(
+	| question = Rate each feature
+	| description = From poor to great
+	| fieldSize = sm
+	| labelStyle = classic
+	| subfield
+	| disabled
+	| autofocus
+	| rows = Speed, "ui" Design
+	| columns = "1" Poor, "2" Okay, "3" Great
+	| multiple
+	| hideformtext
+)
+`;
+
+test("Matrix input with all parameters", () => {
+	const composer = new Composer();
+	expect(
+		composer.matrixInput("features", {
+			question: "Rate each feature",
+			required: true,
+			description: "From poor to great",
+			fieldSize: "sm",
+			labelStyle: "classic",
+			subfield: true,
+			disabled: true,
+			autofocus: true,
+			id: "matrix-field",
+			classNames: ["col-6", "xs:col-8"],
+			attrs: [{ name: "aria-label", value: "Matrix input" }],
+			rows: ["Speed", { label: "Design", value: "ui" }],
+			columns: [
+				{ label: "Poor", value: "1" },
+				{ label: "Okay", value: "2" },
+				{ label: "Great", value: "3" },
+			],
+			multiple: true,
+			hideFormText: true,
+		}),
+	).toBe(expectedMatrixTemplate);
+});
+
+// Ranking input test
+
+const expectedRankingTemplate = `
+[#ranking-field .col-6 .xs:col-8 aria-label="Ranking input"]
+priorities* = RankingInput(
+	| question = Rank your priorities
+	| description = Most important first
+	| disabled
+	| choices = Price, "ux" Ease of use, Support
+	| hideformtext
+)
+`;
+
+test("Ranking input with all parameters", () => {
+	const composer = new Composer();
+	expect(
+		composer.rankingInput("priorities", {
+			question: "Rank your priorities",
+			required: true,
+			description: "Most important first",
+			disabled: true,
+			id: "ranking-field",
+			classNames: ["col-6", "xs:col-8"],
+			attrs: [{ name: "aria-label", value: "Ranking input" }],
+			choices: ["Price", { label: "Ease of use", value: "ux" }, "Support"],
+			hideFormText: true,
+		}),
+	).toBe(expectedRankingTemplate);
+});
+
 // Datetime input test
 
 const expectedDatetimeTemplate = `
@@ -887,6 +1163,142 @@ test("File input with all parameters", () => {
 	).toBe(expectedFileTemplate);
 });
 
+// Multiple file input test
+
+const expectedMultipleFileTemplate = `
+attachments = FileInput(
+	| question = Upload files
+	| sizelimit = 5
+	| accept = .pdf, image/*
+	| multiple
+	| maxfiles = 3
+	| totalsizelimit = 12
+)
+`;
+
+test("Multiple file input", () => {
+	const composer = new Composer();
+	expect(
+		composer.fileInput("attachments", {
+			question: "Upload files",
+			sizeLimit: 5,
+			accept: ".pdf, image/*",
+			multiple: true,
+			maxFiles: 3,
+			totalSizeLimit: 12,
+		}),
+	).toBe(expectedMultipleFileTemplate);
+});
+
+// Image resizing file input test
+
+const expectedResizedFileTemplate = `
+photos = FileInput(
+	| question = Upload photos
+	| imageonly
+	| maxwidth = 1600
+	| maxheight = 1200
+	| quality = 0.8
+	| format = webp
+)
+`;
+
+test("File input with image resizing", () => {
+	const composer = new Composer();
+	expect(
+		composer.fileInput("photos", {
+			question: "Upload photos",
+			imageOnly: true,
+			maxWidth: 1600,
+			maxHeight: 1200,
+			quality: 0.8,
+			format: "webp",
+		}),
+	).toBe(expectedResizedFileTemplate);
+});
+
+// Signature input test
+
+const expectedSignatureTemplate = `
+[#signature-field .col-6 aria-label="Signature input"]
+signature* = SignatureInput(
+	| question = Sign here
+	| description = Use your mouse or finger
+	| disabled
+)
+`;
+
+test("Signature input with all parameters", () => {
+	const composer = new Composer();
+	expect(
+		composer.signatureInput("signature", {
+			question: "Sign here",
+			required: true,
+			description: "Use your mouse or finger",
+			disabled: true,
+			id: "signature-field",
+			classNames: ["col-6"],
+			attrs: [{ name: "aria-label", value: "Signature input" }],
+		}),
+	).toBe(expectedSignatureTemplate);
+});
+
+// Calculated field test
+
+const expectedCalculatedTemplate = `
+[#calculated-field .col-6 .xs:col-8 aria-label="Calculated field"]
+total = Calculated(
+	| question = Total price
+	| description = Including taxes
+	| fieldSize = sm
+	| labelStyle = classic
+	| expression = quantity * price * 1.2
+	| decimals = 2
+	| hidden
+)
+`;
+
+test("Calculated field with all parameters", () => {
+	const composer = new Composer();
+	expect(
+		composer.calculated("total", {
+			question: "Total price",
+			description: "Including taxes",
+			fieldSize: "sm",
+			labelStyle: "classic",
+			id: "calculated-field",
+			classNames: ["col-6", "xs:col-8"],
+			attrs: [{ name: "aria-label", value: "Calculated field" }],
+			expression: "quantity * price * 1.2",
+			decimals: 2,
+			hidden: true,
+		}),
+	).toBe(expectedCalculatedTemplate);
+});
+
+// Hidden input test
+
+const expectedHiddenTemplate = `
+[#campaign-field]
+campaign = HiddenInput(
+	| source = url, cookie
+	| key = utm_campaign
+	| value = organic
+)
+`;
+
+test("Hidden input with all parameters", () => {
+	const composer = new Composer();
+	expect(
+		composer.hiddenInput("campaign", {
+			id: "campaign-field",
+			source: ["url", "cookie"],
+			key: "utm_campaign",
+			value: "organic",
+		}),
+	).toBe(expectedHiddenTemplate);
+});
+
 // Additional test with different form delimiter for each input type
 test("Input fields with different form delimiter", () => {
 	const composer = new Composer({ formDelimiter: "\n" });
@@ -1563,6 +1975,15 @@ test("Slide with multiple parameters and existing content", () => {
 	).toBe(expectedSlideMultipleParams);
 });
 
+const expectedSlideShuffle = `
+~ shuffle
+`;
+
+test("Slide with shuffle and empty template", () => {
+	const composer = new Composer();
+	expect(composer.slide({ shuffle: true })).toBe(expectedSlideShuffle);
+});
+
 test("Slide after only settings should not add delimiter", () => {
 	const composer = new Composer({
 		title: "Test Form",
@@ -2476,3 +2897,34 @@ test("Division with mixed attributes", () => {
 		}),
 	).toBe(expectedDivMixedAttributes);
 });
+
+// Repeatable group tests
+
+const expectedRepeatStartTemplate = `
+::: [#dependents-group .col-12 aria-label="Dependents" repeat=dependents min=1 max=5]
+`;
+
+test("Repeatable group start with all parameters", () => {
+	const composer = new Composer();
+	expect(
+		composer.repeatStart("dependents", {
+			id: "dependents-group",
+			classNames: ["col-12"],
+			attrs: [{ name: "aria-label", value: "Dependents" }],
+			min: 1,
+			max: 5,
+		}),
+	).toBe(expectedRepeatStartTemplate);
+});
+
+test("Simple repeatable group start", () => {
+	const composer = new Composer();
+	expect(composer.repeatStart("dependents")).toBe(
+		"\n::: [repeat=dependents]\n",
+	);
+});
+
+test("Repeatable group end", () => {
+	const composer = new Composer();
+	expect(composer.repeatEnd()).toBe("\n:::\n");
+});
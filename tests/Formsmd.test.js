@@ -300,6 +300,7 @@ describe("Formsmd", () => {
 			formsmd.setStateToDefaults();
 			expect(formsmd.state).toEqual({
 				bindDivTemplates: {},
+				repeatTemplates: {},
 				data: {},
 				fieldTypes: {},
 				formData: {},
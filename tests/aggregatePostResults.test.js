@@ -0,0 +1,253 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const { createNumberField } = require("../src/form-field-create");
+
+describe("aggregatePostResults", () => {
+	let container;
+
+	const createFormsmd = (options) => {
+		const formsmd = new Formsmd("# Test form", container, options);
+		formsmd.setStateToDefaults();
+		container.innerHTML = createNumberField(
+			"age",
+			false,
+			"",
+			"| value = 30",
+			"|",
+			"",
+			"en",
+		);
+		formsmd.setFormDataToState();
+		return formsmd;
+	};
+
+	beforeEach(() => {
+		container = document.createElement("div");
+		document.body.appendChild(container);
+		jest.spyOn(console, "error").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+		delete global.fetch;
+	});
+
+	test("Case 1 (single result is returned as is)", () => {
+		const formsmd = createFormsmd({});
+		const result = { ok: false, json: { errors: [{ message: "Error" }] } };
+		expect(formsmd.aggregatePostResults([result])).toBe(result);
+	});
+
+	test("Case 2 (results are merged and errors concatenated)", () => {
+		const formsmd = createFormsmd({});
+		const results = [
+			{ ok: true, json: { id: 1 } },
+			{ ok: false, json: { errors: [{ field: "age", message: "Too old" }] } },
+			{ ok: false, json: { errors: [{ message: "Rate limited" }] } },
+			{ ok: true, json: ["not", "an", "object"] },
+		];
+		const aggregated = formsmd.aggregatePostResults(results);
+		expect(aggregated.ok).toBe(false);
+		expect(aggregated.results).toBe(results);
+		expect(aggregated.json.id).toBe(1);
+		expect(formsmd.getSubmissionErrors(aggregated.json)).toEqual([
+			"age: Too old",
+			"Rate limited",
+		]);
+	});
+
+	test("Case 3 (fan out to the post url, URLs, and functions)", async () => {
+		global.fetch = jest.fn(() =>
+			Promise.resolve({
+				ok: true,
+				status: 200,
+				json: () => Promise.resolve({ sent: true }),
+			}),
+		);
+		const handler = jest.fn(() => Promise.resolve({ handled: true }));
+		const failingHandler = jest.fn(() => Promise.reject(new Error("Failed")));
+		const formsmd = createFormsmd({
+			postHeaders: { Authorization: "Bearer token" },
+			transports: [
+				{
+					url: "https://hooks.example.com/abc",
+					format: "json",
+					headers: { "X-Hook": "1" },
+				},
+				handler,
+				{ url: 123 },
+				"https://invalid.example.com",
+			],
+		});
+		expect(formsmd.options.transports.length).toBe(2);
+		formsmd.state.settings["post-url"] = "https://example.com/submit";
+
+		const result = await formsmd.postFormData(true, true);
+		expect(result.ok).toBe(true);
+		expect(result.json).toEqual({ sent: true, handled: true });
+		expect(result.results.length).toBe(3);
+
+		// Sent in parallel, so the order of the requests is not guaranteed
+		const getRequest = (url) => {
+			return global.fetch.mock.calls.find((call) => call[0] === url)[1];
+		};
+
+		// POST url keeps the default format and headers
+		const postUrlRequest = getRequest("https://example.com/submit");
+		expect(postUrlRequest.body).toBeInstanceOf(FormData);
+		expect(postUrlRequest.headers).toEqual({
+			Authorization: "Bearer token",
+		});
+
+		// Webhook uses its own format and headers
+		const webhookRequest = getRequest("https://hooks.example.com/abc");
+		expect(webhookRequest.headers).toEqual({
+			"Content-Type": "application/json",
+			"X-Hook": "1",
+		});
+		expect(JSON.parse(webhookRequest.body).age).toBe(30);
+
+		// Function receives the normalized payload
+		expect(handler.mock.calls[0][0]).toMatchObject({
+			age: 30,
+			meta: { end: true },
+		});
+
+		// Failing function fails the submission
+		formsmd.options.transports = [failingHandler];
+		delete formsmd.state.settings["post-url"];
+		expect(await formsmd.postFormData(true, false)).toEqual({
+			ok: false,
+			json: {},
+		});
+	});
+
+	test("Case 4 (failed body and cancelled transports)", async () => {
+		global.fetch = jest.fn(() =>
+			Promise.resolve({
+				ok: true,
+				status: 200,
+				json: () => Promise.resolve({}),
+			}),
+		);
+		const formsmd = createFormsmd({
+			transports: [jest.fn(() => Promise.resolve({ handled: true }))],
+		});
+		formsmd.state.settings["post-url"] = "https://example.com/submit";
+
+		// The body of the URL could not be created, e.g., reCAPTCHA error
+		jest
+			.spyOn(formsmd, "addRecaptchaToken")
+			.mockImplementation(() => Promise.reject(new Error("CAPTCHA")));
+		expect(await formsmd.postFormData(true, false)).toMatchObject({
+			ok: false,
+		});
+		expect(global.fetch).not.toHaveBeenCalled();
+		formsmd.addRecaptchaToken.mockRestore();
+
+		// Cancelled by "beforesubmit"
+		formsmd.on("beforesubmit", (e) => e.preventDefault());
+		const result = await formsmd.postFormData(true, false);
+		expect(result.ok).toBe(false);
+		expect(result.cancelled).toBe(true);
+		expect(formsmd.aggregatePostResults([{ ok: true, json: {} }])).toEqual({
+			ok: true,
+			json: {},
+		});
+		expect(
+			formsmd.aggregatePostResults([
+				{ ok: false, json: {}, cancelled: true },
+				{ ok: false, json: {} },
+			]).cancelled,
+		).toBeUndefined();
+	});
+
+	test("Case 5 (no slide error when cancelled)", async () => {
+		global.fetch = jest.fn();
+		const formsmd = createFormsmd({});
+		formsmd.state.settings["post-url"] = "https://example.com/submit";
+		container.innerHTML = [
+			'<div class="fmd-root">',
+			'<form class="fmd-slide" data-fmd-post>',
+			'<button type="submit" class="fmd-submit-btn fmd-btn-processing">OK</button>',
+			"</form>",
+			'<div class="fmd-slide"></div>',
+			"</div>",
+		].join("");
+		const [activeSlide, nextSlide] = container.querySelectorAll(".fmd-slide");
+		const handle = (nextSlideData) => {
+			formsmd.handleNextSlideSuccess(activeSlide, nextSlide, nextSlideData);
+			return new Promise((resolve) => setTimeout(resolve, 0));
+		};
+
+		formsmd.on("beforesubmit", (e) => e.preventDefault());
+		await handle({ isEndSlide: false });
+		expect(activeSlide.querySelector(".fmd-error")).toBeNull();
+		expect(container.querySelector(".fmd-btn-processing")).toBeNull();
+		formsmd.off("beforesubmit");
+
+		// Errors are shown, and the buttons are usable again
+		jest
+			.spyOn(formsmd, "postFormData")
+			.mockImplementation(() => Promise.reject(new Error("Failed")));
+		activeSlide.querySelector("button").classList.add("fmd-btn-processing");
+		await handle({ isEndSlide: false });
+		expect(activeSlide.querySelector(".fmd-error")).not.toBeNull();
+		expect(container.querySelector(".fmd-btn-processing")).toBeNull();
+	});
+
+	test("Case 6 (payloads are created once for all the transports)", async () => {
+		global.fetch = jest.fn(() =>
+			Promise.resolve({
+				ok: true,
+				status: 200,
+				json: () => Promise.resolve({}),
+			}),
+		);
+		const handler = jest.fn(() => Promise.resolve({}));
+		const formsmd = createFormsmd({
+			recaptcha: { siteKey: "site-key" },
+			transports: [
+				{ url: "https://hooks.example.com/abc", format: "json" },
+				{ url: "https://hooks.example.com/def", format: "json" },
+				handler,
+			],
+		});
+		formsmd.state.settings["post-url"] = "https://example.com/submit";
+		const createPostFormData = jest.spyOn(formsmd, "createPostFormData");
+		const createPostJSON = jest.spyOn(formsmd, "createPostJSON");
+		const executeRecaptcha = jest
+			.spyOn(formsmd, "executeRecaptcha")
+			.mockImplementation(() => Promise.resolve("token"));
+		const listener = jest.fn((e) => {
+			e.detail.payloads["form-data"].append("source", "web");
+			e.detail.payloads.json.source = "web";
+		});
+		formsmd.on("beforesubmit", listener);
+
+		const result = await formsmd.postFormData(true, true);
+		expect(result.ok).toBe(true);
+		expect(createPostFormData).toHaveBeenCalledTimes(1);
+		expect(createPostJSON).toHaveBeenCalledTimes(1);
+		expect(executeRecaptcha).toHaveBeenCalledTimes(1);
+		expect(listener).toHaveBeenCalledTimes(1);
+		expect(listener.mock.calls[0][0].detail.payload).toBeInstanceOf(FormData);
+		expect(listener.mock.calls[0][0].detail.transports.length).toBe(4);
+
+		// All the transports receive the same (mutated) payloads
+		for (const [url, request] of global.fetch.mock.calls) {
+			if (url === "https://example.com/submit") {
+				expect(request.body.get("source")).toBe("web");
+				expect(request.body.get("_captcha")).toBe("token");
+			} else {
+				expect(JSON.parse(request.body)).toMatchObject({
+					source: "web",
+					meta: { captcha: "token" },
+				});
+			}
+		}
+		expect(handler.mock.calls[0][0].source).toBe("web");
+	});
+});
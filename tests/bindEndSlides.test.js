@@ -0,0 +1,55 @@
+"use strict";
+
+const { bindEndSlides } = require("../src/slides-parse");
+
+// Case 1
+
+const template1 = `
+What is 6 x 7?
+---
+-> END
+|> 100%
+
+# {{ _score }} out of {{ _max_score }}
+
+{% if _score == _max_score %}Well done!{% elif _score >= 1 %}Almost there.{% else %}Try again.{% endif %}
+`;
+const expectedTemplate1 = `
+What is 6 x 7?
+---
+-> END
+|> 100%
+
+::: [{$ _score _max_score $}]
+# {{ _score }} out of {{ _max_score }}
+
+{% if _score == _max_score %}Well done!{% elif _score >= 1 %}Almost there.{% else %}Try again.{% endif %}
+:::
+`;
+
+test("Case 1", () => {
+	expect(bindEndSlides(template1, "---", ["_score", "_max_score"])).toBe(
+		expectedTemplate1,
+	);
+});
+
+// Case 2 (end slide with <div> elements)
+
+const template2 = `
+What is 6 x 7?
+---
+-> END
+
+::: [.fmd-text-center]
+Score: {$ _score $}
+:::
+`;
+
+test("Case 2 (end slide with <div> elements)", () => {
+	jest.spyOn(console, "warn").mockImplementation(() => {});
+	expect(bindEndSlides(template2, "---", ["_score"])).toBe(template2);
+	expect(console.warn).toHaveBeenCalledWith(
+		"[SLIDES] Slide 2: end slides with <div> elements are not bound to _score, use bind <span> elements instead.",
+	);
+	console.warn.mockRestore();
+});
@@ -0,0 +1,203 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const { createSelectField } = require("../src/form-field-create");
+
+describe("comboboxInputOnKeydown", () => {
+	let formsmd;
+	let container;
+
+	const setUp = (params, required, data) => {
+		container.innerHTML = [
+			'<form class="fmd-slide">',
+			createSelectField("product", required, "", params, "|", "", "en"),
+			'<button type="submit" class="fmd-submit-btn">OK</button>',
+			"</form>",
+		].join("");
+		formsmd.state.data = data || {};
+		formsmd.setFormDataToState();
+		formsmd.addEventListeners(container, false);
+		return container.querySelector(".fmd-form-combobox-input");
+	};
+
+	const type = (input, value) => {
+		input.value = value;
+		input.dispatchEvent(new Event("input"));
+	};
+
+	const press = (input, key) => {
+		input.dispatchEvent(new KeyboardEvent("keydown", { key: key }));
+	};
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		container = document.createElement("div");
+		document.body.appendChild(container);
+
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+		jest.useRealTimers();
+		delete global.fetch;
+	});
+
+	test("Case 1 (filter, then select with the keyboard)", () => {
+		const listener = jest.fn();
+		formsmd.on("fieldchange", listener);
+		const input = setUp("| combobox | options = Paris, Porto, Zürich", true);
+		const listbox = container.querySelector(".fmd-combobox-listbox");
+
+		type(input, "zur");
+		expect(listbox.hidden).toBe(false);
+		expect(input.getAttribute("aria-expanded")).toBe("true");
+		const options = listbox.querySelectorAll(".fmd-combobox-option");
+		expect(options.length).toBe(1);
+		expect(options[0].textContent).toBe("Zürich");
+		expect(input.getAttribute("aria-activedescendant")).toBe(
+			"id_product-option-0",
+		);
+		expect(
+			container.querySelector("[data-fmd-combobox-live]").textContent,
+		).toBe("1 results available");
+
+		press(input, "Enter");
+		expect(listbox.hidden).toBe(true);
+		expect(input.value).toBe("Zürich");
+		expect(formsmd.state.formData.product).toBe("Zürich");
+		expect(listener.mock.calls[0][0].detail).toEqual({
+			name: "product",
+			value: "Zürich",
+		});
+
+		// Open at the selected option, then move up
+		press(input, "ArrowDown");
+		expect(input.getAttribute("aria-activedescendant")).toBe(
+			"id_product-option-2",
+		);
+		press(input, "ArrowUp");
+		press(input, "Enter");
+		expect(formsmd.state.formData.product).toBe("Porto");
+
+		// Clearing the text clears the value
+		type(input, "");
+		input.dispatchEvent(new FocusEvent("focusout"));
+		expect(formsmd.state.formData.product).toBe("");
+		expect(formsmd.formValid(container.querySelector("form"))).toBe(false);
+	});
+
+	test("Case 2 (multiple chips, options from a data block)", () => {
+		const input = setUp(
+			"| multiple | optionsdata = products | selected = sku-2",
+			false,
+			{
+				products: [
+					{ value: "sku-1", label: "Blue shirt" },
+					{ value: "sku-2", label: "Red shirt" },
+					"Green shirt",
+				],
+			},
+		);
+		const chips = container.querySelector(".fmd-combobox-chips");
+		expect(chips.textContent).toContain("Red shirt");
+
+		type(input, "shirt");
+		press(input, "Enter");
+		press(input, "ArrowDown");
+		press(input, "ArrowDown");
+		press(input, "Enter");
+		expect(formsmd.state.formData.product).toEqual([
+			"sku-2",
+			"sku-1",
+			"Green shirt",
+		]);
+		expect(input.value).toBe("");
+		expect(container.querySelector(".fmd-combobox-listbox").hidden).toBe(false);
+		expect(chips.querySelectorAll(".fmd-combobox-chip").length).toBe(3);
+
+		// Remove with a chip button, then with backspace
+		chips.querySelector('[data-fmd-value="sku-2"]').click();
+		expect(formsmd.state.formData.product).toEqual(["sku-1", "Green shirt"]);
+		press(input, "Backspace");
+		expect(formsmd.state.formData.product).toEqual(["sku-1"]);
+		expect(
+			chips
+				.querySelector(".fmd-combobox-chip-remove")
+				.getAttribute("aria-label"),
+		).toBe("Remove Blue shirt");
+	});
+
+	test("Case 3 (only the options in view are rendered)", () => {
+		const products = [];
+		for (let i = 1; i <= 3000; i++) {
+			products.push(`SKU ${i}`);
+		}
+		const input = setUp("| optionsdata = products", false, {
+			products: products,
+		});
+		const listbox = container.querySelector(".fmd-combobox-listbox");
+
+		input.click();
+		let options = listbox.querySelectorAll(".fmd-combobox-option");
+		expect(options.length).toBe(16);
+		expect(options[0].getAttribute("aria-setsize")).toBe("3000");
+		expect(listbox.querySelector(".fmd-combobox-spacer").style.height).toBe(
+			"120000px",
+		);
+
+		press(input, "ArrowDown");
+		for (let i = 0; i < 50; i++) {
+			press(input, "PageDown");
+		}
+		options = listbox.querySelectorAll(".fmd-combobox-option");
+		expect(options.length).toBe(16);
+		expect(input.getAttribute("aria-activedescendant")).toBe(
+			"id_product-option-300",
+		);
+		expect(
+			listbox.querySelector(".fmd-combobox-option-active").textContent,
+		).toBe("SKU 301");
+	});
+
+	test("Case 4 (remote options loaded with the GET headers)", async () => {
+		global.fetch = jest.fn((url) =>
+			Promise.resolve({
+				ok: true,
+				status: 200,
+				json: () =>
+					Promise.resolve(
+						url.endsWith("to") ? [{ value: "tyo", label: "Tokyo" }] : [],
+					),
+			}),
+		);
+		formsmd.options.getHeaders = { Authorization: "Bearer token" };
+		const input = setUp(
+			"| optionsurl = https://example.com/cities?q={query}",
+			false,
+		);
+		const listbox = container.querySelector(".fmd-combobox-listbox");
+
+		type(input, "t");
+		type(input, "to");
+		expect(listbox.textContent).toBe("Loading options…");
+		jest.advanceTimersByTime(300);
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+		expect(global.fetch).toHaveBeenCalledWith(
+			"https://example.com/cities?q=to",
+			{ method: "GET", headers: { Authorization: "Bearer token" } },
+		);
+		for (let i = 0; i < 10; i++) {
+			await Promise.resolve();
+		}
+		expect(listbox.querySelector(".fmd-combobox-option").textContent).toBe(
+			"Tokyo",
+		);
+
+		press(input, "Enter");
+		expect(formsmd.state.formData.product).toBe("tyo");
+		expect(input.value).toBe("Tokyo");
+	});
+});
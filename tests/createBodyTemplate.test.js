@@ -602,3 +602,54 @@ test("Case 10 (no Forms.md branding)", () => {
 		"page-progress": "hide",
 	});
 });
+
+// Case 11 (save link)
+
+const expectedTemplate11 = `
+<div class="fmd-backdrop"></div>
+
+<div class="fmd-main">
+	<div class="fmd-main-container">
+		<div class="fmd-loader-container">
+			<div class="fmd-text-center fmd-mb-3">
+				<div class="fmd-specific-fs-20 fmd-text-emphasis fmd-fw-bold">Loading...</div>
+			</div>
+			<div class="fmd-loader-progress" role="status" aria-label="Loading"></div>
+		</div>
+	</div>
+</div>
+
+<div class="fmd-footer">
+	<div class="fmd-save-link" role="region" aria-label="Save and continue later" hidden>
+		<label class="fmd-save-link-title" for="id_save-link">Copy this link to continue on any device.</label>
+		<div class="fmd-save-link-group">
+			<input type="text" id="id_save-link" class="fmd-save-link-input fmd-form-control" readonly>
+			<button type="button" class="fmd-save-link-copy-btn fmd-btn fmd-btn-accent fmd-btn-control">Copy link</button>
+		</div>
+		<img class="fmd-save-link-qr-code" alt="QR code of the link" hidden>
+	</div>
+	<div class="fmd-footer-inner">
+		<button type="button" class="fmd-save-link-btn fmd-btn fmd-btn-accent fmd-btn-control" aria-expanded="false">Save and continue later</button>
+	</div>
+</div>
+`;
+
+test("Case 11 (save link)", () => {
+	const result11 = createBodyTemplate({
+		"color-scheme": "light",
+		"formsmd-branding": "hide",
+		"header": "hide",
+		"localization": "en",
+		"page": "single",
+		"page-progress": "hide",
+		"save-link": "show",
+	});
+	expect(beautify(result11.template, { format: "html" })).toBe(
+		beautify(expectedTemplate11, { format: "html" }),
+	);
+	expect(result11.settings).toMatchObject({
+		"footer-render": true,
+		"header-render": false,
+		"save-link": "show",
+	});
+});
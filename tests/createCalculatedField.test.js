@@ -0,0 +1,158 @@
+"use strict";
+
+const { createCalculatedField } = require("../src/form-field-create");
+const beautify = require("beautify");
+
+// Case 1
+
+const expectedTemplate1 = `
+<div data-fmd-name="total" data-fmd-type="calculated" data-fmd-expression="quantity * price &gt; 10 ? &quot;Large&quot; : &quot;Small&quot;" id="some-id" class="fmd-col-6 fmd-xs:col-10 fmd-form-field fmd-form-field-sm" aria-label="Label">
+	<label class="fmd-form-question" for="id_total">
+		Order size
+	</label>
+	<p class="fmd-form-description">
+		Based on the quantity and price.
+	</p>
+	<output
+		name="total"
+		id="id_total"
+		class="fmd-form-calculated-output"
+		aria-live="polite"
+	></output>
+</div>
+`;
+
+test("Case 1", () => {
+	expect(
+		beautify(
+			createCalculatedField(
+				"total",
+				'id="some-id" class="fmd-col-6 fmd-xs:col-10" aria-label="Label"',
+				`
+					| question = Order size
+					| description = Based on the quantity and price.
+					| fieldsize = sm
+					| expression = quantity * price &gt; 10 ? &quot;Large&quot; : &quot;Small&quot;
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate1, { format: "html" }));
+});
+
+// Case 2 (decimals, hidden, different form delimiter, id)
+
+const expectedTemplate2 = `
+<div data-fmd-name="score" data-fmd-type="calculated" data-fmd-expression="round(sum(scores) / count(scores), 3)" data-fmd-decimals="2" hidden class="fmd-form-field">
+	<label class="fmd-form-question" for="form-id:id_score">
+		Average score
+	</label>
+	<output
+		name="score"
+		id="form-id:id_score"
+		class="fmd-form-calculated-output"
+		aria-live="polite"
+	></output>
+</div>
+`;
+
+test("Case 2 (decimals, hidden, different form delimiter, id)", () => {
+	expect(
+		beautify(
+			createCalculatedField(
+				"score",
+				"",
+				`
+					question = Average score
+					expression = round(sum(scores) / count(scores), 3)
+					decimals = 2
+					hidden
+				`,
+				"\n",
+				"form-id",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate2, { format: "html" }));
+});
+
+// Case 3 (invalid expression)
+
+const expectedTemplate3 = `
+<div data-fmd-name="score" data-fmd-type="calculated" data-fmd-expression="" class="fmd-form-field">
+	<label class="fmd-form-question" for="id_score">
+		...
+	</label>
+	<output
+		name="score"
+		id="id_score"
+		class="fmd-form-calculated-output"
+		aria-live="polite"
+	></output>
+</div>
+`;
+
+test("Case 3 (invalid expression)", () => {
+	expect(
+		beautify(
+			createCalculatedField(
+				"score",
+				"",
+				"| expression = window.alert(1) +",
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate3, { format: "html" }));
+});
+
+// Case 4 ("||" with "|" as the form delimiter)
+
+test('Case 4 ("||" with "|" as the form delimiter)', () => {
+	jest.spyOn(console, "warn").mockImplementation(() => {});
+	expect(
+		beautify(
+			createCalculatedField(
+				"score",
+				"",
+				"| expression = answered(email) || answered(phone)",
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate3, { format: "html" }));
+	expect(console.warn).toHaveBeenCalledWith(
+		'[FORM-FIELDS] "score": "||" cannot be used in the expression since "|" is the form delimiter (use "or" instead)',
+	);
+
+	// Works with "or", or with another form delimiter
+	expect(
+		createCalculatedField(
+			"score",
+			"",
+			"| expression = answered(email) or answered(phone)",
+			"|",
+			"",
+			"en",
+		),
+	).toContain('data-fmd-expression="answered(email) or answered(phone)"');
+	expect(
+		createCalculatedField(
+			"score",
+			"",
+			"~ expression = answered(email) || answered(phone)",
+			"~",
+			"",
+			"en",
+		),
+	).toContain('data-fmd-expression="answered(email) || answered(phone)"');
+	console.warn.mockRestore();
+});
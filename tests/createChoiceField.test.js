@@ -813,3 +813,264 @@ test("Case 10 (picture choice, no params)", () => {
 		}),
 	).toBe(beautify(expectedTemplate10, { format: "html" }));
 });
+
+// Case 11 (dependent choices)
+
+const expectedTemplate11 = `
+<fieldset data-fmd-name="city" data-fmd-type="checkbox" data-fmd-depends-on="state" data-fmd-options-map="citiesByState" class="fmd-form-field">
+	<legend class="fmd-form-question">
+		City
+	</legend>
+	<div class="fmd-form-text">
+		Choose as many as you like
+	</div>
+	<div class="fmd-check-grid-wrapper">
+		<div class="fmd-check-grid">
+		</div>
+	</div>
+	<template class="fmd-form-check-template">
+		<div class="fmd-form-check">
+			<input
+				name="city"
+				type="checkbox"
+				class="fmd-form-str-check-input fmd-form-check-input"
+			>
+			<label class="fmd-form-check-label">
+				<span class="fmd-form-check-mark">
+					<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M441 103c9.4 9.4 9.4 24.6 0 33.9L177 401c-9.4 9.4-24.6 9.4-33.9 0L7 265c-9.4-9.4-9.4-24.6 0-33.9s24.6-9.4 33.9 0l119 119L407 103c9.4-9.4 24.6-9.4 33.9 0z"/></svg>
+				</span>
+			</label>
+		</div>
+	</template>
+</fieldset>
+`;
+
+test("Case 11 (dependent choices)", () => {
+	expect(
+		beautify(
+			createChoiceField(
+				"city",
+				false,
+				false,
+				"",
+				`
+					| question = City
+					| multiple
+					| dependson = state
+					| choicesmap = citiesByState
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate11, { format: "html" }));
+});
+
+const expectedTemplate12 = `
+<fieldset data-fmd-name="reason" data-fmd-type="radio" data-fmd-shuffle data-fmd-pin="[&quot;other&quot;]" class="fmd-form-field">
+	<legend class="fmd-form-question">
+		Reason
+	</legend>
+	<div class="fmd-check-grid-wrapper">
+		<div class="fmd-check-grid">
+			<div class="fmd-form-check">
+				<input
+					name="reason"
+					id="id_reason-1"
+					type="radio"
+					class="fmd-form-str-check-input fmd-form-check-input"
+					value="Price"
+				>
+				<label class="fmd-form-check-label" for="id_reason-1">
+					Price
+					<span class="fmd-form-check-mark">
+						<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M441 103c9.4 9.4 9.4 24.6 0 33.9L177 401c-9.4 9.4-24.6 9.4-33.9 0L7 265c-9.4-9.4-9.4-24.6 0-33.9s24.6-9.4 33.9 0l119 119L407 103c9.4-9.4 24.6-9.4 33.9 0z"/></svg>
+					</span>
+				</label>
+			</div>
+			<div class="fmd-form-check">
+				<input
+					name="reason"
+					id="id_reason-2"
+					type="radio"
+					class="fmd-form-str-check-input fmd-form-check-input"
+					value="Quality"
+				>
+				<label class="fmd-form-check-label" for="id_reason-2">
+					Quality
+					<span class="fmd-form-check-mark">
+						<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M441 103c9.4 9.4 9.4 24.6 0 33.9L177 401c-9.4 9.4-24.6 9.4-33.9 0L7 265c-9.4-9.4-9.4-24.6 0-33.9s24.6-9.4 33.9 0l119 119L407 103c9.4-9.4 24.6-9.4 33.9 0z"/></svg>
+					</span>
+				</label>
+			</div>
+			<div class="fmd-form-check">
+				<input
+					name="reason"
+					id="id_reason-3"
+					type="radio"
+					class="fmd-form-str-check-input fmd-form-check-input"
+					value="other"
+				>
+				<label class="fmd-form-check-label" for="id_reason-3">
+					Something else
+					<span class="fmd-form-check-mark">
+						<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M441 103c9.4 9.4 9.4 24.6 0 33.9L177 401c-9.4 9.4-24.6 9.4-33.9 0L7 265c-9.4-9.4-9.4-24.6 0-33.9s24.6-9.4 33.9 0l119 119L407 103c9.4-9.4 24.6-9.4 33.9 0z"/></svg>
+					</span>
+				</label>
+			</div>
+		</div>
+	</div>
+</fieldset>
+`;
+
+test("Case 12 (shuffled choices with a pinned choice)", () => {
+	expect(
+		beautify(
+			createChoiceField(
+				"reason",
+				false,
+				false,
+				"",
+				`
+					| question = Reason
+					| choices = Price, Quality, "other" Something else
+					| shuffle
+					| pin = other
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate12, { format: "html" }));
+});
+
+// Case 13 (quiz question with correct choices)
+
+const expectedTemplate13 = `
+<fieldset data-fmd-name="planets" data-fmd-type="checkbox" data-fmd-required data-fmd-correct="[&quot;Jupiter&quot;,&quot;Saturn&quot;]" data-fmd-points="3" class="fmd-form-field">
+	<legend class="fmd-form-question">
+		Which are gas <span class="fmd-text-nowrap" aria-hidden="true">giants?<sup class="fmd-text-accent">*</sup></span><span class="fmd-visually-hidden">giants? (required)</span>
+	</legend>
+	<div class="fmd-form-text">
+		Choose as many as you like
+	</div>
+	<div class="fmd-check-grid-wrapper">
+		<div class="fmd-check-grid">
+			<div class="fmd-form-check">
+				<input
+					name="planets"
+					id="id_planets-1"
+					type="checkbox"
+					class="fmd-form-str-check-input fmd-form-check-input"
+					value="Mars"
+				>
+				<label class="fmd-form-check-label" for="id_planets-1">
+					Mars
+					<span class="fmd-form-check-mark">
+						<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M441 103c9.4 9.4 9.4 24.6 0 33.9L177 401c-9.4 9.4-24.6 9.4-33.9 0L7 265c-9.4-9.4-9.4-24.6 0-33.9s24.6-9.4 33.9 0l119 119L407 103c9.4-9.4 24.6-9.4 33.9 0z"/></svg>
+					</span>
+				</label>
+			</div>
+			<div class="fmd-form-check">
+				<input
+					name="planets"
+					id="id_planets-2"
+					type="checkbox"
+					class="fmd-form-str-check-input fmd-form-check-input"
+					value="Jupiter"
+				>
+				<label class="fmd-form-check-label" for="id_planets-2">
+					Jupiter
+					<span class="fmd-form-check-mark">
+						<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M441 103c9.4 9.4 9.4 24.6 0 33.9L177 401c-9.4 9.4-24.6 9.4-33.9 0L7 265c-9.4-9.4-9.4-24.6 0-33.9s24.6-9.4 33.9 0l119 119L407 103c9.4-9.4 24.6-9.4 33.9 0z"/></svg>
+					</span>
+				</label>
+			</div>
+			<div class="fmd-form-check">
+				<input
+					name="planets"
+					id="id_planets-3"
+					type="checkbox"
+					class="fmd-form-str-check-input fmd-form-check-input"
+					value="Saturn"
+				>
+				<label class="fmd-form-check-label" for="id_planets-3">
+					Saturn
+					<span class="fmd-form-check-mark">
+						<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 448 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M441 103c9.4 9.4 9.4 24.6 0 33.9L177 401c-9.4 9.4-24.6 9.4-33.9 0L7 265c-9.4-9.4-9.4-24.6 0-33.9s24.6-9.4 33.9 0l119 119L407 103c9.4-9.4 24.6-9.4 33.9 0z"/></svg>
+					</span>
+				</label>
+			</div>
+		</div>
+	</div>
+	<div class="fmd-quiz-feedback" aria-live="polite" hidden>
+		<p class="fmd-quiz-feedback-title"></p>
+		<p class="fmd-quiz-feedback-explanation">Mars is rocky.</p>
+	</div>
+</fieldset>
+`;
+
+test("Case 13 (quiz question with correct choices)", () => {
+	expect(
+		beautify(
+			createChoiceField(
+				"planets",
+				false,
+				true,
+				"",
+				`
+					| question = Which are gas giants?
+					| choices = Mars, Jupiter, Saturn
+					| multiple
+					| correct = Jupiter, Saturn
+					| points = 3
+					| explanation = Mars is rocky.
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate13, { format: "html" }));
+});
+
+// Case 14 (quiz question with points per choice)
+
+test("Case 14 (quiz question with points per choice)", () => {
+	jest.spyOn(console, "warn").mockImplementation(() => {});
+	const template = createChoiceField(
+		"planet",
+		false,
+		false,
+		"",
+		"| choices = Mars, Jupiter, Saturn | correct = Jupiter | points = 0, 2, 1",
+		"|",
+		"",
+		"en",
+	);
+	expect(template).toContain(
+		'data-fmd-points="{&quot;Mars&quot;:0,&quot;Jupiter&quot;:2,&quot;Saturn&quot;:1}"',
+	);
+
+	// One number per choice
+	const invalidTemplate = createChoiceField(
+		"planet",
+		false,
+		false,
+		"",
+		"| choices = Mars, Jupiter, Saturn | correct = Jupiter | points = 0, 2",
+		"|",
+		"",
+		"en",
+	);
+	expect(invalidTemplate).toContain('data-fmd-points="1"');
+	expect(console.warn).toHaveBeenCalledWith(
+		'[FORM-FIELDS] "planet": "points" must be one number, or one number per choice',
+	);
+	console.warn.mockRestore();
+});
@@ -576,3 +576,134 @@ test("Case 8 (not required, current file, different localization)", () => {
 		),
 	).toBe(beautify(expectedTemplate8, { format: "html" }));
 });
+
+// Case 9 (multiple, max files, total size limit, accept)
+
+const expectedTemplate9 = `
+<div data-fmd-name="attachments" data-fmd-type="file" data-fmd-size-limit="5" data-fmd-multiple data-fmd-max-files="3" data-fmd-total-size-limit="12" data-fmd-required class="fmd-form-field">
+	<label class="fmd-form-question">
+		Upload your <span class="fmd-text-nowrap" aria-hidden="true">attachments<sup class="fmd-text-accent">*</sup></span><span class="fmd-visually-hidden">attachments (required)</span>
+	</label>
+	<div class="fmd-form-file">
+		<label class="fmd-form-file-label">
+			<input
+				name="attachments"
+				id="id_attachments"
+				type="file"
+				class="fmd-form-file-input"
+				multiple
+				accept=".pdf,image/*"
+			>
+			<span class="fmd-d-block fmd-w-auto fmd-mw-100">
+				<span class="fmd-visually-hidden">
+					Upload your <span class="fmd-text-nowrap" aria-hidden="true">attachments<sup class="fmd-text-accent">*</sup></span><span class="fmd-visually-hidden">attachments (required)</span>
+				</span>
+				<span class="fmd-file-empty-section">
+					<span class="fmd-form-file-img-container">
+						<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 640 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M389.8 125.2C363.7 88.1 320.7 64 272 64c-77.4 0-140.5 61-143.9 137.5c-.6 13-9 24.4-21.3 28.8C63.2 245.7 32 287.2 32 336c0 61.9 50.1 112 112 112l368 0c53 0 96-43 96-96c0-36.8-20.7-68.8-51.2-84.9c-13.4-7.1-20-22.5-15.8-37.1c2-6.9 3-14.3 3-22c0-44.2-35.8-80-80-80c-12.3 0-23.9 2.8-34.3 7.7c-14.1 6.7-30.9 2.3-39.9-10.5zM272 32c59.5 0 112.1 29.5 144 74.8C430.5 99.9 446.8 96 464 96c61.9 0 112 50.1 112 112c0 10.7-1.5 21-4.3 30.8C612.3 260.2 640 302.9 640 352c0 70.7-57.3 128-128 128l-368 0C64.5 480 0 415.5 0 336c0-62.8 40.2-116.1 96.2-135.9C100.3 106.6 177.4 32 272 32zM228.7 244.7l80-80c6.2-6.2 16.4-6.2 22.6 0l80 80c6.2 6.2 6.2 16.4 0 22.6s-16.4 6.2-22.6 0L336 214.6 336 368c0 8.8-7.2 16-16 16s-16-7.2-16-16l0-153.4-52.7 52.7c-6.2 6.2-16.4 6.2-22.6 0s-6.2-16.4 0-22.6z"/></svg>
+					</span>
+					<span class="fmd-d-block fmd-mt-3 fmd-first-letter-uppercase">
+						<strong class="fmd-text-accent">choose files</strong><span class="fmd-xs:d-none"> or drag here</span>
+					</span>
+				</span>
+				<span class="fmd-file-exists-section"></span>
+				<span class="fmd-form-file-size-limit fmd-mt-1">
+					Size limit: 5MB (total: 12MB) · Max files: 3
+				</span>
+			</span>
+		</label>
+		<ul class="fmd-form-file-list"></ul>
+	</div>
+</div>
+`;
+
+test("Case 9 (multiple, max files, total size limit, accept)", () => {
+	expect(
+		beautify(
+			createFileField(
+				"attachments",
+				true,
+				"",
+				`
+					| question = Upload your attachments
+					| multiple
+					| maxfiles = 3
+					| sizelimit = 5
+					| totalsizelimit = 12
+					| accept = .pdf, image/*
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate9, { format: "html" }));
+});
+
+// Case 10 (image resizing)
+
+const expectedTemplate10 = `
+<div data-fmd-name="photo" data-fmd-type="file" data-fmd-size-limit="10" data-fmd-max-width="1600" data-fmd-max-height="1201" data-fmd-quality="0.8" data-fmd-format="webp" class="fmd-form-field">
+	<label class="fmd-form-question">
+		Upload a photo
+	</label>
+	<div class="fmd-form-file">
+		<label class="fmd-form-file-label">
+			<input 
+				name="photo"
+				id="id_photo"
+				type="file"
+				class="fmd-form-file-input"
+				accept="image/*"
+			>
+			<span class="fmd-d-block fmd-w-auto fmd-mw-100">
+				<span class="fmd-visually-hidden">
+					Upload a photo
+				</span>
+				<span class="fmd-file-empty-section">
+					<span class="fmd-form-file-img-container">
+						<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 640 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M389.8 125.2C363.7 88.1 320.7 64 272 64c-77.4 0-140.5 61-143.9 137.5c-.6 13-9 24.4-21.3 28.8C63.2 245.7 32 287.2 32 336c0 61.9 50.1 112 112 112l368 0c53 0 96-43 96-96c0-36.8-20.7-68.8-51.2-84.9c-13.4-7.1-20-22.5-15.8-37.1c2-6.9 3-14.3 3-22c0-44.2-35.8-80-80-80c-12.3 0-23.9 2.8-34.3 7.7c-14.1 6.7-30.9 2.3-39.9-10.5zM272 32c59.5 0 112.1 29.5 144 74.8C430.5 99.9 446.8 96 464 96c61.9 0 112 50.1 112 112c0 10.7-1.5 21-4.3 30.8C612.3 260.2 640 302.9 640 352c0 70.7-57.3 128-128 128l-368 0C64.5 480 0 415.5 0 336c0-62.8 40.2-116.1 96.2-135.9C100.3 106.6 177.4 32 272 32zM228.7 244.7l80-80c6.2-6.2 16.4-6.2 22.6 0l80 80c6.2 6.2 6.2 16.4 0 22.6s-16.4 6.2-22.6 0L336 214.6 336 368c0 8.8-7.2 16-16 16s-16-7.2-16-16l0-153.4-52.7 52.7c-6.2 6.2-16.4 6.2-22.6 0s-6.2-16.4 0-22.6z"/></svg>
+					</span>
+					<span class="fmd-d-block fmd-mt-3 fmd-first-letter-uppercase">
+						<strong class="fmd-text-accent">choose file</strong><span class="fmd-xs:d-none"> or drag here</span>
+					</span>
+				</span>
+				<span class="fmd-file-exists-section"></span>
+				<span class="fmd-form-file-size-limit fmd-mt-1">
+					Size limit: 10MB
+				</span>
+			</span>
+		</label>
+		<div class="fmd-form-file-reset-btn-container">
+			<button type="button" class="fmd-form-file-reset-btn" aria-label="Remove chosen file">
+				<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512" class="fmd-icon" aria-hidden="true" focusable="false"><path d="M345 137c9.4-9.4 9.4-24.6 0-33.9s-24.6-9.4-33.9 0l-119 119L73 103c-9.4-9.4-24.6-9.4-33.9 0s-9.4 24.6 0 33.9l119 119L39 375c-9.4 9.4-9.4 24.6 0 33.9s24.6 9.4 33.9 0l119-119L311 409c9.4 9.4 24.6 9.4 33.9 0s9.4-24.6 0-33.9l-119-119L345 137z"/></svg>
+			</button>
+		</div>
+	</div>
+</div>
+`;
+
+test("Case 10 (image resizing)", () => {
+	expect(
+		beautify(
+			createFileField(
+				"photo",
+				false,
+				"",
+				`
+					| question = Upload a photo
+					| imageonly
+					| maxwidth = 1600
+					| maxheight = 1200.5
+					| quality = 0.8
+					| format = webp
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate10, { format: "html" }));
+});
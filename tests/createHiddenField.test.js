@@ -0,0 +1,73 @@
+"use strict";
+
+const { createHiddenField } = require("../src/form-field-create");
+const beautify = require("beautify");
+
+// Case 1
+
+const expectedTemplate1 = `
+<div data-fmd-name="campaign" data-fmd-type="hidden" data-fmd-source="url,cookie" data-fmd-key="utm_campaign" hidden class="fmd-form-field" id="campaign-field">
+	<input
+		type="hidden"
+		name="campaign"
+		id="id_campaign"
+		class="fmd-form-hidden-input"
+		value="spring &quot;sale&quot;"
+	>
+</div>
+`;
+
+test("Case 1", () => {
+	expect(
+		beautify(
+			createHiddenField(
+				"campaign",
+				'id="campaign-field"',
+				`
+					| source = url, Cookie
+					| key = utm_campaign
+					| value = spring "sale"
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate1, { format: "html" }));
+});
+
+// Case 2 (no params, different id)
+
+const expectedTemplate2 = `
+<div data-fmd-name="userId" data-fmd-type="hidden" data-fmd-source="url" data-fmd-key="userId" hidden class="fmd-form-field">
+	<input
+		type="hidden"
+		name="userId"
+		id="form:id_userId"
+		class="fmd-form-hidden-input"
+		value=""
+	>
+</div>
+`;
+
+test("Case 2 (no params, different id)", () => {
+	expect(
+		beautify(createHiddenField("userId", "", "", "|", "form", "en"), {
+			format: "html",
+		}),
+	).toBe(beautify(expectedTemplate2, { format: "html" }));
+});
+
+// Case 3 (invalid source)
+
+test("Case 3 (invalid source)", () => {
+	const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+	expect(
+		createHiddenField("userId", "", "| source = url, session", "|", "", "en"),
+	).toContain('data-fmd-source="url"');
+	expect(warn).toHaveBeenCalledWith(
+		'[FORM-FIELDS] "userId": "source = url, session" is not a valid parameter',
+	);
+	warn.mockRestore();
+});
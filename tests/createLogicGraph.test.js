@@ -0,0 +1,162 @@
+"use strict";
+
+const { createLogicGraph, logicGraphToMermaid } = require("../src/logic-graph");
+
+// Case 1
+
+const template1 = `
+\`\`\`data
+{"plan": "pro"}
+\`\`\`
+
+-> START
+
+# Welcome
+
+---
+age* = NumberInput(
+	| question = Age
+)
+
+---
+-> age > 18 and plan == "pro"
+
+# Pro
+
+---
+-> country == "BD"
+
+# Bangladesh
+
+---
+-> END
+
+# Old end
+
+---
+-> END
+
+# Thanks
+`;
+
+test("Case 1", () => {
+	const graph = createLogicGraph(template1, "---");
+	expect(graph.nodes.map((node) => [node.id, node.type, node.title])).toEqual([
+		["slide-1", "start", "Welcome"],
+		["slide-2", "body", ""],
+		["slide-3", "body", "Pro"],
+		["slide-4", "body", "Bangladesh"],
+		["slide-5", "end", "Old end"],
+		["slide-6", "end", "Thanks"],
+	]);
+	expect(graph.nodes[1].fields).toEqual(["age"]);
+	expect(graph.edges).toEqual([
+		{ from: "slide-1", to: "slide-2", condition: "" },
+		{ from: "slide-2", to: "slide-3", condition: 'age > 18 and plan == "pro"' },
+		{ from: "slide-2", to: "slide-6", condition: "" },
+		{ from: "slide-3", to: "slide-6", condition: "" },
+		{ from: "slide-4", to: "slide-6", condition: "" },
+	]);
+	expect(graph.unreachableSlides).toEqual([4, 5]);
+	expect(graph.deadEnds).toEqual([]);
+	expect(graph.undefinedNames).toEqual([
+		{ slide: 4, name: "country", forward: false },
+	]);
+});
+
+// Case 2 (no end slide, start slide placed first, different slide delimiter)
+
+const template2 = `
+# Intro
+
++++
+-> START -> Begin
+
+# Start
+
++++
+-> answered(email)
+
+email = EmailInput(| question = Email)
+`;
+
+const expectedMermaid2 = `flowchart TD
+	slide-2(["2. Start"])
+	slide-1["1. Intro"]
+	slide-3["3"]
+	default-end(["End"])
+	slide-2 --> slide-1
+	slide-1 -->|"answered(email)"| slide-3
+	slide-1 --> default-end
+	slide-3 --> default-end
+	classDef deadEnd stroke: #dc3545
+	class slide-1,slide-3 deadEnd`;
+
+test("Case 2 (no end slide, start slide placed first, different slide delimiter)", () => {
+	const graph = createLogicGraph(template2, "+++");
+	expect(graph.unreachableSlides).toEqual([]);
+	expect(graph.deadEnds).toEqual([1, 3]);
+	expect(graph.undefinedNames).toEqual([
+		{ slide: 3, name: "email", forward: true },
+	]);
+	expect(logicGraphToMermaid(graph)).toBe(expectedMermaid2);
+});
+
+// Case 3 (jump conditions always or never met, and forward references)
+
+const template3 = `
+\`\`\`data
+{"plan": "pro"}
+\`\`\`
+
+name = TextInput(| question = Name)
+
+---
+-> plan == "pro"
+
+# Pro
+
+---
+-> plan == "free" or age >
+
+# Free
+
+---
+-> answered(name) and answered(email)
+
+# Answered
+
+---
+email = EmailInput(| question = Email)
+
+---
+-> END
+
+# Thanks
+`;
+
+test("Case 3 (jump conditions always or never met, and forward references)", () => {
+	const graph = createLogicGraph(template3, "---");
+	expect(graph.edges).toEqual([
+		{ from: "slide-1", to: "slide-2", condition: 'plan == "pro"' },
+		{
+			from: "slide-2",
+			to: "slide-4",
+			condition: "answered(name) and answered(email)",
+		},
+		{ from: "slide-2", to: "slide-5", condition: "" },
+		{
+			from: "slide-3",
+			to: "slide-4",
+			condition: "answered(name) and answered(email)",
+		},
+		{ from: "slide-3", to: "slide-5", condition: "" },
+		{ from: "slide-4", to: "slide-5", condition: "" },
+		{ from: "slide-5", to: "slide-6", condition: "" },
+	]);
+	expect(graph.unreachableSlides).toEqual([3]);
+	expect(graph.deadEnds).toEqual([]);
+	expect(graph.undefinedNames).toEqual([
+		{ slide: 4, name: "email", forward: true },
+	]);
+});
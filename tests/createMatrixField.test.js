@@ -0,0 +1,372 @@
+"use strict";
+
+const { createMatrixField } = require("../src/form-field-create");
+const beautify = require("beautify");
+
+// Case 1
+
+const expectedTemplate1 = `
+<fieldset data-fmd-name="features" data-fmd-type="matrix" data-fmd-required id="some-id" class="fmd-col-6 fmd-xs:col-10 fmd-form-field fmd-form-field-sm" aria-label="Label">
+	<legend class="fmd-form-question">
+		Rate each <span class="fmd-text-nowrap" aria-hidden="true">feature<sup class="fmd-text-accent">*</sup></span><span class="fmd-visually-hidden">feature (required)</span>
+	</legend>
+	<p class="fmd-form-description">
+		Be honest.
+	</p>
+	<div class="fmd-matrix">
+		<div class="fmd-matrix-head" aria-hidden="true">
+			<div class="fmd-matrix-cell"></div>
+			<div class="fmd-matrix-cell">Poor</div>
+			<div class="fmd-matrix-cell">Okay</div>
+			<div class="fmd-matrix-cell">Great</div>
+		</div>
+		<div
+			class="fmd-matrix-row"
+			role="radiogroup"
+			aria-labelledby="id_features-1-label"
+			data-fmd-matrix-row="Speed"
+		>
+			<div class="fmd-matrix-cell fmd-matrix-row-label" id="id_features-1-label">Speed</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-1"
+					id="id_features-1-1"
+					type="radio"
+					class="fmd-form-matrix-input"
+					value="1"
+					data-fmd-autofocus
+				>
+				<label class="fmd-form-matrix-label" for="id_features-1-1">Poor</label>
+			</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-1"
+					id="id_features-1-2"
+					type="radio"
+					class="fmd-form-matrix-input"
+					value="2"
+					data-fmd-autofocus
+				>
+				<label class="fmd-form-matrix-label" for="id_features-1-2">Okay</label>
+			</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-1"
+					id="id_features-1-3"
+					type="radio"
+					class="fmd-form-matrix-input"
+					value="3"
+					data-fmd-autofocus
+				>
+				<label class="fmd-form-matrix-label" for="id_features-1-3">Great</label>
+			</div>
+		</div>
+		<div
+			class="fmd-matrix-row"
+			role="radiogroup"
+			aria-labelledby="id_features-2-label"
+			data-fmd-matrix-row="ui"
+		>
+			<div class="fmd-matrix-cell fmd-matrix-row-label" id="id_features-2-label">Design</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-2"
+					id="id_features-2-1"
+					type="radio"
+					class="fmd-form-matrix-input"
+					value="1"
+					data-fmd-autofocus
+				>
+				<label class="fmd-form-matrix-label" for="id_features-2-1">Poor</label>
+			</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-2"
+					id="id_features-2-2"
+					type="radio"
+					class="fmd-form-matrix-input"
+					value="2"
+					data-fmd-autofocus
+				>
+				<label class="fmd-form-matrix-label" for="id_features-2-2">Okay</label>
+			</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-2"
+					id="id_features-2-3"
+					type="radio"
+					class="fmd-form-matrix-input"
+					value="3"
+					data-fmd-autofocus
+				>
+				<label class="fmd-form-matrix-label" for="id_features-2-3">Great</label>
+			</div>
+		</div>
+	</div>
+</fieldset>
+`;
+
+test("Case 1", () => {
+	expect(
+		beautify(
+			createMatrixField(
+				"features",
+				true,
+				'id="some-id" class="fmd-col-6 fmd-xs:col-10" aria-label="Label"',
+				`
+					| question = Rate each feature
+					| description = Be honest.
+					| fieldsize = sm
+					| autofocus
+					| rows = Speed, "ui" Design
+					| columns = "1" Poor, "2" Okay, "3" Great
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate1, { format: "html" }));
+});
+
+// Case 2 (not required, multiple, disabled, different form delimiter, id)
+
+const expectedTemplate2 = `
+<fieldset data-fmd-name="features" data-fmd-type="matrix" class="fmd-form-field">
+	<legend class="fmd-form-question">
+		Rate each feature
+	</legend>
+	<div class="fmd-form-text">
+		Choose as many as you like
+	</div>
+	<div class="fmd-matrix">
+		<div class="fmd-matrix-head" aria-hidden="true">
+			<div class="fmd-matrix-cell"></div>
+			<div class="fmd-matrix-cell">Poor</div>
+			<div class="fmd-matrix-cell">Great</div>
+		</div>
+		<div
+			class="fmd-matrix-row"
+			role="group"
+			aria-labelledby="form:id_features-1-label"
+			data-fmd-matrix-row="Speed"
+		>
+			<div class="fmd-matrix-cell fmd-matrix-row-label" id="form:id_features-1-label">Speed</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-1"
+					id="form:id_features-1-1"
+					type="checkbox"
+					class="fmd-form-matrix-input"
+					value="Poor"
+					disabled
+				>
+				<label class="fmd-form-matrix-label" for="form:id_features-1-1">Poor</label>
+			</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-1"
+					id="form:id_features-1-2"
+					type="checkbox"
+					class="fmd-form-matrix-input"
+					value="Great"
+					disabled
+				>
+				<label class="fmd-form-matrix-label" for="form:id_features-1-2">Great</label>
+			</div>
+		</div>
+		<div
+			class="fmd-matrix-row"
+			role="group"
+			aria-labelledby="form:id_features-2-label"
+			data-fmd-matrix-row="Price"
+		>
+			<div class="fmd-matrix-cell fmd-matrix-row-label" id="form:id_features-2-label">Price</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-2"
+					id="form:id_features-2-1"
+					type="checkbox"
+					class="fmd-form-matrix-input"
+					value="Poor"
+					disabled
+				>
+				<label class="fmd-form-matrix-label" for="form:id_features-2-1">Poor</label>
+			</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-2"
+					id="form:id_features-2-2"
+					type="checkbox"
+					class="fmd-form-matrix-input"
+					value="Great"
+					disabled
+				>
+				<label class="fmd-form-matrix-label" for="form:id_features-2-2">Great</label>
+			</div>
+		</div>
+	</div>
+</fieldset>
+`;
+
+test("Case 2 (not required, multiple, disabled, different form delimiter, id)", () => {
+	expect(
+		beautify(
+			createMatrixField(
+				"features",
+				false,
+				"",
+				`
+					question = Rate each feature
+					rows = Speed, Price
+					columns = Poor, Great
+					multiple
+					disabled
+				`,
+				"\n",
+				"form",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate2, { format: "html" }));
+});
+
+// Case 3 (different localization)
+
+const expectedTemplate3 = `
+<fieldset data-fmd-name="features" data-fmd-type="matrix" class="fmd-form-field">
+	<legend class="fmd-form-question">
+		Rate each feature
+	</legend>
+	<div class="fmd-form-text">
+		Wählen Sie so viele wie Sie möchten
+	</div>
+	<div class="fmd-matrix">
+		<div class="fmd-matrix-head" aria-hidden="true">
+			<div class="fmd-matrix-cell"></div>
+			<div class="fmd-matrix-cell">1</div>
+			<div class="fmd-matrix-cell">2</div>
+		</div>
+		<div
+			class="fmd-matrix-row"
+			role="group"
+			aria-labelledby="id_features-1-label"
+			data-fmd-matrix-row="Speed"
+		>
+			<div class="fmd-matrix-cell fmd-matrix-row-label" id="id_features-1-label">Speed</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-1"
+					id="id_features-1-1"
+					type="checkbox"
+					class="fmd-form-matrix-input"
+					value="1"
+				>
+				<label class="fmd-form-matrix-label" for="id_features-1-1">1</label>
+			</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-1"
+					id="id_features-1-2"
+					type="checkbox"
+					class="fmd-form-matrix-input"
+					value="2"
+				>
+				<label class="fmd-form-matrix-label" for="id_features-1-2">2</label>
+			</div>
+		</div>
+	</div>
+</fieldset>
+`;
+
+test("Case 3 (different localization)", () => {
+	expect(
+		beautify(
+			createMatrixField(
+				"features",
+				false,
+				"",
+				`
+					| question = Rate each feature
+					| rows = Speed
+					| columns = 1, 2
+					| multiple
+				`,
+				"|",
+				"",
+				"de",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate3, { format: "html" }));
+});
+
+// Case 4 (hide form text)
+
+const expectedTemplate4 = `
+<fieldset data-fmd-name="features" data-fmd-type="matrix" class="fmd-form-field">
+	<legend class="fmd-form-question">
+		Rate each feature
+	</legend>
+	<div class="fmd-matrix">
+		<div class="fmd-matrix-head" aria-hidden="true">
+			<div class="fmd-matrix-cell"></div>
+			<div class="fmd-matrix-cell">1</div>
+			<div class="fmd-matrix-cell">2</div>
+		</div>
+		<div
+			class="fmd-matrix-row"
+			role="group"
+			aria-labelledby="id_features-1-label"
+			data-fmd-matrix-row="Speed"
+		>
+			<div class="fmd-matrix-cell fmd-matrix-row-label" id="id_features-1-label">Speed</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-1"
+					id="id_features-1-1"
+					type="checkbox"
+					class="fmd-form-matrix-input"
+					value="1"
+				>
+				<label class="fmd-form-matrix-label" for="id_features-1-1">1</label>
+			</div>
+			<div class="fmd-matrix-cell">
+				<input
+					name="features-1"
+					id="id_features-1-2"
+					type="checkbox"
+					class="fmd-form-matrix-input"
+					value="2"
+				>
+				<label class="fmd-form-matrix-label" for="id_features-1-2">2</label>
+			</div>
+		</div>
+	</div>
+</fieldset>
+`;
+
+test("Case 4 (hide form text)", () => {
+	expect(
+		beautify(
+			createMatrixField(
+				"features",
+				false,
+				"",
+				`
+					| question = Rate each feature
+					| rows = Speed
+					| columns = 1, 2
+					| multiple
+					| hideformtext
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate4, { format: "html" }));
+});
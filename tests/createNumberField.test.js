@@ -333,3 +333,44 @@ test("Case 7 (no params)", () => {
 		),
 	).toBe(beautify(expectedTemplate7, { format: "html" }));
 });
+
+// Case 8 (quiz question)
+
+const expectedTemplate8 = `
+<div data-fmd-name="answer" data-fmd-correct="[42]" data-fmd-points="2" class="fmd-form-field">
+	<label class="fmd-form-question" for="id_answer">
+		What is 6 x <span class="fmd-text-nowrap" aria-hidden="true">7?<sup class="fmd-text-accent">*</sup></span><span class="fmd-visually-hidden">7? (required)</span>
+	</label>
+	<div class="fmd-input-group">
+		<input
+			name="answer"
+			id="id_answer"
+			type="number"
+			class="fmd-form-num-input fmd-form-control"
+			placeholder="Type a number here..."
+			required
+		>
+	</div>
+	<div class="fmd-quiz-feedback" aria-live="polite" hidden>
+		<p class="fmd-quiz-feedback-title"></p>
+		<p class="fmd-quiz-feedback-explanation">Six sevens are forty-two.</p>
+	</div>
+</div>
+`;
+
+test("Case 8 (quiz question)", () => {
+	expect(
+		beautify(
+			createNumberField(
+				"answer",
+				true,
+				"",
+				"| question = What is 6 x 7? | correct = 42 | points = 2 | explanation = Six sevens are forty-two.",
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate8, { format: "html" }));
+});
@@ -0,0 +1,127 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const {
+	createChoiceField,
+	createDatetimeField,
+	createFileField,
+	createNumberField,
+	createTextField,
+} = require("../src/form-field-create");
+
+describe("createPostJSON", () => {
+	let formsmd;
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement("div");
+		document.body.appendChild(container);
+
+		formsmd = new Formsmd("# Test form", container, {
+			postData: { source: "web" },
+		});
+		formsmd.setStateToDefaults();
+		formsmd.state.settings["post-url"] = "https://example.com/submit";
+		formsmd.state.settings["post-sheet-name"] = "Sheet2";
+
+		container.innerHTML = [
+			createTextField(
+				"name",
+				"text",
+				false,
+				"",
+				"| value = Jane",
+				"|",
+				"",
+				"en",
+			),
+			createNumberField("age", false, "", "| value = 30", "|", "", "en"),
+			createChoiceField(
+				"colors",
+				false,
+				false,
+				"",
+				"| choices = Red, Green, Blue | multiple | checked = Red, Blue",
+				"|",
+				"",
+				"en",
+			),
+			createDatetimeField(
+				"appointment",
+				"datetime-local",
+				false,
+				"",
+				"| value = 2025-03-01T10:30",
+				"|",
+				"",
+				"en",
+			),
+			createFileField("resume", false, "", "", "|", "", "en"),
+		].join("");
+		formsmd.setFormDataToState();
+		jest.spyOn(formsmd, "getUserTimezoneOffset").mockReturnValue("+06:00");
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+		delete global.fetch;
+	});
+
+	test("Case 1 (typed values and metadata)", async () => {
+		const file = new File(["hello"], "resume.txt", { type: "text/plain" });
+		Object.defineProperty(container.querySelector('[name="resume"]'), "files", {
+			value: [file],
+		});
+
+		const json = await formsmd.createPostJSON(true);
+		expect(json).toMatchObject({
+			source: "web",
+			name: "Jane",
+			age: 30,
+			colors: ["Red", "Blue"],
+			appointment: "2025-03-01T10:30+06:00",
+			resume: {
+				name: "resume.txt",
+				type: "text/plain",
+				data: "aGVsbG8=",
+			},
+			meta: {
+				end: true,
+				rid: formsmd.getOrCreateResponseId(),
+				sheetName: "Sheet2",
+			},
+		});
+		expect(new Date(json.meta.submitted).toISOString()).toBe(
+			json.meta.submitted,
+		);
+		expect(json._rid).toBeUndefined();
+	});
+
+	test("Case 2 (post-format setting and postFormat option)", async () => {
+		global.fetch = jest.fn(() =>
+			Promise.resolve({
+				ok: true,
+				status: 200,
+				json: () => Promise.resolve({ id: 1 }),
+			}),
+		);
+
+		expect(formsmd.getPostFormat()).toBe("form-data");
+		await formsmd.postFormData(true, false);
+		expect(global.fetch.mock.calls[0][1].body).toBeInstanceOf(FormData);
+
+		formsmd.state.settings["post-format"] = "json";
+		const result = await formsmd.postFormData(true, false);
+		expect(result).toEqual({ ok: true, json: { id: 1 } });
+		const request = global.fetch.mock.calls[1][1];
+		expect(request.headers["Content-Type"]).toBe("application/json");
+		expect(JSON.parse(request.body)).toMatchObject({
+			age: 30,
+			meta: { end: false },
+		});
+
+		formsmd.options.postFormat = "form-data";
+		expect(formsmd.getPostFormat()).toBe("form-data");
+	});
+});
@@ -0,0 +1,147 @@
+"use strict";
+
+const { createRankingField } = require("../src/form-field-create");
+const beautify = require("beautify");
+
+// Case 1
+
+const expectedTemplate1 = `
+<fieldset data-fmd-name="priorities" data-fmd-type="ranking" data-fmd-required id="some-id" class="fmd-col-6 fmd-xs:col-10 fmd-form-field fmd-form-field-sm" aria-label="Label">
+	<legend class="fmd-form-question" id="id_priorities-label">
+		Rank your <span class="fmd-text-nowrap" aria-hidden="true">priorities<sup class="fmd-text-accent">*</sup></span><span class="fmd-visually-hidden">priorities (required)</span>
+	</legend>
+	<p class="fmd-form-description">
+		Most important first.
+	</p>
+	<div class="fmd-form-text" id="id_priorities-instructions">
+		Press space or enter to pick up an item, use the arrow keys to move it, then press space or enter again to drop it. Press escape to cancel.
+	</div>
+	<ol class="fmd-ranking-list" aria-labelledby="id_priorities-label">
+		<li class="fmd-ranking-item" data-fmd-value="Price">
+			<button
+				type="button"
+				id="id_priorities-1"
+				class="fmd-ranking-handle"
+				aria-pressed="false"
+				aria-describedby="id_priorities-instructions"
+				data-fmd-autofocus
+			>
+				<span class="fmd-ranking-position" aria-hidden="true">1</span>
+				<span class="fmd-ranking-label">Price</span>
+			</button>
+		</li>
+		<li class="fmd-ranking-item" data-fmd-value="ux">
+			<button
+				type="button"
+				id="id_priorities-2"
+				class="fmd-ranking-handle"
+				aria-pressed="false"
+				aria-describedby="id_priorities-instructions"
+			>
+				<span class="fmd-ranking-position" aria-hidden="true">2</span>
+				<span class="fmd-ranking-label">Ease of use</span>
+			</button>
+		</li>
+		<li class="fmd-ranking-item" data-fmd-value="Support">
+			<button
+				type="button"
+				id="id_priorities-3"
+				class="fmd-ranking-handle"
+				aria-pressed="false"
+				aria-describedby="id_priorities-instructions"
+			>
+				<span class="fmd-ranking-position" aria-hidden="true">3</span>
+				<span class="fmd-ranking-label">Support</span>
+			</button>
+		</li>
+	</ol>
+	<div class="fmd-visually-hidden" aria-live="assertive" aria-atomic="true" data-fmd-ranking-live></div>
+</fieldset>
+`;
+
+test("Case 1", () => {
+	expect(
+		beautify(
+			createRankingField(
+				"priorities",
+				true,
+				'id="some-id" class="fmd-col-6 fmd-xs:col-10" aria-label="Label"',
+				`
+					| question = Rank your priorities
+					| description = Most important first.
+					| fieldsize = sm
+					| autofocus
+					| choices = Price, "ux" Ease of use, Support
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate1, { format: "html" }));
+});
+
+// Case 2
+
+const expectedTemplate2 = `
+<fieldset data-fmd-name="priorities" data-fmd-type="ranking" class="fmd-form-field">
+	<legend class="fmd-form-question" id="page:id_priorities-label">
+		Rank your priorities
+	</legend>
+	<div class="fmd-form-text fmd-visually-hidden" id="page:id_priorities-instructions">
+		Drücken Sie die Leertaste oder Eingabetaste, um ein Element aufzunehmen, verschieben Sie es mit den Pfeiltasten und drücken Sie erneut die Leertaste oder Eingabetaste, um es abzulegen. Drücken Sie Escape, um abzubrechen.
+	</div>
+	<ol class="fmd-ranking-list" aria-labelledby="page:id_priorities-label">
+		<li class="fmd-ranking-item" data-fmd-value="Price">
+			<button
+				type="button"
+				id="page:id_priorities-1"
+				class="fmd-ranking-handle"
+				aria-pressed="false"
+				aria-describedby="page:id_priorities-instructions"
+				disabled
+			>
+				<span class="fmd-ranking-position" aria-hidden="true">1</span>
+				<span class="fmd-ranking-label">Price</span>
+			</button>
+		</li>
+		<li class="fmd-ranking-item" data-fmd-value="Support">
+			<button
+				type="button"
+				id="page:id_priorities-2"
+				class="fmd-ranking-handle"
+				aria-pressed="false"
+				aria-describedby="page:id_priorities-instructions"
+				disabled
+			>
+				<span class="fmd-ranking-position" aria-hidden="true">2</span>
+				<span class="fmd-ranking-label">Support</span>
+			</button>
+		</li>
+	</ol>
+	<div class="fmd-visually-hidden" aria-live="assertive" aria-atomic="true" data-fmd-ranking-live></div>
+</fieldset>
+`;
+
+test("Case 2 (not required, disabled, hide form text, different form delimiter, localization, id)", () => {
+	expect(
+		beautify(
+			createRankingField(
+				"priorities",
+				false,
+				"",
+				`
+					question = Rank your priorities
+					disabled
+					choices = Price, Support
+					hideformtext
+				`,
+				"\n",
+				"page",
+				"de",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate2, { format: "html" }));
+});
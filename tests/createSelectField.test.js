@@ -315,3 +315,142 @@ test("Case 7 (no params)", () => {
 		}),
 	).toBe(beautify(expectedTemplate7, { format: "html" }));
 });
+
+// Case 8 (multiple combobox with remote options)
+
+const expectedTemplate8 = `
+<div data-fmd-name="cities" data-fmd-type="combobox" data-fmd-selected="[&quot;Dhaka&quot;,&quot;fr-par&quot;]" data-fmd-multiple data-fmd-required data-fmd-options-url="https://example.com/cities?q={query}" class="fmd-form-field">
+	<label class="fmd-form-question" id="id_cities-label" for="id_cities">
+		Which cities have you <span class="fmd-text-nowrap" aria-hidden="true">visited?<sup class="fmd-text-accent">*</sup></span><span class="fmd-visually-hidden">visited? (required)</span>
+	</label>
+	<div class="fmd-combobox">
+		<ul class="fmd-combobox-chips" aria-label="Selected options"></ul>
+		<input
+			type="text"
+			id="id_cities"
+			class="fmd-form-combobox-input fmd-form-control"
+			role="combobox"
+			aria-autocomplete="list"
+			aria-expanded="false"
+			aria-controls="id_cities-listbox"
+			autocomplete="off"
+			placeholder="Select an option"
+		>
+		<div
+			class="fmd-combobox-listbox"
+			id="id_cities-listbox"
+			role="listbox"
+			aria-labelledby="id_cities-label"
+			aria-multiselectable="true"
+			hidden
+		></div>
+		<div class="fmd-visually-hidden" aria-live="polite" data-fmd-combobox-live></div>
+	</div>
+	<template class="fmd-combobox-options">
+		<option value="Dhaka">Dhaka</option>
+		<option value="Tokyo">Tokyo</option>
+		<option value="fr-par">Paris</option>
+	</template>
+</div>
+`;
+
+test("Case 8 (multiple combobox with remote options)", () => {
+	expect(
+		beautify(
+			createSelectField(
+				"cities",
+				true,
+				"",
+				`
+					| question = Which cities have you visited?
+					| options = Dhaka, Tokyo, "fr-par" Paris
+					| multiple
+					| selected = Dhaka, fr-par
+					| optionsurl = https://example.com/cities?q={query}
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate8, { format: "html" }));
+});
+
+// Case 9 (dependent options)
+
+const expectedTemplate9 = `
+<div data-fmd-name="state" data-fmd-depends-on="country" data-fmd-options-map="statesByCountry" class="fmd-form-field">
+	<label class="fmd-form-question" for="id_state">
+		<span class="fmd-text-nowrap" aria-hidden="true">State<sup class="fmd-text-accent">*</sup></span><span class="fmd-visually-hidden">State (required)</span>
+	</label>
+	<select
+		name="state"
+		id="id_state"
+		class="fmd-form-str-select fmd-form-select"
+		required
+	>
+		<option value="" disabled selected>Select an option</option>
+	</select>
+</div>
+`;
+
+test("Case 9 (dependent options)", () => {
+	expect(
+		beautify(
+			createSelectField(
+				"state",
+				true,
+				"",
+				`
+					| question = State
+					| dependson = country
+					| optionsmap = statesByCountry
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate9, { format: "html" }));
+});
+
+const expectedTemplate10 = `
+<div data-fmd-name="fruit" data-fmd-shuffle class="fmd-form-field">
+	<label class="fmd-form-question" for="id_fruit">
+		Fruit
+	</label>
+	<select
+		name="fruit"
+		id="id_fruit"
+		class="fmd-form-str-select fmd-form-select"
+	>
+		<option value="" selected>Select an option</option>
+		<option value="Apple">Apple</option>
+		<option value="Banana">Banana</option>
+		<option value="Cherry">Cherry</option>
+	</select>
+</div>
+`;
+
+test("Case 10 (shuffled options)", () => {
+	expect(
+		beautify(
+			createSelectField(
+				"fruit",
+				false,
+				"",
+				`
+					| question = Fruit
+					| options = Apple, Banana, Cherry
+					| shuffle
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate10, { format: "html" }));
+});
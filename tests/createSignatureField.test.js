@@ -0,0 +1,101 @@
+"use strict";
+
+const { createSignatureField } = require("../src/form-field-create");
+const beautify = require("beautify");
+
+// Case 1
+
+const expectedTemplate1 = `
+<fieldset data-fmd-name="signature" data-fmd-type="signature" data-fmd-required id="some-id" class="fmd-col-6 fmd-form-field fmd-form-field-sm" aria-label="Label">
+	<legend class="fmd-form-question" id="id_signature-label">
+		Sign <span class="fmd-text-nowrap" aria-hidden="true">here<sup class="fmd-text-accent">*</sup></span><span class="fmd-visually-hidden">here (required)</span>
+	</legend>
+	<p class="fmd-form-description">
+		Use your mouse or finger.
+	</p>
+	<div class="fmd-signature">
+		<canvas
+			id="id_signature"
+			class="fmd-signature-canvas"
+			role="img"
+			aria-labelledby="id_signature-label"
+		></canvas>
+		<div class="fmd-signature-btns">
+			<button type="button" class="fmd-signature-undo-btn" disabled>
+				Undo
+			</button>
+			<button type="button" class="fmd-signature-clear-btn" disabled>
+				Clear
+			</button>
+		</div>
+	</div>
+</fieldset>
+`;
+
+test("Case 1", () => {
+	expect(
+		beautify(
+			createSignatureField(
+				"signature",
+				true,
+				'id="some-id" class="fmd-col-6" aria-label="Label"',
+				`
+					| question = Sign here
+					| description = Use your mouse or finger.
+					| fieldsize = sm
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate1, { format: "html" }));
+});
+
+// Case 2
+
+const expectedTemplate2 = `
+<fieldset data-fmd-name="signature" data-fmd-type="signature" class="fmd-form-field">
+	<legend class="fmd-form-question" id="page:id_signature-label">
+		Sign here
+	</legend>
+	<div class="fmd-signature fmd-disabled">
+		<canvas
+			id="page:id_signature"
+			class="fmd-signature-canvas"
+			role="img"
+			aria-labelledby="page:id_signature-label"
+			aria-disabled="true"
+		></canvas>
+		<div class="fmd-signature-btns">
+			<button type="button" class="fmd-signature-undo-btn" disabled>
+				Annuler
+			</button>
+			<button type="button" class="fmd-signature-clear-btn" disabled>
+				Effacer
+			</button>
+		</div>
+	</div>
+</fieldset>
+`;
+
+test("Case 2 (not required, disabled, different form delimiter, localization, id)", () => {
+	expect(
+		beautify(
+			createSignatureField(
+				"signature",
+				false,
+				"",
+				`
+					question = Sign here
+					disabled
+				`,
+				"\n",
+				"page",
+				"fr",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate2, { format: "html" }));
+});
@@ -0,0 +1,150 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const { createSignatureField } = require("../src/form-field-create");
+
+describe("createSignatureFile", () => {
+	let formsmd;
+	let container;
+	let canvas;
+	let context;
+
+	const dispatchPointer = (type, x, y) => {
+		const e = new MouseEvent(type, {
+			clientX: x,
+			clientY: y,
+			button: 0,
+			bubbles: true,
+			cancelable: true,
+		});
+		Object.defineProperty(e, "pointerId", { value: 1 });
+		canvas.dispatchEvent(e);
+	};
+
+	beforeEach(() => {
+		container = document.createElement("div");
+		document.body.appendChild(container);
+
+		formsmd = new Formsmd("# Test form", container, {
+			sendFilesAsBase64: true,
+		});
+		formsmd.setStateToDefaults();
+		container.innerHTML = [
+			'<form class="fmd-slide">',
+			createSignatureField(
+				"signature",
+				true,
+				"",
+				"| question = Sign here",
+				"|",
+				"",
+				"en",
+			),
+			'<button type="submit" class="fmd-submit-btn">OK</button>',
+			"</form>",
+		].join("");
+		formsmd.setFormDataToState();
+		formsmd.addEventListeners(container, false);
+
+		// Not implemented in jsdom
+		canvas = container.querySelector(".fmd-signature-canvas");
+		context = {
+			clearRect: jest.fn(),
+			beginPath: jest.fn(),
+			moveTo: jest.fn(),
+			lineTo: jest.fn(),
+			stroke: jest.fn(),
+		};
+		jest
+			.spyOn(HTMLCanvasElement.prototype, "getContext")
+			.mockReturnValue(context);
+		jest
+			.spyOn(HTMLCanvasElement.prototype, "toBlob")
+			.mockImplementation((callback, type) => {
+				callback(new Blob(["png"], { type: type }));
+			});
+		jest.spyOn(canvas, "getBoundingClientRect").mockReturnValue({
+			left: 0,
+			top: 0,
+			width: 200,
+			height: 100,
+		});
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+	});
+
+	test("Case 1 (draw, undo, and clear)", async () => {
+		const listener = jest.fn();
+		formsmd.on("fieldchange", listener);
+		const undoBtn = container.querySelector(".fmd-signature-undo-btn");
+		const clearBtn = container.querySelector(".fmd-signature-clear-btn");
+		const formField = container.querySelector(".fmd-form-field");
+		expect(await formsmd.createSignatureFile(formField)).toBeNull();
+
+		dispatchPointer("pointerdown", 20, 10);
+		dispatchPointer("pointermove", 100, 50);
+		dispatchPointer("pointerup", 100, 50);
+		expect(formsmd.state.signatures.signature).toEqual([
+			[
+				{ x: 0.1, y: 0.1 },
+				{ x: 0.5, y: 0.5 },
+			],
+		]);
+		expect(context.lineTo).toHaveBeenCalledWith(100, 50);
+		expect(undoBtn.disabled).toBe(false);
+		expect(listener.mock.calls[0][0].detail).toEqual({
+			name: "signature",
+			value: true,
+		});
+
+		// Moving without pressing does not draw
+		dispatchPointer("pointermove", 150, 50);
+		expect(formsmd.state.signatures.signature[0].length).toBe(2);
+
+		dispatchPointer("pointerdown", 10, 90);
+		dispatchPointer("pointerup", 10, 90);
+		undoBtn.click();
+		expect(formsmd.state.signatures.signature.length).toBe(1);
+
+		const file = await formsmd.createSignatureFile(formField);
+		expect(file.name).toBe("signature.png");
+		expect(file.type).toBe("image/png");
+		expect(context.strokeStyle).toBe("#000000");
+
+		clearBtn.click();
+		expect(formsmd.state.signatures.signature).toEqual([]);
+		expect(undoBtn.disabled).toBe(true);
+		expect(clearBtn.disabled).toBe(true);
+		expect(listener.mock.calls[3][0].detail.value).toBe(false);
+	});
+
+	test("Case 2 (required, then sent as a base64 file)", async () => {
+		const form = container.querySelector("form");
+		expect(formsmd.formValid(form)).toBe(false);
+		expect(canvas.getAttribute("aria-invalid")).toBe("true");
+		expect(container.querySelector(".fmd-error").textContent).toContain(
+			"Please add your signature.",
+		);
+
+		dispatchPointer("pointerdown", 20, 10);
+		dispatchPointer("pointerup", 20, 10);
+		expect(canvas.hasAttribute("aria-invalid")).toBe(false);
+		expect(formsmd.formValid(form)).toBe(true);
+
+		const formData = await formsmd.createPostFormData(true);
+		expect(formData.get("signature")).toBe("cG5n");
+		expect(formData.get("signatureFilename")).toBe("signature.png");
+		expect(formData.get("signatureType")).toBe("image/png");
+		expect(formData.get("_fileFields")).toBe("signature");
+
+		const json = await formsmd.createPostJSON(true);
+		expect(json.signature).toEqual({
+			name: "signature.png",
+			type: "image/png",
+			data: "cG5n",
+		});
+	});
+});
@@ -0,0 +1,157 @@
+"use strict";
+
+const { createSliderField } = require("../src/form-field-create");
+const beautify = require("beautify");
+
+// Case 1
+
+const expectedTemplate1 = `
+<div data-fmd-name="budget" data-fmd-type="slider" data-fmd-unit="$" id="some-id" class="fmd-col-6 fmd-form-field">
+	<label class="fmd-form-question" for="id_budget" id="id_budget-label">
+		<span class="fmd-text-nowrap" aria-hidden="true">Budget<sup class="fmd-text-accent">*</sup></span><span class="fmd-visually-hidden">Budget (required)</span>
+	</label>
+	<p class="fmd-form-description">
+		Per month.
+	</p>
+	<div class="fmd-slider" style="--fmd-slider-low: 0%; --fmd-slider-high: 25%">
+		<div class="fmd-slider-track">
+			<input
+				name="budget"
+				id="id_budget"
+				type="range"
+				class="fmd-form-slider-input"
+				min="0"
+				max="1000"
+				step="50"
+				value="250"
+				data-fmd-slider-handle="low"
+				data-fmd-autofocus
+			>
+			<output class="fmd-slider-bubble" for="id_budget" data-fmd-slider-bubble="low" style="--fmd-slider-percent: 25%">$250</output>
+		</div>
+		<div class="fmd-slider-ticks" aria-hidden="true">
+			<span class="fmd-slider-tick" style="--fmd-slider-percent: 0%">$0</span>
+			<span class="fmd-slider-tick" style="--fmd-slider-percent: 50%">$500</span>
+			<span class="fmd-slider-tick" style="--fmd-slider-percent: 100%">$1000</span>
+		</div>
+	</div>
+</div>
+`;
+
+test("Case 1", () => {
+	expect(
+		beautify(
+			createSliderField(
+				"budget",
+				true,
+				'id="some-id" class="fmd-col-6"',
+				`
+					| question = Budget
+					| description = Per month.
+					| min = 0
+					| max = 1000
+					| step = 50
+					| unit = $
+					| value = 250
+					| ticks = 0, 500, 1000
+					| autofocus
+				`,
+				"|",
+				"",
+				"en",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate1, { format: "html" }));
+});
+
+// Case 2
+
+const expectedTemplate2 = `
+<div data-fmd-name="hours" data-fmd-type="slider" data-fmd-range data-fmd-unit-end="h" class="fmd-form-field">
+	<label class="fmd-form-question" for="page:id_hours" id="page:id_hours-label">
+		Hours
+	</label>
+	<div class="fmd-slider" style="--fmd-slider-low: 20%; --fmd-slider-high: 60%">
+		<div class="fmd-slider-track">
+			<input
+				name="hours"
+				id="page:id_hours"
+				type="range"
+				class="fmd-form-slider-input"
+				min="0"
+				max="10"
+				step="1"
+				value="2"
+				data-fmd-slider-handle="low"
+				aria-labelledby="page:id_hours-label page:id_hours-low-label"
+				disabled
+			>
+			<span id="page:id_hours-low-label" class="fmd-visually-hidden">Mínimo</span>
+			<output class="fmd-slider-bubble" for="page:id_hours" data-fmd-slider-bubble="low" style="--fmd-slider-percent: 20%">2h</output>
+			<input
+				name="hours"
+				id="page:id_hours-high"
+				type="range"
+				class="fmd-form-slider-input"
+				min="0"
+				max="10"
+				step="1"
+				value="6"
+				data-fmd-slider-handle="high"
+				aria-labelledby="page:id_hours-label page:id_hours-high-label"
+				disabled
+			>
+			<span id="page:id_hours-high-label" class="fmd-visually-hidden">Máximo</span>
+			<output class="fmd-slider-bubble" for="page:id_hours-high" data-fmd-slider-bubble="high" style="--fmd-slider-percent: 60%">6h</output>
+		</div>
+		<div class="fmd-slider-ticks" aria-hidden="true">
+			<span class="fmd-slider-tick" style="--fmd-slider-percent: 0%">0h</span>
+			<span class="fmd-slider-tick" style="--fmd-slider-percent: 100%">10h</span>
+		</div>
+	</div>
+</div>
+`;
+
+test("Case 2 (range, not required, disabled, different form delimiter, localization, id)", () => {
+	expect(
+		beautify(
+			createSliderField(
+				"hours",
+				false,
+				"",
+				`
+					question = Hours
+					range
+					value = 2, 6
+					max = 10
+					unitend = h
+					disabled
+				`,
+				"\n",
+				"page",
+				"es",
+			),
+			{ format: "html" },
+		),
+	).toBe(beautify(expectedTemplate2, { format: "html" }));
+});
+
+test("Case 3 (invalid params)", () => {
+	const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+	const template = createSliderField(
+		"hours",
+		false,
+		"",
+		"| question = Hours | min = 10 | max = 5 | step = -1 | value = a, b",
+		"|",
+		"",
+		"en",
+	);
+	expect(template).toContain('min="10"');
+	expect(template).toContain('max="110"');
+	expect(template).toContain('step="1"');
+	expect(template).toContain('value="10"');
+	expect(warn).toHaveBeenCalledTimes(3);
+	warn.mockRestore();
+});
@@ -0,0 +1,123 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const {
+	createChoiceField,
+	createTextField,
+} = require("../src/form-field-create");
+
+describe("emit", () => {
+	let formsmd;
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement("div");
+		document.body.appendChild(container);
+
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		container.innerHTML = [
+			createTextField("name", "text", false, "", "", "|", "", "en"),
+			createChoiceField(
+				"color",
+				false,
+				true,
+				"",
+				"| choices = Red, Green",
+				"|",
+				"",
+				"en",
+			),
+		].join("");
+		formsmd.setFormDataToState();
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+		delete global.fetch;
+	});
+
+	test("Case 1 (on, off, and DOM events)", () => {
+		const listener = jest.fn();
+		const domListener = jest.fn();
+		formsmd.on("fieldchange", listener);
+		container.addEventListener("fmd:fieldchange", domListener);
+
+		const input = container.querySelector('[name="name"]');
+		input.addEventListener("input", formsmd.textFieldOnInput);
+		input.value = "Jane";
+		input.dispatchEvent(new Event("input"));
+		expect(listener).toHaveBeenCalledTimes(1);
+		expect(listener.mock.calls[0][0].detail).toEqual({
+			name: "name",
+			value: "Jane",
+		});
+		expect(domListener.mock.calls[0][0].detail).toEqual({
+			name: "name",
+			value: "Jane",
+		});
+
+		formsmd.off("fieldchange", listener);
+		input.dispatchEvent(new Event("input"));
+		expect(listener).toHaveBeenCalledTimes(1);
+		expect(domListener).toHaveBeenCalledTimes(2);
+	});
+
+	test("Case 2 (listener errors do not stop other listeners)", () => {
+		jest.spyOn(console, "error").mockImplementation(() => {});
+		const listener = jest.fn();
+		formsmd.on("restart", () => {
+			throw new Error("Failed");
+		});
+		formsmd.on("restart", listener);
+		expect(formsmd.emit("restart", {})).toBe(true);
+		expect(listener).toHaveBeenCalled();
+		expect(console.error).toHaveBeenCalled();
+	});
+
+	test("Case 3 (validation error)", () => {
+		const listener = jest.fn();
+		formsmd.on("validationerror", listener);
+		const form = document.createElement("form");
+		form.innerHTML = `${container.innerHTML}<button type="submit" class="fmd-submit-btn">Submit</button>`;
+		container.innerHTML = "";
+		container.appendChild(form);
+		expect(formsmd.formValid(form)).toBe(false);
+		expect(listener.mock.calls[0][0].detail.fields).toEqual(["color"]);
+	});
+
+	test("Case 4 (beforesubmit mutates or cancels, then submit result)", async () => {
+		global.fetch = jest.fn(() =>
+			Promise.resolve({
+				ok: true,
+				status: 200,
+				json: () => Promise.resolve({}),
+			}),
+		);
+		formsmd.state.settings["post-url"] = "https://example.com/submit";
+		const onSuccess = jest.fn();
+		const onError = jest.fn();
+		formsmd.on("submitsuccess", onSuccess);
+		formsmd.on("submiterror", onError);
+
+		const mutate = (e) => e.detail.payload.append("source", "web");
+		formsmd.on("beforesubmit", mutate);
+		expect(await formsmd.postFormData(true, false)).toEqual({
+			ok: true,
+			json: {},
+		});
+		expect(global.fetch.mock.calls[0][1].body.get("source")).toBe("web");
+		expect(onSuccess.mock.calls[0][0].detail.end).toBe(false);
+		formsmd.off("beforesubmit");
+
+		formsmd.on("beforesubmit", (e) => e.preventDefault());
+		expect(await formsmd.postFormData(true, true)).toEqual({
+			ok: false,
+			json: {},
+			cancelled: true,
+		});
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+		expect(onError.mock.calls[0][0].detail.end).toBe(true);
+	});
+});
@@ -0,0 +1,141 @@
+"use strict";
+
+const {
+	parseExpression,
+	getExpressionNames,
+	evaluateExpression,
+	evaluateCondition,
+} = require("../src/expression-parse");
+
+const context = {
+	quantity: 3,
+	price: 4.5,
+	name: "Jane",
+	plan: "pro",
+	scores: [2, 4, 9],
+	address: { city: "Dhaka" },
+	empty: null,
+};
+
+// Case 1 (arithmetic and precedence)
+
+test("Case 1 (arithmetic and precedence)", () => {
+	expect(evaluateExpression(parseExpression("1 + 2 * 3"), context)).toBe(7);
+	expect(evaluateExpression(parseExpression("(1 + 2) * 3"), context)).toBe(9);
+	expect(evaluateExpression(parseExpression("-quantity % 2"), context)).toBe(
+		-1,
+	);
+	expect(evaluateExpression(parseExpression("quantity * price"), context)).toBe(
+		13.5,
+	);
+});
+
+// Case 2 (comparisons, logic, ternary, strings)
+
+test("Case 2 (comparisons, logic, ternary, strings)", () => {
+	expect(
+		evaluateExpression(
+			parseExpression('plan == "pro" and quantity >= 3'),
+			context,
+		),
+	).toBe(true);
+	expect(
+		evaluateExpression(parseExpression("not (price < 4 || !name)"), context),
+	).toBe(true);
+	expect(
+		evaluateExpression(
+			parseExpression("quantity > 5 ? 'bulk' : 'Hi, ' + name"),
+			context,
+		),
+	).toBe("Hi, Jane");
+	expect(evaluateExpression(parseExpression('"say \\"hi\\""'), context)).toBe(
+		'say "hi"',
+	);
+});
+
+// Case 3 (member access and functions)
+
+test("Case 3 (member access and functions)", () => {
+	expect(evaluateExpression(parseExpression("address.city"), context)).toBe(
+		"Dhaka",
+	);
+	expect(evaluateExpression(parseExpression("scores[1]"), context)).toBe(4);
+	expect(evaluateExpression(parseExpression("scores.length"), context)).toBe(3);
+	expect(
+		evaluateExpression(parseExpression("round(sum(scores) / 7, 2)"), context),
+	).toBe(2.14);
+	expect(
+		evaluateExpression(parseExpression("max(scores, quantity * 4)"), context),
+	).toBe(12);
+	expect(evaluateExpression(parseExpression("count(empty)"), context)).toBe(0);
+});
+
+// Case 4 (sandboxed)
+
+test("Case 4 (sandboxed)", () => {
+	expect(evaluateExpression(parseExpression("constructor"), context)).toBe(
+		undefined,
+	);
+	expect(evaluateExpression(parseExpression("name.constructor"), context)).toBe(
+		undefined,
+	);
+	expect(
+		evaluateExpression(parseExpression('address["__proto__"]'), context),
+	).toBe(undefined);
+	expect(() => parseExpression("alert(1)")).toThrow(
+		'Unknown function "alert" at position 1',
+	);
+	expect(() => parseExpression("name.toString()")).toThrow(
+		'Unexpected "(" at position 14',
+	);
+	expect(() => parseExpression("price = 1")).toThrow(
+		'Unexpected character "=" at position 7',
+	);
+	expect(() => parseExpression("quantity *")).toThrow(
+		"Unexpected end of expression",
+	);
+});
+
+// Case 5 (names)
+
+test("Case 5 (names)", () => {
+	expect(
+		getExpressionNames(
+			parseExpression("round(quantity * price) + address.city + quantity"),
+		),
+	).toEqual(["quantity", "price", "address"]);
+});
+
+// Case 6 (logic operators)
+
+test("Case 6 (logic operators)", () => {
+	const formData = {
+		hobbies: ["Reading", "Chess"],
+		bio: "I like chess",
+		age: 30,
+		email: "  ",
+		score: 0,
+		ratings: { Speed: "", Design: "" },
+	};
+	expect(evaluateCondition('hobbies contains "Chess"', formData)).toBe(true);
+	expect(evaluateCondition('bio contains "golf"', formData)).toBe(false);
+	expect(evaluateCondition('"Reading" in hobbies', formData)).toBe(true);
+	expect(evaluateCondition('"Golf" not in hobbies', formData)).toBe(true);
+	expect(
+		evaluateCondition("age between 18 and 30 and score == 0", formData),
+	).toBe(true);
+	expect(evaluateCondition("missing between 0 and 10", formData)).toBe(false);
+	expect(evaluateCondition("email is empty", formData)).toBe(true);
+	expect(evaluateCondition("ratings is empty", formData)).toBe(true);
+	expect(evaluateCondition("score is answered", formData)).toBe(true);
+	expect(evaluateCondition("hobbies is not empty", formData)).toBe(true);
+	expect(
+		evaluateCondition("not answered(missing) && age === 30", formData),
+	).toBe(true);
+	expect(() => evaluateCondition("email is blank", formData)).toThrow(
+		'Expected "empty" or "answered" at position 10',
+	);
+	expect(() => evaluateCondition("age between 18", formData)).toThrow(
+		"Unexpected end of expression",
+	);
+});
@@ -0,0 +1,47 @@
+"use strict";
+
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("exportLogicGraph", () => {
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "formsmd-"));
+		fs.mkdirSync(path.join(dir, "src"));
+		fs.writeFileSync(
+			path.join(dir, "src", "contact.md"),
+			["# Intro", "", "---", '-> country == "BD"', "", "# Bangladesh"].join(
+				"\n",
+			),
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	test("Case 1 (CLI flag)", () => {
+		const result = spawnSync(
+			"node",
+			[path.join(__dirname, "..", "bin", "index.js"), "--logic-graph", "json"],
+			{ cwd: dir, encoding: "utf8" },
+		);
+		expect(result.status).toBe(0);
+		expect(result.stderr.split("\n").filter(Boolean)).toEqual([
+			"[SLIDES] contact.md: slide 2 is unreachable",
+			'[SLIDES] contact.md: slide 1 is a dead end (no "-> END" slide)',
+			'[SLIDES] contact.md: "country" used in the jump condition of slide 2 is never defined',
+		]);
+		const graph = JSON.parse(
+			fs.readFileSync(path.join(dir, "site", "logic", "contact.json"), "utf8"),
+		);
+		expect(graph.unreachableSlides).toEqual([2]);
+		expect(graph.deadEnds).toEqual([1]);
+		expect(graph.undefinedNames).toEqual([
+			{ slide: 2, name: "country", forward: false },
+		]);
+	});
+});
@@ -0,0 +1,186 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const { createFileField } = require("../src/form-field-create");
+
+describe("fileFieldOnInput", () => {
+	let formsmd;
+	let container;
+
+	const chooseFiles = (files) => {
+		const input = container.querySelector('[name="attachments"]');
+		Object.defineProperty(input, "files", {
+			value: files,
+			configurable: true,
+		});
+		input.dispatchEvent(new Event("change"));
+		return new Promise((resolve) => setTimeout(resolve, 0));
+	};
+
+	const createFile = (name, type, size) => {
+		return new File(["a".repeat(size)], name, { type: type });
+	};
+
+	beforeEach(() => {
+		// Not implemented in jsdom
+		URL.createObjectURL = jest.fn(() => "blob:preview");
+		URL.revokeObjectURL = jest.fn();
+
+		container = document.createElement("div");
+		document.body.appendChild(container);
+
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		container.innerHTML = [
+			'<form class="fmd-slide">',
+			createFileField(
+				"attachments",
+				true,
+				"",
+				"| multiple | maxfiles = 2 | totalsizelimit = 1 | accept = .pdf, image/*",
+				"|",
+				"",
+				"en",
+			),
+			'<button type="submit" class="fmd-submit-btn">OK</button>',
+			"</form>",
+		].join("");
+		formsmd.setFormDataToState();
+		formsmd.addEventListeners(container, false);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+		delete URL.createObjectURL;
+		delete URL.revokeObjectURL;
+	});
+
+	test("Case 1 (files are added, deduplicated, and removed)", async () => {
+		const listener = jest.fn();
+		formsmd.on("fieldchange", listener);
+		const photo = createFile("photo.png", "image/png", 10);
+		const resume = createFile("resume.pdf", "application/pdf", 10);
+
+		await chooseFiles([photo]);
+		await chooseFiles([photo, resume]);
+		expect(formsmd.state.files.attachments).toEqual([photo, resume]);
+		expect(listener.mock.calls[1][0].detail).toEqual({
+			name: "attachments",
+			value: [photo, resume],
+		});
+		const items = container.querySelectorAll(".fmd-form-file-item");
+		expect(items.length).toBe(2);
+		expect(items[0].querySelector("img").getAttribute("src")).toBe(
+			"blob:preview",
+		);
+		expect(items[1].querySelector("img")).toBeNull();
+
+		// The previews of the previous list are revoked
+		expect(URL.createObjectURL).toHaveBeenCalledTimes(2);
+		expect(URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+		expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:preview");
+		expect(
+			items[1]
+				.querySelector(".fmd-form-file-remove-btn")
+				.getAttribute("aria-label"),
+		).toBe("Remove resume.pdf");
+
+		container
+			.querySelector('.fmd-form-file-remove-btn[data-fmd-index="0"]')
+			.click();
+		expect(formsmd.state.files.attachments).toEqual([resume]);
+		expect(container.querySelectorAll(".fmd-form-file-item").length).toBe(1);
+		expect(URL.revokeObjectURL).toHaveBeenCalledTimes(2);
+		expect(document.activeElement.getAttribute("aria-label")).toBe(
+			"Remove resume.pdf",
+		);
+	});
+
+	test("Case 2 (type, max files, and total size limits)", async () => {
+		await chooseFiles([createFile("notes.txt", "text/plain", 10)]);
+		expect(formsmd.state.files.attachments).toEqual([]);
+		expect(container.querySelector(".fmd-error").textContent).toContain(
+			"notes.txt is not an accepted file type.",
+		);
+
+		const large = createFile("large.pdf", "application/pdf", 1024 * 1024);
+		await chooseFiles([createFile("a.pdf", "application/pdf", 10), large]);
+		expect(formsmd.state.files.attachments.length).toBe(1);
+		expect(container.querySelector(".fmd-error").textContent).toContain(
+			"Files exceed the total size limit.",
+		);
+
+		await chooseFiles([
+			createFile("b.pdf", "application/pdf", 10),
+			createFile("c.pdf", "application/pdf", 10),
+		]);
+		expect(formsmd.state.files.attachments.map((file) => file.name)).toEqual([
+			"a.pdf",
+			"b.pdf",
+		]);
+		expect(container.querySelector(".fmd-error").textContent).toContain(
+			"You can choose up to 2 files.",
+		);
+	});
+
+	test("Case 3 (required in formValid)", async () => {
+		const form = container.querySelector("form");
+		expect(formsmd.formValid(form)).toBe(false);
+		expect(container.querySelector(".fmd-error").textContent).toContain(
+			"Please choose at least one file.",
+		);
+
+		await chooseFiles([createFile("a.pdf", "application/pdf", 10)]);
+		expect(formsmd.formValid(form)).toBe(true);
+	});
+
+	test("Case 4 (all files are posted, with one filename and type each)", async () => {
+		const photo = createFile("photo.png", "image/png", 3);
+		const resume = createFile("resume.pdf", "application/pdf", 3);
+		await chooseFiles([photo, resume]);
+
+		let formData = await formsmd.createPostFormData(false);
+		expect(formData.getAll("attachments")).toEqual([photo, resume]);
+		expect(formData.get("_fileFields")).toBe("attachments");
+
+		formsmd.options.sendFilesAsBase64 = true;
+		formData = await formsmd.createPostFormData(false);
+		expect(formData.getAll("attachments").length).toBe(2);
+		expect(formData.getAll("attachmentsFilename")).toEqual([
+			"photo.png",
+			"resume.pdf",
+		]);
+		expect(formData.getAll("attachmentsType")).toEqual([
+			"image/png",
+			"application/pdf",
+		]);
+
+		const json = await formsmd.createPostJSON(false);
+		expect(json.attachments).toEqual([
+			{ name: "photo.png", type: "image/png", data: "YWFh" },
+			{ name: "resume.pdf", type: "application/pdf", data: "YWFh" },
+		]);
+	});
+
+	test("Case 5 (size limit of each file)", async () => {
+		container.querySelector(".fmd-form-field").outerHTML = createFileField(
+			"attachments",
+			false,
+			"",
+			"| multiple | sizelimit = 1 | totalsizelimit = 3",
+			"|",
+			"",
+			"en",
+		);
+		formsmd.addEventListeners(container, false);
+		const large = createFile("large.pdf", "application/pdf", 1.5 * 1024 * 1024);
+		const small = createFile("small.pdf", "application/pdf", 10);
+
+		await chooseFiles([large, small]);
+		expect(formsmd.state.files.attachments).toEqual([small]);
+		expect(container.querySelector(".fmd-error").textContent).toContain(
+			"File exceeds the size limit.",
+		);
+	});
+});
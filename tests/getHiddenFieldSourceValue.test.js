@@ -0,0 +1,86 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const { createHiddenField } = require("../src/form-field-create");
+
+describe("getHiddenFieldSourceValue", () => {
+	let formsmd;
+	let container;
+
+	const setUp = (options, fields) => {
+		formsmd = new Formsmd("# Test form", container, options);
+		formsmd.setStateToDefaults();
+		formsmd.state.data = { plan: "pro", account: { id: 1 } };
+		container.innerHTML = [
+			'<form class="fmd-slide">',
+			...fields.map((params) =>
+				createHiddenField(params[0], "", params[1], "|", "", "en"),
+			),
+			'<span data-fmd-bind-campaign="">{$ campaign $}</span>',
+			"</form>",
+			'<form class="fmd-slide" data-fmd-jump="campaign == &quot;spring&quot;"></form>',
+			'<form class="fmd-slide"></form>',
+		].join("");
+		formsmd.setFormDataToState();
+	};
+
+	beforeEach(() => {
+		window.history.replaceState({}, "", "/?utm_campaign=spring&empty=");
+		document.cookie = "visitor=abc%20123";
+		container = document.createElement("div");
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		document.cookie = "visitor=; expires=Thu, 01 Jan 1970 00:00:00 GMT";
+		window.history.replaceState({}, "", "/");
+		jest.restoreAllMocks();
+	});
+
+	test("Case 1 (sources, in order, and the default value)", () => {
+		const getHiddenFieldValue = jest.fn((name) =>
+			name === "userId" ? 42 : undefined,
+		);
+		setUp({ postData: { source: "newsletter" }, getHiddenFieldValue }, [
+			["campaign", "| key = utm_campaign"],
+			["plan", "| source = url, data"],
+			["visitor", "| source = cookie"],
+			["source", "| source = postdata"],
+			["userId", "| source = script | key = uid"],
+			["referrer", "| source = url, script | key = empty | value = direct"],
+			["account", "| source = data | value = none"],
+		]);
+		expect(formsmd.state.formData).toEqual({
+			campaign: "spring",
+			plan: "pro",
+			visitor: "abc 123",
+			source: "newsletter",
+			userId: "42",
+			referrer: "direct",
+			account: "none",
+		});
+		expect(getHiddenFieldValue).toHaveBeenCalledWith("userId", "uid");
+		expect(formsmd.state.fieldTypes.campaign).toBe("hidden");
+		expect(container.querySelector('[name="visitor"]').value).toBe("abc 123");
+	});
+
+	test("Case 2 (bound, used in jump conditions, and posted)", async () => {
+		setUp({ postData: { campaign: "ignored", page: "pricing" } }, [
+			["campaign", "| key = utm_campaign"],
+		]);
+		expect(container.querySelector("span").innerText).toBe("spring");
+		formsmd.state.slideData.currentIndex = 2;
+		expect(formsmd.getPrevSlide().index).toBe(1);
+
+		const formData = await formsmd.createPostFormData(false);
+		expect(formData.getAll("campaign")).toEqual(["spring"]);
+		expect(formData.get("page")).toBe("pricing");
+		const json = await formsmd.createPostJSON(false);
+		expect(json.campaign).toBe("spring");
+
+		expect(formsmd.setValue("campaign", "summer")).toBe(true);
+		expect(formsmd.state.formData.campaign).toBe("summer");
+		expect(container.querySelector('[name="campaign"]').value).toBe("summer");
+	});
+});
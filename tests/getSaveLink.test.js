@@ -0,0 +1,194 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const {
+	createChoiceField,
+	createHiddenField,
+	createTextField,
+} = require("../src/form-field-create");
+
+describe("getSaveLink", () => {
+	let formsmd;
+	let container;
+
+	const setUp = () => {
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		container.innerHTML = [
+			'<form class="fmd-slide">',
+			createTextField(
+				"name",
+				"text",
+				false,
+				"",
+				"| question = What is your name?",
+				"|",
+				"",
+				"en",
+			),
+			"</form>",
+			'<form class="fmd-slide">',
+			createChoiceField(
+				"colors",
+				false,
+				false,
+				"",
+				"| choices = Red, Green, Blue | multiple",
+				"|",
+				"",
+				"en",
+			),
+			"</form>",
+			'<form class="fmd-slide"></form>',
+		].join("");
+		formsmd.addEventListeners(container, false);
+		formsmd.setFormDataToState();
+	};
+
+	const getToken = (link) => {
+		return new URL(link).searchParams.get("fmd-resume");
+	};
+
+	beforeEach(() => {
+		localStorage.clear();
+		window.history.replaceState(null, "", "/");
+		container = document.createElement("div");
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+	});
+
+	test("Case 1 (token with the form data, slide and response id)", async () => {
+		setUp();
+		formsmd.setFieldValue("name", "Zoë ✓");
+		formsmd.setFieldValue("colors", ["Red", "Blue"]);
+		formsmd.state.slideData.currentIndex = 1;
+
+		const token = getToken(await formsmd.getSaveLink());
+		expect(token).toMatch(/^j\.[A-Za-z0-9_-]+$/);
+		expect(await formsmd.parseResumeToken(token)).toEqual({
+			rid: formsmd.getOrCreateResponseId(),
+			slide: 1,
+			formData: {
+				name: "Zoë ✓",
+				colors: ["Red", "Blue"],
+			},
+		});
+	});
+
+	test("Case 2 (continued on another device)", async () => {
+		setUp();
+		formsmd.setFieldValue("name", "Ann");
+		formsmd.setFieldValue("colors", ["Green"]);
+		formsmd.state.slideData.currentIndex = 2;
+		const rid = formsmd.getOrCreateResponseId();
+		const link = await formsmd.getSaveLink();
+
+		localStorage.clear();
+		window.history.replaceState(null, "", new URL(link).search);
+		setUp();
+		const resumeData = await formsmd.getResumeData();
+		formsmd.setResumeData(resumeData);
+		expect(resumeData.rid).toBe(rid);
+		expect(container.querySelector('[name="name"]').value).toBe("Ann");
+		expect(formsmd.state.formData.colors).toEqual(["Green"]);
+		expect(formsmd.options.startSlide).toBe(2);
+		expect(
+			JSON.parse(localStorage.getItem("formsmd:localhost/form-data")),
+		).toEqual({ name: "Ann", colors: ["Green"] });
+		expect(window.location.search).toBe("");
+	});
+
+	test("Case 3 (edited token)", async () => {
+		jest.spyOn(console, "warn").mockImplementation(() => {});
+		setUp();
+		const editedToken = `j.${Buffer.from(
+			JSON.stringify({ rid: "not-a-response-id", slide: 1, formData: {} }),
+		).toString("base64url")}`;
+
+		expect(await formsmd.parseResumeToken(editedToken)).toBeNull();
+		expect(await formsmd.parseResumeToken("j.not-json")).toBeNull();
+		expect(await formsmd.parseResumeToken("x.e30")).toBeNull();
+		expect(await formsmd.parseResumeToken("not-a-token")).toBeNull();
+		window.history.replaceState(null, "", `/?fmd-resume=${editedToken}`);
+		expect(await formsmd.getResumeData()).toBeNull();
+		expect(console.warn).toHaveBeenCalledWith(
+			"[DATA] The link to continue the form is not valid, starting from the beginning instead.",
+		);
+	});
+
+	test("Case 4 (compressed token)", async () => {
+		const {
+			CompressionStream,
+			DecompressionStream,
+		} = require("node:stream/web");
+		global.CompressionStream = CompressionStream;
+		global.DecompressionStream = DecompressionStream;
+		try {
+			setUp();
+			formsmd.setFieldValue("name", "Ann ".repeat(100));
+			formsmd.state.slideData.currentIndex = 1;
+
+			const token = getToken(await formsmd.getSaveLink());
+			expect(token).toMatch(/^z\.[A-Za-z0-9_-]+$/);
+			expect(token.length).toBeLessThan(200);
+			expect(await formsmd.parseResumeToken(token)).toEqual({
+				rid: formsmd.getOrCreateResponseId(),
+				slide: 1,
+				formData: {
+					name: "Ann ".repeat(100),
+					colors: [],
+				},
+			});
+		} finally {
+			delete global.CompressionStream;
+			delete global.DecompressionStream;
+		}
+		expect(await formsmd.parseResumeToken("z.e30")).toBeNull();
+	});
+
+	test("Case 5 (hidden and reserved fields are not restored)", async () => {
+		setUp();
+		container.insertAdjacentHTML(
+			"beforeend",
+			`<form class="fmd-slide">${createHiddenField(
+				"plan",
+				"",
+				"| value = free",
+				"|",
+				"",
+				"en",
+			)}</form>`,
+		);
+		formsmd.setStateToDefaults();
+		formsmd.setFormDataToState();
+		const token = `j.${Buffer.from(
+			JSON.stringify({
+				rid: "abcdefgh-1234-abcd-1234-abcdefghijkl",
+				slide: 0,
+				formData: {
+					name: "Ann",
+					plan: "enterprise",
+					_score: 100,
+					_rid: "abcdefgh-1234-abcd-1234-000000000000",
+				},
+			}),
+		).toString("base64url")}`;
+
+		window.history.replaceState(null, "", `/?fmd-resume=${token}`);
+		formsmd.setResumeData(await formsmd.getResumeData());
+		expect(formsmd.state.formData.name).toBe("Ann");
+		expect(formsmd.state.formData.plan).toBe("free");
+		expect(formsmd.state.formData._score).toBeUndefined();
+		expect(formsmd.state.formData._rid).toBeUndefined();
+
+		formsmd.state.formData._score = 3;
+		const data = await formsmd.parseResumeToken(
+			getToken(await formsmd.getSaveLink()),
+		);
+		expect(data.formData).toEqual({ name: "Ann", colors: [] });
+	});
+});
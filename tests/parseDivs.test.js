@@ -202,3 +202,135 @@ test("Case 6 (empty string)", () => {
 	expect(result6.template).toBe(expectedTemplate6);
 	expect(result6.bindDivTemplates).toMatchObject(expectedBindDivTemplates6);
 });
+
+// Case 7 (repeatable group with min and max)
+
+const template7 = `
+::: [.col-12 repeat=dependents min=2 max=4]
+name* = TextInput(| question = Name)
+:::
+`;
+const expectedTemplate7 = `
+
+<div class="fmd-col-12 fmd-grid fmd-repeat" data-fmd-repeat="dependents" data-fmd-repeat-min="2" data-fmd-repeat-max="4">
+
+<div class="fmd-repeat-item fmd-grid" data-fmd-repeat-index="1">
+
+dependents_1_name* = TextInput(| question = Name)
+
+<div class="fmd-repeat-item-footer">
+	<button type="button" class="fmd-repeat-remove-btn fmd-btn fmd-btn-control">Remove</button>
+</div>
+
+</div>
+
+
+<div class="fmd-repeat-item fmd-grid" data-fmd-repeat-index="2">
+
+dependents_2_name* = TextInput(| question = Name)
+
+<div class="fmd-repeat-item-footer">
+	<button type="button" class="fmd-repeat-remove-btn fmd-btn fmd-btn-control">Remove</button>
+</div>
+
+</div>
+
+
+<div class="fmd-repeat-footer">
+	<button type="button" class="fmd-repeat-add-btn fmd-btn fmd-btn-accent fmd-btn-control">Add another</button>
+</div>
+
+</div>
+
+`;
+const expectedRepeatTemplates7 = {
+	dependents: "name* = TextInput(| question = Name)",
+};
+
+test("Case 7 (repeatable group with min and max)", () => {
+	const result7 = parseDivs(template7, "fmd-");
+	expect(result7.template).toBe(expectedTemplate7);
+	expect(result7.bindDivTemplates).toMatchObject({});
+	expect(result7.repeatTemplates).toMatchObject(expectedRepeatTemplates7);
+});
+
+// Case 8 (repeatable group with different localization, "min" and "max"
+// attributes without "repeat" are kept as is)
+
+const template8 = `
+::: [repeat="items"]
+item = TextInput(| question = Item)
+:::
+
+::: [min=1 max=2]
+Not repeated
+:::
+`;
+const expectedTemplate8 = `
+
+<div class="fmd-grid fmd-repeat" data-fmd-repeat="items" data-fmd-repeat-min="1" data-fmd-repeat-max="0">
+
+<div class="fmd-repeat-item fmd-grid" data-fmd-repeat-index="1">
+
+items_1_item = TextInput(| question = Item)
+
+<div class="fmd-repeat-item-footer">
+	<button type="button" class="fmd-repeat-remove-btn fmd-btn fmd-btn-control">Entfernen</button>
+</div>
+
+</div>
+
+
+<div class="fmd-repeat-footer">
+	<button type="button" class="fmd-repeat-add-btn fmd-btn fmd-btn-accent fmd-btn-control">Weitere hinzufügen</button>
+</div>
+
+</div>
+
+
+
+<div class="fmd-grid" min=1 max=2>
+
+Not repeated
+
+</div>
+
+`;
+
+test('Case 8 (repeatable group with different localization, "min" and "max" attributes without "repeat" are kept as is)', () => {
+	const result8 = parseDivs(template8, "fmd-", "de");
+	expect(result8.template).toBe(expectedTemplate8);
+	expect(result8.repeatTemplates).toMatchObject({
+		items: "item = TextInput(| question = Item)",
+	});
+});
+
+// Case 9 (repeatable group with form fields that have attributes)
+
+const template9 = `
+::: [repeat=dependents]
+[.col-6] first* = TextInput(| question = First name)
+[.col-6 aria-label="Last name"] last = TextInput(| question = Last name)
+[.col-12]
+age = NumberInput(| question = Age)
+:::
+`;
+const expectedItem9 = `
+[.col-6] dependents_1_first* = TextInput(| question = First name)
+[.col-6 aria-label="Last name"] dependents_1_last = TextInput(| question = Last name)
+[.col-12]
+dependents_1_age = NumberInput(| question = Age)
+`;
+
+test("Case 9 (repeatable group with form fields that have attributes)", () => {
+	const result9 = parseDivs(template9, "fmd-");
+	expect(result9.template).toContain(expectedItem9.trim());
+	expect(result9.repeatTemplates).toMatchObject({
+		dependents: [
+			"[.col-6] first* = TextInput(| question = First name)",
+			'[.col-6 aria-label="Last name"] last = TextInput(| question = Last name)',
+			"[.col-12]",
+			"age = NumberInput(| question = Age)",
+		].join("\n"),
+	});
+});
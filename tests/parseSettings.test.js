@@ -129,9 +129,13 @@ const template3 = `
 	#! meta-url = https://example.com/articles/4/
 #! page = slides
 	#! page-progress = hide
+#!   partial-submissions = change
 			#! placeholders = hide
+	#! post-format = json
 #! post-sheet-name = Sheet2
 		#! post-url = https://example.com/api/examples/create/
+#! quiz = true
+	#! quiz-feedback = instant
 #! restart-button = show
 		#! rounded = pill
 			#! slide-controls = hide
@@ -171,9 +175,13 @@ const expectedSettings3 = {
 	"meta-url": "https://example.com/articles/4/",
 	"page": "slides",
 	"page-progress": "hide",
+	"partial-submissions": "change",
 	"placeholders": "hide",
+	"post-format": "json",
 	"post-sheet-name": "Sheet2",
 	"post-url": "https://example.com/api/examples/create/",
+	"quiz": "true",
+	"quiz-feedback": "instant",
 	"restart-button": "show",
 	"rounded": "pill",
 	"slide-controls": "hide",
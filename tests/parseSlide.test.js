@@ -23,7 +23,7 @@ const expectedTemplate1 = `
 	method="POST"
 	action="javascript:void(0);"
 	class="fmd-slide"
-	data-fmd-jump="profession == 'business'"
+	data-fmd-jump="profession == &quot;business&quot;"
 	data-fmd-page-progress="25%"
 	data-fmd-disable-prev-btn
 	data-fmd-post
@@ -79,7 +79,7 @@ const expectedTemplate2 = `
 	method="POST"
 	action="javascript:void(0);"
 	class="fmd-slide"
-	data-fmd-jump="age > 18 && profession == 'service'"
+	data-fmd-jump="age &gt; 18 &amp;&amp; profession == &quot;service&quot;"
 >
 	<div class="fmd-grid">
 		<markdown>
@@ -177,7 +177,7 @@ This is a paragraph.
 const expectedTemplate4 = `
 <div
 	class="fmd-slide"
-	data-fmd-jump="name == 'Jack'"
+	data-fmd-jump="name == &quot;Jack&quot;"
 	data-fmd-page-progress="75%"
 >
 	<div class="fmd-grid">
@@ -232,7 +232,7 @@ email* = EmailInput(question=What is your email address?)
 const expectedTemplate5 = `
 <div
 	class="fmd-slide"
-	data-fmd-jump="profession == 'business'"
+	data-fmd-jump="profession == &quot;business&quot;"
 	data-fmd-page-progress="25%"
 >
 	<div class="fmd-grid">
@@ -1037,7 +1037,7 @@ const expectedTemplate22 = `
 	method="POST"
 	action="javascript:void(0);"
 	class="fmd-slide"
-	data-fmd-jump="profession == 'business'"
+	data-fmd-jump="profession == &quot;business&quot;"
 	data-fmd-page-progress="25%"
 	data-fmd-disable-prev-btn
 	data-fmd-post
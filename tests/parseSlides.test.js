@@ -740,3 +740,87 @@ test("Case 10 (form, two slides, different submit button text, show restart butt
 		beautify(expectedTemplate10, { format: "html" }),
 	);
 });
+
+// Case 11 (form, shuffled blocks of slides)
+
+const template11 = `
+# A
+---
+~ shuffle
+# B
+---
+-> age > 18
+~ shuffle
+# C
+---
+~ SHUFFLE
+# D
+---
+# E
+---
+~ shuffle
+# F
+---
+~ shuffle
+# G
+`;
+
+test("Case 11 (form, shuffled blocks of slides)", () => {
+	const getOrder = (shuffleSeed) => {
+		const result = parseSlides(
+			template11,
+			true,
+			{ showRestartBtn: false, submitBtnText: "" },
+			"en",
+			"---",
+			shuffleSeed,
+		);
+		expect(result).not.toContain("shuffle");
+		expect(result).toMatch(
+			/data-fmd-jump="age &gt; 18"[^<]*>\s*<div class="fmd-grid">\s*<markdown>\s*# C/,
+		);
+		return [...result.matchAll(/# ([A-G])/g)].map((match) => match[1]);
+	};
+
+	const orders = ["seed-1", "seed-2", "seed-3", "seed-4"].map(getOrder);
+	for (const order of orders) {
+		expect(order[0]).toBe("A");
+		expect(order.slice(1, 4).sort()).toEqual(["B", "C", "D"]);
+		expect(order[4]).toBe("E");
+		expect(order.slice(5).sort()).toEqual(["F", "G"]);
+	}
+	expect(getOrder("seed-1")).toEqual(orders[0]);
+	expect(orders.some((order) => order.join("") !== "ABCDEFG")).toBe(true);
+});
+
+// Case 12 (more than one end slide)
+
+const template12 = `
+# A
+---
+-> END
+
+# B
+---
+-> END
+
+# C
+`;
+
+test("Case 12 (more than one end slide)", () => {
+	jest.spyOn(console, "warn").mockImplementation(() => {});
+	const result = parseSlides(
+		template12,
+		true,
+		{ showRestartBtn: false, submitBtnText: "" },
+		"en",
+		"---",
+	);
+	expect(result).not.toContain("# B");
+	expect(result).toContain("# C");
+	expect(console.warn).toHaveBeenCalledTimes(1);
+	expect(console.warn).toHaveBeenCalledWith(
+		"[SLIDES] Slide 2: only the last end slide is used, use {% if %} blocks in it to show different content, e.g., depending on _score",
+	);
+	console.warn.mockRestore();
+});
@@ -0,0 +1,266 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const {
+	createTextField,
+	createFileField,
+} = require("../src/form-field-create");
+
+describe("postPartialFormData", () => {
+	let formsmd;
+	let container;
+
+	const setUp = (settings) => {
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		formsmd.state.settings = {
+			...formsmd.state.settings,
+			"post-url": "https://example.com/submit",
+			...settings,
+		};
+		container.innerHTML = [
+			'<div class="fmd-root">',
+			'<form class="fmd-slide fmd-slide-active">',
+			createTextField("name", "text", false, "", "", "|", "", "en"),
+			"</form>",
+			'<div class="fmd-slide"></div>',
+			"</div>",
+		].join("");
+		formsmd.addEventListeners(container, true);
+		formsmd.setFormDataToState();
+	};
+
+	const type = (name, value) => {
+		const input = container.querySelector(`[name="${name}"]`);
+		input.value = value;
+		input.dispatchEvent(new Event("input"));
+	};
+
+	const flushPromises = () => {
+		return new Promise((resolve) => setTimeout(resolve, 0));
+	};
+
+	beforeEach(() => {
+		localStorage.clear();
+		container = document.createElement("div");
+		document.body.appendChild(container);
+		// The requests never finish, so the navigation must not wait for them
+		global.fetch = jest.fn(() => new Promise(() => {}));
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+		jest.useRealTimers();
+		delete global.fetch;
+	});
+
+	test("Case 1 (sent in the background on the next slide)", async () => {
+		setUp({ "partial-submissions": "slide" });
+		jest.spyOn(formsmd, "fadeInNextSlide").mockImplementation(() => {});
+		const hasNewActiveSlide = jest
+			.spyOn(formsmd, "hasNewActiveSlide")
+			.mockImplementation((slide, index) => {
+				formsmd.state.slideData.currentIndex = index;
+			});
+		type("name", "Ann");
+		const [activeSlide, nextSlide] = container.querySelectorAll(".fmd-slide");
+
+		formsmd.handleNextSlideSuccess(activeSlide, nextSlide, {
+			isEndSlide: false,
+			progress: { currentQuestion: 1 },
+		});
+		await flushPromises();
+		expect(hasNewActiveSlide).toHaveBeenCalledTimes(1);
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+		const body = global.fetch.mock.calls[0][1].body;
+		expect(body.get("name")).toBe("Ann");
+		expect(body.get("_end")).toBe("");
+		expect(body.get("_lastSlide")).toBe("1");
+		expect(body.get("_rid")).toBe(formsmd.getOrCreateResponseId());
+	});
+
+	test("Case 2 (debounced field changes)", async () => {
+		jest.useFakeTimers();
+		setUp({ "partial-submissions": "change", "post-format": "json" });
+		type("name", "A");
+		jest.advanceTimersByTime(500);
+		type("name", "Ann");
+		jest.advanceTimersByTime(999);
+		expect(global.fetch).not.toHaveBeenCalled();
+
+		jest.advanceTimersByTime(1);
+		jest.useRealTimers();
+		await flushPromises();
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+		const json = JSON.parse(global.fetch.mock.calls[0][1].body);
+		expect(json.name).toBe("Ann");
+		expect(json.meta).toMatchObject({ end: false, lastSlide: 0 });
+	});
+
+	test("Case 3 (end after a pending partial)", async () => {
+		jest.useFakeTimers();
+		global.fetch = jest.fn(() =>
+			Promise.resolve({
+				ok: true,
+				status: 200,
+				json: () => Promise.resolve({}),
+			}),
+		);
+		setUp({ "partial-submissions": "change" });
+		const listener = jest.fn();
+		formsmd.on("submitsuccess", listener);
+		jest.spyOn(formsmd, "fadeInNextSlide").mockImplementation(() => {});
+		jest.spyOn(formsmd, "hasNewActiveSlide").mockImplementation(() => {});
+		const rid = formsmd.getOrCreateResponseId();
+		type("name", "Ann");
+		const [activeSlide, nextSlide] = container.querySelectorAll(".fmd-slide");
+
+		formsmd.handleNextSlideSuccess(activeSlide, nextSlide, {
+			isEndSlide: true,
+			progress: { currentQuestion: 1 },
+		});
+		await jest.advanceTimersByTimeAsync(2000);
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+		const body = global.fetch.mock.calls[0][1].body;
+		expect(body.get("_end")).toBe("true");
+		expect(body.get("_rid")).toBe(rid);
+		expect(listener).toHaveBeenCalledTimes(1);
+	});
+
+	test("Case 4 (destroy with a pending partial)", async () => {
+		jest.useFakeTimers();
+		setUp({ "partial-submissions": "change" });
+		type("name", "Ann");
+		formsmd.destroy();
+		await jest.advanceTimersByTimeAsync(2000);
+		expect(global.fetch).not.toHaveBeenCalled();
+	});
+
+	test("Case 5 (no submit events, and not queued)", async () => {
+		global.fetch = jest.fn(() =>
+			Promise.resolve({
+				ok: false,
+				status: 503,
+				json: () => Promise.resolve({}),
+			}),
+		);
+		formsmd = new Formsmd("# Test form", container, { offlineQueue: true });
+		formsmd.setStateToDefaults();
+		formsmd.state.settings = {
+			...formsmd.state.settings,
+			"post-url": "https://example.com/submit",
+			"partial-submissions": "slide",
+		};
+		const queueSubmission = jest.spyOn(formsmd, "queueSubmission");
+		const listener = jest.fn();
+		formsmd.on("beforesubmit", listener);
+		formsmd.on("submiterror", listener);
+
+		const result = await formsmd.postPartialFormData();
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+		expect(result.ok).toBe(false);
+		expect(listener).not.toHaveBeenCalled();
+		expect(queueSubmission).not.toHaveBeenCalled();
+	});
+
+	test("Case 6 (without the setting)", async () => {
+		jest.useFakeTimers();
+		setUp({});
+		type("name", "Ann");
+		jest.advanceTimersByTime(1000);
+		jest.useRealTimers();
+		await formsmd.postPartialFormData();
+		expect(global.fetch).not.toHaveBeenCalled();
+		const formData = await formsmd.createPostFormData(false);
+		expect(formData.has("_lastSlide")).toBe(false);
+	});
+
+	test("Case 7 (in-flight partial aborted by the end)", async () => {
+		global.fetch = jest.fn((url, options) => {
+			if (!options.body.get("_end")) {
+				// Partial response in flight, until it is aborted
+				return new Promise((resolve, reject) => {
+					options.signal.addEventListener("abort", () => {
+						reject(new DOMException("Aborted", "AbortError"));
+					});
+				});
+			}
+			return Promise.resolve({
+				ok: true,
+				status: 200,
+				json: () => Promise.resolve({}),
+			});
+		});
+		jest.spyOn(console, "error").mockImplementation(() => {});
+		setUp({ "partial-submissions": "slide" });
+		jest.spyOn(formsmd, "fadeInNextSlide").mockImplementation(() => {});
+		jest.spyOn(formsmd, "hasNewActiveSlide").mockImplementation(() => {});
+		type("name", "Ann");
+		const partial = formsmd.postPartialFormData();
+		await flushPromises();
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+		const partialSignal = global.fetch.mock.calls[0][1].signal;
+		expect(partialSignal.aborted).toBe(false);
+		const [activeSlide, nextSlide] = container.querySelectorAll(".fmd-slide");
+
+		formsmd.handleNextSlideSuccess(activeSlide, nextSlide, {
+			isEndSlide: true,
+			progress: { currentQuestion: 1 },
+		});
+		expect(partialSignal.aborted).toBe(true);
+		expect(await partial).toEqual({ ok: false, json: {} });
+		expect(formsmd.partialSubmissionController).toBe(null);
+		await flushPromises();
+		expect(global.fetch).toHaveBeenCalledTimes(2);
+		const body = global.fetch.mock.calls[1][1].body;
+		expect(body.get("_end")).toBe("true");
+		expect(body.has("_lastSlide")).toBe(false);
+		expect(console.error).not.toHaveBeenCalled();
+	});
+
+	test("Case 8 (in-flight partial aborted on destroy)", async () => {
+		setUp({ "partial-submissions": "slide" });
+		formsmd.postPartialFormData();
+		await flushPromises();
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+		formsmd.destroy();
+		expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+	});
+
+	test("Case 9 (files and signatures left out)", async () => {
+		setUp({ "partial-submissions": "slide" });
+		container
+			.querySelector("form")
+			.insertAdjacentHTML(
+				"beforeend",
+				createFileField("photo", false, "", "", "|", "", "en"),
+			);
+		const photo = new File(["a"], "photo.png", { type: "image/png" });
+		formsmd.state.files.photo = [photo];
+		Object.defineProperty(container.querySelector('[name="photo"]'), "files", {
+			value: [photo],
+		});
+		const createSignatureFile = jest.spyOn(formsmd, "createSignatureFile");
+		const waitForFileResizes = jest.spyOn(formsmd, "waitForFileResizes");
+
+		const formData = await formsmd.createPostFormData(false, true);
+		expect(formData.get("name")).toBe("");
+		expect(formData.get("_lastSlide")).toBe("0");
+		expect(formData.has("photo")).toBe(false);
+		expect(formData.has("_fileFields")).toBe(false);
+		const json = await formsmd.createPostJSON(false, true);
+		expect(json.meta.lastSlide).toBe(0);
+		expect(json).not.toHaveProperty("photo");
+		expect(createSignatureFile).not.toHaveBeenCalled();
+		expect(waitForFileResizes).not.toHaveBeenCalled();
+
+		// Final submissions have the files, but not the last slide
+		const finalFormData = await formsmd.createPostFormData(true);
+		expect(finalFormData.get("photo")).toBe(photo);
+		expect(finalFormData.has("_lastSlide")).toBe(false);
+		const finalJSON = await formsmd.createPostJSON(true);
+		expect(finalJSON.photo.name).toBe("photo.png");
+		expect(finalJSON.meta).not.toHaveProperty("lastSlide");
+	});
+});
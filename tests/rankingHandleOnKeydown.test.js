@@ -0,0 +1,125 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const { createRankingField } = require("../src/form-field-create");
+
+describe("rankingHandleOnKeydown", () => {
+	let formsmd;
+	let container;
+
+	const getHandle = (value) => {
+		return container.querySelector(
+			`.fmd-ranking-item[data-fmd-value="${value}"] .fmd-ranking-handle`,
+		);
+	};
+
+	const pressKey = (handle, key) => {
+		handle.dispatchEvent(
+			new KeyboardEvent("keydown", { key: key, bubbles: true }),
+		);
+	};
+
+	beforeEach(() => {
+		localStorage.clear();
+		container = document.createElement("div");
+		document.body.appendChild(container);
+
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		container.innerHTML = createRankingField(
+			"priorities",
+			false,
+			"",
+			"| choices = Price, Speed, Support",
+			"|",
+			"",
+			"en",
+		);
+		formsmd.setFormDataToState();
+		formsmd.addEventListeners(container, false);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+	});
+
+	test("Case 1 (pick up, move, and drop)", () => {
+		const listener = jest.fn();
+		formsmd.on("fieldchange", listener);
+		const liveRegion = container.querySelector("[data-fmd-ranking-live]");
+		expect(formsmd.state.formData.priorities).toEqual([
+			"Price",
+			"Speed",
+			"Support",
+		]);
+
+		const handle = getHandle("Support");
+		handle.focus();
+		pressKey(handle, " ");
+		expect(handle.getAttribute("aria-pressed")).toBe("true");
+		expect(liveRegion.textContent).toBe(
+			"Support, picked up. Current position 3 of 3.",
+		);
+
+		pressKey(handle, "ArrowUp");
+		pressKey(handle, "ArrowUp");
+		pressKey(handle, "ArrowUp");
+		expect(liveRegion.textContent).toBe("Support, moved to position 1 of 3.");
+		expect(document.activeElement).toBe(handle);
+		expect(listener).not.toHaveBeenCalled();
+
+		pressKey(handle, "Enter");
+		expect(handle.getAttribute("aria-pressed")).toBe("false");
+		expect(liveRegion.textContent).toBe("Support, dropped at position 1 of 3.");
+		expect(formsmd.state.formData.priorities).toEqual([
+			"Support",
+			"Price",
+			"Speed",
+		]);
+		expect(listener.mock.calls[0][0].detail).toEqual({
+			name: "priorities",
+			value: ["Support", "Price", "Speed"],
+		});
+		expect(
+			Array.from(container.querySelectorAll(".fmd-ranking-position")).map(
+				(position) => position.textContent,
+			),
+		).toEqual(["1", "2", "3"]);
+		expect(
+			JSON.parse(localStorage.getItem("formsmd:localhost/form-data")),
+		).toEqual({ priorities: ["Support", "Price", "Speed"] });
+	});
+
+	test("Case 2 (cancel, and move the focus when not picked up)", () => {
+		const handle = getHandle("Price");
+		handle.focus();
+		pressKey(handle, "ArrowDown");
+		expect(document.activeElement).toBe(getHandle("Speed"));
+
+		pressKey(handle, "Enter");
+		pressKey(handle, "ArrowDown");
+		pressKey(handle, "ArrowDown");
+		pressKey(handle, "Escape");
+		expect(handle.getAttribute("aria-pressed")).toBe("false");
+		expect(formsmd.getRankingValue(container.firstElementChild)).toEqual([
+			"Price",
+			"Speed",
+			"Support",
+		]);
+		expect(formsmd.state.formData.priorities).toEqual([
+			"Price",
+			"Speed",
+			"Support",
+		]);
+	});
+
+	test("Case 3 (set value with unknown and missing items)", () => {
+		expect(formsmd.setValue("priorities", ["Support", "Unknown"])).toBe(true);
+		expect(formsmd.getValues().priorities).toEqual([
+			"Support",
+			"Price",
+			"Speed",
+		]);
+	});
+});
@@ -0,0 +1,198 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const { createContentTemplate } = require("../src/templates-create");
+
+describe("reRenderPipedFields", () => {
+	let formsmd;
+	let container;
+
+	const template = `
+name = TextInput(
+	| question = What is your name?
+)
+
+[.col-6]
+age* = ChoiceInput(
+	| question = Thanks {$ name $}, how old are you?
+	| description = Pick one, {$ name $}.
+	| choices = Under {$ limit $}, Over {$ limit $}, Not sure
+)
+
+nickname = TextInput(
+	| question = Nickname
+	| placeholder = Something like "{$ name $}"
+)
+
+first = TextInput(
+	| question = Pipes {$ second $}
+)
+
+second = TextInput(
+	| question = Pipes {$ first $}
+)
+
+photo = FileInput(
+	| question = A photo of {$ name $}
+)
+
+resume = FileInput(
+	| question = Resume of {$ name $}
+	| multiple
+)
+`;
+
+	const setUp = () => {
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		formsmd.state.data = { limit: 18 };
+		container.innerHTML = createContentTemplate(
+			template,
+			{
+				"css-prefix": "fmd-",
+				"form-delimiter": "|",
+				"localization": "en",
+				"page": "single",
+				"slide-delimiter": "---",
+			},
+			formsmd.state.data,
+			false,
+		).template;
+		formsmd.addEventListeners(container, false);
+		formsmd.setFormDataToState();
+	};
+
+	const type = (name, value) => {
+		const input = container.querySelector(`[name="${name}"]`);
+		input.value = value;
+		input.dispatchEvent(new Event("input"));
+	};
+
+	const chooseFiles = (name, files) => {
+		const input = container.querySelector(`[name="${name}"]`);
+		Object.defineProperty(input, "files", { value: files, configurable: true });
+		input.dispatchEvent(new Event("change"));
+		return new Promise((resolve) => setTimeout(resolve, 0));
+	};
+
+	const getText = (selector) => {
+		return container.querySelector(selector).textContent.trim();
+	};
+
+	beforeEach(() => {
+		localStorage.clear();
+		container = document.createElement("div");
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+	});
+
+	test("Case 1 (questions, descriptions, placeholders and choices)", () => {
+		setUp();
+		const legend = ".fmd-form-field[data-fmd-name='age'] .fmd-form-question";
+		expect(getText(legend)).toMatch(/^Thanks , how old are/);
+		expect(
+			[...container.querySelectorAll('[name="age"] + label')].map((label) =>
+				label.textContent.trim(),
+			),
+		).toEqual(["Under 18", "Over 18", "Not sure"]);
+
+		type("name", 'Ann "A" <b>');
+		expect(getText(legend)).toMatch(/^Thanks Ann "A" <b>, how old are/);
+		expect(getText(".fmd-form-description")).toBe('Pick one, Ann "A" <b>.');
+		expect(
+			container.querySelector('[name="nickname"]').getAttribute("placeholder"),
+		).toBe('Something like "Ann "A" <b>"');
+
+		// The ids and the layout stay the same
+		const formField = container.querySelector(
+			".fmd-form-field[data-fmd-name='age']",
+		);
+		expect(formField.classList.contains("fmd-col-6")).toBe(true);
+		expect(container.querySelector('[name="age"]').id).toBe("id_age-1");
+		expect(
+			container.querySelector('label[for="id_age-1"]').textContent.trim(),
+		).toBe("Under 18");
+	});
+
+	test("Case 2 (values are kept)", () => {
+		setUp();
+		const listener = jest.fn();
+		formsmd.on("fieldchange", listener);
+		const notSure = container.querySelector('[name="age"][value="Not sure"]');
+		notSure.checked = true;
+		notSure.dispatchEvent(new Event("input"));
+		type("nickname", "Annie");
+
+		type("name", "Ann");
+		expect(container.querySelector('[name="age"]:checked').value).toBe(
+			"Not sure",
+		);
+		expect(container.querySelector('[name="nickname"]').value).toBe("Annie");
+		expect(formsmd.state.formData.age).toBe("Not sure");
+
+		// The new form fields are still listened to
+		type("nickname", "Ann B.");
+		expect(formsmd.state.formData.nickname).toBe("Ann B.");
+
+		// Values no longer among the choices are removed
+		const under = container.querySelector('[name="age"][value="Under 18"]');
+		under.checked = true;
+		under.dispatchEvent(new Event("input"));
+		formsmd.state.data.limit = 21;
+		formsmd.reRenderBindElems("limit");
+		expect(container.querySelector('[name="age"]:checked')).toBeNull();
+		expect(formsmd.state.formData.age).toBe("");
+		expect(listener).toHaveBeenLastCalledWith(
+			expect.objectContaining({ detail: { name: "age", value: "" } }),
+		);
+	});
+
+	test("Case 3 (form fields piped into each other)", () => {
+		setUp();
+		type("first", "One");
+		expect(getText('label[for="id_second"]')).toBe("Pipes One");
+		type("second", "Two");
+		expect(getText('label[for="id_first"]')).toBe("Pipes Two");
+		expect(container.querySelector('[name="first"]').value).toBe("One");
+	});
+
+	test("Case 4 (chosen files are kept)", async () => {
+		setUp();
+		const photo = new File(["a"], "photo.txt", { type: "text/plain" });
+		const resume = new File(["b"], "resume.pdf", { type: "application/pdf" });
+		await chooseFiles("photo", [photo]);
+		await chooseFiles("resume", [resume]);
+		const photoInput = container.querySelector('[name="photo"]');
+
+		type("name", "Ann");
+		expect(
+			getText(".fmd-form-field[data-fmd-name='photo'] .fmd-form-question"),
+		).toBe("A photo of Ann");
+		expect(
+			getText(".fmd-form-field[data-fmd-name='resume'] .fmd-form-question"),
+		).toBe("Resume of Ann");
+		expect(container.querySelector('[name="photo"]')).toBe(photoInput);
+		expect(photoInput.files[0]).toBe(photo);
+		expect(
+			formsmd.getFileFieldFiles(photoInput.closest(".fmd-form-field")),
+		).toEqual([photo]);
+		expect(getText(".fmd-form-file-list .fmd-form-file-name")).toBe(
+			"resume.pdf",
+		);
+		expect(formsmd.state.files.resume).toEqual([resume]);
+	});
+
+	test("Case 5 (form delimiter in the piped values)", () => {
+		setUp();
+		type("name", "Ann | disabled | placeholder = Bob");
+		const nickname = container.querySelector('[name="nickname"]');
+		expect(nickname.getAttribute("placeholder")).toBe(
+			'Something like "Ann | disabled | placeholder = Bob"',
+		);
+		expect(nickname.disabled).toBe(false);
+	});
+});
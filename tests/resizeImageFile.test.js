@@ -0,0 +1,144 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const { createFileField } = require("../src/form-field-create");
+
+describe("resizeImageFile", () => {
+	let formsmd;
+	let container;
+	let ctx;
+	let bitmap;
+
+	const createFormField = (params) => {
+		container.innerHTML = createFileField(
+			"photo",
+			false,
+			"",
+			params,
+			"|",
+			"",
+			"en",
+		);
+		return container.querySelector(".fmd-form-field");
+	};
+
+	beforeEach(() => {
+		container = document.createElement("div");
+		document.body.appendChild(container);
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+
+		// Not implemented in jsdom
+		bitmap = { width: 4000, height: 3000, close: jest.fn() };
+		global.createImageBitmap = jest.fn(() => Promise.resolve(bitmap));
+		ctx = { fillRect: jest.fn(), drawImage: jest.fn() };
+		jest
+			.spyOn(HTMLCanvasElement.prototype, "getContext")
+			.mockImplementation(() => ctx);
+		jest
+			.spyOn(HTMLCanvasElement.prototype, "toBlob")
+			.mockImplementation((callback, type) => {
+				callback(new Blob(["resized"], { type: type }));
+			});
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+		delete global.createImageBitmap;
+		delete URL.createObjectURL;
+		delete URL.revokeObjectURL;
+	});
+
+	test("Case 1 (downscaled and converted)", async () => {
+		const formField = createFormField(
+			"| maxwidth = 1600 | maxheight = 1600 | quality = 0.8 | format = webp",
+		);
+		const file = new File(["a".repeat(100)], "IMG_0001.JPG", {
+			type: "image/jpeg",
+		});
+
+		const resized = await formsmd.resizeImageFile(formField, file);
+		expect(global.createImageBitmap).toHaveBeenCalledWith(file, {
+			imageOrientation: "from-image",
+		});
+		expect(ctx.drawImage).toHaveBeenCalledWith(bitmap, 0, 0, 1600, 1200);
+		expect(ctx.fillRect).not.toHaveBeenCalled();
+		expect(HTMLCanvasElement.prototype.toBlob.mock.calls[0].slice(1)).toEqual([
+			"image/webp",
+			0.8,
+		]);
+		expect(bitmap.close).toHaveBeenCalled();
+		expect(resized.name).toBe("IMG_0001.webp");
+		expect(resized.type).toBe("image/webp");
+	});
+
+	test("Case 2 (returned as is)", async () => {
+		jest.spyOn(console, "error").mockImplementation(() => {});
+		let formField = createFormField("| maxwidth = 1600");
+		const pdf = new File(["a"], "resume.pdf", { type: "application/pdf" });
+		const photo = new File(["a"], "photo.png", { type: "image/png" });
+
+		// Not an image
+		expect(await formsmd.resizeImageFile(formField, pdf)).toBe(pdf);
+
+		// No resizing params
+		formField = createFormField("| imageonly");
+		expect(await formsmd.resizeImageFile(formField, photo)).toBe(photo);
+
+		// Smaller than the max size
+		bitmap.width = 800;
+		bitmap.height = 600;
+		formField = createFormField("| maxwidth = 1600");
+		expect(await formsmd.resizeImageFile(formField, photo)).toBe(photo);
+		expect(ctx.drawImage).not.toHaveBeenCalled();
+
+		// Browser cannot encode the format
+		formField = createFormField("| format = webp");
+		HTMLCanvasElement.prototype.toBlob.mockImplementationOnce((callback) => {
+			callback(new Blob(["resized"], { type: "image/png" }));
+		});
+		expect(await formsmd.resizeImageFile(formField, photo)).toBe(photo);
+
+		// Image cannot be decoded
+		global.createImageBitmap.mockImplementationOnce(() =>
+			Promise.reject(new Error("Invalid image")),
+		);
+		expect(await formsmd.resizeImageFile(formField, photo)).toBe(photo);
+		expect(console.error).toHaveBeenCalledWith(
+			"Error resizing image: Error: Invalid image",
+		);
+	});
+
+	test("Case 3 (resized once, when chosen)", async () => {
+		// Not implemented in jsdom (for the preview)
+		URL.createObjectURL = jest.fn(() => "blob:preview");
+		URL.revokeObjectURL = jest.fn();
+		createFormField("| maxwidth = 1000 | format = jpeg");
+		const input = container.querySelector('[name="photo"]');
+		formsmd.addEventListeners(container, false);
+		const photo = new File(["a"], "photo.png", { type: "image/png" });
+		Object.defineProperty(input, "files", { value: [photo] });
+		input.dispatchEvent(new Event("change"));
+
+		// The submissions wait for the image being resized
+		let formData = await formsmd.createPostFormData(false);
+		const file = formData.get("photo");
+		expect(file.name).toBe("photo.jpg");
+		expect(file.type).toBe("image/jpeg");
+		expect(formsmd.state.files.photo).toEqual([file]);
+		expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 1000, 750);
+		expect(ctx.drawImage).toHaveBeenCalledWith(bitmap, 0, 0, 1000, 750);
+
+		formData = await formsmd.createPostFormData(false);
+		expect(formData.get("photo")).toBe(file);
+		const json = await formsmd.createPostJSON(false);
+		expect(json.photo.name).toBe("photo.jpg");
+		expect(global.createImageBitmap).toHaveBeenCalledTimes(1);
+
+		// Removing the file removes the resized one
+		container.querySelector(".fmd-form-file-reset-btn").click();
+		expect(formsmd.state.files.photo).toBeUndefined();
+		expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:preview");
+	});
+});
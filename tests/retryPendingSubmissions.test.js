@@ -0,0 +1,219 @@
+"use strict";
+
+jest.mock("../src/submission-queue", () => {
+	const actual = jest.requireActual("../src/submission-queue");
+	return {
+		...actual,
+		addQueuedSubmission: jest.fn(() => Promise.resolve(1)),
+		getQueuedSubmissions: jest.fn(() => Promise.resolve([])),
+		updateQueuedSubmission: jest.fn(() => Promise.resolve(1)),
+		removeQueuedSubmission: jest.fn(() => Promise.resolve()),
+	};
+});
+
+const { Formsmd } = require("../src/main");
+const submissionQueue = require("../src/submission-queue");
+
+describe("retryPendingSubmissions", () => {
+	let formsmd;
+	let container;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		jest.spyOn(console, "error").mockImplementation(() => {});
+		jest.spyOn(console, "warn").mockImplementation(() => {});
+
+		container = document.createElement("div");
+		document.body.appendChild(container);
+
+		formsmd = new Formsmd("# Test form", container, { offlineQueue: true });
+		formsmd.setStateToDefaults();
+		formsmd.state.settings["post-url"] = "https://example.com/submit";
+		formsmd.state.formData = { name: "Jane" };
+		formsmd.state.fieldTypes = { name: "text" };
+	});
+
+	afterEach(() => {
+		clearTimeout(formsmd.submissionQueueTimeout);
+		document.body.removeChild(container);
+		jest.clearAllMocks();
+		jest.restoreAllMocks();
+		jest.useRealTimers();
+		delete global.fetch;
+	});
+
+	test("Case 1 (backoff delay doubles up to 5 minutes)", () => {
+		expect(submissionQueue.getRetryDelay(0)).toBe(2000);
+		expect(submissionQueue.getRetryDelay(1)).toBe(4000);
+		expect(submissionQueue.getRetryDelay(3)).toBe(16000);
+		expect(submissionQueue.getRetryDelay(20)).toBe(300000);
+	});
+
+	test("Case 2 (entries round-trip, excluding keys)", () => {
+		const formData = new FormData();
+		formData.append("name", "Jane");
+		formData.append("tags", "a");
+		formData.append("tags", "b");
+		formData.append("_captcha", "token");
+		const entries = submissionQueue.formDataToEntries(formData, ["_captcha"]);
+		expect(entries).toEqual([
+			["name", "Jane"],
+			["tags", "a"],
+			["tags", "b"],
+		]);
+		const restored = submissionQueue.entriesToFormData(entries);
+		expect(restored.getAll("tags")).toEqual(["a", "b"]);
+		expect(restored.has("_captcha")).toBe(false);
+	});
+
+	test("Case 3 (failed POST is queued with the response id)", async () => {
+		global.fetch = jest.fn(() => Promise.reject(new TypeError("offline")));
+		const onSubmissionQueued = jest.fn();
+		formsmd.onSubmissionQueued = onSubmissionQueued;
+
+		const result = await formsmd.postFormData(true, true);
+		expect(result).toEqual({ ok: true, json: {}, queued: true });
+
+		const submission = submissionQueue.addQueuedSubmission.mock.calls[0][0];
+		expect(submission.url).toBe("https://example.com/submit");
+		expect(submission.end).toBe(true);
+		expect(submission.attempts).toBe(0);
+		expect(submission.rid).toBe(formsmd.getOrCreateResponseId());
+		expect(submission.entries).toContainEqual(["name", "Jane"]);
+		expect(onSubmissionQueued).toHaveBeenCalledWith(
+			expect.objectContaining({ id: 1, rid: submission.rid }),
+		);
+		expect(formsmd.submissionQueueTimeout).not.toBeNull();
+	});
+
+	test("Case 4 (not queued when the option is off, or on client errors)", async () => {
+		global.fetch = jest.fn(() => Promise.reject(new TypeError("offline")));
+		formsmd.options.offlineQueue = false;
+		expect(await formsmd.postFormData(true, false)).toEqual({
+			ok: false,
+			json: {},
+		});
+
+		global.fetch = jest.fn(() =>
+			Promise.resolve({
+				ok: false,
+				status: 422,
+				json: () => Promise.resolve({ errors: [] }),
+			}),
+		);
+		formsmd.options.offlineQueue = true;
+		expect(await formsmd.postFormData(true, false)).toEqual({
+			ok: false,
+			json: { errors: [] },
+		});
+		expect(submissionQueue.addQueuedSubmission).not.toHaveBeenCalled();
+	});
+
+	test("Case 5 (due submissions are sent or backed off)", async () => {
+		const now = Date.now();
+		submissionQueue.getQueuedSubmissions.mockResolvedValueOnce([
+			{
+				id: 1,
+				url: "https://example.com/submit",
+				rid: "a",
+				entries: [["name", "Jane"]],
+				attempts: 0,
+				nextAttemptAt: now - 1,
+			},
+			{
+				id: 2,
+				url: "https://example.com/submit",
+				rid: "b",
+				entries: [["name", "John"]],
+				attempts: 2,
+				nextAttemptAt: now - 1,
+			},
+			{
+				id: 3,
+				url: "https://example.com/submit",
+				rid: "c",
+				entries: [["name", "Jim"]],
+				attempts: 0,
+				nextAttemptAt: now + 60000,
+			},
+		]);
+		global.fetch = jest
+			.fn()
+			.mockResolvedValueOnce({
+				ok: true,
+				status: 200,
+				json: () => Promise.resolve({}),
+			})
+			.mockResolvedValueOnce({
+				ok: false,
+				status: 503,
+				json: () => Promise.reject(new SyntaxError("not JSON")),
+			});
+
+		const remaining = await formsmd.retryPendingSubmissions();
+		expect(remaining).toBe(2);
+		expect(global.fetch).toHaveBeenCalledTimes(2);
+		expect(global.fetch.mock.calls[0][1].body.get("name")).toBe("Jane");
+		expect(submissionQueue.removeQueuedSubmission).toHaveBeenCalledWith(1);
+		expect(submissionQueue.updateQueuedSubmission).toHaveBeenCalledWith(
+			expect.objectContaining({ id: 2, attempts: 3 }),
+		);
+		expect(formsmd.submissionQueueTimeout).not.toBeNull();
+		expect(formsmd.isRetryingSubmissions).toBe(false);
+	});
+
+	test("Case 6 (newer submissions of a response supersede the queued ones)", async () => {
+		const rid = formsmd.getOrCreateResponseId();
+		const staleSubmission = {
+			id: 1,
+			url: "https://example.com/submit",
+			rid: rid,
+			end: false,
+			entries: [["name", "J"]],
+			attempts: 1,
+			nextAttemptAt: Date.now() - 1,
+		};
+		submissionQueue.getQueuedSubmissions.mockResolvedValueOnce([
+			staleSubmission,
+			{ ...staleSubmission, id: 2, url: "https://example.com/other" },
+			{ ...staleSubmission, id: 3, rid: "other" },
+		]);
+		global.fetch = jest.fn(() =>
+			Promise.resolve({
+				ok: true,
+				status: 200,
+				json: () => Promise.resolve({}),
+			}),
+		);
+
+		// The completed response is sent, and the stale one is never replayed
+		await formsmd.postFormData(true, true);
+		expect(submissionQueue.removeQueuedSubmission.mock.calls).toEqual([[1]]);
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+		expect(global.fetch.mock.calls[0][1].body.get("_end")).toBe("true");
+
+		// Only the newest queued submission of a response is retried
+		submissionQueue.removeQueuedSubmission.mockClear();
+		submissionQueue.getQueuedSubmissions.mockResolvedValueOnce([
+			staleSubmission,
+			{ ...staleSubmission, id: 4, end: true, entries: [["name", "Jane"]] },
+		]);
+		expect(await formsmd.retryPendingSubmissions()).toBe(0);
+		expect(submissionQueue.removeQueuedSubmission.mock.calls).toEqual([
+			[1],
+			[4],
+		]);
+		expect(global.fetch).toHaveBeenCalledTimes(2);
+		expect(global.fetch.mock.calls[1][1].body.get("name")).toBe("Jane");
+	});
+
+	test("Case 7 (no IndexedDB resolves to an empty queue)", async () => {
+		const { getQueuedSubmissions } = jest.requireActual(
+			"../src/submission-queue",
+		);
+		await expect(getQueuedSubmissions("formsmd:localhost/")).rejects.toThrow(
+			"IndexedDB is not supported",
+		);
+		expect(await formsmd.getPendingSubmissions()).toEqual([]);
+	});
+});
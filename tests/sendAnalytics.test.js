@@ -0,0 +1,165 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const { createTextField } = require("../src/form-field-create");
+
+describe("sendAnalytics", () => {
+	let formsmd;
+	let container;
+	let visibilityState;
+
+	const setUp = (analytics) => {
+		formsmd = new Formsmd("# Test form", container, { analytics: analytics });
+		formsmd.setStateToDefaults();
+		container.innerHTML = [
+			'<div class="fmd-root">',
+			'<form class="fmd-slide fmd-first-slide">',
+			createTextField("name", "text", true, "", "", "|", "", "en"),
+			"</form>",
+			'<div class="fmd-slide"></div>',
+			'<div class="fmd-slide fmd-end-slide"></div>',
+			"</div>",
+		].join("");
+		formsmd.addEventListeners(container, true);
+		formsmd.setFormDataToState();
+	};
+
+	const goTo = (index, seconds) => {
+		jest.setSystemTime(Date.now() + seconds * 1000);
+		formsmd.hasNewActiveSlide(
+			container.querySelectorAll(".fmd-slide")[index],
+			index,
+			index === 0,
+		);
+	};
+
+	const setVisibility = (state, seconds) => {
+		jest.setSystemTime(Date.now() + seconds * 1000);
+		visibilityState = state;
+		document.dispatchEvent(new Event("visibilitychange"));
+	};
+
+	const getBeaconPayload = (call) => {
+		return JSON.parse(navigator.sendBeacon.mock.calls[call][1]);
+	};
+
+	beforeEach(() => {
+		jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+		localStorage.clear();
+		container = document.createElement("div");
+		document.body.appendChild(container);
+		visibilityState = "visible";
+		jest
+			.spyOn(document, "visibilityState", "get")
+			.mockImplementation(() => visibilityState);
+		navigator.sendBeacon = jest.fn(() => true);
+	});
+
+	afterEach(() => {
+		formsmd.listenersController.abort();
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+		jest.useRealTimers();
+		delete navigator.sendBeacon;
+	});
+
+	test("Case 1 (time per slide and validation failures)", () => {
+		const callback = jest.fn();
+		setUp({ url: "https://example.com/analytics", callback: callback });
+		goTo(0, 0);
+		const formField = container.querySelector(".fmd-form-field");
+		jest.setSystemTime(Date.now() + 2000);
+		formsmd.addFieldError(formField, "id_name-error", "Required");
+		formsmd.addFieldError(formField, "id_name-error", "Required");
+		goTo(1, 3);
+		goTo(2, 4);
+		goTo(2, 1);
+
+		expect(callback).toHaveBeenCalledTimes(1);
+		const payload = callback.mock.calls[0][0];
+		expect(payload).toMatchObject({
+			type: "complete",
+			rid: formsmd.getOrCreateResponseId(),
+			startedAt: "2026-01-01T00:00:00.000Z",
+			completed: true,
+			lastSlide: 1,
+			timings: { total: 9000, slides: { 0: 5000, 1: 4000 } },
+			validationErrorCounts: { name: 2 },
+		});
+		expect(payload.validationErrors[0]).toEqual({
+			name: "name",
+			index: 0,
+			at: Date.parse("2026-01-01T00:00:02Z"),
+		});
+		expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+		expect(navigator.sendBeacon.mock.calls[0][0]).toBe(
+			"https://example.com/analytics",
+		);
+		expect(getBeaconPayload(0)).toEqual(payload);
+
+		// Hiding the page after completion is not an abandonment
+		setVisibility("hidden", 1);
+		expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+	});
+
+	test("Case 2 (abandonment)", () => {
+		setUp({ url: "https://example.com/analytics" });
+		goTo(0, 0);
+		goTo(1, 2);
+		setVisibility("hidden", 3);
+		window.dispatchEvent(new Event("pagehide"));
+		expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+		expect(getBeaconPayload(0)).toMatchObject({
+			type: "abandon",
+			completed: false,
+			lastSlide: 1,
+			timings: { total: 5000, slides: { 0: 2000, 1: 3000 } },
+		});
+
+		// The time the page is hidden does not count
+		setVisibility("visible", 60);
+		jest.setSystemTime(Date.now() + 4000);
+		window.dispatchEvent(new Event("pagehide"));
+		expect(navigator.sendBeacon).toHaveBeenCalledTimes(2);
+		expect(getBeaconPayload(1).timings).toEqual({
+			total: 9000,
+			slides: { 0: 2000, 1: 7000 },
+		});
+	});
+
+	test("Case 3 (timings attached to the final submission)", async () => {
+		setUp({ attachTimings: true });
+		goTo(0, 0);
+		goTo(1, 2);
+		jest.setSystemTime(Date.now() + 3000);
+
+		let formData = await formsmd.createPostFormData(false);
+		expect(formData.has("_timings")).toBe(false);
+		formData = await formsmd.createPostFormData(true);
+		expect(JSON.parse(formData.get("_timings"))).toEqual({
+			total: 5000,
+			slides: { 0: 2000, 1: 3000 },
+		});
+		const json = await formsmd.createPostJSON(true);
+		expect(json.meta.timings).toEqual({
+			total: 5000,
+			slides: { 0: 2000, 1: 3000 },
+		});
+		expect(navigator.sendBeacon).not.toHaveBeenCalled();
+	});
+
+	test("Case 4 (not enabled)", async () => {
+		setUp({});
+		goTo(0, 0);
+		formsmd.addFieldError(
+			container.querySelector(".fmd-form-field"),
+			"id_name-error",
+			"Required",
+		);
+		setVisibility("hidden", 1);
+		expect(formsmd.analytics).toBeNull();
+		expect(navigator.sendBeacon).not.toHaveBeenCalled();
+		const formData = await formsmd.createPostFormData(true);
+		expect(formData.has("_timings")).toBe(false);
+	});
+});
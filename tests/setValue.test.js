@@ -0,0 +1,170 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const {
+	createChoiceField,
+	createNumberField,
+	createSelectField,
+	createTextField,
+} = require("../src/form-field-create");
+
+describe("setValue", () => {
+	let formsmd;
+	let container;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		localStorage.clear();
+		container = document.createElement("div");
+		document.body.appendChild(container);
+
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		container.innerHTML = [
+			'<div class="fmd-root">',
+			'<form class="fmd-slide fmd-first-slide fmd-slide-active" id="about">',
+			createTextField("name", "text", true, "", "", "|", "", "en"),
+			createNumberField("age", false, "", "", "|", "", "en"),
+			'<button type="submit" class="fmd-submit-btn">OK</button>',
+			"</form>",
+			'<form class="fmd-slide" id="colors">',
+			createChoiceField(
+				"colors",
+				false,
+				false,
+				"",
+				"| choices = Red, Green, Blue | multiple",
+				"|",
+				"",
+				"en",
+			),
+			'<button type="submit" class="fmd-submit-btn">OK</button>',
+			"</form>",
+			"</div>",
+		].join("");
+		formsmd.setFormDataToState();
+		formsmd.addEventListeners(container, false);
+	});
+
+	afterEach(() => {
+		if (container.parentNode) {
+			document.body.removeChild(container);
+		}
+		jest.restoreAllMocks();
+		jest.useRealTimers();
+	});
+
+	test("Case 1 (set values, save them, and get a copy)", () => {
+		const listener = jest.fn();
+		formsmd.on("fieldchange", listener);
+
+		expect(formsmd.setValue("name", "Jane")).toBe(true);
+		expect(formsmd.setValue("age", "30")).toBe(true);
+		expect(formsmd.setValue("colors", ["Red", "Blue"])).toBe(true);
+		expect(container.querySelector('[name="name"]').value).toBe("Jane");
+		expect(
+			container.querySelector('[name="colors"][value="Blue"]').checked,
+		).toBe(true);
+		expect(listener.mock.calls[1][0].detail).toEqual({
+			name: "age",
+			value: 30,
+		});
+
+		const values = formsmd.getValues();
+		expect(values).toEqual({ name: "Jane", age: 30, colors: ["Red", "Blue"] });
+		values.colors.push("Green");
+		expect(formsmd.state.formData.colors).toEqual(["Red", "Blue"]);
+		expect(
+			JSON.parse(localStorage.getItem("formsmd:localhost/form-data")),
+		).toEqual({ name: "Jane", age: 30, colors: ["Red", "Blue"] });
+	});
+
+	test("Case 2 (unknown form field)", () => {
+		jest.spyOn(console, "warn").mockImplementation(() => {});
+		expect(formsmd.setValue("unknown", "value")).toBe(false);
+		expect(console.warn).toHaveBeenCalledWith(
+			'[FORM-FIELDS] "unknown" is not a form field',
+		);
+	});
+
+	test("Case 3 (go to slide by index or id)", async () => {
+		jest.spyOn(console, "warn").mockImplementation(() => {});
+		const listener = jest.fn();
+		formsmd.on("slidechange", listener);
+		const slides = container.querySelectorAll(".fmd-slide");
+		// Not implemented in jsdom
+		container.scroll = jest.fn();
+		container.scrollIntoView = jest.fn();
+
+		expect(await formsmd.goToSlide("colors")).toBe(true);
+		jest.runAllTimers();
+		expect(slides[1].classList.contains("fmd-slide-active")).toBe(true);
+		expect(slides[0].classList.contains("fmd-slide-active")).toBe(false);
+		expect(formsmd.state.slideData.currentIndex).toBe(1);
+		expect(listener.mock.calls[0][0].detail.index).toBe(1);
+
+		expect(await formsmd.goToSlide(0)).toBe(true);
+		jest.runAllTimers();
+		expect(slides[0].classList.contains("fmd-slide-active")).toBe(true);
+
+		expect(await formsmd.goToSlide(5)).toBe(false);
+		expect(console.warn).toHaveBeenCalledWith(
+			'[SLIDES] "5" is not a valid slide',
+		);
+	});
+
+	test("Case 4 (next validates, prev does nothing on first slide)", () => {
+		const nextSlide = jest.spyOn(formsmd, "nextSlide").mockImplementation();
+		const prevSlide = jest.spyOn(formsmd, "prevSlide").mockImplementation();
+
+		expect(formsmd.prev()).toBe(false);
+		expect(prevSlide).not.toHaveBeenCalled();
+
+		// Submitting the <form> uses the browser validation first
+		expect(formsmd.next()).toBe(true);
+		expect(nextSlide).not.toHaveBeenCalled();
+		formsmd.setValue("name", "Jane");
+		expect(formsmd.next()).toBe(true);
+		expect(nextSlide).toHaveBeenCalledWith(container.querySelector("#about"));
+	});
+
+	test("Case 5 (destroy removes listeners and empties the container)", () => {
+		const listener = jest.fn();
+		formsmd.on("fieldchange", listener);
+		const input = container.querySelector('[name="name"]');
+
+		formsmd.destroy();
+		input.value = "Jane";
+		input.dispatchEvent(new Event("input"));
+		expect(formsmd.state.formData.name).toBe("");
+		expect(listener).not.toHaveBeenCalled();
+		expect(container.innerHTML).toBe("");
+	});
+
+	test("Case 6 (value not among the options)", () => {
+		jest.spyOn(console, "warn").mockImplementation(() => {});
+		container
+			.querySelector("#about")
+			.insertAdjacentHTML(
+				"afterbegin",
+				createSelectField(
+					"plan",
+					false,
+					"",
+					"| options = Free, Pro",
+					"|",
+					"",
+					"en",
+				),
+			);
+		formsmd.setFormDataToState();
+
+		expect(formsmd.setValue("plan", "Pro")).toBe(true);
+		expect(formsmd.setValue("plan", "Enterprise")).toBe(false);
+		expect(console.warn).toHaveBeenCalledWith(
+			'[FORM-FIELDS] "plan": "Enterprise" is not a valid value',
+		);
+		expect(container.querySelector('[name="plan"]').value).toBe("Pro");
+		expect(formsmd.getValues().plan).toBe("Pro");
+	});
+});
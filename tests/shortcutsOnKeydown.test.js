@@ -0,0 +1,151 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const {
+	createChoiceField,
+	createRatingField,
+	createTextField,
+} = require("../src/form-field-create");
+
+describe("shortcutsOnKeydown", () => {
+	let formsmd;
+	let container;
+
+	const setUp = (options) => {
+		formsmd = new Formsmd("# Test form", container, options);
+		formsmd.setStateToDefaults();
+		container.innerHTML = [
+			'<div class="fmd-root">',
+			'<form class="fmd-slide fmd-first-slide fmd-slide-active">',
+			createChoiceField(
+				"color",
+				false,
+				false,
+				"",
+				"| choices = Red, Green, Blue",
+				"|",
+				"",
+				"en",
+			),
+			createTextField("name", "text", false, "", "", "|", "", "en"),
+			'<button type="submit" class="fmd-submit-btn">OK</button>',
+			"</form>",
+			'<form class="fmd-slide">',
+			createRatingField("stars", false, "", "", "|", "", "en"),
+			'<button type="submit" class="fmd-submit-btn">OK</button>',
+			"</form>",
+			"</div>",
+		].join("");
+		formsmd.setFormDataToState();
+		formsmd.addEventListeners(container, true);
+		jest.spyOn(formsmd, "next").mockImplementation(() => {});
+		jest.spyOn(formsmd, "prev").mockImplementation(() => {});
+	};
+
+	const press = (target, key, init) => {
+		const e = new KeyboardEvent("keydown", {
+			key: key,
+			bubbles: true,
+			cancelable: true,
+			...init,
+		});
+		target.dispatchEvent(e);
+		return e;
+	};
+
+	beforeEach(() => {
+		container = document.createElement("div");
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+	});
+
+	test("Case 1 (letters pick choices, digits pick ratings)", () => {
+		setUp({});
+		const root = container.querySelector(".fmd-root");
+		expect(
+			[...container.querySelectorAll(".fmd-form-check-key")].map(
+				(badge) => badge.textContent,
+			),
+		).toEqual(["A", "B", "C"]);
+
+		expect(press(root, "b").defaultPrevented).toBe(true);
+		expect(formsmd.state.formData.color).toBe("Green");
+		expect(document.activeElement.value).toBe("Green");
+		press(root, "D");
+		expect(formsmd.state.formData.color).toBe("Green");
+
+		// Typing in a text field is left alone
+		const input = container.querySelector('[name="name"]');
+		expect(press(input, "a").defaultPrevented).toBe(false);
+		expect(formsmd.state.formData.color).toBe("Green");
+
+		// Rating on the next slide
+		const slides = container.querySelectorAll(".fmd-slide");
+		slides[0].classList.remove("fmd-slide-active");
+		slides[1].classList.add("fmd-slide-active");
+		press(root, "4");
+		expect(formsmd.state.formData.stars).toBe(4);
+		press(root, "a");
+		expect(formsmd.state.formData.color).toBe("Green");
+	});
+
+	test("Case 2 (navigation)", () => {
+		setUp({});
+		const input = container.querySelector('[name="name"]');
+		const radio = container.querySelector('[name="color"]');
+
+		// Enter in a text field submits the form as usual
+		press(input, "Enter");
+		expect(formsmd.next).not.toHaveBeenCalled();
+		press(input, "Enter", { metaKey: true });
+		expect(formsmd.next).toHaveBeenCalledTimes(1);
+		press(radio, "Enter");
+		expect(formsmd.next).toHaveBeenCalledTimes(2);
+
+		press(radio, "Escape");
+		expect(formsmd.prev).toHaveBeenCalledTimes(1);
+		press(container.querySelector(".fmd-root"), "Tab", { shiftKey: true });
+		expect(formsmd.prev).toHaveBeenCalledTimes(2);
+		input.focus();
+		press(input, "Tab", { shiftKey: true });
+		expect(formsmd.prev).toHaveBeenCalledTimes(2);
+	});
+
+	test("Case 3 (Esc while typing)", () => {
+		setUp({});
+		const input = container.querySelector('[name="name"]');
+		input.focus();
+		input.value = "Ann";
+
+		expect(press(input, "Escape").defaultPrevented).toBe(false);
+		expect(formsmd.prev).not.toHaveBeenCalled();
+		expect(input.value).toBe("Ann");
+		const editable = document.createElement("div");
+		editable.setAttribute("contenteditable", "");
+		container.querySelector(".fmd-slide").appendChild(editable);
+		press(editable, "Escape");
+		expect(formsmd.prev).not.toHaveBeenCalled();
+
+		// Anywhere else, Esc goes to the previous slide
+		expect(
+			press(container.querySelector(".fmd-root"), "Escape").defaultPrevented,
+		).toBe(true);
+		expect(formsmd.prev).toHaveBeenCalledTimes(1);
+	});
+
+	test("Case 4 (turned off)", () => {
+		setUp({ keyboardShortcuts: false });
+		const root = container.querySelector(".fmd-root");
+		expect(container.querySelector(".fmd-form-check-key")).toBeNull();
+		press(root, "a");
+		press(root, "Enter", { ctrlKey: true });
+		press(root, "Escape");
+		expect(formsmd.state.formData.color).toBe("");
+		expect(formsmd.next).not.toHaveBeenCalled();
+		expect(formsmd.prev).not.toHaveBeenCalled();
+	});
+});
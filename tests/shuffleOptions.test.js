@@ -0,0 +1,153 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const {
+	createChoiceField,
+	createSelectField,
+} = require("../src/form-field-create");
+
+describe("shuffleOptions", () => {
+	let formsmd;
+	let container;
+
+	const responseIdKey = "formsmd:localhost/response-id";
+
+	const setUp = (responseId) => {
+		localStorage.setItem(responseIdKey, responseId);
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		formsmd.state.data = {
+			fruits: ["Apple", "Banana", "Cherry", "Date", "None"],
+		};
+		container.innerHTML = [
+			'<form class="fmd-slide">',
+			createChoiceField(
+				"reason",
+				false,
+				false,
+				"",
+				'| choices = Price, Quality, Speed, Support, Design, "other" Other | shuffle | pin = other',
+				"|",
+				"",
+				"en",
+			),
+			createSelectField(
+				"fruit",
+				false,
+				"",
+				"| options = Apple, Banana, Cherry, Date | selected = Cherry | shuffle",
+				"|",
+				"",
+				"en",
+			),
+			createSelectField(
+				"fruits",
+				false,
+				"",
+				"| multiple | optionsdata = fruits | shuffle | pin = None",
+				"|",
+				"",
+				"en",
+			),
+			"</form>",
+		].join("");
+		formsmd.addEventListeners(container, false);
+		formsmd.setFormDataToState();
+	};
+
+	const getValues = (selector) => {
+		return [...container.querySelectorAll(selector)].map((elem) => elem.value);
+	};
+
+	beforeEach(() => {
+		localStorage.clear();
+		container = document.createElement("div");
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+	});
+
+	test("Case 1 (same order for the same response id, pinned items stay)", () => {
+		const orders = ["rid-1", "rid-2", "rid-3", "rid-4"].map((responseId) => {
+			setUp(responseId);
+			const choices = getValues('[name="reason"]');
+			const options = getValues('[name="fruit"] option');
+			const comboboxOptions = formsmd
+				.getComboboxLocalOptions(
+					container.querySelector('[data-fmd-name="fruits"]'),
+				)
+				.map((option) => option.value);
+
+			expect(choices[5]).toBe("other");
+			expect(choices.slice().sort()).toEqual([
+				"Design",
+				"Price",
+				"Quality",
+				"Speed",
+				"Support",
+				"other",
+			]);
+			expect(options[0]).toBe("");
+			expect(options.slice(1).sort()).toEqual([
+				"Apple",
+				"Banana",
+				"Cherry",
+				"Date",
+			]);
+			expect(formsmd.state.formData.fruit).toBe("Cherry");
+			expect(comboboxOptions[4]).toBe("None");
+
+			// Shuffling again does not change the order
+			formsmd.shuffleOptions(container);
+			expect(getValues('[name="reason"]')).toEqual(choices);
+			expect(getValues('[name="fruit"] option')).toEqual(options);
+			return choices.concat(options, comboboxOptions).join();
+		});
+
+		setUp("rid-1");
+		expect(
+			getValues('[name="reason"]')
+				.concat(
+					getValues('[name="fruit"] option'),
+					formsmd
+						.getComboboxLocalOptions(
+							container.querySelector('[data-fmd-name="fruits"]'),
+						)
+						.map((option) => option.value),
+				)
+				.join(),
+		).toBe(orders[0]);
+		expect(new Set(orders).size).toBeGreaterThan(1);
+	});
+
+	test("Case 2 (letter badges follow the shuffled order)", () => {
+		setUp("rid-1");
+		const checks = container.querySelectorAll(".fmd-form-check");
+		expect(checks[0].querySelector(".fmd-form-check-key").textContent).toBe(
+			"A",
+		);
+		expect(checks[5].querySelector(".fmd-form-check-key").textContent).toBe(
+			"F",
+		);
+	});
+
+	test("Case 3 (pin without shuffle)", () => {
+		jest.spyOn(console, "warn").mockImplementation(() => {});
+		createChoiceField(
+			"reason",
+			false,
+			false,
+			"",
+			"| choices = Price, Other | pin = Other",
+			"|",
+			"",
+			"en",
+		);
+		expect(console.warn).toHaveBeenCalledWith(
+			'[FORM-FIELDS] "reason": "pin" will only work along with "shuffle"',
+		);
+	});
+});
@@ -0,0 +1,111 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const { createSliderField } = require("../src/form-field-create");
+
+describe("sliderFieldOnInput", () => {
+	let formsmd;
+	let container;
+
+	beforeEach(() => {
+		localStorage.clear();
+		container = document.createElement("div");
+		document.body.appendChild(container);
+
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		container.innerHTML = [
+			'<form class="fmd-slide">',
+			createSliderField(
+				"budget",
+				false,
+				"",
+				"| question = Budget | max = 1000 | step = 50 | unit = $",
+				"|",
+				"",
+				"en",
+			),
+			createSliderField(
+				"hours",
+				false,
+				"",
+				"| question = Hours | range | value = 2, 6 | max = 10 | unitend = h",
+				"|",
+				"",
+				"en",
+			),
+			'<button type="submit" class="fmd-submit-btn">OK</button>',
+			"</form>",
+		].join("");
+		formsmd.setFormDataToState();
+		formsmd.addEventListeners(container, false);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+	});
+
+	test("Case 1 (single value and live bubble)", () => {
+		const listener = jest.fn();
+		formsmd.on("fieldchange", listener);
+		expect(formsmd.state.formData.budget).toBe(0);
+
+		const input = container.querySelector('[name="budget"]');
+		input.value = "250";
+		input.dispatchEvent(new Event("input"));
+		expect(formsmd.state.formData.budget).toBe(250);
+		expect(listener.mock.calls[0][0].detail).toEqual({
+			name: "budget",
+			value: 250,
+		});
+		const bubble = container.querySelector(
+			'[data-fmd-name="budget"] .fmd-slider-bubble',
+		);
+		expect(bubble.textContent).toBe("$250");
+		expect(bubble.style.getPropertyValue("--fmd-slider-percent")).toBe("25%");
+		expect(
+			JSON.parse(localStorage.getItem("formsmd:localhost/form-data")).budget,
+		).toBe(250);
+	});
+
+	test("Case 2 (range handles do not cross)", () => {
+		expect(formsmd.state.formData.hours).toEqual([2, 6]);
+
+		const low = container.querySelector(
+			'[name="hours"][data-fmd-slider-handle="low"]',
+		);
+		const high = container.querySelector(
+			'[name="hours"][data-fmd-slider-handle="high"]',
+		);
+		low.value = "8";
+		low.dispatchEvent(new Event("input"));
+		expect(formsmd.state.formData.hours).toEqual([6, 6]);
+
+		high.value = "9";
+		high.dispatchEvent(new Event("input"));
+		expect(formsmd.state.formData.hours).toEqual([6, 9]);
+		const slider = container.querySelector(
+			'[data-fmd-name="hours"] .fmd-slider',
+		);
+		expect(slider.style.getPropertyValue("--fmd-slider-low")).toBe("60%");
+		expect(slider.style.getPropertyValue("--fmd-slider-high")).toBe("90%");
+	});
+
+	test("Case 3 (range validation)", () => {
+		const form = container.querySelector("form");
+		expect(formsmd.formValid(form)).toBe(true);
+
+		expect(formsmd.setValue("hours", [8, 3])).toBe(true);
+		expect(formsmd.getValues().hours).toEqual([8, 3]);
+		expect(formsmd.formValid(form)).toBe(false);
+		expect(container.querySelector(".fmd-error").textContent).toContain(
+			"The minimum cannot be greater than the maximum.",
+		);
+		expect(
+			container
+				.querySelector('[name="hours"][data-fmd-slider-handle="low"]')
+				.getAttribute("aria-invalid"),
+		).toBe("true");
+	});
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const {
+	createNumberField,
+	createCalculatedField,
+} = require("../src/form-field-create");
+
+describe("updateCalculatedFields", () => {
+	let formsmd;
+	let container;
+
+	beforeEach(() => {
+		// Create a container element
+		container = document.createElement("div");
+		document.body.appendChild(container);
+
+		// Initialize Formsmd and set up the state
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		formsmd.state.data = { price: 4.5 };
+
+		// Set up the form fields, with the calculated fields out of order
+		container.innerHTML = [
+			createNumberField("quantity", false, "", "| value = 2", "|", "", "en"),
+			createCalculatedField(
+				"total",
+				"",
+				"| expression = subtotal * 1.1 | decimals = 2",
+				"|",
+				"",
+				"en",
+			),
+			createCalculatedField(
+				"subtotal",
+				"",
+				"| expression = quantity * price",
+				"|",
+				"",
+				"en",
+			),
+			'<p>Total: <span data-fmd-bind-total=""></span></p>',
+		].join("\n");
+	});
+
+	afterEach(() => {
+		// Clean up
+		container.remove();
+	});
+
+	it("should set the calculated values to state", () => {
+		formsmd.setFormDataToState();
+		expect(formsmd.state.formData).toEqual({
+			quantity: 2,
+			subtotal: 9,
+			total: 9.9,
+		});
+		expect(formsmd.state.fieldTypes.total).toBe("calculated");
+		expect(container.querySelector("span").innerText).toBe(9.9);
+		expect(container.querySelector("#id_total").value).toBe("9.9");
+	});
+
+	it("should update the dependents when re-rendering bind elements", () => {
+		formsmd.setFormDataToState();
+		formsmd.state.formData.quantity = 4;
+		formsmd.reRenderBindElems("quantity");
+		expect(formsmd.state.formData.subtotal).toBe(18);
+		expect(formsmd.state.formData.total).toBe(19.8);
+		expect(container.querySelector("span").innerText).toBe(19.8);
+	});
+
+	it("should not loop forever on circular expressions", () => {
+		container.innerHTML = [
+			createCalculatedField("a", "", "| expression = b + 1", "|", "", "en"),
+			createCalculatedField("b", "", "| expression = a + 1", "|", "", "en"),
+		].join("\n");
+		formsmd.setFormDataToState();
+		expect(typeof formsmd.state.formData.a).toBe("number");
+		expect(typeof formsmd.state.formData.b).toBe("number");
+	});
+});
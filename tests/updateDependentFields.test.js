@@ -0,0 +1,178 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const {
+	createChoiceField,
+	createSelectField,
+} = require("../src/form-field-create");
+
+describe("updateDependentFields", () => {
+	let formsmd;
+	let container;
+
+	const localStorageKey = "formsmd:localhost/form-data";
+
+	const setUp = (options) => {
+		formsmd = new Formsmd("# Test form", container, options || {});
+		formsmd.setStateToDefaults();
+		formsmd.state.data = {
+			statesByCountry: {
+				BD: ["Dhaka", "Chittagong"],
+				US: [
+					{ value: "CA", label: "California" },
+					{ value: "NY", label: "New York" },
+				],
+			},
+			citiesByState: {
+				CA: ["Los Angeles", "San Francisco"],
+				NY: ["New York City", "Buffalo"],
+			},
+		};
+		container.innerHTML = [
+			'<form class="fmd-slide">',
+			createSelectField(
+				"country",
+				true,
+				"",
+				'| options = "BD" Bangladesh, "US" United States',
+				"|",
+				"",
+				"en",
+			),
+			createSelectField(
+				"state",
+				true,
+				"",
+				"| dependson = country | optionsmap = statesByCountry",
+				"|",
+				"",
+				"en",
+			),
+			createChoiceField(
+				"city",
+				false,
+				false,
+				"",
+				"| multiple | dependson = state | choicesmap = citiesByState",
+				"|",
+				"",
+				"en",
+			),
+			'<button type="submit" class="fmd-submit-btn">OK</button>',
+			"</form>",
+		].join("");
+		formsmd.addEventListeners(container, false);
+		formsmd.setFormDataToState();
+	};
+
+	const choose = (name, value) => {
+		const select = container.querySelector(`[name="${name}"]`);
+		select.value = value;
+		select.dispatchEvent(new Event("input"));
+	};
+
+	beforeEach(() => {
+		localStorage.clear();
+		container = document.createElement("div");
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+	});
+
+	test("Case 1 (options follow the parent, stale values are cleared)", () => {
+		setUp({ saveState: true });
+		const listener = jest.fn();
+		formsmd.on("fieldchange", listener);
+		const state = container.querySelector('[name="state"]');
+		expect(state.querySelectorAll("option").length).toBe(1);
+		expect(formsmd.state.formData).toEqual({
+			country: "",
+			state: "",
+			city: [],
+		});
+
+		choose("country", "US");
+		expect(
+			[...state.querySelectorAll("option")].map((option) => option.value),
+		).toEqual(["", "CA", "NY"]);
+		expect(state.querySelectorAll("option")[1].textContent).toBe("California");
+
+		choose("state", "NY");
+		const cities = container.querySelectorAll('[name="city"]');
+		expect([...cities].map((input) => input.value)).toEqual([
+			"New York City",
+			"Buffalo",
+		]);
+		expect(cities[1].getAttribute("id")).toBe("id_city-2");
+		expect(
+			container.querySelector('label[for="id_city-2"]').textContent.trim(),
+		).toBe("Buffalo");
+
+		cities[1].checked = true;
+		cities[1].dispatchEvent(new Event("input"));
+		expect(formsmd.state.formData.city).toEqual(["Buffalo"]);
+
+		// Changing the country clears the state, and in turn the city
+		choose("country", "BD");
+		expect(state.value).toBe("");
+		expect(container.querySelectorAll('[name="city"]').length).toBe(0);
+		expect(formsmd.state.formData).toEqual({
+			country: "BD",
+			state: "",
+			city: [],
+		});
+		expect(JSON.parse(localStorage.getItem(localStorageKey))).toEqual({
+			country: "BD",
+			state: "",
+			city: [],
+		});
+		expect(listener.mock.calls.slice(-3).map((call) => call[0].detail)).toEqual(
+			[
+				{ name: "city", value: [] },
+				{ name: "state", value: "" },
+				{ name: "country", value: "BD" },
+			],
+		);
+	});
+
+	test("Case 2 (valid values are kept, saved values are restored)", () => {
+		localStorage.setItem(
+			localStorageKey,
+			JSON.stringify({ country: "US", state: "CA", city: ["San Francisco"] }),
+		);
+		setUp({ saveState: true });
+		formsmd.setSavedFormData();
+		expect(formsmd.state.formData).toEqual({
+			country: "US",
+			state: "CA",
+			city: ["San Francisco"],
+		});
+		expect(
+			container.querySelector('[name="city"][value="San Francisco"]').checked,
+		).toBe(true);
+		expect(JSON.parse(localStorage.getItem(localStorageKey))).toEqual({
+			country: "US",
+			state: "CA",
+			city: ["San Francisco"],
+		});
+
+		// Re-rendering the parent keeps the valid values
+		formsmd.reRenderBindElems("country");
+		expect(formsmd.state.formData.state).toBe("CA");
+		expect(formsmd.state.formData.city).toEqual(["San Francisco"]);
+	});
+
+	test("Case 3 (not a mapping)", () => {
+		jest.spyOn(console, "warn").mockImplementation(() => {});
+		setUp();
+		formsmd.state.data.statesByCountry = ["Dhaka"];
+		choose("country", "BD");
+		expect(container.querySelectorAll('[name="state"] option').length).toBe(1);
+		expect(console.warn).toHaveBeenCalledWith(
+			'[DATA] "statesByCountry" is not a mapping of values to options',
+		);
+	});
+});
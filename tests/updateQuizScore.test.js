@@ -0,0 +1,200 @@
+"use strict";
+
+const { Formsmd } = require("../src/main");
+const {
+	createChoiceField,
+	createNumberField,
+} = require("../src/form-field-create");
+
+describe("updateQuizScore", () => {
+	let formsmd;
+	let container;
+
+	const setUp = (settings) => {
+		formsmd = new Formsmd("# Test form", container, {});
+		formsmd.setStateToDefaults();
+		formsmd.state.settings = { ...formsmd.state.settings, ...settings };
+		container.innerHTML = [
+			'<div class="fmd-root">',
+			'<form class="fmd-slide fmd-slide-active">',
+			createChoiceField(
+				"planet",
+				false,
+				true,
+				"",
+				"| choices = Mars, Jupiter | correct = Jupiter | explanation = Jupiter is the largest.",
+				"|",
+				"",
+				"en",
+			),
+			createChoiceField(
+				"giants",
+				false,
+				false,
+				"",
+				"| choices = Mars, Jupiter, Saturn | multiple | correct = Jupiter, Saturn | points = 2",
+				"|",
+				"",
+				"en",
+			),
+			createNumberField(
+				"answer",
+				false,
+				"",
+				"| correct = 42 | points = 3",
+				"|",
+				"",
+				"en",
+			),
+			'<p>Score: <span data-fmd-bind-_score="">{$ _score $}</span></p>',
+			'<button type="submit" class="fmd-submit-btn">OK</button>',
+			"</form>",
+			"</div>",
+		].join("");
+		formsmd.addEventListeners(container, false);
+		formsmd.setFormDataToState();
+	};
+
+	const check = (name, value) => {
+		const input = container.querySelector(`[name="${name}"][value="${value}"]`);
+		input.checked = true;
+		input.dispatchEvent(new Event("input"));
+	};
+
+	const type = (name, value) => {
+		const input = container.querySelector(`[name="${name}"]`);
+		input.value = value;
+		input.dispatchEvent(new Event("input"));
+	};
+
+	beforeEach(() => {
+		container = document.createElement("div");
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.removeChild(container);
+		jest.restoreAllMocks();
+	});
+
+	test("Case 1 (score, bound and submitted)", async () => {
+		setUp({ quiz: "true" });
+		expect(formsmd.state.formData._score).toBe(0);
+		expect(formsmd.state.formData._max_score).toBe(6);
+
+		check("planet", "Jupiter");
+		expect(formsmd.state.formData._score).toBe(1);
+		expect(container.querySelector("[data-fmd-bind-_score]").innerText).toBe(1);
+
+		// All the correct choices (and only those) must be checked
+		check("giants", "Jupiter");
+		expect(formsmd.state.formData._score).toBe(1);
+		check("giants", "Saturn");
+		expect(formsmd.state.formData._score).toBe(3);
+		check("giants", "Mars");
+		expect(formsmd.state.formData._score).toBe(1);
+
+		type("answer", "42");
+		expect(formsmd.state.formData._score).toBe(4);
+		type("answer", "");
+		expect(formsmd.state.formData._score).toBe(1);
+
+		const formData = await formsmd.createPostFormData(false);
+		expect(formData.get("_score")).toBe("1");
+		expect(formData.get("_max_score")).toBe("6");
+	});
+
+	test("Case 2 (instant feedback before the next slide)", () => {
+		setUp({ "quiz": "true", "quiz-feedback": "instant" });
+		const getCurrentFormData = jest
+			.spyOn(formsmd, "getCurrentFormData")
+			.mockImplementation(() => {
+				throw new Error("Next slide");
+			});
+		const slide = container.querySelector(".fmd-slide");
+		check("planet", "Mars");
+		type("answer", "42");
+
+		formsmd.nextSlide(slide);
+		expect(getCurrentFormData).not.toHaveBeenCalled();
+		const feedbacks = container.querySelectorAll(".fmd-quiz-feedback");
+		expect(feedbacks[0].hidden).toBe(false);
+		expect(feedbacks[0].classList.contains("fmd-quiz-feedback-incorrect")).toBe(
+			true,
+		);
+		expect(
+			feedbacks[0].querySelector(".fmd-quiz-feedback-title").textContent,
+		).toBe("Incorrect");
+		expect(
+			feedbacks[0].querySelector(".fmd-quiz-feedback-explanation").textContent,
+		).toBe("Jupiter is the largest.");
+		expect(feedbacks[2].classList.contains("fmd-quiz-feedback-correct")).toBe(
+			true,
+		);
+		expect(
+			[...container.querySelectorAll(".fmd-form-check-correct input")].map(
+				(input) => input.value,
+			),
+		).toEqual(["Jupiter", "Jupiter", "Saturn"]);
+		expect(container.querySelector('[name="answer"]').disabled).toBe(true);
+		expect(container.querySelector(".fmd-btn-processing")).toBeNull();
+
+		// The next click goes on to the next slide
+		expect(() => formsmd.nextSlide(slide)).toThrow("Next slide");
+		expect(getCurrentFormData).toHaveBeenCalledTimes(1);
+	});
+
+	test("Case 3 (points per choice)", () => {
+		setUp({ quiz: "true" });
+		const fields = document.createElement("div");
+		fields.innerHTML = [
+			createChoiceField(
+				"moon",
+				false,
+				false,
+				"",
+				"| choices = Europa, Titan, Phobos | correct = Titan | points = 1, 3, -1",
+				"|",
+				"",
+				"en",
+			),
+			createChoiceField(
+				"rings",
+				false,
+				false,
+				"",
+				"| choices = Mars, Saturn, Uranus | multiple | correct = Saturn, Uranus | points = -2, 2, 1",
+				"|",
+				"",
+				"en",
+			),
+		].join("");
+		container.querySelector("form").appendChild(fields);
+		formsmd.addEventListeners(fields, false);
+		formsmd.setFormDataToState();
+		expect(formsmd.state.formData._max_score).toBe(12);
+
+		check("moon", "Europa");
+		expect(formsmd.state.formData._score).toBe(1);
+		check("moon", "Titan");
+		expect(formsmd.state.formData._score).toBe(3);
+		check("moon", "Phobos");
+		expect(formsmd.state.formData._score).toBe(-1);
+
+		check("rings", "Saturn");
+		expect(formsmd.state.formData._score).toBe(1);
+		check("rings", "Mars");
+		expect(formsmd.state.formData._score).toBe(-1);
+	});
+
+	test("Case 4 (not a quiz)", async () => {
+		setUp({});
+		check("planet", "Jupiter");
+		expect(formsmd.state.formData._score).toBeUndefined();
+		expect(formsmd.showQuizFeedback(container.querySelector("form"))).toBe(
+			false,
+		);
+		const formData = await formsmd.createPostFormData(false);
+		expect(formData.has("_score")).toBe(false);
+	});
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+const { validateSlidesLogic } = require("../src/slides-parse");
+
+// Case 1
+
+const template1 = `
+name = TextInput(| question = Name)
+
+---
+-> name == "O'Brien" and age between 18 and 65
+
+# Welcome back
+
+---
+-> hobbies contains "Chess" or not (score is empty)
+
+# Chess
+
+---
+-> END
+`;
+
+test("Case 1", () => {
+	expect(validateSlidesLogic(template1, "---")).toEqual([]);
+});
+
+// Case 2 (errors, different slide delimiter)
+
+const template2 = `
+-> age >
+
+# First slide (jump condition ignored)
+
++++
+-> START
+-> age ==
+
+# Start slide (jump condition ignored)
+
++++
+-> age > 18 and
+
+# Adults
+
++++
+-> hobbies has "Chess"
+
+# Chess
+
++++
+-> profession == "business"
+
+# Business
+`;
+
+test("Case 2 (errors, different slide delimiter)", () => {
+	expect(validateSlidesLogic(template2, "+++")).toEqual([
+		{
+			slide: 3,
+			condition: "age > 18 and",
+			message: "Unexpected end of expression",
+		},
+		{
+			slide: 4,
+			condition: 'hobbies has "Chess"',
+			message: 'Unexpected "has" at position 9',
+		},
+	]);
+});
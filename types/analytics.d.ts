@@ -0,0 +1,58 @@
+/**
+ * Create the analytics of a form response: the visits of the slides (with
+ * their enter and exit timestamps) and the validation failures.
+ *
+ * @param {string} rid - the response id
+ * @returns {Object}
+ */
+export function createAnalytics(rid: string): any;
+/**
+ * Record that a slide is entered, exiting the open one first.
+ *
+ * @param {Object} analytics
+ * @param {number} index
+ */
+export function recordSlideEnter(analytics: any, index: number): void;
+/**
+ * Record that the open slide (if any) is exited.
+ *
+ * @param {Object} analytics
+ * @returns {boolean} whether a slide was open
+ */
+export function recordSlideExit(analytics: any): boolean;
+/**
+ * Record that the response is completed, exiting the open slide.
+ *
+ * @param {Object} analytics
+ */
+export function recordCompletion(analytics: any): void;
+/**
+ * Record a validation failure of a form field.
+ *
+ * @param {Object} analytics
+ * @param {string} name
+ * @param {number} index - the index of the slide
+ */
+export function recordValidationError(analytics: any, name: string, index: number): void;
+/**
+ * Get the timings of the response: the total time, and the time spent on
+ * each slide (the visits of the same slide are added up), in milliseconds.
+ * The open slide counts until now.
+ *
+ * @param {Object} analytics
+ * @returns {{total: number, slides: Object.<string, number>}}
+ */
+export function getTimings(analytics: any): {
+    total: number;
+    slides: {
+        [x: string]: number;
+    };
+};
+/**
+ * Create the payload sent to the analytics endpoint (or callback).
+ *
+ * @param {Object} analytics
+ * @param {"abandon"|"complete"} type
+ * @returns {Object}
+ */
+export function createAnalyticsPayload(analytics: any, type: "abandon" | "complete"): any;
@@ -121,11 +121,16 @@ export class Composer {
      * @property {string} [metaUrl] Sets the Open Graph URL.
      * @property {"form-slides"|"slides"|"single"} [page] Determines the layout of the page. Default is `"form-slides"`.
      * @property {"hide"|"show"|"decorative"} [pageProgress] Controls visibility and function of the page progress.
+     * @property {"slide"|"change"} [partialSubmissions] If set, the partial responses are sent in the background (with the `_lastSlide` metadata): on every next slide, and with `"change"`, on field changes too.
      * @property {"hide"|"show"} [placeholders] Controls visibility of input placeholders.
+     * @property {"form-data"|"json"} [postFormat] The format used to send form responses. If set to `"json"`, responses are sent as JSON with typed values, and the metadata under the `meta` key. Default is `"form-data"`.
      * @property {string} [postSheetName] When sending responses directly to Google Sheets, this specifies which sheet to save responses to.
      * @property {string} [postUrl] URL to send form responses to using POST request.
+     * @property {boolean} [quiz] If set to `true`, the form is a quiz: the answers to the form fields with the `correct` param are scored, and the score is available as `_score` (out of `_max_score`), e.g., for `{% if _score >= 3 %}` blocks in the end slide (only the last end slide is used). Default is `false`.
+     * @property {"instant"} [quizFeedback] If set to `"instant"`, whether the answers are right or wrong is shown before going to the next slide.
      * @property {"show"} [restartButton] If set to `"show"`, the restart button will be visible.
      * @property {"none"|"pill"} [rounded] Controls rounding of buttons and UI elements.
+     * @property {"show"} [saveLink] If set to `"show"`, the footer has a button to get a link (and QR code) that continues the form later, on any device. The link has the form data in an unsigned token, i.e., anyone with the link can read and edit it.
      * @property {"hide"|"show"} [slideControls] Controls visibility of next and previous buttons.
      * @property {string} [slideDelimiter] Specifies where new slides are created. Default is `"---"`.
      * @property {string} [submitButtonText] Custom text for submit buttons.
@@ -298,10 +303,18 @@ export class Composer {
          * Controls visibility and function of the page progress.
          */
         pageProgress?: "hide" | "show" | "decorative";
+        /**
+         * If set, the partial responses are sent in the background (with the `_lastSlide` metadata): on every next slide, and with `"change"`, on field changes too.
+         */
+        partialSubmissions?: "slide" | "change";
         /**
          * Controls visibility of input placeholders.
          */
         placeholders?: "hide" | "show";
+        /**
+         * The format used to send form responses. If set to `"json"`, responses are sent as JSON with typed values, and the metadata under the `meta` key. Default is `"form-data"`.
+         */
+        postFormat?: "form-data" | "json";
         /**
          * When sending responses directly to Google Sheets, this specifies which sheet to save responses to.
          */
@@ -310,6 +323,14 @@ export class Composer {
          * URL to send form responses to using POST request.
          */
         postUrl?: string;
+        /**
+         * If set to `true`, the form is a quiz: the answers to the form fields with the `correct` param are scored, and the score is available as `_score` (out of `_max_score`), e.g., for `{% if _score >= 3 %}` blocks in the end slide (only the last end slide is used). Default is `false`.
+         */
+        quiz?: boolean;
+        /**
+         * If set to `"instant"`, whether the answers are right or wrong is shown before going to the next slide.
+         */
+        quizFeedback?: "instant";
         /**
          * If set to `"show"`, the restart button will be visible.
          */
@@ -318,6 +339,10 @@ export class Composer {
          * Controls rounding of buttons and UI elements.
          */
         rounded?: "none" | "pill";
+        /**
+         * If set to `"show"`, the footer has a button to get a link (and QR code) that continues the form later, on any device. The link has the form data in an unsigned token, i.e., anyone with the link can read and edit it.
+         */
+        saveLink?: "show";
         /**
          * Controls visibility of next and previous buttons.
          */
@@ -909,6 +934,9 @@ export class Composer {
      * @property {string} [unit] Text to display before the input as a unit (e.g., `"$"`, `"€"`).
      * @property {string} [unitEnd] Text to display after the input as a unit (e.g., `"kg"`, `"%"`).
      * @property {number} [value] If set, this becomes the default value of the input.
+     * @property {number} [correct] The correct answer (when the `quiz` setting is used).
+     * @property {number} [points] Points for the correct answer. Default is `1`.
+     * @property {string} [explanation] Shown along with the instant feedback of the quiz.
      */
     /**
      * Create a number input field.
@@ -1013,6 +1041,18 @@ export class Composer {
          * If set, this becomes the default value of the input.
          */
         value?: number;
+        /**
+         * The correct answer (when the `quiz` setting is used).
+         */
+        correct?: number;
+        /**
+         * Points for the correct answer. Default is `1`.
+         */
+        points?: number;
+        /**
+         * Shown along with the instant feedback of the quiz.
+         */
+        explanation?: string;
     }) => string;
     /**
      * Select option.
@@ -1021,13 +1061,142 @@ export class Composer {
      * @property {string} label The display text for the option.
      * @property {string} [value] The value for the option. If not provided, label is used as value.
      */
+    /**
+     * Slider input params.
+     *
+     * @typedef {Object} SliderInputParamsType
+     * @property {number} [min] Sets the minimum value. Defaults to `0`.
+     * @property {number} [max] Sets the maximum value. Defaults to `100`.
+     * @property {number} [step] Sets the stepping interval. Defaults to `1`.
+     * @property {string} [unit] Text to display before the values as a unit (e.g., `"$"`, `"€"`).
+     * @property {string} [unitEnd] Text to display after the values as a unit (e.g., `"h"`, `"%"`).
+     * @property {true} [range] When set, the slider has two handles and the value is `[low, high]`.
+     * @property {number|Array<number>} [value] The default value, or `[low, high]` in range mode.
+     * @property {Array<number>} [ticks] Values to show tick labels for. Defaults to the minimum and maximum.
+     */
+    /**
+     * Create a slider input field.
+     *
+     * @param {string} name
+     * @param {FormFieldSharedParamsType & SliderInputParamsType} params
+     * @returns {string}
+     */
+    sliderInput: (name: string, params: {
+        /**
+         * The main question of the form field.
+         */
+        question: string;
+        /**
+         * When set, the field becomes required.
+         */
+        required?: true;
+        /**
+         * Any extra information that the user may need to fill out the form.
+         */
+        description?: string;
+        /**
+         * When set to `"sm"`, the font sizes of the question, description, and answer are made smaller.
+         */
+        fieldSize?: "sm";
+        /**
+         * When set to `"classic"`, the question and description of the form field are made smaller.
+         */
+        labelStyle?: "classic";
+        /**
+         * When set, the question and description of the form field are made smaller.
+         */
+        subfield?: true;
+        /**
+         * When set, the input is disabled.
+         */
+        disabled?: true;
+        /**
+         * When set, the input will be automatically focused when the parent slide becomes active, or immediately after page load.
+         */
+        autofocus?: true;
+        /**
+         * The id attribute of the form field.
+         */
+        id?: string;
+        /**
+         * The CSS class names of the form field.
+         */
+        classNames?: Array<string>;
+        /**
+         * Other HTML attributes of the form field.
+         */
+        attrs?: Array<{
+            /**
+             * The name of the attribute.
+             */
+            name: string;
+            /**
+             * The value of the attribute.
+             */
+            value: string;
+        }>;
+        /**
+         * Display condition for the form field.
+         */
+        displayCondition?: {
+            /**
+             * The names of the form fields or data to use in the condition.
+             */
+            dependencies: Array<string>;
+            /**
+             * The actual condition.
+             */
+            condition: string;
+        };
+    } & {
+        /**
+         * Sets the minimum value. Defaults to `0`.
+         */
+        min?: number;
+        /**
+         * Sets the maximum value. Defaults to `100`.
+         */
+        max?: number;
+        /**
+         * Sets the stepping interval. Defaults to `1`.
+         */
+        step?: number;
+        /**
+         * Text to display before the values as a unit (e.g., `"$"`, `"€"`).
+         */
+        unit?: string;
+        /**
+         * Text to display after the values as a unit (e.g., `"h"`, `"%"`).
+         */
+        unitEnd?: string;
+        /**
+         * When set, the slider has two handles and the value is `[low, high]`.
+         */
+        range?: true;
+        /**
+         * The default value, or `[low, high]` in range mode.
+         */
+        value?: number | Array<number>;
+        /**
+         * Values to show tick labels for. Defaults to the minimum and maximum.
+         */
+        ticks?: Array<number>;
+    }) => string;
     /**
      * Select box params.
      *
      * @typedef {Object} SelectBoxParamsType
      * @property {string} [placeholder] Sets the placeholder option of the select.
-     * @property {Array<string|SelectOptionType>} options Array of options as strings or SelectOptionType objects.
-     * @property {string} [selected] Pre-selected option value.
+     * @property {Array<string|SelectOptionType>} [options] Array of options as strings or SelectOptionType objects.
+     * @property {string|Array<string>} [selected] Pre-selected option value (or values, when `multiple` is set).
+     * @property {true} [combobox] When set, a searchable combobox is created instead of a native select.
+     * @property {true} [multiple] When set, multiple options can be selected (shown as chips). Implies `combobox`.
+     * @property {string} [optionsData] Key of the data block (or remote data) with the array of options. Implies `combobox`.
+     * @property {string} [optionsUrl] URL that returns a JSON array of options, fetched with the GET headers. If the URL contains `{query}`, it is replaced by the search query. Implies `combobox`.
+     * @property {string} [dependsOn] Name of the form field whose value the options depend on. Used with `optionsMap`.
+     * @property {string} [optionsMap] Key of the data block with the mapping of the values of the `dependsOn` field to arrays of options.
+     * @property {true} [shuffle] Show the options in a random order (stable for the same response).
+     * @property {Array<string>} [pin] Values of the options that keep their positions when shuffled, e.g., `["Other"]`.
      */
     /**
      * Create a select box field.
@@ -1111,7 +1280,7 @@ export class Composer {
         /**
          * Array of options as strings or SelectOptionType objects.
          */
-        options: Array<string | {
+        options?: Array<string | {
             /**
              * The display text for the option.
              */
@@ -1122,9 +1291,41 @@ export class Composer {
             value?: string;
         }>;
         /**
-         * Pre-selected option value.
+         * Pre-selected option value (or values, when `multiple` is set).
+         */
+        selected?: string | Array<string>;
+        /**
+         * When set, a searchable combobox is created instead of a native select.
+         */
+        combobox?: true;
+        /**
+         * When set, multiple options can be selected (shown as chips). Implies `combobox`.
+         */
+        multiple?: true;
+        /**
+         * Key of the data block (or remote data) with the array of options. Implies `combobox`.
+         */
+        optionsData?: string;
+        /**
+         * URL that returns a JSON array of options, fetched with the GET headers. If the URL contains `{query}`, it is replaced by the search query. Implies `combobox`.
+         */
+        optionsUrl?: string;
+        /**
+         * Name of the form field whose value the options depend on. Used with `optionsMap`.
+         */
+        dependsOn?: string;
+        /**
+         * Key of the data block with the mapping of the values of the `dependsOn` field to arrays of options.
+         */
+        optionsMap?: string;
+        /**
+         * Show the options in a random order (stable for the same response).
          */
-        selected?: string;
+        shuffle?: true;
+        /**
+         * Values of the options that keep their positions when shuffled, e.g., `["Other"]`.
+         */
+        pin?: Array<string>;
     }) => string;
     /**
      * Choice option.
@@ -1137,11 +1338,18 @@ export class Composer {
      * Choice input params.
      *
      * @typedef {Object} ChoiceInputParamsType
-     * @property {Array<string|ChoiceOptionType>} choices Array of choices as strings or ChoiceOptionType objects.
+     * @property {Array<string|ChoiceOptionType>} [choices] Array of choices as strings or ChoiceOptionType objects.
      * @property {true} [multiple] Allow multiple selections.
      * @property {true} [horizontal] Display choices horizontally.
      * @property {true} [hideFormText] Hide the form text.
      * @property {Array<string>} [checked] Array of pre-checked choice values.
+     * @property {string} [dependsOn] Name of the form field whose value the choices depend on. Used with `choicesMap`.
+     * @property {string} [choicesMap] Key of the data block with the mapping of the values of the `dependsOn` field to arrays of choices.
+     * @property {true} [shuffle] Show the choices in a random order (stable for the same response).
+     * @property {Array<string>} [pin] Values of the choices that keep their positions when shuffled, e.g., `["Other", "None"]`.
+     * @property {Array<string>} [correct] Values of the correct choices (when the `quiz` setting is used). With `multiple`, all of them must be checked.
+     * @property {number|Array<number>} [points] Points for the correct answer, or one number per choice, in which case the points of the checked choices are added up. Default is `1`.
+     * @property {string} [explanation] Shown along with the instant feedback of the quiz.
      */
     /**
      * Create a choice input field.
@@ -1221,7 +1429,7 @@ export class Composer {
         /**
          * Array of choices as strings or ChoiceOptionType objects.
          */
-        choices: Array<string | {
+        choices?: Array<string | {
             /**
              * The display text for the choice.
              */
@@ -1247,6 +1455,34 @@ export class Composer {
          * Array of pre-checked choice values.
          */
         checked?: Array<string>;
+        /**
+         * Name of the form field whose value the choices depend on. Used with `choicesMap`.
+         */
+        dependsOn?: string;
+        /**
+         * Key of the data block with the mapping of the values of the `dependsOn` field to arrays of choices.
+         */
+        choicesMap?: string;
+        /**
+         * Show the choices in a random order (stable for the same response).
+         */
+        shuffle?: true;
+        /**
+         * Values of the choices that keep their positions when shuffled, e.g., `["Other", "None"]`.
+         */
+        pin?: Array<string>;
+        /**
+         * Values of the correct choices (when the `quiz` setting is used). With `multiple`, all of them must be checked.
+         */
+        correct?: Array<string>;
+        /**
+         * Points for the correct answer, or one number per choice, in which case the points of the checked choices are added up. Default is `1`.
+         */
+        points?: number | Array<number>;
+        /**
+         * Shown along with the instant feedback of the quiz.
+         */
+        explanation?: string;
     }) => string;
     /**
      * Picture choice option.
@@ -1266,6 +1502,11 @@ export class Composer {
      * @property {true} [hideLabels] Hide the text labels.
      * @property {true} [hideFormText] Hide the form text.
      * @property {Array<string>} [checked] Array of pre-checked choice values.
+     * @property {true} [shuffle] Show the choices in a random order (stable for the same response).
+     * @property {Array<string>} [pin] Values of the choices that keep their positions when shuffled.
+     * @property {Array<string>} [correct] Values of the correct choices (when the `quiz` setting is used). With `multiple`, all of them must be checked.
+     * @property {number|Array<number>} [points] Points for the correct answer, or one number per choice, in which case the points of the checked choices are added up. Default is `1`.
+     * @property {string} [explanation] Shown along with the instant feedback of the quiz.
      */
     /**
      * Create a picture choice field.
@@ -1379,6 +1620,26 @@ export class Composer {
          * Array of pre-checked choice values.
          */
         checked?: Array<string>;
+        /**
+         * Show the choices in a random order (stable for the same response).
+         */
+        shuffle?: true;
+        /**
+         * Values of the choices that keep their positions when shuffled.
+         */
+        pin?: Array<string>;
+        /**
+         * Values of the correct choices (when the `quiz` setting is used). With `multiple`, all of them must be checked.
+         */
+        correct?: Array<string>;
+        /**
+         * Points for the correct answer, or one number per choice, in which case the points of the checked choices are added up. Default is `1`.
+         */
+        points?: number | Array<number>;
+        /**
+         * Shown along with the instant feedback of the quiz.
+         */
+        explanation?: string;
     }) => string;
     /**
      * Rating input params.
@@ -1598,23 +1859,22 @@ export class Composer {
         value?: number;
     }) => string;
     /**
-     * Datetime input params.
+     * Matrix input params.
      *
-     * @typedef {Object} DatetimeInputParamsType
-     * @property {string} [placeholder] Sets the `placeholder` attribute of the input.
-     * @property {string} [min] Sets the minimum allowed datetime value (`"YYYY-MM-DDTHH:mm"`).
-     * @property {string} [max] Sets the maximum allowed datetime value (`"YYYY-MM-DDTHH:mm"`).
-     * @property {string} [step] Sets the stepping interval.
-     * @property {string} [value] Pre-selected datetime value (`"YYYY-MM-DDTHH:mm"`).
+     * @typedef {Object} MatrixInputParamsType
+     * @property {Array<string|ChoiceOptionType>} rows Array of rows (statements to answer) as strings or ChoiceOptionType objects.
+     * @property {Array<string|ChoiceOptionType>} columns Array of columns (the shared scale) as strings or ChoiceOptionType objects.
+     * @property {true} [multiple] Allow multiple selections per row.
+     * @property {true} [hideFormText] Hide the form text.
      */
     /**
-     * Create a datetime input field.
+     * Create a matrix (Likert grid) input field.
      *
      * @param {string} name
-     * @param {FormFieldSharedParamsType & DatetimeInputParamsType} params
+     * @param {FormFieldSharedParamsType & MatrixInputParamsType} params
      * @returns {string}
      */
-    datetimeInput: (name: string, params: {
+    matrixInput: (name: string, params: {
         /**
          * The main question of the form field.
          */
@@ -1683,44 +1943,55 @@ export class Composer {
         };
     } & {
         /**
-         * Sets the `placeholder` attribute of the input.
-         */
-        placeholder?: string;
-        /**
-         * Sets the minimum allowed datetime value (`"YYYY-MM-DDTHH:mm"`).
+         * Array of rows (statements to answer) as strings or ChoiceOptionType objects.
          */
-        min?: string;
+        rows: Array<string | {
+            /**
+             * The display text for the choice.
+             */
+            label: string;
+            /**
+             * The value for the choice. If not provided, label is used as value.
+             */
+            value?: string;
+        }>;
         /**
-         * Sets the maximum allowed datetime value (`"YYYY-MM-DDTHH:mm"`).
+         * Array of columns (the shared scale) as strings or ChoiceOptionType objects.
          */
-        max?: string;
+        columns: Array<string | {
+            /**
+             * The display text for the choice.
+             */
+            label: string;
+            /**
+             * The value for the choice. If not provided, label is used as value.
+             */
+            value?: string;
+        }>;
         /**
-         * Sets the stepping interval.
+         * Allow multiple selections per row.
          */
-        step?: string;
+        multiple?: true;
         /**
-         * Pre-selected datetime value (`"YYYY-MM-DDTHH:mm"`).
+         * Hide the form text.
          */
-        value?: string;
+        hideFormText?: true;
     }) => string;
     /**
-     * Date input params.
+     * Ranking input params.
      *
-     * @typedef {Object} DateInputParamsType
-     * @property {string} [placeholder] Sets the `placeholder` attribute of the input.
-     * @property {string} [min] Sets the minimum allowed date value (`"YYYY-MM-DD"`).
-     * @property {string} [max] Sets the maximum allowed date value (`"YYYY-MM-DD"`).
-     * @property {string} [step] Sets the stepping interval.
-     * @property {string} [value] Pre-selected date value (`"YYYY-MM-DD"`).
+     * @typedef {Object} RankingInputParamsType
+     * @property {Array<string|ChoiceOptionType>} choices Array of choices (in their initial order) as strings or ChoiceOptionType objects.
+     * @property {true} [hideFormText] Hide the form text (the keyboard instructions remain available to screen readers).
      */
     /**
-     * Create a date input field.
+     * Create a ranking input field.
      *
      * @param {string} name
-     * @param {FormFieldSharedParamsType & DateInputParamsType} params
+     * @param {FormFieldSharedParamsType & RankingInputParamsType} params
      * @returns {string}
      */
-    dateInput: (name: string, params: {
+    rankingInput: (name: string, params: {
         /**
          * The main question of the form field.
          */
@@ -1789,44 +2060,41 @@ export class Composer {
         };
     } & {
         /**
-         * Sets the `placeholder` attribute of the input.
-         */
-        placeholder?: string;
-        /**
-         * Sets the minimum allowed date value (`"YYYY-MM-DD"`).
-         */
-        min?: string;
-        /**
-         * Sets the maximum allowed date value (`"YYYY-MM-DD"`).
-         */
-        max?: string;
-        /**
-         * Sets the stepping interval.
+         * Array of choices (in their initial order) as strings or ChoiceOptionType objects.
          */
-        step?: string;
+        choices: Array<string | {
+            /**
+             * The display text for the choice.
+             */
+            label: string;
+            /**
+             * The value for the choice. If not provided, label is used as value.
+             */
+            value?: string;
+        }>;
         /**
-         * Pre-selected date value (`"YYYY-MM-DD"`).
+         * Hide the form text (the keyboard instructions remain available to screen readers).
          */
-        value?: string;
+        hideFormText?: true;
     }) => string;
     /**
-     * Time input params.
+     * Datetime input params.
      *
-     * @typedef {Object} TimeInputParamsType
+     * @typedef {Object} DatetimeInputParamsType
      * @property {string} [placeholder] Sets the `placeholder` attribute of the input.
-     * @property {string} [min] Sets the minimum allowed time value (`"HH:mm"`).
-     * @property {string} [max] Sets the maximum allowed time value (`"HH:mm"`).
+     * @property {string} [min] Sets the minimum allowed datetime value (`"YYYY-MM-DDTHH:mm"`).
+     * @property {string} [max] Sets the maximum allowed datetime value (`"YYYY-MM-DDTHH:mm"`).
      * @property {string} [step] Sets the stepping interval.
-     * @property {string} [value] Pre-selected time value (`"HH:mm"`).
+     * @property {string} [value] Pre-selected datetime value (`"YYYY-MM-DDTHH:mm"`).
      */
     /**
-     * Create a time input field.
+     * Create a datetime input field.
      *
      * @param {string} name
-     * @param {FormFieldSharedParamsType & TimeInputParamsType} params
+     * @param {FormFieldSharedParamsType & DatetimeInputParamsType} params
      * @returns {string}
      */
-    timeInput: (name: string, params: {
+    datetimeInput: (name: string, params: {
         /**
          * The main question of the form field.
          */
@@ -1899,11 +2167,223 @@ export class Composer {
          */
         placeholder?: string;
         /**
-         * Sets the minimum allowed time value (`"HH:mm"`).
+         * Sets the minimum allowed datetime value (`"YYYY-MM-DDTHH:mm"`).
          */
         min?: string;
         /**
-         * Sets the maximum allowed time value (`"HH:mm"`).
+         * Sets the maximum allowed datetime value (`"YYYY-MM-DDTHH:mm"`).
+         */
+        max?: string;
+        /**
+         * Sets the stepping interval.
+         */
+        step?: string;
+        /**
+         * Pre-selected datetime value (`"YYYY-MM-DDTHH:mm"`).
+         */
+        value?: string;
+    }) => string;
+    /**
+     * Date input params.
+     *
+     * @typedef {Object} DateInputParamsType
+     * @property {string} [placeholder] Sets the `placeholder` attribute of the input.
+     * @property {string} [min] Sets the minimum allowed date value (`"YYYY-MM-DD"`).
+     * @property {string} [max] Sets the maximum allowed date value (`"YYYY-MM-DD"`).
+     * @property {string} [step] Sets the stepping interval.
+     * @property {string} [value] Pre-selected date value (`"YYYY-MM-DD"`).
+     */
+    /**
+     * Create a date input field.
+     *
+     * @param {string} name
+     * @param {FormFieldSharedParamsType & DateInputParamsType} params
+     * @returns {string}
+     */
+    dateInput: (name: string, params: {
+        /**
+         * The main question of the form field.
+         */
+        question: string;
+        /**
+         * When set, the field becomes required.
+         */
+        required?: true;
+        /**
+         * Any extra information that the user may need to fill out the form.
+         */
+        description?: string;
+        /**
+         * When set to `"sm"`, the font sizes of the question, description, and answer are made smaller.
+         */
+        fieldSize?: "sm";
+        /**
+         * When set to `"classic"`, the question and description of the form field are made smaller.
+         */
+        labelStyle?: "classic";
+        /**
+         * When set, the question and description of the form field are made smaller.
+         */
+        subfield?: true;
+        /**
+         * When set, the input is disabled.
+         */
+        disabled?: true;
+        /**
+         * When set, the input will be automatically focused when the parent slide becomes active, or immediately after page load.
+         */
+        autofocus?: true;
+        /**
+         * The id attribute of the form field.
+         */
+        id?: string;
+        /**
+         * The CSS class names of the form field.
+         */
+        classNames?: Array<string>;
+        /**
+         * Other HTML attributes of the form field.
+         */
+        attrs?: Array<{
+            /**
+             * The name of the attribute.
+             */
+            name: string;
+            /**
+             * The value of the attribute.
+             */
+            value: string;
+        }>;
+        /**
+         * Display condition for the form field.
+         */
+        displayCondition?: {
+            /**
+             * The names of the form fields or data to use in the condition.
+             */
+            dependencies: Array<string>;
+            /**
+             * The actual condition.
+             */
+            condition: string;
+        };
+    } & {
+        /**
+         * Sets the `placeholder` attribute of the input.
+         */
+        placeholder?: string;
+        /**
+         * Sets the minimum allowed date value (`"YYYY-MM-DD"`).
+         */
+        min?: string;
+        /**
+         * Sets the maximum allowed date value (`"YYYY-MM-DD"`).
+         */
+        max?: string;
+        /**
+         * Sets the stepping interval.
+         */
+        step?: string;
+        /**
+         * Pre-selected date value (`"YYYY-MM-DD"`).
+         */
+        value?: string;
+    }) => string;
+    /**
+     * Time input params.
+     *
+     * @typedef {Object} TimeInputParamsType
+     * @property {string} [placeholder] Sets the `placeholder` attribute of the input.
+     * @property {string} [min] Sets the minimum allowed time value (`"HH:mm"`).
+     * @property {string} [max] Sets the maximum allowed time value (`"HH:mm"`).
+     * @property {string} [step] Sets the stepping interval.
+     * @property {string} [value] Pre-selected time value (`"HH:mm"`).
+     */
+    /**
+     * Create a time input field.
+     *
+     * @param {string} name
+     * @param {FormFieldSharedParamsType & TimeInputParamsType} params
+     * @returns {string}
+     */
+    timeInput: (name: string, params: {
+        /**
+         * The main question of the form field.
+         */
+        question: string;
+        /**
+         * When set, the field becomes required.
+         */
+        required?: true;
+        /**
+         * Any extra information that the user may need to fill out the form.
+         */
+        description?: string;
+        /**
+         * When set to `"sm"`, the font sizes of the question, description, and answer are made smaller.
+         */
+        fieldSize?: "sm";
+        /**
+         * When set to `"classic"`, the question and description of the form field are made smaller.
+         */
+        labelStyle?: "classic";
+        /**
+         * When set, the question and description of the form field are made smaller.
+         */
+        subfield?: true;
+        /**
+         * When set, the input is disabled.
+         */
+        disabled?: true;
+        /**
+         * When set, the input will be automatically focused when the parent slide becomes active, or immediately after page load.
+         */
+        autofocus?: true;
+        /**
+         * The id attribute of the form field.
+         */
+        id?: string;
+        /**
+         * The CSS class names of the form field.
+         */
+        classNames?: Array<string>;
+        /**
+         * Other HTML attributes of the form field.
+         */
+        attrs?: Array<{
+            /**
+             * The name of the attribute.
+             */
+            name: string;
+            /**
+             * The value of the attribute.
+             */
+            value: string;
+        }>;
+        /**
+         * Display condition for the form field.
+         */
+        displayCondition?: {
+            /**
+             * The names of the form fields or data to use in the condition.
+             */
+            dependencies: Array<string>;
+            /**
+             * The actual condition.
+             */
+            condition: string;
+        };
+    } & {
+        /**
+         * Sets the `placeholder` attribute of the input.
+         */
+        placeholder?: string;
+        /**
+         * Sets the minimum allowed time value (`"HH:mm"`).
+         */
+        min?: string;
+        /**
+         * Sets the maximum allowed time value (`"HH:mm"`).
          */
         max?: string;
         /**
@@ -1921,6 +2401,14 @@ export class Composer {
      * @typedef {Object} FileInputParamsType
      * @property {number} [sizeLimit] Maximum file size in MB. Defaults to `10`.
      * @property {true} [imageOnly] When set, only image files are accepted.
+     * @property {string} [accept] Comma-separated list of accepted file extensions or MIME types, for example, ".pdf, image/*".
+     * @property {true} [multiple] When set, multiple files can be chosen.
+     * @property {number} [maxFiles] Maximum number of files, when `multiple` is set.
+     * @property {number} [totalSizeLimit] Maximum total size of the files in MB, when `multiple` is set.
+     * @property {number} [maxWidth] Maximum width of images in pixels. Larger images are downscaled before upload.
+     * @property {number} [maxHeight] Maximum height of images in pixels. Larger images are downscaled before upload.
+     * @property {number} [quality] Quality of the resized images, between `0` and `1`.
+     * @property {"webp"|"jpeg"} [format] Format to convert the images to before upload.
      * @property {string} [currentFile] The current file that exists in the database. Use a URL for best results, for example, https://example.s3.com/image.png.
      */
     /**
@@ -2006,20 +2494,278 @@ export class Composer {
          * When set, only image files are accepted.
          */
         imageOnly?: true;
+        /**
+         * Comma-separated list of accepted file extensions or MIME types, for example, ".pdf, image/*".
+         */
+        accept?: string;
+        /**
+         * When set, multiple files can be chosen.
+         */
+        multiple?: true;
+        /**
+         * Maximum number of files, when `multiple` is set.
+         */
+        maxFiles?: number;
+        /**
+         * Maximum total size of the files in MB, when `multiple` is set.
+         */
+        totalSizeLimit?: number;
+        /**
+         * Maximum width of images in pixels. Larger images are downscaled before upload.
+         */
+        maxWidth?: number;
+        /**
+         * Maximum height of images in pixels. Larger images are downscaled before upload.
+         */
+        maxHeight?: number;
+        /**
+         * Quality of the resized images, between `0` and `1`.
+         */
+        quality?: number;
+        /**
+         * Format to convert the images to before upload.
+         */
+        format?: "webp" | "jpeg";
         /**
          * The current file that exists in the database. Use a URL for best results, for example, https://example.s3.com/image.png.
          */
         currentFile?: string;
     }) => string;
+    /**
+     * Create a signature input field, i.e., a canvas to draw a signature on,
+     * which is submitted as a PNG file.
+     *
+     * @param {string} name
+     * @param {FormFieldSharedParamsType} params
+     * @returns {string}
+     */
+    signatureInput: (name: string, params: {
+        /**
+         * The main question of the form field.
+         */
+        question: string;
+        /**
+         * When set, the field becomes required.
+         */
+        required?: true;
+        /**
+         * Any extra information that the user may need to fill out the form.
+         */
+        description?: string;
+        /**
+         * When set to `"sm"`, the font sizes of the question, description, and answer are made smaller.
+         */
+        fieldSize?: "sm";
+        /**
+         * When set to `"classic"`, the question and description of the form field are made smaller.
+         */
+        labelStyle?: "classic";
+        /**
+         * When set, the question and description of the form field are made smaller.
+         */
+        subfield?: true;
+        /**
+         * When set, the input is disabled.
+         */
+        disabled?: true;
+        /**
+         * When set, the input will be automatically focused when the parent slide becomes active, or immediately after page load.
+         */
+        autofocus?: true;
+        /**
+         * The id attribute of the form field.
+         */
+        id?: string;
+        /**
+         * The CSS class names of the form field.
+         */
+        classNames?: Array<string>;
+        /**
+         * Other HTML attributes of the form field.
+         */
+        attrs?: Array<{
+            /**
+             * The name of the attribute.
+             */
+            name: string;
+            /**
+             * The value of the attribute.
+             */
+            value: string;
+        }>;
+        /**
+         * Display condition for the form field.
+         */
+        displayCondition?: {
+            /**
+             * The names of the form fields or data to use in the condition.
+             */
+            dependencies: Array<string>;
+            /**
+             * The actual condition.
+             */
+            condition: string;
+        };
+    }) => string;
+    /**
+     * Calculated field params.
+     *
+     * @typedef {Object} CalculatedParamsType
+     * @property {string} expression The expression to evaluate, using the names of the form fields and data, for example, `quantity * price`. Supports arithmetic, comparisons, `and`, `or`, `not`, the ternary operator, and the functions `abs`, `ceil`, `floor`, `round`, `min`, `max`, `sum`, `count`, and `number`. Since the form delimiter separates the params, use `or` instead of `||`.
+     * @property {number} [decimals] Round the result to this many decimal places.
+     * @property {true} [hidden] When set, the field is not shown, but the result can still be bound, used in logic jumps, and is sent with the form data.
+     */
+    /**
+     * Create a calculated field.
+     *
+     * @param {string} name
+     * @param {FormFieldSharedParamsType & CalculatedParamsType} params
+     * @returns {string}
+     */
+    calculated: (name: string, params: {
+        /**
+         * The main question of the form field.
+         */
+        question: string;
+        /**
+         * When set, the field becomes required.
+         */
+        required?: true;
+        /**
+         * Any extra information that the user may need to fill out the form.
+         */
+        description?: string;
+        /**
+         * When set to `"sm"`, the font sizes of the question, description, and answer are made smaller.
+         */
+        fieldSize?: "sm";
+        /**
+         * When set to `"classic"`, the question and description of the form field are made smaller.
+         */
+        labelStyle?: "classic";
+        /**
+         * When set, the question and description of the form field are made smaller.
+         */
+        subfield?: true;
+        /**
+         * When set, the input is disabled.
+         */
+        disabled?: true;
+        /**
+         * When set, the input will be automatically focused when the parent slide becomes active, or immediately after page load.
+         */
+        autofocus?: true;
+        /**
+         * The id attribute of the form field.
+         */
+        id?: string;
+        /**
+         * The CSS class names of the form field.
+         */
+        classNames?: Array<string>;
+        /**
+         * Other HTML attributes of the form field.
+         */
+        attrs?: Array<{
+            /**
+             * The name of the attribute.
+             */
+            name: string;
+            /**
+             * The value of the attribute.
+             */
+            value: string;
+        }>;
+        /**
+         * Display condition for the form field.
+         */
+        displayCondition?: {
+            /**
+             * The names of the form fields or data to use in the condition.
+             */
+            dependencies: Array<string>;
+            /**
+             * The actual condition.
+             */
+            condition: string;
+        };
+    } & {
+        /**
+         * The expression to evaluate, using the names of the form fields and data, for example, `quantity * price`. Supports arithmetic, comparisons, `and`, `or`, `not`, the ternary operator, and the functions `abs`, `ceil`, `floor`, `round`, `min`, `max`, `sum`, `count`, and `number`. Since the form delimiter separates the params, use `or` instead of `||`.
+         */
+        expression: string;
+        /**
+         * Round the result to this many decimal places.
+         */
+        decimals?: number;
+        /**
+         * When set, the field is not shown, but the result can still be bound, used in logic jumps, and is sent with the form data.
+         */
+        hidden?: true;
+    }) => string;
+    /**
+     * Hidden input params.
+     *
+     * @typedef {Object} HiddenInputParamsType
+     * @property {"url"|"data"|"postdata"|"cookie"|"script"|Array<"url"|"data"|"postdata"|"cookie"|"script">} [source] Where the value is taken from: URL parameters, data, POST data (from the options), cookies, or the `getHiddenFieldValue` option. When multiple sources are given, the first one with a value is used. Default is `"url"`.
+     * @property {string} [key] The name of the URL parameter, data key, POST data key, or cookie. Default is the name of the field.
+     * @property {string} [value] The default value, used when none of the sources has a value.
+     * @property {string} [id] The id attribute of the form field.
+     * @property {Array.<string>} [classNames] The CSS class names of the form field.
+     * @property {Array.<HTMLAttributeType>} [attrs] Other HTML attributes of the form field.
+     */
+    /**
+     * Create a hidden input field.
+     *
+     * @param {string} name
+     * @param {HiddenInputParamsType} [params]
+     * @returns {string}
+     */
+    hiddenInput: (name: string, params?: {
+        /**
+         * Where the value is taken from: URL parameters, data, POST data (from the options), cookies, or the `getHiddenFieldValue` option. When multiple sources are given, the first one with a value is used. Default is `"url"`.
+         */
+        source?: "url" | "data" | "postdata" | "cookie" | "script" | Array<"url" | "data" | "postdata" | "cookie" | "script">;
+        /**
+         * The name of the URL parameter, data key, POST data key, or cookie. Default is the name of the field.
+         */
+        key?: string;
+        /**
+         * The default value, used when none of the sources has a value.
+         */
+        value?: string;
+        /**
+         * The id attribute of the form field.
+         */
+        id?: string;
+        /**
+         * The CSS class names of the form field.
+         */
+        classNames?: Array<string>;
+        /**
+         * Other HTML attributes of the form field.
+         */
+        attrs?: Array<{
+            /**
+             * The name of the attribute.
+             */
+            name: string;
+            /**
+             * The value of the attribute.
+             */
+            value: string;
+        }>;
+    }) => string;
     /**
      * Slide params.
      *
      * @typedef {Object} SlideParamsType
-     * @property {string} [jumpCondition] Logic jump condition that must be `true` for slide to be shown.
+     * @property {string} [jumpCondition] Logic jump condition that must be `true` for slide to be shown, for example, `age between 18 and 65 and hobbies contains "Chess"`. Supports comparisons, `contains`, `in`, `not in`, `between`, `is empty`, `is answered`, `and`, `or`, and `not`.
      * @property {string} [pageProgress] Progress indicator shown on top (e.g. `"50%"` or `"1/2"`).
      * @property {"start"|"center"|"end"|"stretch"} [buttonAlignment] Set the alignment of this slide's CTA button.
      * @property {true} [post] If set, posts form data up to this slide when going to the next one.
      * @property {true} [disablePrevious] If set, disables the previous button.
+     * @property {true} [shuffle] If set, shows this slide in a random order along with the shuffled slides right next to it.
      */
     /**
      * Create a slide.
@@ -2029,7 +2775,7 @@ export class Composer {
      */
     slide: (params?: {
         /**
-         * Logic jump condition that must be `true` for slide to be shown.
+         * Logic jump condition that must be `true` for slide to be shown, for example, `age between 18 and 65 and hobbies contains "Chess"`. Supports comparisons, `contains`, `in`, `not in`, `between`, `is empty`, `is answered`, `and`, `or`, and `not`.
          */
         jumpCondition?: string;
         /**
@@ -2048,6 +2794,10 @@ export class Composer {
          * If set, disables the previous button.
          */
         disablePrevious?: true;
+        /**
+         * If set, shows this slide in a random order along with the shuffled slides right next to it.
+         */
+        shuffle?: true;
     }) => string;
     /**
      * Start slide params.
@@ -2540,5 +3290,59 @@ export class Composer {
          */
         bind?: Array<string>;
     }) => string;
+    /**
+     * Repeatable group params.
+     *
+     * @typedef {Object} RepeatParamsType
+     * @property {number} [min] The minimum number of items. Defaults to `1`.
+     * @property {number} [max] The maximum number of items. No limit by default.
+     */
+    /**
+     * Create a repeatable group start tag. The form fields between the start
+     * and end tags are repeated, i.e., the user can add and remove items, and
+     * the value is saved as an array of objects under the given name.
+     *
+     * @param {string} name
+     * @param {BlockElemParamsType & RepeatParamsType} [params]
+     * @returns {string}
+     */
+    repeatStart: (name: string, params?: {
+        /**
+         * The id attribute of the element.
+         */
+        id?: string;
+        /**
+         * The CSS class names of the element.
+         */
+        classNames?: Array<string>;
+        /**
+         * Other HTML attributes of the element.
+         */
+        attrs?: Array<{
+            /**
+             * The name of the attribute.
+             */
+            name: string;
+            /**
+             * The value of the attribute.
+             */
+            value: string;
+        }>;
+    } & {
+        /**
+         * The minimum number of items. Defaults to `1`.
+         */
+        min?: number;
+        /**
+         * The maximum number of items. No limit by default.
+         */
+        max?: number;
+    }) => string;
+    /**
+     * Create a repeatable group end tag.
+     *
+     * @returns {string}
+     */
+    repeatEnd: () => string;
 }
 import { translations } from "./translations.js";
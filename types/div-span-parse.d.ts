@@ -1,16 +1,34 @@
+/**
+ * Create a single item of a repeatable group. The names of the form fields
+ * inside the content are indexed, e.g., "name" becomes "dependents_2_name"
+ * for the second item of the "dependents" group, including the form fields
+ * with attributes on the same line, e.g., `[.col-6] name = TextInput(...)`.
+ *
+ * @param {string} content
+ * @param {string} name - the name of the repeatable group
+ * @param {number} index
+ * @param {string} localization
+ * @returns {string} item as a template string
+ */
+export function createRepeatItem(content: string, name: string, index: number, localization: string): string;
 /**
  * Given a template string, parse the <div> elements, and return the template.
  * The opening and closing tags of the <div> elements are identified by pairs
- * of triple colons ":::". Nesting is not supported.
+ * of triple colons ":::". Nesting is not supported. A <div> element with a
+ * "repeat" attribute becomes a repeatable group, e.g.,
+ * `::: [repeat=dependents min=1 max=5]`.
  *
  * @param {string} template
  * @param {string} cssPrefix
- * @returns {{template: string, bindDivTemplates: Object}} template with
- * parsed <div> elements, bind <div> templates
+ * @param {string} [localization]
+ * @returns {{template: string, bindDivTemplates: Object, repeatTemplates: Object}}
+ * template with parsed <div> elements, bind <div> templates, repeatable group
+ * templates
  */
-export function parseDivs(template: string, cssPrefix: string): {
+export function parseDivs(template: string, cssPrefix: string, localization?: string): {
     template: string;
     bindDivTemplates: any;
+    repeatTemplates: any;
 };
 /**
  * Given a template string, parse the bind <span> elements, and return the
@@ -21,3 +39,25 @@ export function parseDivs(template: string, cssPrefix: string): {
  * @returns {string} template with parsed bind <span> elements
  */
 export function parseBindSpans(template: string): string;
+/**
+ * Given a template string with parsed bind <span> elements, get the names
+ * bound to those elements (without duplicates).
+ *
+ * @param {string} template
+ * @returns {Array.<string>} names
+ */
+export function getBindSpanNames(template: string): Array<string>;
+/**
+ * Given a template string with parsed bind <span> elements, fill those
+ * elements with the values of the bound names, and return the template.
+ * Arrays are separated by commas, and the elements of the names without
+ * values are left empty. When the form delimiter is given, it is encoded in
+ * the values as HTML entities, so that a piped value never splits the params
+ * of a form field.
+ *
+ * @param {string} template
+ * @param {Object} values
+ * @param {string} [formDelimiter]
+ * @returns {string} template with filled bind <span> elements
+ */
+export function fillBindSpans(template: string, values: any, formDelimiter?: string): string;
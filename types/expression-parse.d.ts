@@ -0,0 +1,61 @@
+export namespace expressionFunctions {
+    function abs(value: any): number;
+    function ceil(value: any): number;
+    function floor(value: any): number;
+    function round(value: any, decimals: any): number;
+    function min(...values: any[]): number;
+    function max(...values: any[]): number;
+    function sum(...values: any[]): any;
+    function count(value: any): number;
+    function number(value: any): number;
+    function answered(value: any): boolean;
+}
+/**
+ * Check if a value is empty, i.e., the form field has not been answered. Zero
+ * and `false` are not empty.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEmptyValue(value: any): boolean;
+/**
+ * Parse an expression into a syntax tree. Supported are numbers, strings,
+ * `true`, `false`, `null`, names (form fields and data), member access
+ * (`a.b`, `a[0]`), arithmetic (`+ - * / %`), comparisons (`== != === !== < <=
+ * > >=`), `contains`, `in`, `not in`, `between ... and ...`, `is empty`, `is
+ * not empty`, `is answered`, `is not answered`, logical operators (`and or
+ * not`, `&& || !`), the ternary operator, and calls to a small set of
+ * functions (`abs ceil floor round min max sum count number answered`).
+ * Throws an error if the expression is not valid. Note that `||` cannot be
+ * used in the params of form fields (e.g., calculated fields) when `|` is the
+ * form delimiter, so `or` is the form to use there.
+ *
+ * @param {string} expression
+ * @returns {Object} syntax tree
+ */
+export function parseExpression(expression: string): any;
+/**
+ * Get the names (form fields and data) used in a syntax tree.
+ *
+ * @param {Object} tree
+ * @returns {Array.<string>}
+ */
+export function getExpressionNames(tree: any): Array<string>;
+/**
+ * Evaluate a syntax tree (see `parseExpression`) using the given context,
+ * i.e., the form data and data.
+ *
+ * @param {Object} tree
+ * @param {Object} context
+ * @returns {*}
+ */
+export function evaluateExpression(tree: any, context: any): any;
+/**
+ * Evaluate a condition, for example, a logic jump condition, using the given
+ * context. Throws an error if the condition is not valid.
+ *
+ * @param {string} condition
+ * @param {Object} context
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition: string, context: any): boolean;
@@ -33,7 +33,8 @@ export function formFieldSetup(required: boolean, parsedAttrs: string, params: s
  */
 export function createTextField(name: string, inputType: "text" | "email" | "url" | "tel" | "password", required: boolean, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
 /**
- * Create a number form field.
+ * Create a number form field. With the `correct` param, the form field is a
+ * quiz question (when the `quiz` setting is used).
  *
  * @param {string} name
  * @param {boolean} required
@@ -46,7 +47,27 @@ export function createTextField(name: string, inputType: "text" | "email" | "url
  */
 export function createNumberField(name: string, required: boolean, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
 /**
- * Create a select form field.
+ * Create a slider form field. In range mode, there are two handles and the
+ * value is `[low, high]`.
+ *
+ * @param {string} name
+ * @param {boolean} required
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} slider input form field as HTML string
+ */
+export function createSliderField(name: string, required: boolean, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
+/**
+ * Create a select form field. With the `combobox` param (implied by the
+ * `multiple`, `optionsdata` and `optionsurl` params), a searchable combobox is
+ * created instead of a native <select>. With the `dependson` and `optionsmap`
+ * params, the options are set when the form is used, from the data block
+ * mapping of the value of another form field to its options. With the
+ * `shuffle` param, the options are shown in a random order, except the ones
+ * given using the `pin` param.
  *
  * @param {string} name
  * @param {boolean} required
@@ -59,7 +80,14 @@ export function createNumberField(name: string, required: boolean, parsedAttrs:
  */
 export function createSelectField(name: string, required: boolean, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
 /**
- * Create a choice form field.
+ * Create a choice form field. With the `dependson` and `choicesmap` params,
+ * the choices are set when the form is used, from the data block mapping of
+ * the value of another form field to its choices. With the `shuffle` param,
+ * the choices are shown in a random order, except the ones given using the
+ * `pin` param. With the `correct` param, the form field is a quiz question
+ * (when the `quiz` setting is used), and the `points` param is either the
+ * points for answering correctly, or one number per choice, e.g., for partial
+ * credit.
  *
  * @param {string} name
  * @param {boolean} isPictureChoice
@@ -98,6 +126,35 @@ export function createRatingField(name: string, required: boolean, parsedAttrs:
  * @returns {string} opinion scale form field as HTML string
  */
 export function createOpinionScaleField(name: string, required: boolean, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
+/**
+ * Create a matrix form field, i.e., a grid of rows by columns where each row
+ * is answered using the same set of radio buttons or checkboxes.
+ *
+ * @param {string} name
+ * @param {boolean} required
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} matrix input form field as HTML string
+ */
+export function createMatrixField(name: string, required: boolean, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
+/**
+ * Create a ranking form field, i.e., a list of choices that can be reordered
+ * by dragging (mouse or touch) or using the keyboard. The value is the ordered
+ * array of choice values.
+ *
+ * @param {string} name
+ * @param {boolean} required
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} ranking input form field as HTML string
+ */
+export function createRankingField(name: string, required: boolean, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
 /**
  * Create a datetime, date, or time form field.
  *
@@ -125,3 +182,48 @@ export function createDatetimeField(name: string, inputType: "datetime" | "date"
  * @returns {string} file input form field as HTML string
  */
 export function createFileField(name: string, required: boolean, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
+/**
+ * Create a signature form field, i.e., a canvas to draw on using a pointer
+ * (mouse, pen, or touch). The signature is submitted as a PNG file.
+ *
+ * @param {string} name
+ * @param {boolean} required
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} signature input form field as HTML string
+ */
+export function createSignatureField(name: string, required: boolean, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
+/**
+ * Create a calculated form field, i.e., a read-only field whose value is the
+ * result of an expression evaluated over the form data and data. The
+ * expression is parsed (and never evaluated as JavaScript) to make sure that
+ * it is valid.
+ *
+ * @param {string} name
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} calculated form field as HTML string
+ */
+export function createCalculatedField(name: string, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
+/**
+ * Create a hidden form field, i.e., a named value that is not shown, but is
+ * set to state, can be bound and used in logic jumps, and is sent with the
+ * form data. The value is taken from the first source that has it (URL
+ * parameters, data, POST data, cookies, or a script), or else the default
+ * value is used.
+ *
+ * @param {string} name
+ * @param {string} parsedAttrs
+ * @param {string} params
+ * @param {string} formDelimiter
+ * @param {string} id - the id of the page/form
+ * @param {string} localization
+ * @returns {string} hidden form field as HTML string
+ */
+export function createHiddenField(name: string, parsedAttrs: string, params: string, formDelimiter: string, id: string, localization: string): string;
@@ -5,5 +5,67 @@
  * @returns {boolean}
  */
 export function isNumeric(str: string): boolean;
+/**
+ * Given a string, create a 32-bit hash (unsigned integer). The same string
+ * always gives the same hash.
+ *
+ * @param {string} str
+ * @returns {number}
+ */
+export function hashString(str: string): number;
+/**
+ * Shuffle the items using a seed. Each item is ranked by the hash of the seed
+ * and its key, so the order only depends on the seed and the keys (shuffling
+ * again gives the same order). Pinned items keep their positions.
+ *
+ * @param {Array} items
+ * @param {string} seed
+ * @param {(item: *) => string} getKey
+ * @param {(item: *) => boolean} [isPinned]
+ * @returns {Array} shuffled copy of the items
+ */
+export function shuffleWithSeed(items: any[], seed: string, getKey: (item: any) => string, isPinned?: (item: any) => boolean): any[];
 export function cleanUrl(href: any): any;
 export function unescape(string: any): any;
+export function escape$1(html: any, encode: any): any;
+/**
+ * Given a string, get its UTF-8 bytes.
+ *
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+export function stringToBytes(str: string): Uint8Array;
+/**
+ * Given UTF-8 bytes, get the string. Throws if the bytes are not valid UTF-8.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToString(bytes: Uint8Array): string;
+/**
+ * Given bytes, encode them as base64url (URL-safe, without padding).
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64Url(bytes: Uint8Array): string;
+/**
+ * Given a base64url string, decode the bytes. Throws if the string is not
+ * valid base64url.
+ *
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+export function base64UrlToBytes(str: string): Uint8Array;
+/**
+ * Pass bytes through a transform stream, e.g., `CompressionStream`, and get
+ * the resulting bytes.
+ *
+ * @param {Uint8Array} bytes
+ * @param {{writable: WritableStream, readable: ReadableStream}} transformStream
+ * @returns {Promise<Uint8Array>}
+ */
+export function transformBytes(bytes: Uint8Array, transformStream: {
+    writable: WritableStream;
+    readable: ReadableStream;
+}): Promise<Uint8Array>;
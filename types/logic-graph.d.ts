@@ -0,0 +1,58 @@
+/**
+ * Given a template string (without the settings), create the directed graph of
+ * the slides and the jump conditions between them. The slides are ordered the
+ * same way as `parseSlides` does: start slides first, then the body slides,
+ * and finally the end slide (only the last one is used, otherwise a default
+ * one is added). From each slide, the next one is the first slide after it
+ * whose jump condition is met, or that does not have a jump condition. Jump
+ * conditions that only use data are checked right away: the slides whose
+ * condition is never met are skipped, and the ones whose condition is always
+ * met end the fall through.
+ *
+ * The graph also reports unreachable slides, dead ends (slides that lead to
+ * the default end slide because none is defined using "-> END"), and names
+ * used in jump conditions that are not defined before, i.e., neither data
+ * nor form fields of the previous slides. The latter includes the form
+ * fields of the same or a later slide (flagged as `forward`), which are not
+ * answered yet when the condition is checked.
+ *
+ * @param {string} template
+ * @param {string} slideDelimiter
+ * @returns {{
+ *   nodes: Array.<{id: string, slide: number|null, type: "start"|"body"|"end", title: string, jump: string, fields: Array.<string>}>,
+ *   edges: Array.<{from: string, to: string, condition: string}>,
+ *   unreachableSlides: Array.<number>,
+ *   deadEnds: Array.<number>,
+ *   undefinedNames: Array.<{slide: number, name: string, forward: boolean}>
+ * }} graph, where the slide numbers start from 1
+ */
+export function createLogicGraph(template: string, slideDelimiter: string): {
+    nodes: Array<{
+        id: string;
+        slide: number | null;
+        type: "start" | "body" | "end";
+        title: string;
+        jump: string;
+        fields: Array<string>;
+    }>;
+    edges: Array<{
+        from: string;
+        to: string;
+        condition: string;
+    }>;
+    unreachableSlides: Array<number>;
+    deadEnds: Array<number>;
+    undefinedNames: Array<{
+        slide: number;
+        name: string;
+        forward: boolean;
+    }>;
+};
+/**
+ * Export a logic graph (see `createLogicGraph`) as a Mermaid flowchart.
+ * Unreachable slides and dead ends are highlighted.
+ *
+ * @param {ReturnType<typeof createLogicGraph>} graph
+ * @returns {string}
+ */
+export function logicGraphToMermaid(graph: ReturnType<typeof createLogicGraph>): string;
@@ -1,4 +1,13 @@
 export class Formsmd {
+    /**
+     * Analytics of the response in the markdown-driven mode (time per slide,
+     * abandonment, and validation failures).
+     *
+     * @typedef {Object} AnalyticsType
+     * @property {string} [url] URL the analytics are sent to (using `navigator.sendBeacon`) when the form is abandoned or completed.
+     * @property {function(Object): void} [callback] Function that receives the analytics when the form is abandoned or completed.
+     * @property {boolean} [attachTimings] Whether to attach the timings to the final submission as `_timings` (or `meta.timings` in JSON). Default is `false`.
+     */
     /**
      * Google reCAPTCHA attributes.
      *
@@ -17,22 +26,37 @@ export class Formsmd {
      * @property {string} [backgroundColor] The `background-color` of the page (must be HTML name, hex code, or RGB).
      * @property {string} [color] The `color` of the text on the page (must be HTML name, hex code, or RGB).
      */
+    /**
+     * Transport that form responses are sent to, in addition to the `post-url`
+     * setting, e.g., a webhook.
+     *
+     * @typedef {Object} TransportType
+     * @property {string} url The URL to send form responses to using POST request.
+     * @property {"form-data"|"json"} [format] The format used to send form responses. Default is the same as `post-url`.
+     * @property {Object} [headers] Headers for the POST requests.
+     */
     /**
      * Options for the page or form.
      *
      * @typedef {Object} OptionsType
+     * @property {AnalyticsType} [analytics] Where the analytics of the response are sent.
      * @property {"light"|"dark"} [colorScheme] The default or initial color scheme of the page. Default is `"light"`.
      * @property {string} [errorFieldKey] The key used to identify the field in error objects. Default is `"field"`.
      * @property {string} [errorMessageKey] The key used to identify the error message in error objects. Default is `"message"`.
      * @property {"hide"|"show"} [footer] Controls visibility of the footer.
      * @property {"hide"|"show"} [formsmdBranding] Controls visibility of the Forms.md branding.
      * @property {Object} [getHeaders] Headers for GET requests.
+     * @property {function(string, string): *} [getHiddenFieldValue] Function that returns the value of a hidden field with the `script` source, given its name and key.
+     * @property {function(string): string} [getSaveLinkQRCode] Function that returns the image source of a QR code, given the link to continue the form later.
      * @property {boolean} [isFullPage] Whether to render in full page mode. Default is `false`.
+     * @property {boolean} [keyboardShortcuts] Whether to use the keyboard shortcuts on the active slide: letters for choices, digits for ratings and opinion scales, Enter (or Cmd/Ctrl + Enter) for the next slide, and Esc (when not typing) for the previous one. Default is `true`.
+     * @property {boolean} [offlineQueue] Whether to queue failed or offline submissions in IndexedDB and retry them later. Default is `false`.
      * @property {number} [paddingInlineBottom] Padding bottom for inline pages or forms. Default is `20`.
      * @property {number} [paddingInlineHorizontal] Horizontal padding for inline pages or forms. Default is `0`.
      * @property {number} [paddingInlineTop] Padding top for inline pages or forms. Default is `20`.
      * @property {"hide"|"show"|"decorative"} [pageProgress] Controls visibility and function of the page progress.
      * @property {Object} [postData] Extra data sent with POST requests.
+     * @property {"form-data"|"json"} [postFormat] The format used to send form responses, takes precedence over the `post-format` setting. Default is `"form-data"`.
      * @property {Object} [postHeaders] Headers for POST requests.
      * @property {boolean} [prioritizeURLFormData] Whether to prioritize URL form data. Default is `false`.
      * @property {RecaptchaType} [recaptcha] The Google reCAPTCHA attributes.
@@ -44,6 +68,7 @@ export class Formsmd {
      * @property {number} [startSlide] The index of the first slide to make active. Default is `0`.
      * @property {ThemeType} [themeDark] Dark theme.
      * @property {ThemeType} [themeLight] Light theme.
+     * @property {Array.<TransportType|function(Object): Promise<*>>} [transports] Extra transports that form responses are sent to: URLs, or async functions that receive the normalized payload (same as the JSON format).
      */
     /**
      * Create an instance of the class.
@@ -53,6 +78,23 @@ export class Formsmd {
      * @param {OptionsType} options
      */
     constructor(template: string, container: Document | HTMLElement | Element, options: {
+        /**
+         * Where the analytics of the response are sent.
+         */
+        analytics?: {
+            /**
+             * URL the analytics are sent to (using `navigator.sendBeacon`) when the form is abandoned or completed.
+             */
+            url?: string;
+            /**
+             * Function that receives the analytics when the form is abandoned or completed.
+             */
+            callback?: (arg0: any) => void;
+            /**
+             * Whether to attach the timings to the final submission as `_timings` (or `meta.timings` in JSON). Default is `false`.
+             */
+            attachTimings?: boolean;
+        };
         /**
          * The default or initial color scheme of the page. Default is `"light"`.
          */
@@ -77,10 +119,26 @@ export class Formsmd {
          * Headers for GET requests.
          */
         getHeaders?: any;
+        /**
+         * Function that returns the value of a hidden field with the `script` source, given its name and key.
+         */
+        getHiddenFieldValue?: (arg0: string, arg1: string) => any;
+        /**
+         * Function that returns the image source of a QR code, given the link to continue the form later.
+         */
+        getSaveLinkQRCode?: (arg0: string) => string;
         /**
          * Whether to render in full page mode. Default is `false`.
          */
         isFullPage?: boolean;
+        /**
+         * Whether to use the keyboard shortcuts on the active slide: letters for choices, digits for ratings and opinion scales, Enter (or Cmd/Ctrl + Enter) for the next slide, and Esc (when not typing) for the previous one. Default is `true`.
+         */
+        keyboardShortcuts?: boolean;
+        /**
+         * Whether to queue failed or offline submissions in IndexedDB and retry them later. Default is `false`.
+         */
+        offlineQueue?: boolean;
         /**
          * Padding bottom for inline pages or forms. Default is `20`.
          */
@@ -101,6 +159,10 @@ export class Formsmd {
          * Extra data sent with POST requests.
          */
         postData?: any;
+        /**
+         * The format used to send form responses, takes precedence over the `post-format` setting. Default is `"form-data"`.
+         */
+        postFormat?: "form-data" | "json";
         /**
          * Headers for POST requests.
          */
@@ -196,20 +258,47 @@ export class Formsmd {
              */
             color?: string;
         };
+        /**
+         * Extra transports that form responses are sent to: URLs, or async functions that receive the normalized payload (same as the JSON format).
+         */
+        transports?: Array<{
+            /**
+             * The URL to send form responses to using POST request.
+             */
+            url: string;
+            /**
+             * The format used to send form responses. Default is the same as `post-url`.
+             */
+            format?: "form-data" | "json";
+            /**
+             * Headers for the POST requests.
+             */
+            headers?: any;
+        } | ((arg0: any) => Promise<any>)>;
     });
     options: {
+        analytics: {
+            url: string;
+            callback: any;
+            attachTimings: boolean;
+        };
         colorScheme: string;
         errorFieldKey: string;
         errorMessageKey: string;
         footer: string;
         formsmdBranding: string;
         getHeaders: {};
+        getHiddenFieldValue: any;
+        getSaveLinkQRCode: any;
         isFullPage: boolean;
+        keyboardShortcuts: boolean;
+        offlineQueue: boolean;
         paddingInlineBottom: number;
         paddingInlineHorizontal: number;
         paddingInlineTop: number;
         pageProgress: string;
         postData: {};
+        postFormat: string;
         postHeaders: {};
         prioritizeURLFormData: boolean;
         recaptcha: {
@@ -236,7 +325,93 @@ export class Formsmd {
             backgroundColor: string;
             color: string;
         };
+        transports: any[];
+    };
+    /**
+     * Controller used to remove all the DOM event listeners added by the
+     * instance (see `destroy`).
+     *
+     * @type {AbortController}
+     */
+    listenersController: AbortController;
+    /**
+     * Listeners of the lifecycle events, e.g., `{slidechange: [listener]}`.
+     *
+     * @type {Object.<string, Array.<function(CustomEvent): void>>}
+     */
+    eventListeners: {
+        [x: string]: Array<(arg0: CustomEvent) => void>;
     };
+    /**
+     * Timeout of the next retry of the queued submissions (if any).
+     *
+     * @type {ReturnType<typeof setTimeout>|null}
+     */
+    submissionQueueTimeout: ReturnType<typeof setTimeout> | null;
+    /**
+     * Timeout of the next partial submission after a field change (if any).
+     *
+     * @type {ReturnType<typeof setTimeout>|null}
+     */
+    partialSubmissionTimeout: ReturnType<typeof setTimeout> | null;
+    /**
+     * Controller used to abort the partial submission in flight (if any), so
+     * that it never reaches the backend after a newer submission.
+     *
+     * @type {AbortController|null}
+     */
+    partialSubmissionController: AbortController | null;
+    /**
+     * Images that are being resized after they are chosen, so that the
+     * submissions can wait for them (see `waitForFileResizes()`).
+     *
+     * @type {Set<Promise<void>>}
+     */
+    fileResizes: Set<Promise<void>>;
+    /**
+     * Analytics of the current response (if enabled), see `getAnalytics()`.
+     *
+     * @type {Object|null}
+     */
+    analytics: any | null;
+    /**
+     * Whether the queued submissions are being retried.
+     *
+     * @type {boolean}
+     */
+    isRetryingSubmissions: boolean;
+    /**
+     * Ranking item being dragged using a pointer (mouse or touch), if any.
+     *
+     * @type {{handle: HTMLElement, pointerId: number, startIndex: number}|null}
+     */
+    rankingDrag: {
+        handle: HTMLElement;
+        pointerId: number;
+        startIndex: number;
+    } | null;
+    /**
+     * Runtime data of the combobox form fields (options, filtered options,
+     * active option, etc.), see `getComboboxData()`.
+     *
+     * @type {WeakMap<HTMLElement, Object>}
+     */
+    comboboxes: WeakMap<HTMLElement, any>;
+    /**
+     * Names of the piped form fields being created again, so that form fields
+     * piped into each other do not do so endlessly, see
+     * `reRenderPipedFields()`.
+     *
+     * @type {Set<string>}
+     */
+    pipedFieldNames: Set<string>;
+    /**
+     * Height of the options of the combobox form fields in pixels (the list of
+     * options is virtualized, so the height must be fixed).
+     *
+     * @type {number}
+     */
+    comboboxOptionHeight: number;
     container: Element | Document | HTMLElement;
     _template: string;
     /**
@@ -245,10 +420,14 @@ export class Formsmd {
     setStateToDefaults: () => void;
     state: {
         bindDivTemplates: {};
+        repeatTemplates: {};
         data: {};
         fieldTypes: {};
         formData: {};
         settings: any;
+        files: {};
+        signatures: {};
+        quizFields: {};
         slideData: {
             currentIndex: number;
             slideDefinitions: any[];
@@ -335,11 +514,176 @@ export class Formsmd {
      */
     removeSavedFormData: () => void;
     /**
-     * Re-render the bind <div> and <span> elements.
+     * Get the name of the URL parameter that holds the resume token.
+     *
+     * @returns {string}
+     */
+    getResumeParamName: () => string;
+    /**
+     * Whether a form field is kept in the resume tokens. The hidden and
+     * calculated fields are not, as their values are set again, and neither
+     * are the reserved fields, e.g., "_score".
+     *
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isResumableField: (name: string) => boolean;
+    /**
+     * Create the resume token of the current response: the response id, the
+     * index of the current slide, and the form data as JSON, compressed (if
+     * `CompressionStream` is supported) and encoded as base64url. The token
+     * is not signed, i.e., anyone with the link can read and edit it, so the
+     * restored form data is not trusted any more than what the user enters.
+     *
+     * @returns {Promise<string>}
+     */
+    createResumeToken: () => Promise<string>;
+    /**
+     * Parse a resume token created by `createResumeToken`.
+     *
+     * @param {string} token
+     * @returns {Promise<{rid: string, slide: number, formData: Object}|null>}
+     * null if the token is not valid
+     */
+    parseResumeToken: (token: string) => Promise<{
+        rid: string;
+        slide: number;
+        formData: any;
+    } | null>;
+    /**
+     * Get the link to continue the current response later, i.e., the current
+     * URL with the resume token.
+     *
+     * @returns {Promise<string>}
+     */
+    getSaveLink: () => Promise<string>;
+    /**
+     * Get the data of the resume token in the URL (if any).
+     *
+     * @returns {Promise<{rid: string, slide: number, formData: Object}|null>}
+     */
+    getResumeData: () => Promise<{
+        rid: string;
+        slide: number;
+        formData: any;
+    } | null>;
+    /**
+     * Continue the response of a resume token: set the form data (saving it in
+     * the local storage too), set the slide to start from, and remove the token
+     * from the URL. The hidden, calculated, and reserved fields of the token
+     * are ignored.
+     *
+     * @param {{rid: string, slide: number, formData: Object}} resumeData
+     */
+    setResumeData: (resumeData: {
+        rid: string;
+        slide: number;
+        formData: any;
+    }) => void;
+    /**
+     * Show or hide the save link panel in the footer. The link is created
+     * every time the panel is shown, so that it has the latest form data.
+     *
+     * @param {MouseEvent} e
+     */
+    toggleSaveLink: (e: MouseEvent) => void;
+    /**
+     * Copy the save link to the clipboard.
+     *
+     * @param {MouseEvent} e
+     */
+    copySaveLink: (e: MouseEvent) => void;
+    /**
+     * Re-render the bind <div> and <span> elements. Also update the options of
+     * the form fields that depend on the name, and the calculated fields that
+     * depend on the name (re-rendering their bind elements too).
+     *
+     * @param {string} name
+     * @param {boolean} [skipCalculatedFields]
+     */
+    reRenderBindElems: (name: string, skipCalculatedFields?: boolean) => void;
+    /**
+     * Create the form fields with the name piped into their params again, e.g.,
+     * `question = Thanks {$ name $}, how old are you?`. This way, the questions,
+     * descriptions, placeholders and choices are updated. The ids stay the
+     * same, and the values are kept (the ones no longer valid are removed).
+     * File and signature fields are not created again, so that the chosen
+     * files and the signature are kept.
+     *
+     * @param {string} name
+     */
+    reRenderPipedFields: (name: string) => void;
+    /**
+     * Get the options of a dependent form field, i.e., the options mapped to
+     * the value (or values) of the form field it depends on, from the data
+     * block mapping.
+     *
+     * @param {HTMLElement} formField
+     * @returns {Array.<{value: string, label: string}>}
+     */
+    getDependentOptions: (formField: HTMLElement) => Array<{
+        value: string;
+        label: string;
+    }>;
+    /**
+     * Update the options of the form fields that depend on the name. The
+     * values that are still valid are kept, and the stale ones are removed
+     * from the state and local storage. The form fields whose values change
+     * are re-rendered in turn, so that cascading form fields are updated too.
+     *
+     * @param {string} name
+     */
+    updateDependentFields: (name: string) => void;
+    /**
+     * Check the answer to a quiz question. For checkboxes, all the correct
+     * choices (and only those) must be checked. For radio buttons and numbers,
+     * the answer must be one of the correct answers.
+     *
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isQuizAnswerCorrect: (name: string) => boolean;
+    /**
+     * Get the points of the answer to a quiz question, along with the maximum
+     * points. With points per choice, the points of the checked choices are
+     * added up, whether the answer is correct or not.
      *
      * @param {string} name
+     * @returns {{points: number, maxPoints: number}}
+     */
+    getQuizPoints: (name: string) => {
+        points: number;
+        maxPoints: number;
+    };
+    /**
+     * Calculate the quiz score (if the `quiz` setting is used), and set it to
+     * state as "_score", along with the maximum score as "_max_score". These
+     * can be used like form fields, e.g., in bind <div> and <span> elements,
+     * jump conditions, and end slides, and they are posted with the response.
      */
-    reRenderBindElems: (name: string) => void;
+    updateQuizScore: () => void;
+    /**
+     * Show the instant feedback of the quiz questions on the slide (if the
+     * `quiz-feedback` setting is used): whether each answer is right or wrong,
+     * the correct choices, and the explanation. The answers cannot be changed
+     * after that. The feedback is only shown once per slide.
+     *
+     * @param {HTMLElement} slide
+     * @returns {boolean} whether the feedback is shown
+     */
+    showQuizFeedback: (slide: HTMLElement) => boolean;
+    /**
+     * Evaluate the expressions of the calculated fields that depend on the
+     * name (or all of them if the name is not given), and set the results to
+     * state. Calculated fields that depend on other calculated fields are
+     * updated in turn. The number of times a field is evaluated per call is
+     * limited, so circular expressions cannot cause an infinite loop.
+     *
+     * @param {string} [name]
+     * @returns {Array.<string>} names of the calculated fields whose values
+     * changed
+     */
+    updateCalculatedFields: (name?: string) => Array<string>;
     /**
      * Get value of a set of radio buttons or checkboxes.
      *
@@ -358,6 +702,137 @@ export class Formsmd {
      * @param {string|Array.<string>} value
      */
     setRadioCheckboxValue: (name: string, inputClass: string, type: "radio" | "checkbox", value: string | Array<string>) => void;
+    /**
+     * Get value of a matrix form field. The value is an object with one entry
+     * per row, where each entry is the checked value (radio buttons) or an
+     * array of checked values (checkboxes).
+     *
+     * @param {HTMLElement} formField
+     * @returns {Object.<string, string|Array.<string>>}
+     */
+    getMatrixValue: (formField: HTMLElement) => {
+        [x: string]: string | Array<string>;
+    };
+    /**
+     * Set value of a matrix form field. Rows that are not present in the given
+     * value are left untouched.
+     *
+     * @param {HTMLElement} formField
+     * @param {Object.<string, string|Array.<string>>} value
+     */
+    setMatrixValue: (formField: HTMLElement, value: {
+        [x: string]: string | Array<string>;
+    }) => void;
+    /**
+     * Get value of a ranking form field, i.e., the choice values in the order
+     * they are currently displayed.
+     *
+     * @param {HTMLElement} formField
+     * @returns {Array.<string>}
+     */
+    getRankingValue: (formField: HTMLElement) => Array<string>;
+    /**
+     * Set value of a ranking form field by reordering the items. Items that are
+     * not present in the given value keep their relative order at the end.
+     *
+     * @param {HTMLElement} formField
+     * @param {Array.<string>} value
+     */
+    setRankingValue: (formField: HTMLElement, value: Array<string>) => void;
+    /**
+     * Update the displayed positions of the items of a ranking form field.
+     *
+     * @param {HTMLElement} formField
+     */
+    updateRankingPositions: (formField: HTMLElement) => void;
+    /**
+     * Get value of a slider form field: a number, or `[low, high]` in range
+     * mode.
+     *
+     * @param {HTMLElement} formField
+     * @returns {number|Array.<number>}
+     */
+    getSliderValue: (formField: HTMLElement) => number | Array<number>;
+    /**
+     * Set value of a slider form field, i.e., a number, or `[low, high]` in
+     * range mode. The values are clamped to the minimum and maximum by the
+     * inputs themselves.
+     *
+     * @param {HTMLElement} formField
+     * @param {number|string|Array.<number|string>} value
+     */
+    setSliderValue: (formField: HTMLElement, value: number | string | Array<number | string>) => void;
+    /**
+     * Update the value bubbles and the filled part of the track of a slider
+     * form field to match the values of its inputs.
+     *
+     * @param {HTMLElement} formField
+     */
+    updateSliderDisplay: (formField: HTMLElement) => void;
+    /**
+     * Get value of a combobox form field: a string, or an array of strings in
+     * multiple mode.
+     *
+     * @param {HTMLElement} formField
+     * @returns {string|Array.<string>}
+     */
+    getComboboxValue: (formField: HTMLElement) => string | Array<string>;
+    /**
+     * Set value of a combobox form field, i.e., a string, or an array of
+     * strings in multiple mode, and update the displayed labels.
+     *
+     * @param {HTMLElement} formField
+     * @param {string|Array.<string>} value
+     */
+    setComboboxValue: (formField: HTMLElement, value: string | Array<string>) => void;
+    /**
+     * Get the runtime data of a combobox form field: the options (from the
+     * params, the data block, and the options URL), the filtered options, the
+     * active option, the search query, and the labels of the selected values.
+     *
+     * @param {HTMLElement} formField
+     * @returns {Object}
+     */
+    getComboboxData: (formField: HTMLElement) => any;
+    /**
+     * Normalize an option of a combobox or dependent form field. Options can
+     * be strings, numbers, or objects with `value` and/or `label` keys.
+     *
+     * @param {*} option
+     * @returns {{value: string, label: string}|null}
+     */
+    normalizeComboboxOption: (option: any) => {
+        value: string;
+        label: string;
+    } | null;
+    /**
+     * Get the options of a combobox form field that are available without a
+     * request, i.e., the options from the params, the data block, and the
+     * data block mapping (for dependent form fields).
+     *
+     * @param {HTMLElement} formField
+     * @returns {Array.<{value: string, label: string}>}
+     */
+    getComboboxLocalOptions: (formField: HTMLElement) => Array<{
+        value: string;
+        label: string;
+    }>;
+    /**
+     * Get the label of a value of a combobox form field, or the value itself
+     * if the option is not loaded.
+     *
+     * @param {HTMLElement} formField
+     * @param {string} value
+     * @returns {string}
+     */
+    getComboboxLabel: (formField: HTMLElement, value: string) => string;
+    /**
+     * Update the displayed labels of a combobox form field: the text of the
+     * input, or the chips in multiple mode.
+     *
+     * @param {HTMLElement} formField
+     */
+    updateComboboxDisplay: (formField: HTMLElement) => void;
     /**
      * Given a country calling code <select>, update placeholder of the
      * corresponding telephone input using the selected <option>.
@@ -365,6 +840,16 @@ export class Formsmd {
      * @param {HTMLSelectElement} countryCodeSelect
      */
     setTelInputPlaceholder: (countryCodeSelect: HTMLSelectElement) => void;
+    /**
+     * Get the value of a hidden form field from its sources, in the order they
+     * are given: URL parameters, data, POST data (from the options), cookies,
+     * or the `getHiddenFieldValue` option. The first value that is found is
+     * used, or else the default value.
+     *
+     * @param {HTMLElement} formField
+     * @returns {string}
+     */
+    getHiddenFieldSourceValue: (formField: HTMLElement) => string;
     /**
      * Set form data to state (value and type). Also re-render the bind <div>
      * and <span> elements.
@@ -380,10 +865,23 @@ export class Formsmd {
      */
     setFormDataFromURL: (updateLocalStorage: boolean) => void;
     /**
-     * Set form data saved in local storage: set value in the DOM, update state,
-     * and re-render the bind <div> and <span> elements.
+     * Set form data saved in local storage (or the given form data): set value
+     * in the DOM, update state, and re-render the bind <div> and <span>
+     * elements.
+     *
+     * @param {Object} [savedFormData]
+     */
+    setSavedFormData: (savedFormData?: any) => void;
+    /**
+     * Set the value of a form field: set value in the DOM, update state, and
+     * re-render the bind <div> and <span> elements. The value is expected to be
+     * in the same format as the state, e.g., array of strings for checkboxes.
+     *
+     * @param {string} name
+     * @param {*} value
+     * @returns {boolean} whether the form field exists (and the value is set)
      */
-    setSavedFormData: () => void;
+    setFieldValue: (name: string, value: any) => boolean;
     /**
      * Given a form field element, remove all errors (and everything related).
      *
@@ -432,68 +930,482 @@ export class Formsmd {
      */
     numChoiceFieldOnInput: (e: InputEvent) => void;
     /**
-     * Handle the inputs of datetime form fields: update value in the state,
-     * save value in local storage, remove errors and re-render the bind <div>
-     * and <span> elements.
+     * Handle the inputs of matrix form fields: update value in the state, save
+     * value in local storage, remove errors and re-render the bind <div> and
+     * <span> elements.
      *
      * @param {InputEvent} e
      */
-    datetimeFieldOnInput: (e: InputEvent) => void;
+    matrixFieldOnInput: (e: InputEvent) => void;
     /**
-     * Handle the inputs of file form fields: reset and update the wrapping
-     * <label> depending on the file chosen.
+     * Handle the inputs of slider form fields: keep the handles of range
+     * sliders from crossing, update the value bubbles and value in the state,
+     * save value in local storage, remove errors and re-render the bind <div>
+     * and <span> elements.
      *
      * @param {InputEvent} e
      */
-    fileFieldOnInput: (e: InputEvent) => void;
+    sliderFieldOnInput: (e: InputEvent) => void;
     /**
-     * Set the height of a <textarea> element.
+     * Handle the changes of combobox form fields: update value in the state,
+     * save value in local storage, remove errors and re-render the bind <div>
+     * and <span> elements.
      *
-     * @param {HTMLTextAreaElement} textarea
+     * @param {HTMLElement} formField
      */
-    setTextareaHeight: (textarea: HTMLTextAreaElement) => void;
+    comboboxFieldOnChange: (formField: HTMLElement) => void;
     /**
-     * Set the height of a <textarea> element on input.
+     * Load the options of a combobox form field from its options URL, using
+     * the GET headers. If the URL contains `{query}`, it is replaced by the
+     * search query, and the options are loaded again for every query.
      *
-     * @param {InputEvent} e
+     * @param {HTMLElement} formField
+     * @returns {Promise<void>}
      */
-    setTextareaHeightOnInput: (e: InputEvent) => void;
+    loadComboboxOptions: (formField: HTMLElement) => Promise<void>;
     /**
-     * Reset file input when the corresponding reset button is clicked.
+     * Filter the options of a combobox form field using the search query,
+     * render them, and announce the number of results. The options are loaded
+     * from the options URL first (if applicable).
      *
-     * @param {MouseEvent} e
+     * @param {HTMLElement} formField
      */
-    fileInputResetBtnOnClick: (e: MouseEvent) => void;
+    updateComboboxOptions: (formField: HTMLElement) => void;
     /**
-     * Given a <button> element, set it to the processing state.
+     * Render the filtered options of a combobox form field. Only the options
+     * in view (and a few around them) are rendered, so that long lists stay
+     * fast.
      *
-     * @param {HTMLButtonElement} btn
+     * @param {HTMLElement} formField
      */
-    setBtnProcessing: (btn: HTMLButtonElement) => void;
+    renderComboboxOptions: (formField: HTMLElement) => void;
     /**
-     * Given a <button> element, remove its processing state.
+     * Set the active option of a combobox form field, and scroll the list so
+     * that it is in view.
      *
-     * @param {HTMLButtonElement} btn
+     * @param {HTMLElement} formField
+     * @param {number} index
      */
-    removeBtnProcessing: (btn: HTMLButtonElement) => void;
+    setComboboxActiveIndex: (formField: HTMLElement, index: number) => void;
     /**
-     * Given a slide element, remove all errors (and everything related).
+     * Open the list of options of a combobox form field (or update it, if it
+     * is already open).
      *
-     * @param {HTMLElement} slide
+     * @param {HTMLElement} formField
      */
-    removeSlideErrors: (slide: HTMLElement) => void;
+    openCombobox: (formField: HTMLElement) => void;
     /**
-     * Add an error inside the given form field element.
+     * Close the list of options of a combobox form field, and reset the
+     * search query.
      *
      * @param {HTMLElement} formField
-     * @param {string} errorId
-     * @param {string} message
      */
-    addFieldError: (formField: HTMLElement, errorId: string, message: string) => void;
+    closeCombobox: (formField: HTMLElement) => void;
     /**
-     * Given a <form> element, validate and add errors if necessary. By default,
-     * most form fields rely entirely on built-in client-side validation that is
-     * found in browsers.
+     * Select a filtered option of a combobox form field. In multiple mode,
+     * the option is toggled and the list stays open.
+     *
+     * @param {HTMLElement} formField
+     * @param {number} index
+     */
+    selectComboboxOption: (formField: HTMLElement, index: number) => void;
+    /**
+     * Handle the inputs of combobox form fields: filter the options using the
+     * text as the search query.
+     *
+     * @param {InputEvent} e
+     */
+    comboboxInputOnInput: (e: InputEvent) => void;
+    /**
+     * Handle the keyboard interactions of combobox form fields.
+     *
+     * @param {KeyboardEvent} e
+     */
+    comboboxInputOnKeydown: (e: KeyboardEvent) => void;
+    /**
+     * Open the list of options of a combobox form field when the input is
+     * clicked.
+     *
+     * @param {MouseEvent} e
+     */
+    comboboxInputOnClick: (e: MouseEvent) => void;
+    /**
+     * Close the list of options of a combobox form field when the input loses
+     * focus. Clearing the text clears the value of a single combobox, or else
+     * the text is reset to the label of the selected option.
+     *
+     * @param {FocusEvent} e
+     */
+    comboboxInputOnFocusout: (e: FocusEvent) => void;
+    /**
+     * Keep the focus on the input of a combobox form field when the list of
+     * options is clicked.
+     *
+     * @param {MouseEvent} e
+     */
+    comboboxListboxOnMousedown: (e: MouseEvent) => void;
+    /**
+     * Select the option of a combobox form field that is clicked.
+     *
+     * @param {MouseEvent} e
+     */
+    comboboxListboxOnClick: (e: MouseEvent) => void;
+    /**
+     * Render the options in view when the list of options of a combobox form
+     * field is scrolled.
+     *
+     * @param {Event} e
+     */
+    comboboxListboxOnScroll: (e: Event) => void;
+    /**
+     * Remove the value of a multiple combobox form field when the remove
+     * button of the corresponding chip is clicked.
+     *
+     * @param {MouseEvent} e
+     */
+    comboboxChipsOnClick: (e: MouseEvent) => void;
+    /**
+     * Handle the reordering of ranking form fields: update the displayed
+     * positions and value in the state, save value in local storage, remove
+     * errors and re-render the bind <div> and <span> elements.
+     *
+     * @param {HTMLElement} formField
+     */
+    rankingFieldOnChange: (formField: HTMLElement) => void;
+    /**
+     * Announce the position of a ranking item to screen readers using the
+     * live region of the form field.
+     *
+     * @param {HTMLElement} item
+     * @param {"ranking-grabbed"|"ranking-moved"|"ranking-dropped"|"ranking-cancelled"} key
+     */
+    announceRankingItem: (item: HTMLElement, key: "ranking-grabbed" | "ranking-moved" | "ranking-dropped" | "ranking-cancelled") => void;
+    /**
+     * Move a ranking item to the given index of its list. The siblings are
+     * moved instead of the item itself whenever possible so that the item
+     * keeps the focus.
+     *
+     * @param {HTMLElement} item
+     * @param {number} index
+     * @returns {boolean} whether the item was moved
+     */
+    moveRankingItem: (item: HTMLElement, index: number) => boolean;
+    /**
+     * Handle the keyboard interactions of ranking form fields. Space or Enter
+     * picks up (or drops) an item, the arrow keys move the picked up item (or
+     * the focus), and Escape cancels the move.
+     *
+     * @param {KeyboardEvent} e
+     */
+    rankingHandleOnKeydown: (e: KeyboardEvent) => void;
+    /**
+     * Drop the ranking item that was picked up using the keyboard.
+     *
+     * @param {HTMLElement} handle
+     */
+    dropRankingItem: (handle: HTMLElement) => void;
+    /**
+     * Drop the picked up ranking item when the focus leaves its handle.
+     *
+     * @param {FocusEvent} e
+     */
+    rankingHandleOnFocusout: (e: FocusEvent) => void;
+    /**
+     * Start dragging a ranking item using a pointer (mouse or touch).
+     *
+     * @param {PointerEvent} e
+     */
+    rankingHandleOnPointerdown: (e: PointerEvent) => void;
+    /**
+     * Move the dragged ranking item based on the position of the pointer, i.e.,
+     * place it after all the other items whose middle is above the pointer.
+     *
+     * @param {PointerEvent} e
+     */
+    rankingHandleOnPointermove: (e: PointerEvent) => void;
+    /**
+     * Stop dragging a ranking item, and update the value if it was moved.
+     *
+     * @param {PointerEvent} e
+     */
+    rankingHandleOnPointerup: (e: PointerEvent) => void;
+    /**
+     * Handle the inputs of datetime form fields: update value in the state,
+     * save value in local storage, remove errors and re-render the bind <div>
+     * and <span> elements.
+     *
+     * @param {InputEvent} e
+     */
+    datetimeFieldOnInput: (e: InputEvent) => void;
+    /**
+     * Check if a file is an image that can be previewed using an <img>.
+     *
+     * @param {File} file
+     * @returns {boolean}
+     */
+    isPreviewableImage: (file: File) => boolean;
+    /**
+     * Check if a file matches the "accept" attribute of a file input, i.e., a
+     * comma-separated list of file extensions and MIME types. Images must also
+     * be previewable to match "image/*".
+     *
+     * @param {File} file
+     * @param {string|null} accept
+     * @returns {boolean}
+     */
+    fileMatchesAccept: (file: File, accept: string | null) => boolean;
+    /**
+     * Get the files chosen in a file form field. Multiple file fields keep
+     * their files in the state, so that files can be added and removed one at
+     * a time. The other file fields keep their file in the state once it is
+     * resized (if applicable).
+     *
+     * @param {HTMLElement} formField
+     * @returns {Array.<File>}
+     */
+    getFileFieldFiles: (formField: HTMLElement) => Array<File>;
+    /**
+     * Resize the images chosen in a file form field (see `resizeImageFile()`),
+     * keeping track of it until it is done, so that the submissions can wait
+     * for it.
+     *
+     * @param {HTMLElement} formField
+     * @param {Array.<File>} files
+     * @returns {Promise<Array.<File>>}
+     */
+    resizeFieldFiles: (formField: HTMLElement, files: Array<File>) => Promise<Array<File>>;
+    /**
+     * Wait for the images that are being resized (if any).
+     *
+     * @returns {Promise<void>}
+     */
+    waitForFileResizes: () => Promise<void>;
+    /**
+     * Get the error message for the files of a file form field, or an empty
+     * string if the files are valid.
+     *
+     * @param {HTMLElement} formField
+     * @param {Array.<File>} files
+     * @returns {string}
+     */
+    getFileFieldError: (formField: HTMLElement, files: Array<File>) => string;
+    /**
+     * Add an error to a file form field, along with the WAI-ARIA tags.
+     *
+     * @param {HTMLElement} formField
+     * @param {string} message
+     */
+    addFileFieldError: (formField: HTMLElement, message: string) => void;
+    /**
+     * Revoke the object URLs of the image previews inside an element, so that
+     * the files are released before the previews are replaced or removed.
+     *
+     * @param {HTMLElement} elem
+     */
+    revokeFilePreviewUrls: (elem: HTMLElement) => void;
+    /**
+     * Render the list of files chosen in a multiple file form field, with a
+     * thumbnail (for images) and a remove button for each file.
+     *
+     * @param {HTMLElement} formField
+     */
+    renderFileList: (formField: HTMLElement) => void;
+    /**
+     * Handle the inputs of file form fields: reset and update the wrapping
+     * <label> depending on the file chosen. For multiple file fields, the
+     * chosen files are added to the list instead, skipping the ones that are
+     * not accepted or go over the limits. The images are resized (if
+     * applicable) once, when they are chosen, and kept in the state.
+     *
+     * @param {InputEvent} e
+     */
+    fileFieldOnInput: (e: InputEvent) => void;
+    /**
+     * Set the height of a <textarea> element.
+     *
+     * @param {HTMLTextAreaElement} textarea
+     */
+    setTextareaHeight: (textarea: HTMLTextAreaElement) => void;
+    /**
+     * Set the height of a <textarea> element on input.
+     *
+     * @param {InputEvent} e
+     */
+    setTextareaHeightOnInput: (e: InputEvent) => void;
+    /**
+     * Reset file input when the corresponding reset button is clicked.
+     *
+     * @param {MouseEvent} e
+     */
+    fileInputResetBtnOnClick: (e: MouseEvent) => void;
+    /**
+     * Remove a file from a multiple file form field when the corresponding
+     * remove button in the list is clicked.
+     *
+     * @param {MouseEvent} e
+     */
+    fileListOnClick: (e: MouseEvent) => void;
+    /**
+     * Draw the strokes of a signature on a canvas. The points of the strokes
+     * are relative to the size of the canvas (between 0 and 1).
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array.<Array.<{x: number, y: number}>>} strokes
+     * @param {string} color
+     */
+    strokeSignature: (canvas: HTMLCanvasElement, strokes: Array<Array<{
+        x: number;
+        y: number;
+    }>>, color: string) => void;
+    /**
+     * Resize the canvas of a signature form field to its displayed size (taking
+     * the pixel ratio into account), and redraw the strokes using the current
+     * color of the canvas, i.e., the accent color of the color scheme.
+     *
+     * @param {HTMLElement} formField
+     */
+    drawSignature: (formField: HTMLElement) => void;
+    /**
+     * Handle the changes of signature form fields: redraw, update the undo and
+     * clear buttons, and remove errors. The value of the "fieldchange" event is
+     * whether the field is signed.
+     *
+     * @param {HTMLElement} formField
+     */
+    signatureFieldOnChange: (formField: HTMLElement) => void;
+    /**
+     * Get the position of a pointer relative to the size of a canvas.
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @param {PointerEvent} e
+     * @returns {{x: number, y: number}}
+     */
+    getSignaturePoint: (canvas: HTMLCanvasElement, e: PointerEvent) => {
+        x: number;
+        y: number;
+    };
+    /**
+     * Start a new stroke of a signature using a pointer (mouse, pen, or touch).
+     *
+     * @param {PointerEvent} e
+     */
+    signatureCanvasOnPointerdown: (e: PointerEvent) => void;
+    /**
+     * Add the position of the pointer to the current stroke of a signature.
+     *
+     * @param {PointerEvent} e
+     */
+    signatureCanvasOnPointermove: (e: PointerEvent) => void;
+    /**
+     * End the current stroke of a signature.
+     *
+     * @param {PointerEvent} e
+     */
+    signatureCanvasOnPointerup: (e: PointerEvent) => void;
+    /**
+     * Remove the last stroke of a signature when the undo button is clicked.
+     *
+     * @param {MouseEvent} e
+     */
+    signatureUndoBtnOnClick: (e: MouseEvent) => void;
+    /**
+     * Remove all the strokes of a signature when the clear button is clicked.
+     *
+     * @param {MouseEvent} e
+     */
+    signatureClearBtnOnClick: (e: MouseEvent) => void;
+    /**
+     * Create a PNG file of a signature (or `null` if the signature is empty).
+     * The strokes are drawn in black on a transparent background so that the
+     * file is legible regardless of the color scheme.
+     *
+     * @param {HTMLElement} formField
+     * @returns {Promise<File|null>}
+     */
+    createSignatureFile: (formField: HTMLElement) => Promise<File | null>;
+    /**
+     * Get value of a repeatable group: an array with one object per item, where
+     * each object contains the values of the item's form fields (without the
+     * indexed prefix).
+     *
+     * @param {HTMLElement} group
+     * @returns {Array.<Object>}
+     */
+    getRepeatGroupValue: (group: HTMLElement) => Array<any>;
+    /**
+     * Update a repeatable group: set the value in the state, save value in
+     * local storage, re-render the bind <div> and <span> elements, and enable
+     * or disable the buttons depending on the min and max counts.
+     *
+     * @param {HTMLElement} group
+     * @param {boolean} saveValue
+     */
+    updateRepeatGroup: (group: HTMLElement, saveValue: boolean) => void;
+    /**
+     * Add an item to a repeatable group, i.e., render the group's template with
+     * indexed form field names, and add it to the DOM before the group footer.
+     *
+     * @param {HTMLElement} group
+     * @param {number} [index] If not provided, the next available index is used.
+     * @returns {HTMLElement} the added item
+     */
+    addRepeatItem: (group: HTMLElement, index?: number) => HTMLElement;
+    /**
+     * Remove an item from a repeatable group, along with the values of its form
+     * fields (from the state and local storage).
+     *
+     * @param {HTMLElement} item
+     */
+    removeRepeatItem: (item: HTMLElement) => void;
+    /**
+     * Handle the clicks of the "Add another" buttons of repeatable groups.
+     *
+     * @param {MouseEvent} e
+     */
+    repeatAddBtnOnClick: (e: MouseEvent) => void;
+    /**
+     * Handle the clicks of the "Remove" buttons of repeatable groups.
+     *
+     * @param {MouseEvent} e
+     */
+    repeatRemoveBtnOnClick: (e: MouseEvent) => void;
+    /**
+     * Handle the inputs inside repeatable groups: update the group value. The
+     * form fields themselves are handled by their own listeners first.
+     *
+     * @param {InputEvent} e
+     */
+    repeatGroupOnInput: (e: InputEvent) => void;
+    /**
+     * Given a <button> element, set it to the processing state.
+     *
+     * @param {HTMLButtonElement} btn
+     */
+    setBtnProcessing: (btn: HTMLButtonElement) => void;
+    /**
+     * Given a <button> element, remove its processing state.
+     *
+     * @param {HTMLButtonElement} btn
+     */
+    removeBtnProcessing: (btn: HTMLButtonElement) => void;
+    /**
+     * Given a slide element, remove all errors (and everything related).
+     *
+     * @param {HTMLElement} slide
+     */
+    removeSlideErrors: (slide: HTMLElement) => void;
+    /**
+     * Add an error inside the given form field element.
+     *
+     * @param {HTMLElement} formField
+     * @param {string} errorId
+     * @param {string} message
+     */
+    addFieldError: (formField: HTMLElement, errorId: string, message: string) => void;
+    /**
+     * Given a <form> element, validate and add errors if necessary. By default,
+     * most form fields rely entirely on built-in client-side validation that is
+     * found in browsers.
      *
      * @param {HTMLFormElement} form
      * @returns {boolean} form is valid or not
@@ -528,6 +1440,27 @@ export class Formsmd {
      * @returns {Promise<string>} The Google reCAPTCHA token
      */
     executeRecaptcha: () => Promise<string>;
+    /**
+     * Decode an image file, so that it can be drawn on a canvas. The EXIF
+     * orientation is applied to the decoded image.
+     *
+     * @param {File} file
+     * @returns {Promise<ImageBitmap|HTMLImageElement>}
+     */
+    decodeImageFile: (file: File) => Promise<ImageBitmap | HTMLImageElement>;
+    /**
+     * Resize and compress an image file when it is chosen (so, only once
+     * before upload), using the max width, max height, quality and format set
+     * on the file form field. Drawing on a canvas also fixes the EXIF
+     * orientation, since the rotated pixels are saved without the metadata.
+     * Other files, and images that do not need to change (or cannot be
+     * decoded), are returned as is.
+     *
+     * @param {HTMLElement} formField
+     * @param {File} file
+     * @returns {Promise<File>}
+     */
+    resizeImageFile: (formField: HTMLElement, file: File) => Promise<File>;
     /**
      * Convert a file to base64
      *
@@ -540,12 +1473,322 @@ export class Formsmd {
      *
      * @param {boolean} postCondition
      * @param {boolean} end
+     * @param {boolean} [partial] Whether it is a partial response (sent in the background), which does not emit the submit events
+     * @param {AbortSignal} [signal] Signal to abort the requests to the URLs
      * @returns {Promise<{ok: boolean, json: Object}>}
      */
-    postFormData: (postCondition: boolean, end: boolean) => Promise<{
+    postFormData: (postCondition: boolean, end: boolean, partial?: boolean, signal?: AbortSignal) => Promise<{
         ok: boolean;
         json: any;
     }>;
+    /**
+     * POST the partial response in the background (when the
+     * `partial-submissions` setting is used), without the files and
+     * signatures. The navigation never waits for it, and the errors are only
+     * logged. It is aborted by a newer submission (see
+     * `cancelPartialSubmission`).
+     *
+     * @returns {Promise<{ok: boolean, json: Object}>}
+     */
+    postPartialFormData: () => Promise<{
+        ok: boolean;
+        json: any;
+    }>;
+    /**
+     * Schedule a partial submission after a field change, replacing the one
+     * that is already scheduled (if any), so that typing does not send a
+     * request for every key.
+     */
+    schedulePartialSubmission: () => void;
+    /**
+     * Cancel the partial submission that is scheduled, and abort the one in
+     * flight (if any). This is called before the other submissions, so that a
+     * partial response never reaches the backend after them, and overwrites
+     * the complete response (the responses are upserted by "_rid").
+     */
+    cancelPartialSubmission: () => void;
+    /**
+     * Get the transports form responses are sent to: the `post-url` setting
+     * (if provided) using the POST headers and format, followed by the ones
+     * from the options.
+     *
+     * @returns {Array.<{url: string, format: "form-data"|"json", headers: Object}|function(Object): Promise<*>>}
+     */
+    getPostTransports: () => Array<{
+        url: string;
+        format: "form-data" | "json";
+        headers: any;
+    } | ((arg0: any) => Promise<any>)>;
+    /**
+     * Get the format of the payload sent to a transport: functions receive the
+     * normalized payload (the JSON format).
+     *
+     * @param {{url: string, format: "form-data"|"json", headers: Object}|function(Object): Promise<*>} transport
+     * @returns {"form-data"|"json"}
+     */
+    getTransportFormat: (transport: {
+        url: string;
+        format: "form-data" | "json";
+        headers: any;
+    } | ((arg0: any) => Promise<any>)) => "form-data" | "json";
+    /**
+     * Create the payloads of a submission, once for each format used by the
+     * transports, so that the files are only encoded once. If a URL is among
+     * the transports, a single reCAPTCHA token is added to all of them.
+     *
+     * @param {Array.<{url: string, format: "form-data"|"json", headers: Object}|function(Object): Promise<*>>} transports
+     * @param {boolean} end
+     * @param {boolean} [partial]
+     * @returns {Promise<{"form-data"?: FormData, json?: Object}>}
+     */
+    createPostPayloads: (transports: Array<{
+        url: string;
+        format: "form-data" | "json";
+        headers: any;
+    } | ((arg0: any) => Promise<any>)>, end: boolean, partial?: boolean) => Promise<{
+        "form-data"?: FormData;
+        json?: any;
+    }>;
+    /**
+     * Send the form response to a single transport, using the payload of its
+     * format (see `createPostPayloads`). Functions receive the normalized
+     * payload (the JSON format), and can either return the result (i.e.,
+     * `{ok: boolean, json: Object}`), the JSON, or nothing. URLs receive a
+     * POST request, which is queued to retry later if it fails (when the
+     * offline queue is enabled). Partial responses are not queued.
+     *
+     * @param {{url: string, format: "form-data"|"json", headers: Object}|function(Object): Promise<*>} transport
+     * @param {{"form-data"?: FormData, json?: Object}} payloads
+     * @param {boolean} end
+     * @param {boolean} [partial]
+     * @param {AbortSignal} [signal] Signal to abort the request (URLs only)
+     * @returns {Promise<{ok: boolean, json: Object, queued?: boolean}>}
+     */
+    sendToTransport: (transport: {
+        url: string;
+        format: "form-data" | "json";
+        headers: any;
+    } | ((arg0: any) => Promise<any>), payloads: {
+        "form-data"?: FormData;
+        json?: any;
+    }, end: boolean, partial?: boolean, signal?: AbortSignal) => Promise<{
+        ok: boolean;
+        json: any;
+        queued?: boolean;
+    }>;
+    /**
+     * Emit the "beforesubmit" event, once for all the transports. Listeners
+     * can mutate the payloads, or cancel the submission using
+     * `preventDefault()`. The payload and transport are the ones of the first
+     * transport, and the payloads are the ones of each format used.
+     *
+     * @param {{"form-data"?: FormData, json?: Object}} payloads
+     * @param {Array.<{url: string, format: "form-data"|"json", headers: Object}|function(Object): Promise<*>>} transports
+     * @param {boolean} end
+     * @returns {boolean} Whether to send the payloads
+     */
+    emitBeforeSubmit: (payloads: {
+        "form-data"?: FormData;
+        json?: any;
+    }, transports: Array<{
+        url: string;
+        format: "form-data" | "json";
+        headers: any;
+    } | ((arg0: any) => Promise<any>)>, end: boolean) => boolean;
+    /**
+     * Aggregate the results of sending the form response to the transports.
+     * The response is successful only if all of them are successful. The JSON
+     * of the results are merged, with the errors concatenated so that they are
+     * all shown using `getSubmissionErrors`. The response is cancelled if the
+     * ones that are not successful are all cancelled.
+     *
+     * @param {Array.<{ok: boolean, json: Object, queued?: boolean, cancelled?: boolean}>} results
+     * @returns {{ok: boolean, json: Object, results?: Array.<{ok: boolean, json: Object, queued?: boolean, cancelled?: boolean}>, cancelled?: boolean}}
+     */
+    aggregatePostResults: (results: Array<{
+        ok: boolean;
+        json: any;
+        queued?: boolean;
+        cancelled?: boolean;
+    }>) => {
+        ok: boolean;
+        json: any;
+        results?: Array<{
+            ok: boolean;
+            json: any;
+            queued?: boolean;
+            cancelled?: boolean;
+        }>;
+        cancelled?: boolean;
+    };
+    /**
+     * Get the format used to send form responses: the `postFormat` option
+     * takes precedence over the `post-format` setting.
+     *
+     * @returns {"form-data"|"json"}
+     */
+    getPostFormat: () => "form-data" | "json";
+    /**
+     * Get the user timezone offset, e.g., "+06:00".
+     *
+     * @returns {string}
+     */
+    getUserTimezoneOffset: () => string;
+    /**
+     * Create the form data to POST, with flattened keys for the values that
+     * are not primitives and the metadata (e.g., "_rid", "_end"). Partial
+     * responses are sent without the files and signatures, and with the
+     * "_lastSlide" marker.
+     *
+     * @param {boolean} end
+     * @param {boolean} [partial]
+     * @returns {Promise<FormData>}
+     */
+    createPostFormData: (end: boolean, partial?: boolean) => Promise<FormData>;
+    /**
+     * Create the JSON to POST, with typed values: numbers as numbers,
+     * checkbox values as arrays, local datetimes in ISO format with the user
+     * timezone offset, and files as base64 objects. The metadata is set under
+     * the `meta` key. Partial responses are sent without the files and
+     * signatures, and with the `lastSlide` marker.
+     *
+     * @param {boolean} end
+     * @param {boolean} [partial]
+     * @returns {Promise<Object>}
+     */
+    createPostJSON: (end: boolean, partial?: boolean) => Promise<any>;
+    /**
+     * Add the Google reCAPTCHA token to the POST body if site key provided.
+     *
+     * @param {FormData|Object} body
+     * @param {string} [token] Default is a new token
+     * @returns {Promise<FormData|Object>}
+     */
+    addRecaptchaToken: (body: FormData | any, token?: string) => Promise<FormData | any>;
+    /**
+     * Send form data (or JSON) to a URL.
+     *
+     * @param {string} url
+     * @param {FormData|Object} body
+     * @param {Object} [headers] Default is the POST headers from the options
+     * @param {AbortSignal} [signal] Signal to abort the request
+     * @returns {Promise<{ok: boolean, json: Object, status: number}>} The status is `0` if the request itself failed, e.g., when offline or aborted
+     */
+    sendFormData: (url: string, body: FormData | any, headers?: any, signal?: AbortSignal) => Promise<{
+        ok: boolean;
+        json: any;
+        status: number;
+    }>;
+    /**
+     * Get the key used to identify the queued submissions of the page/form.
+     *
+     * @returns {string}
+     */
+    getSubmissionQueueKey: () => string;
+    /**
+     * Called when a submission is queued to be retried later. This function
+     * can be overridden to do something when that happens, for example, let
+     * the user know that their response will be sent once they are online.
+     *
+     * @param {Object} submission
+     */
+    onSubmissionQueued: (submission: any) => void;
+    /**
+     * Persist a failed submission in the offline queue (IndexedDB), together
+     * with its response id and files, and schedule a retry. If the submission
+     * cannot be queued, the failed result is returned as is.
+     *
+     * @param {string} url
+     * @param {FormData|Object} body
+     * @param {boolean} end
+     * @param {Object} [headers] Default is the POST headers from the options
+     * @returns {Promise<{ok: boolean, json: Object, queued?: boolean}>}
+     */
+    queueSubmission: (url: string, body: FormData | any, end: boolean, headers?: any) => Promise<{
+        ok: boolean;
+        json: any;
+        queued?: boolean;
+    }>;
+    /**
+     * Get the queued submissions of the page/form, i.e., the ones that are
+     * yet to be sent successfully.
+     *
+     * @returns {Promise<Array.<Object>>}
+     */
+    getPendingSubmissions: () => Promise<Array<any>>;
+    /**
+     * Remove the queued submissions of a response that are superseded by a
+     * newer one for the same URL, i.e., the one being sent (or queued) now.
+     * Otherwise, a stale submission could be sent after the newer one once
+     * back online, and overwrite it (the responses are upserted by "_rid").
+     *
+     * @param {string} url
+     * @param {string} rid
+     * @returns {Promise<void>}
+     */
+    removeSupersededSubmissions: (url: string, rid: string) => Promise<void>;
+    /**
+     * Schedule a retry of the queued submissions, replacing the one that is
+     * already scheduled (if any).
+     *
+     * @param {number} delay
+     */
+    scheduleSubmissionsRetry: (delay: number) => void;
+    /**
+     * Retry the queued submissions that are due, oldest first. Submissions
+     * that are sent, or rejected by the server (4xx), are removed from the
+     * queue. The rest are retried later with exponential backoff.
+     *
+     * @param {boolean} [force] Whether to retry all queued submissions, including the ones that are not due yet, e.g., when back online
+     * @returns {Promise<number>} The number of submissions still in the queue
+     */
+    retryPendingSubmissions: (force?: boolean) => Promise<number>;
+    /**
+     * Retry all queued submissions when the browser is back online.
+     */
+    windowOnOnline: () => void;
+    /**
+     * Validate the logic of the template, i.e., parse the jump conditions of
+     * the slides without evaluating them. Useful for checking a form's
+     * branching before shipping it.
+     *
+     * @returns {{valid: boolean, errors: Array.<{slide: number, condition: string, message: string}>}}
+     * whether the logic is valid, and the errors (slide numbers start from 1)
+     */
+    validateLogic: () => {
+        valid: boolean;
+        errors: Array<{
+            slide: number;
+            condition: string;
+            message: string;
+        }>;
+    };
+    /**
+     * Get the directed graph of the slides and the jump conditions between
+     * them, along with the unreachable slides, dead ends, and names used in
+     * jump conditions that are not defined before (see `createLogicGraph`).
+     * The graph can be exported as JSON as is, or as Mermaid using
+     * `getLogicGraphMermaid`.
+     *
+     * @returns {ReturnType<typeof createLogicGraph>}
+     */
+    getLogicGraph: () => ReturnType<typeof createLogicGraph>;
+    /**
+     * Get the logic graph (see `getLogicGraph`) as a Mermaid flowchart.
+     *
+     * @returns {string}
+     */
+    getLogicGraphMermaid: () => string;
+    /**
+     * Get the template without the settings, and the slide delimiter. Used for
+     * checking the logic of the template.
+     *
+     * @returns {{template: string, slideDelimiter: string}}
+     */
+    getLogicTemplate: () => {
+        template: string;
+        slideDelimiter: string;
+    };
     /**
      * Go through each slide (before the current one) to get the previous one to
      * make active (depending on the jump condition).
@@ -627,6 +1870,30 @@ export class Formsmd {
      * @returns {string|Array} Extracted value
      */
     extractChoiceInputValue: (activeSlide: HTMLElement, questionId: string, questionConfig: any) => string | any[];
+    /**
+     * Extract value from matrix input
+     *
+     * @param {HTMLElement} activeSlide - The current active slide
+     * @param {string} questionId - The question ID
+     * @returns {Object} Extracted value (one entry per row)
+     */
+    extractMatrixInputValue: (activeSlide: HTMLElement, questionId: string) => any;
+    /**
+     * Extract value from slider input
+     *
+     * @param {HTMLElement} activeSlide - The current active slide
+     * @param {string} questionId - The question ID
+     * @returns {number|Array|null} Extracted value (`[low, high]` in range mode)
+     */
+    extractSliderInputValue: (activeSlide: HTMLElement, questionId: string) => number | any[] | null;
+    /**
+     * Extract value from ranking input
+     *
+     * @param {HTMLElement} activeSlide - The current active slide
+     * @param {string} questionId - The question ID
+     * @returns {Array} Extracted value (ordered choice values)
+     */
+    extractRankingInputValue: (activeSlide: HTMLElement, questionId: string) => any[];
     /**
      * Extract value from text input
      *
@@ -762,6 +2029,37 @@ export class Formsmd {
      * @returns {number}
      */
     getSlideTransitionDuration: () => number;
+    /**
+     * Whether the analytics of the response are recorded, i.e., the endpoint,
+     * the callback, or the timings of the final submission are set. Only the
+     * markdown-driven mode is supported.
+     *
+     * @returns {boolean}
+     */
+    isAnalyticsEnabled: () => boolean;
+    /**
+     * Get the analytics of the current response, creating them if needed.
+     *
+     * @returns {Object}
+     */
+    getAnalytics: () => any;
+    /**
+     * Send the analytics of the response to the callback and the endpoint. The
+     * endpoint receives them using `navigator.sendBeacon` (or a `keepalive`
+     * request), so that they are sent even when the page is being closed.
+     *
+     * @param {"abandon"|"complete"} type
+     */
+    sendAnalytics: (type: "abandon" | "complete") => void;
+    /**
+     * Send the analytics when the page is hidden or closed before the form is
+     * completed, i.e., the form is (possibly) abandoned. The open slide is
+     * exited, and entered again once the page is visible, so that the time the
+     * page is hidden does not count.
+     *
+     * @param {Event} e
+     */
+    handleAnalyticsVisibility: (e: Event) => void;
     /**
      * When a new slide becomes active, do the following: update state, handle
      * page progress (if applicable), handle the display and state of the footer
@@ -795,6 +2093,95 @@ export class Formsmd {
      * @param {MouseEvent} e
      */
     disableAllClicks: (e: MouseEvent) => boolean;
+    /**
+     * Get the values of all the form fields (copy of the form data in the
+     * state).
+     *
+     * @returns {Object}
+     */
+    getValues: () => any;
+    /**
+     * Set the value of a form field, the same way the user would: set value in
+     * the DOM, update state, save value in local storage, remove errors, and
+     * re-render the bind <div> and <span> elements. The value is expected to
+     * be in the same format as `getValues`, e.g., array of strings for
+     * checkboxes.
+     *
+     * @param {string} name
+     * @param {*} value
+     * @returns {boolean} whether the form field exists (and the value is set)
+     */
+    setValue: (name: string, value: any) => boolean;
+    /**
+     * Go to a slide directly, without validation, jump conditions, or sending
+     * the form data. In API-driven mode, only the questions already answered
+     * can be navigated to.
+     *
+     * @param {number|string} indexOrId Index of the slide (or question), or the
+     * id of the slide element (or question)
+     * @returns {Promise<boolean>} whether the slide exists
+     */
+    goToSlide: (indexOrId: number | string) => Promise<boolean>;
+    /**
+     * Go to the next slide, the same way the user would using the CTA button,
+     * i.e., with validation.
+     *
+     * @returns {boolean} whether going to the next slide has started
+     */
+    next: () => boolean;
+    /**
+     * Go to the previous slide, the same way the user would using the footer
+     * previous button.
+     *
+     * @returns {boolean} whether going to the previous slide has started
+     */
+    prev: () => boolean;
+    /**
+     * Reset the form: remove the form data and response id (from local
+     * storage), and initialize again from the first slide.
+     */
+    reset: () => void;
+    /**
+     * Destroy the instance: remove all the event listeners (DOM and lifecycle)
+     * and timers, and empty the container (unless full page).
+     */
+    destroy: () => void;
+    /**
+     * Add a listener to a lifecycle event. The listener receives a
+     * `CustomEvent`, with the data of the event in `detail`. The same events
+     * are also dispatched on the container, prefixed with "fmd:", e.g.,
+     * "fmd:slidechange".
+     *
+     * - `slidechange`: `{slide, index, fromInit}`
+     * - `fieldchange`: `{name, value}`
+     * - `validationerror`: `{form, fields}`
+     * - `beforesubmit`: `{end, payload, transport, payloads, transports}`,
+     *   once per submission, cancellable, and the payloads can be mutated
+     *   (the payload is the one of the first transport)
+     * - `submitsuccess` and `submiterror`: `{end, result}`
+     * - `restart`: `{}`
+     *
+     * @param {string} type
+     * @param {function(CustomEvent): void} listener
+     */
+    on: (type: string, listener: (arg0: CustomEvent) => void) => void;
+    /**
+     * Remove a listener from a lifecycle event. If no listener is provided,
+     * all the listeners of the event are removed.
+     *
+     * @param {string} type
+     * @param {function(CustomEvent): void} [listener]
+     */
+    off: (type: string, listener?: (arg0: CustomEvent) => void) => void;
+    /**
+     * Emit a lifecycle event: call the listeners, and dispatch the event on the
+     * container. Only the "beforesubmit" event is cancellable.
+     *
+     * @param {string} type
+     * @param {Object} detail
+     * @returns {boolean} `false` if the event is cancelled, otherwise `true`
+     */
+    emit: (type: string, detail: any) => boolean;
     /**
      * Get error messages from the JSON response received during form submission.
      * By default, it is assumed that the errors in the response will use the
@@ -839,6 +2226,54 @@ export class Formsmd {
      * @param {MouseEvent} e
      */
     copyCode: (e: MouseEvent) => void;
+    /**
+     * Shuffle the items (options or choices) of a form field, except the
+     * pinned ones. The seed is the response id along with the name, so the
+     * order stays the same on reload, and it can be reproduced using the
+     * submitted "_rid".
+     *
+     * @param {HTMLElement} formField
+     * @param {Array} items
+     * @param {(item: *) => string} getValue
+     * @returns {Array} shuffled copy of the items
+     */
+    shuffleFieldItems: (formField: HTMLElement, items: any[], getValue: (item: any) => string) => any[];
+    /**
+     * Shuffle the choices and the <select> options of the form fields (with
+     * the `shuffle` param) inside the container. The order only depends on the
+     * seed and the values, so shuffling again does not change it.
+     *
+     * @param {HTMLElement} container
+     */
+    shuffleOptions: (container: HTMLElement) => void;
+    /**
+     * Add the letter badges of the keyboard shortcuts to the choices (if the
+     * keyboard shortcuts are used). Only the first 26 choices get a letter.
+     *
+     * @param {HTMLElement} container
+     */
+    addChoiceKeyBadges: (container: HTMLElement) => void;
+    /**
+     * Get the form field (matching the selector) that the keyboard shortcuts
+     * of the active slide apply to: the one with the focus, or else the only
+     * one on the slide.
+     *
+     * @param {HTMLElement} activeSlide
+     * @param {string} selector
+     * @returns {HTMLElement|null}
+     */
+    getShortcutFormField: (activeSlide: HTMLElement, selector: string) => HTMLElement | null;
+    /**
+     * Handle the keyboard shortcuts on the active slide: letters pick a choice,
+     * digits pick a rating or opinion scale value, Enter (or Cmd/Ctrl + Enter
+     * from anywhere) goes to the next slide, and Esc (when not typing) or
+     * Shift + Tab (when nothing on the slide has the focus) goes to the
+     * previous slide. Keys that are already handled, e.g., by a combobox, are
+     * skipped.
+     *
+     * @param {KeyboardEvent} e
+     */
+    shortcutsOnKeydown: (e: KeyboardEvent) => void;
     /**
      * Add all the event listeners.
      *
@@ -868,3 +2303,4 @@ export class Formsmd {
      */
     processQuestionResponse: (questionData: any) => void;
 }
+import { createLogicGraph } from "./logic-graph.js";
@@ -9,13 +9,16 @@
  * - The first slide cannot have a jump condition.
  * - A start slide may or may not be the first slide.
  *
+ * Body slides (except the first slide) marked using the line "~ SHUFFLE" are
+ * shown in a random order along with the marked slides right next to them.
+ *
  * @param {string} template
  * @param {boolean} isForm
  * @param {boolean} isFirstSlide
  * @param {{showRestartBtn: boolean, submitBtnText: string}} btnSettings
  * @param {string} localization
- * @returns {{template: string, slideType:"start"|"body"|"end"}} template with
- * parsed slides, type of the slide
+ * @returns {{template: string, slideType:"start"|"body"|"end", shuffle: boolean}}
+ * template with parsed slides, type of the slide, whether it is shuffled
  */
 export function parseSlide(template: string, isForm: boolean, isFirstSlide: boolean, btnSettings: {
     showRestartBtn: boolean;
@@ -23,7 +26,47 @@ export function parseSlide(template: string, isForm: boolean, isFirstSlide: bool
 }, localization: string): {
     template: string;
     slideType: "start" | "body" | "end";
+    shuffle: boolean;
 };
+/**
+ * Get the type, jump condition and shuffle check of a slide without parsing
+ * the whole slide.
+ *
+ * @param {string} template
+ * @returns {{slideType: "start"|"body"|"end", jump: string, shuffle: boolean}}
+ */
+export function getSlideLogic(template: string): {
+    slideType: "start" | "body" | "end";
+    jump: string;
+    shuffle: boolean;
+};
+/**
+ * Validate the jump conditions of all the slides. The first slide and start
+ * slides are skipped because their jump conditions are ignored.
+ *
+ * @param {string} template
+ * @param {string} slideDelimiter
+ * @returns {Array.<{slide: number, condition: string, message: string}>}
+ * errors, where the slide number starts from 1
+ */
+export function validateSlidesLogic(template: string, slideDelimiter: string): Array<{
+    slide: number;
+    condition: string;
+    message: string;
+}>;
+/**
+ * Wrap the content of the end slides in bind <div> elements, so that the
+ * Nunjucks parts of the content are rendered again whenever the given names
+ * change, e.g., the quiz score. Lines with slide logic are kept outside the
+ * <div> elements. End slides that already have <div> elements are left as is,
+ * since nesting is not supported.
+ *
+ * @param {string} template
+ * @param {string} slideDelimiter
+ * @param {Array.<string>} names
+ * @returns {string} template with bound end slides
+ */
+export function bindEndSlides(template: string, slideDelimiter: string, names: Array<string>): string;
 /**
  * Given a template string, parse the slides. Slides are created wherever the
  * slide delimiter is used. By default, this is set to "---" in the state.
@@ -33,12 +76,13 @@ export function parseSlide(template: string, isForm: boolean, isFirstSlide: bool
  * @param {{showRestartBtn: boolean, submitBtnText: string}} btnSettings
  * @param {string} localization
  * @param {string} slideDelimiter
+ * @param {string} [shuffleSeed] - seed for the order of the shuffled slides
  * @returns {string} template with parsed slides
  */
 export function parseSlides(template: string, isForm: boolean, btnSettings: {
     showRestartBtn: boolean;
     submitBtnText: string;
-}, localization: string, slideDelimiter: string): string;
+}, localization: string, slideDelimiter: string, shuffleSeed?: string): string;
 /**
  * Parse slides for lazy loading - returns first slide HTML and stores definitions
  *
@@ -47,12 +91,13 @@ export function parseSlides(template: string, isForm: boolean, btnSettings: {
  * @param {{showRestartBtn: boolean, submitBtnText: string}} btnSettings
  * @param {string} localization
  * @param {string} slideDelimiter
+ * @param {string} [shuffleSeed] - seed for the order of the shuffled slides
  * @returns {{firstSlideHtml: string, slideDefinitions: Array, endSlideDefinition: string}} first slide HTML and slide definitions
  */
 export function parseSlidesLazy(template: string, isForm: boolean, btnSettings: {
     showRestartBtn: boolean;
     submitBtnText: string;
-}, localization: string, slideDelimiter: string): {
+}, localization: string, slideDelimiter: string, shuffleSeed?: string): {
     firstSlideHtml: string;
     slideDefinitions: any[];
     endSlideDefinition: string;
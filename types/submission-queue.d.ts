@@ -0,0 +1,52 @@
+/**
+ * Get the delay before retrying a queued submission, using exponential
+ * backoff: 2 seconds, 4 seconds, 8 seconds, etc., up to 5 minutes.
+ *
+ * @param {number} attempts - the number of failed attempts so far
+ * @returns {number} delay in milliseconds
+ */
+export function getRetryDelay(attempts: number): number;
+/**
+ * Convert form data to entries that can be stored in IndexedDB. Files (and
+ * other blobs) are kept as they are.
+ *
+ * @param {FormData} formData
+ * @param {Array.<string>} [excludeKeys]
+ * @returns {Array.<[string, string|Blob]>}
+ */
+export function formDataToEntries(formData: FormData, excludeKeys?: Array<string>): Array<[string, string | Blob]>;
+/**
+ * Convert stored entries (see `formDataToEntries`) back to form data.
+ *
+ * @param {Array.<[string, string|Blob]>} entries
+ * @returns {FormData}
+ */
+export function entriesToFormData(entries: Array<[string, string | Blob]>): FormData;
+/**
+ * Add a submission to the queue.
+ *
+ * @param {Object} submission
+ * @returns {Promise<number>} id of the queued submission
+ */
+export function addQueuedSubmission(submission: any): Promise<number>;
+/**
+ * Get the queued submissions of a form, oldest first.
+ *
+ * @param {string} queueKey - identifies the form (page and id)
+ * @returns {Promise<Array.<Object>>}
+ */
+export function getQueuedSubmissions(queueKey: string): Promise<Array<any>>;
+/**
+ * Update a queued submission, e.g., after a failed retry.
+ *
+ * @param {Object} submission
+ * @returns {Promise<number>}
+ */
+export function updateQueuedSubmission(submission: any): Promise<number>;
+/**
+ * Remove a submission from the queue, e.g., after it is sent.
+ *
+ * @param {number} id
+ * @returns {Promise<undefined>}
+ */
+export function removeQueuedSubmission(id: number): Promise<undefined>;
@@ -24,10 +24,12 @@ export function createBodyTemplate(settings: any): {
  * @param {Object} settings
  * @param {Object} data
  * @param {boolean} windowAndSanitize
- * @returns {{template: string, bindDivTemplates: Object}} template and bind
- * <div> templates
+ * @param {string} [shuffleSeed] - seed for the order of the shuffled slides
+ * @returns {{template: string, bindDivTemplates: Object, repeatTemplates: Object}}
+ * template, bind <div> templates and repeatable group templates
  */
-export function createContentTemplate(template: string, settings: any, data: any, windowAndSanitize: boolean): {
+export function createContentTemplate(template: string, settings: any, data: any, windowAndSanitize: boolean, shuffleSeed?: string): {
     template: string;
     bindDivTemplates: any;
+    repeatTemplates: any;
 };
@@ -2,6 +2,11 @@ export namespace translations {
     let en: {
         "choice-field-required": string;
         "choose-many-text": string;
+        "combobox-chip-remove": string;
+        "combobox-loading": string;
+        "combobox-no-results": string;
+        "combobox-results": string;
+        "combobox-selected": string;
         "copy-btn": string;
         "copy-btn-success": string;
         "country-calling-code-label": string;
@@ -11,11 +16,19 @@ export namespace translations {
         "end-slide-subtitle": string;
         "file-input-change": string;
         "file-input-choose": string;
+        "file-input-choose-multiple": string;
         "file-input-clear-check": string;
         "file-input-currently": string;
+        "file-input-max-files": string;
+        "file-input-max-files-error": string;
+        "file-input-remove-btn": string;
+        "file-input-required-error": string;
         "file-input-reset-btn": string;
         "file-input-size-error": string;
         "file-input-size-limit": string;
+        "file-input-total": string;
+        "file-input-total-size-error": string;
+        "file-input-type-error": string;
         "form-submit-btn": string;
         "form-submitted-title": string;
         "form-submitted-subtitle": string;
@@ -24,6 +37,7 @@ export namespace translations {
         loading: string;
         "made-in-btn": string;
         "made-in-loader": string;
+        "matrix-field-required": string;
         "next-btn": string;
         "nps-label-end": string;
         "nps-label-start": string;
@@ -32,10 +46,30 @@ export namespace translations {
         "page-progress": string;
         "phone-number-label": string;
         "previous-btn": string;
+        "quiz-correct": string;
+        "quiz-incorrect": string;
+        "ranking-cancelled": string;
+        "ranking-dropped": string;
+        "ranking-grabbed": string;
+        "ranking-instructions": string;
+        "ranking-moved": string;
+        "repeat-add-btn": string;
+        "repeat-remove-btn": string;
         required: string;
         "restart-btn": string;
+        "save-link-btn": string;
+        "save-link-copied": string;
+        "save-link-copy-btn": string;
+        "save-link-qr-code": string;
+        "save-link-title": string;
         "select-box-placeholder": string;
+        "signature-clear-btn": string;
+        "signature-field-required": string;
+        "signature-undo-btn": string;
         "slide-error": string;
+        "slider-max-label": string;
+        "slider-min-label": string;
+        "slider-range-invalid": string;
         "star-plural": string;
         "star-singular": string;
         "start-btn": string;
@@ -51,6 +85,11 @@ export namespace translations {
     let ar: {
         "choice-field-required": string;
         "choose-many-text": string;
+        "combobox-chip-remove": string;
+        "combobox-loading": string;
+        "combobox-no-results": string;
+        "combobox-results": string;
+        "combobox-selected": string;
         "copy-btn": string;
         "copy-btn-success": string;
         "country-calling-code-label": string;
@@ -60,11 +99,19 @@ export namespace translations {
         "end-slide-subtitle": string;
         "file-input-change": string;
         "file-input-choose": string;
+        "file-input-choose-multiple": string;
         "file-input-clear-check": string;
         "file-input-currently": string;
+        "file-input-max-files": string;
+        "file-input-max-files-error": string;
+        "file-input-remove-btn": string;
+        "file-input-required-error": string;
         "file-input-reset-btn": string;
         "file-input-size-error": string;
         "file-input-size-limit": string;
+        "file-input-total": string;
+        "file-input-total-size-error": string;
+        "file-input-type-error": string;
         "form-submit-btn": string;
         "form-submitted-title": string;
         "form-submitted-subtitle": string;
@@ -73,6 +120,7 @@ export namespace translations {
         loading: string;
         "made-in-btn": string;
         "made-in-loader": string;
+        "matrix-field-required": string;
         "next-btn": string;
         "nps-label-end": string;
         "nps-label-start": string;
@@ -81,10 +129,30 @@ export namespace translations {
         "page-progress": string;
         "phone-number-label": string;
         "previous-btn": string;
+        "quiz-correct": string;
+        "quiz-incorrect": string;
+        "ranking-cancelled": string;
+        "ranking-dropped": string;
+        "ranking-grabbed": string;
+        "ranking-instructions": string;
+        "ranking-moved": string;
+        "repeat-add-btn": string;
+        "repeat-remove-btn": string;
         required: string;
         "restart-btn": string;
+        "save-link-btn": string;
+        "save-link-copied": string;
+        "save-link-copy-btn": string;
+        "save-link-qr-code": string;
+        "save-link-title": string;
         "select-box-placeholder": string;
+        "signature-clear-btn": string;
+        "signature-field-required": string;
+        "signature-undo-btn": string;
         "slide-error": string;
+        "slider-max-label": string;
+        "slider-min-label": string;
+        "slider-range-invalid": string;
         "star-plural": string;
         "star-singular": string;
         "start-btn": string;
@@ -98,6 +166,11 @@ export namespace translations {
     let bn: {
         "choice-field-required": string;
         "choose-many-text": string;
+        "combobox-chip-remove": string;
+        "combobox-loading": string;
+        "combobox-no-results": string;
+        "combobox-results": string;
+        "combobox-selected": string;
         "copy-btn": string;
         "copy-btn-success": string;
         "country-calling-code-label": string;
@@ -107,11 +180,19 @@ export namespace translations {
         "end-slide-subtitle": string;
         "file-input-change": string;
         "file-input-choose": string;
+        "file-input-choose-multiple": string;
         "file-input-clear-check": string;
         "file-input-currently": string;
+        "file-input-max-files": string;
+        "file-input-max-files-error": string;
+        "file-input-remove-btn": string;
+        "file-input-required-error": string;
         "file-input-reset-btn": string;
         "file-input-size-error": string;
         "file-input-size-limit": string;
+        "file-input-total": string;
+        "file-input-total-size-error": string;
+        "file-input-type-error": string;
         "form-submit-btn": string;
         "form-submitted-title": string;
         "form-submitted-subtitle": string;
@@ -120,6 +201,7 @@ export namespace translations {
         loading: string;
         "made-in-btn": string;
         "made-in-loader": string;
+        "matrix-field-required": string;
         "next-btn": string;
         "nps-label-end": string;
         "nps-label-start": string;
@@ -128,10 +210,30 @@ export namespace translations {
         "page-progress": string;
         "phone-number-label": string;
         "previous-btn": string;
+        "quiz-correct": string;
+        "quiz-incorrect": string;
+        "ranking-cancelled": string;
+        "ranking-dropped": string;
+        "ranking-grabbed": string;
+        "ranking-instructions": string;
+        "ranking-moved": string;
+        "repeat-add-btn": string;
+        "repeat-remove-btn": string;
         required: string;
         "restart-btn": string;
+        "save-link-btn": string;
+        "save-link-copied": string;
+        "save-link-copy-btn": string;
+        "save-link-qr-code": string;
+        "save-link-title": string;
         "select-box-placeholder": string;
+        "signature-clear-btn": string;
+        "signature-field-required": string;
+        "signature-undo-btn": string;
         "slide-error": string;
+        "slider-max-label": string;
+        "slider-min-label": string;
+        "slider-range-invalid": string;
         "star-plural": string;
         "star-singular": string;
         "start-btn": string;
@@ -145,6 +247,11 @@ export namespace translations {
     let de: {
         "choice-field-required": string;
         "choose-many-text": string;
+        "combobox-chip-remove": string;
+        "combobox-loading": string;
+        "combobox-no-results": string;
+        "combobox-results": string;
+        "combobox-selected": string;
         "copy-btn": string;
         "copy-btn-success": string;
         "country-calling-code-label": string;
@@ -154,11 +261,19 @@ export namespace translations {
         "end-slide-subtitle": string;
         "file-input-change": string;
         "file-input-choose": string;
+        "file-input-choose-multiple": string;
         "file-input-clear-check": string;
         "file-input-currently": string;
+        "file-input-max-files": string;
+        "file-input-max-files-error": string;
+        "file-input-remove-btn": string;
+        "file-input-required-error": string;
         "file-input-reset-btn": string;
         "file-input-size-error": string;
         "file-input-size-limit": string;
+        "file-input-total": string;
+        "file-input-total-size-error": string;
+        "file-input-type-error": string;
         "form-submit-btn": string;
         "form-submitted-title": string;
         "form-submitted-subtitle": string;
@@ -167,6 +282,7 @@ export namespace translations {
         loading: string;
         "made-in-btn": string;
         "made-in-loader": string;
+        "matrix-field-required": string;
         "next-btn": string;
         "nps-label-end": string;
         "nps-label-start": string;
@@ -175,10 +291,30 @@ export namespace translations {
         "page-progress": string;
         "phone-number-label": string;
         "previous-btn": string;
+        "quiz-correct": string;
+        "quiz-incorrect": string;
+        "ranking-cancelled": string;
+        "ranking-dropped": string;
+        "ranking-grabbed": string;
+        "ranking-instructions": string;
+        "ranking-moved": string;
+        "repeat-add-btn": string;
+        "repeat-remove-btn": string;
         required: string;
         "restart-btn": string;
+        "save-link-btn": string;
+        "save-link-copied": string;
+        "save-link-copy-btn": string;
+        "save-link-qr-code": string;
+        "save-link-title": string;
         "select-box-placeholder": string;
+        "signature-clear-btn": string;
+        "signature-field-required": string;
+        "signature-undo-btn": string;
         "slide-error": string;
+        "slider-max-label": string;
+        "slider-min-label": string;
+        "slider-range-invalid": string;
         "star-plural": string;
         "star-singular": string;
         "start-btn": string;
@@ -192,6 +328,11 @@ export namespace translations {
     let es: {
         "choice-field-required": string;
         "choose-many-text": string;
+        "combobox-chip-remove": string;
+        "combobox-loading": string;
+        "combobox-no-results": string;
+        "combobox-results": string;
+        "combobox-selected": string;
         "copy-btn": string;
         "copy-btn-success": string;
         "country-calling-code-label": string;
@@ -201,11 +342,19 @@ export namespace translations {
         "end-slide-subtitle": string;
         "file-input-change": string;
         "file-input-choose": string;
+        "file-input-choose-multiple": string;
         "file-input-clear-check": string;
         "file-input-currently": string;
+        "file-input-max-files": string;
+        "file-input-max-files-error": string;
+        "file-input-remove-btn": string;
+        "file-input-required-error": string;
         "file-input-reset-btn": string;
         "file-input-size-error": string;
         "file-input-size-limit": string;
+        "file-input-total": string;
+        "file-input-total-size-error": string;
+        "file-input-type-error": string;
         "form-submit-btn": string;
         "form-submitted-title": string;
         "form-submitted-subtitle": string;
@@ -214,6 +363,7 @@ export namespace translations {
         loading: string;
         "made-in-btn": string;
         "made-in-loader": string;
+        "matrix-field-required": string;
         "next-btn": string;
         "nps-label-end": string;
         "nps-label-start": string;
@@ -222,10 +372,30 @@ export namespace translations {
         "page-progress": string;
         "phone-number-label": string;
         "previous-btn": string;
+        "quiz-correct": string;
+        "quiz-incorrect": string;
+        "ranking-cancelled": string;
+        "ranking-dropped": string;
+        "ranking-grabbed": string;
+        "ranking-instructions": string;
+        "ranking-moved": string;
+        "repeat-add-btn": string;
+        "repeat-remove-btn": string;
         required: string;
         "restart-btn": string;
+        "save-link-btn": string;
+        "save-link-copied": string;
+        "save-link-copy-btn": string;
+        "save-link-qr-code": string;
+        "save-link-title": string;
         "select-box-placeholder": string;
+        "signature-clear-btn": string;
+        "signature-field-required": string;
+        "signature-undo-btn": string;
         "slide-error": string;
+        "slider-max-label": string;
+        "slider-min-label": string;
+        "slider-range-invalid": string;
         "star-plural": string;
         "star-singular": string;
         "start-btn": string;
@@ -239,6 +409,11 @@ export namespace translations {
     let fr: {
         "choice-field-required": string;
         "choose-many-text": string;
+        "combobox-chip-remove": string;
+        "combobox-loading": string;
+        "combobox-no-results": string;
+        "combobox-results": string;
+        "combobox-selected": string;
         "copy-btn": string;
         "copy-btn-success": string;
         "country-calling-code-label": string;
@@ -248,11 +423,19 @@ export namespace translations {
         "end-slide-subtitle": string;
         "file-input-change": string;
         "file-input-choose": string;
+        "file-input-choose-multiple": string;
         "file-input-clear-check": string;
         "file-input-currently": string;
+        "file-input-max-files": string;
+        "file-input-max-files-error": string;
+        "file-input-remove-btn": string;
+        "file-input-required-error": string;
         "file-input-reset-btn": string;
         "file-input-size-error": string;
         "file-input-size-limit": string;
+        "file-input-total": string;
+        "file-input-total-size-error": string;
+        "file-input-type-error": string;
         "form-submit-btn": string;
         "form-submitted-title": string;
         "form-submitted-subtitle": string;
@@ -261,6 +444,7 @@ export namespace translations {
         loading: string;
         "made-in-btn": string;
         "made-in-loader": string;
+        "matrix-field-required": string;
         "next-btn": string;
         "nps-label-end": string;
         "nps-label-start": string;
@@ -269,10 +453,30 @@ export namespace translations {
         "page-progress": string;
         "phone-number-label": string;
         "previous-btn": string;
+        "quiz-correct": string;
+        "quiz-incorrect": string;
+        "ranking-cancelled": string;
+        "ranking-dropped": string;
+        "ranking-grabbed": string;
+        "ranking-instructions": string;
+        "ranking-moved": string;
+        "repeat-add-btn": string;
+        "repeat-remove-btn": string;
         required: string;
         "restart-btn": string;
+        "save-link-btn": string;
+        "save-link-copied": string;
+        "save-link-copy-btn": string;
+        "save-link-qr-code": string;
+        "save-link-title": string;
         "select-box-placeholder": string;
+        "signature-clear-btn": string;
+        "signature-field-required": string;
+        "signature-undo-btn": string;
         "slide-error": string;
+        "slider-max-label": string;
+        "slider-min-label": string;
+        "slider-range-invalid": string;
         "star-plural": string;
         "star-singular": string;
         "start-btn": string;
@@ -286,6 +490,11 @@ export namespace translations {
     let ja: {
         "choice-field-required": string;
         "choose-many-text": string;
+        "combobox-chip-remove": string;
+        "combobox-loading": string;
+        "combobox-no-results": string;
+        "combobox-results": string;
+        "combobox-selected": string;
         "copy-btn": string;
         "copy-btn-success": string;
         "country-calling-code-label": string;
@@ -295,11 +504,19 @@ export namespace translations {
         "end-slide-subtitle": string;
         "file-input-change": string;
         "file-input-choose": string;
+        "file-input-choose-multiple": string;
         "file-input-clear-check": string;
         "file-input-currently": string;
+        "file-input-max-files": string;
+        "file-input-max-files-error": string;
+        "file-input-remove-btn": string;
+        "file-input-required-error": string;
         "file-input-reset-btn": string;
         "file-input-size-error": string;
         "file-input-size-limit": string;
+        "file-input-total": string;
+        "file-input-total-size-error": string;
+        "file-input-type-error": string;
         "form-submit-btn": string;
         "form-submitted-title": string;
         "form-submitted-subtitle": string;
@@ -308,6 +525,7 @@ export namespace translations {
         loading: string;
         "made-in-btn": string;
         "made-in-loader": string;
+        "matrix-field-required": string;
         "next-btn": string;
         "nps-label-end": string;
         "nps-label-start": string;
@@ -316,10 +534,30 @@ export namespace translations {
         "page-progress": string;
         "phone-number-label": string;
         "previous-btn": string;
+        "quiz-correct": string;
+        "quiz-incorrect": string;
+        "ranking-cancelled": string;
+        "ranking-dropped": string;
+        "ranking-grabbed": string;
+        "ranking-instructions": string;
+        "ranking-moved": string;
+        "repeat-add-btn": string;
+        "repeat-remove-btn": string;
         required: string;
         "restart-btn": string;
+        "save-link-btn": string;
+        "save-link-copied": string;
+        "save-link-copy-btn": string;
+        "save-link-qr-code": string;
+        "save-link-title": string;
         "select-box-placeholder": string;
+        "signature-clear-btn": string;
+        "signature-field-required": string;
+        "signature-undo-btn": string;
         "slide-error": string;
+        "slider-max-label": string;
+        "slider-min-label": string;
+        "slider-range-invalid": string;
         "star-plural": string;
         "star-singular": string;
         "start-btn": string;
@@ -333,6 +571,11 @@ export namespace translations {
     let pt: {
         "choice-field-required": string;
         "choose-many-text": string;
+        "combobox-chip-remove": string;
+        "combobox-loading": string;
+        "combobox-no-results": string;
+        "combobox-results": string;
+        "combobox-selected": string;
         "copy-btn": string;
         "copy-btn-success": string;
         "country-calling-code-label": string;
@@ -342,11 +585,19 @@ export namespace translations {
         "end-slide-subtitle": string;
         "file-input-change": string;
         "file-input-choose": string;
+        "file-input-choose-multiple": string;
         "file-input-clear-check": string;
         "file-input-currently": string;
+        "file-input-max-files": string;
+        "file-input-max-files-error": string;
+        "file-input-remove-btn": string;
+        "file-input-required-error": string;
         "file-input-reset-btn": string;
         "file-input-size-error": string;
         "file-input-size-limit": string;
+        "file-input-total": string;
+        "file-input-total-size-error": string;
+        "file-input-type-error": string;
         "form-submit-btn": string;
         "form-submitted-title": string;
         "form-submitted-subtitle": string;
@@ -355,6 +606,7 @@ export namespace translations {
         loading: string;
         "made-in-btn": string;
         "made-in-loader": string;
+        "matrix-field-required": string;
         "next-btn": string;
         "nps-label-end": string;
         "nps-label-start": string;
@@ -363,10 +615,30 @@ export namespace translations {
         "page-progress": string;
         "phone-number-label": string;
         "previous-btn": string;
+        "quiz-correct": string;
+        "quiz-incorrect": string;
+        "ranking-cancelled": string;
+        "ranking-dropped": string;
+        "ranking-grabbed": string;
+        "ranking-instructions": string;
+        "ranking-moved": string;
+        "repeat-add-btn": string;
+        "repeat-remove-btn": string;
         required: string;
         "restart-btn": string;
+        "save-link-btn": string;
+        "save-link-copied": string;
+        "save-link-copy-btn": string;
+        "save-link-qr-code": string;
+        "save-link-title": string;
         "select-box-placeholder": string;
+        "signature-clear-btn": string;
+        "signature-field-required": string;
+        "signature-undo-btn": string;
         "slide-error": string;
+        "slider-max-label": string;
+        "slider-min-label": string;
+        "slider-range-invalid": string;
         "star-plural": string;
         "star-singular": string;
         "start-btn": string;
@@ -380,6 +652,11 @@ export namespace translations {
     let zh: {
         "choice-field-required": string;
         "choose-many-text": string;
+        "combobox-chip-remove": string;
+        "combobox-loading": string;
+        "combobox-no-results": string;
+        "combobox-results": string;
+        "combobox-selected": string;
         "copy-btn": string;
         "copy-btn-success": string;
         "country-calling-code-label": string;
@@ -389,11 +666,19 @@ export namespace translations {
         "end-slide-subtitle": string;
         "file-input-change": string;
         "file-input-choose": string;
+        "file-input-choose-multiple": string;
         "file-input-clear-check": string;
         "file-input-currently": string;
+        "file-input-max-files": string;
+        "file-input-max-files-error": string;
+        "file-input-remove-btn": string;
+        "file-input-required-error": string;
         "file-input-reset-btn": string;
         "file-input-size-error": string;
         "file-input-size-limit": string;
+        "file-input-total": string;
+        "file-input-total-size-error": string;
+        "file-input-type-error": string;
         "form-submit-btn": string;
         "form-submitted-title": string;
         "form-submitted-subtitle": string;
@@ -402,6 +687,7 @@ export namespace translations {
         loading: string;
         "made-in-btn": string;
         "made-in-loader": string;
+        "matrix-field-required": string;
         "next-btn": string;
         "nps-label-end": string;
         "nps-label-start": string;
@@ -410,10 +696,30 @@ export namespace translations {
         "page-progress": string;
         "phone-number-label": string;
         "previous-btn": string;
+        "quiz-correct": string;
+        "quiz-incorrect": string;
+        "ranking-cancelled": string;
+        "ranking-dropped": string;
+        "ranking-grabbed": string;
+        "ranking-instructions": string;
+        "ranking-moved": string;
+        "repeat-add-btn": string;
+        "repeat-remove-btn": string;
         required: string;
         "restart-btn": string;
+        "save-link-btn": string;
+        "save-link-copied": string;
+        "save-link-copy-btn": string;
+        "save-link-qr-code": string;
+        "save-link-title": string;
         "select-box-placeholder": string;
+        "signature-clear-btn": string;
+        "signature-field-required": string;
+        "signature-undo-btn": string;
         "slide-error": string;
+        "slider-max-label": string;
+        "slider-min-label": string;
+        "slider-range-invalid": string;
         "star-plural": string;
         "star-singular": string;
         "start-btn": string;